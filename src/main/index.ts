@@ -1,11 +1,77 @@
-import { app, BrowserWindow, ipcMain } from 'electron';
+import { app, BrowserWindow, dialog, ipcMain } from 'electron';
 import { join } from 'path';
 // mqtt-connection-manager is still CommonJS; bundled via esbuild interop.
 import { MQTTConnectionManager } from './mqtt-connection-manager';
+import { RecordingStore } from './recording-store';
+import { exportRecordingFile, importRecordingFile, toRecordedMessageLine } from './recording-files';
+import { editRecordings } from './recording-edit';
+import { SparkplugNodeManager } from './sparkplug-nodes';
+import { SimulationEngine } from './simulation-engine';
+import { DatasetStore } from './simulation-datasets';
+import type {
+  RecordedMessageLine,
+  RecordingEditOptions,
+  RecordingMeta,
+  SparkplugNodeOptions,
+  StartRecordingOptions,
+} from '../shared/ipc';
+import type { SparkplugMetricInput } from '../shared/sparkplug';
+import type { SimulatedDevice } from '../shared/simulation';
 
 let mainWindow: BrowserWindow | null = null;
 let splashWindow: BrowserWindow | null = null;
 const mqttManager = new MQTTConnectionManager();
+const recordingStore = new RecordingStore(join(app.getPath('userData'), 'recordings'));
+const recordingStoreReady = recordingStore.init().catch((error) => {
+  console.error('Failed to initialise recording store:', error);
+});
+const sparkplugNodes = new SparkplugNodeManager(mqttManager);
+const datasetStore = new DatasetStore(join(app.getPath('userData'), 'datasets'));
+const simulationEngine = new SimulationEngine(
+  join(app.getPath('userData'), 'simulations.json'),
+  mqttManager,
+  sparkplugNodes,
+  datasetStore,
+);
+const simulationEngineReady = Promise.all([simulationEngine.init(), datasetStore.init()]).catch(
+  (error) => {
+    console.error('Failed to initialise simulation engine:', error);
+  },
+);
+
+// Recordings are fed straight from the manager so capture doesn't depend on the
+// renderer keeping up (or being open at all).
+mqttManager.on('message', (data: any) => recordingStore.capture(data));
+mqttManager.on('connected', (data: any) => {
+  simulationEngineReady.then(() => simulationEngine.resume(data.id));
+});
+// Fires once a connection is gone for good: the user disconnected it, or it
+// dropped and will not reconnect.
+mqttManager.on('disconnected', (data: any) => {
+  recordingStore.stopForConnection(data.id).catch((error) => {
+    console.error(`Failed to stop recording for ${data.id}:`, error);
+  });
+  simulationEngine.suspend(data.id).catch((error) => {
+    console.error(`Failed to suspend simulations for ${data.id}:`, error);
+  });
+});
+sparkplugNodes.on('status', (data: unknown) => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('sparkplug-status', data);
+  }
+});
+simulationEngine.on('status', (data: unknown) => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('simulation-status', data);
+  }
+});
+['progress', 'changed'].forEach((event) => {
+  recordingStore.on(event, (data: unknown) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send(`recording-${event}`, data);
+    }
+  });
+});
 
 function createSplashWindow() {
   splashWindow = new BrowserWindow({
@@ -123,10 +189,10 @@ ipcMain.handle('mqtt-disconnect', async (_event, connectionId) => {
   }
 });
 
-ipcMain.handle('mqtt-subscribe', async (_event, connectionId, topic, qos = 0, properties = {}) => {
+ipcMain.handle('mqtt-subscribe', async (_event, connectionId, topic, qos = 0, properties = {}, options = {}) => {
   try {
     console.log(`IPC: Subscribing ${connectionId} to ${topic} with QoS ${qos}`);
-    const result = await mqttManager.subscribe(connectionId, topic, qos, properties);
+    const result = await mqttManager.subscribe(connectionId, topic, qos, properties, options);
     console.log(`IPC: Subscription successful for ${connectionId}: ${topic}`);
     return { success: true, data: result };
   } catch (error) {
@@ -156,6 +222,16 @@ ipcMain.handle('mqtt-publish', async (_event, connectionId, topic, message, opti
   }
 });
 
+ipcMain.handle('mqtt-request', async (_event, connectionId, topic, message, options = {}) => {
+  try {
+    const result = await mqttManager.request(connectionId, topic, message, options);
+    return { success: true, data: result };
+  } catch (error) {
+    console.error(`IPC: Request failed for ${connectionId}:`, (error as Error).message);
+    return { success: false, error: (error as Error).message };
+  }
+});
+
 ipcMain.handle('mqtt-get-connections', async () => {
   try {
     return { success: true, data: mqttManager.getAllConnections() };
@@ -164,16 +240,153 @@ ipcMain.handle('mqtt-get-connections', async () => {
   }
 });
 
+// Stores load their saved state at startup; handlers wait for it on first use.
+const storesReady = Promise.all([recordingStoreReady, simulationEngineReady]);
+
+// Answers with an IpcResult, so failures reach the renderer as messages.
+function handle<Args extends unknown[]>(channel: string, handler: (...args: Args) => unknown) {
+  ipcMain.handle(channel, async (_event, ...args) => {
+    try {
+      await storesReady;
+      return { success: true, data: await handler(...(args as Args)) };
+    } catch (error) {
+      console.error(`IPC: ${channel} failed:`, (error as Error).message);
+      return { success: false, error: (error as Error).message };
+    }
+  });
+}
+
+// Recording store.
+handle('recordings-list', () => recordingStore.list());
+handle('recordings-start', (options: StartRecordingOptions) => recordingStore.start(options));
+handle('recordings-stop', (id: string) => recordingStore.stop(id));
+handle('recordings-rename', (id: string, name: string) => recordingStore.rename(id, name));
+handle('recordings-delete', (id: string) => recordingStore.delete(id));
+handle('recordings-read', (id: string, offset: number, limit: number, topics?: string[]) =>
+  recordingStore.read(id, offset, limit, topics),
+);
+handle('recordings-import-data', (info: Partial<RecordingMeta>, messages: RecordedMessageLine[]) =>
+  recordingStore.create(info, messages.map(toRecordedMessageLine)),
+);
+handle('recordings-edit', (options: RecordingEditOptions) =>
+  editRecordings(recordingStore, options),
+);
+
+handle('recordings-export', async (id: string) => {
+  const meta = recordingStore.get(id);
+  const options = {
+    defaultPath: `mqtt-recording-${meta.id}.json`,
+    filters: [
+      { name: 'JSON', extensions: ['json'] },
+      { name: 'NDJSON', extensions: ['ndjson'] },
+      { name: 'NDJSON (gzip)', extensions: ['gz'] },
+    ],
+  };
+  const result = mainWindow
+    ? await dialog.showSaveDialog(mainWindow, options)
+    : await dialog.showSaveDialog(options);
+  if (result.canceled || !result.filePath) return {};
+  await exportRecordingFile(recordingStore, id, result.filePath);
+  return { filePath: result.filePath };
+});
+
+handle('recordings-import', async () => {
+  const options = {
+    properties: ['openFile' as const],
+    filters: [{ name: 'Recordings', extensions: ['json', 'ndjson', 'gz'] }],
+  };
+  const result = mainWindow
+    ? await dialog.showOpenDialog(mainWindow, options)
+    : await dialog.showOpenDialog(options);
+  if (result.canceled || result.filePaths.length === 0) return null;
+  return importRecordingFile(recordingStore, result.filePaths[0]);
+});
+
+// Simulated Sparkplug B edge nodes, each on its own MQTT session.
+handle('sparkplug-start', (id: string, options: SparkplugNodeOptions) =>
+  sparkplugNodes.start(id, options),
+);
+handle('sparkplug-update', (id: string, metrics: SparkplugMetricInput[]) =>
+  sparkplugNodes.update(id, metrics),
+);
+handle('sparkplug-stop', (id: string) => sparkplugNodes.stop(id));
+handle('sparkplug-list', () => sparkplugNodes.list());
+
+// Simulation engine and its CSV datasets.
+handle('simulation-list', (connectionId: string) => simulationEngine.list(connectionId));
+handle('simulation-get-status', (connectionId: string) => simulationEngine.getStatus(connectionId));
+handle('simulation-save', (connectionId: string, device: SimulatedDevice) =>
+  simulationEngine.save(connectionId, device),
+);
+handle('simulation-delete', (connectionId: string, deviceId: number) =>
+  simulationEngine.delete(connectionId, deviceId),
+);
+handle('simulation-start', (connectionId: string, deviceId: number) =>
+  simulationEngine.start(connectionId, deviceId),
+);
+handle('simulation-stop', (connectionId: string, deviceId: number) =>
+  simulationEngine.stop(connectionId, deviceId),
+);
+handle('simulation-publish-once', (connectionId: string, deviceId: number) =>
+  simulationEngine.publishOnce(connectionId, deviceId),
+);
+handle('simulation-import', (connectionId: string, devices: SimulatedDevice[]) =>
+  simulationEngine.importDevices(connectionId, devices),
+);
+handle('simulation-list-datasets', () => datasetStore.list());
+handle('simulation-delete-dataset', (id: string) => datasetStore.delete(id));
+
+handle('simulation-import-dataset', async () => {
+  const options = {
+    properties: ['openFile' as const],
+    filters: [{ name: 'CSV', extensions: ['csv', 'tsv', 'txt'] }],
+  };
+  const result = mainWindow
+    ? await dialog.showOpenDialog(mainWindow, options)
+    : await dialog.showOpenDialog(options);
+  if (result.canceled || result.filePaths.length === 0) return null;
+  return datasetStore.importCsv(result.filePaths[0]);
+});
+
 app.on('ready', () => {
   // Splash first, then the main window once it has had a moment to paint.
   createSplashWindow();
   setTimeout(createWindow, 100);
 });
 
+// Recordings have to be closed out (gzip trailer, index) before the process
+// exits, so quitting waits for the shutdown once.
+let shutdown: Promise<void> | null = null;
+let shutdownDone = false;
+
+function stopEverything(): Promise<void> {
+  shutdown ??= Promise.allSettled([
+    recordingStore.stopAll(),
+    simulationEngine.stopAll(),
+    sparkplugNodes.stopAll(),
+  ])
+    .then(() => mqttManager.disconnectAll())
+    .catch((error) => console.error('Shutdown failed:', error))
+    .finally(() => {
+      shutdown = null;
+    });
+  return shutdown;
+}
+
+app.on('before-quit', (event) => {
+  if (shutdownDone) return;
+  event.preventDefault();
+  stopEverything().then(() => {
+    shutdownDone = true;
+    app.quit();
+  });
+});
+
 app.on('window-all-closed', () => {
-  mqttManager.disconnectAll();
   if (process.platform !== 'darwin') {
     app.quit();
+  } else {
+    stopEverything();
   }
 });
 
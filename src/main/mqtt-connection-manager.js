@@ -1,5 +1,13 @@
 import mqtt from 'mqtt';
 import { EventEmitter } from 'events';
+import { ReconnectPolicy } from './reconnect-policy';
+import {
+  buildConventionPayload,
+  createRequestId,
+  expandResponseTopic,
+  isResponseTo,
+  resolveRequestOptions
+} from './request-response';
 
 class MQTTConnection extends EventEmitter {
   constructor(id, config) {
@@ -10,8 +18,14 @@ class MQTTConnection extends EventEmitter {
     this.isConnected = false;
     this.subscriptions = new Map();
     this.eventHandlers = new Map();
+    this.pendingRequests = new Map(); // requestId -> { request, resolve, reject }
+    this.requestSubscriptions = new Map(); // reply topic -> { count, qos, ready }
+    this.reconnectPolicy = new ReconnectPolicy(config.reconnect);
     this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 3;
+    this.maxReconnectAttempts = this.reconnectPolicy.maxAttempts;
+    this.reconnectTimer = null;
+    this.hasConnected = false; // reconnects only apply once a session was established
+    this.lastError = null;
     this.isDestroyed = false;
     this.connectionStats = {
       messagesReceived: 0,
@@ -46,12 +60,23 @@ connect() {
 
       console.log(`Connecting to broker: ${brokerUrl}`);
 
+      // A reconnect from the renderer after the policy gave up reuses this object.
+      this.teardownClient();
+      this.subscriptions.clear();
+      this.reconnectPolicy = new ReconnectPolicy(this.config.reconnect);
+      this.maxReconnectAttempts = this.reconnectPolicy.maxAttempts;
+      this.reconnectAttempts = 0;
+      this.hasConnected = false;
+
       const options = {
         clientId: this.config.clientId || `mqttlooter_${Math.random().toString(36).substr(2, 9)}`,
         clean: this.config.clean !== undefined ? this.config.clean : true,
         keepalive: this.config.keepalive || 60,
         connectTimeout: this.config.connectTimeout || 30000,
         reconnectPeriod: 0,
+        // mqtt.js would resend every SUBSCRIBE on reconnect on top of ours,
+        // delivering retained messages twice; the reconnect policy decides.
+        resubscribe: false,
         protocolVersion: this.config.protocolVersion || 4
       };
 
@@ -195,27 +220,61 @@ connect() {
           clearTimeout(connectionTimeout);
           if (this.isDestroyed) return;
           
+          const isReconnect = this.hasConnected;
+          const reconnectAttempts = this.reconnectAttempts;
           this.isConnected = true;
+          this.hasConnected = true;
           this.reconnectAttempts = 0;
-          this.connectionStats.connectionStartTime = Date.now();
+          this.lastError = null;
+          if (!isReconnect) this.connectionStats.connectionStartTime = Date.now();
           
           const connectionData = {
             id: this.id,
             connack,
-            protocolVersion: this.config.protocolVersion || 4
+            protocolVersion: this.config.protocolVersion || 4,
+            ...(isReconnect && { reconnected: true, reconnectAttempts })
           };
 
-          // Auto-subscribe to configured topics
-          if (this.config.subscriptions && Array.isArray(this.config.subscriptions)) {
-            for (const subscription of this.config.subscriptions) {
-              if (subscription.topic && subscription.topic.trim()) {
-                try {
-                  await this.subscribe(subscription.topic, subscription.qos || 0);
-                } catch (error) {
-                  console.error(`Failed to auto-subscribe to ${subscription.topic}:`, error);
+          if (!isReconnect) {
+            // Auto-subscribe to configured topics
+            if (this.config.subscriptions && Array.isArray(this.config.subscriptions)) {
+              for (const subscription of this.config.subscriptions) {
+                if (subscription.topic && subscription.topic.trim()) {
+                  try {
+                    await this.subscribe(
+                      subscription.topic,
+                      subscription.qos || 0,
+                      subscription.subscriptionIdentifier
+                        ? { subscriptionIdentifier: subscription.subscriptionIdentifier }
+                        : {},
+                      subscription
+                    );
+                  } catch (error) {
+                    console.error(`Failed to auto-subscribe to ${subscription.topic}:`, error);
+                  }
                 }
               }
             }
+          } else if (this.reconnectPolicy.resubscribe && !connack?.sessionPresent) {
+            // The broker dropped our session; restore everything we had before the outage.
+            for (const [topic, sub] of Array.from(this.subscriptions.entries())) {
+              try {
+                await this.subscribe(topic, sub.qos || 0, sub.properties || {}, sub.options || {});
+              } catch (error) {
+                console.error(`Failed to resubscribe to ${topic}:`, error);
+              }
+            }
+          }
+          if (isReconnect && !connack?.sessionPresent) {
+            // Requests still waiting need their reply topics back, whatever the policy.
+            for (const [topic, entry] of Array.from(this.requestSubscriptions.entries())) {
+              if (this.subscriptions.has(topic)) continue;
+              try {
+                await this.subscribeResponseTopic(topic, entry.qos);
+              } catch (error) {
+                console.error(`Failed to resubscribe to reply topic ${topic}:`, error.message);
+              }
+            }
           }
 
           this.emit('connected', connectionData);
@@ -226,11 +285,14 @@ connect() {
           clearTimeout(connectionTimeout);
           if (this.isDestroyed) return;
           
+          this.lastError = error.message;
           this.emit('error', { 
             id: this.id, 
             error: error.message,
             code: error.code,
-            protocolVersion: this.config.protocolVersion
+            protocolVersion: this.config.protocolVersion,
+            // The close that follows will be retried; the renderer keeps its state.
+            reconnecting: this.hasConnected && this.reconnectPolicy.canRetry(this.reconnectAttempts)
           });
           
           if (!this.isConnected) {
@@ -243,7 +305,16 @@ connect() {
           if (this.isDestroyed) return;
           
           this.isConnected = false;
-          this.emit('disconnected', { id: this.id });
+          if (this.reconnectTimer) return; // attempt already scheduled
+          if (this.hasConnected && this.scheduleReconnect()) return;
+
+          this.emit('disconnected', {
+            id: this.id,
+            ...(this.reconnectAttempts > 0 && {
+              reconnectAttempts: this.reconnectAttempts,
+              error: this.lastError
+            })
+          });
         };
 
         const messageHandler = (topic, message, packet) => {
@@ -253,11 +324,22 @@ connect() {
           this.connectionStats.lastMessageTime = Date.now();
           this.connectionStats.bytesReceived += message.length;
 
+          if (this.pendingRequests.size > 0) {
+            this.settleRequests(topic, message, packet);
+          }
+
+          // Forward the raw Buffer (arrives as a Uint8Array in the renderer) so
+          // binary payloads survive; the packet is sent without its payload copy.
           this.emit('message', {
             id: this.id,
             topic,
-            message: message.toString(),
-            packet,
+            payload: message,
+            packet: {
+              cmd: packet.cmd,
+              messageId: packet.messageId,
+              dup: packet.dup,
+              properties: packet.properties
+            },
             timestamp: Date.now(),
             qos: packet.qos,
             retain: packet.retain,
@@ -282,9 +364,66 @@ connect() {
     });
   }
 
-  disconnect() {
+  /**
+   * Schedule the next reconnect attempt per the policy. Returns false when the
+   * policy is disabled or out of attempts, in which case the caller reports a
+   * final disconnect.
+   */
+  scheduleReconnect() {
+    if (!this.client || !this.reconnectPolicy.canRetry(this.reconnectAttempts)) {
+      return false;
+    }
+
+    this.reconnectAttempts++;
+    const delay = this.reconnectPolicy.getDelay(this.reconnectAttempts);
+
+    this.emit('reconnecting', {
+      id: this.id,
+      attempt: this.reconnectAttempts,
+      maxAttempts: this.reconnectPolicy.maxAttempts,
+      delay,
+      nextAttemptAt: Date.now() + delay,
+      error: this.lastError || undefined,
+      protocolVersion: this.config.protocolVersion || 4
+    });
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.isDestroyed || !this.client) return;
+      console.log(`Reconnect attempt ${this.reconnectAttempts} for ${this.id}`);
+      this.client.reconnect();
+    }, delay);
+
+    return true;
+  }
+
+  cancelReconnect() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+  }
+
+  // Drop a previous client (and its listeners) before creating a new one.
+  teardownClient() {
+    this.cancelReconnect();
+    if (!this.client) return;
+    this.eventHandlers.forEach((handler, event) => {
+      this.client.removeListener(event, handler);
+    });
+    this.eventHandlers.clear();
+    this.client.end(true);
+    this.client = null;
+    this.isConnected = false;
+  }
+
+  // A graceful disconnect sends DISCONNECT, so the broker discards the will;
+  // the default force-closes the socket.
+  disconnect(graceful = false) {
     return new Promise((resolve) => {
       this.isDestroyed = true;
+      this.cancelReconnect();
+      this.failPendingRequests(new Error('Connection closed'));
       
       if (this.client) {
         this.eventHandlers.forEach((handler, event) => {
@@ -292,7 +431,7 @@ connect() {
         });
         this.eventHandlers.clear();
 
-        this.client.end(true, {}, () => {
+        this.client.end(!graceful, {}, () => {
           this.client = null;
           this.isConnected = false;
           this.subscriptions.clear();
@@ -313,31 +452,62 @@ connect() {
     });
   }
 
-  subscribe(topic, qos = 0, properties = {}) {
+  // `options` carries the MQTT 5 subscription options (noLocal, retainAsPublished,
+  // retainHandling); they are ignored on 3.1.1 connections.
+  subscribe(topic, qos = 0, properties = {}, options = {}) {
     return new Promise((resolve, reject) => {
       if (!this.client || !this.isConnected || this.isDestroyed) {
         reject(new Error('Not connected'));
         return;
       }
 
+      const isV5 = this.config.protocolVersion === 5;
       const subscribeOptions = { qos };
-      if (this.config.protocolVersion === 5 && Object.keys(properties).length > 0) {
-        subscribeOptions.properties = properties;
+      const subscriptionOptions = {};
+      if (isV5) {
+        if (Object.keys(properties).length > 0) {
+          subscribeOptions.properties = properties;
+        }
+        subscriptionOptions.noLocal = !!options.noLocal;
+        subscriptionOptions.retainAsPublished = !!options.retainAsPublished;
+        subscriptionOptions.retainHandling = options.retainHandling || 0;
+        subscribeOptions.nl = subscriptionOptions.noLocal;
+        subscribeOptions.rap = subscriptionOptions.retainAsPublished;
+        subscribeOptions.rh = subscriptionOptions.retainHandling;
       }
 
-      this.client.subscribe(topic, subscribeOptions, (err, granted) => {
-        if (err) {
+      this.client.subscribe(topic, subscribeOptions, (err, granted, packet) => {
+        // The SUBACK return code is the granted QoS, or >= 0x80 for a rejection.
+        const grantedQos = err
+          ? packet?.granted?.[0]
+          : (granted?.[0]?.qos ?? qos);
+        const rejected = !!err;
+        const subscriptionData = {
+          id: this.id,
+          topic,
+          qos,
+          grantedQos,
+          granted,
+          rejected,
+          downgraded: !rejected && typeof grantedQos === 'number' && grantedQos < qos,
+          properties,
+          options: subscriptionOptions,
+          ...(rejected && { reasonCode: grantedQos, error: err.message }),
+          protocolVersion: this.config.protocolVersion || 4
+        };
+
+        this.emit('subscribed', subscriptionData);
+
+        if (rejected) {
           reject(err);
         } else {
-          this.subscriptions.set(topic, { qos, properties, granted });
-          const subscriptionData = {
-            id: this.id,
-            topic,
+          this.subscriptions.set(topic, {
             qos,
-            granted,
-            protocolVersion: this.config.protocolVersion || 4
-          };
-          this.emit('subscribed', subscriptionData);
+            grantedQos,
+            properties,
+            options: subscriptionOptions,
+            granted
+          });
           resolve(subscriptionData);
         }
       });
@@ -355,18 +525,28 @@ connect() {
         ? { properties } 
         : undefined;
 
+      const unsubscribed = () => {
+        this.subscriptions.delete(topic);
+        const unsubscriptionData = {
+          id: this.id,
+          topic,
+          protocolVersion: this.config.protocolVersion || 4
+        };
+        this.emit('unsubscribed', unsubscriptionData);
+        resolve(unsubscriptionData);
+      };
+
+      // A pending request still listens on this topic; its release unsubscribes.
+      if (this.requestSubscriptions.has(topic)) {
+        unsubscribed();
+        return;
+      }
+
       this.client.unsubscribe(topic, unsubscribeOptions, (err) => {
         if (err) {
           reject(err);
         } else {
-          this.subscriptions.delete(topic);
-          const unsubscriptionData = {
-            id: this.id,
-            topic,
-            protocolVersion: this.config.protocolVersion || 4
-          };
-          this.emit('unsubscribed', unsubscriptionData);
-          resolve(unsubscriptionData);
+          unsubscribed();
         }
       });
     });
@@ -386,10 +566,20 @@ connect() {
       };
 
       if (this.config.protocolVersion === 5 && options.properties) {
-        publishOptions.properties = options.properties;
+        publishOptions.properties = { ...options.properties };
+        // Binary properties arrive from IPC as Uint8Array; mqtt-packet wants Buffers.
+        const { correlationData } = publishOptions.properties;
+        if (correlationData && !Buffer.isBuffer(correlationData)) {
+          publishOptions.properties.correlationData = Buffer.from(correlationData);
+        }
+      }
+
+      // Raw bytes cross IPC as a Uint8Array; mqtt.js only treats Buffers as binary.
+      if (message instanceof Uint8Array && !Buffer.isBuffer(message)) {
+        message = Buffer.from(message);
       }
 
-      this.client.publish(topic, message, publishOptions, (err, packet) => {
+      this.client.publish(topic, message, publishOptions, (err) => {
         if (err) {
           reject(err);
         } else {
@@ -412,6 +602,169 @@ connect() {
     });
   }
 
+  /**
+   * Publish a request and wait for the matching reply. The reply topic is
+   * subscribed for the duration of the request unless a regular subscription
+   * already covers exactly that topic. Resolves with status 'timeout' when no
+   * reply arrives in time.
+   */
+  async request(topic, message, options = {}) {
+    if (!this.client || !this.isConnected || this.isDestroyed) {
+      throw new Error('Not connected');
+    }
+
+    const opts = resolveRequestOptions(options);
+    const isV5 = this.config.protocolVersion === 5;
+    if (opts.mode === 'mqtt5' && !isV5) {
+      throw new Error('MQTT 5 request/response needs an MQTT 5 connection; use the topic convention instead');
+    }
+
+    const requestId = createRequestId();
+    const correlationId = requestId;
+    const responseTopic = expandResponseTopic(opts.responseTopic, {
+      clientId: this.client.options.clientId,
+      requestId,
+      topic
+    });
+
+    let payload = message;
+    const publishOptions = { qos: opts.qos, retain: false };
+    if (opts.mode === 'mqtt5') {
+      publishOptions.properties = {
+        ...(opts.properties || {}),
+        responseTopic,
+        correlationData: Buffer.from(correlationId)
+      };
+    } else {
+      payload = buildConventionPayload(message, responseTopic, correlationId, opts);
+    }
+
+    const request = {
+      mode: opts.mode,
+      responseTopic,
+      correlationId,
+      correlationField: opts.correlationField,
+      uniqueTopic: opts.responseTopic.includes('{requestId}')
+    };
+
+    await this.acquireResponseSubscription(responseTopic, opts.qos);
+    let sentAt = Date.now();
+    try {
+      const reply = await new Promise((resolve, reject) => {
+        let timer = null;
+        const settle = (fn) => {
+          clearTimeout(timer);
+          this.pendingRequests.delete(requestId);
+          fn();
+        };
+        timer = setTimeout(() => settle(() => resolve(null)), opts.timeout);
+        this.pendingRequests.set(requestId, {
+          request,
+          resolve: (value) => settle(() => resolve(value)),
+          reject: (error) => settle(() => reject(error))
+        });
+
+        // Registered before publishing: a fast responder can beat our PUBACK.
+        sentAt = Date.now();
+        this.publish(topic, payload, publishOptions).catch((error) => {
+          this.pendingRequests.get(requestId)?.reject(error);
+        });
+      });
+
+      return {
+        requestId,
+        topic,
+        responseTopic,
+        correlationId,
+        sentAt,
+        status: reply ? 'ok' : 'timeout',
+        ...(reply && { latency: reply.receivedAt - sentAt, response: reply.response })
+      };
+    } finally {
+      await this.releaseResponseSubscription(responseTopic);
+    }
+  }
+
+  settleRequests(topic, message, packet) {
+    const receivedAt = Date.now();
+    for (const pending of Array.from(this.pendingRequests.values())) {
+      if (!isResponseTo(pending.request, topic, message, packet.properties)) continue;
+      pending.resolve({
+        receivedAt,
+        response: {
+          topic,
+          payload: message,
+          qos: packet.qos,
+          retain: packet.retain,
+          properties: packet.properties
+        }
+      });
+      return; // one reply answers one request
+    }
+  }
+
+  failPendingRequests(error) {
+    for (const pending of Array.from(this.pendingRequests.values())) {
+      pending.reject(error);
+    }
+    this.requestSubscriptions.clear();
+  }
+
+  // Reply-topic subscriptions are shared between concurrent requests and
+  // reference counted. They are kept apart from the user's subscriptions: no
+  // 'subscribed' events, and a user subscription to the same topic is neither
+  // duplicated nor dropped when the last request lets go.
+  async acquireResponseSubscription(topic, qos) {
+    const entry = this.requestSubscriptions.get(topic);
+    if (entry) {
+      entry.count++;
+      await entry.ready;
+      return;
+    }
+
+    const ready = this.subscriptions.has(topic)
+      ? Promise.resolve()
+      : this.subscribeResponseTopic(topic, qos);
+    this.requestSubscriptions.set(topic, { count: 1, qos, ready });
+    try {
+      await ready;
+    } catch (error) {
+      this.requestSubscriptions.delete(topic);
+      throw error;
+    }
+  }
+
+  async releaseResponseSubscription(topic) {
+    const entry = this.requestSubscriptions.get(topic);
+    if (!entry) return;
+    if (--entry.count > 0) return;
+    this.requestSubscriptions.delete(topic);
+    if (this.subscriptions.has(topic) || !this.client || !this.isConnected) return;
+
+    await new Promise((resolve) => {
+      this.client.unsubscribe(topic, (err) => {
+        if (err) console.error(`Failed to drop reply subscription ${topic}:`, err.message);
+        resolve();
+      });
+    });
+  }
+
+  subscribeResponseTopic(topic, qos) {
+    return new Promise((resolve, reject) => {
+      if (!this.client || !this.isConnected || this.isDestroyed) {
+        reject(new Error('Not connected'));
+        return;
+      }
+      this.client.subscribe(topic, { qos }, (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
   getStatus() {
     return {
       id: this.id,
@@ -420,6 +773,7 @@ connect() {
       subscriptions: Object.fromEntries(this.subscriptions),
       reconnectAttempts: this.reconnectAttempts,
       maxReconnectAttempts: this.maxReconnectAttempts,
+      isReconnecting: this.reconnectTimer !== null,
       isDestroyed: this.isDestroyed,
       protocolVersion: this.config.protocolVersion || 4,
       statistics: {
@@ -490,7 +844,10 @@ class MQTTConnectionManager extends EventEmitter {
     
     if (connection) {
       await connection.disconnect();
-      
+      // The connection's own close handler is already detached, so announce
+      // the user's disconnect here for recordings, simulations and nodes.
+      this.emit('disconnected', { id });
+
       const handlers = this.connectionHandlers.get(id);
       if (handlers) {
         Object.entries(handlers).forEach(([event, handler]) => {
@@ -506,12 +863,12 @@ class MQTTConnectionManager extends EventEmitter {
     return false;
   }
 
-  async subscribe(id, topic, qos = 0, properties = {}) {
+  async subscribe(id, topic, qos = 0, properties = {}, options = {}) {
     const connection = this.connections.get(id);
     if (!connection) {
       throw new Error(`Connection ${id} not found`);
     }
-    return await connection.subscribe(topic, qos, properties);
+    return await connection.subscribe(topic, qos, properties, options);
   }
 
   async unsubscribe(id, topic, properties = {}) {
@@ -530,6 +887,14 @@ class MQTTConnectionManager extends EventEmitter {
     return await connection.publish(topic, message, options);
   }
 
+  async request(id, topic, message, options = {}) {
+    const connection = this.connections.get(id);
+    if (!connection) {
+      throw new Error(`Connection ${id} not found`);
+    }
+    return await connection.request(topic, message, options);
+  }
+
   getConnection(id) {
     return this.connections.get(id);
   }
@@ -0,0 +1,161 @@
+import { EventEmitter } from 'events';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import mqtt from 'mqtt';
+import { MQTTConnection, MQTTConnectionManager } from './mqtt-connection-manager';
+
+vi.mock('mqtt', () => ({ default: { connect: vi.fn() } }));
+
+// Stands in for an mqtt.js client whose requests succeed straight away.
+function fakeClient() {
+  return {
+    removeListener: vi.fn(),
+    end: vi.fn((force, options, callback) => callback()),
+    subscribe: vi.fn((topic, options, callback) => callback(null, [{ topic, qos: options.qos }])),
+    unsubscribe: vi.fn((topic, ...rest) => rest.at(-1)(null)),
+  };
+}
+
+function connectedConnection() {
+  const connection = new MQTTConnection('c1', { subscriptions: [] });
+  connection.client = fakeClient();
+  connection.isConnected = true;
+  return connection;
+}
+
+describe('MQTTConnectionManager.disconnect', () => {
+  it('emits disconnected when the user disconnects', async () => {
+    const manager = new MQTTConnectionManager();
+    const connection = manager.createConnection('c1', { subscriptions: [] });
+    connection.client = fakeClient();
+    connection.isConnected = true;
+    const disconnected = vi.fn();
+    manager.on('disconnected', disconnected);
+
+    await expect(manager.disconnect('c1')).resolves.toBe(true);
+
+    expect(disconnected).toHaveBeenCalledTimes(1);
+    expect(disconnected).toHaveBeenCalledWith({ id: 'c1' });
+    expect(connection.client).toBeNull();
+    expect(manager.getConnection('c1')).toBeUndefined();
+  });
+
+  it('does not emit for an unknown connection', async () => {
+    const manager = new MQTTConnectionManager();
+    const disconnected = vi.fn();
+    manager.on('disconnected', disconnected);
+
+    await expect(manager.disconnect('missing')).resolves.toBe(false);
+    expect(disconnected).not.toHaveBeenCalled();
+  });
+});
+
+describe('MQTTConnection reply subscriptions', () => {
+  it('are kept apart from the user subscriptions', async () => {
+    const connection = connectedConnection();
+    const subscribed = vi.fn();
+    connection.on('subscribed', subscribed);
+
+    await connection.acquireResponseSubscription('replies/1', 1);
+    await connection.acquireResponseSubscription('replies/1', 1);
+    expect(connection.client.subscribe).toHaveBeenCalledTimes(1);
+    expect(connection.subscriptions.size).toBe(0);
+    expect(subscribed).not.toHaveBeenCalled();
+
+    await connection.releaseResponseSubscription('replies/1');
+    expect(connection.client.unsubscribe).not.toHaveBeenCalled();
+    await connection.releaseResponseSubscription('replies/1');
+    expect(connection.client.unsubscribe).toHaveBeenCalledTimes(1);
+    expect(connection.requestSubscriptions.size).toBe(0);
+  });
+
+  it('leave a user subscription to the same topic alone', async () => {
+    const connection = connectedConnection();
+    await connection.subscribe('replies/1', 0);
+
+    await connection.acquireResponseSubscription('replies/1', 1);
+    await connection.releaseResponseSubscription('replies/1');
+
+    expect(connection.client.subscribe).toHaveBeenCalledTimes(1);
+    expect(connection.client.unsubscribe).not.toHaveBeenCalled();
+    expect(connection.subscriptions.has('replies/1')).toBe(true);
+  });
+
+  it('outlive a user unsubscribe until the request lets go', async () => {
+    const connection = connectedConnection();
+    await connection.subscribe('replies/1', 0);
+    await connection.acquireResponseSubscription('replies/1', 1);
+
+    await connection.unsubscribe('replies/1');
+    expect(connection.client.unsubscribe).not.toHaveBeenCalled();
+    expect(connection.subscriptions.has('replies/1')).toBe(false);
+
+    await connection.releaseResponseSubscription('replies/1');
+    expect(connection.client.unsubscribe).toHaveBeenCalledTimes(1);
+  });
+});
+
+// An mqtt.js client driven by the test: it connects and drops when told to.
+function brokerClient() {
+  const client = Object.assign(new EventEmitter(), fakeClient());
+  client.options = { clientId: 'test' };
+  client.reconnect = vi.fn();
+  return client;
+}
+
+describe('MQTTConnection reconnect', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('sends exactly one SUBSCRIBE per topic after the session was lost', async () => {
+    vi.useFakeTimers();
+    const client = brokerClient();
+    mqtt.connect.mockReturnValue(client);
+    const connection = new MQTTConnection('c1', {
+      brokerUrl: 'mqtt://broker',
+      subscriptions: [{ topic: 'sensors/#', qos: 1 }],
+      reconnect: { initialDelay: 100, jitter: 0 },
+    });
+
+    const connecting = connection.connect();
+    client.emit('connect', { sessionPresent: false });
+    await connecting;
+    await connection.acquireResponseSubscription('replies/1', 0);
+    expect(mqtt.connect.mock.calls[0][1]).toMatchObject({ resubscribe: false });
+    client.subscribe.mockClear();
+
+    client.emit('close');
+    await vi.advanceTimersByTimeAsync(100);
+    expect(client.reconnect).toHaveBeenCalledTimes(1);
+    const reconnected = new Promise((resolve) => connection.once('connected', resolve));
+    client.emit('connect', { sessionPresent: false });
+    await reconnected;
+
+    const topics = client.subscribe.mock.calls.map(([topic]) => topic);
+    expect(topics.sort()).toEqual(['replies/1', 'sensors/#']);
+  });
+
+  it('leaves a kept session alone', async () => {
+    vi.useFakeTimers();
+    const client = brokerClient();
+    mqtt.connect.mockReturnValue(client);
+    const connection = new MQTTConnection('c1', {
+      brokerUrl: 'mqtt://broker',
+      subscriptions: [{ topic: 'sensors/#', qos: 1 }],
+      reconnect: { initialDelay: 100, jitter: 0 },
+    });
+
+    const connecting = connection.connect();
+    client.emit('connect', { sessionPresent: false });
+    await connecting;
+    client.subscribe.mockClear();
+
+    client.emit('close');
+    await vi.advanceTimersByTimeAsync(100);
+    const reconnected = new Promise((resolve) => connection.once('connected', resolve));
+    client.emit('connect', { sessionPresent: true });
+    await reconnected;
+
+    expect(client.subscribe).not.toHaveBeenCalled();
+  });
+});
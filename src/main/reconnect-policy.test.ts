@@ -0,0 +1,46 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { DEFAULT_RECONNECT_OPTIONS, ReconnectPolicy } from './reconnect-policy';
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('ReconnectPolicy', () => {
+  it('fills in defaults, ignoring unset options', () => {
+    const policy = new ReconnectPolicy({ initialDelay: 500, maxDelay: undefined });
+    expect(policy.options).toEqual({ ...DEFAULT_RECONNECT_OPTIONS, initialDelay: 500 });
+  });
+
+  it('backs off exponentially up to maxDelay', () => {
+    const policy = new ReconnectPolicy({
+      initialDelay: 1000,
+      multiplier: 2,
+      maxDelay: 5000,
+      jitter: 0,
+    });
+    expect([1, 2, 3, 4, 10].map((attempt) => policy.getDelay(attempt))).toEqual([
+      1000, 2000, 4000, 5000, 5000,
+    ]);
+  });
+
+  it('spreads delays by the jitter fraction, still capped', () => {
+    const policy = new ReconnectPolicy({ initialDelay: 1000, maxDelay: 1100, jitter: 0.2 });
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    expect(policy.getDelay(1)).toBe(800);
+    vi.spyOn(Math, 'random').mockReturnValue(0.999999);
+    expect(policy.getDelay(1)).toBe(1100);
+  });
+
+  it('retries forever when maxAttempts is 0', () => {
+    const policy = new ReconnectPolicy({ maxAttempts: 0 });
+    expect(policy.canRetry(1_000_000)).toBe(true);
+  });
+
+  it('stops after maxAttempts, or at once when disabled', () => {
+    const limited = new ReconnectPolicy({ maxAttempts: 3 });
+    expect(limited.canRetry(2)).toBe(true);
+    expect(limited.canRetry(3)).toBe(false);
+    expect(new ReconnectPolicy({ maxAttempts: -1 }).maxAttempts).toBe(0);
+    expect(new ReconnectPolicy({ enabled: false }).canRetry(0)).toBe(false);
+  });
+});
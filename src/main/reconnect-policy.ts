@@ -0,0 +1,59 @@
+import type { ReconnectOptions } from '../shared/ipc';
+
+export const DEFAULT_RECONNECT_OPTIONS: Required<ReconnectOptions> = {
+  enabled: true,
+  initialDelay: 1000,
+  maxDelay: 30000,
+  multiplier: 2,
+  jitter: 0.2,
+  maxAttempts: 0, // 0 = retry forever
+  resubscribe: true,
+};
+
+/**
+ * Exponential backoff with proportional jitter for MQTTConnection.
+ *
+ * Attempt n waits `initialDelay * multiplier^(n-1)`, capped at `maxDelay`, then
+ * spread by ±`jitter` (a 0–1 fraction) so a fleet of clients doesn't hammer a
+ * restarted broker in lockstep.
+ */
+export class ReconnectPolicy {
+  options: Required<ReconnectOptions>;
+
+  constructor(options: ReconnectOptions = {}) {
+    this.options = { ...DEFAULT_RECONNECT_OPTIONS };
+    for (const [key, value] of Object.entries(options)) {
+      if (value !== undefined && value !== null) {
+        (this.options as Record<string, unknown>)[key] = value;
+      }
+    }
+  }
+
+  get enabled(): boolean {
+    return this.options.enabled;
+  }
+
+  get maxAttempts(): number {
+    return Math.max(0, this.options.maxAttempts);
+  }
+
+  get resubscribe(): boolean {
+    return this.options.resubscribe;
+  }
+
+  /** Whether another attempt is allowed after `attemptsSoFar` failed ones. */
+  canRetry(attemptsSoFar: number): boolean {
+    if (!this.enabled) return false;
+    return this.maxAttempts === 0 || attemptsSoFar < this.maxAttempts;
+  }
+
+  /** Delay in ms before the given (1-based) attempt. */
+  getDelay(attempt: number): number {
+    const { initialDelay, maxDelay, multiplier, jitter } = this.options;
+    const exponent = Math.max(0, attempt - 1);
+    const base = Math.min(maxDelay, initialDelay * Math.pow(Math.max(1, multiplier), exponent));
+    const spread = Math.min(1, Math.max(0, jitter));
+    const factor = 1 - spread + Math.random() * spread * 2;
+    return Math.round(Math.min(maxDelay, Math.max(0, base * factor)));
+  }
+}
@@ -0,0 +1,172 @@
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { editRecordings, mergeByTimestamp } from './recording-edit';
+import { RecordingStore } from './recording-store';
+import type { RecordedMessageLine } from '../shared/ipc';
+
+let dir: string;
+let store: RecordingStore;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(join(tmpdir(), 'mqttlooter-edits-'));
+  store = new RecordingStore(dir);
+  await store.init();
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+function line(timestamp: number, topic: string, payload = ''): RecordedMessageLine {
+  return { timestamp, topic, payload, qos: 0, retain: false };
+}
+
+async function record(name: string, lines: RecordedMessageLine[]) {
+  return store.create({ name, connectionId: name, connectionName: name }, lines);
+}
+
+async function contents(id: string) {
+  const lines: RecordedMessageLine[] = [];
+  for await (const message of store.messages(id)) lines.push(message);
+  return lines;
+}
+
+async function* stream(lines: RecordedMessageLine[]) {
+  yield* lines;
+}
+
+describe('mergeByTimestamp', () => {
+  it('interleaves streams in time order, keeping source order on ties', async () => {
+    const merged: string[] = [];
+    for await (const message of mergeByTimestamp([
+      stream([line(1, 'a1'), line(3, 'a3'), line(3, 'a3b')]),
+      stream([line(0, 'b0'), line(3, 'b3'), line(9, 'b9')]),
+      stream([]),
+    ])) {
+      merged.push(message.topic);
+    }
+    expect(merged).toEqual(['b0', 'a1', 'a3', 'a3b', 'b3', 'b9']);
+  });
+});
+
+describe('editRecordings', () => {
+  it('trims to an inclusive range and shifts the timestamps', async () => {
+    const source = await record(
+      'src',
+      [1, 2, 3, 4, 5].map((t) => line(t, 'a')),
+    );
+
+    const [edited] = await editRecordings(store, {
+      sourceIds: [source.id],
+      trimStart: 2,
+      trimEnd: 4,
+      timeShift: 100,
+    });
+
+    expect((await contents(edited.id)).map((m) => m.timestamp)).toEqual([102, 103, 104]);
+    expect(edited).toMatchObject({ name: 'src (edited)', messageCount: 3, connectionId: 'src' });
+    expect(store.get(source.id).messageCount).toBe(5);
+  });
+
+  it('keeps included topics minus excluded ones', async () => {
+    const source = await record('src', [
+      line(1, 'plant/a/temp'),
+      line(2, 'plant/a/debug'),
+      line(3, 'plant/b/temp'),
+      line(4, 'office/temp'),
+    ]);
+
+    const [edited] = await editRecordings(store, {
+      sourceIds: [source.id],
+      includeTopics: ['plant/#', ''],
+      excludeTopics: ['+/+/debug'],
+    });
+
+    expect((await contents(edited.id)).map((m) => m.topic)).toEqual([
+      'plant/a/temp',
+      'plant/b/temp',
+    ]);
+  });
+
+  it('replaces text in text payloads only', async () => {
+    const binary = { ...line(2, 'raw', 'QUJD'), payloadEncoding: 'base64' as const };
+    const source = await record('src', [line(1, 'text', 'Unit A.1, unit a.2'), binary]);
+
+    const [edited] = await editRecordings(store, {
+      sourceIds: [source.id],
+      replace: [
+        { find: 'unit a.', replace: 'U-', ignoreCase: true },
+        { find: '(\\d)', replace: '#$1', regex: true },
+        { find: '', replace: 'ignored' },
+      ],
+    });
+
+    expect((await contents(edited.id)).map((m) => m.payload)).toEqual(['U-#1, U-#2', 'QUJD']);
+  });
+
+  it('rejects an invalid pattern', async () => {
+    const source = await record('src', [line(1, 'a')]);
+    await expect(
+      editRecordings(store, {
+        sourceIds: [source.id],
+        replace: [{ find: '(', replace: '', regex: true }],
+      }),
+    ).rejects.toThrow('Invalid find pattern "("');
+  });
+
+  it('merges several recordings by timestamp', async () => {
+    const first = await record('one', [line(1, 'a'), line(5, 'a')]);
+    const second = await record('two', [line(3, 'b'), line(7, 'b')]);
+
+    const [merged] = await editRecordings(store, { sourceIds: [first.id, second.id] });
+
+    expect((await contents(merged.id)).map((m) => m.timestamp)).toEqual([1, 3, 5, 7]);
+    expect(merged).toMatchObject({
+      name: 'Merged: one + two',
+      connectionId: '',
+      connectionName: 'one + two',
+      startTime: 1,
+      endTime: 7,
+    });
+  });
+
+  it('splits into two parts at the split point', async () => {
+    const source = await record(
+      'src',
+      [1, 2, 3, 4].map((t) => line(t, 'a')),
+    );
+
+    const parts = await editRecordings(store, { sourceIds: [source.id], name: 'cut', splitAt: 3 });
+
+    expect(parts.map((p) => p.name)).toEqual(['cut (part 1)', 'cut (part 2)']);
+    expect((await contents(parts[0].id)).map((m) => m.timestamp)).toEqual([1, 2]);
+    expect((await contents(parts[1].id)).map((m) => m.timestamp)).toEqual([3, 4]);
+  });
+
+  it('rejects ranges that keep nothing and cleans up after itself', async () => {
+    const source = await record('src', [line(1, 'a'), line(2, 'a')]);
+
+    await expect(
+      editRecordings(store, { sourceIds: [source.id], trimStart: 5, trimEnd: 4 }),
+    ).rejects.toThrow('Trim start must be before trim end');
+    await expect(
+      editRecordings(store, { sourceIds: [source.id], trimEnd: 4, splitAt: 9 }),
+    ).rejects.toThrow('Split point must fall inside the kept time range');
+    await expect(
+      editRecordings(store, { sourceIds: [source.id], splitAt: 2, includeTopics: ['b'] }),
+    ).rejects.toThrow('No messages left in part 1');
+    await expect(editRecordings(store, { sourceIds: [] })).rejects.toThrow('No recording selected');
+
+    expect(store.list().map((meta) => meta.id)).toEqual([source.id]);
+  });
+
+  it('refuses a recording that is still capturing', async () => {
+    const live = store.start({ connectionId: 'c1' });
+    await expect(editRecordings(store, { sourceIds: [live.id] })).rejects.toThrow(
+      'Stop the recording before editing it',
+    );
+    await store.stopAll();
+  });
+});
@@ -0,0 +1,152 @@
+import type {
+  PayloadReplaceRule,
+  RecordedMessageLine,
+  RecordingEditOptions,
+  RecordingMeta,
+} from '../shared/ipc';
+import { matchesAnyFilter } from '../shared/topic-filter';
+import type { RecordingStore } from './recording-store';
+
+// Recording edits stream the source files through a filter/transform pipeline
+// into new recordings; the sources are never modified.
+
+type Replacer = (payload: string) => string;
+
+function compileReplaceRules(rules: PayloadReplaceRule[] = []): Replacer[] {
+  return rules
+    .filter((rule) => rule.find)
+    .map((rule) => {
+      if (!rule.regex && !rule.ignoreCase) {
+        return (payload) => payload.split(rule.find).join(rule.replace);
+      }
+      const source = rule.regex ? rule.find : rule.find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      let pattern: RegExp;
+      try {
+        pattern = new RegExp(source, rule.ignoreCase ? 'gi' : 'g');
+      } catch (error) {
+        throw new Error(`Invalid find pattern "${rule.find}": ${(error as Error).message}`);
+      }
+      return (payload) => payload.replace(pattern, rule.replace);
+    });
+}
+
+/** Interleave several timestamp-ordered streams; ties keep source order. */
+export async function* mergeByTimestamp(
+  sources: AsyncIterable<RecordedMessageLine>[],
+): AsyncGenerator<RecordedMessageLine> {
+  const iterators = sources.map((source) => source[Symbol.asyncIterator]());
+  const heads = await Promise.all(iterators.map((it) => it.next()));
+  try {
+    for (;;) {
+      let next = -1;
+      heads.forEach((head, i) => {
+        if (!head.done && (next < 0 || head.value.timestamp < heads[next].value.timestamp)) {
+          next = i;
+        }
+      });
+      if (next < 0) return;
+      yield heads[next].value;
+      heads[next] = await iterators[next].next();
+    }
+  } finally {
+    await Promise.all(iterators.map((it) => it.return?.()));
+  }
+}
+
+/** Apply trim, topic filters, payload replacements and the time shift to a stream. */
+async function* applyEdits(
+  messages: AsyncIterable<RecordedMessageLine>,
+  options: RecordingEditOptions,
+  range: { from: number; until: number }, // [from, until)
+  replacers: Replacer[],
+): AsyncGenerator<RecordedMessageLine> {
+  const include = options.includeTopics?.filter(Boolean) ?? [];
+  const exclude = options.excludeTopics?.filter(Boolean) ?? [];
+  const shift = options.timeShift || 0;
+
+  for await (const message of messages) {
+    if (message.timestamp < range.from || message.timestamp >= range.until) continue;
+    if (include.length > 0 && !matchesAnyFilter(message.topic, include)) continue;
+    if (exclude.length > 0 && matchesAnyFilter(message.topic, exclude)) continue;
+
+    let payload = message.payload;
+    if (message.payloadEncoding !== 'base64') {
+      payload = replacers.reduce((text, replace) => replace(text), payload);
+    }
+    yield { ...message, payload, timestamp: message.timestamp + shift };
+  }
+}
+
+function describeSources(sources: RecordingMeta[]): Partial<RecordingMeta> {
+  if (sources.length === 1) {
+    const [source] = sources;
+    return { connectionId: source.connectionId, connectionName: source.connectionName };
+  }
+  const names = [...new Set(sources.map((s) => s.connectionName))];
+  const ids = [...new Set(sources.map((s) => s.connectionId))];
+  return { connectionId: ids.length === 1 ? ids[0] : '', connectionName: names.join(' + ') };
+}
+
+/**
+ * Write the edited recording(s) described by `options` and return them.
+ * Split edits read the sources once per part.
+ */
+export async function editRecordings(
+  store: RecordingStore,
+  options: RecordingEditOptions,
+): Promise<RecordingMeta[]> {
+  if (!options.sourceIds?.length) throw new Error('No recording selected');
+  const sources = options.sourceIds.map((id) => store.get(id));
+  if (sources.some((source) => source.status !== 'complete')) {
+    throw new Error('Stop the recording before editing it');
+  }
+  const replacers = compileReplaceRules(options.replace);
+
+  const from = options.trimStart ?? -Infinity;
+  const until = options.trimEnd != null ? options.trimEnd + 1 : Infinity;
+  if (from >= until) throw new Error('Trim start must be before trim end');
+
+  const baseName =
+    options.name?.trim() ||
+    (sources.length > 1
+      ? `Merged: ${sources.map((s) => s.name).join(' + ')}`
+      : `${sources[0].name} (edited)`);
+  const parts =
+    options.splitAt != null
+      ? [
+          { name: `${baseName} (part 1)`, from, until: Math.min(until, options.splitAt) },
+          { name: `${baseName} (part 2)`, from: Math.max(from, options.splitAt), until },
+        ]
+      : [{ name: baseName, from, until }];
+  if (parts.some((part) => part.from >= part.until)) {
+    throw new Error('Split point must fall inside the kept time range');
+  }
+
+  const info = {
+    ...describeSources(sources),
+    compressed: options.compress ?? sources.some((s) => s.compressed),
+  };
+  const created: RecordingMeta[] = [];
+  try {
+    for (const [index, part] of parts.entries()) {
+      const stream =
+        sources.length > 1
+          ? mergeByTimestamp(sources.map((s) => store.messages(s.id)))
+          : store.messages(sources[0].id);
+      const meta = await store.create(
+        { ...info, name: part.name },
+        applyEdits(stream, options, part, replacers),
+      );
+      created.push(meta);
+      if (meta.messageCount === 0) {
+        throw new Error(
+          parts.length > 1 ? `No messages left in part ${index + 1}` : 'No messages match the edit',
+        );
+      }
+    }
+  } catch (error) {
+    await Promise.all(created.map((meta) => store.delete(meta.id)));
+    throw error;
+  }
+  return created;
+}
@@ -0,0 +1,115 @@
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { exportRecordingFile, importRecordingFile, toRecordedMessageLine } from './recording-files';
+import { RecordingStore } from './recording-store';
+import type { RecordedMessageLine } from '../shared/ipc';
+
+let dir: string;
+let store: RecordingStore;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(join(tmpdir(), 'mqttlooter-files-'));
+  store = new RecordingStore(join(dir, 'store'));
+  await store.init();
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function importJson(name: string, data: unknown) {
+  const file = join(dir, name);
+  await fs.writeFile(file, JSON.stringify(data));
+  return importRecordingFile(store, file);
+}
+
+async function contents(id: string) {
+  const lines: RecordedMessageLine[] = [];
+  for await (const message of store.messages(id)) lines.push(message);
+  return lines;
+}
+
+describe('toRecordedMessageLine', () => {
+  it('accepts the older export shape', () => {
+    expect(
+      toRecordedMessageLine({
+        timestamp: '1970-01-01T00:00:01.000Z',
+        topic: 'a',
+        message: { on: true },
+        qos: '1',
+      }),
+    ).toEqual({ timestamp: 1000, topic: 'a', payload: '{"on":true}', qos: 1, retain: false });
+  });
+});
+
+describe('importRecordingFile', () => {
+  it('turns a message-panel topic export into a recording, oldest first', async () => {
+    const meta = await importJson('sensor.json', {
+      topic: 'plant/temp',
+      connectionName: 'Plant',
+      messages: [
+        { timestamp: '1970-01-01T00:00:02.000Z', payload: '21', qos: 1, retain: true },
+        { timestamp: '1970-01-01T00:00:01.000Z', payload: '20', qos: 1, retain: false },
+      ],
+    });
+
+    expect(meta).toMatchObject({
+      name: 'sensor (Imported)',
+      connectionName: 'Plant',
+      messageCount: 2,
+      startTime: 1000,
+      endTime: 2000,
+    });
+    expect(await contents(meta.id)).toEqual([
+      { timestamp: 1000, topic: 'plant/temp', payload: '20', qos: 1, retain: false },
+      { timestamp: 2000, topic: 'plant/temp', payload: '21', qos: 1, retain: true },
+    ]);
+  });
+
+  it('takes the last message of every topic from a topic-tree export', async () => {
+    const node = (fullPath: string, timestamp?: number) => ({
+      fullPath,
+      lastMessage: timestamp && { timestamp, payload: fullPath, qos: 0, retain: true },
+    });
+    const meta = await importJson('tree.json', {
+      trees: {
+        c1: { nodes: [node('a/b', 3000), node('a'), node('a/c', 1000)] },
+        c2: { nodes: [node('x', 2000)] },
+      },
+    });
+
+    expect((await contents(meta.id)).map((m) => [m.timestamp, m.topic])).toEqual([
+      [1000, 'a/c'],
+      [2000, 'x'],
+      [3000, 'a/b'],
+    ]);
+  });
+
+  it('round-trips recordings through JSON and gzipped NDJSON files', async () => {
+    const original = await store.create({ name: 'Original', connectionName: 'Broker' }, [
+      { timestamp: 1000, topic: 'text', payload: 'hé', qos: 0, retain: false },
+      {
+        timestamp: 2000,
+        topic: 'binary',
+        payload: 'AAE=',
+        payloadEncoding: 'base64',
+        qos: 2,
+        retain: true,
+      },
+    ]);
+
+    for (const file of ['out.json', 'out.ndjson.gz']) {
+      await exportRecordingFile(store, original.id, join(dir, file));
+      const imported = await importRecordingFile(store, join(dir, file));
+      expect(await contents(imported.id)).toEqual(await contents(original.id));
+    }
+  });
+
+  it('rejects JSON it does not recognise', async () => {
+    await expect(importJson('other.json', { hello: 'world' })).rejects.toThrow(
+      'Invalid recording file format',
+    );
+  });
+});
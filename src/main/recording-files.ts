@@ -0,0 +1,176 @@
+import { createReadStream, createWriteStream, promises as fs } from 'fs';
+import { basename } from 'path';
+import { createInterface } from 'readline';
+import { createGunzip, createGzip } from 'zlib';
+import type { RecordedMessageLine, RecordingMeta } from '../shared/ipc';
+import type { RecordingStore } from './recording-store';
+
+// Import/export between the store and user-chosen files. Two formats:
+//  - JSON `{ recordingInfo, messages }`, the format the app has always exported;
+//  - NDJSON, one RecordedMessageLine per line (gzip when the name ends in .gz).
+// Imports also accept the topic exports saved from the message panel and
+// topic-tree exports (last message per topic), so they can be analysed offline.
+
+function toTimestamp(value: unknown): number {
+  if (typeof value === 'number') return value;
+  const parsed = new Date(value as string).getTime();
+  return isNaN(parsed) ? Date.now() : parsed;
+}
+
+/** Accept both stored lines and the older export shape (ISO timestamps, `message`). */
+export function toRecordedMessageLine(raw: Record<string, any>): RecordedMessageLine {
+  const payload = raw.payload ?? raw.message ?? '';
+  return {
+    timestamp: toTimestamp(raw.timestamp),
+    topic: String(raw.topic ?? ''),
+    payload: typeof payload === 'string' ? payload : JSON.stringify(payload),
+    ...(raw.payloadEncoding === 'base64' && { payloadEncoding: 'base64' as const }),
+    qos: Number(raw.qos) || 0,
+    retain: !!raw.retain,
+    ...(raw.properties && { properties: raw.properties }),
+  };
+}
+
+function isGzip(filePath: string): boolean {
+  return filePath.toLowerCase().endsWith('.gz');
+}
+
+async function* readNdjson(filePath: string): AsyncGenerator<RecordedMessageLine> {
+  const input = createReadStream(filePath);
+  const source = isGzip(filePath) ? input.pipe(createGunzip()) : input;
+  const lines = createInterface({ input: source, crlfDelay: Infinity });
+  try {
+    for await (const line of lines) {
+      if (line.trim()) yield toRecordedMessageLine(JSON.parse(line));
+    }
+  } finally {
+    input.destroy();
+  }
+}
+
+interface ConvertedExport {
+  connectionName?: string;
+  messages: RecordedMessageLine[];
+}
+
+const byTimestamp = (a: RecordedMessageLine, b: RecordedMessageLine) => a.timestamp - b.timestamp;
+
+/** A single-topic export from the message panel (newest first). */
+function fromTopicExport(data: any): ConvertedExport | null {
+  if (typeof data?.topic !== 'string' || !Array.isArray(data.messages) || data.recordingInfo) {
+    return null;
+  }
+  return {
+    connectionName: data.connectionName,
+    messages: data.messages
+      .map((m: any) => toRecordedMessageLine({ ...m, topic: data.topic }))
+      .sort(byTimestamp),
+  };
+}
+
+/** `TopicTreeService.exportAll()` or a single `TopicTree.export()`: one message per topic. */
+function fromTreeExport(data: any): ConvertedExport | null {
+  const trees = data?.trees ? Object.values(data.trees) : Array.isArray(data?.nodes) ? [data] : [];
+  const messages: RecordedMessageLine[] = [];
+  for (const tree of trees as any[]) {
+    for (const node of tree?.nodes ?? []) {
+      const last = node?.lastMessage;
+      if (!last) continue;
+      messages.push(toRecordedMessageLine({ ...last, topic: last.topic || node.fullPath }));
+    }
+  }
+  if (trees.length === 0) return null;
+  return { messages: messages.sort(byTimestamp) };
+}
+
+export async function importRecordingFile(
+  store: RecordingStore,
+  filePath: string,
+): Promise<RecordingMeta> {
+  const name = basename(filePath).replace(/\.(json|ndjson)(\.gz)?$/i, '');
+
+  if (/\.json$/i.test(filePath)) {
+    const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    const converted = fromTopicExport(data) ?? fromTreeExport(data);
+    if (converted) {
+      return store.create(
+        { name: `${name} (Imported)`, connectionName: converted.connectionName },
+        converted.messages,
+      );
+    }
+    if (!data.recordingInfo || !Array.isArray(data.messages)) {
+      throw new Error('Invalid recording file format');
+    }
+    const info = data.recordingInfo;
+    return store.create(
+      {
+        name: `${info.name || name} (Imported)`,
+        connectionName: info.connectionName,
+        ...(info.startTime && { startTime: toTimestamp(info.startTime) }),
+        ...(info.endTime && { endTime: toTimestamp(info.endTime) }),
+      },
+      data.messages.map(toRecordedMessageLine),
+    );
+  }
+
+  return store.create(
+    { name: `${name} (Imported)`, compressed: isGzip(filePath) },
+    readNdjson(filePath),
+  );
+}
+
+export async function exportRecordingFile(
+  store: RecordingStore,
+  id: string,
+  filePath: string,
+): Promise<void> {
+  const meta = store.get(id);
+  const file = createWriteStream(filePath);
+  const gzip = isGzip(filePath) ? createGzip() : null;
+  if (gzip) gzip.pipe(file);
+  const out = gzip ?? file;
+
+  const write = async (chunk: string) => {
+    if (!out.write(chunk)) await new Promise<void>((resolve) => out.once('drain', () => resolve()));
+  };
+  const finished = new Promise<void>((resolve, reject) => {
+    file.once('close', resolve);
+    file.once('error', reject);
+  });
+
+  const asJson = /\.json$/i.test(filePath);
+  if (asJson) {
+    const recordingInfo = {
+      name: meta.name,
+      startTime: new Date(meta.startTime).toISOString(),
+      endTime: new Date(meta.endTime ?? meta.startTime).toISOString(),
+      duration: (meta.endTime ?? meta.startTime) - meta.startTime,
+      messageCount: meta.messageCount,
+      topic:
+        Object.keys(meta.topics).length === 1
+          ? Object.keys(meta.topics)[0]
+          : `${Object.keys(meta.topics).length} Topics`,
+      connectionName: meta.connectionName,
+    };
+    await write(`{"recordingInfo":${JSON.stringify(recordingInfo)},"messages":[\n`);
+  }
+
+  let first = true;
+  for await (const message of store.messages(id)) {
+    if (asJson) {
+      const entry = {
+        ...message,
+        timestamp: new Date(message.timestamp).toISOString(),
+        connectionId: meta.connectionId,
+      };
+      await write(`${first ? '' : ',\n'}${JSON.stringify(entry)}`);
+    } else {
+      await write(JSON.stringify(message) + '\n');
+    }
+    first = false;
+  }
+
+  if (asJson) await write('\n]}\n');
+  out.end();
+  await finished;
+}
@@ -0,0 +1,127 @@
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { RecordingStore } from './recording-store';
+import type { RecordedMessageLine, RecordingMeta } from '../shared/ipc';
+
+let dir: string;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(join(tmpdir(), 'mqttlooter-recordings-'));
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe('RecordingStore', () => {
+  it('completes the recordings of a connection that went away', async () => {
+    const store = new RecordingStore(dir);
+    await store.init();
+    const meta = store.start({ connectionId: 'c1', connectionName: 'Broker' });
+    store.capture({
+      id: 'c1',
+      topic: 'a/b',
+      payload: Buffer.from('hello'),
+      timestamp: Date.now(),
+      qos: 0,
+      retain: false,
+    });
+
+    await store.stopForConnection('c1');
+
+    expect(store.get(meta.id)).toMatchObject({ status: 'complete', messageCount: 1, bytes: 5 });
+  });
+
+  it('drops and counts messages once the disk falls too far behind', async () => {
+    const store = new RecordingStore(dir);
+    await store.init();
+    const meta = store.start({ connectionId: 'c1', connectionName: 'Broker' });
+    const payload = Buffer.alloc(1 << 20, 'x');
+    // Nothing reaches the disk while this loop runs, so every line stays queued.
+    for (let i = 0; i < 20; i++) {
+      store.capture({ id: 'c1', topic: 'a/b', payload, timestamp: i, qos: 0, retain: false });
+    }
+
+    await store.stop(meta.id);
+
+    const { messageCount, dropped } = store.get(meta.id);
+    expect(messageCount).toBe(16);
+    expect(dropped).toBe(4);
+    const { messages } = await store.read(meta.id, 0, 20);
+    expect(messages).toHaveLength(16);
+  });
+
+  it('pages from anywhere in a recording, filtered or not', async () => {
+    const store = new RecordingStore(dir);
+    await store.init();
+    const lines = Array.from(
+      { length: 2500 },
+      (_, i): RecordedMessageLine => ({
+        timestamp: i,
+        topic: i % 2 ? 'odd' : 'even',
+        payload: 'é'.repeat(i % 7),
+        qos: 0,
+        retain: false,
+      }),
+    );
+    for (const compressed of [false, true]) {
+      const meta = await store.create({ compressed }, lines);
+      const timestamps = async (offset: number, limit: number, topics?: string[]) =>
+        (await store.read(meta.id, offset, limit, topics)).messages.map((m) => m.timestamp);
+
+      expect(await timestamps(0, 3)).toEqual([0, 1, 2]);
+      expect(await timestamps(2100, 3)).toEqual([2100, 2101, 2102]);
+      expect((await store.read(meta.id, 0, 2500)).done).toBe(false);
+      expect(await timestamps(2200, 2)).toEqual([2200, 2201]);
+      expect(await timestamps(1001, 2)).toEqual([1001, 1002]);
+      expect(await timestamps(1100, 2, ['odd'])).toEqual([2201, 2203]);
+      expect(await timestamps(10, 2, ['odd'])).toEqual([21, 23]);
+      expect(await timestamps(1050, 1, ['odd'])).toEqual([2101]);
+      expect(await timestamps(2499, 5)).toEqual([2499]);
+    }
+  });
+
+  it('counts recovered payloads in bytes as received', async () => {
+    const meta: RecordingMeta = {
+      id: 'cut-short',
+      name: 'Cut short',
+      connectionId: 'c1',
+      connectionName: 'Broker',
+      startTime: 1000,
+      endTime: null,
+      messageCount: 0,
+      bytes: 0,
+      topics: {},
+      compressed: false,
+      status: 'recording',
+    };
+    const lines: RecordedMessageLine[] = [
+      { timestamp: 1001, topic: 'text', payload: 'héllo', qos: 0, retain: false },
+      {
+        timestamp: 1002,
+        topic: 'binary',
+        payload: Buffer.from([0, 1, 2, 3]).toString('base64'),
+        payloadEncoding: 'base64',
+        qos: 0,
+        retain: false,
+      },
+    ];
+    await fs.writeFile(join(dir, 'index.json'), JSON.stringify([meta]));
+    await fs.writeFile(
+      join(dir, 'cut-short.ndjson'),
+      lines.map((line) => JSON.stringify(line)).join('\n') + '\n',
+    );
+
+    const store = new RecordingStore(dir);
+    await store.init();
+
+    expect(store.get('cut-short')).toMatchObject({
+      status: 'complete',
+      messageCount: 2,
+      bytes: 6 + 4,
+      endTime: 1002,
+    });
+  });
+});
@@ -0,0 +1,543 @@
+import { EventEmitter } from 'events';
+import { createReadStream, createWriteStream, promises as fs, type WriteStream } from 'fs';
+import { join } from 'path';
+import { createInterface, type Interface } from 'readline';
+import { createGunzip, createGzip, type Gzip } from 'zlib';
+import type {
+  RecordedMessageLine,
+  RecordingMeta,
+  RecordingPage,
+  StartRecordingOptions,
+} from '../shared/ipc';
+import { decodeTextPayload } from '../shared/payload-text';
+
+const INDEX_FILE = 'index.json';
+const MAX_TRACKED_TOPICS = 10000;
+const PROGRESS_INTERVAL = 500; // ms between `progress` events per recording
+const CHECKPOINT_INTERVAL = 2000; // ms between index saves / gzip flushes while recording
+const MAX_OPEN_READERS = 4;
+const SEEK_INTERVAL = 1000; // filtered messages between remembered file offsets
+const MAX_QUEUED_BYTES = 16 * 1024 * 1024; // written but not yet on disk, per recording
+
+/** The fields of an `mqtt-message` event the store cares about. */
+interface CapturedMessage {
+  id: string;
+  topic: string;
+  payload: Buffer;
+  packet?: { properties?: Record<string, unknown> };
+  timestamp: number;
+  qos: number;
+  retain: boolean;
+}
+
+interface ActiveRecording {
+  meta: RecordingMeta;
+  file: WriteStream;
+  writer: WriteStream | Gzip;
+  lastProgress: number;
+}
+
+interface OpenReader {
+  recordingId: string;
+  filterKey: string;
+  position: number; // filtered messages consumed so far
+  byte: number; // file offset of the next line; only tracked for uncompressed files
+  lines: AsyncIterator<string>;
+  close: () => void;
+}
+
+/** Text payloads are stored as-is, anything else as base64 (as the renderer exports them). */
+function encodePayload(payload: Buffer): Pick<RecordedMessageLine, 'payload' | 'payloadEncoding'> {
+  const text = decodeTextPayload(payload);
+  if (text !== null) return { payload: text };
+  return { payload: payload.toString('base64'), payloadEncoding: 'base64' };
+}
+
+/** The size of a recorded payload as received, not of its encoded form. */
+function payloadBytes(message: RecordedMessageLine): number {
+  return Buffer.byteLength(
+    message.payload,
+    message.payloadEncoding === 'base64' ? 'base64' : 'utf8',
+  );
+}
+
+/** Packet properties in the JSON-safe shape the renderer's recordings use. */
+function serializeProperties(raw: Record<string, unknown> | undefined) {
+  if (!raw) return undefined;
+  const props: Record<string, unknown> = {};
+  for (const [key, value] of Object.entries(raw)) {
+    if (value === undefined || value === null) continue;
+    if (key === 'correlationData') {
+      props.correlationData = Buffer.from(value as Uint8Array).toString('base64');
+    } else if (key === 'subscriptionIdentifier') {
+      props.subscriptionIdentifiers = ([] as unknown[]).concat(value);
+    } else if (key === 'payloadFormatIndicator') {
+      props.payloadFormatIndicator = Boolean(value);
+    } else {
+      props[key] = value;
+    }
+  }
+  return Object.keys(props).length > 0 ? props : undefined;
+}
+
+function countTopic(meta: RecordingMeta, topic: string, count = 1): void {
+  if (topic in meta.topics) {
+    meta.topics[topic] += count;
+  } else if (Object.keys(meta.topics).length < MAX_TRACKED_TOPICS) {
+    meta.topics[topic] = count;
+  } else {
+    meta.topicsTruncated = true;
+  }
+}
+
+/**
+ * Recordings captured straight from MQTTConnection message events and appended
+ * to NDJSON files (optionally gzip) under the app data directory. Only the
+ * index lives in memory; messages are streamed back a page at a time.
+ *
+ * Emits `progress` (RecordingProgressData) while capturing and `changed`
+ * (RecordingMeta[]) whenever the index changes.
+ */
+export class RecordingStore extends EventEmitter {
+  private dir: string;
+  private recordings = new Map<string, RecordingMeta>();
+  private active = new Map<string, ActiveRecording>();
+  private readers: OpenReader[] = [];
+  // Per recording and topic filter: seekOffsets[i] is the file offset from which
+  // filtered message i * SEEK_INTERVAL is the next one read (uncompressed only).
+  private seekOffsets = new Map<string, Map<string, number[]>>();
+  private checkpointTimer: ReturnType<typeof setInterval> | null = null;
+  private indexWrite: Promise<void> = Promise.resolve();
+
+  constructor(dir: string) {
+    super();
+    this.dir = dir;
+  }
+
+  async init(): Promise<void> {
+    await fs.mkdir(this.dir, { recursive: true });
+    try {
+      const index: RecordingMeta[] = JSON.parse(
+        await fs.readFile(join(this.dir, INDEX_FILE), 'utf8'),
+      );
+      for (const meta of index) this.recordings.set(meta.id, meta);
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+        console.error('Failed to read recording index:', error);
+      }
+    }
+
+    // Recordings still marked as capturing were cut short (crash, kill); close
+    // them out with the counts from the file itself.
+    for (const meta of this.recordings.values()) {
+      if (meta.status === 'recording') await this.recover(meta);
+    }
+    await this.saveIndex();
+  }
+
+  list(): RecordingMeta[] {
+    return Array.from(this.recordings.values()).sort((a, b) => b.startTime - a.startTime);
+  }
+
+  get(id: string): RecordingMeta {
+    const meta = this.recordings.get(id);
+    if (!meta) throw new Error(`Recording ${id} not found`);
+    return meta;
+  }
+
+  start(options: StartRecordingOptions): RecordingMeta {
+    for (const { meta } of this.active.values()) {
+      if (meta.connectionId === options.connectionId) {
+        throw new Error('This connection is already being recorded');
+      }
+    }
+
+    const startTime = Date.now();
+    const meta: RecordingMeta = {
+      id: `${startTime}-${Math.random().toString(36).slice(2, 8)}`,
+      name: options.name?.trim() || `Recording ${new Date(startTime).toLocaleString()}`,
+      connectionId: options.connectionId,
+      connectionName: options.connectionName || options.connectionId,
+      startTime,
+      endTime: null,
+      messageCount: 0,
+      bytes: 0,
+      topics: {},
+      compressed: !!options.compress,
+      status: 'recording',
+    };
+
+    const { file, writer } = this.openWriter(meta);
+    this.active.set(meta.id, { meta, file, writer, lastProgress: 0 });
+    this.recordings.set(meta.id, meta);
+    this.ensureCheckpointTimer();
+    this.changed();
+    return meta;
+  }
+
+  /**
+   * Route an `mqtt-message` event to any recording of its connection. When
+   * messages arrive faster than the disk takes them the writer queues up to
+   * MAX_QUEUED_BYTES; past that they are dropped and counted in `meta.dropped`.
+   */
+  capture(message: CapturedMessage): void {
+    if (this.active.size === 0) return;
+    for (const recording of this.active.values()) {
+      if (recording.meta.connectionId !== message.id) continue;
+      if (recording.writer.writableLength >= MAX_QUEUED_BYTES) {
+        recording.meta.dropped = (recording.meta.dropped ?? 0) + 1;
+        continue;
+      }
+
+      const properties = serializeProperties(message.packet?.properties);
+      const line: RecordedMessageLine = {
+        timestamp: message.timestamp,
+        topic: message.topic,
+        ...encodePayload(message.payload),
+        qos: message.qos,
+        retain: message.retain,
+        ...(properties && { properties }),
+      };
+      recording.writer.write(JSON.stringify(line) + '\n');
+
+      const { meta } = recording;
+      meta.messageCount++;
+      meta.bytes += message.payload.length;
+      countTopic(meta, message.topic);
+
+      const now = Date.now();
+      if (now - recording.lastProgress >= PROGRESS_INTERVAL) {
+        recording.lastProgress = now;
+        this.emitProgress(meta);
+      }
+    }
+  }
+
+  async stop(id: string): Promise<RecordingMeta> {
+    const recording = this.active.get(id);
+    if (!recording) return this.get(id);
+    this.active.delete(id);
+
+    await this.closeWriter(recording);
+    const { meta } = recording;
+    meta.endTime = Date.now();
+    meta.status = 'complete';
+    meta.fileSize = await this.fileSize(meta);
+    this.emitProgress(meta);
+    this.changed();
+    return meta;
+  }
+
+  /** Stop whatever is recording the given connection (it went away for good). */
+  async stopForConnection(connectionId: string): Promise<void> {
+    const ids = Array.from(this.active.values())
+      .filter(({ meta }) => meta.connectionId === connectionId)
+      .map(({ meta }) => meta.id);
+    for (const id of ids) await this.stop(id);
+  }
+
+  async stopAll(): Promise<void> {
+    for (const id of Array.from(this.active.keys())) await this.stop(id);
+  }
+
+  async rename(id: string, name: string): Promise<RecordingMeta> {
+    const meta = this.get(id);
+    if (!name.trim()) throw new Error('Name must not be empty');
+    meta.name = name.trim();
+    this.changed();
+    return meta;
+  }
+
+  async delete(id: string): Promise<void> {
+    const meta = this.get(id);
+    if (this.active.has(id)) await this.stop(id);
+    this.closeReaders(id);
+    this.seekOffsets.delete(id);
+    this.recordings.delete(id);
+    await fs.rm(this.filePath(meta), { force: true });
+    this.changed();
+  }
+
+  /**
+   * Read `limit` messages starting at `offset`, optionally restricted to
+   * `topics` (offsets then count only matching messages). Sequential reads
+   * continue the previous stream, so paging through a recording is linear;
+   * other reads resume from the nearest open reader or remembered file offset
+   * before `offset` rather than from the start of the file.
+   */
+  async read(
+    id: string,
+    offset: number,
+    limit: number,
+    topics: string[] = [],
+  ): Promise<RecordingPage> {
+    const meta = this.get(id);
+    if (meta.status === 'recording') throw new Error('Recording is still in progress');
+
+    const filter = topics.length > 0 ? new Set(topics) : null;
+    const filterKey = topics.slice().sort().join('\n');
+    const offsets = this.offsetsFor(meta, filterKey);
+    let seekIndex = Math.min(Math.floor(offset / SEEK_INTERVAL), offsets.length - 1);
+    while (offsets[seekIndex] === undefined) seekIndex--;
+    let reader: OpenReader | undefined;
+    for (const r of this.readers) {
+      if (r.recordingId !== id || r.filterKey !== filterKey || r.position > offset) continue;
+      if (!reader || r.position > reader.position) reader = r;
+    }
+    if (!reader || reader.position < seekIndex * SEEK_INTERVAL) {
+      reader = this.openReader(meta, filterKey, seekIndex * SEEK_INTERVAL, offsets[seekIndex]);
+    } else {
+      // Most recently used readers live at the end.
+      this.readers.splice(this.readers.indexOf(reader), 1);
+      this.readers.push(reader);
+    }
+
+    const messages: RecordedMessageLine[] = [];
+    let done = false;
+    while (messages.length < limit) {
+      const { value, done: ended } = await reader.lines.next();
+      if (ended) {
+        done = true;
+        break;
+      }
+      if (!meta.compressed) reader.byte += Buffer.byteLength(value) + 1;
+      if (!value) continue;
+
+      let line: RecordedMessageLine;
+      try {
+        line = JSON.parse(value);
+      } catch {
+        continue; // torn last line of an interrupted recording
+      }
+      if (filter && !filter.has(line.topic)) continue;
+      const position = reader.position++;
+      if (!meta.compressed && reader.position % SEEK_INTERVAL === 0) {
+        offsets[reader.position / SEEK_INTERVAL] = reader.byte;
+      }
+      if (position < offset) continue;
+      messages.push(line);
+    }
+
+    if (done) this.closeReader(reader);
+    return { messages, offset, done };
+  }
+
+  /** Stream every message of a recording, in order. */
+  async *messages(id: string): AsyncGenerator<RecordedMessageLine> {
+    const meta = this.get(id);
+    const reader = this.openLines(meta);
+    try {
+      for await (const value of reader.lines) {
+        if (!value) continue;
+        try {
+          yield JSON.parse(value);
+        } catch {
+          // Skip a torn line.
+        }
+      }
+    } finally {
+      reader.close();
+    }
+  }
+
+  /**
+   * Create a complete recording from a stream of messages (imports, edits).
+   * Messages are written in the order given.
+   */
+  async create(
+    info: Partial<RecordingMeta>,
+    messages: AsyncIterable<RecordedMessageLine> | Iterable<RecordedMessageLine>,
+  ): Promise<RecordingMeta> {
+    const created = Date.now();
+    const meta: RecordingMeta = {
+      id: `${created}-${Math.random().toString(36).slice(2, 8)}`,
+      name: info.name?.trim() || `Recording ${new Date(created).toLocaleString()}`,
+      connectionId: info.connectionId || '',
+      connectionName: info.connectionName || 'Unknown',
+      startTime: info.startTime ?? created,
+      endTime: info.endTime ?? created,
+      messageCount: 0,
+      bytes: 0,
+      topics: {},
+      compressed: !!info.compressed,
+      status: 'recording',
+    };
+    this.recordings.set(meta.id, meta);
+
+    const recording = { meta, ...this.openWriter(meta), lastProgress: 0 };
+    let first: number | null = null;
+    let last: number | null = null;
+    try {
+      for await (const message of messages) {
+        if (!recording.writer.write(JSON.stringify(message) + '\n')) {
+          await new Promise<void>((resolve) => recording.writer.once('drain', () => resolve()));
+        }
+        meta.messageCount++;
+        meta.bytes += payloadBytes(message);
+        countTopic(meta, message.topic);
+        first ??= message.timestamp;
+        last = message.timestamp;
+      }
+      await this.closeWriter(recording);
+    } catch (error) {
+      await this.closeWriter(recording).catch(() => undefined);
+      this.recordings.delete(meta.id);
+      await fs.rm(this.filePath(meta), { force: true });
+      throw error;
+    }
+
+    if (info.startTime === undefined && first !== null) meta.startTime = first;
+    if (info.endTime === undefined && last !== null) meta.endTime = last;
+    meta.status = 'complete';
+    meta.fileSize = await this.fileSize(meta);
+    this.changed();
+    return meta;
+  }
+
+  private filePath(meta: RecordingMeta): string {
+    return join(this.dir, `${meta.id}.ndjson${meta.compressed ? '.gz' : ''}`);
+  }
+
+  private async fileSize(meta: RecordingMeta): Promise<number | undefined> {
+    try {
+      return (await fs.stat(this.filePath(meta))).size;
+    } catch {
+      return undefined;
+    }
+  }
+
+  private openWriter(meta: RecordingMeta): { file: WriteStream; writer: WriteStream | Gzip } {
+    const file = createWriteStream(this.filePath(meta), { flags: 'a' });
+    file.on('error', (error) => console.error(`Recording ${meta.id} write failed:`, error));
+    if (!meta.compressed) return { file, writer: file };
+    const gzip = createGzip();
+    gzip.pipe(file);
+    return { file, writer: gzip };
+  }
+
+  private closeWriter({ file, writer }: { file: WriteStream; writer: WriteStream | Gzip }) {
+    return new Promise<void>((resolve, reject) => {
+      file.once('close', resolve);
+      file.once('error', reject);
+      writer.end();
+    });
+  }
+
+  private openLines(meta: RecordingMeta, start = 0): { lines: Interface; close: () => void } {
+    const input = createReadStream(this.filePath(meta), { start });
+    const source = meta.compressed ? input.pipe(createGunzip()) : input;
+    const lines = createInterface({ input: source, crlfDelay: Infinity });
+    // A truncated gzip stream (interrupted recording) just ends the read.
+    source.on('error', () => lines.close());
+    input.on('error', () => lines.close());
+    return {
+      lines,
+      close: () => {
+        lines.close();
+        input.destroy();
+      },
+    };
+  }
+
+  private offsetsFor(meta: RecordingMeta, filterKey: string): number[] {
+    let byFilter = this.seekOffsets.get(meta.id);
+    if (!byFilter) this.seekOffsets.set(meta.id, (byFilter = new Map()));
+    let offsets = byFilter.get(filterKey);
+    if (!offsets) byFilter.set(filterKey, (offsets = [0]));
+    return offsets;
+  }
+
+  private openReader(
+    meta: RecordingMeta,
+    filterKey: string,
+    position: number,
+    byte: number,
+  ): OpenReader {
+    const { lines, close } = this.openLines(meta, byte);
+    const reader: OpenReader = {
+      recordingId: meta.id,
+      filterKey,
+      position,
+      byte,
+      lines: lines[Symbol.asyncIterator](),
+      close,
+    };
+    this.readers.push(reader);
+    while (this.readers.length > MAX_OPEN_READERS) this.closeReader(this.readers[0]);
+    return reader;
+  }
+
+  private closeReader(reader: OpenReader): void {
+    reader.close();
+    this.readers = this.readers.filter((r) => r !== reader);
+  }
+
+  private closeReaders(recordingId: string): void {
+    this.readers.filter((r) => r.recordingId === recordingId).forEach((r) => this.closeReader(r));
+  }
+
+  private async recover(meta: RecordingMeta): Promise<void> {
+    meta.messageCount = 0;
+    meta.bytes = 0;
+    meta.topics = {};
+    meta.status = 'complete';
+    let last = meta.startTime;
+    try {
+      for await (const message of this.messages(meta.id)) {
+        meta.messageCount++;
+        meta.bytes += payloadBytes(message);
+        countTopic(meta, message.topic);
+        last = message.timestamp;
+      }
+    } catch (error) {
+      console.error(`Failed to recover recording ${meta.id}:`, error);
+    }
+    meta.endTime = last;
+    meta.fileSize = await this.fileSize(meta);
+  }
+
+  private ensureCheckpointTimer(): void {
+    if (this.checkpointTimer) return;
+    // Keeps the index (and gzip output) current so a crash loses at most a few seconds.
+    this.checkpointTimer = setInterval(() => {
+      if (this.active.size === 0) {
+        clearInterval(this.checkpointTimer!);
+        this.checkpointTimer = null;
+        return;
+      }
+      for (const { writer } of this.active.values()) {
+        if ('flush' in writer) writer.flush();
+      }
+      this.saveIndex();
+    }, CHECKPOINT_INTERVAL);
+  }
+
+  private emitProgress(meta: RecordingMeta): void {
+    this.emit('progress', {
+      id: meta.id,
+      messageCount: meta.messageCount,
+      bytes: meta.bytes,
+      topicCount: Object.keys(meta.topics).length,
+      dropped: meta.dropped ?? 0,
+    });
+  }
+
+  private changed(): void {
+    this.saveIndex();
+    this.emit('changed', this.list());
+  }
+
+  // Writes are chained so two saves never interleave; each writes a temp file
+  // and renames it over the index.
+  private saveIndex(): Promise<void> {
+    const snapshot = JSON.stringify(this.list());
+    this.indexWrite = this.indexWrite
+      .then(async () => {
+        const tmp = join(this.dir, `${INDEX_FILE}.tmp`);
+        await fs.writeFile(tmp, snapshot);
+        await fs.rename(tmp, join(this.dir, INDEX_FILE));
+      })
+      .catch((error) => console.error('Failed to save recording index:', error));
+    return this.indexWrite;
+  }
+}
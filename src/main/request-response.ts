@@ -0,0 +1,102 @@
+import { randomBytes } from 'crypto';
+import type { RequestMode, RequestOptions } from '../shared/ipc';
+
+export const DEFAULT_REQUEST_OPTIONS: Required<Omit<RequestOptions, 'properties'>> = {
+  mode: 'mqtt5',
+  qos: 1,
+  timeout: 5000,
+  responseTopic: 'mqttlooter/replies/{clientId}/{requestId}',
+  responseTopicField: 'responseTopic',
+  correlationField: 'correlationId',
+};
+
+/** A request waiting for its reply, as tracked by MQTTConnection. */
+export interface PendingRequest {
+  mode: RequestMode;
+  responseTopic: string;
+  correlationId: string;
+  correlationField: string;
+  uniqueTopic: boolean; // the reply topic is only used by this request
+}
+
+export function resolveRequestOptions(
+  options: RequestOptions = {},
+): Required<Omit<RequestOptions, 'properties'>> & Pick<RequestOptions, 'properties'> {
+  const resolved: Record<string, unknown> = { ...DEFAULT_REQUEST_OPTIONS };
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined && value !== null) resolved[key] = value;
+  }
+  return resolved as ReturnType<typeof resolveRequestOptions>;
+}
+
+export function createRequestId(): string {
+  return randomBytes(6).toString('hex');
+}
+
+/** Fill {clientId}, {requestId} and {topic} into a reply-topic template. */
+export function expandResponseTopic(template: string, vars: Record<string, string>): string {
+  const topic = template.replace(/\{(\w+)\}/g, (match, name) => vars[name] ?? match);
+  if (!topic) throw new Error('Response topic is empty');
+  if (/[+#]/.test(topic)) throw new Error('Response topic must not contain wildcards');
+  return topic;
+}
+
+/**
+ * Add the reply topic and correlation id to a JSON object payload (the 3.1.1
+ * convention). With both field names blank the payload is sent untouched.
+ */
+export function buildConventionPayload(
+  payload: string,
+  responseTopic: string,
+  correlationId: string,
+  fields: { responseTopicField: string; correlationField: string },
+): string {
+  if (!fields.responseTopicField && !fields.correlationField) return payload;
+
+  let body: unknown = {};
+  if (payload.trim()) {
+    try {
+      body = JSON.parse(payload);
+    } catch {
+      throw new Error('Request payload must be a JSON object to carry the reply fields');
+    }
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new Error('Request payload must be a JSON object to carry the reply fields');
+  }
+
+  return JSON.stringify({
+    ...body,
+    ...(fields.responseTopicField && { [fields.responseTopicField]: responseTopic }),
+    ...(fields.correlationField && { [fields.correlationField]: correlationId }),
+  });
+}
+
+/**
+ * Whether an incoming message is the reply to `pending`. Correlation data (or
+ * the correlation field) must match when present; a reply without one is only
+ * accepted on a topic reserved for this request.
+ */
+export function isResponseTo(
+  pending: PendingRequest,
+  topic: string,
+  payload: Buffer,
+  properties?: { correlationData?: Buffer },
+): boolean {
+  if (topic !== pending.responseTopic) return false;
+
+  let correlation: string | undefined;
+  if (pending.mode === 'mqtt5') {
+    if (properties?.correlationData) correlation = properties.correlationData.toString('utf8');
+  } else if (pending.correlationField) {
+    try {
+      const body = JSON.parse(payload.toString('utf8'));
+      const value = body?.[pending.correlationField];
+      if (value !== undefined && value !== null) correlation = String(value);
+    } catch {
+      // Not JSON; fall through to the topic-only rule.
+    }
+  }
+
+  return correlation !== undefined ? correlation === pending.correlationId : pending.uniqueTopic;
+}
@@ -0,0 +1,41 @@
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { DatasetStore } from './simulation-datasets';
+
+let dir: string;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(join(tmpdir(), 'mqttlooter-datasets-'));
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function writeCsv(name: string): Promise<string> {
+  const file = join(dir, name);
+  await fs.writeFile(file, 'timestamp,value\n2024-01-01T00:00:00Z,1\n2024-01-01T00:00:01Z,2\n');
+  return file;
+}
+
+describe('DatasetStore', () => {
+  it('keeps every dataset of concurrent imports and deletes in the index', async () => {
+    const store = new DatasetStore(join(dir, 'datasets'));
+    await store.init();
+    const first = await store.importCsv(await writeCsv('first.csv'));
+
+    const files = await Promise.all(['a.csv', 'b.csv', 'c.csv'].map(writeCsv));
+    await Promise.all([...files.map((file) => store.importCsv(file)), store.delete(first.id)]);
+
+    const reloaded = new DatasetStore(join(dir, 'datasets'));
+    await reloaded.init();
+    expect(
+      reloaded
+        .list()
+        .map((meta) => meta.name)
+        .sort(),
+    ).toEqual(['a', 'b', 'c']);
+  });
+});
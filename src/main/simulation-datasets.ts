@@ -0,0 +1,248 @@
+import { createReadStream, promises as fs } from 'fs';
+import { basename, join } from 'path';
+import { createInterface } from 'readline';
+import type { DatasetMeta } from '../shared/ipc';
+import type { DatasetSeries, DatasetValue } from '../shared/datasets';
+
+const INDEX_FILE = 'index.json';
+const SAMPLE_ROWS = 50; // rows kept in the index for the editor preview
+const MAX_ROWS = 2_000_000;
+const TIMESTAMP_HEADER = /^(timestamp|time|datetime|date|ts|time_?stamp|date_?time)$/i;
+
+/** Split one CSV line, honouring double quotes ("" inside quotes is a quote). */
+function splitCsvLine(line: string, delimiter: string): string[] {
+  const fields: string[] = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields.map((f) => f.trim());
+}
+
+function detectDelimiter(header: string): string {
+  const counts = [',', ';', '\t'].map((d) => [d, header.split(d).length] as const);
+  return counts.reduce((best, next) => (next[1] > best[1] ? next : best))[0];
+}
+
+/** Epoch seconds or milliseconds, or anything Date can parse (ISO 8601 and friends). */
+function parseTimestamp(text: string): number | null {
+  if (!text) return null;
+  if (/^-?\d+(\.\d+)?$/.test(text)) {
+    const n = Number(text);
+    return Math.abs(n) < 1e11 ? Math.round(n * 1000) : Math.round(n);
+  }
+  const parsed = Date.parse(text);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+function parseCell(text: string): DatasetValue {
+  if (text === '') return null;
+  const n = Number(text);
+  return Number.isNaN(n) ? text : n;
+}
+
+interface ParsedCsv {
+  timestampColumn: string;
+  columns: string[];
+  series: DatasetSeries;
+  skipped: number; // rows without a readable timestamp
+}
+
+/**
+ * Read a CSV with a header row. The timestamp column is the one with a
+ * timestamp-like name, else the first; every other column becomes a series.
+ * Quoted fields may not span lines.
+ */
+async function parseCsvFile(filePath: string): Promise<ParsedCsv> {
+  const input = createReadStream(filePath, 'utf8');
+  const lines = createInterface({ input, crlfDelay: Infinity });
+  let delimiter = ',';
+  let header: string[] | null = null;
+  let timeIndex = 0;
+  const rows: { time: number; cells: DatasetValue[] }[] = [];
+  let skipped = 0;
+
+  try {
+    for await (const rawLine of lines) {
+      const line: string = header ? rawLine : rawLine.replace(/^\uFEFF/, ''); // BOM
+      if (!line.trim()) continue;
+      if (!header) {
+        delimiter = detectDelimiter(line);
+        header = splitCsvLine(line, delimiter).map((name, i) => name || `column${i + 1}`);
+        const named = header.findIndex((name) => TIMESTAMP_HEADER.test(name));
+        timeIndex = named === -1 ? 0 : named;
+        continue;
+      }
+      if (rows.length >= MAX_ROWS) {
+        throw new Error(`The file has more than ${MAX_ROWS.toLocaleString()} rows`);
+      }
+      const fields = splitCsvLine(line, delimiter);
+      const time = parseTimestamp(fields[timeIndex] ?? '');
+      if (time === null) {
+        skipped++;
+        continue;
+      }
+      rows.push({
+        time,
+        cells: header.map((_, i) => (i === timeIndex ? null : parseCell(fields[i] ?? ''))),
+      });
+    }
+  } finally {
+    input.destroy();
+  }
+
+  if (!header || header.length < 2) throw new Error('The CSV needs a header row and two columns');
+  if (rows.length === 0) {
+    throw new Error(`No rows with a readable timestamp in column "${header[timeIndex]}"`);
+  }
+
+  rows.sort((a, b) => a.time - b.time); // stable, so rows sharing a timestamp keep their order
+  const columns = header.filter((_, i) => i !== timeIndex);
+  const series: DatasetSeries = {
+    timestamps: rows.map((row) => row.time),
+    columns: Object.fromEntries(
+      header
+        .map((name, i) => [name, i] as const)
+        .filter(([, i]) => i !== timeIndex)
+        .map(([name, i]) => [name, rows.map((row) => row.cells[i])]),
+    ),
+  };
+  return { timestampColumn: header[timeIndex], columns, series, skipped };
+}
+
+function sliceSeries(series: DatasetSeries, count: number): DatasetSeries {
+  return {
+    timestamps: series.timestamps.slice(0, count),
+    columns: Object.fromEntries(
+      Object.entries(series.columns).map(([name, values]) => [name, values.slice(0, count)]),
+    ),
+  };
+}
+
+/**
+ * Imported datasets for the simulation engine, one JSON file each under the app
+ * data directory with a small index beside them. Series are loaded into memory
+ * only while a device replays them.
+ */
+export class DatasetStore {
+  private datasets = new Map<string, DatasetMeta>();
+  private loaded = new Map<string, DatasetSeries>();
+  private loading = new Map<string, Promise<DatasetSeries>>();
+  private indexWrite: Promise<void> = Promise.resolve();
+
+  constructor(private dir: string) {}
+
+  async init(): Promise<void> {
+    await fs.mkdir(this.dir, { recursive: true });
+    try {
+      const index: DatasetMeta[] = JSON.parse(
+        await fs.readFile(join(this.dir, INDEX_FILE), 'utf8'),
+      );
+      for (const meta of index) this.datasets.set(meta.id, meta);
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+        console.error('Failed to read dataset index:', error);
+      }
+    }
+  }
+
+  list(): DatasetMeta[] {
+    return Array.from(this.datasets.values()).sort((a, b) => b.importedAt - a.importedAt);
+  }
+
+  async importCsv(filePath: string): Promise<DatasetMeta> {
+    const parsed = await parseCsvFile(filePath);
+    const { timestamps } = parsed.series;
+    const importedAt = Date.now();
+    const meta: DatasetMeta = {
+      id: `${importedAt}-${Math.random().toString(36).slice(2, 8)}`,
+      name: basename(filePath).replace(/\.(csv|tsv|txt)$/i, ''),
+      timestampColumn: parsed.timestampColumn,
+      columns: parsed.columns,
+      rowCount: timestamps.length,
+      skippedRows: parsed.skipped,
+      startTime: timestamps[0],
+      endTime: timestamps[timestamps.length - 1],
+      importedAt,
+      sample: sliceSeries(parsed.series, SAMPLE_ROWS),
+    };
+
+    await this.writeJson(this.seriesFile(meta.id), parsed.series);
+    this.datasets.set(meta.id, meta);
+    await this.saveIndex();
+    return meta;
+  }
+
+  async delete(id: string): Promise<void> {
+    if (!this.datasets.delete(id)) return;
+    this.loaded.delete(id);
+    await this.saveIndex();
+    await fs.rm(this.seriesFile(id), { force: true });
+  }
+
+  /** Bring a series into memory ahead of use; unknown ids are left for the generator to report. */
+  async load(id: string): Promise<void> {
+    if (this.loaded.has(id) || !this.datasets.has(id)) return;
+    let pending = this.loading.get(id);
+    if (!pending) {
+      pending = fs
+        .readFile(this.seriesFile(id), 'utf8')
+        .then((text) => JSON.parse(text) as DatasetSeries)
+        .finally(() => this.loading.delete(id));
+      this.loading.set(id, pending);
+    }
+    const series = await pending;
+    if (this.datasets.has(id)) this.loaded.set(id, series);
+  }
+
+  /** A loaded series, for the generators; undefined if it isn't loaded or doesn't exist. */
+  series(id: string): DatasetSeries | undefined {
+    return this.loaded.get(id);
+  }
+
+  /** Drop series no running device uses any more. */
+  release(inUse: Set<string>): void {
+    for (const id of this.loaded.keys()) {
+      if (!inUse.has(id)) this.loaded.delete(id);
+    }
+  }
+
+  private seriesFile(id: string): string {
+    return join(this.dir, `${id}.json`);
+  }
+
+  // Writes are chained so concurrent imports and deletes never interleave; each
+  // writes the index as it stands when its turn comes. Failures reach the caller.
+  private saveIndex(): Promise<void> {
+    const write = this.indexWrite.then(() =>
+      this.writeJson(join(this.dir, INDEX_FILE), this.list()),
+    );
+    this.indexWrite = write.catch(() => undefined);
+    return write;
+  }
+
+  private async writeJson(file: string, data: unknown): Promise<void> {
+    const temp = `${file}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(data));
+    await fs.rename(temp, file);
+  }
+}
@@ -0,0 +1,434 @@
+import { EventEmitter } from 'events';
+import { promises as fs } from 'fs';
+import { dirname } from 'path';
+import type { MQTTConnectionManager } from './mqtt-connection-manager';
+import type { SparkplugNodeManager } from './sparkplug-nodes';
+import type { DatasetStore } from './simulation-datasets';
+import type { SimulationDeviceStatus } from '../shared/ipc';
+import {
+  createFleetInstances,
+  datasetIds,
+  generateOutputs,
+  isFleet,
+  isSparkplugDevice,
+  jitterOffset,
+  simulationRunId,
+  toSparkplugMetrics,
+  type DeviceOutput,
+  type FleetInstance,
+  type SimulatedDevice,
+} from '../shared/simulation';
+import { buildDeviceMessages, devicePublishFlags } from '../shared/simulation-payload';
+
+const STATUS_INTERVAL = 500; // ms between `status` events per device while publishing
+const SAVE_DELAY = 500; // ms of quiet before definitions are written
+
+interface DeviceRun {
+  key: string; // simulationRunId, also the Sparkplug node id
+  connectionId: string;
+  device: SimulatedDevice;
+  instances: FleetInstance[]; // a plain device runs as a single instance
+  timers: Map<number, ReturnType<typeof setTimeout>>; // by instance index
+  started: Set<number>; // instances past their stagger delay
+  status: SimulationDeviceStatus;
+  lastStatus: number;
+  statusTimer: ReturnType<typeof setTimeout> | null;
+}
+
+/** A plain device has one producer; it still gets its own generator state per output. */
+function singleInstance(device: SimulatedDevice): FleetInstance {
+  const generatorState = Object.fromEntries(device.outputs.map((output) => [output.id, {}]));
+  return { index: 0, id: '', generatorState };
+}
+
+/**
+ * Runs simulated devices next to the connection manager, so they publish on
+ * their own schedule whatever the renderer is showing. Definitions are kept per
+ * connection in one JSON file; a device left publishing resumes whenever its
+ * connection comes up.
+ */
+export class SimulationEngine extends EventEmitter {
+  private devices = new Map<string, SimulatedDevice[]>(); // by connection id
+  private runs = new Map<string, DeviceRun>();
+  private saveTimer: ReturnType<typeof setTimeout> | null = null;
+  private fileWrite: Promise<void> = Promise.resolve();
+
+  constructor(
+    private file: string,
+    private mqttManager: MQTTConnectionManager,
+    private sparkplugNodes: SparkplugNodeManager,
+    private datasets: DatasetStore,
+  ) {
+    super();
+  }
+
+  async init(): Promise<void> {
+    try {
+      const saved: Record<string, SimulatedDevice[]> = JSON.parse(
+        await fs.readFile(this.file, 'utf8'),
+      );
+      for (const [connectionId, devices] of Object.entries(saved)) {
+        this.devices.set(connectionId, devices);
+      }
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+        console.error('Failed to read simulation devices:', error);
+      }
+    }
+  }
+
+  list(connectionId: string): SimulatedDevice[] {
+    return this.devices.get(connectionId) ?? [];
+  }
+
+  getStatus(connectionId: string): SimulationDeviceStatus[] {
+    return Array.from(this.runs.values())
+      .filter((run) => run.connectionId === connectionId)
+      .map((run) => this.snapshot(run));
+  }
+
+  /** Whether a device publishes is only changed through start/stop. */
+  async save(connectionId: string, device: SimulatedDevice): Promise<void> {
+    const devices = this.list(connectionId);
+    const existing = devices.find((d) => d.id === device.id);
+    const next = { ...device, isPublishing: existing?.isPublishing ?? false };
+    this.devices.set(
+      connectionId,
+      existing ? devices.map((d) => (d.id === device.id ? next : d)) : [...devices, next],
+    );
+    this.scheduleSave();
+
+    const run = this.runs.get(simulationRunId(connectionId, device.id));
+    if (run && JSON.stringify(run.device) !== JSON.stringify(next)) {
+      await this.startRun(connectionId, next);
+    }
+  }
+
+  async delete(connectionId: string, deviceId: number): Promise<void> {
+    await this.stopRun(simulationRunId(connectionId, deviceId));
+    this.devices.set(
+      connectionId,
+      this.list(connectionId).filter((d) => d.id !== deviceId),
+    );
+    this.scheduleSave();
+  }
+
+  async start(connectionId: string, deviceId: number): Promise<void> {
+    const device = this.setPublishing(connectionId, deviceId, true);
+    if (!this.isConnected(connectionId)) return; // resumes once the connection is up
+    try {
+      await this.startRun(connectionId, device);
+    } catch (error) {
+      this.setPublishing(connectionId, deviceId, false);
+      throw error;
+    }
+  }
+
+  async stop(connectionId: string, deviceId: number): Promise<void> {
+    this.setPublishing(connectionId, deviceId, false);
+    await this.stopRun(simulationRunId(connectionId, deviceId));
+  }
+
+  /** One message per instance, outside the schedule. */
+  async publishOnce(connectionId: string, deviceId: number): Promise<void> {
+    if (!this.isConnected(connectionId)) throw new Error('The connection is not connected');
+    const device = this.getDevice(connectionId, deviceId);
+    const run = this.runs.get(simulationRunId(connectionId, deviceId));
+    if (run) {
+      run.instances.forEach((instance) => this.tick(run, instance));
+      return;
+    }
+    if (isSparkplugDevice(device)) {
+      throw new Error('Start the device first; Sparkplug metrics need an online edge node');
+    }
+    const instances = isFleet(device) ? createFleetInstances(device) : [singleInstance(device)];
+    await this.loadDatasets(device);
+    try {
+      await Promise.all(
+        instances.map((instance) =>
+          this.publishMessages(connectionId, device, instance, this.generate(device, instance)),
+        ),
+      );
+    } finally {
+      this.releaseDatasets();
+    }
+  }
+
+  /** Devices the renderer kept in localStorage before the engine existed. */
+  importDevices(connectionId: string, devices: SimulatedDevice[]): SimulatedDevice[] {
+    if (this.list(connectionId).length === 0 && devices.length > 0) {
+      this.devices.set(connectionId, devices);
+      this.scheduleSave();
+      this.resume(connectionId);
+    }
+    return this.list(connectionId);
+  }
+
+  /** Start every device of a connection that was left publishing. */
+  resume(connectionId: string): void {
+    if (!this.isConnected(connectionId)) return;
+    for (const device of this.list(connectionId)) {
+      if (!device.isPublishing || this.runs.has(simulationRunId(connectionId, device.id))) continue;
+      this.startRun(connectionId, device).catch((error) => {
+        console.error(`Simulation ${device.name} failed to start:`, error.message);
+      });
+    }
+  }
+
+  /** Stop the schedules of a connection that went away; they resume with it. */
+  async suspend(connectionId: string): Promise<void> {
+    const keys = Array.from(this.runs.values())
+      .filter((run) => run.connectionId === connectionId)
+      .map((run) => run.key);
+    await Promise.all(keys.map((key) => this.stopRun(key)));
+  }
+
+  async stopAll(): Promise<void> {
+    await Promise.all(Array.from(this.runs.keys(), (key) => this.stopRun(key)));
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      await this.saveNow();
+    }
+  }
+
+  private getDevice(connectionId: string, deviceId: number): SimulatedDevice {
+    const device = this.list(connectionId).find((d) => d.id === deviceId);
+    if (!device) throw new Error(`Simulated device ${deviceId} not found`);
+    return device;
+  }
+
+  private setPublishing(
+    connectionId: string,
+    deviceId: number,
+    isPublishing: boolean,
+  ): SimulatedDevice {
+    const device = { ...this.getDevice(connectionId, deviceId), isPublishing };
+    this.devices.set(
+      connectionId,
+      this.list(connectionId).map((d) => (d.id === deviceId ? device : d)),
+    );
+    this.scheduleSave();
+    return device;
+  }
+
+  private isConnected(connectionId: string): boolean {
+    return !!this.mqttManager.getConnection(connectionId)?.isConnected;
+  }
+
+  private async startRun(connectionId: string, device: SimulatedDevice): Promise<void> {
+    const key = simulationRunId(connectionId, device.id);
+    await this.stopRun(key);
+
+    const fleet = isFleet(device) ? device.fleet : undefined;
+    const run: DeviceRun = {
+      key,
+      connectionId,
+      device,
+      instances: fleet ? createFleetInstances(device) : [singleInstance(device)],
+      timers: new Map(),
+      started: new Set(),
+      status: {
+        connectionId,
+        deviceId: device.id,
+        running: true,
+        activeInstances: 0,
+        published: 0,
+        values: {},
+      },
+      lastStatus: 0,
+      statusTimer: null,
+    };
+    this.runs.set(key, run);
+
+    try {
+      await this.loadDatasets(device);
+    } catch (error) {
+      this.runs.delete(key);
+      this.emitStatus(run, { running: false, error: (error as Error).message });
+      throw error;
+    }
+    if (this.runs.get(key) !== run) return; // stopped while the datasets loaded
+
+    if (isSparkplugDevice(device)) {
+      // NBIRTH/DBIRTH carry the first values, and every metric; the schedule then feeds DDATA.
+      try {
+        const outputs = this.generate(device, run.instances[0]);
+        this.recordValues(run, outputs);
+        await this.sparkplugNodes.start(key, {
+          connectionId,
+          ...device.sparkplug!,
+          metrics: toSparkplugMetrics(outputs, true),
+        });
+      } catch (error) {
+        this.runs.delete(key);
+        this.emitStatus(run, { running: false, error: (error as Error).message });
+        throw error;
+      }
+      if (this.runs.get(key) !== run) return; // stopped while the node came up
+    }
+
+    // Fleet instances start one stagger apart; a plain device waits one interval.
+    const now = Date.now();
+    run.instances.forEach((instance, i) => {
+      const due = fleet ? now + i * Math.max(0, fleet.staggerMs) : now + device.publishInterval;
+      this.schedule(run, instance, due);
+    });
+    this.emitStatus(run);
+  }
+
+  private async stopRun(key: string): Promise<void> {
+    const run = this.runs.get(key);
+    if (!run) return;
+    this.runs.delete(key);
+    run.timers.forEach(clearTimeout);
+    if (run.statusTimer) clearTimeout(run.statusTimer);
+    this.releaseDatasets();
+    if (isSparkplugDevice(run.device)) {
+      await this.sparkplugNodes.stop(key).catch((error) => {
+        console.error(`Failed to stop Sparkplug node ${key}:`, error);
+      });
+    }
+    this.emitStatus(run, { running: false, activeInstances: 0 });
+  }
+
+  // Ticks are due at fixed multiples of the interval, so a slow tick doesn't push
+  // the rest of the schedule back. Jitter moves a single tick, not the grid.
+  private schedule(run: DeviceRun, instance: FleetInstance, due: number): void {
+    const { publishInterval, fleet } = run.device;
+    const now = Date.now();
+    if (due < now - publishInterval) due = now; // woke from sleep; don't replay missed ticks
+    const jitter = isFleet(run.device) ? jitterOffset(publishInterval, fleet!.jitterPercent) : 0;
+    const timer = setTimeout(
+      () => {
+        if (this.runs.get(run.key) !== run) return;
+        if (!run.started.has(instance.index)) {
+          run.started.add(instance.index);
+          run.status.activeInstances = run.started.size;
+        }
+        // Next tick first, so one that throws doesn't end the schedule.
+        this.schedule(run, instance, due + publishInterval);
+        this.tick(run, instance);
+      },
+      Math.max(0, due + jitter - now),
+    );
+    run.timers.set(instance.index, timer);
+  }
+
+  private generate(device: SimulatedDevice, instance: FleetInstance): DeviceOutput[] {
+    return generateOutputs(device.outputs, instance.generatorState, (id) =>
+      this.datasets.series(id),
+    );
+  }
+
+  private async loadDatasets(device: SimulatedDevice): Promise<void> {
+    await Promise.all(datasetIds(device.outputs).map((id) => this.datasets.load(id)));
+  }
+
+  /** Series stay in memory only while a running device replays them. */
+  private releaseDatasets(): void {
+    const runs = Array.from(this.runs.values());
+    this.datasets.release(new Set(runs.flatMap((run) => datasetIds(run.device.outputs))));
+  }
+
+  /** Dropped outputs keep showing their last value. */
+  private recordValues(run: DeviceRun, outputs: DeviceOutput[]): void {
+    outputs.forEach((output) => {
+      if (output.currentValue !== undefined) run.status.values[output.id] = output.currentValue;
+    });
+  }
+
+  /** Resolves with the number of messages sent; a split device sends one per output. */
+  private async publishMessages(
+    connectionId: string,
+    device: SimulatedDevice,
+    instance: FleetInstance,
+    outputs: DeviceOutput[],
+  ): Promise<number> {
+    const messages = buildDeviceMessages(device, outputs, instance);
+    const flags = devicePublishFlags(device, instance);
+    await Promise.all(
+      messages.map(({ topic, payload }) =>
+        this.mqttManager.publish(connectionId, topic, payload, flags),
+      ),
+    );
+    return messages.length;
+  }
+
+  private tick(run: DeviceRun, instance: FleetInstance): void {
+    const { device, connectionId } = run;
+    let outputs: DeviceOutput[];
+    try {
+      outputs = this.generate(device, instance);
+    } catch (error) {
+      this.emitStatus(run, { error: (error as Error).message });
+      return;
+    }
+    this.recordValues(run, outputs);
+    // Every output dropped out: the device stays silent this tick.
+    if (outputs.every((output) => output.currentValue === undefined)) return;
+
+    // Messages sent: a Sparkplug update sends one DDATA, or nothing if no value changed.
+    const published = isSparkplugDevice(device)
+      ? this.sparkplugNodes
+          .update(run.key, toSparkplugMetrics(outputs))
+          .then((metrics) => Math.min(metrics, 1))
+      : this.publishMessages(connectionId, device, instance, outputs);
+    published
+      .then((count) => {
+        if (this.runs.get(run.key) !== run) return;
+        if (count > 0) {
+          run.status.published += count;
+          run.status.lastPublishedAt = Date.now();
+        }
+        this.emitStatus(run, { error: undefined });
+      })
+      .catch((error: Error) => {
+        if (this.runs.get(run.key) === run) this.emitStatus(run, { error: error.message });
+      });
+  }
+
+  private snapshot(run: DeviceRun): SimulationDeviceStatus {
+    return { ...run.status, values: { ...run.status.values } };
+  }
+
+  // Fleets can tick hundreds of times a second; status goes out at most every
+  // STATUS_INTERVAL per device, with a trailing event so the last values arrive.
+  private emitStatus(run: DeviceRun, changes: Partial<SimulationDeviceStatus> = {}): void {
+    Object.assign(run.status, changes);
+    const final = !run.status.running;
+    const wait = run.lastStatus + STATUS_INTERVAL - Date.now();
+    if (!final && wait > 0) {
+      if (!run.statusTimer) {
+        run.statusTimer = setTimeout(() => {
+          run.statusTimer = null;
+          if (this.runs.get(run.key) === run) this.emitStatus(run);
+        }, wait);
+      }
+      return;
+    }
+    run.lastStatus = Date.now();
+    this.emit('status', this.snapshot(run));
+  }
+
+  private scheduleSave(): void {
+    if (this.saveTimer) clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saveNow();
+    }, SAVE_DELAY);
+  }
+
+  // Same temp-file-and-rename as the recording index, chained so writes never overlap.
+  private saveNow(): Promise<void> {
+    const snapshot = JSON.stringify(Object.fromEntries(this.devices));
+    this.fileWrite = this.fileWrite
+      .then(async () => {
+        await fs.mkdir(dirname(this.file), { recursive: true });
+        await fs.writeFile(`${this.file}.tmp`, snapshot);
+        await fs.rename(`${this.file}.tmp`, this.file);
+      })
+      .catch((error) => console.error('Failed to save simulation devices:', error));
+    return this.fileWrite;
+  }
+}
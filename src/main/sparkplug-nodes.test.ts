@@ -0,0 +1,16 @@
+import { describe, expect, it, vi } from 'vitest';
+import { MQTTConnectionManager } from './mqtt-connection-manager';
+import { SparkplugNodeManager } from './sparkplug-nodes';
+
+describe('SparkplugNodeManager', () => {
+  it('stops the nodes of a connection the user disconnects', async () => {
+    const mqttManager = new MQTTConnectionManager();
+    const nodes = new SparkplugNodeManager(mqttManager);
+    const stopForConnection = vi.spyOn(nodes, 'stopForConnection');
+    mqttManager.createConnection('c1', { subscriptions: [] });
+
+    await mqttManager.disconnect('c1');
+
+    expect(stopForConnection).toHaveBeenCalledWith('c1');
+  });
+});
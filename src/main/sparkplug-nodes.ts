@@ -0,0 +1,296 @@
+import { EventEmitter } from 'events';
+import { MQTTConnection, type MQTTConnectionManager } from './mqtt-connection-manager';
+import type { SparkplugNodeOptions, SparkplugNodeStatus } from '../shared/ipc';
+import {
+  decodeSparkplugPayload,
+  encodeSparkplugPayload,
+  sparkplugTopic,
+  type SparkplugMessageType,
+  type SparkplugMetricInput,
+} from '../shared/sparkplug';
+
+const RECONNECT_DELAY = 5000; // ms before a dropped node opens a new session
+const REBIRTH_METRIC = 'Node Control/Rebirth';
+
+/**
+ * One simulated edge node and its device, following the Sparkplug B session
+ * lifecycle: NBIRTH/DBIRTH on connect, DDATA with changed metrics only, NDEATH
+ * as the MQTT will, and a fresh pair of births when an NCMD asks for a rebirth.
+ */
+class SparkplugEdgeNode {
+  status: SparkplugNodeStatus;
+  private connection: MQTTConnection | null = null;
+  private metrics = new Map<string, SparkplugMetricInput>(); // last published values
+  private reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+  private stopped = false;
+
+  constructor(
+    id: string,
+    private options: SparkplugNodeOptions,
+    private brokerConfig: Record<string, any>,
+    bdSeq: number,
+    private onStatus: (status: SparkplugNodeStatus) => void,
+  ) {
+    this.status = {
+      id,
+      connectionId: options.connectionId,
+      state: 'connecting',
+      bdSeq,
+      seq: 0,
+      births: 0,
+    };
+    options.metrics.forEach((metric) => this.metrics.set(metric.name, { ...metric }));
+  }
+
+  private setStatus(changes: Partial<SparkplugNodeStatus>): void {
+    this.status = { ...this.status, ...changes };
+    this.onStatus(this.status);
+  }
+
+  private nextSeq(): number {
+    const seq = this.status.seq;
+    this.status.seq = (seq + 1) % 256;
+    return seq;
+  }
+
+  private topic(messageType: SparkplugMessageType, device = false): string {
+    const { groupId, edgeNodeId, deviceId } = this.options;
+    return sparkplugTopic(groupId, messageType, edgeNodeId, device ? deviceId : undefined);
+  }
+
+  private deathPayload(): Buffer {
+    const bdSeq: SparkplugMetricInput = {
+      name: 'bdSeq',
+      datatype: 'Int64',
+      value: this.status.bdSeq,
+    };
+    return Buffer.from(encodeSparkplugPayload({ timestamp: Date.now(), metrics: [bdSeq] }));
+  }
+
+  private async publish(topic: string, payload: Uint8Array, qos = 0): Promise<void> {
+    await this.connection!.publish(topic, Buffer.from(payload), { qos, retain: false });
+  }
+
+  /** Resolves once the first session is up; rejects if the broker refuses it. */
+  async start(): Promise<void> {
+    await this.connect();
+  }
+
+  private async connect(): Promise<void> {
+    this.connection?.removeAllListeners();
+    // Every session announces its own bdSeq, in both the will and NBIRTH.
+    const connection = new MQTTConnection(`${this.status.id}:${this.status.bdSeq}`, {
+      ...this.brokerConfig,
+      clientId: `mqttlooter_sp_${Math.random().toString(36).slice(2, 10)}`,
+      clean: true,
+      sessionExpiryInterval: 0,
+      subscriptions: [],
+      reconnect: { enabled: false },
+      willEnabled: true,
+      willTopic: this.topic('NDEATH'),
+      willMessage: this.deathPayload(),
+      willQos: 1,
+      willRetain: false,
+      willDelayInterval: 0,
+      willMessageExpiryInterval: 0,
+    });
+    this.connection = connection;
+
+    connection.on('message', (data: { topic: string; payload: Buffer }) => {
+      if (data.topic === this.topic('NCMD')) this.handleCommand(data.payload);
+    });
+    connection.on('error', (data: { error: string }) => this.setStatus({ error: data.error }));
+    connection.on('disconnected', () => {
+      if (this.stopped || connection !== this.connection) return;
+      this.setStatus({ state: 'offline' });
+      this.scheduleReconnect();
+    });
+
+    this.setStatus({ state: 'connecting' });
+    await connection.connect();
+    await connection.subscribe(this.topic('NCMD'), 0);
+    await this.publishBirths();
+    this.setStatus({ state: 'online', error: undefined });
+  }
+
+  private scheduleReconnect(): void {
+    if (this.reconnectTimer) return;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.stopped) return;
+      this.status.bdSeq = (this.status.bdSeq + 1) % 256;
+      this.connect().catch((error) => {
+        this.setStatus({ state: 'offline', error: error.message });
+        this.scheduleReconnect();
+      });
+    }, RECONNECT_DELAY);
+  }
+
+  private async publishBirths(): Promise<void> {
+    const timestamp = Date.now();
+    this.status.seq = 0;
+    await this.publish(
+      this.topic('NBIRTH'),
+      encodeSparkplugPayload({
+        timestamp,
+        seq: this.nextSeq(),
+        metrics: [
+          { name: 'bdSeq', datatype: 'Int64', value: this.status.bdSeq },
+          { name: REBIRTH_METRIC, datatype: 'Boolean', value: false },
+        ],
+      }),
+    );
+    await this.publishDeviceBirth(timestamp);
+    this.setStatus({ births: this.status.births + 1 });
+  }
+
+  private async publishDeviceBirth(timestamp: number): Promise<void> {
+    await this.publish(
+      this.topic('DBIRTH', true),
+      encodeSparkplugPayload({
+        timestamp,
+        seq: this.nextSeq(),
+        metrics: Array.from(this.metrics.values(), (metric) => ({ ...metric, timestamp })),
+      }),
+    );
+  }
+
+  private handleCommand(payload: Buffer): void {
+    try {
+      const { metrics } = decodeSparkplugPayload(payload);
+      const rebirth = metrics.some((m) => m.name === REBIRTH_METRIC && m.value === true);
+      if (rebirth && this.status.state === 'online') {
+        this.publishBirths().catch((error) => this.setStatus({ error: error.message }));
+      }
+    } catch (error) {
+      console.error(`Sparkplug ${this.status.id}: unreadable NCMD:`, (error as Error).message);
+    }
+  }
+
+  /**
+   * Publish DDATA for the metrics whose value changed. A metric that is new or
+   * changed type alters the device's metric set, so the device is reborn instead.
+   */
+  async update(metrics: SparkplugMetricInput[]): Promise<number> {
+    const timestamp = Date.now();
+    const redefined = metrics.some((m) => this.metrics.get(m.name)?.datatype !== m.datatype);
+    const changed = metrics.filter((m) => !Object.is(this.metrics.get(m.name)?.value, m.value));
+    metrics.forEach((metric) => this.metrics.set(metric.name, { ...metric, timestamp }));
+    if (this.status.state !== 'online') return 0;
+
+    if (redefined) {
+      await this.publish(
+        this.topic('DDEATH', true),
+        encodeSparkplugPayload({ timestamp, seq: this.nextSeq(), metrics: [] }),
+      );
+      await this.publishDeviceBirth(timestamp);
+      this.onStatus(this.status);
+      return this.metrics.size;
+    }
+    if (changed.length === 0) return 0;
+
+    await this.publish(
+      this.topic('DDATA', true),
+      encodeSparkplugPayload({
+        timestamp,
+        seq: this.nextSeq(),
+        metrics: changed.map((metric) => ({ ...metric, timestamp })),
+      }),
+    );
+    this.onStatus(this.status);
+    return changed.length;
+  }
+
+  /** An intentional shutdown publishes the deaths itself, then disconnects cleanly. */
+  async stop(): Promise<void> {
+    this.stopped = true;
+    if (this.reconnectTimer) clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    const connection = this.connection;
+    if (!connection) return;
+
+    if (this.status.state === 'online') {
+      try {
+        await this.publish(
+          this.topic('DDEATH', true),
+          encodeSparkplugPayload({ timestamp: Date.now(), seq: this.nextSeq(), metrics: [] }),
+        );
+        await this.publish(this.topic('NDEATH'), this.deathPayload(), 1);
+      } catch (error) {
+        console.error(`Sparkplug ${this.status.id}: failed to publish deaths:`, error);
+      }
+    }
+    connection.removeAllListeners();
+    await connection.disconnect(true);
+    this.connection = null;
+    this.setStatus({ state: 'stopped' });
+  }
+}
+
+/**
+ * Runs simulated Sparkplug B edge nodes next to the connection manager. Each
+ * node copies the broker settings of an open connection but keeps its own
+ * session, which never shows up in the renderer's connection list.
+ */
+export class SparkplugNodeManager extends EventEmitter {
+  private nodes = new Map<string, SparkplugEdgeNode>();
+  private lastBdSeq = new Map<string, number>(); // so a restarted node continues the sequence
+
+  constructor(private mqttManager: MQTTConnectionManager) {
+    super();
+    // Nodes borrow their broker settings from a connection and end with it.
+    mqttManager.on('disconnected', ({ id }: { id: string }) => {
+      this.stopForConnection(id).catch((error) => {
+        console.error(`Failed to stop Sparkplug nodes for ${id}:`, error);
+      });
+    });
+  }
+
+  async start(id: string, options: SparkplugNodeOptions): Promise<SparkplugNodeStatus> {
+    const parent = this.mqttManager.getConnection(options.connectionId);
+    if (!parent?.isConnected) throw new Error('The connection is not connected');
+    await this.stop(id);
+
+    const bdSeq = this.lastBdSeq.has(id) ? (this.lastBdSeq.get(id)! + 1) % 256 : 0;
+    const node = new SparkplugEdgeNode(id, options, parent.config, bdSeq, (status) =>
+      this.emit('status', status),
+    );
+    this.nodes.set(id, node);
+    try {
+      await node.start();
+    } catch (error) {
+      await this.stop(id);
+      throw error;
+    }
+    return node.status;
+  }
+
+  async update(id: string, metrics: SparkplugMetricInput[]): Promise<number> {
+    const node = this.nodes.get(id);
+    if (!node) throw new Error(`Sparkplug node ${id} is not running`);
+    return node.update(metrics);
+  }
+
+  async stop(id: string): Promise<void> {
+    const node = this.nodes.get(id);
+    if (!node) return;
+    this.nodes.delete(id);
+    this.lastBdSeq.set(id, node.status.bdSeq);
+    await node.stop();
+  }
+
+  list(): SparkplugNodeStatus[] {
+    return Array.from(this.nodes.values(), (node) => node.status);
+  }
+
+  async stopForConnection(connectionId: string): Promise<void> {
+    const ids = Array.from(this.nodes.values())
+      .filter((node) => node.status.connectionId === connectionId)
+      .map((node) => node.status.id);
+    await Promise.all(ids.map((id) => this.stop(id)));
+  }
+
+  async stopAll(): Promise<void> {
+    await Promise.all(Array.from(this.nodes.keys(), (id) => this.stop(id)));
+  }
+}
@@ -39,6 +39,9 @@ function createEventHandler(eventPrefix: string) {
 }
 
 const mqttEvents = createEventHandler('mqtt');
+const recordingEvents = createEventHandler('recording');
+const sparkplugEvents = createEventHandler('sparkplug');
+const simulationEvents = createEventHandler('simulation');
 
 contextBridge.exposeInMainWorld('electronAPI', {
   mqtt: {
@@ -46,16 +49,73 @@ contextBridge.exposeInMainWorld('electronAPI', {
       ipcRenderer.invoke('mqtt-connect', connectionId, config),
     disconnect: (connectionId: string) =>
       ipcRenderer.invoke('mqtt-disconnect', connectionId),
-    subscribe: (connectionId: string, topic: string, qos = 0) =>
-      ipcRenderer.invoke('mqtt-subscribe', connectionId, topic, qos),
-    unsubscribe: (connectionId: string, topic: string) =>
-      ipcRenderer.invoke('mqtt-unsubscribe', connectionId, topic),
+    subscribe: (
+      connectionId: string,
+      topic: string,
+      qos = 0,
+      properties: unknown = {},
+      options: unknown = {},
+    ) => ipcRenderer.invoke('mqtt-subscribe', connectionId, topic, qos, properties, options),
+    unsubscribe: (connectionId: string, topic: string, properties: unknown = {}) =>
+      ipcRenderer.invoke('mqtt-unsubscribe', connectionId, topic, properties),
     publish: (connectionId: string, topic: string, message: unknown, options: unknown) =>
       ipcRenderer.invoke('mqtt-publish', connectionId, topic, message, options),
+    request: (connectionId: string, topic: string, message: string, options: unknown = {}) =>
+      ipcRenderer.invoke('mqtt-request', connectionId, topic, message, options),
     getConnections: () => ipcRenderer.invoke('mqtt-get-connections'),
 
     on: mqttEvents.on,
     off: mqttEvents.off,
     removeAllListeners: mqttEvents.removeAllListeners,
   },
+  recordings: {
+    list: () => ipcRenderer.invoke('recordings-list'),
+    start: (options: unknown) => ipcRenderer.invoke('recordings-start', options),
+    stop: (id: string) => ipcRenderer.invoke('recordings-stop', id),
+    rename: (id: string, name: string) => ipcRenderer.invoke('recordings-rename', id, name),
+    delete: (id: string) => ipcRenderer.invoke('recordings-delete', id),
+    read: (id: string, offset: number, limit: number, topics: string[] = []) =>
+      ipcRenderer.invoke('recordings-read', id, offset, limit, topics),
+    export: (id: string) => ipcRenderer.invoke('recordings-export', id),
+    import: () => ipcRenderer.invoke('recordings-import'),
+    importData: (info: unknown, messages: unknown) =>
+      ipcRenderer.invoke('recordings-import-data', info, messages),
+    edit: (options: unknown) => ipcRenderer.invoke('recordings-edit', options),
+
+    on: recordingEvents.on,
+    off: recordingEvents.off,
+  },
+  sparkplug: {
+    start: (id: string, options: unknown) => ipcRenderer.invoke('sparkplug-start', id, options),
+    update: (id: string, metrics: unknown) => ipcRenderer.invoke('sparkplug-update', id, metrics),
+    stop: (id: string) => ipcRenderer.invoke('sparkplug-stop', id),
+    list: () => ipcRenderer.invoke('sparkplug-list'),
+
+    on: sparkplugEvents.on,
+    off: sparkplugEvents.off,
+  },
+
+  simulation: {
+    list: (connectionId: string) => ipcRenderer.invoke('simulation-list', connectionId),
+    getStatus: (connectionId: string) =>
+      ipcRenderer.invoke('simulation-get-status', connectionId),
+    save: (connectionId: string, device: unknown) =>
+      ipcRenderer.invoke('simulation-save', connectionId, device),
+    delete: (connectionId: string, deviceId: number) =>
+      ipcRenderer.invoke('simulation-delete', connectionId, deviceId),
+    start: (connectionId: string, deviceId: number) =>
+      ipcRenderer.invoke('simulation-start', connectionId, deviceId),
+    stop: (connectionId: string, deviceId: number) =>
+      ipcRenderer.invoke('simulation-stop', connectionId, deviceId),
+    publishOnce: (connectionId: string, deviceId: number) =>
+      ipcRenderer.invoke('simulation-publish-once', connectionId, deviceId),
+    import: (connectionId: string, devices: unknown) =>
+      ipcRenderer.invoke('simulation-import', connectionId, devices),
+    listDatasets: () => ipcRenderer.invoke('simulation-list-datasets'),
+    importDataset: () => ipcRenderer.invoke('simulation-import-dataset'),
+    deleteDataset: (id: string) => ipcRenderer.invoke('simulation-delete-dataset', id),
+
+    on: simulationEvents.on,
+    off: simulationEvents.off,
+  },
 });
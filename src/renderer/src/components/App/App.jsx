@@ -8,6 +8,9 @@ import MessagePanel from '../MessagePanel/MessagePanel';
 import PublishingPanel from '../PublishingPanel/PublishingPanel';
 import RecordingPanel from '../RecordingPanel/RecordingPanel';
 import SimulationPanel from '../SimulationPanel/SimulationPanel';
+import SubscriptionPanel from '../SubscriptionPanel/SubscriptionPanel';
+import OfflineTimeline from '../OfflineAnalysis/OfflineTimeline';
+import OpenOfflineModal from '../OfflineAnalysis/OpenOfflineModal';
 import { useConnections } from '../../hooks/useConnections';
 import { useMessages } from '../../hooks/useMessages';
 import { useUIState } from '../../hooks/useUIState';
@@ -16,6 +19,8 @@ import './App.css';
 function App() {
   const [selectedTopic, setSelectedTopic] = useState(null);
   const [notifications, setNotifications] = useState([]);
+  const [showOfflineModal, setShowOfflineModal] = useState(false);
+  const [focusedMessage, setFocusedMessage] = useState(null);
 
   // ── Notifications ────────────────────────────────────────────────────────
   const showFeedback = useCallback((message, type = 'success') => {
@@ -39,10 +44,12 @@ function App() {
     handleConnectionSelect,
     handleConnectionToggle,
     handleConnectionDelete,
+    handleSubscriptionsSave,
+    openOfflineConnection,
   } = useConnections(showFeedback, selectedTopic, setSelectedTopic);
 
   const {
-    connectionMessages, allConnectionMessages,
+    connectionMessages,
     handleClearMessages,
   } = useMessages(selectedConnection, selectedTopic, connections, showFeedback);
 
@@ -75,11 +82,23 @@ function App() {
       ));
       setConnections(prev => {
         const name = prev.find(c => c.id === data.id)?.config?.name || data.id;
-        showFeedback(`Connected to ${name}`, 'success');
+        showFeedback(data.reconnected ? `Reconnected to ${name}` : `Connected to ${name}`, 'success');
         return prev;
       });
     };
 
+    // The topic tree, selection and recordings survive the outage; only the status changes.
+    const handleReconnecting = (data) => {
+      setConnections(prev => {
+        const name = prev.find(c => c.id === data.id)?.config?.name || data.id;
+        const attempts = data.maxAttempts > 0 ? `${data.attempt}/${data.maxAttempts}` : `${data.attempt}`;
+        showFeedback(`Connection to ${name} lost — reconnecting in ${Math.ceil(data.delay / 1000)}s (attempt ${attempts})`, 'warning');
+        return prev.map(c =>
+          c.id === data.id ? { ...c, status: 'reconnecting', isConnected: false } : c
+        );
+      });
+    };
+
     const handleDisconnected = (data) => {
       setConnections(prev => prev.map(c =>
         c.id === data.id ? { ...c, status: 'disconnected', isConnected: false } : c
@@ -120,6 +139,7 @@ function App() {
     };
 
     const handleError = (data) => {
+      if (data.reconnecting) return; // handleReconnecting reports the outage
       const msg = data.code || data.error || data.message || 'Unknown error';
       setConnections(prev => {
         const name = prev.find(c => c.id === data.id)?.config?.name || data.id;
@@ -134,16 +154,18 @@ function App() {
       }
     };
 
-    handlersRef.current = { handleConnected, handleDisconnected, handleMessage, handleError };
+    handlersRef.current = { handleConnected, handleDisconnected, handleReconnecting, handleMessage, handleError };
     MQTTService.onAny('connected', handleConnected);
     MQTTService.onAny('disconnected', handleDisconnected);
+    MQTTService.onAny('reconnecting', handleReconnecting);
     MQTTService.onAny('message', handleMessage);
     MQTTService.onAny('error', handleError);
 
     return () => {
-      const { handleConnected, handleDisconnected, handleMessage, handleError } = handlersRef.current;
+      const { handleConnected, handleDisconnected, handleReconnecting, handleMessage, handleError } = handlersRef.current;
       MQTTService.off('*', 'connected', handleConnected);
       MQTTService.off('*', 'disconnected', handleDisconnected);
+      MQTTService.off('*', 'reconnecting', handleReconnecting);
       MQTTService.off('*', 'message', handleMessage);
       MQTTService.off('*', 'error', handleError);
       if (topicTreeHandlersRef.current) {
@@ -177,6 +199,12 @@ function App() {
     setLastSelectedTopics(prev => ({ ...prev, [selectedConnection]: topic }));
   };
 
+  // A message picked from the search results; a new object each time so repeat picks scroll again.
+  const handleMessageFocus = (hit) => {
+    setActiveTab('logging');
+    setFocusedMessage({ topic: hit.topic, id: hit.messageId });
+  };
+
   const handlePublishMessage = async (messageData) => {
     if (!selectedConnection) { showFeedback('No active connection selected', 'error'); return; }
     const conn = connections.find(c => c.id === selectedConnection);
@@ -184,36 +212,54 @@ function App() {
     try {
       await MQTTService.publish(selectedConnection, {
         topic: messageData.topic, message: messageData.payload, qos: messageData.qos, retain: messageData.retain,
+        properties: messageData.properties,
       });
     } catch (err) {
       showFeedback(`Failed to publish message: ${err.message}`, 'error');
     }
   };
 
+  const handleOpenOffline = (recording) => {
+    openOfflineConnection(recording);
+    setShowOfflineModal(false);
+    setActiveTab('logging');
+  };
+
   const getConnectionName = () =>
     connections.find(c => c.id === selectedConnection)?.config?.name || 'Unknown Connection';
 
   // ── Render helpers ───────────────────────────────────────────────────────
-  const isConnected = connections.find(c => c.id === selectedConnection)?.isConnected || false;
+  const selectedConn = connections.find(c => c.id === selectedConnection);
+  const isConnected = selectedConn?.isConnected || false;
+  const isReconnecting = selectedConn?.status === 'reconnecting';
+  const isOffline = selectedConn?.status === 'offline';
+  const protocolVersion = selectedConn?.config?.protocolVersion || selectedConn?.protocolVersion || 4;
 
   const renderTabContent = () => (
     <div className="tab-content-container">
       <div className={`tab-content ${activeTab === 'logging'     ? 'active' : 'hidden'}`}>
-        <MessagePanel messages={connectionMessages} selectedTopic={selectedTopic}
+        <MessagePanel messages={connectionMessages} selectedTopic={selectedTopic} focusedMessage={focusedMessage}
           connectionName={getConnectionName()} onClearMessages={handleClearMessages} showFeedback={showFeedback} />
       </div>
       <div className={`tab-content ${activeTab === 'publishing'  ? 'active' : 'hidden'}`}>
         <PublishingPanel connectionId={selectedConnection} onPublishMessage={handlePublishMessage}
-          isConnected={isConnected} selectedTopic={selectedTopic} showFeedback={showFeedback} />
+          isConnected={isConnected} protocolVersion={protocolVersion} selectedTopic={selectedTopic}
+          showFeedback={showFeedback} />
       </div>
       <div className={`tab-content ${activeTab === 'recording'   ? 'active' : 'hidden'}`}>
-        <RecordingPanel messages={allConnectionMessages} connectionName={getConnectionName()}
+        <RecordingPanel connectionName={getConnectionName()}
           selectedTopic={selectedTopic} onPublishMessage={handlePublishMessage}
-          isConnected={isConnected} activeConnectionId={selectedConnection} />
+          isConnected={isConnected} isReconnecting={isReconnecting} activeConnectionId={selectedConnection}
+          onOpenOffline={handleOpenOffline} />
       </div>
       <div className={`tab-content ${activeTab === 'simulation'  ? 'active' : 'hidden'}`}>
-        <SimulationPanel connectionId={selectedConnection} onPublishMessage={handlePublishMessage}
-          isConnected={isConnected} selectedTopic={selectedTopic} />
+        <SimulationPanel connectionId={selectedConnection} isConnected={isConnected}
+          selectedTopic={selectedTopic} showFeedback={showFeedback} />
+      </div>
+      <div className={`tab-content ${activeTab === 'subscriptions' ? 'active' : 'hidden'}`}>
+        <SubscriptionPanel connectionId={selectedConnection} isConnected={isConnected}
+          protocolVersion={protocolVersion} savedSubscriptions={selectedConn?.config?.subscriptions}
+          onSaveSubscriptions={handleSubscriptionsSave} showFeedback={showFeedback} />
       </div>
     </div>
   );
@@ -235,7 +281,8 @@ function App() {
         <SplitPane direction="horizontal" onResize={(sizes) => setTopicTreeWidth(sizes[0])} dividerClassName="resizer-divider">
           <Pane minSize={50} defaultSize={topicTreeWidth}>
             <div className="topic-tree-panel">
-              <TopicTreeComponent connectionId={selectedConnection} onTopicSelect={handleTopicSelect} topicTreeService={TopicTreeService} />
+              <TopicTreeComponent connectionId={selectedConnection} onTopicSelect={handleTopicSelect}
+                onMessageFocus={handleMessageFocus} topicTreeService={TopicTreeService} />
             </div>
           </Pane>
           <Pane>{renderTabContent()}</Pane>
@@ -268,6 +315,7 @@ function App() {
           selectedConnectionId={selectedConnection}
           isCollapsed={sidebarCollapsed}
           onToggleCollapse={handleToggleSidebarCollapse}
+          onOpenOffline={() => setShowOfflineModal(true)}
         />
 
         <div className="main-content">
@@ -291,6 +339,7 @@ function App() {
                     { id: 'publishing', icon: 'fa-paper-plane', label: 'Publishing', key: 'F2' },
                     { id: 'recording',  icon: 'fa-video',       label: 'Recording',  key: 'F3' },
                     { id: 'simulation', icon: 'fa-microchip',   label: 'Simulation', key: 'F4' },
+                    { id: 'subscriptions', icon: 'fa-rss',      label: 'Subscriptions', key: 'F5' },
                   ].map(tab => (
                     <button key={tab.id} onClick={() => setActiveTab(tab.id)}
                       className={`tab-btn ${activeTab === tab.id ? 'active' : ''}`}
@@ -304,11 +353,17 @@ function App() {
             )}
           </div>
 
+          {isOffline && <OfflineTimeline connectionId={selectedConnection} />}
+
           <div className="main-panels">
             {renderMainContent()}
           </div>
         </div>
       </div>
+
+      {showOfflineModal && (
+        <OpenOfflineModal onOpen={handleOpenOffline} onClose={() => setShowOfflineModal(false)} />
+      )}
     </div>
   );
 }
@@ -31,10 +31,14 @@ function ConnectionCard({
   onDelete,
 }: Props) {
   const [showActions, setShowActions] = useState(false);
+  const isOffline = connection.status === 'offline';
 
   const getStatusColor = () => {
+    if (isOffline) return 'offline';
     if (connection.status === 'connected') return 'connected';
-    if (connection.status === 'connecting') return 'connecting';
+    if (connection.status === 'connecting' || connection.status === 'reconnecting') {
+      return 'connecting';
+    }
     return 'disconnected';
   };
 
@@ -43,15 +47,19 @@ function ConnectionCard({
       case 'connected':
         return 'status-dot connected';
       case 'connecting':
+      case 'reconnecting':
         return 'status-dot connecting';
       case 'disconnected':
         return 'status-dot disconnected';
+      case 'offline':
+        return 'status-dot offline';
       default:
         return 'status-dot unknown';
     }
   };
 
   const getBrokerInfo = () => {
+    if (isOffline) return 'Recording (no broker)';
     try {
       const url = new URL(connection.config?.brokerUrl || '');
       const protocol = url.protocol.replace(':', '');
@@ -75,7 +83,12 @@ function ConnectionCard({
 
   // Status styling/text used in collapsed mode.
   const getStatusClass = () => {
-    if (connection.status === 'connecting' || connection.status === 'disconnecting') {
+    if (isOffline) return 'offline';
+    if (
+      connection.status === 'connecting' ||
+      connection.status === 'reconnecting' ||
+      connection.status === 'disconnecting'
+    ) {
       return 'connecting';
     }
     if (isActive || connection.status === 'connected') {
@@ -88,7 +101,9 @@ function ConnectionCard({
   };
 
   const getStatusText = () => {
+    if (isOffline) return 'Offline analysis';
     if (connection.status === 'connecting') return 'Connecting...';
+    if (connection.status === 'reconnecting') return 'Reconnecting...';
     if (connection.status === 'disconnecting') return 'Disconnecting...';
     if (isActive || connection.status === 'connected') return 'Connected';
     if (connection.status === 'error') return 'Error';
@@ -97,6 +112,9 @@ function ConnectionCard({
 
   const handleCardClick = () => onSelect();
 
+  // Reconnecting connections show a stop button so the retry loop can be cancelled.
+  const isLive = connection.isConnected || connection.status === 'reconnecting';
+
   const handleToggleClick = (e: React.MouseEvent) => {
     e.stopPropagation();
     onToggle();
@@ -148,7 +166,13 @@ function ConnectionCard({
         {/* Status dot and MQTT version bubble (top-right). */}
         <div className="connection-status">
           <div className={getStatusDot()}></div>
-          <div className={`mqtt-version-bubble ${getMqttVersionClass()}`}>{getMqttVersion()}</div>
+          {isOffline ? (
+            <div className="mqtt-version-bubble offline">
+              <i className="fas fa-folder-open"></i>
+            </div>
+          ) : (
+            <div className={`mqtt-version-bubble ${getMqttVersionClass()}`}>{getMqttVersion()}</div>
+          )}
         </div>
 
         <div className="connection-info">
@@ -169,20 +193,28 @@ function ConnectionCard({
 
         <div className="card-actions-container">
           <div className={`card-actions ${!showActions ? 'hidden' : ''}`}>
-            <button
-              className={`action-btn toggle-btn ${connection.isConnected ? 'disconnect' : 'connect'}`}
-              onClick={handleToggleClick}
-              title={connection.isConnected ? 'Disconnect' : 'Connect'}
-            >
-              <i className={connection.isConnected ? 'fas fa-stop' : 'fas fa-play'}></i>
-            </button>
-            <button className="action-btn edit-btn" onClick={handleEditClick} title="Edit connection">
-              <i className="fas fa-edit"></i>
-            </button>
+            {!isOffline && (
+              <>
+                <button
+                  className={`action-btn toggle-btn ${isLive ? 'disconnect' : 'connect'}`}
+                  onClick={handleToggleClick}
+                  title={isLive ? 'Disconnect' : 'Connect'}
+                >
+                  <i className={isLive ? 'fas fa-stop' : 'fas fa-play'}></i>
+                </button>
+                <button
+                  className="action-btn edit-btn"
+                  onClick={handleEditClick}
+                  title="Edit connection"
+                >
+                  <i className="fas fa-edit"></i>
+                </button>
+              </>
+            )}
             <button
               className="action-btn delete-btn"
               onClick={handleDeleteClick}
-              title="Delete connection"
+              title={isOffline ? 'Close recording' : 'Delete connection'}
             >
               <i className="fas fa-trash"></i>
             </button>
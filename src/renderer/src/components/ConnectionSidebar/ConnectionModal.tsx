@@ -7,6 +7,7 @@ import Mqtt5PropertiesSection from './connectionModal/Mqtt5PropertiesSection';
 import TlsSection from './connectionModal/TlsSection';
 import LastWillSection from './connectionModal/LastWillSection';
 import SubscriptionsSection from './connectionModal/SubscriptionsSection';
+import ReconnectSection from './connectionModal/ReconnectSection';
 
 interface ConnectionModalProps {
   connection: any;
@@ -280,6 +281,8 @@ function ConnectionModal({ connection, onSave, onCancel }: ConnectionModalProps)
               setWillQosDropdownOpen={setWillQosDropdownOpen}
             />
 
+            <ReconnectSection formData={formData} handleInputChange={handleInputChange} />
+
             {/* Other Options */}
             <div className="mqtt-form-section">
               <h3 className="mqtt-section-title">Other Options</h3>
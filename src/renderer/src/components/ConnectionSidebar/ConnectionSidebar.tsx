@@ -23,6 +23,7 @@ interface Props {
   selectedConnectionId: string | null;
   isCollapsed?: boolean;
   onToggleCollapse?: () => void;
+  onOpenOffline?: () => void;
 }
 
 function ConnectionSidebar({
@@ -35,6 +36,7 @@ function ConnectionSidebar({
   selectedConnectionId,
   isCollapsed = false,
   onToggleCollapse,
+  onOpenOffline,
 }: Props) {
   const [showModal, setShowModal] = useState(false);
   const [editingConnection, setEditingConnection] = useState<Connection | null>(null);
@@ -206,6 +208,15 @@ function ConnectionSidebar({
         >
           <span className="plus-icon">+</span>
         </button>
+        {onOpenOffline && (
+          <button
+            className="open-offline-btn"
+            onClick={onOpenOffline}
+            title="Open a recording for offline analysis"
+          >
+            <i className="fas fa-folder-open"></i>
+          </button>
+        )}
       </div>
 
       {showModal && (
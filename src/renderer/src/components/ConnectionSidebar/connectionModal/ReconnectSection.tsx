@@ -0,0 +1,127 @@
+import React from 'react';
+import type { ConnectionFormData, FieldChange, ReconnectSettings } from './types';
+
+interface Props {
+  formData: ConnectionFormData;
+  handleInputChange: FieldChange;
+}
+
+function ReconnectSection({ formData, handleInputChange }: Props) {
+  const reconnect = formData.reconnect;
+
+  const update = <K extends keyof ReconnectSettings>(field: K, value: ReconnectSettings[K]) => {
+    handleInputChange('reconnect', { ...reconnect, [field]: value });
+  };
+
+  return (
+    <div className="mqtt-form-section">
+      <h3 className="mqtt-section-title">Automatic Reconnect</h3>
+
+      <div className="mqtt-form-group">
+        <label className="mqtt-connection-modal-checkbox-label">
+          <input
+            type="checkbox"
+            checked={reconnect.enabled}
+            onChange={(e) => update('enabled', e.target.checked)}
+          />
+          <div className="mqtt-connection-modal-checkbox-custom"></div>
+          <span className="mqtt-connection-modal-checkbox-text">
+            Reconnect when the connection drops
+          </span>
+        </label>
+        <div className="mqtt-field-hint">
+          Retries with exponential backoff; topic tree and recordings keep their data meanwhile
+        </div>
+      </div>
+
+      {reconnect.enabled && (
+        <>
+          <div className="mqtt-form-row">
+            <div className="mqtt-form-group">
+              <label htmlFor="reconnectInitialDelay">Initial Delay (ms)</label>
+              <input
+                id="reconnectInitialDelay"
+                type="number"
+                value={reconnect.initialDelay}
+                onChange={(e) => update('initialDelay', Math.max(0, parseInt(e.target.value) || 0))}
+                min="0"
+              />
+            </div>
+
+            <div className="mqtt-form-group">
+              <label htmlFor="reconnectMaxDelay">Max Delay (ms)</label>
+              <input
+                id="reconnectMaxDelay"
+                type="number"
+                value={reconnect.maxDelay}
+                onChange={(e) => update('maxDelay', Math.max(0, parseInt(e.target.value) || 0))}
+                min="0"
+              />
+            </div>
+          </div>
+
+          <div className="mqtt-form-row">
+            <div className="mqtt-form-group">
+              <label htmlFor="reconnectMultiplier">Backoff Multiplier</label>
+              <input
+                id="reconnectMultiplier"
+                type="number"
+                step="0.1"
+                value={reconnect.multiplier}
+                onChange={(e) => update('multiplier', Math.max(1, parseFloat(e.target.value) || 1))}
+                min="1"
+              />
+            </div>
+
+            <div className="mqtt-form-group">
+              <label htmlFor="reconnectJitter">Jitter (%)</label>
+              <input
+                id="reconnectJitter"
+                type="number"
+                value={Math.round(reconnect.jitter * 100)}
+                onChange={(e) =>
+                  update('jitter', Math.min(100, Math.max(0, parseInt(e.target.value) || 0)) / 100)
+                }
+                min="0"
+                max="100"
+              />
+            </div>
+          </div>
+
+          <div className="mqtt-form-row">
+            <div className="mqtt-form-group">
+              <label htmlFor="reconnectMaxAttempts">Max Attempts</label>
+              <input
+                id="reconnectMaxAttempts"
+                type="number"
+                value={reconnect.maxAttempts}
+                onChange={(e) => update('maxAttempts', Math.max(0, parseInt(e.target.value) || 0))}
+                min="0"
+              />
+              <div className="mqtt-field-hint">0 = retry forever</div>
+            </div>
+
+            <div className="mqtt-form-group">
+              <label className="mqtt-connection-modal-checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={reconnect.resubscribe}
+                  onChange={(e) => update('resubscribe', e.target.checked)}
+                />
+                <div className="mqtt-connection-modal-checkbox-custom"></div>
+                <span className="mqtt-connection-modal-checkbox-text">
+                  Resubscribe on reconnect
+                </span>
+              </label>
+              <div className="mqtt-field-hint">
+                Skipped when the broker reports the previous session is still present
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default React.memo(ReconnectSection);
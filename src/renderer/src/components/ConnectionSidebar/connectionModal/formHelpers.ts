@@ -1,4 +1,4 @@
-import type { ConnectionFormData } from './types';
+import type { ConnectionFormData, ReconnectSettings } from './types';
 
 interface ParsedBrokerUrl {
   protocol: string;
@@ -36,6 +36,18 @@ export function buildBrokerUrl(
   return baseUrl;
 }
 
+export function createDefaultReconnectSettings(): ReconnectSettings {
+  return {
+    enabled: true,
+    initialDelay: 1000,
+    maxDelay: 30000,
+    multiplier: 2,
+    jitter: 0.2,
+    maxAttempts: 0,
+    resubscribe: true,
+  };
+}
+
 export function createDefaultFormData(): ConnectionFormData {
   return {
     name: '',
@@ -76,6 +88,7 @@ export function createDefaultFormData(): ConnectionFormData {
     willDelayInterval: 0,
     willMessageExpiryInterval: 0,
     subscriptions: [{ topic: '#', qos: 0 }],
+    reconnect: createDefaultReconnectSettings(),
   };
 }
 
@@ -138,5 +151,6 @@ export function buildInitialFormData(connection: any): ConnectionFormData {
     willDelayInterval: config.willDelayInterval || 0,
     willMessageExpiryInterval: config.willMessageExpiryInterval || 0,
     subscriptions: config.subscriptions || [{ topic: '#', qos: 0 }],
+    reconnect: { ...base.reconnect, ...config.reconnect },
   };
 }
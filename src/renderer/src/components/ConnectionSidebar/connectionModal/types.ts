@@ -18,6 +18,16 @@ export interface TlsConfig {
   alpnProtocols: string[];
 }
 
+export interface ReconnectSettings {
+  enabled: boolean;
+  initialDelay: number;
+  maxDelay: number;
+  multiplier: number;
+  jitter: number;
+  maxAttempts: number;
+  resubscribe: boolean;
+}
+
 export interface Subscription {
   topic: string;
   qos: number;
@@ -53,6 +63,7 @@ export interface ConnectionFormData {
   willDelayInterval: number;
   willMessageExpiryInterval: number;
   subscriptions: Subscription[];
+  reconnect: ReconnectSettings;
 }
 
 export type FormErrors = Record<string, string | null | undefined>;
@@ -1,9 +1,36 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  PAYLOAD_VIEWS,
+  formatPayload,
+  encodeForExport
+} from '../../utils/payload';
+import {
+  describeMessageProperties,
+  matchesPropertyFilter,
+  serializeMessageProperties
+} from '../../utils/messageProperties';
+import DecoderService from '../../services/DecoderService';
+import { formatSchemaError } from '../../../../shared/json-schema';
+import MessagePayload from './messagePanel/MessagePayload';
+import DecoderRulesModal from './messagePanel/DecoderRulesModal';
+import SchemaRulesModal from './messagePanel/SchemaRulesModal';
+import SchemaInferenceModal from './messagePanel/SchemaInferenceModal';
+import MessageChart from './messagePanel/MessageChart';
+import MessageDiff from './messagePanel/MessageDiff';
+import MessageDiffModal from './messagePanel/MessageDiffModal';
 import './MessagePanel.css';
 
+// Exported messages carry the decoded value alongside the raw payload when a rule applies.
+function decodedForExport(msg) {
+  const result = DecoderService.decode(msg.topic, msg.payload);
+  if (!result || result.error) return {};
+  return { decoder: result.decoderId, decoded: DecoderService.exportValue(msg.topic, msg.payload) };
+}
+
 function MessagePanel({
   messages,
   selectedTopic,
+  focusedMessage,
   onClearMessages,
   connectionName,
   showFeedback
@@ -13,18 +40,32 @@ function MessagePanel({
   const [showRetainedOnly, setShowRetainedOnly] = useState(false);
   const [showTopicExportMenu, setShowTopicExportMenu] = useState(false);
   const [autoScroll, setAutoScroll] = useState(true);
+  const [payloadView, setPayloadView] = useState('auto');
+  const [propertyFilter, setPropertyFilter] = useState('');
+  const [showDecoderModal, setShowDecoderModal] = useState(false);
+  const [showSchemaModal, setShowSchemaModal] = useState(false);
+  const [showInferenceModal, setShowInferenceModal] = useState(false);
+  const [showChart, setShowChart] = useState(false);
+  const [changesTopics, setChangesTopics] = useState(() => new Set()); // topics in changes-only view
+  const [compareSelection, setCompareSelection] = useState([]);
+  const [highlightedId, setHighlightedId] = useState(null);
+  const [, setDecoderVersion] = useState(0);
 
   const listRef = useRef(null);
+  const pendingFocus = useRef(null);
 
   const processedMessages = React.useMemo(() => {
     let filtered = showRetainedOnly ? messages.filter(m => m.retain) : messages;
+    if (propertyFilter.trim()) {
+      filtered = filtered.filter(m => matchesPropertyFilter(m.properties, propertyFilter));
+    }
     if (sortBy === 'timestamp') {
       return [...filtered].sort((a, b) =>
         sortOrder === 'desc' ? b.timestamp - a.timestamp : a.timestamp - b.timestamp
       );
     }
     return filtered;
-  }, [messages, showRetainedOnly, sortBy, sortOrder]);
+  }, [messages, showRetainedOnly, propertyFilter, sortBy, sortOrder]);
 
   const topicDetails = React.useMemo(() => {
     if (!selectedTopic) return null;
@@ -32,6 +73,80 @@ function MessagePanel({
     return processedMessages.reduce((latest, cur) => cur.timestamp > latest.timestamp ? cur : latest, processedMessages[0]);
   }, [selectedTopic, processedMessages]);
 
+  const showChanges = !!selectedTopic && changesTopics.has(selectedTopic.topicPath);
+
+  const toggleChanges = () => {
+    const topic = selectedTopic?.topicPath;
+    if (!topic) return;
+    setChangesTopics(prev => {
+      const next = new Set(prev);
+      if (!next.delete(topic)) next.add(topic);
+      return next;
+    });
+  };
+
+  // Each message's predecessor on its topic, in arrival order (messages are newest-first).
+  const previousMessages = React.useMemo(() => {
+    const previous = new Map();
+    messages.forEach((msg, i) => {
+      if (i + 1 < messages.length) previous.set(msg, messages[i + 1]);
+    });
+    return previous;
+  }, [messages]);
+
+  // Selections don't outlive the topic they were made on.
+  useEffect(() => setCompareSelection([]), [selectedTopic]);
+
+  // A message picked from search: clear whatever could hide it, then scroll to it once listed.
+  useEffect(() => {
+    if (!focusedMessage) return;
+    pendingFocus.current = focusedMessage;
+    setShowChart(false);
+    setShowRetainedOnly(false);
+    setPropertyFilter('');
+    setAutoScroll(false);
+  }, [focusedMessage]);
+
+  useEffect(() => {
+    const focus = pendingFocus.current;
+    if (!focus || selectedTopic?.topicPath !== focus.topic || !listRef.current) return;
+    const item = listRef.current.querySelector(`[data-message-id="${CSS.escape(focus.id)}"]`);
+    if (!item) return;
+    pendingFocus.current = null;
+    item.scrollIntoView({ block: 'center' });
+    setHighlightedId(focus.id);
+  }, [focusedMessage, selectedTopic, processedMessages, showChart]);
+
+  useEffect(() => {
+    if (!highlightedId) return;
+    const timer = setTimeout(() => setHighlightedId(null), 2500);
+    return () => clearTimeout(timer);
+  }, [highlightedId]);
+
+  const toggleCompare = (msg, e) => {
+    e.stopPropagation();
+    setCompareSelection(prev =>
+      prev.some(m => m.id === msg.id) ? prev.filter(m => m.id !== msg.id) : [...prev, msg].slice(-2)
+    );
+  };
+
+  const schemaSummary = React.useMemo(() => {
+    const validated = processedMessages.filter(m => m.validation);
+    if (validated.length === 0) return null;
+    return {
+      schemaName: validated[0].validation.schemaName,
+      invalid: validated.filter(m => m.validation.errors.length > 0).length,
+      total: validated.length
+    };
+  }, [processedMessages]);
+
+  // Re-render with the new rules; DecoderService drops its cached results itself.
+  useEffect(() => {
+    const handleDecodersChanged = () => setDecoderVersion(v => v + 1);
+    DecoderService.on('changed', handleDecodersChanged);
+    return () => DecoderService.off('changed', handleDecodersChanged);
+  }, []);
+
   useEffect(() => {
     const handleClickOutside = (e) => {
       if (showTopicExportMenu && !e.target.closest('.message-export-wrapper')) {
@@ -49,8 +164,14 @@ function MessagePanel({
       connectionName: connectionName || 'Unknown',
       topic: selectedTopic.topicPath,
       messageCount: processedMessages.length,
+      // Binary payloads are base64-encoded so the export round-trips byte-for-byte.
       messages: processedMessages.map(m => ({
-        timestamp: m.timestamp, payload: m.message, qos: m.qos, retain: m.retain, connectionId: m.connectionId
+        timestamp: m.timestamp,
+        ...encodeForExport(m.payload, m.isBinary),
+        size: m.size,
+        qos: m.qos, retain: m.retain, connectionId: m.connectionId,
+        ...(m.properties && { properties: serializeMessageProperties(m.properties) }),
+        ...decodedForExport(m)
       }))
     };
     const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
@@ -69,12 +190,21 @@ function MessagePanel({
   const exportTopicAsCSV = useCallback(() => {
     if (!selectedTopic || processedMessages.length === 0) return;
     const csv = [
-      ['Timestamp', 'Payload', 'QoS', 'Retain', 'Connection'].join(','),
-      ...processedMessages.map(m => [
-        `"${m.timestamp}"`,
-        `"${m.message.replace(/"/g, '""')}"`,
-        m.qos, m.retain, `"${m.connectionId}"`
-      ].join(','))
+      ['Timestamp', 'Payload', 'Encoding', 'Size', 'QoS', 'Retain', 'Connection', 'Properties', 'Decoded'].join(','),
+      ...processedMessages.map(m => {
+        const { payload, payloadEncoding } = encodeForExport(m.payload, m.isBinary);
+        const decoded = DecoderService.exportValue(m.topic, m.payload);
+        return [
+          `"${m.timestamp}"`,
+          `"${payload.replace(/"/g, '""')}"`,
+          payloadEncoding, m.size,
+          m.qos, m.retain, `"${m.connectionId}"`,
+          m.properties
+            ? `"${JSON.stringify(serializeMessageProperties(m.properties)).replace(/"/g, '""')}"`
+            : '',
+          decoded !== undefined ? `"${JSON.stringify(decoded).replace(/"/g, '""')}"` : ''
+        ].join(',');
+      })
     ].join('\n');
     const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
     const a = Object.assign(document.createElement('a'), {
@@ -100,15 +230,58 @@ function MessagePanel({
     }
   }, [selectedTopic, showFeedback]);
 
-  const copyPayload = useCallback((payload, e) => {
+  // Copies the payload as rendered in the current view (hex dump, base64, ...).
+  const copyPayload = useCallback((msg, e) => {
     e?.stopPropagation();
-    navigator.clipboard.writeText(payload);
+    navigator.clipboard.writeText(formatPayload(msg.payload, payloadView, msg.isBinary));
     showFeedback?.('Payload copied!', 'success');
-  }, [showFeedback]);
+  }, [payloadView, showFeedback]);
 
   const formatTimestamp = (ts) => new Date(ts).toLocaleString();
-  const getPayloadPreview = (payload, max = 100) =>
-    payload.length <= max ? payload : payload.substring(0, max) + '...';
+  const renderProperties = (props) => {
+    const rows = describeMessageProperties(props);
+    return (
+      <details className="message-properties" onClick={(e) => e.stopPropagation()}>
+        <summary>
+          <i className="fas fa-list"></i> MQTT 5 properties ({rows.length})
+        </summary>
+        <dl className="message-properties-list">
+          {rows.map(([label, value], i) => (
+            <React.Fragment key={i}>
+              <dt>{label}</dt>
+              <dd>{value}</dd>
+            </React.Fragment>
+          ))}
+        </dl>
+      </details>
+    );
+  };
+
+  const renderSchemaErrors = (validation) => (
+    <details className="message-schema-errors" onClick={(e) => e.stopPropagation()}>
+      <summary>
+        <i className="fas fa-exclamation-triangle"></i> Fails {validation.schemaName} ({validation.errors.length})
+      </summary>
+      <ul>
+        {validation.errors.map((error, i) => (
+          <li key={i}>{formatSchemaError(error)}</li>
+        ))}
+      </ul>
+    </details>
+  );
+
+  const renderDrift = (drift) => (
+    <details className="message-schema-errors message-drift-issues" onClick={(e) => e.stopPropagation()}>
+      <summary>
+        <i className="fas fa-random"></i> Drifted from the topic&apos;s schema ({drift.length})
+      </summary>
+      <ul>
+        {drift.map((issue, i) => (
+          <li key={i}>{issue.path || '/'}: {issue.message}</li>
+        ))}
+      </ul>
+    </details>
+  );
 
   return (
     <div className="message-panel">
@@ -155,6 +328,16 @@ function MessagePanel({
                   {topicDetails.retain ? 'Yes' : 'No'}
                 </span>
               </div>
+              {schemaSummary && (
+                <div className="topic-info-item">
+                  <label>Schema:</label>
+                  <span className={`schema-status ${schemaSummary.invalid ? 'invalid' : 'valid'}`}>
+                    {schemaSummary.schemaName} — {schemaSummary.invalid
+                      ? `${schemaSummary.invalid} of ${schemaSummary.total} invalid`
+                      : 'all valid'}
+                  </span>
+                </div>
+              )}
             </div>
             <div className="topic-actions-section">
               <button
@@ -173,6 +356,54 @@ function MessagePanel({
                 <i className={`fas ${autoScroll ? 'fa-arrow-down' : 'fa-thumbtack'}`}></i>
                 {autoScroll ? ' Following' : ' Pinned'}
               </button>
+              <button
+                className={`btn btn-sm ${showChanges ? 'btn-primary' : 'btn-secondary'}`}
+                onClick={toggleChanges}
+                title="Show only what changed in each message on this topic since the one before it"
+              >
+                <i className="fas fa-exchange-alt"></i> Changes
+              </button>
+              <button
+                className={`btn btn-sm ${showChart ? 'btn-primary' : 'btn-secondary'}`}
+                onClick={() => setShowChart(v => !v)}
+                title={showChart ? 'Back to the message list' : 'Plot numeric fields over time'}
+              >
+                <i className={`fas ${showChart ? 'fa-list' : 'fa-chart-line'}`}></i>
+                {showChart ? ' Messages' : ' Chart'}
+              </button>
+              <div className="payload-view-toggle" title="Payload view">
+                {PAYLOAD_VIEWS.map(v => (
+                  <button
+                    key={v.value}
+                    type="button"
+                    className={`btn btn-sm ${payloadView === v.value ? 'btn-primary' : 'btn-secondary'}`}
+                    onClick={() => setPayloadView(v.value)}
+                  >
+                    {v.label}
+                  </button>
+                ))}
+              </div>
+              <button
+                className="btn btn-sm btn-secondary"
+                onClick={() => setShowDecoderModal(true)}
+                title="Decode payloads by topic (JSON, CBOR, MessagePack, Protobuf, Sparkplug B, ...)"
+              >
+                <i className="fas fa-code"></i> Decoders
+              </button>
+              <button
+                className="btn btn-sm btn-secondary"
+                onClick={() => setShowSchemaModal(true)}
+                title="Validate payloads against a JSON Schema by topic"
+              >
+                <i className="fas fa-shield-alt"></i> Schemas
+              </button>
+              <button
+                className="btn btn-sm btn-secondary"
+                onClick={() => setShowInferenceModal(true)}
+                title="Infer a JSON Schema from this topic's messages and watch it for drift"
+              >
+                <i className="fas fa-magic"></i> Infer Schema
+              </button>
               <div className="message-export-wrapper custom-select-wrapper">
                 <button
                   type="button"
@@ -200,74 +431,183 @@ function MessagePanel({
         </div>
       )}
 
-      <div className="message-list" ref={listRef} style={{ overflowAnchor: autoScroll ? 'auto' : 'none' }}>
-        {processedMessages.length === 0 ? (
-          <div className="no-messages">
-            <div className="no-messages-icon"><i className="fas fa-inbox"></i></div>
-            <h3>No messages yet</h3>
-            <p>
-              {!selectedTopic
-                ? 'Select a topic from the topic tree to view its messages'
-                : `No messages received for topic "${selectedTopic.topicPath}" yet`}
-            </p>
-          </div>
-        ) : (
-          <>
-            {selectedTopic && processedMessages.length >= 300 && (
-              <div className="message-limit-notice">
-                <i className="fas fa-info-circle"></i> Showing up to 300 most recent messages for this topic.
+      {selectedTopic && showChart ? (
+        <MessageChart connectionId={selectedTopic.connectionId} topic={selectedTopic.topicPath} />
+      ) : (
+        <>
+          {selectedTopic && (
+            <div className="message-property-filter">
+              <i className="fas fa-filter"></i>
+              <input
+                type="text"
+                value={propertyFilter}
+                onChange={(e) => setPropertyFilter(e.target.value)}
+                placeholder="Filter by MQTT 5 property, e.g. tenant=x or contentType=application/json"
+              />
+              {propertyFilter && (
+                <button className="copy-btn" onClick={() => setPropertyFilter('')} title="Clear filter">
+                  <i className="fas fa-times"></i>
+                </button>
+              )}
+            </div>
+          )}
+
+          <div className="message-list" ref={listRef} style={{ overflowAnchor: autoScroll ? 'auto' : 'none' }}>
+            {processedMessages.length === 0 ? (
+              <div className="no-messages">
+                <div className="no-messages-icon"><i className="fas fa-inbox"></i></div>
+                <h3>No messages yet</h3>
+                <p>
+                  {!selectedTopic
+                    ? 'Select a topic from the topic tree to view its messages'
+                    : propertyFilter.trim() && messages.length > 0
+                      ? `No messages match the property filter "${propertyFilter.trim()}"`
+                      : `No messages received for topic "${selectedTopic.topicPath}" yet`}
+                </p>
               </div>
-            )}
-            {processedMessages.map((msg) => (
-              <div
-                key={msg.id}
-                className="message-item"
-                onDoubleClick={(e) => copyPayload(msg.message, e)}
-                title="Double-click to copy payload"
-              >
-                <div className="message-header">
-                  <div className="message-meta">
-                    <span className="timestamp" title={formatTimestamp(msg.timestamp)}>
-                      <i className="fas fa-clock"></i> {new Date(msg.timestamp).toLocaleTimeString()}
-                    </span>
-                    <span className="topic" title={msg.topic}>
-                      <i className="fas fa-tag"></i> {msg.topic}
-                    </span>
-                    <span className={`badge badge-qos-${msg.qos}`}>QoS {msg.qos}</span>
-                    {msg.retain && (
-                      <span className="badge badge-retain"><i className="fas fa-save"></i> RETAIN</span>
-                    )}
-                    <span className="connection-id" title={`Connection: ${msg.connectionId}`}>
-                      <i className="fas fa-plug"></i> {msg.connectionId}
-                    </span>
-                  </div>
-                  <div className="message-actions">
-                    <button
-                      className="copy-btn"
-                      onClick={(e) => copyPayload(msg.message, e)}
-                      title="Copy payload"
-                      style={{ borderRadius: '50%', minWidth: '24px', height: '24px' }}
-                    >
-                      <i className="fas fa-copy"></i>
+            ) : (
+              <>
+                {compareSelection.length === 1 && (
+                  <div className="message-compare-notice">
+                    <i className="fas fa-columns"></i> Comparing from {new Date(compareSelection[0].timestamp).toLocaleTimeString()} — select a second message.
+                    <button className="copy-btn" onClick={() => setCompareSelection([])} title="Cancel comparison">
+                      <i className="fas fa-times"></i>
                     </button>
                   </div>
-                </div>
-                <div className="message-content">
-                  <div className="payload-preview">{getPayloadPreview(msg.message)}</div>
-                  {msg.message.length > 100 && (
-                    <details className="payload-full">
-                      <summary>
-                        <i className="fas fa-expand-alt"></i> Show full payload ({msg.message.length} chars)
-                      </summary>
-                      <pre className="payload-code">{msg.message}</pre>
-                    </details>
-                  )}
-                </div>
-              </div>
-            ))}
-          </>
-        )}
-      </div>
+                )}
+                {selectedTopic && processedMessages.length >= 300 && (
+                  <div className="message-limit-notice">
+                    <i className="fas fa-info-circle"></i> Showing up to 300 most recent messages for this topic.
+                  </div>
+                )}
+                {processedMessages.map((msg) => (
+                  <div
+                    key={msg.id}
+                    data-message-id={msg.id}
+                    className={`message-item ${msg.validation?.errors.length ? 'message-invalid' : ''} ${msg.id === highlightedId ? 'message-focused' : ''}`}
+                    onDoubleClick={(e) => copyPayload(msg, e)}
+                    title="Double-click to copy payload"
+                  >
+                    <div className="message-header">
+                      <div className="message-meta">
+                        <span className="timestamp" title={formatTimestamp(msg.timestamp)}>
+                          <i className="fas fa-clock"></i> {new Date(msg.timestamp).toLocaleTimeString()}
+                        </span>
+                        <span className="topic" title={msg.topic}>
+                          <i className="fas fa-tag"></i> {msg.topic}
+                        </span>
+                        <span className={`badge badge-qos-${msg.qos}`}>QoS {msg.qos}</span>
+                        {msg.retain && (
+                          <span className="badge badge-retain"><i className="fas fa-save"></i> RETAIN</span>
+                        )}
+                        {msg.properties?.contentType && (
+                          <span className="badge badge-content-type" title="Content Type">
+                            {msg.properties.contentType}
+                          </span>
+                        )}
+                        {msg.isBinary && (
+                          <span className="badge badge-binary" title={`${msg.size} bytes`}>
+                            <i className="fas fa-microchip"></i> BINARY
+                          </span>
+                        )}
+                        {DecoderService.findRule(msg.topic) && (
+                          <span className="badge badge-decoder" title="Decoded by a decoder rule">
+                            <i className="fas fa-code"></i> {DecoderService.decode(msg.topic, msg.payload)?.label}
+                          </span>
+                        )}
+                        {msg.validation && (
+                          msg.validation.errors.length === 0 ? (
+                            <span className="badge badge-schema-valid" title={`Valid against ${msg.validation.schemaName}`}>
+                              <i className="fas fa-check"></i> {msg.validation.schemaName}
+                            </span>
+                          ) : (
+                            <span className="badge badge-schema-invalid" title={`Invalid against ${msg.validation.schemaName}`}>
+                              <i className="fas fa-exclamation-triangle"></i> INVALID ({msg.validation.errors.length})
+                            </span>
+                          )
+                        )}
+                        {msg.drift && (
+                          <span className="badge badge-schema-drift" title="Fields or types changed from the topic's schema">
+                            <i className="fas fa-random"></i> DRIFT ({msg.drift.length})
+                          </span>
+                        )}
+                        <span className="connection-id" title={`Connection: ${msg.connectionId}`}>
+                          <i className="fas fa-plug"></i> {msg.connectionId}
+                        </span>
+                      </div>
+                      <div className="message-actions">
+                        <button
+                          className={`copy-btn ${compareSelection.some(m => m.id === msg.id) ? 'compare-selected' : ''}`}
+                          onClick={(e) => toggleCompare(msg, e)}
+                          title="Select two messages to compare"
+                          style={{ borderRadius: '50%', minWidth: '24px', height: '24px' }}
+                        >
+                          <i className="fas fa-columns"></i>
+                        </button>
+                        <button
+                          className="copy-btn"
+                          onClick={(e) => copyPayload(msg, e)}
+                          title="Copy payload"
+                          style={{ borderRadius: '50%', minWidth: '24px', height: '24px' }}
+                        >
+                          <i className="fas fa-copy"></i>
+                        </button>
+                      </div>
+                    </div>
+                    <div className="message-content">
+                      {showChanges && previousMessages.has(msg)
+                        ? <MessageDiff before={previousMessages.get(msg)} after={msg} compact />
+                        : (
+                          <MessagePayload
+                            topic={msg.topic}
+                            payload={msg.payload}
+                            isBinary={msg.isBinary}
+                            size={msg.size}
+                            view={payloadView}
+                            decoded={payloadView === 'auto' ? DecoderService.decode(msg.topic, msg.payload) : null}
+                          />
+                        )}
+                      {msg.validation?.errors.length > 0 && renderSchemaErrors(msg.validation)}
+                      {msg.drift && renderDrift(msg.drift)}
+                      {msg.properties && renderProperties(msg.properties)}
+                    </div>
+                  </div>
+                ))}
+              </>
+            )}
+          </div>
+        </>
+      )}
+
+      {showDecoderModal && (
+        <DecoderRulesModal
+          sampleTopic={selectedTopic?.topicPath || null}
+          onClose={() => setShowDecoderModal(false)}
+        />
+      )}
+
+      {showSchemaModal && (
+        <SchemaRulesModal
+          sampleTopic={selectedTopic?.topicPath || null}
+          onClose={() => setShowSchemaModal(false)}
+        />
+      )}
+
+      {compareSelection.length === 2 && (
+        <MessageDiffModal
+          first={compareSelection[0]}
+          second={compareSelection[1]}
+          onClose={() => setCompareSelection([])}
+        />
+      )}
+
+      {showInferenceModal && selectedTopic && (
+        <SchemaInferenceModal
+          connectionId={selectedTopic.connectionId}
+          topic={selectedTopic.topicPath}
+          onClose={() => setShowInferenceModal(false)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,97 @@
+import React from 'react';
+import { toHex } from '../../../utils/payload';
+
+interface Props {
+  value: unknown;
+}
+
+const MAX_CHILDREN = 500;
+const BYTES_PREVIEW = 32;
+
+function entriesOf(value: unknown): [string, unknown][] | null {
+  if (value instanceof Map) return Array.from(value, ([k, v]) => [String(k), v]);
+  if (Array.isArray(value)) return value.map((v, i) => [String(i), v]);
+  if (
+    value &&
+    typeof value === 'object' &&
+    !(value instanceof Uint8Array) &&
+    !(value instanceof Date)
+  ) {
+    return Object.entries(value);
+  }
+  return null;
+}
+
+function renderLeaf(value: unknown) {
+  if (value === null || value === undefined) {
+    return <span className="decoded-null">{String(value)}</span>;
+  }
+  if (typeof value === 'string')
+    return <span className="decoded-string">{JSON.stringify(value)}</span>;
+  if (typeof value === 'number' || typeof value === 'bigint') {
+    return <span className="decoded-number">{value.toString()}</span>;
+  }
+  if (typeof value === 'boolean') return <span className="decoded-boolean">{String(value)}</span>;
+  if (value instanceof Date) return <span className="decoded-date">{value.toISOString()}</span>;
+  if (value instanceof Uint8Array) {
+    return (
+      <span className="decoded-bytes" title={`${value.length} bytes`}>
+        &lt;{value.length} bytes&gt; {toHex(value.subarray(0, BYTES_PREVIEW))}
+        {value.length > BYTES_PREVIEW && ' …'}
+      </span>
+    );
+  }
+  return <span>{String(value)}</span>;
+}
+
+function DecodedNode({
+  name,
+  value,
+  depth,
+}: {
+  name: string | null;
+  value: unknown;
+  depth: number;
+}) {
+  const entries = entriesOf(value);
+  const label = name !== null && <span className="decoded-key">{name}: </span>;
+  if (!entries) {
+    return (
+      <div className="decoded-leaf">
+        {label}
+        {renderLeaf(value)}
+      </div>
+    );
+  }
+
+  const summary = Array.isArray(value) ? `[${entries.length}]` : `{${entries.length}}`;
+  return (
+    <details className="decoded-branch" open={depth < 2}>
+      <summary>
+        {label}
+        <span className="decoded-summary">{summary}</span>
+      </summary>
+      <div className="decoded-children">
+        {entries.slice(0, MAX_CHILDREN).map(([key, child]) => (
+          <DecodedNode key={key} name={key} value={child} depth={depth + 1} />
+        ))}
+        {entries.length > MAX_CHILDREN && (
+          <div className="decoded-leaf decoded-null">
+            … {entries.length - MAX_CHILDREN} more not shown
+          </div>
+        )}
+      </div>
+    </details>
+  );
+}
+
+/** Collapsible view of a decoded payload; the first two levels start expanded. */
+function DecodedPayloadTree({ value }: Props) {
+  return (
+    <div className="decoded-tree" onClick={(e) => e.stopPropagation()}>
+      <DecodedNode name={null} value={value} depth={0} />
+    </div>
+  );
+}
+
+export default React.memo(DecodedPayloadTree);
@@ -0,0 +1,230 @@
+import React, { useEffect, useRef, useState } from 'react';
+import DecoderService, { type DecoderRule } from '../../../services/DecoderService';
+
+interface Props {
+  sampleTopic: string | null; // selected topic, used to show which rule applies
+  onClose: () => void;
+}
+
+function DecoderRulesModal({ sampleTopic, onClose }: Props) {
+  const [rules, setRules] = useState<DecoderRule[]>(() => DecoderService.getRules());
+  const [protoFiles, setProtoFiles] = useState(() => DecoderService.getProtoFiles());
+  const [messageTypes, setMessageTypes] = useState(() => DecoderService.getMessageTypes());
+  const [protoError, setProtoError] = useState<string | null>(null);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const decoders = DecoderService.listDecoders();
+
+  useEffect(() => {
+    const handleChanged = () => {
+      setProtoFiles(DecoderService.getProtoFiles());
+      setMessageTypes(DecoderService.getMessageTypes());
+    };
+    DecoderService.on('changed', handleChanged);
+    return () => DecoderService.off('changed', handleChanged);
+  }, []);
+
+  const updateRule = (index: number, changes: Partial<DecoderRule>) =>
+    setRules((prev) => prev.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+
+  const moveRule = (index: number, direction: -1 | 1) =>
+    setRules((prev) => {
+      const next = [...prev];
+      [next[index], next[index + direction]] = [next[index + direction], next[index]];
+      return next;
+    });
+
+  const addRule = () =>
+    setRules((prev) => [
+      ...prev,
+      {
+        id: `rule_${Date.now()}`,
+        filter: sampleTopic || '',
+        decoderId: 'json',
+        enabled: true,
+      },
+    ]);
+
+  // .proto files are read in the renderer; they are small and kept in localStorage.
+  const handleProtoFiles = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    setProtoError(null);
+    for (const file of files) {
+      try {
+        DecoderService.addProtoFile(file.name, await file.text());
+      } catch (error: any) {
+        setProtoError(error.message);
+      }
+    }
+  };
+
+  const matchingRule =
+    sampleTopic && rules.find((rule) => DecoderService.ruleMatches(rule, sampleTopic));
+
+  const handleSave = () => {
+    DecoderService.setRules(rules.filter((rule) => rule.filter.trim()));
+    onClose();
+  };
+
+  return (
+    <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+      <div className="modal-container decoder-modal">
+        <div className="modal-header">
+          <h2>
+            <i className="fas fa-code"></i> Payload Decoders
+          </h2>
+          <button onClick={onClose} className="modal-close-btn">
+            <i className="fas fa-times"></i>
+          </button>
+        </div>
+
+        <div className="decoder-modal-body">
+          <section>
+            <h3>Rules (first matching rule wins)</h3>
+            {rules.map((rule, index) => {
+              const decoder = decoders.find((d) => d.id === rule.decoderId);
+              return (
+                <div
+                  key={rule.id}
+                  className={`decoder-rule-row ${matchingRule === rule ? 'decoder-rule-active' : ''}`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={rule.enabled}
+                    onChange={(e) => updateRule(index, { enabled: e.target.checked })}
+                    title="Enable rule"
+                  />
+                  <input
+                    type="text"
+                    className="form-input"
+                    value={rule.filter}
+                    onChange={(e) => updateRule(index, { filter: e.target.value })}
+                    placeholder="Topic filter, e.g. sensors/+/raw"
+                  />
+                  <select
+                    className="form-input decoder-rule-select"
+                    value={rule.decoderId}
+                    onChange={(e) => updateRule(index, { decoderId: e.target.value })}
+                  >
+                    {decoders.map((d) => (
+                      <option key={d.id} value={d.id}>
+                        {d.label}
+                      </option>
+                    ))}
+                  </select>
+                  {decoder?.needsMessageType && (
+                    <select
+                      className="form-input decoder-rule-select"
+                      value={rule.messageType || ''}
+                      onChange={(e) => updateRule(index, { messageType: e.target.value })}
+                    >
+                      <option value="">Message type…</option>
+                      {messageTypes.map((type) => (
+                        <option key={type} value={type}>
+                          {type}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                  <button
+                    type="button"
+                    className="btn btn-sm"
+                    disabled={index === 0}
+                    onClick={() => moveRule(index, -1)}
+                    title="Move up"
+                  >
+                    <i className="fas fa-arrow-up"></i>
+                  </button>
+                  <button
+                    type="button"
+                    className="btn btn-sm"
+                    disabled={index === rules.length - 1}
+                    onClick={() => moveRule(index, 1)}
+                    title="Move down"
+                  >
+                    <i className="fas fa-arrow-down"></i>
+                  </button>
+                  <button
+                    type="button"
+                    className="btn btn-sm btn-danger"
+                    onClick={() => setRules((prev) => prev.filter((_, i) => i !== index))}
+                    title="Remove rule"
+                  >
+                    <i className="fas fa-times"></i>
+                  </button>
+                </div>
+              );
+            })}
+            <button type="button" className="btn btn-sm btn-secondary" onClick={addRule}>
+              <i className="fas fa-plus"></i> Add rule
+            </button>
+            {sampleTopic && (
+              <div className="decoder-modal-hint">
+                {matchingRule
+                  ? `"${sampleTopic}" is decoded by the highlighted rule.`
+                  : `No rule matches "${sampleTopic}"; it is shown raw.`}
+              </div>
+            )}
+          </section>
+
+          <section>
+            <h3>Protobuf schemas</h3>
+            {protoFiles.length === 0 ? (
+              <div className="decoder-modal-hint">
+                Load .proto files to decode Protobuf payloads. Load every file a schema imports.
+              </div>
+            ) : (
+              <ul className="decoder-proto-list">
+                {protoFiles.map((file) => (
+                  <li key={file.name}>
+                    <i className="fas fa-file-code"></i> {file.name}
+                    <button
+                      type="button"
+                      className="btn btn-sm btn-danger"
+                      onClick={() => DecoderService.removeProtoFile(file.name)}
+                      title="Remove file"
+                    >
+                      <i className="fas fa-times"></i>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {protoFiles.length > 0 && (
+              <div className="decoder-modal-hint">
+                {messageTypes.length} message types available.
+              </div>
+            )}
+            {protoError && <div className="decoder-modal-error">{protoError}</div>}
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".proto"
+              multiple
+              hidden
+              onChange={handleProtoFiles}
+            />
+            <button
+              type="button"
+              className="btn btn-sm btn-secondary"
+              onClick={() => fileInputRef.current?.click()}
+            >
+              <i className="fas fa-file-import"></i> Load .proto…
+            </button>
+          </section>
+        </div>
+
+        <div className="modal-footer">
+          <button className="btn btn-md btn-secondary" onClick={onClose}>
+            Cancel
+          </button>
+          <button className="btn btn-md btn-primary" onClick={handleSave}>
+            <i className="fas fa-save"></i> Save Rules
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default React.memo(DecoderRulesModal);
@@ -0,0 +1,436 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import ChartService, { type ChartPoint, type ChartSeries } from '../../../services/ChartService';
+import TopicTreeService from '../../../services/TopicTreeService';
+
+interface Props {
+  connectionId: string;
+  topic: string; // selected topic, offered first when adding fields
+}
+
+type Range = [number, number];
+
+interface SeriesData {
+  series: ChartSeries;
+  points: ChartPoint[];
+}
+
+const HEIGHT = 280;
+const MARGIN = { top: 10, right: 12, bottom: 24, left: 56 };
+const MIN_SPAN_MS = 100;
+
+/** Round tick values for [min, max], about `count` of them. */
+function niceTicks(min: number, max: number, count = 5): number[] {
+  const raw = (max - min) / count;
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 5, 10].map((m) => m * magnitude).find((s) => s >= raw) ?? raw;
+  const ticks: number[] = [];
+  for (let tick = Math.ceil(min / step) * step; tick <= max; tick += step) {
+    ticks.push(Number(tick.toPrecision(12)));
+  }
+  return ticks;
+}
+
+function formatTime(t: number, span: number): string {
+  const date = new Date(t);
+  if (span > 24 * 3600 * 1000) {
+    return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+  }
+  return span < 10000
+    ? `${date.toLocaleTimeString()}.${String(date.getMilliseconds()).padStart(3, '0')}`
+    : date.toLocaleTimeString();
+}
+
+/** At most two points (the lowest and highest) per pixel column, so long series stay cheap to draw. */
+function decimate(points: ChartPoint[], [from, to]: Range, width: number): ChartPoint[] {
+  const visible = points.filter((p) => p.t >= from && p.t <= to);
+  if (visible.length <= width * 2) return visible;
+  const result: ChartPoint[] = [];
+  let column = -1;
+  let low: ChartPoint | null = null;
+  let high: ChartPoint | null = null;
+  const flush = () => {
+    if (!low || !high) return;
+    if (low === high) result.push(low);
+    else result.push(...(low.t <= high.t ? [low, high] : [high, low]));
+  };
+  for (const point of visible) {
+    const x = Math.floor(((point.t - from) / (to - from)) * width);
+    if (x !== column) {
+      flush();
+      column = x;
+      low = high = point;
+    } else {
+      if (point.v < low!.v) low = point;
+      if (point.v > high!.v) high = point;
+    }
+  }
+  flush();
+  return result;
+}
+
+/** Point of `points` nearest in time to `t` (points are sorted by time). */
+function nearest(points: ChartPoint[], t: number): ChartPoint | undefined {
+  let lo = 0;
+  let hi = points.length - 1;
+  if (hi < 0) return undefined;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid].t < t) lo = mid + 1;
+    else hi = mid;
+  }
+  const before = points[lo - 1];
+  return before && t - before.t < points[lo].t - t ? before : points[lo];
+}
+
+function MessageChart({ connectionId, topic }: Props) {
+  const [series, setSeries] = useState<ChartSeries[]>(() => ChartService.getSeries());
+  const [data, setData] = useState<SeriesData[]>([]);
+  const [fields, setFields] = useState<string[]>([]);
+  const [view, setView] = useState<Range | null>(null); // null follows the live data
+  const [hoverT, setHoverT] = useState<number | null>(null);
+  const [width, setWidth] = useState(600);
+  const [customTopic, setCustomTopic] = useState(topic);
+  const [customPath, setCustomPath] = useState('');
+  const containerRef = useRef<HTMLDivElement>(null);
+  const svgRef = useRef<SVGSVGElement>(null);
+  const dragRef = useRef<{ x: number; view: Range } | null>(null);
+
+  useEffect(() => setCustomTopic(topic), [topic]);
+
+  useEffect(() => {
+    const handleChanged = () => setSeries(ChartService.getSeries());
+    ChartService.on('changed', handleChanged);
+    return () => ChartService.off('changed', handleChanged);
+  }, []);
+
+  // Redraw as messages arrive on the selected topic or any plotted one.
+  useEffect(() => {
+    const refresh = () => {
+      setData(series.map((s) => ({ series: s, points: ChartService.getPoints(s) })));
+      setFields(ChartService.numericFields(connectionId, topic));
+    };
+    const handleTreeUpdated = (update: any) => {
+      const topics: string[] = update.topics ?? (update.topic ? [update.topic] : []);
+      const affects = (c: string, t: string) => c === update.connectionId && topics.includes(t);
+      if (affects(connectionId, topic) || series.some((s) => affects(s.connectionId, s.topic))) {
+        refresh();
+      }
+    };
+    refresh();
+    TopicTreeService.on('treeUpdated', handleTreeUpdated);
+    return () => TopicTreeService.off('treeUpdated', handleTreeUpdated);
+  }, [series, connectionId, topic]);
+
+  useEffect(() => {
+    const element = containerRef.current;
+    if (!element) return;
+    const observer = new ResizeObserver(([entry]) =>
+      setWidth(Math.max(200, Math.floor(entry.contentRect.width))),
+    );
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  const topicPaths = useMemo(() => TopicTreeService.getTopicPaths(connectionId), [connectionId]);
+
+  const plotWidth = width - MARGIN.left - MARGIN.right;
+  const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+
+  const fullRange = useMemo<Range | null>(() => {
+    let from = Infinity;
+    let to = -Infinity;
+    for (const { points } of data) {
+      if (points.length === 0) continue;
+      from = Math.min(from, points[0].t);
+      to = Math.max(to, points[points.length - 1].t);
+    }
+    if (from === Infinity) return null;
+    return from === to ? [from - 1000, to + 1000] : [from, to];
+  }, [data]);
+  const range = view ?? fullRange;
+
+  const lines = useMemo(
+    () => (range ? data.map((d) => ({ ...d, drawn: decimate(d.points, range, plotWidth) })) : []),
+    [data, range, plotWidth],
+  );
+
+  const [yMin, yMax] = useMemo(() => {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const { drawn } of lines) {
+      for (const { v } of drawn) {
+        min = Math.min(min, v);
+        max = Math.max(max, v);
+      }
+    }
+    if (min === Infinity) return [0, 1];
+    if (min === max) return [min - 1, max + 1];
+    const pad = (max - min) * 0.05;
+    return [min - pad, max + pad];
+  }, [lines]);
+
+  const xOf = (t: number) => MARGIN.left + ((t - range![0]) / (range![1] - range![0])) * plotWidth;
+  const yOf = (v: number) => MARGIN.top + (1 - (v - yMin) / (yMax - yMin)) * plotHeight;
+  const tAt = (clientX: number) => {
+    const rect = svgRef.current!.getBoundingClientRect();
+    const fraction = (clientX - rect.left - MARGIN.left) / plotWidth;
+    return range![0] + Math.min(1, Math.max(0, fraction)) * (range![1] - range![0]);
+  };
+
+  // Wheel zoom around the cursor; registered natively so it can prevent page scrolling.
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg || !range) return;
+    const handleWheel = (e: WheelEvent) => {
+      e.preventDefault();
+      const center = tAt(e.clientX);
+      const factor = e.deltaY > 0 ? 1.25 : 0.8;
+      const span = Math.max(MIN_SPAN_MS, (range[1] - range[0]) * factor);
+      const ratio = (center - range[0]) / (range[1] - range[0]);
+      setView([center - span * ratio, center + span * (1 - ratio)]);
+    };
+    svg.addEventListener('wheel', handleWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', handleWheel);
+  });
+
+  const handleMouseDown = (e: React.MouseEvent) => {
+    if (!range) return;
+    dragRef.current = { x: e.clientX, view: range };
+    const handleMove = (move: MouseEvent) => {
+      const drag = dragRef.current!;
+      const shift = ((move.clientX - drag.x) / plotWidth) * (drag.view[1] - drag.view[0]);
+      setView([drag.view[0] - shift, drag.view[1] - shift]);
+    };
+    const handleUp = () => {
+      dragRef.current = null;
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+    };
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+  };
+
+  const toggleField = (path: string) => {
+    const existing = series.find(
+      (s) => s.connectionId === connectionId && s.topic === topic && s.path === path,
+    );
+    if (existing) ChartService.removeSeries(existing.id);
+    else ChartService.addSeries(connectionId, topic, path);
+  };
+
+  const addCustom = () => {
+    if (!customTopic.trim() || !customPath.trim()) return;
+    ChartService.addSeries(connectionId, customTopic.trim(), customPath.trim());
+    setCustomPath('');
+  };
+
+  const exportCSV = () => {
+    const csv = ChartService.exportCSV(series, view?.[0], view?.[1]);
+    const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    Object.assign(document.createElement('a'), {
+      href: url,
+      download: `mqtt-chart-${new Date().toISOString().slice(0, 19)}.csv`,
+    }).click();
+    URL.revokeObjectURL(url);
+  };
+
+  const span = range ? range[1] - range[0] : 0;
+
+  return (
+    <div className="message-chart" ref={containerRef}>
+      <div className="message-chart-fields">
+        {fields.length === 0 ? (
+          <span className="message-chart-hint">
+            No numeric fields in this topic&apos;s payloads.
+          </span>
+        ) : (
+          fields.map((path) => {
+            const active = series.find(
+              (s) => s.connectionId === connectionId && s.topic === topic && s.path === path,
+            );
+            return (
+              <button
+                key={path}
+                type="button"
+                className={`message-chart-field ${active ? 'active' : ''}`}
+                style={active ? { borderColor: active.color, color: active.color } : undefined}
+                onClick={() => toggleField(path)}
+              >
+                {path}
+              </button>
+            );
+          })
+        )}
+      </div>
+
+      <div className="message-chart-add">
+        <input
+          type="text"
+          className="form-input"
+          list="message-chart-topics"
+          value={customTopic}
+          onChange={(e) => setCustomTopic(e.target.value)}
+          placeholder="Topic"
+        />
+        <datalist id="message-chart-topics">
+          {topicPaths.map((path) => (
+            <option key={path} value={path} />
+          ))}
+        </datalist>
+        <input
+          type="text"
+          className="form-input"
+          value={customPath}
+          onChange={(e) => setCustomPath(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && addCustom()}
+          placeholder="Field, e.g. $.sensors[0].value or sensors.0.value"
+        />
+        <button
+          type="button"
+          className="btn btn-sm btn-secondary"
+          onClick={addCustom}
+          disabled={!customTopic.trim() || !customPath.trim()}
+        >
+          <i className="fas fa-plus"></i> Add series
+        </button>
+      </div>
+
+      {series.length === 0 ? (
+        <div className="message-chart-empty">
+          Pick a field above to plot it over time. Series from other topics can be overlaid.
+        </div>
+      ) : (
+        <>
+          <svg
+            ref={svgRef}
+            className="message-chart-plot"
+            width={width}
+            height={HEIGHT}
+            onMouseDown={handleMouseDown}
+            onMouseMove={(e) => range && setHoverT(tAt(e.clientX))}
+            onMouseLeave={() => setHoverT(null)}
+            onDoubleClick={() => setView(null)}
+          >
+            {range && (
+              <>
+                {niceTicks(yMin, yMax).map((tick) => (
+                  <g key={`y${tick}`}>
+                    <line
+                      className="message-chart-grid"
+                      x1={MARGIN.left}
+                      x2={MARGIN.left + plotWidth}
+                      y1={yOf(tick)}
+                      y2={yOf(tick)}
+                    />
+                    <text
+                      className="message-chart-tick"
+                      x={MARGIN.left - 6}
+                      y={yOf(tick)}
+                      textAnchor="end"
+                      dominantBaseline="middle"
+                    >
+                      {tick}
+                    </text>
+                  </g>
+                ))}
+                {Array.from({ length: 5 }, (_, i) => range[0] + (span * (i + 0.5)) / 5).map((t) => (
+                  <text
+                    key={`x${t}`}
+                    className="message-chart-tick"
+                    x={xOf(t)}
+                    y={HEIGHT - 6}
+                    textAnchor="middle"
+                  >
+                    {formatTime(t, span)}
+                  </text>
+                ))}
+                <clipPath id="message-chart-clip">
+                  <rect x={MARGIN.left} y={MARGIN.top} width={plotWidth} height={plotHeight} />
+                </clipPath>
+                <g clipPath="url(#message-chart-clip)">
+                  {lines.map(({ series: s, drawn }) => (
+                    <polyline
+                      key={s.id}
+                      fill="none"
+                      stroke={s.color}
+                      strokeWidth={1.5}
+                      points={drawn.map((p) => `${xOf(p.t)},${yOf(p.v)}`).join(' ')}
+                    />
+                  ))}
+                </g>
+                {hoverT !== null && (
+                  <line
+                    className="message-chart-cursor"
+                    x1={xOf(hoverT)}
+                    x2={xOf(hoverT)}
+                    y1={MARGIN.top}
+                    y2={MARGIN.top + plotHeight}
+                  />
+                )}
+              </>
+            )}
+          </svg>
+
+          <div className="message-chart-legend">
+            {data.map(({ series: s, points }) => {
+              const hovered = hoverT !== null ? nearest(points, hoverT) : points[points.length - 1];
+              return (
+                <div key={s.id} className="message-chart-series">
+                  <span className="message-chart-swatch" style={{ background: s.color }}></span>
+                  <span className="message-chart-series-name" title={`${s.topic} ${s.path}`}>
+                    {s.topic} <code>{s.path}</code>
+                  </span>
+                  <span className="message-chart-value">
+                    {hovered ? hovered.v : '—'}
+                    <small> ({points.length} pts)</small>
+                  </span>
+                  <button
+                    type="button"
+                    className={`btn btn-sm ${s.pinned ? 'btn-primary' : 'btn-secondary'}`}
+                    onClick={() => ChartService.setPinned(s.id, !s.pinned)}
+                    title={
+                      s.pinned
+                        ? 'Pinned: every new message is kept, beyond the topic history'
+                        : 'Pin to keep this series beyond the topic history'
+                    }
+                  >
+                    <i className="fas fa-thumbtack"></i>
+                  </button>
+                  <button
+                    type="button"
+                    className="btn btn-sm btn-danger"
+                    onClick={() => ChartService.removeSeries(s.id)}
+                    title="Remove series"
+                  >
+                    <i className="fas fa-times"></i>
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+
+          <div className="message-chart-actions">
+            <span className="message-chart-hint">
+              {view
+                ? 'Zoomed — double-click the chart to follow live data again.'
+                : 'Scroll to zoom, drag to pan.'}
+            </span>
+            <button
+              type="button"
+              className="btn btn-sm btn-secondary"
+              onClick={() => setView(null)}
+              disabled={!view}
+            >
+              <i className="fas fa-expand"></i> Reset zoom
+            </button>
+            <button type="button" className="btn btn-sm btn-secondary" onClick={exportCSV}>
+              <i className="fas fa-file-csv"></i> Export CSV
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default React.memo(MessageChart);
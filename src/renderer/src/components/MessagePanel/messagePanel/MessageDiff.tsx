@@ -0,0 +1,83 @@
+import React, { useMemo } from 'react';
+import SchemaService from '../../../services/SchemaService';
+import type { DisplayMessage } from '../../../services/TopicTreeService';
+import { diffJson, diffLines } from '../../../../../shared/payload-diff';
+import { hexDump } from '../../../utils/payload';
+
+export type DiffMode = 'structural' | 'lines';
+
+interface Props {
+  before: DisplayMessage;
+  after: DisplayMessage;
+  mode?: DiffMode; // structural falls back to lines when either payload is not JSON
+  compact?: boolean; // changes only, for the inline "changes" view
+}
+
+/** Decoded or parsed payload, undefined when it is neither. */
+export function diffValue(message: DisplayMessage): unknown {
+  return SchemaService.payloadValue(message.topic, message.payload);
+}
+
+function diffText(message: DisplayMessage, value: unknown): string {
+  if (value !== undefined) return JSON.stringify(value, null, 2);
+  return message.isBinary ? hexDump(message.payload) : message.message;
+}
+
+function formatValue(value: unknown): string {
+  const text = JSON.stringify(value) ?? String(value);
+  return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+}
+
+function MessageDiff({ before, after, mode = 'structural', compact = false }: Props) {
+  const diff = useMemo(() => {
+    const oldValue = diffValue(before);
+    const newValue = diffValue(after);
+    if (mode === 'structural' && oldValue !== undefined && newValue !== undefined) {
+      return { kind: 'structural' as const, changes: diffJson(oldValue, newValue) };
+    }
+    const lines = diffLines(diffText(before, oldValue), diffText(after, newValue));
+    return {
+      kind: 'lines' as const,
+      lines: compact ? lines.filter((l) => l.kind !== 'same') : lines,
+    };
+  }, [before, after, mode, compact]);
+
+  if (diff.kind === 'structural') {
+    if (diff.changes.length === 0) {
+      return <div className="message-diff-none">Payload unchanged</div>;
+    }
+    return (
+      <ul className="message-diff-changes">
+        {diff.changes.map((change, i) => (
+          <li key={i} className={`message-diff-${change.kind}`}>
+            <code className="message-diff-path">{change.path}</code>
+            {change.kind === 'added' && <span> added {formatValue(change.after)}</span>}
+            {change.kind === 'removed' && <span> removed (was {formatValue(change.before)})</span>}
+            {change.kind === 'changed' && (
+              <span>
+                {' '}
+                {formatValue(change.before)} → {formatValue(change.after)}
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+    );
+  }
+
+  if (diff.lines.length === 0) {
+    return <div className="message-diff-none">Payload unchanged</div>;
+  }
+  return (
+    <pre className="message-diff-lines">
+      {diff.lines.map((line, i) => (
+        <div key={i} className={`message-diff-line-${line.kind}`}>
+          {line.kind === 'added' ? '+ ' : line.kind === 'removed' ? '- ' : '  '}
+          {line.text}
+        </div>
+      ))}
+    </pre>
+  );
+}
+
+export default React.memo(MessageDiff);
@@ -0,0 +1,90 @@
+import React, { useMemo, useState } from 'react';
+import MessageDiff, { diffValue, type DiffMode } from './MessageDiff';
+import type { DisplayMessage } from '../../../services/TopicTreeService';
+
+interface Props {
+  first: DisplayMessage;
+  second: DisplayMessage;
+  onClose: () => void;
+}
+
+function describe(message: DisplayMessage): string {
+  const date = new Date(message.timestamp);
+  return `${date.toLocaleString()}.${String(date.getMilliseconds()).padStart(3, '0')}`;
+}
+
+function MessageDiffModal({ first, second, onClose }: Props) {
+  // Older message first, unless swapped.
+  const [swapped, setSwapped] = useState(false);
+  const [older, newer] = first.timestamp <= second.timestamp ? [first, second] : [second, first];
+  const [before, after] = swapped ? [newer, older] : [older, newer];
+  const bothJson = useMemo(
+    () => diffValue(first) !== undefined && diffValue(second) !== undefined,
+    [first, second],
+  );
+  const [mode, setMode] = useState<DiffMode>(bothJson ? 'structural' : 'lines');
+
+  return (
+    <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+      <div className="modal-container decoder-modal">
+        <div className="modal-header">
+          <h2>
+            <i className="fas fa-columns"></i> Compare Messages
+          </h2>
+          <button onClick={onClose} className="modal-close-btn">
+            <i className="fas fa-times"></i>
+          </button>
+        </div>
+
+        <div className="decoder-modal-body">
+          <section>
+            <div className="message-diff-sides">
+              <span className="message-diff-line-removed">
+                − {before.topic} @ {describe(before)}
+              </span>
+              <span className="message-diff-line-added">
+                + {after.topic} @ {describe(after)}
+              </span>
+            </div>
+            <div className="schema-rule-actions">
+              <div className="payload-view-toggle">
+                <button
+                  type="button"
+                  className={`btn btn-sm ${mode === 'structural' ? 'btn-primary' : 'btn-secondary'}`}
+                  onClick={() => setMode('structural')}
+                  disabled={!bothJson}
+                  title={bothJson ? undefined : 'Both payloads must be JSON'}
+                >
+                  Fields
+                </button>
+                <button
+                  type="button"
+                  className={`btn btn-sm ${mode === 'lines' ? 'btn-primary' : 'btn-secondary'}`}
+                  onClick={() => setMode('lines')}
+                >
+                  Lines
+                </button>
+              </div>
+              <button
+                type="button"
+                className="btn btn-sm btn-secondary"
+                onClick={() => setSwapped(!swapped)}
+              >
+                <i className="fas fa-exchange-alt"></i> Swap
+              </button>
+            </div>
+            <MessageDiff before={before} after={after} mode={mode} />
+          </section>
+        </div>
+
+        <div className="modal-footer">
+          <button className="btn btn-md btn-secondary" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default React.memo(MessageDiffModal);
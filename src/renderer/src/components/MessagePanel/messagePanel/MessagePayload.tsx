@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+import { formatPayload, previewPayload, type PayloadView } from '../../../utils/payload';
+import DecoderService, { type DecodeResult } from '../../../services/DecoderService';
+import DecodedPayloadTree from './DecodedPayloadTree';
+
+const PREVIEW_LENGTH = 100; // characters in the one-line preview
+const LONG_PAYLOAD = 100; // bytes; larger payloads are only formatted in full when expanded
+
+interface Props {
+  topic: string;
+  payload: Uint8Array; // the stored message's buffer, so it identifies the message
+  isBinary: boolean;
+  size: number;
+  view: PayloadView;
+  // DecoderService's cached result for the auto view (null otherwise); a new
+  // object when the decoder rules change, so memoised rows pick the change up.
+  decoded: DecodeResult | null;
+}
+
+/**
+ * One history row's payload. Rows only render again when their message, the
+ * view or the decoder rules change, and the full text of a long payload (a
+ * hex dump, say) is only formatted while it is expanded.
+ */
+function MessagePayload({ topic, payload, isBinary, size, view, decoded }: Props) {
+  const [expanded, setExpanded] = useState(false);
+
+  // The auto view shows the decoded form when a decoder rule matches the topic.
+  if (decoded && !decoded.error) {
+    const text = DecoderService.searchText(topic, payload);
+    return (
+      <>
+        <div className="payload-preview">
+          {text.length <= PREVIEW_LENGTH ? text : text.substring(0, PREVIEW_LENGTH) + '...'}
+        </div>
+        <details className="payload-full" open>
+          <summary>
+            <i className="fas fa-sitemap"></i> Decoded {decoded.label} ({size} bytes)
+          </summary>
+          <DecodedPayloadTree value={decoded.value} />
+        </details>
+      </>
+    );
+  }
+
+  const preview = previewPayload(payload, view, isBinary, PREVIEW_LENGTH);
+  const long = payload.byteLength > LONG_PAYLOAD;
+  const full = !long || expanded ? formatPayload(payload, view, isBinary) : null;
+  return (
+    <>
+      {decoded?.error && (
+        <div className="payload-decode-error">
+          <i className="fas fa-exclamation-triangle"></i> {decoded.label} decoding failed:{' '}
+          {decoded.error}
+        </div>
+      )}
+      <div className="payload-preview">{preview}</div>
+      {(long || full !== preview) && (
+        <details
+          className="payload-full"
+          onToggle={(e) => setExpanded((e.target as HTMLDetailsElement).open)}
+        >
+          <summary>
+            <i className="fas fa-expand-alt"></i> Show full payload ({size} bytes)
+          </summary>
+          {full !== null && <pre className="payload-code">{full}</pre>}
+        </details>
+      )}
+    </>
+  );
+}
+
+export default React.memo(MessagePayload);
@@ -0,0 +1,223 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import TopicTreeService from '../../../services/TopicTreeService';
+import SchemaService from '../../../services/SchemaService';
+import MessageTemplateService from '../../../services/MessageTemplateService';
+import { collapseTopic } from '../../../../../shared/topic-filter';
+
+interface Props {
+  connectionId: string;
+  topic: string;
+  onClose: () => void;
+}
+
+function SchemaInferenceModal({ connectionId, topic, onClose }: Props) {
+  const topics = useMemo(() => TopicTreeService.getTopicPaths(connectionId), [connectionId]);
+  const pattern = useMemo(() => collapseTopic(topic, topics), [topic, topics]);
+  const [filter, setFilter] = useState(pattern);
+  const [pins, setPins] = useState(() => SchemaService.getPins());
+  const [watches, setWatches] = useState(() => SchemaService.getDriftWatches());
+  const [status, setStatus] = useState<string | null>(null);
+
+  useEffect(() => {
+    const handleChanged = () => {
+      setPins(SchemaService.getPins());
+      setWatches(SchemaService.getDriftWatches());
+    };
+    SchemaService.on('changed', handleChanged);
+    return () => SchemaService.off('changed', handleChanged);
+  }, []);
+
+  const trimmed = filter.trim();
+  const inferred = useMemo(
+    () => (trimmed ? TopicTreeService.inferTopicSchema(connectionId, trimmed) : null),
+    [connectionId, trimmed],
+  );
+  const schemaText = inferred ? JSON.stringify(inferred.schema, null, 2) : '';
+  const pin = pins.find((p) => p.filter === trimmed);
+  const topicPin = SchemaService.findPin(topic);
+  const watched = watches.includes(trimmed);
+  const topicWatched = SchemaService.watchesDrift(topic);
+  const hasSamples = !!inferred && inferred.samples > 0;
+
+  const handlePin = () => {
+    SchemaService.pin(trimmed, trimmed, inferred!.schema);
+    setStatus(`Messages on ${trimmed} are now compared with this schema.`);
+  };
+
+  const handleUnpin = () => {
+    SchemaService.unpin(trimmed);
+    setStatus(
+      watched
+        ? `${trimmed} is compared with a baseline inferred from its own traffic again.`
+        : `Drift is no longer tracked on ${trimmed}.`,
+    );
+  };
+
+  const handleWatch = () => {
+    SchemaService.watchDrift(trimmed);
+    setStatus(`A baseline for ${trimmed} is inferred from its next messages.`);
+  };
+
+  const handleUnwatch = () => {
+    SchemaService.unwatchDrift(trimmed);
+    setStatus(`${trimmed} is no longer watched for drift.`);
+  };
+
+  const handleResetBaseline = () => {
+    TopicTreeService.resetDrift(connectionId, trimmed);
+    setStatus('Baselines cleared; they are inferred again from the next messages.');
+  };
+
+  const handleSaveTemplate = () => {
+    const template = new MessageTemplateService().createTemplateFromInferredSchema(
+      inferred!.schema,
+      trimmed,
+    );
+    setStatus(`Saved as the message template "${template.name}" under Inferred Schemas.`);
+  };
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(schemaText);
+    setStatus('Schema copied to the clipboard.');
+  };
+
+  const handleDownload = () => {
+    const url = URL.createObjectURL(new Blob([schemaText], { type: 'application/json' }));
+    Object.assign(document.createElement('a'), {
+      href: url,
+      download: `${trimmed.replace(/[/\\:*?"<>|+#]/g, '_') || 'schema'}.schema.json`,
+    }).click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+      <div className="modal-container decoder-modal">
+        <div className="modal-header">
+          <h2>
+            <i className="fas fa-magic"></i> Infer Schema
+          </h2>
+          <button onClick={onClose} className="modal-close-btn">
+            <i className="fas fa-times"></i>
+          </button>
+        </div>
+
+        <div className="decoder-modal-body">
+          <section>
+            <h3>Topics</h3>
+            <div className="schema-inference-filter">
+              <input
+                type="text"
+                className="form-input"
+                value={filter}
+                onChange={(e) => setFilter(e.target.value)}
+                placeholder="Topic filter, e.g. devices/+/telemetry"
+              />
+              <button
+                type="button"
+                className="btn btn-sm btn-secondary"
+                onClick={() => setFilter(topic)}
+                disabled={trimmed === topic}
+              >
+                This topic
+              </button>
+              {pattern !== topic && (
+                <button
+                  type="button"
+                  className="btn btn-sm btn-secondary"
+                  onClick={() => setFilter(pattern)}
+                  disabled={trimmed === pattern}
+                >
+                  {pattern}
+                </button>
+              )}
+            </div>
+            {inferred && (
+              <div className="decoder-modal-hint">
+                {hasSamples
+                  ? `Inferred from ${inferred.samples} JSON payload${inferred.samples === 1 ? '' : 's'} on ${inferred.topics.length} topic${inferred.topics.length === 1 ? '' : 's'}.`
+                  : inferred.topics.length > 0
+                    ? 'None of the stored messages on these topics is JSON.'
+                    : 'No topic with messages matches this filter.'}
+              </div>
+            )}
+          </section>
+
+          {hasSamples && (
+            <section>
+              <h3>Schema</h3>
+              <pre className="schema-inference-preview">{schemaText}</pre>
+              <div className="schema-rule-actions">
+                <button type="button" className="btn btn-sm btn-secondary" onClick={handleCopy}>
+                  <i className="fas fa-copy"></i> Copy
+                </button>
+                <button type="button" className="btn btn-sm btn-secondary" onClick={handleDownload}>
+                  <i className="fas fa-download"></i> Download
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-sm btn-secondary"
+                  onClick={handleSaveTemplate}
+                >
+                  <i className="fas fa-file-export"></i> Save as template
+                </button>
+              </div>
+            </section>
+          )}
+
+          <section>
+            <h3>Drift</h3>
+            <div className="decoder-modal-hint">
+              {topicPin
+                ? `"${topic}" is compared with the schema pinned on ${topicPin.filter}.`
+                : topicWatched
+                  ? `"${topic}" is compared with a baseline inferred from its first messages.`
+                  : `Drift is not tracked on "${topic}"; watch it or pin a schema to start.`}{' '}
+              New fields, type changes and missing required fields are flagged in the tree.
+            </div>
+            <div className="schema-rule-actions">
+              {hasSamples && (
+                <button type="button" className="btn btn-sm btn-primary" onClick={handlePin}>
+                  <i className="fas fa-thumbtack"></i> {pin ? 'Re-pin' : 'Pin'} as drift baseline
+                </button>
+              )}
+              {pin && (
+                <button type="button" className="btn btn-sm btn-secondary" onClick={handleUnpin}>
+                  <i className="fas fa-times"></i> Unpin
+                </button>
+              )}
+              <button
+                type="button"
+                className="btn btn-sm btn-secondary"
+                onClick={watched ? handleUnwatch : handleWatch}
+                disabled={!trimmed}
+                title="Infer a baseline from the traffic on these topics and flag what departs from it"
+              >
+                <i className={`fas ${watched ? 'fa-eye-slash' : 'fa-eye'}`}></i>{' '}
+                {watched ? 'Stop watching' : 'Watch for drift'}
+              </button>
+              <button
+                type="button"
+                className="btn btn-sm btn-secondary"
+                onClick={handleResetBaseline}
+                disabled={!trimmed}
+                title="Forget the inferred baselines of these topics"
+              >
+                <i className="fas fa-undo"></i> Reset baseline
+              </button>
+            </div>
+            {status && <div className="decoder-modal-hint">{status}</div>}
+          </section>
+        </div>
+
+        <div className="modal-footer">
+          <button className="btn btn-md btn-secondary" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default React.memo(SchemaInferenceModal);
@@ -0,0 +1,215 @@
+import React, { useMemo, useRef, useState } from 'react';
+import SchemaService, { type SchemaRule } from '../../../services/SchemaService';
+import MessageTemplateService from '../../../services/MessageTemplateService';
+
+interface Props {
+  sampleTopic: string | null; // selected topic, used to show which rule applies
+  onClose: () => void;
+}
+
+interface SchemaSource {
+  templateId: string;
+  name: string;
+  schema: SchemaRule['schema'];
+}
+
+function SchemaRulesModal({ sampleTopic, onClose }: Props) {
+  const [rules, setRules] = useState<SchemaRule[]>(() => SchemaService.getRules());
+  const [importError, setImportError] = useState<string | null>(null);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+
+  // Schemas attached to the publishing panel's message templates.
+  const sources = useMemo<SchemaSource[]>(
+    () =>
+      new MessageTemplateService()
+        .getAllTemplates()
+        .filter((template: any) => template.schema && typeof template.schema === 'object')
+        .map((template: any) => ({
+          templateId: template.id,
+          name: template.name,
+          schema: template.schema,
+        })),
+    [],
+  );
+
+  const updateRule = (index: number, changes: Partial<SchemaRule>) =>
+    setRules((prev) => prev.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+
+  const moveRule = (index: number, direction: -1 | 1) =>
+    setRules((prev) => {
+      const next = [...prev];
+      [next[index], next[index + direction]] = [next[index + direction], next[index]];
+      return next;
+    });
+
+  const addRule = (source: Omit<SchemaRule, 'id' | 'filter' | 'enabled'>) =>
+    setRules((prev) => [
+      ...prev,
+      { id: `schema_${Date.now()}`, filter: sampleTopic || '', enabled: true, ...source },
+    ]);
+
+  const selectSource = (index: number, templateId: string) => {
+    const source = sources.find((s) => s.templateId === templateId);
+    if (source) updateRule(index, source);
+  };
+
+  const handleSchemaFile = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    setImportError(null);
+    if (!file) return;
+    try {
+      const schema = JSON.parse(await file.text());
+      if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) {
+        throw new Error('A JSON Schema must be an object');
+      }
+      addRule({
+        name: typeof schema.title === 'string' ? schema.title : file.name.replace(/\.json$/i, ''),
+        schema,
+      });
+    } catch (error: any) {
+      setImportError(`${file.name}: ${error.message}`);
+    }
+  };
+
+  const matchingRule =
+    sampleTopic && rules.find((rule) => SchemaService.ruleMatches(rule, sampleTopic));
+
+  const handleSave = () => {
+    SchemaService.setRules(rules.filter((rule) => rule.filter.trim()));
+    onClose();
+  };
+
+  return (
+    <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+      <div className="modal-container decoder-modal">
+        <div className="modal-header">
+          <h2>
+            <i className="fas fa-shield-alt"></i> Schema Validation
+          </h2>
+          <button onClick={onClose} className="modal-close-btn">
+            <i className="fas fa-times"></i>
+          </button>
+        </div>
+
+        <div className="decoder-modal-body">
+          <section>
+            <h3>Rules (first matching rule wins)</h3>
+            {rules.map((rule, index) => (
+              <div
+                key={rule.id}
+                className={`decoder-rule-row ${matchingRule === rule ? 'decoder-rule-active' : ''}`}
+              >
+                <input
+                  type="checkbox"
+                  checked={rule.enabled}
+                  onChange={(e) => updateRule(index, { enabled: e.target.checked })}
+                  title="Enable rule"
+                />
+                <input
+                  type="text"
+                  className="form-input"
+                  value={rule.filter}
+                  onChange={(e) => updateRule(index, { filter: e.target.value })}
+                  placeholder="Topic filter, e.g. sensors/+/telemetry"
+                />
+                <select
+                  className="form-input schema-rule-select"
+                  value={rule.templateId ?? ''}
+                  onChange={(e) => selectSource(index, e.target.value)}
+                >
+                  {/* Imported schemas, and copies of templates deleted since */}
+                  {!sources.some((source) => source.templateId === rule.templateId) && (
+                    <option value={rule.templateId ?? ''}>
+                      {rule.name} ({rule.templateId ? 'saved copy' : 'imported'})
+                    </option>
+                  )}
+                  {sources.map((source) => (
+                    <option key={source.templateId} value={source.templateId}>
+                      {source.name}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  className="btn btn-sm"
+                  disabled={index === 0}
+                  onClick={() => moveRule(index, -1)}
+                  title="Move up"
+                >
+                  <i className="fas fa-arrow-up"></i>
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-sm"
+                  disabled={index === rules.length - 1}
+                  onClick={() => moveRule(index, 1)}
+                  title="Move down"
+                >
+                  <i className="fas fa-arrow-down"></i>
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-sm btn-danger"
+                  onClick={() => setRules((prev) => prev.filter((_, i) => i !== index))}
+                  title="Remove rule"
+                >
+                  <i className="fas fa-times"></i>
+                </button>
+              </div>
+            ))}
+            <div className="schema-rule-actions">
+              <button
+                type="button"
+                className="btn btn-sm btn-secondary"
+                onClick={() => addRule(sources[0])}
+                disabled={sources.length === 0}
+                title={sources.length === 0 ? 'No message template has a schema' : undefined}
+              >
+                <i className="fas fa-plus"></i> Add rule
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".json"
+                hidden
+                onChange={handleSchemaFile}
+              />
+              <button
+                type="button"
+                className="btn btn-sm btn-secondary"
+                onClick={() => fileInputRef.current?.click()}
+              >
+                <i className="fas fa-file-import"></i> Import schema…
+              </button>
+            </div>
+            {importError && <div className="decoder-modal-error">{importError}</div>}
+            {sampleTopic && (
+              <div className="decoder-modal-hint">
+                {matchingRule
+                  ? `"${sampleTopic}" is validated by the highlighted rule.`
+                  : `No rule matches "${sampleTopic}"; its messages are not validated.`}
+              </div>
+            )}
+            <div className="decoder-modal-hint">
+              Schemas come from the publishing panel&apos;s message templates or a JSON Schema file
+              (draft-07 or 2020-12). Payloads are checked as decoded when a decoder rule applies,
+              otherwise as JSON. Saving re-checks the messages already received.
+            </div>
+          </section>
+        </div>
+
+        <div className="modal-footer">
+          <button className="btn btn-md btn-secondary" onClick={onClose}>
+            Cancel
+          </button>
+          <button className="btn btn-md btn-primary" onClick={handleSave}>
+            <i className="fas fa-save"></i> Save Rules
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default React.memo(SchemaRulesModal);
@@ -0,0 +1,127 @@
+import React, { useEffect, useRef, useState } from 'react';
+import OfflineAnalysisService from '../../services/OfflineAnalysisService';
+import { formatDuration } from '../RecordingPanel/recordingPanel/recordingHelpers';
+import './OfflineTimeline.css';
+
+interface Props {
+  connectionId: string;
+}
+
+const SEEK_DEBOUNCE_MS = 120;
+const STEP_MS = 10_000;
+
+function OfflineTimeline({ connectionId }: Props) {
+  const session = OfflineAnalysisService.getSession(connectionId);
+  const [position, setPosition] = useState(session?.position ?? 0);
+  const [loading, setLoading] = useState(session?.loading ?? false);
+  const [loaded, setLoaded] = useState(session?.loaded ?? 0);
+  const [error, setError] = useState<string | null>(session?.error ?? null);
+  const seekTimerRef = useRef<ReturnType<typeof setTimeout> | null>(null);
+
+  useEffect(() => {
+    const current = OfflineAnalysisService.getSession(connectionId);
+    if (current) {
+      setPosition(current.position);
+      setLoading(current.loading);
+      setLoaded(current.loaded);
+      setError(current.error);
+    }
+    const handlePosition = (data: any) => {
+      if (data.connectionId === connectionId) setPosition(data.position);
+    };
+    const handleLoading = (data: any) => {
+      if (data.connectionId !== connectionId) return;
+      setLoading(data.loading);
+      setError(data.error);
+      setLoaded(data.loaded);
+    };
+    OfflineAnalysisService.on('position', handlePosition);
+    OfflineAnalysisService.on('loading', handleLoading);
+    return () => {
+      OfflineAnalysisService.off('position', handlePosition);
+      OfflineAnalysisService.off('loading', handleLoading);
+      if (seekTimerRef.current) clearTimeout(seekTimerRef.current);
+    };
+  }, [connectionId]);
+
+  if (!session) return null;
+  const { recording } = session;
+  const start = recording.startTime;
+  const end = recording.endTime ?? start;
+
+  // Dragging moves the label at once; the tree is rebuilt when the slider settles.
+  const scheduleSeek = (timestamp: number) => {
+    setPosition(timestamp);
+    if (seekTimerRef.current) clearTimeout(seekTimerRef.current);
+    seekTimerRef.current = setTimeout(() => {
+      seekTimerRef.current = null;
+      OfflineAnalysisService.seek(connectionId, timestamp);
+    }, SEEK_DEBOUNCE_MS);
+  };
+
+  const seekTo = (timestamp: number) => {
+    if (seekTimerRef.current) clearTimeout(seekTimerRef.current);
+    OfflineAnalysisService.seek(connectionId, Math.min(end, Math.max(start, timestamp)));
+  };
+
+  return (
+    <div className="offline-timeline">
+      <span className="offline-timeline-badge" title={`Offline analysis of "${recording.name}"`}>
+        <i className="fas fa-folder-open"></i> Offline
+      </span>
+      <div className="offline-timeline-buttons">
+        <button className="btn btn-sm btn-secondary" onClick={() => seekTo(start)} title="Start">
+          <i className="fas fa-fast-backward"></i>
+        </button>
+        <button
+          className="btn btn-sm btn-secondary"
+          onClick={() => seekTo(position - STEP_MS)}
+          title="Back 10 seconds"
+        >
+          <i className="fas fa-step-backward"></i>
+        </button>
+        <button
+          className="btn btn-sm btn-secondary"
+          onClick={() => seekTo(position + STEP_MS)}
+          title="Forward 10 seconds"
+        >
+          <i className="fas fa-step-forward"></i>
+        </button>
+        <button className="btn btn-sm btn-secondary" onClick={() => seekTo(end)} title="End">
+          <i className="fas fa-fast-forward"></i>
+        </button>
+      </div>
+      <input
+        type="range"
+        className="offline-timeline-slider"
+        min={start}
+        max={end}
+        step={1}
+        value={Math.min(end, Math.max(start, position))}
+        onChange={(e) => scheduleSeek(Number(e.target.value))}
+      />
+      <span className="offline-timeline-position">
+        {new Date(Math.min(end, position)).toLocaleTimeString()}
+        <span className="offline-timeline-offset">
+          {formatDuration(Math.max(0, Math.min(end, position) - start))} /{' '}
+          {formatDuration(end - start)}
+        </span>
+      </span>
+      <span className="offline-timeline-status">
+        {error ? (
+          <span className="offline-timeline-error" title={error}>
+            <i className="fas fa-exclamation-circle"></i> Load failed
+          </span>
+        ) : loading ? (
+          <>
+            <i className="fas fa-spinner fa-spin"></i> Loading…
+          </>
+        ) : (
+          `${loaded} / ${recording.messageCount} messages loaded`
+        )}
+      </span>
+    </div>
+  );
+}
+
+export default React.memo(OfflineTimeline);
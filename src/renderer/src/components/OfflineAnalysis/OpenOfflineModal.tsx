@@ -0,0 +1,111 @@
+import React, { useEffect, useState } from 'react';
+import RecordingService from '../../services/RecordingService';
+import type { RecordingMeta } from '../../../../shared/ipc';
+import { formatDuration } from '../RecordingPanel/recordingPanel/recordingHelpers';
+import './OpenOfflineModal.css';
+
+interface Props {
+  onOpen: (recording: RecordingMeta) => void;
+  onClose: () => void;
+}
+
+function OpenOfflineModal({ onOpen, onClose }: Props) {
+  const [recordings, setRecordings] = useState<RecordingMeta[] | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [isImporting, setIsImporting] = useState(false);
+
+  useEffect(() => {
+    RecordingService.list()
+      .then((list) =>
+        setRecordings(
+          list.filter((r) => r.status === 'complete').sort((a, b) => b.startTime - a.startTime),
+        ),
+      )
+      .catch((e) => setError(e.message));
+  }, []);
+
+  useEffect(() => {
+    const handleEscape = (e: KeyboardEvent) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [onClose]);
+
+  // Imported files become recordings in the store, so they can be reopened later.
+  const handleLoadFile = async () => {
+    setIsImporting(true);
+    setError(null);
+    try {
+      const recording = await RecordingService.importFromFile();
+      if (recording) onOpen(recording);
+    } catch (e: any) {
+      setError(`Failed to load file: ${e.message}`);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+      <div className="modal-container offline-modal">
+        <div className="modal-header">
+          <h2>
+            <i className="fas fa-folder-open"></i> Open Recording Offline
+          </h2>
+          <button onClick={onClose} className="modal-close-btn">
+            <i className="fas fa-times"></i>
+          </button>
+        </div>
+
+        <div className="offline-modal-body">
+          <p className="offline-modal-hint">
+            The recording is loaded into a topic tree without connecting to a broker. Use the
+            timeline to see the tree as it was at any point of the recording.
+          </p>
+          {error && <div className="offline-modal-error">{error}</div>}
+          {recordings === null && !error && <div className="offline-modal-empty">Loading…</div>}
+          {recordings?.length === 0 && (
+            <div className="offline-modal-empty">No recordings yet. Load one from a file.</div>
+          )}
+          {recordings && recordings.length > 0 && (
+            <ul className="offline-recording-list">
+              {recordings.map((recording) => (
+                <li key={recording.id} className="offline-recording-item">
+                  <div className="offline-recording-info">
+                    <span className="offline-recording-name">{recording.name}</span>
+                    <span className="offline-recording-meta">
+                      {recording.connectionName} · {recording.messageCount} messages ·{' '}
+                      {formatDuration(recording.endTime! - recording.startTime)} ·{' '}
+                      {new Date(recording.startTime).toLocaleString()}
+                    </span>
+                  </div>
+                  <button className="btn btn-sm btn-primary" onClick={() => onOpen(recording)}>
+                    <i className="fas fa-search"></i> Open
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="modal-footer modal-footer-split">
+          <button
+            className="btn btn-md btn-secondary"
+            onClick={handleLoadFile}
+            disabled={isImporting}
+            title="A recording (.ndjson, .json) or a topic / topic tree export"
+          >
+            <i className={`fas fa-${isImporting ? 'spinner fa-spin' : 'file-import'}`}></i> Load
+            File…
+          </button>
+          <button className="btn btn-md btn-secondary" onClick={onClose}>
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default React.memo(OpenOfflineModal);
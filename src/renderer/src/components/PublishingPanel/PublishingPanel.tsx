@@ -1,17 +1,58 @@
-import React, { useState, useEffect } from 'react';
-import MessageTemplateService from '../../services/MessageTemplateService';
+import React, { useState, useEffect, useMemo } from 'react';
+import MessageTemplateService, {
+  TEMPLATES_CHANGED_EVENT,
+} from '../../services/MessageTemplateService';
+import MQTTService from '../../services/MQTTService';
+import DecoderService from '../../services/DecoderService';
+import { encodePayload, type PayloadEncoding } from '../../utils/encoders';
+import { decodeText, isTextPayload, toBase64, toBytes, toHex } from '../../utils/payload';
 import './PublishingPanel.css';
-import type { PublishHistoryItem, SchemaValidationResult } from './publishingPanel/types';
+import type {
+  EncodedPayload,
+  PayloadFile,
+  PublishHistoryItem,
+  PublishPropertiesForm,
+  RenderedMessage,
+  RequestHistoryItem,
+  RequestSettings,
+  SchemaValidationResult,
+  TemplateVariableDefinition,
+} from './publishingPanel/types';
 import PayloadEditor from './publishingPanel/PayloadEditor';
 import TemplatesSection from './publishingPanel/TemplatesSection';
+import TemplateVariablesSection from './publishingPanel/TemplateVariablesSection';
 import QosRetainOptions from './publishingPanel/QosRetainOptions';
+import PublishPropertiesEditor from './publishingPanel/PublishPropertiesEditor';
+import {
+  countPublishProperties,
+  createEmptyPublishProperties,
+  normalizePublishProperties,
+  samePublishProperties,
+  toMqttPublishProperties,
+} from './publishingPanel/publishPropertyHelpers';
 import PublishHistory from './publishingPanel/PublishHistory';
+import RequestResponseSection from './publishingPanel/RequestResponseSection';
+import RequestHistory from './publishingPanel/RequestHistory';
+import {
+  MAX_REQUEST_HISTORY,
+  formatLatency,
+  normalizeRequestSettings,
+  toFailedRequestItem,
+  toRequestHistoryItem,
+  toRequestOptions,
+} from './publishingPanel/requestHelpers';
 import TemplateDeleteDialog from './publishingPanel/TemplateDeleteDialog';
 
+const hasPlaceholders = (text: string) => /\{\{/.test(text);
+
+// File payloads larger than this are published but not kept in the history.
+const MAX_HISTORY_FILE_BYTES = 64 * 1024;
+
 interface PublishingPanelProps {
   connectionId?: string | null;
   onPublishMessage?: (messageData: any) => Promise<void> | void;
   isConnected?: boolean;
+  protocolVersion?: number;
   selectedTopic?: any;
   showFeedback?: (message: string, type?: string) => void;
 }
@@ -20,14 +61,34 @@ function PublishingPanel({
   connectionId,
   onPublishMessage,
   isConnected = false,
+  protocolVersion = 4,
   selectedTopic = null,
   showFeedback,
 }: PublishingPanelProps) {
   const [topic, setTopic] = useState('');
   const [payload, setPayload] = useState('');
+  const [templating, setTemplating] = useState(false);
+  const [encoding, setEncoding] = useState<PayloadEncoding>('text');
+  const [messageType, setMessageType] = useState('');
+  const [messageTypes, setMessageTypes] = useState(() => DecoderService.getMessageTypes());
+  const [payloadFile, setPayloadFile] = useState<PayloadFile | null>(null);
+  const [protoRoot, setProtoRoot] = useState(() => DecoderService.getProtoRoot());
   const [qos, setQos] = useState(0);
   const [retain, setRetain] = useState(false);
+  const [publishProperties, setPublishProperties] = useState<PublishPropertiesForm>(
+    createEmptyPublishProperties,
+  );
   const [publishHistory, setPublishHistory] = useState<PublishHistoryItem[]>([]);
+  const [requestSettings, setRequestSettings] = useState<RequestSettings>(() => {
+    try {
+      return normalizeRequestSettings(
+        JSON.parse(localStorage.getItem('request-settings') || 'null'),
+      );
+    } catch {
+      return normalizeRequestSettings(null);
+    }
+  });
+  const [requestHistory, setRequestHistory] = useState<RequestHistoryItem[]>([]);
   const [isPublishing, setIsPublishing] = useState(false);
   const [showQosDropdown, setShowQosDropdown] = useState(false);
   const [showTemplateDropdown, setShowTemplateDropdown] = useState(false);
@@ -35,6 +96,7 @@ function PublishingPanel({
   const [selectedTemplate, setSelectedTemplate] = useState<string | null>(null);
   const [templateService] = useState(() => new MessageTemplateService());
   const [templateToDelete, setTemplateToDelete] = useState<string | null>(null);
+  const [templateValues, setTemplateValues] = useState<Record<string, unknown>>({});
   const [schemaValidation, setSchemaValidation] = useState<SchemaValidationResult | null>(null);
   const [showTemplates, setShowTemplates] = useState(false);
   const [autoLoadSelectedTopic, setAutoLoadSelectedTopic] = useState(true);
@@ -48,8 +110,15 @@ function PublishingPanel({
         const formState = JSON.parse(savedFormState);
         setTopic(formState.topic || '');
         setPayload(formState.payload || '');
+        setTemplating(formState.templating === true);
         setQos(formState.qos || 0);
         setRetain(formState.retain || false);
+        setPublishProperties(normalizePublishProperties(formState.properties));
+        // A loaded file isn't persisted, so fall back to text rather than an empty file form.
+        setEncoding(
+          formState.encoding && formState.encoding !== 'file' ? formState.encoding : 'text',
+        );
+        setMessageType(formState.messageType || '');
       } catch (error) {
         console.error('Failed to load form state:', error);
       }
@@ -64,21 +133,100 @@ function PublishingPanel({
           console.error('Failed to load publish history:', error);
         }
       }
+
+      let savedRequests: RequestHistoryItem[] = [];
+      try {
+        savedRequests = JSON.parse(localStorage.getItem(`request-history-${connectionId}`) || '[]');
+      } catch (error) {
+        console.error('Failed to load request history:', error);
+      }
+      setRequestHistory(savedRequests);
     }
   }, [connectionId]);
 
   useEffect(() => {
     setMessageTemplates(templateService.getAllTemplates());
+    // Templates can also be saved elsewhere, e.g. from an inferred schema.
+    const handleTemplatesChanged = () => {
+      templateService.reloadTemplates();
+      setMessageTemplates(templateService.getAllTemplates());
+    };
+    window.addEventListener(TEMPLATES_CHANGED_EVENT, handleTemplatesChanged);
+    return () => window.removeEventListener(TEMPLATES_CHANGED_EVENT, handleTemplatesChanged);
   }, [templateService]);
 
+  // .proto files are managed in the Decoders dialog; pick up changes made there.
+  useEffect(() => {
+    const handleDecodersChanged = () => {
+      setMessageTypes(DecoderService.getMessageTypes());
+      setProtoRoot(DecoderService.getProtoRoot());
+    };
+    DecoderService.on('changed', handleDecodersChanged);
+    return () => DecoderService.off('changed', handleDecodersChanged);
+  }, []);
+
+  // With templating on, `{{...}}` placeholders in the topic or a text payload are expanded
+  // when sending; otherwise they go out as typed.
+  const usesPlaceholders =
+    templating && encoding !== 'file' && hasPlaceholders(`${topic}\n${payload}`);
+  const variableDefinitions = useMemo<TemplateVariableDefinition[]>(
+    () =>
+      usesPlaceholders
+        ? templateService.getVariableDefinitions(
+            selectedTemplate && templateService.getTemplate(selectedTemplate),
+            topic,
+            payload,
+          )
+        : [],
+    [usesPlaceholders, templateService, selectedTemplate, topic, payload],
+  );
+  const variableValues = useMemo(
+    () => templateService.toVariableValues(variableDefinitions, templateValues),
+    [templateService, variableDefinitions, templateValues],
+  );
+  // The preview leaves counters alone; it refreshes whenever the form changes.
+  const preview = useMemo<RenderedMessage | null>(
+    () =>
+      usesPlaceholders
+        ? templateService.renderMessage({ topic, payload }, variableValues, { preview: true })
+        : null,
+    [usesPlaceholders, templateService, topic, payload, variableValues],
+  );
+  const previewPayload = preview ? preview.payload : payload;
+
+  const encoded = useMemo<EncodedPayload>(() => {
+    if (encoding === 'file') {
+      return payloadFile
+        ? { bytes: payloadFile.bytes, error: null }
+        : { bytes: null, error: 'No file loaded' };
+    }
+    try {
+      const bytes = encodePayload(previewPayload, encoding, { messageType, protoRoot });
+      return { bytes, error: null };
+    } catch (error: any) {
+      return { bytes: null, error: error.message };
+    }
+  }, [previewPayload, encoding, messageType, payloadFile, protoRoot]);
+
   // Validate payload against the selected template schema.
   useEffect(() => {
-    if (selectedTemplate && payload) {
-      setSchemaValidation(templateService.validatePayload(selectedTemplate, payload));
+    if (selectedTemplate && previewPayload) {
+      setSchemaValidation(templateService.validatePayload(selectedTemplate, previewPayload));
     } else {
       setSchemaValidation(null);
     }
-  }, [selectedTemplate, payload, templateService]);
+  }, [selectedTemplate, previewPayload, templateService]);
+
+  /** What actually goes out: placeholders expanded with fresh values, counters moved on. */
+  const renderForSend = () => {
+    if (!usesPlaceholders) return { topic: topic.trim(), payload, bytes: encoded.bytes! };
+    const rendered = templateService.renderMessage(
+      { topic: topic.trim(), payload },
+      variableValues,
+    );
+    const bytes = encodePayload(rendered.payload, encoding, { messageType, protoRoot });
+    return { topic: rendered.topic, payload: rendered.payload, bytes };
+  };
 
   // Clear schema validation when templates are hidden.
   useEffect(() => {
@@ -112,25 +260,23 @@ function PublishingPanel({
       setTopic(template.topic);
     }
 
-    // Produce an empty payload from schema, or strip the template's variables.
-    let emptyPayload = '';
-    if (template.schema) {
-      emptyPayload = templateService.generateSampleFromSchema(template.schema);
-      emptyPayload = emptyPayload
+    // The template's own payload, placeholders and all; a bare schema gives an empty sample.
+    let templatePayload = template.payload || '';
+    if (!templatePayload.trim() && template.schema) {
+      templatePayload = templateService
+        .generateSampleFromSchema(template.schema)
         .replace(/"sample_string"/g, '""')
         .replace(/42\.5/g, '0')
         .replace(/42/g, '0')
         .replace(/true/g, 'false');
-    } else {
-      emptyPayload = template.payload
-        .replace(/{{[^}]+}}/g, '""')
-        .replace(/:\s*""/g, ': ""')
-        .replace(/:\s*"",/g, ': "",');
     }
 
-    setPayload(emptyPayload);
+    setPayload(templatePayload);
+    setTemplating(hasPlaceholders(`${template.topic}\n${templatePayload}`));
+    setTemplateValues({});
     setQos(template.qos);
     setRetain(template.retain);
+    setPublishProperties(normalizePublishProperties(template.properties));
     setSelectedTemplate(templateId);
     setShowTemplateDropdown(false);
   };
@@ -201,10 +347,46 @@ function PublishingPanel({
 
   const cancelTemplateDelete = () => setTemplateToDelete(null);
 
+  const handleTemplateSave = (name: string) => {
+    const template = templateService.createTemplateFromMessage({
+      name,
+      topic: topic.trim(),
+      payload,
+      qos,
+      retain,
+      properties: countPublishProperties(publishProperties) > 0 ? publishProperties : undefined,
+      // Variables are saved with the values in the form as their defaults.
+      variables: Object.fromEntries(
+        variableDefinitions.map(({ name, ...definition }) => [
+          name,
+          {
+            ...definition,
+            default: name in templateValues ? templateValues[name] : definition.default,
+          },
+        ]),
+      ),
+    });
+    setMessageTemplates(templateService.getAllTemplates());
+    setSelectedTemplate(template.id);
+    showFeedback?.(`Template "${template.name}" saved!`, 'success');
+  };
+
   // Persist form state.
   useEffect(() => {
-    localStorage.setItem('publish-form-state', JSON.stringify({ topic, payload, qos, retain }));
-  }, [topic, payload, qos, retain]);
+    localStorage.setItem(
+      'publish-form-state',
+      JSON.stringify({
+        topic,
+        payload,
+        templating,
+        qos,
+        retain,
+        properties: publishProperties,
+        encoding,
+        messageType,
+      }),
+    );
+  }, [topic, payload, templating, qos, retain, publishProperties, encoding, messageType]);
 
   // Persist publish history per connection.
   useEffect(() => {
@@ -213,26 +395,111 @@ function PublishingPanel({
     }
   }, [publishHistory, connectionId]);
 
+  useEffect(() => {
+    localStorage.setItem('request-settings', JSON.stringify(requestSettings));
+  }, [requestSettings]);
+
+  useEffect(() => {
+    if (!connectionId) return;
+    if (requestHistory.length > 0) {
+      localStorage.setItem(`request-history-${connectionId}`, JSON.stringify(requestHistory));
+    } else {
+      localStorage.removeItem(`request-history-${connectionId}`);
+    }
+  }, [requestHistory, connectionId]);
+
+  const handleRequest = async () => {
+    if (!connectionId) return;
+    if (encoding !== 'text') {
+      showFeedback?.('Requests are sent as text; switch the payload encoding to Text', 'error');
+      return;
+    }
+    const request = {
+      topic: topic.trim(),
+      payload,
+      templating: usesPlaceholders,
+      qos,
+      settings: requestSettings,
+    };
+
+    setIsPublishing(true);
+    let item: RequestHistoryItem;
+    try {
+      const message = renderForSend();
+      const result = await MQTTService.request(
+        connectionId,
+        message.topic,
+        message.payload,
+        toRequestOptions(requestSettings, qos, publishProperties),
+      );
+      item = toRequestHistoryItem(request, publishProperties, result);
+      if (result.status === 'ok') {
+        showFeedback?.(`Reply received in ${formatLatency(result.latency ?? 0)}`, 'success');
+      } else {
+        showFeedback?.(`No reply within ${formatLatency(requestSettings.timeout)}`, 'warning');
+      }
+    } catch (error: any) {
+      item = toFailedRequestItem(request, error.message);
+      showFeedback?.(`Request failed: ${error.message}`, 'error');
+    } finally {
+      setIsPublishing(false);
+    }
+    setRequestHistory((prev) => [item, ...prev].slice(0, MAX_REQUEST_HISTORY));
+  };
+
   const handlePublish = async () => {
+    if (!encoded.bytes) {
+      showFeedback?.(`Cannot encode payload: ${encoded.error}`, 'error');
+      return;
+    }
+    let message: ReturnType<typeof renderForSend>;
+    try {
+      message = renderForSend();
+    } catch (error: any) {
+      showFeedback?.(`Cannot encode payload: ${error.message}`, 'error');
+      return;
+    }
+
+    // File payloads are remembered as base64 so history can replay them. Templates are
+    // remembered unexpanded, so replaying one draws fresh values.
+    const isFile = encoding === 'file';
+    const historyEncoding = isFile ? 'base64' : encoding;
     const messageData: PublishHistoryItem = {
       topic: topic.trim(),
-      payload,
+      payload: isFile ? toBase64(encoded.bytes) : payload,
+      ...(usesPlaceholders && { templating: true }),
       qos,
       retain,
       timestamp: new Date().toISOString(),
+      ...(countPublishProperties(publishProperties) > 0 && { properties: publishProperties }),
+      ...(historyEncoding !== 'text' && { encoding: historyEncoding }),
+      ...(encoding === 'protobuf' && { messageType }),
     };
 
     setIsPublishing(true);
     try {
-      if (onPublishMessage) await onPublishMessage(messageData);
+      if (onPublishMessage) {
+        await onPublishMessage({
+          ...messageData,
+          topic: message.topic,
+          // Text goes over IPC as a string, as before; everything else as raw bytes.
+          payload: encoding === 'text' ? message.payload : message.bytes,
+          properties: toMqttPublishProperties(publishProperties),
+        });
+      }
 
-      // Add to history, de-duplicating by topic/payload/qos/retain.
+      // Add to history, de-duplicating by topic/payload/qos/retain/properties.
       setPublishHistory((prev) => {
+        if (isFile && message.bytes.length > MAX_HISTORY_FILE_BYTES) return prev;
         const matches = (item: PublishHistoryItem) =>
           item.topic === messageData.topic &&
           item.payload === messageData.payload &&
+          !item.templating === !messageData.templating &&
+          (item.encoding || 'text') === (messageData.encoding || 'text') &&
+          item.messageType === messageData.messageType &&
           item.qos === messageData.qos &&
-          item.retain === messageData.retain;
+          item.retain === messageData.retain &&
+          samePublishProperties(item.properties, messageData.properties);
 
         const isDuplicate = prev.some(matches);
         if (!isDuplicate) return [messageData, ...prev.slice(0, 9)]; // keep last 10
@@ -315,7 +582,11 @@ function PublishingPanel({
     const messageData = selectedTopic.node?.lastMessage;
 
     if (messageData) {
-      setPayload(messageData.payload || '');
+      // Binary payloads load as hex so republishing sends the same bytes.
+      const bytes = toBytes(messageData.payload);
+      const isText = isTextPayload(bytes);
+      setPayload(isText ? decodeText(bytes) : toHex(bytes));
+      setEncoding(isText ? 'text' : 'hex');
       setQos(messageData.qos || 0);
       setRetain(messageData.retain || false);
       showFeedback?.('Form filled with selected topic data', 'success');
@@ -330,16 +601,46 @@ function PublishingPanel({
   const loadFromHistory = (historyItem: PublishHistoryItem) => {
     setTopic(historyItem.topic);
     setPayload(historyItem.payload);
+    setTemplating(historyItem.templating === true);
+    setEncoding(historyItem.encoding || 'text');
+    if (historyItem.messageType) setMessageType(historyItem.messageType);
     setQos(historyItem.qos);
     setRetain(historyItem.retain);
+    setPublishProperties(normalizePublishProperties(historyItem.properties));
+  };
+
+  const loadFromRequestHistory = (item: RequestHistoryItem) => {
+    setTopic(item.topic);
+    setPayload(item.payload);
+    setTemplating(item.templating === true);
+    setEncoding('text');
+    setQos(item.qos);
+    setRetain(false);
+    setPublishProperties(normalizePublishProperties(item.properties));
+    setRequestSettings((prev) => ({ ...prev, enabled: true, mode: item.mode }));
+  };
+
+  const clearRequestHistory = () => setRequestHistory([]);
+
+  const loadPayloadFile = async (file: File) => {
+    try {
+      setPayloadFile({ name: file.name, bytes: new Uint8Array(await file.arrayBuffer()) });
+    } catch (error: any) {
+      showFeedback?.(`Failed to read ${file.name}: ${error.message}`, 'error');
+    }
   };
 
   const clearForm = () => {
     setTopic('');
     setPayload('');
+    setTemplating(false);
+    setEncoding('text');
+    setPayloadFile(null);
     setQos(0);
     setRetain(false);
+    setPublishProperties(createEmptyPublishProperties());
     setSelectedTemplate(null);
+    setTemplateValues({});
     localStorage.removeItem('publish-form-state');
   };
 
@@ -444,13 +745,37 @@ function PublishingPanel({
             <PayloadEditor
               payload={payload}
               setPayload={setPayload}
+              templating={templating}
+              setTemplating={setTemplating}
               isPublishing={isPublishing}
               isValidJson={isValidJson}
               formatJsonPayload={formatJsonPayload}
               copyToClipboard={copyToClipboard}
               schemaValidation={schemaValidation}
+              encoding={encoding}
+              setEncoding={setEncoding}
+              messageType={messageType}
+              setMessageType={setMessageType}
+              messageTypes={messageTypes}
+              payloadFile={payloadFile}
+              onLoadFile={loadPayloadFile}
+              encoded={encoded}
             />
 
+            {preview && (
+              <TemplateVariablesSection
+                definitions={variableDefinitions}
+                values={templateValues}
+                setValues={setTemplateValues}
+                preview={preview}
+                onResetCounters={() => {
+                  templateService.resetCounters();
+                  showFeedback?.('Template counters reset', 'success');
+                }}
+                isPublishing={isPublishing}
+              />
+            )}
+
             <TemplatesSection
               showTemplates={showTemplates}
               setShowTemplates={setShowTemplates}
@@ -466,6 +791,8 @@ function PublishingPanel({
               setSchemaValidation={setSchemaValidation}
               handleTemplateSelect={handleTemplateSelect}
               handleTemplateDelete={handleTemplateDelete}
+              handleTemplateSave={handleTemplateSave}
+              canSaveTemplate={!!topic.trim()}
             />
 
             <QosRetainOptions
@@ -478,20 +805,39 @@ function PublishingPanel({
               setShowQosDropdown={setShowQosDropdown}
             />
 
+            <PublishPropertiesEditor
+              properties={publishProperties}
+              setProperties={setPublishProperties}
+              isPublishing={isPublishing}
+              isMqtt5={protocolVersion === 5}
+            />
+
+            <RequestResponseSection
+              settings={requestSettings}
+              setSettings={setRequestSettings}
+              isPublishing={isPublishing}
+              isMqtt5={protocolVersion === 5}
+            />
+
             <div className="form-actions">
               <button
-                onClick={handlePublish}
+                onClick={requestSettings.enabled ? handleRequest : handlePublish}
                 className="publish-form-publish-btn"
                 disabled={!topic.trim() || isPublishing || !connectionId || !isConnected}
               >
                 {isPublishing ? (
                   <>
-                    <i className="fas fa-spinner fa-spin"></i> Publishing...
+                    <i className="fas fa-spinner fa-spin"></i>{' '}
+                    {requestSettings.enabled ? 'Waiting for reply...' : 'Publishing...'}
                   </>
                 ) : !isConnected ? (
                   <>
                     <i className="fas fa-times-circle"></i> Not Connected
                   </>
+                ) : requestSettings.enabled ? (
+                  <>
+                    <i className="fas fa-exchange-alt"></i> Send Request
+                  </>
                 ) : (
                   <>
                     <i className="fas fa-paper-plane"></i> Publish
@@ -539,13 +885,13 @@ function PublishingPanel({
             </div>
 
             {/* Message preview */}
-            {topic && payload && (
+            {topic && (encoding === 'file' ? payloadFile : payload) && (
               <div className="message-preview">
                 <h4>Message Preview</h4>
                 <div className="preview-content">
                   <div className="preview-meta">
                     <span className="preview-topic">
-                      <i className="fas fa-tag"></i> {topic}
+                      <i className="fas fa-tag"></i> {preview ? preview.topic : topic}
                     </span>
                     <span className={`badge badge-qos-${qos}`}>QoS {qos}</span>
                     {retain && (
@@ -553,16 +899,39 @@ function PublishingPanel({
                         <i className="fas fa-save"></i> RETAIN
                       </span>
                     )}
+                    {encoded.bytes && (
+                      <span className="badge badge-encoded-size">
+                        {encoded.bytes.length} bytes
+                        {encoding !== 'text' && ` · ${encoding === 'file' ? 'file' : encoding}`}
+                      </span>
+                    )}
                   </div>
                   <div className="preview-payload">
-                    {payload.length > 200 ? payload.substring(0, 200) + '...' : payload}
+                    {encoding === 'file'
+                      ? payloadFile?.name
+                      : previewPayload.length > 200
+                        ? previewPayload.substring(0, 200) + '...'
+                        : previewPayload}
                   </div>
+                  {preview && (
+                    <div className="preview-template-note">
+                      Example values; each publish draws new ones.
+                    </div>
+                  )}
                 </div>
               </div>
             )}
           </div>
         </div>
 
+        {requestHistory.length > 0 && (
+          <RequestHistory
+            requestHistory={requestHistory}
+            clearHistory={clearRequestHistory}
+            loadFromHistory={loadFromRequestHistory}
+          />
+        )}
+
         {publishHistory.length > 0 && (
           <PublishHistory
             publishHistory={publishHistory}
@@ -1,31 +1,111 @@
-import React from 'react';
-import type { SchemaValidationResult } from './types';
+import React, { useRef } from 'react';
+import { PAYLOAD_ENCODINGS, isJsonEncoding, type PayloadEncoding } from '../../../utils/encoders';
+import { toHex } from '../../../utils/payload';
+import type { EncodedPayload, PayloadFile, SchemaValidationResult } from './types';
+
+const HEX_PREVIEW_BYTES = 24;
 
 interface Props {
   payload: string;
   setPayload: React.Dispatch<React.SetStateAction<string>>;
+  templating: boolean; // expand `{{...}}` placeholders when sending
+  setTemplating: (templating: boolean) => void;
   isPublishing: boolean;
   isValidJson: (str: string) => boolean;
   formatJsonPayload: () => void;
   copyToClipboard: (text: string, feedbackMsg: string) => void;
   schemaValidation: SchemaValidationResult | null;
+  encoding: PayloadEncoding;
+  setEncoding: (encoding: PayloadEncoding) => void;
+  messageType: string;
+  setMessageType: (messageType: string) => void;
+  messageTypes: string[]; // from the .proto files loaded under Decoders
+  payloadFile: PayloadFile | null;
+  onLoadFile: (file: File) => void;
+  encoded: EncodedPayload;
 }
 
 function PayloadEditor({
   payload,
   setPayload,
+  templating,
+  setTemplating,
   isPublishing,
   isValidJson,
   formatJsonPayload,
   copyToClipboard,
   schemaValidation,
+  encoding,
+  setEncoding,
+  messageType,
+  setMessageType,
+  messageTypes,
+  payloadFile,
+  onLoadFile,
+  encoded,
 }: Props) {
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const encodingInfo = PAYLOAD_ENCODINGS.find((e) => e.value === encoding) ?? PAYLOAD_ENCODINGS[0];
+  const jsonInput = isJsonEncoding(encoding);
+
+  const handleFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) onLoadFile(file);
+  };
+
   return (
     <div className="form-group">
       <div className="payload-header">
         <label htmlFor="payload">Payload:</label>
         <div className="payload-tools">
-          {payload && isValidJson(payload) && (
+          {encoding !== 'file' && (
+            <label
+              className="toggle-switch"
+              title="Expand {{...}} placeholders in the topic and payload when sending"
+            >
+              <span className="toggle-label">Templating</span>
+              <input
+                type="checkbox"
+                checked={templating}
+                onChange={(e) => setTemplating(e.target.checked)}
+                disabled={isPublishing}
+              />
+              <span className="toggle-slider"></span>
+            </label>
+          )}
+          <select
+            className="payload-encoding-select"
+            value={encoding}
+            onChange={(e) => setEncoding(e.target.value as PayloadEncoding)}
+            disabled={isPublishing}
+            title="How the payload is encoded before publishing"
+          >
+            {PAYLOAD_ENCODINGS.map((e) => (
+              <option key={e.value} value={e.value}>
+                {e.label}
+              </option>
+            ))}
+          </select>
+          {encodingInfo.needsMessageType && (
+            <select
+              className="payload-encoding-select"
+              value={messageType}
+              onChange={(e) => setMessageType(e.target.value)}
+              disabled={isPublishing}
+              title="Protobuf message type"
+            >
+              <option value="">
+                {messageTypes.length ? 'Message type…' : 'No .proto files loaded'}
+              </option>
+              {messageTypes.map((type) => (
+                <option key={type} value={type}>
+                  {type}
+                </option>
+              ))}
+            </select>
+          )}
+          {jsonInput && payload && isValidJson(payload) && (
             <button
               type="button"
               onClick={formatJsonPayload}
@@ -36,7 +116,7 @@ function PayloadEditor({
               <i className="fas fa-code"></i> Format JSON
             </button>
           )}
-          {payload && (
+          {payload && encoding !== 'file' && (
             <button
               type="button"
               onClick={() => copyToClipboard(payload, 'Payload copied!')}
@@ -48,19 +128,58 @@ function PayloadEditor({
           )}
         </div>
       </div>
-      <textarea
-        id="payload"
-        value={payload}
-        onChange={(e) => setPayload(e.target.value)}
-        placeholder="Enter message payload (JSON, text, etc.)"
-        className="payload-input"
-        rows={6}
-        disabled={isPublishing}
-      />
+      {encoding === 'file' ? (
+        <div className="payload-file">
+          <input ref={fileInputRef} type="file" hidden onChange={handleFileChange} />
+          <button
+            type="button"
+            className="btn btn-sm btn-secondary"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={isPublishing}
+          >
+            <i className="fas fa-file-upload"></i> {payloadFile ? 'Replace File…' : 'Choose File…'}
+          </button>
+          <span className="payload-file-name">
+            {payloadFile ? payloadFile.name : 'The file is published byte-for-byte.'}
+          </span>
+        </div>
+      ) : (
+        <textarea
+          id="payload"
+          value={payload}
+          onChange={(e) => setPayload(e.target.value)}
+          placeholder={encodingInfo.placeholder}
+          className="payload-input"
+          rows={6}
+          disabled={isPublishing}
+        />
+      )}
       <div className="payload-info">
-        <span className="char-count">{payload.length} characters</span>
+        <span className="char-count">
+          {encoding !== 'file' && `${payload.length} characters`}
+          {encoding !== 'text' && encoded.bytes && (
+            <>
+              {encoding !== 'file' && ' → '}
+              {encoded.bytes.length} bytes
+              {encoded.bytes.length > 0 && (
+                <span className="payload-encoded-hex">
+                  {toHex(encoded.bytes.subarray(0, HEX_PREVIEW_BYTES))}
+                  {encoded.bytes.length > HEX_PREVIEW_BYTES && ' …'}
+                </span>
+              )}
+            </>
+          )}
+          {encoding === 'text' && encoded.bytes && encoded.bytes.length !== payload.length && (
+            <> ({encoded.bytes.length} bytes UTF-8)</>
+          )}
+        </span>
         <div className="validation-indicators">
-          {payload && isValidJson(payload) && (
+          {encoded.error && (encoding === 'file' ? payloadFile : payload) && (
+            <span className="encode-error">
+              <i className="fas fa-exclamation-circle"></i> {encoded.error}
+            </span>
+          )}
+          {jsonInput && payload && isValidJson(payload) && (
             <span className="json-indicator">
               <i className="fas fa-check-circle"></i> Valid JSON
             </span>
@@ -1,5 +1,6 @@
 import React from 'react';
 import type { PublishHistoryItem } from './types';
+import { countPublishProperties } from './publishPropertyHelpers';
 
 interface Props {
   publishHistory: PublishHistoryItem[];
@@ -31,6 +32,11 @@ function PublishHistory({ publishHistory, clearHistory, loadFromHistory }: Props
                       <i className="fas fa-save"></i> R
                     </span>
                   )}
+                  {item.encoding && item.encoding !== 'text' && (
+                    <span className="badge badge-encoding" title={item.messageType}>
+                      {item.encoding}
+                    </span>
+                  )}
                 </div>
               </div>
               <div className="history-actions">
@@ -49,6 +55,17 @@ function PublishHistory({ publishHistory, clearHistory, loadFromHistory }: Props
             <div className="history-payload">
               {item.payload.length > 100 ? item.payload.substring(0, 100) + '...' : item.payload}
             </div>
+            {item.properties && countPublishProperties(item.properties) > 0 && (
+              <div className="history-properties">
+                <i className="fas fa-list"></i> {countPublishProperties(item.properties)} MQTT 5
+                properties
+                {item.properties.userProperties.length > 0 &&
+                  ` · ${item.properties.userProperties
+                    .filter((p) => p.key.trim())
+                    .map((p) => `${p.key}=${p.value}`)
+                    .join(', ')}`}
+              </div>
+            )}
           </div>
         ))}
       </div>
@@ -0,0 +1,180 @@
+import React, { useState } from 'react';
+import type { PublishPropertiesForm, UserPropertyEntry } from './types';
+import { countPublishProperties } from './publishPropertyHelpers';
+
+interface Props {
+  properties: PublishPropertiesForm;
+  setProperties: React.Dispatch<React.SetStateAction<PublishPropertiesForm>>;
+  isPublishing: boolean;
+  isMqtt5: boolean;
+}
+
+function PublishPropertiesEditor({ properties, setProperties, isPublishing, isMqtt5 }: Props) {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const activeCount = countPublishProperties(properties);
+
+  const update = <K extends keyof PublishPropertiesForm>(
+    field: K,
+    value: PublishPropertiesForm[K],
+  ) => {
+    setProperties((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const updateUserProperty = (index: number, patch: Partial<UserPropertyEntry>) => {
+    setProperties((prev) => ({
+      ...prev,
+      userProperties: prev.userProperties.map((p, i) => (i === index ? { ...p, ...patch } : p)),
+    }));
+  };
+
+  const addUserProperty = () => {
+    setProperties((prev) => ({
+      ...prev,
+      userProperties: [...prev.userProperties, { key: '', value: '' }],
+    }));
+  };
+
+  const removeUserProperty = (index: number) => {
+    setProperties((prev) => ({
+      ...prev,
+      userProperties: prev.userProperties.filter((_, i) => i !== index),
+    }));
+  };
+
+  return (
+    <div className="form-group publish-properties">
+      <button
+        type="button"
+        className="publish-properties-toggle"
+        onClick={() => setIsExpanded((v) => !v)}
+      >
+        <i className={`fas fa-chevron-${isExpanded ? 'down' : 'right'}`}></i>
+        MQTT 5 Properties
+        {activeCount > 0 && <span className="publish-properties-count">{activeCount}</span>}
+        {!isMqtt5 && activeCount > 0 && (
+          <span className="publish-properties-warning" title="Connection uses MQTT 3.1.1">
+            <i className="fas fa-exclamation-triangle"></i> ignored on v3.1.1
+          </span>
+        )}
+      </button>
+
+      {isExpanded && (
+        <div className="publish-properties-body">
+          {!isMqtt5 && (
+            <div className="publish-properties-hint">
+              Properties are only sent on MQTT 5 connections.
+            </div>
+          )}
+
+          <div className="publish-properties-grid">
+            <label>
+              Content Type
+              <input
+                type="text"
+                value={properties.contentType}
+                onChange={(e) => update('contentType', e.target.value)}
+                placeholder="application/json"
+                disabled={isPublishing}
+              />
+            </label>
+            <label>
+              Response Topic
+              <input
+                type="text"
+                value={properties.responseTopic}
+                onChange={(e) => update('responseTopic', e.target.value)}
+                placeholder="replies/client-1"
+                disabled={isPublishing}
+              />
+            </label>
+            <label>
+              Correlation Data
+              <input
+                type="text"
+                value={properties.correlationData}
+                onChange={(e) => update('correlationData', e.target.value)}
+                placeholder="request-42"
+                disabled={isPublishing}
+              />
+            </label>
+            <label>
+              Message Expiry (s)
+              <input
+                type="number"
+                min="0"
+                value={properties.messageExpiryInterval}
+                onChange={(e) => update('messageExpiryInterval', e.target.value)}
+                placeholder="none"
+                disabled={isPublishing}
+              />
+            </label>
+            <label>
+              Topic Alias
+              <input
+                type="number"
+                min="1"
+                value={properties.topicAlias}
+                onChange={(e) => update('topicAlias', e.target.value)}
+                placeholder="none"
+                disabled={isPublishing}
+              />
+            </label>
+            <label className="publish-properties-checkbox">
+              <input
+                type="checkbox"
+                checked={properties.payloadFormatIndicator}
+                onChange={(e) => update('payloadFormatIndicator', e.target.checked)}
+                disabled={isPublishing}
+              />
+              Payload is UTF-8
+            </label>
+          </div>
+
+          <div className="publish-properties-user">
+            <div className="publish-properties-user-header">
+              <span>User Properties</span>
+              <button
+                type="button"
+                className="template-action-btn"
+                onClick={addUserProperty}
+                disabled={isPublishing}
+                title="Add user property"
+              >
+                <i className="fas fa-plus"></i>
+              </button>
+            </div>
+            {properties.userProperties.map((prop, index) => (
+              <div key={index} className="publish-properties-user-row">
+                <input
+                  type="text"
+                  value={prop.key}
+                  onChange={(e) => updateUserProperty(index, { key: e.target.value })}
+                  placeholder="key"
+                  disabled={isPublishing}
+                />
+                <input
+                  type="text"
+                  value={prop.value}
+                  onChange={(e) => updateUserProperty(index, { value: e.target.value })}
+                  placeholder="value"
+                  disabled={isPublishing}
+                />
+                <button
+                  type="button"
+                  className="template-delete-btn"
+                  onClick={() => removeUserProperty(index)}
+                  disabled={isPublishing}
+                  title="Remove user property"
+                >
+                  <i className="fas fa-times"></i>
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default React.memo(PublishPropertiesEditor);
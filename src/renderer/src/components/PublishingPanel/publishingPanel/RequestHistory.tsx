@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import type { RequestHistoryItem } from './types';
+import { formatLatency } from './requestHelpers';
+import {
+  deserializeMessageProperties,
+  describeMessageProperties,
+} from '../../../utils/messageProperties';
+
+interface Props {
+  requestHistory: RequestHistoryItem[];
+  clearHistory: () => void;
+  loadFromHistory: (item: RequestHistoryItem) => void;
+}
+
+const preview = (text: string, max = 100) =>
+  text.length > max ? text.substring(0, max) + '...' : text;
+
+function RequestHistory({ requestHistory, clearHistory, loadFromHistory }: Props) {
+  const [expanded, setExpanded] = useState<string | null>(null);
+
+  const answered = requestHistory.filter((item) => item.latency !== undefined);
+  const averageLatency =
+    answered.length > 0
+      ? Math.round(answered.reduce((sum, item) => sum + item.latency!, 0) / answered.length)
+      : null;
+
+  return (
+    <div className="publish-history request-history">
+      <div className="history-header">
+        <h3>
+          Request History
+          {averageLatency !== null && (
+            <span className="request-history-average">avg {formatLatency(averageLatency)}</span>
+          )}
+        </h3>
+        <button onClick={clearHistory} className="clear-history-btn" title="Clear history">
+          <i className="fas fa-trash"></i>
+        </button>
+      </div>
+      <div className="history-list">
+        {requestHistory.map((item, index) => {
+          const key = `${item.timestamp}-${item.requestId || index}`;
+          const isExpanded = expanded === key;
+          const properties = deserializeMessageProperties(item.response?.properties);
+
+          return (
+            <div key={key} className={`history-item request-item request-${item.status}`}>
+              <div className="history-item-header">
+                <div className="history-meta">
+                  <span className="history-topic">
+                    <i className="fas fa-exchange-alt"></i> {item.topic}
+                  </span>
+                  <div className="history-badges">
+                    <span className={`badge badge-qos-${item.qos}`}>QoS {item.qos}</span>
+                    {item.status === 'ok' && (
+                      <span className="badge request-status-ok">
+                        <i className="fas fa-check"></i> {formatLatency(item.latency ?? 0)}
+                      </span>
+                    )}
+                    {item.status === 'timeout' && (
+                      <span className="badge request-status-timeout">
+                        <i className="fas fa-hourglass-end"></i> Timeout
+                      </span>
+                    )}
+                    {item.status === 'error' && (
+                      <span className="badge request-status-error" title={item.error}>
+                        <i className="fas fa-times"></i> Failed
+                      </span>
+                    )}
+                  </div>
+                </div>
+                <div className="history-actions">
+                  <span className="history-time">
+                    <i className="fas fa-clock"></i> {new Date(item.timestamp).toLocaleTimeString()}
+                  </span>
+                  <button
+                    onClick={() => setExpanded(isExpanded ? null : key)}
+                    className="load-btn"
+                    title={isExpanded ? 'Hide details' : 'Show details'}
+                  >
+                    <i className={`fas fa-chevron-${isExpanded ? 'up' : 'down'}`}></i>
+                  </button>
+                  <button
+                    onClick={() => loadFromHistory(item)}
+                    className="load-btn"
+                    title="Load request into form"
+                  >
+                    <i className="fas fa-redo"></i>
+                  </button>
+                </div>
+              </div>
+
+              <div className="history-payload">
+                {item.error ? (
+                  <span className="request-error">{item.error}</span>
+                ) : item.response ? (
+                  <>
+                    <i className="fas fa-reply"></i>{' '}
+                    {item.response.isBinary
+                      ? `<binary, ${item.response.size} bytes>`
+                      : preview(item.response.payload)}
+                  </>
+                ) : (
+                  preview(item.payload)
+                )}
+              </div>
+
+              {isExpanded && (
+                <div className="request-details">
+                  <dl>
+                    {item.correlationId && (
+                      <>
+                        <dt>Correlation</dt>
+                        <dd>{item.correlationId}</dd>
+                      </>
+                    )}
+                    <dt>Reply topic</dt>
+                    <dd>{item.response?.topic ?? item.responseTopic}</dd>
+                    <dt>Mode</dt>
+                    <dd>{item.mode === 'mqtt5' ? 'MQTT 5 properties' : 'Payload fields'}</dd>
+                  </dl>
+                  <div className="request-details-label">Request</div>
+                  <pre>{item.payload}</pre>
+                  {item.response && (
+                    <>
+                      <div className="request-details-label">
+                        Response ({item.response.size} bytes
+                        {item.response.isBinary ? ', base64' : ''})
+                      </div>
+                      <pre>{item.response.payload}</pre>
+                    </>
+                  )}
+                  {properties && (
+                    <dl>
+                      {describeMessageProperties(properties).map(([label, value], i) => (
+                        <React.Fragment key={i}>
+                          <dt>{label}</dt>
+                          <dd>{value}</dd>
+                        </React.Fragment>
+                      ))}
+                    </dl>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default React.memo(RequestHistory);
@@ -0,0 +1,112 @@
+import React from 'react';
+import type { RequestSettings } from './types';
+
+interface Props {
+  settings: RequestSettings;
+  setSettings: React.Dispatch<React.SetStateAction<RequestSettings>>;
+  isPublishing: boolean;
+  isMqtt5: boolean;
+}
+
+function RequestResponseSection({ settings, setSettings, isPublishing, isMqtt5 }: Props) {
+  const update = <K extends keyof RequestSettings>(field: K, value: RequestSettings[K]) => {
+    setSettings((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const needsConvention = settings.enabled && settings.mode === 'mqtt5' && !isMqtt5;
+
+  return (
+    <div className="form-group request-response">
+      <div className="request-response-header">
+        <label className="toggle-switch">
+          <span className="toggle-label">Request / Response</span>
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => update('enabled', e.target.checked)}
+            disabled={isPublishing}
+          />
+          <span className="toggle-slider"></span>
+        </label>
+        {needsConvention && (
+          <span className="publish-properties-warning" title="Connection uses MQTT 3.1.1">
+            <i className="fas fa-exclamation-triangle"></i> MQTT 5 mode needs a v5 connection
+          </span>
+        )}
+      </div>
+
+      {settings.enabled && (
+        <div className="request-response-body">
+          <div className="request-response-grid">
+            <label>
+              Correlation
+              <select
+                value={settings.mode}
+                onChange={(e) => update('mode', e.target.value as RequestSettings['mode'])}
+                disabled={isPublishing}
+              >
+                <option value="mqtt5">MQTT 5 properties</option>
+                <option value="convention">Payload fields (MQTT 3.1.1)</option>
+              </select>
+            </label>
+            <label>
+              Timeout (ms)
+              <input
+                type="number"
+                min="100"
+                step="100"
+                value={settings.timeout}
+                onChange={(e) =>
+                  update('timeout', Math.max(100, parseInt(e.target.value, 10) || 0))
+                }
+                disabled={isPublishing}
+              />
+            </label>
+            <label className="request-response-wide">
+              Response Topic
+              <input
+                type="text"
+                value={settings.responseTopic}
+                onChange={(e) => update('responseTopic', e.target.value)}
+                placeholder="mqttlooter/replies/{clientId}/{requestId}"
+                disabled={isPublishing}
+              />
+            </label>
+            {settings.mode === 'convention' && (
+              <>
+                <label>
+                  Reply-to Field
+                  <input
+                    type="text"
+                    value={settings.responseTopicField}
+                    onChange={(e) => update('responseTopicField', e.target.value)}
+                    placeholder="(not sent)"
+                    disabled={isPublishing}
+                  />
+                </label>
+                <label>
+                  Correlation Field
+                  <input
+                    type="text"
+                    value={settings.correlationField}
+                    onChange={(e) => update('correlationField', e.target.value)}
+                    placeholder="(not sent)"
+                    disabled={isPublishing}
+                  />
+                </label>
+              </>
+            )}
+          </div>
+          <div className="publish-properties-hint">
+            {settings.mode === 'mqtt5'
+              ? 'Response Topic and Correlation Data are set per request and override the MQTT 5 properties below.'
+              : 'The fields are added to the JSON payload and the correlation field is matched in the reply.'}{' '}
+            Placeholders: {'{clientId}'}, {'{requestId}'}, {'{topic}'}.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default React.memo(RequestResponseSection);
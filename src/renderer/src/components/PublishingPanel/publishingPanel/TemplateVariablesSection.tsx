@@ -0,0 +1,113 @@
+import React from 'react';
+import { TEMPLATE_FUNCTION_HELP } from '../../../../../shared/payload-template';
+import type { RenderedMessage, TemplateVariableDefinition } from './types';
+
+interface Props {
+  definitions: TemplateVariableDefinition[];
+  values: Record<string, unknown>;
+  setValues: React.Dispatch<React.SetStateAction<Record<string, unknown>>>;
+  preview: RenderedMessage;
+  onResetCounters: () => void;
+  isPublishing: boolean;
+}
+
+function TemplateVariablesSection({
+  definitions,
+  values,
+  setValues,
+  preview,
+  onResetCounters,
+  isPublishing,
+}: Props) {
+  const valueOf = (definition: TemplateVariableDefinition) =>
+    definition.name in values ? values[definition.name] : definition.default;
+  const setValue = (name: string, value: unknown) =>
+    setValues((prev) => ({ ...prev, [name]: value }));
+
+  return (
+    <div className="form-group template-variables">
+      <div className="template-variables-header">
+        <label>Template Variables:</label>
+        <button
+          type="button"
+          className="template-action-btn"
+          onClick={onResetCounters}
+          disabled={isPublishing}
+          title="Start counter() and sequence() over"
+        >
+          <i className="fas fa-undo"></i>
+        </button>
+      </div>
+
+      {definitions.length > 0 && (
+        <div className="template-variables-grid">
+          {definitions.map((definition) => {
+            const value = valueOf(definition);
+            return (
+              <label key={definition.name} title={definition.description}>
+                {definition.name}
+                {definition.type === 'boolean' ? (
+                  <input
+                    type="checkbox"
+                    checked={value === true || value === 'true'}
+                    onChange={(e) => setValue(definition.name, e.target.checked)}
+                    disabled={isPublishing}
+                  />
+                ) : definition.type === 'select' ? (
+                  <select
+                    value={String(value ?? '')}
+                    onChange={(e) => setValue(definition.name, e.target.value)}
+                    disabled={isPublishing}
+                  >
+                    {(definition.options ?? []).map((option) => (
+                      <option key={option} value={option}>
+                        {option}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <input
+                    type={definition.type === 'number' ? 'number' : 'text'}
+                    value={String(value ?? '')}
+                    onChange={(e) => setValue(definition.name, e.target.value)}
+                    placeholder={definition.description}
+                    disabled={isPublishing}
+                  />
+                )}
+              </label>
+            );
+          })}
+        </div>
+      )}
+
+      {preview.errors.length > 0 && (
+        <ul className="template-variables-errors">
+          {preview.errors.map((error) => (
+            <li key={error}>
+              <i className="fas fa-exclamation-circle"></i> {error}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <details className="template-functions">
+        <summary>
+          Placeholders take expressions:{' '}
+          <code>{'{{round(randomFloat(15, 35) * 1.8 + 32, 1)}}'}</code>. A placeholder that is a
+          whole JSON string keeps its type, so <code>{'"{{randomInt(0, 9)}}"'}</code> sends a
+          number; wrap it in <code>str()</code> to keep it text.
+        </summary>
+        {TEMPLATE_FUNCTION_HELP.map(({ group, functions }) => (
+          <div key={group} className="template-functions-group">
+            <span>{group}</span>
+            {functions.map((signature) => (
+              <code key={signature}>{signature}</code>
+            ))}
+          </div>
+        ))}
+      </details>
+    </div>
+  );
+}
+
+export default React.memo(TemplateVariablesSection);
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState } from 'react';
 import type { MessageTemplate, SchemaValidationResult } from './types';
 
 interface Props {
@@ -16,6 +16,8 @@ interface Props {
   setSchemaValidation: React.Dispatch<React.SetStateAction<SchemaValidationResult | null>>;
   handleTemplateSelect: (templateId: string) => void;
   handleTemplateDelete: (templateId: string) => void;
+  handleTemplateSave: (name: string) => void;
+  canSaveTemplate: boolean;
 }
 
 function TemplatesSection({
@@ -33,7 +35,16 @@ function TemplatesSection({
   setSchemaValidation,
   handleTemplateSelect,
   handleTemplateDelete,
+  handleTemplateSave,
+  canSaveTemplate,
 }: Props) {
+  const [newTemplateName, setNewTemplateName] = useState<string | null>(null);
+
+  const confirmSave = () => {
+    if (newTemplateName?.trim()) handleTemplateSave(newTemplateName.trim());
+    setNewTemplateName(null);
+  };
+
   return (
     <div className="form-group">
       <div className="template-header">
@@ -57,6 +68,15 @@ function TemplatesSection({
               />
               <i className="fas fa-upload"></i>
             </label>
+            <button
+              type="button"
+              className="template-action-btn save-btn"
+              onClick={() => setNewTemplateName('')}
+              disabled={!canSaveTemplate || isPublishing}
+              title="Save current message as template"
+            >
+              <i className="fas fa-save"></i>
+            </button>
             <button
               type="button"
               className="template-action-btn export-btn"
@@ -70,6 +90,39 @@ function TemplatesSection({
         )}
       </div>
 
+      {showTemplates && newTemplateName !== null && (
+        <div className="template-save-row">
+          <input
+            type="text"
+            value={newTemplateName}
+            onChange={(e) => setNewTemplateName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') confirmSave();
+              if (e.key === 'Escape') setNewTemplateName(null);
+            }}
+            placeholder="Template name"
+            autoFocus
+          />
+          <button
+            type="button"
+            className="template-action-btn"
+            onClick={confirmSave}
+            disabled={!newTemplateName.trim()}
+            title="Save template"
+          >
+            <i className="fas fa-check"></i>
+          </button>
+          <button
+            type="button"
+            className="template-action-btn"
+            onClick={() => setNewTemplateName(null)}
+            title="Cancel"
+          >
+            <i className="fas fa-times"></i>
+          </button>
+        </div>
+      )}
+
       {showTemplates && (
         <div className="template-select-wrapper custom-select-wrapper">
           <button
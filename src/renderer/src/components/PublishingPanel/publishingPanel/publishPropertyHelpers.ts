@@ -0,0 +1,75 @@
+import type { PublishPropertiesForm } from './types';
+
+export function createEmptyPublishProperties(): PublishPropertiesForm {
+  return {
+    userProperties: [],
+    contentType: '',
+    responseTopic: '',
+    correlationData: '',
+    messageExpiryInterval: '',
+    topicAlias: '',
+    payloadFormatIndicator: false,
+  };
+}
+
+/** Fill gaps in a stored (possibly older or partial) properties object. */
+export function normalizePublishProperties(
+  stored: Partial<PublishPropertiesForm> | undefined | null,
+): PublishPropertiesForm {
+  return { ...createEmptyPublishProperties(), ...(stored || {}) };
+}
+
+/** Number of properties that will actually be sent. */
+export function countPublishProperties(form: PublishPropertiesForm): number {
+  let count = form.userProperties.filter((p) => p.key.trim()).length;
+  if (form.contentType.trim()) count++;
+  if (form.responseTopic.trim()) count++;
+  if (form.correlationData) count++;
+  if (form.messageExpiryInterval.trim()) count++;
+  if (form.topicAlias.trim()) count++;
+  if (form.payloadFormatIndicator) count++;
+  return count;
+}
+
+/**
+ * Convert the form into the `properties` object mqtt.js expects on publish, or
+ * undefined when nothing is set. Repeated user-property keys become arrays.
+ */
+export function toMqttPublishProperties(
+  form: PublishPropertiesForm,
+): Record<string, unknown> | undefined {
+  const properties: Record<string, unknown> = {};
+
+  const userProperties: Record<string, string | string[]> = {};
+  for (const { key, value } of form.userProperties) {
+    const k = key.trim();
+    if (!k) continue;
+    const existing = userProperties[k];
+    userProperties[k] = existing === undefined ? value : ([] as string[]).concat(existing, value);
+  }
+  if (Object.keys(userProperties).length > 0) properties.userProperties = userProperties;
+
+  if (form.contentType.trim()) properties.contentType = form.contentType.trim();
+  if (form.responseTopic.trim()) properties.responseTopic = form.responseTopic.trim();
+  if (form.correlationData) {
+    properties.correlationData = new TextEncoder().encode(form.correlationData);
+  }
+  const expiry = parseInt(form.messageExpiryInterval, 10);
+  if (!isNaN(expiry) && expiry >= 0) properties.messageExpiryInterval = expiry;
+  const alias = parseInt(form.topicAlias, 10);
+  if (!isNaN(alias) && alias > 0) properties.topicAlias = alias;
+  if (form.payloadFormatIndicator) properties.payloadFormatIndicator = true;
+
+  return Object.keys(properties).length > 0 ? properties : undefined;
+}
+
+/** Equality used for history de-duplication. */
+export function samePublishProperties(
+  a: PublishPropertiesForm | undefined,
+  b: PublishPropertiesForm | undefined,
+): boolean {
+  const countA = a ? countPublishProperties(a) : 0;
+  const countB = b ? countPublishProperties(b) : 0;
+  if (countA === 0 || countB === 0) return countA === countB;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
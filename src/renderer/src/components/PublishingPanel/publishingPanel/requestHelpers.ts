@@ -0,0 +1,116 @@
+import type { RequestOptions, RequestResultData } from '../../../../../shared/ipc';
+import type { PublishPropertiesForm, RequestHistoryItem, RequestSettings } from './types';
+import { encodeForExport, isTextPayload, toBytes } from '../../../utils/payload';
+import {
+  normalizeMessageProperties,
+  serializeMessageProperties,
+} from '../../../utils/messageProperties';
+import { countPublishProperties, toMqttPublishProperties } from './publishPropertyHelpers';
+
+export const MAX_REQUEST_HISTORY = 20;
+
+export function createDefaultRequestSettings(): RequestSettings {
+  return {
+    enabled: false,
+    mode: 'mqtt5',
+    responseTopic: 'mqttlooter/replies/{clientId}/{requestId}',
+    timeout: 5000,
+    responseTopicField: 'responseTopic',
+    correlationField: 'correlationId',
+  };
+}
+
+export function normalizeRequestSettings(
+  stored: Partial<RequestSettings> | undefined | null,
+): RequestSettings {
+  return { ...createDefaultRequestSettings(), ...(stored || {}) };
+}
+
+/** Options for MQTTService.request; MQTT 5 requests carry the form's other properties too. */
+export function toRequestOptions(
+  settings: RequestSettings,
+  qos: number,
+  properties: PublishPropertiesForm,
+): RequestOptions {
+  return {
+    mode: settings.mode,
+    qos,
+    timeout: settings.timeout,
+    responseTopic: settings.responseTopic.trim(),
+    ...(settings.mode === 'mqtt5'
+      ? { properties: toMqttPublishProperties(properties) }
+      : {
+          responseTopicField: settings.responseTopicField.trim(),
+          correlationField: settings.correlationField.trim(),
+        }),
+  };
+}
+
+interface HistoryRequest {
+  topic: string;
+  payload: string; // as typed, placeholders and all
+  templating: boolean;
+  qos: number;
+  settings: RequestSettings;
+}
+
+/** Flatten a request result into a JSON-safe history entry. */
+export function toRequestHistoryItem(
+  request: HistoryRequest,
+  properties: PublishPropertiesForm,
+  result: RequestResultData,
+): RequestHistoryItem {
+  const item: RequestHistoryItem = {
+    requestId: result.requestId,
+    topic: request.topic,
+    payload: request.payload,
+    ...(request.templating && { templating: true }),
+    qos: request.qos,
+    mode: request.settings.mode,
+    responseTopic: result.responseTopic,
+    correlationId: result.correlationId,
+    timestamp: new Date(result.sentAt).toISOString(),
+    status: result.status,
+    ...(result.latency !== undefined && { latency: result.latency }),
+    ...(request.settings.mode === 'mqtt5' &&
+      countPublishProperties(properties) > 0 && { properties }),
+  };
+
+  if (result.response) {
+    const bytes = toBytes(result.response.payload);
+    const isBinary = !isTextPayload(bytes);
+    item.response = {
+      topic: result.response.topic,
+      payload: encodeForExport(bytes, isBinary).payload,
+      isBinary,
+      size: bytes.length,
+      qos: result.response.qos,
+      retain: result.response.retain,
+      properties: serializeMessageProperties(
+        normalizeMessageProperties(result.response.properties),
+      ),
+    };
+  }
+  return item;
+}
+
+/** A failed request (subscribe rejected, publish failed, ...) still goes in the history. */
+export function toFailedRequestItem(request: HistoryRequest, error: string): RequestHistoryItem {
+  return {
+    requestId: '',
+    topic: request.topic,
+    payload: request.payload,
+    ...(request.templating && { templating: true }),
+    qos: request.qos,
+    mode: request.settings.mode,
+    responseTopic: request.settings.responseTopic,
+    correlationId: '',
+    timestamp: new Date().toISOString(),
+    status: 'error',
+    error,
+  };
+}
+
+export function formatLatency(ms: number): string {
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(2)} s`;
+}
@@ -1,11 +1,97 @@
 // Shared types for the PublishingPanel and its section components.
+import type { RequestMode } from '../../../../../shared/ipc';
+import type { PayloadEncoding } from '../../../utils/encoders';
+import type { SerializedMessageProperties } from '../../../utils/messageProperties';
+
+export interface UserPropertyEntry {
+  key: string;
+  value: string;
+}
+
+/** MQTT 5 publish properties as edited in the form (empty strings mean "not set"). */
+export interface PublishPropertiesForm {
+  userProperties: UserPropertyEntry[];
+  contentType: string;
+  responseTopic: string;
+  correlationData: string; // sent as UTF-8 bytes
+  messageExpiryInterval: string; // seconds
+  topicAlias: string;
+  payloadFormatIndicator: boolean;
+}
 
 export interface PublishHistoryItem {
   topic: string;
   payload: string;
+  templating?: boolean; // placeholders are expanded on each publish
   qos: number;
   retain: boolean;
   timestamp: string;
+  properties?: PublishPropertiesForm;
+  encoding?: PayloadEncoding; // absent means text
+  messageType?: string; // Protobuf encoding only
+}
+
+/** A payload loaded from disk and published byte-for-byte. */
+export interface PayloadFile {
+  name: string;
+  bytes: Uint8Array;
+}
+
+/** The bytes the current form would publish, or why it can't be encoded. */
+export interface EncodedPayload {
+  bytes: Uint8Array | null;
+  error: string | null;
+}
+
+/** Request/response mode settings as edited in the form. */
+export interface RequestSettings {
+  enabled: boolean;
+  mode: RequestMode;
+  responseTopic: string; // template: {clientId}, {requestId}, {topic}
+  timeout: number; // ms
+  responseTopicField: string; // convention mode only
+  correlationField: string; // convention mode only
+}
+
+export interface RequestHistoryItem {
+  requestId: string;
+  topic: string;
+  payload: string;
+  templating?: boolean; // placeholders are expanded on each send
+  qos: number;
+  mode: RequestMode;
+  responseTopic: string;
+  correlationId: string;
+  timestamp: string;
+  status: 'ok' | 'timeout' | 'error';
+  latency?: number; // ms
+  error?: string;
+  response?: {
+    topic: string;
+    payload: string; // text, or base64 when isBinary
+    isBinary: boolean;
+    size: number;
+    qos: number;
+    retain: boolean;
+    properties?: SerializedMessageProperties;
+  };
+  properties?: PublishPropertiesForm;
+}
+
+/** A placeholder variable the form asks for: declared on a template, or read by the text. */
+export interface TemplateVariableDefinition {
+  name: string;
+  type: 'text' | 'number' | 'boolean' | 'select';
+  default?: unknown;
+  description?: string;
+  options?: string[]; // select only
+}
+
+/** Topic and payload with their placeholders expanded, and the ones that couldn't be. */
+export interface RenderedMessage {
+  topic: string;
+  payload: string;
+  errors: string[];
 }
 
 export interface SchemaValidationResult {
@@ -1,240 +1,360 @@
 import React, { useState, useEffect, useRef } from 'react';
 import './RecordingPanel.css';
-import type { RecordedMessage, Recording, CurrentPlayback } from './recordingPanel/types';
-import { getFilteredMessagesFor } from './recordingPanel/recordingHelpers';
+import RecordingService from '../../services/RecordingService';
+import type { RecordingEditOptions, RecordingProgressData } from '../../../../shared/ipc';
+import type {
+  RecordedMessage,
+  Recording,
+  CurrentPlayback,
+  PlaybackSettings,
+} from './recordingPanel/types';
+import { countMessagesFor } from './recordingPanel/recordingHelpers';
+import {
+  compileTopicRemap,
+  createDefaultPlaybackSettings,
+  normalizePlaybackSettings,
+  playbackSettingsKey,
+  schedulePlayback,
+  toReplayPublish,
+  type PlaybackClock,
+} from './recordingPanel/playbackHelpers';
+import { PlaybackCursor } from './recordingPanel/playbackCursor';
 import RecordingControls from './recordingPanel/RecordingControls';
 import RecordingItem from './recordingPanel/RecordingItem';
 import PlaybackControls from './recordingPanel/PlaybackControls';
+import RecordingEditor from './recordingPanel/RecordingEditor';
 
 interface RecordingPanelProps {
-  messages: RecordedMessage[];
   connectionName?: string;
   selectedTopic?: any;
   onPublishMessage?: (data: any) => void;
   isConnected?: boolean;
+  isReconnecting?: boolean;
   activeConnectionId?: string | null;
+  onOpenOffline?: (recording: Recording) => void;
 }
 
 function RecordingPanel({
-  messages,
   connectionName,
   onPublishMessage,
   isConnected = false,
+  isReconnecting = false,
   activeConnectionId = null,
+  onOpenOffline,
 }: RecordingPanelProps) {
-  const [isRecording, setIsRecording] = useState(false);
-  const [recordingStart, setRecordingStart] = useState<Date | null>(null);
-  const [recordedMessages, setRecordedMessages] = useState<RecordedMessage[]>([]);
+  // Recordings live in the main process; this is just the index.
   const [recordings, setRecordings] = useState<Recording[]>([]);
+  const [progress, setProgress] = useState<Record<string, RecordingProgressData>>({});
+  const [compress, setCompress] = useState(
+    () => localStorage.getItem('recording-compress') === 'true',
+  );
+  const [isStarting, setIsStarting] = useState(false);
 
   // Playback state.
   const [isPlaying, setIsPlaying] = useState(false);
   const [isPaused, setIsPaused] = useState(false);
   const [currentPlayback, setCurrentPlayback] = useState<CurrentPlayback | null>(null);
   const [currentIndex, setCurrentIndex] = useState(0);
-  const [playbackSpeed, setPlaybackSpeed] = useState(1);
+  const [currentMessage, setCurrentMessage] = useState<RecordedMessage | null>(null);
+  const [playbackSettings, setPlaybackSettings] = useState<PlaybackSettings>(
+    createDefaultPlaybackSettings,
+  );
+  const [currentLoop, setCurrentLoop] = useState(1);
   const [stepSize, setStepSize] = useState(1);
 
   // UI state.
-  const [expandedRecording, setExpandedRecording] = useState<number | null>(null);
+  const [expandedRecording, setExpandedRecording] = useState<string | null>(null);
   const [selectedTopicsFilter, setSelectedTopicsFilter] = useState<string[]>([]);
   const [showTopicFilter, setShowTopicFilter] = useState(false);
-  const [editingRecording, setEditingRecording] = useState<number | null>(null);
+  const [showPlaybackRules, setShowPlaybackRules] = useState(false);
+  const [editingRecording, setEditingRecording] = useState<string | null>(null);
   const [editingName, setEditingName] = useState('');
+  const [editorRecording, setEditorRecording] = useState<string | null>(null);
 
+  const cursorRef = useRef<PlaybackCursor | null>(null);
+  const playbackRunRef = useRef(0); // bumped to cancel a running playback loop
   const playbackTimeoutsRef = useRef<ReturnType<typeof setTimeout>[]>([]);
-  const isPlayingRef = useRef(isPlaying);
+  const currentIndexRef = useRef(currentIndex);
+  const currentLoopRef = useRef(currentLoop);
+  const playbackPositionRef = useRef(0); // index reached by the running loop
 
   const isRecordingDisabled = !isConnected || !activeConnectionId;
+  const activeRecording =
+    recordings.find((r) => r.status === 'recording' && r.connectionId === activeConnectionId) ||
+    null;
 
   useEffect(() => {
-    isPlayingRef.current = isPlaying;
-  }, [isPlaying]);
+    currentIndexRef.current = currentIndex;
+  }, [currentIndex]);
 
-  // Auto-stop recording if the connection is lost.
   useEffect(() => {
-    if (isRecording && isRecordingDisabled) {
-      stopRecording();
-    }
-  }, [isRecordingDisabled, isRecording]);
+    currentLoopRef.current = currentLoop;
+  }, [currentLoop]);
 
-  // Load recordings from localStorage (rehydrating Date fields).
   useEffect(() => {
-    const savedRecordings = localStorage.getItem('mqtt-recordings');
-    if (savedRecordings) {
+    localStorage.setItem('recording-compress', String(compress));
+  }, [compress]);
+
+  // Load the index (moving any localStorage recordings over first) and follow updates.
+  useEffect(() => {
+    let cancelled = false;
+    const handleChanged = (list: Recording[]) => setRecordings(list);
+    const handleProgress = (data: RecordingProgressData) =>
+      setProgress((prev) => ({ ...prev, [data.id]: data }));
+
+    RecordingService.on('changed', handleChanged);
+    RecordingService.on('progress', handleProgress);
+    (async () => {
       try {
-        const parsedRecordings = JSON.parse(savedRecordings);
-        const recordingsWithDates: Recording[] = parsedRecordings.map((recording: any) => ({
-          ...recording,
-          startTime: new Date(recording.startTime),
-          endTime: new Date(recording.endTime),
-          messages: recording.messages.map((msg: any) => ({
-            ...msg,
-            timestamp: new Date(msg.timestamp),
-          })),
-        }));
-        setRecordings(recordingsWithDates);
+        await RecordingService.migrateLegacyRecordings();
+        const list = await RecordingService.list();
+        if (!cancelled) setRecordings(list);
       } catch (error) {
         console.error('Failed to load recordings:', error);
       }
-    }
-  }, []);
+    })();
 
-  // Persist recordings.
-  useEffect(() => {
-    localStorage.setItem('mqtt-recordings', JSON.stringify(recordings));
-  }, [recordings]);
+    return () => {
+      cancelled = true;
+      RecordingService.off('changed', handleChanged);
+      RecordingService.off('progress', handleProgress);
+    };
+  }, []);
 
-  // Capture incoming messages while recording.
+  // Close playback if the open recording was deleted.
   useEffect(() => {
-    if (isRecording && recordingStart) {
-      setRecordedMessages(messages.filter((msg) => new Date(msg.timestamp) >= recordingStart));
+    if (expandedRecording && !recordings.some((r) => r.id === expandedRecording)) {
+      closePlayback();
     }
-  }, [messages, isRecording, recordingStart]);
+  }, [recordings]);
 
-  // Cancel pending playback timeouts on unmount.
+  // Cancel pending playback on unmount.
   useEffect(() => {
-    return () => clearAllPlaybackTimeouts();
+    return () => stopPlaybackLoop();
   }, []);
 
-  // Re-filter playback messages when the topic filter changes.
+  // Re-open the cursor when the topic filter changes.
   useEffect(() => {
     if (currentPlayback) {
-      const filteredMessages = getFilteredMessagesFor(
-        currentPlayback.originalMessages,
-        selectedTopicsFilter,
-      );
-      setCurrentPlayback((prev) => (prev ? { ...prev, messages: filteredMessages } : prev));
-      setCurrentIndex(0);
+      stopPlaybackLoop();
+      setIsPlaying(false);
+      openCursor(currentPlayback.recording, selectedTopicsFilter);
     }
   }, [selectedTopicsFilter]);
 
-  const startRecording = () => {
-    if (isRecordingDisabled) {
+  // Keep the message at the playback position loaded for display.
+  useEffect(() => {
+    const cursor = cursorRef.current;
+    if (!cursor) {
+      setCurrentMessage(null);
+      return;
+    }
+    const loaded = cursor.peek(currentIndex);
+    if (loaded) {
+      setCurrentMessage(loaded);
+      return;
+    }
+    let cancelled = false;
+    cursor.get(currentIndex).then((message) => {
+      if (!cancelled) setCurrentMessage(message);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [currentIndex, currentPlayback]);
+
+  const startRecording = async () => {
+    if (isRecordingDisabled || !activeConnectionId) {
       alert('Please connect to an MQTT broker before starting a recording.');
       return;
     }
-    setIsRecording(true);
-    setRecordingStart(new Date());
-    setRecordedMessages([]);
+    setIsStarting(true);
+    try {
+      await RecordingService.start({
+        connectionId: activeConnectionId,
+        connectionName: connectionName || activeConnectionId,
+        compress,
+      });
+    } catch (error: any) {
+      alert('Failed to start recording: ' + error.message);
+    } finally {
+      setIsStarting(false);
+    }
   };
 
-  const stopRecording = () => {
-    setIsRecording(false);
-    if (recordedMessages.length > 0) {
-      const uniqueTopics = [...new Set(recordedMessages.map((msg) => msg.topic))];
-      const recording: Recording = {
-        id: Date.now(),
-        name: `Recording ${new Date().toLocaleString()}`,
-        startTime: recordingStart!,
-        endTime: new Date(),
-        messageCount: recordedMessages.length,
-        messages: [...recordedMessages],
-        topic: uniqueTopics.length === 1 ? uniqueTopics[0] : `${uniqueTopics.length} Topics`,
-        connectionName: connectionName || 'Unknown',
-      };
-      setRecordings((prev) => [...prev, recording]);
-      setRecordedMessages([]);
-      setRecordingStart(null);
+  const stopRecording = async () => {
+    if (!activeRecording) return;
+    try {
+      await RecordingService.stop(activeRecording.id);
+    } catch (error: any) {
+      alert('Failed to stop recording: ' + error.message);
     }
   };
 
+  function openCursor(recording: Recording, topics: string[]) {
+    const total = countMessagesFor(recording, topics);
+    cursorRef.current = new PlaybackCursor(recording.id, topics, total);
+    setCurrentPlayback({ recording, total });
+    setCurrentIndex(0);
+    setCurrentLoop(1);
+    setIsPaused(false);
+  }
+
+  function closePlayback() {
+    stopPlaybackLoop();
+    cursorRef.current = null;
+    setExpandedRecording(null);
+    setEditorRecording(null);
+    setCurrentPlayback(null);
+    setIsPlaying(false);
+    setIsPaused(false);
+  }
+
   const selectRecording = (recording: Recording) => {
-    clearAllPlaybackTimeouts();
+    if (recording.status === 'recording') return;
     if (expandedRecording === recording.id) {
-      setExpandedRecording(null);
-      setCurrentPlayback(null);
-    } else {
-      const sortedMessages = [...recording.messages].sort(
-        (a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime(),
-      );
-      setExpandedRecording(recording.id);
-      setCurrentPlayback({ ...recording, messages: sortedMessages, originalMessages: sortedMessages });
-      setCurrentIndex(0);
-      setIsPlaying(false);
-      setIsPaused(false);
-      setSelectedTopicsFilter([]);
-      setShowTopicFilter(false);
+      closePlayback();
+      return;
     }
+    stopPlaybackLoop();
+    setExpandedRecording(recording.id);
+    setEditorRecording(null);
+    setIsPlaying(false);
+    setSelectedTopicsFilter([]);
+    setShowTopicFilter(false);
+    setShowPlaybackRules(false);
+    setPlaybackSettings(loadPlaybackSettings(recording.id));
+    openCursor(recording, []);
   };
 
+  function stopPlaybackLoop() {
+    playbackRunRef.current++;
+    playbackTimeoutsRef.current.forEach((timeout) => clearTimeout(timeout));
+    playbackTimeoutsRef.current = [];
+  }
+
   const resetPlayback = () => {
-    clearAllPlaybackTimeouts();
+    stopPlaybackLoop();
     setCurrentIndex(0);
+    setCurrentLoop(1);
     setIsPlaying(false);
     setIsPaused(false);
   };
 
-  function clearAllPlaybackTimeouts() {
-    playbackTimeoutsRef.current.forEach((timeout) => clearTimeout(timeout));
-    playbackTimeoutsRef.current = [];
+  function loadPlaybackSettings(recordingId: string): PlaybackSettings {
+    try {
+      const saved = localStorage.getItem(playbackSettingsKey(recordingId));
+      return normalizePlaybackSettings(saved ? JSON.parse(saved) : null);
+    } catch (error) {
+      console.error('Failed to load playback settings:', error);
+      return createDefaultPlaybackSettings();
+    }
   }
 
+  const updatePlaybackSettings = (changes: Partial<PlaybackSettings>) => {
+    if (!expandedRecording) return;
+    const next = { ...playbackSettings, ...changes };
+    setPlaybackSettings(next);
+    localStorage.setItem(playbackSettingsKey(expandedRecording), JSON.stringify(next));
+  };
+
+  const publish = (message: RecordedMessage, remap: (topic: string) => string) => {
+    if (onPublishMessage && isConnected) {
+      onPublishMessage(toReplayPublish(message, playbackSettings, remap));
+    }
+  };
+
+  const sleep = (ms: number) =>
+    new Promise<void>((resolve) => {
+      const timeout = setTimeout(resolve, ms);
+      playbackTimeoutsRef.current.push(timeout);
+    });
+
+  // Messages are paged in as playback goes; schedulePlayback paces them.
+  const runPlayback = async (run: number) => {
+    const cursor = cursorRef.current;
+    if (!cursor) return;
+    const settings = playbackSettings;
+    const remap = compileTopicRemap(settings.remapRules);
+
+    let index = currentIndexRef.current;
+    playbackPositionRef.current = index;
+    let loop = currentLoopRef.current;
+    let origin: PlaybackClock | null = null;
+    while (playbackRunRef.current === run) {
+      if (index >= cursor.total) {
+        if (settings.loopCount !== 0 && loop >= settings.loopCount) break;
+        index = 0;
+        loop++;
+        origin = null;
+        setCurrentLoop(loop);
+      }
+
+      const message = await cursor.get(index);
+      if (!message || playbackRunRef.current !== run) break;
+
+      const step = schedulePlayback(settings, origin, message.timestamp, Date.now());
+      origin = step.clock;
+      if (step.delay > 0) {
+        await sleep(step.delay);
+      } else if (settings.timing === 'fastest' && index % 50 === 0) {
+        // Let the UI and IPC queue breathe now and then.
+        await sleep(0);
+      }
+      if (playbackRunRef.current !== run) break;
+
+      publish(message, remap);
+      index++;
+      playbackPositionRef.current = index;
+      if (settings.timing !== 'fastest' || index % 50 === 0 || index >= cursor.total) {
+        setCurrentIndex(index);
+      }
+    }
+
+    if (playbackRunRef.current === run) {
+      setCurrentIndex(index);
+      setIsPlaying(false);
+      setIsPaused(false);
+    }
+  };
+
   const startRealtimePlayback = () => {
-    if (!currentPlayback) return;
-    const filteredMessages = currentPlayback.messages;
-    if (filteredMessages.length === 0) {
+    if (!currentPlayback || !cursorRef.current) return;
+    if (currentPlayback.total === 0) {
       alert('No messages match the selected topic filter.');
       return;
     }
+    stopPlaybackLoop();
+    if (currentIndexRef.current >= cursorRef.current.total) {
+      currentIndexRef.current = 0;
+      currentLoopRef.current = 1;
+      setCurrentIndex(0);
+      setCurrentLoop(1);
+    }
     setIsPlaying(true);
     setIsPaused(false);
-    clearAllPlaybackTimeouts();
-
-    const startTime = filteredMessages[currentIndex]?.timestamp ?? filteredMessages[0].timestamp;
-    for (let i = currentIndex; i < filteredMessages.length; i++) {
-      const msg = filteredMessages[i];
-      const delay = (new Date(msg.timestamp).getTime() - new Date(startTime).getTime()) / playbackSpeed;
-
-      const timeout = setTimeout(() => {
-        if (!isPlayingRef.current) return;
-        setCurrentIndex(() => {
-          if (onPublishMessage && isConnected) {
-            onPublishMessage({
-              topic: msg.topic,
-              payload: msg.message,
-              qos: msg.qos,
-              retain: msg.retain,
-            });
-          }
-          if (i === filteredMessages.length - 1) {
-            setIsPlaying(false);
-            setIsPaused(false);
-          }
-          return i + 1;
-        });
-      }, delay);
-
-      playbackTimeoutsRef.current.push(timeout);
-    }
+    runPlayback(playbackRunRef.current);
   };
 
   const pausePlayback = () => {
-    clearAllPlaybackTimeouts();
+    stopPlaybackLoop();
+    // Fast playback only updates the position every few messages.
+    setCurrentIndex(playbackPositionRef.current);
     setIsPlaying(false);
     setIsPaused(true);
   };
 
-  const resumePlayback = () => {
-    setIsPlaying(true);
-    setIsPaused(false);
-    startRealtimePlayback();
-  };
+  const resumePlayback = () => startRealtimePlayback();
 
-  const stepForward = (e?: React.MouseEvent) => {
+  const stepForward = async (e?: React.MouseEvent) => {
     if (e) e.preventDefault();
-    if (!currentPlayback) return;
-    const filteredMessages = currentPlayback.messages;
-    const nextIndex = Math.min(currentIndex + stepSize, filteredMessages.length);
+    const cursor = cursorRef.current;
+    if (!cursor) return;
+    const remap = compileTopicRemap(playbackSettings.remapRules);
+    const nextIndex = Math.min(currentIndex + stepSize, cursor.total);
     for (let i = currentIndex; i < nextIndex; i++) {
-      if (onPublishMessage && isConnected) {
-        onPublishMessage({
-          topic: filteredMessages[i].topic,
-          payload: filteredMessages[i].message,
-          qos: filteredMessages[i].qos,
-          retain: filteredMessages[i].retain,
-        });
-      }
+      const message = await cursor.get(i);
+      if (message) publish(message, remap);
     }
     setCurrentIndex(nextIndex);
   };
@@ -259,13 +379,13 @@ function RecordingPanel({
     setEditingName(recording.name);
   };
 
-  const saveRecordingName = (recordingId: number) => {
+  const saveRecordingName = async (recordingId: string) => {
     if (editingName.trim()) {
-      setRecordings((prev) =>
-        prev.map((recording) =>
-          recording.id === recordingId ? { ...recording, name: editingName.trim() } : recording,
-        ),
-      );
+      try {
+        await RecordingService.rename(recordingId, editingName.trim());
+      } catch (error: any) {
+        alert('Failed to rename recording: ' + error.message);
+      }
     }
     setEditingRecording(null);
     setEditingName('');
@@ -276,7 +396,7 @@ function RecordingPanel({
     setEditingName('');
   };
 
-  const handleNameKeyPress = (e: React.KeyboardEvent, recordingId: number) => {
+  const handleNameKeyPress = (e: React.KeyboardEvent, recordingId: string) => {
     if (e.key === 'Enter') {
       saveRecordingName(recordingId);
     } else if (e.key === 'Escape') {
@@ -284,89 +404,47 @@ function RecordingPanel({
     }
   };
 
-  const saveRecordingToFile = (recording: Recording) => {
-    const exportData = {
-      recordingInfo: {
-        name: recording.name,
-        startTime: recording.startTime,
-        endTime: recording.endTime,
-        duration: recording.endTime.getTime() - recording.startTime.getTime(),
-        messageCount: recording.messageCount,
-        topic: recording.topic,
-        connectionName: recording.connectionName,
-      },
-      messages: recording.messages.map((msg) => ({
-        timestamp: msg.timestamp,
-        topic: msg.topic,
-        payload: msg.message,
-        qos: msg.qos,
-        retain: msg.retain,
-        connectionId: msg.connectionId,
-      })),
-    };
+  const saveRecordingToFile = async (recording: Recording) => {
+    try {
+      await RecordingService.exportToFile(recording.id);
+    } catch (error: any) {
+      alert('Error saving recording: ' + error.message);
+    }
+  };
 
-    const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `mqtt-recording-${recording.id}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+  const loadRecordingFromFile = async () => {
+    try {
+      const recording = await RecordingService.importFromFile();
+      if (recording) alert('Recording loaded successfully!');
+    } catch (error: any) {
+      alert('Error reading recording file: ' + error.message);
+    }
   };
 
-  const loadRecordingFromFile = () => {
-    const input = document.createElement('input');
-    input.type = 'file';
-    input.accept = '.json';
-    input.onchange = (event) => {
-      const file = (event.target as HTMLInputElement).files?.[0];
-      if (!file) return;
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        try {
-          const data = JSON.parse(e.target?.result as string);
-          if (data.recordingInfo && data.messages) {
-            const recording: Recording = {
-              id: Date.now(),
-              name: data.recordingInfo.name + ' (Imported)',
-              startTime: new Date(data.recordingInfo.startTime),
-              endTime: new Date(data.recordingInfo.endTime),
-              messageCount: data.recordingInfo.messageCount,
-              topic: data.recordingInfo.topic,
-              connectionName: data.recordingInfo.connectionName,
-              messages: data.messages.map((msg: any) => ({
-                ...msg,
-                timestamp: new Date(msg.timestamp),
-                message: msg.payload,
-              })),
-            };
-            setRecordings((prev) => [...prev, recording]);
-            alert('Recording loaded successfully!');
-          } else {
-            alert('Invalid recording file format.');
-          }
-        } catch (error: any) {
-          alert('Error reading recording file: ' + error.message);
-        }
-      };
-      reader.readAsText(file);
-    };
-    input.click();
+  const openEditor = (recording: Recording) => {
+    if (recording.status === 'recording') return;
+    if (expandedRecording !== recording.id) selectRecording(recording);
+    setEditorRecording(recording.id);
   };
 
-  const deleteRecording = (recordingId: number) => {
-    setRecordings((prev) => {
-      const newRecordings = prev.filter((r) => r.id !== recordingId);
-      if (newRecordings.length === 0) {
-        localStorage.removeItem('mqtt-recordings');
-      }
-      return newRecordings;
-    });
-    if (expandedRecording === recordingId) {
-      setExpandedRecording(null);
-      setCurrentPlayback(null);
+  const saveEdit = async (options: RecordingEditOptions) => {
+    try {
+      const created = await RecordingService.edit(options);
+      alert(`Saved ${created.map((r) => `"${r.name}"`).join(' and ')}.`);
+      return true;
+    } catch (error: any) {
+      alert('Failed to save edited recording: ' + error.message);
+      return false;
+    }
+  };
+
+  const deleteRecording = async (recordingId: string) => {
+    if (expandedRecording === recordingId) closePlayback();
+    try {
+      await RecordingService.delete(recordingId);
+      localStorage.removeItem(playbackSettingsKey(recordingId));
+    } catch (error: any) {
+      alert('Failed to delete recording: ' + error.message);
     }
   };
 
@@ -379,10 +457,13 @@ function RecordingPanel({
       </div>
 
       <RecordingControls
-        isRecording={isRecording}
+        activeRecording={activeRecording}
+        progress={activeRecording ? progress[activeRecording.id] : undefined}
         isRecordingDisabled={isRecordingDisabled}
-        recordingStart={recordingStart}
-        recordedMessages={recordedMessages}
+        isReconnecting={isReconnecting}
+        isStarting={isStarting}
+        compress={compress}
+        setCompress={setCompress}
         startRecording={startRecording}
         stopRecording={stopRecording}
       />
@@ -415,6 +496,7 @@ function RecordingPanel({
                 <RecordingItem
                   key={recording.id}
                   recording={recording}
+                  progress={progress[recording.id]}
                   isExpanded={expandedRecording === recording.id}
                   editingRecording={editingRecording}
                   editingName={editingName}
@@ -424,32 +506,49 @@ function RecordingPanel({
                   saveRecordingName={saveRecordingName}
                   handleNameKeyPress={handleNameKeyPress}
                   saveRecordingToFile={saveRecordingToFile}
+                  openEditor={openEditor}
+                  onOpenOffline={onOpenOffline}
                   deleteRecording={deleteRecording}
                   expandedContent={
                     expandedRecording === recording.id && currentPlayback ? (
-                      <PlaybackControls
-                        currentPlayback={currentPlayback}
-                        currentIndex={currentIndex}
-                        isPlaying={isPlaying}
-                        isPaused={isPaused}
-                        playbackSpeed={playbackSpeed}
-                        setPlaybackSpeed={setPlaybackSpeed}
-                        stepSize={stepSize}
-                        setStepSize={setStepSize}
-                        selectedTopicsFilter={selectedTopicsFilter}
-                        setSelectedTopicsFilter={setSelectedTopicsFilter}
-                        showTopicFilter={showTopicFilter}
-                        setShowTopicFilter={setShowTopicFilter}
-                        isRecordingDisabled={isRecordingDisabled}
-                        clearTopicFilter={clearTopicFilter}
-                        toggleTopicFilter={toggleTopicFilter}
-                        stepBackward={stepBackward}
-                        resetPlayback={resetPlayback}
-                        resumePlayback={resumePlayback}
-                        startRealtimePlayback={startRealtimePlayback}
-                        pausePlayback={pausePlayback}
-                        stepForward={stepForward}
-                      />
+                      <>
+                        <PlaybackControls
+                          currentPlayback={currentPlayback}
+                          currentMessage={currentMessage}
+                          currentIndex={currentIndex}
+                          isPlaying={isPlaying}
+                          isPaused={isPaused}
+                          playbackSettings={playbackSettings}
+                          updatePlaybackSettings={updatePlaybackSettings}
+                          currentLoop={currentLoop}
+                          showPlaybackRules={showPlaybackRules}
+                          setShowPlaybackRules={setShowPlaybackRules}
+                          stepSize={stepSize}
+                          setStepSize={setStepSize}
+                          selectedTopicsFilter={selectedTopicsFilter}
+                          setSelectedTopicsFilter={setSelectedTopicsFilter}
+                          showTopicFilter={showTopicFilter}
+                          setShowTopicFilter={setShowTopicFilter}
+                          isRecordingDisabled={isRecordingDisabled}
+                          clearTopicFilter={clearTopicFilter}
+                          toggleTopicFilter={toggleTopicFilter}
+                          stepBackward={stepBackward}
+                          resetPlayback={resetPlayback}
+                          resumePlayback={resumePlayback}
+                          startRealtimePlayback={startRealtimePlayback}
+                          pausePlayback={pausePlayback}
+                          stepForward={stepForward}
+                        />
+                        {editorRecording === recording.id && (
+                          <RecordingEditor
+                            recording={recording}
+                            recordings={recordings}
+                            cursorTimestamp={currentMessage?.timestamp ?? null}
+                            onSave={saveEdit}
+                            onClose={() => setEditorRecording(null)}
+                          />
+                        )}
+                      </>
                     ) : null
                   }
                 />
@@ -1,14 +1,24 @@
 import React from 'react';
-import type { CurrentPlayback } from './types';
-import { getUniqueTopics, formatPayload } from './recordingHelpers';
+import type { CurrentPlayback, PlaybackSettings, PlaybackTiming, RecordedMessage } from './types';
+import { getRecordingTopics, formatRecordedPayload } from './recordingHelpers';
+import { PLAYBACK_SPEEDS, compileTopicRemap, describeTiming } from './playbackHelpers';
+import PlaybackRules from './PlaybackRules';
+import {
+  describeMessageProperties,
+  deserializeMessageProperties,
+} from '../../../utils/messageProperties';
 
 interface Props {
   currentPlayback: CurrentPlayback;
+  currentMessage: RecordedMessage | null;
   currentIndex: number;
   isPlaying: boolean;
   isPaused: boolean;
-  playbackSpeed: number;
-  setPlaybackSpeed: React.Dispatch<React.SetStateAction<number>>;
+  playbackSettings: PlaybackSettings;
+  updatePlaybackSettings: (changes: Partial<PlaybackSettings>) => void;
+  currentLoop: number;
+  showPlaybackRules: boolean;
+  setShowPlaybackRules: React.Dispatch<React.SetStateAction<boolean>>;
   stepSize: number;
   setStepSize: React.Dispatch<React.SetStateAction<number>>;
   selectedTopicsFilter: string[];
@@ -28,11 +38,15 @@ interface Props {
 
 function PlaybackControls({
   currentPlayback,
+  currentMessage,
   currentIndex,
   isPlaying,
   isPaused,
-  playbackSpeed,
-  setPlaybackSpeed,
+  playbackSettings,
+  updatePlaybackSettings,
+  currentLoop,
+  showPlaybackRules,
+  setShowPlaybackRules,
   stepSize,
   setStepSize,
   selectedTopicsFilter,
@@ -49,7 +63,16 @@ function PlaybackControls({
   pausePlayback,
   stepForward,
 }: Props) {
-  const currentMessage = currentPlayback.messages[currentIndex] || null;
+  const { recording, total } = currentPlayback;
+  const topics = getRecordingTopics(recording);
+  const remappedTopic = currentMessage
+    ? compileTopicRemap(playbackSettings.remapRules)(currentMessage.topic)
+    : null;
+  const passLabel =
+    playbackSettings.loopCount > 1
+      ? `${currentLoop} of ${playbackSettings.loopCount}`
+      : currentLoop;
+  const activeRuleCount = playbackSettings.remapRules.filter((rule) => rule.enabled).length;
 
   return (
     <div className="recording-expanded-area">
@@ -64,13 +87,13 @@ function PlaybackControls({
       <div className="recording-topic-filter-section">
         <button onClick={() => setShowTopicFilter(!showTopicFilter)} className="btn btn-md btn-secondary">
           <i className="fas fa-filter"></i> Topic Filter ({selectedTopicsFilter.length} of{' '}
-          {getUniqueTopics(currentPlayback.originalMessages).length} selected)
+          {topics.length} selected)
         </button>
         {showTopicFilter && (
           <div className="recording-topic-filter-panel">
             <div className="recording-filter-actions">
               <button
-                onClick={() => setSelectedTopicsFilter(getUniqueTopics(currentPlayback.originalMessages))}
+                onClick={() => setSelectedTopicsFilter(topics)}
                 className="btn btn-sm btn-success"
               >
                 Select All
@@ -80,7 +103,7 @@ function PlaybackControls({
               </button>
             </div>
             <div className="recording-topic-list">
-              {getUniqueTopics(currentPlayback.originalMessages).map((topic) => (
+              {topics.map((topic) => (
                 <label key={topic} className="recording-topic-checkbox">
                   <input
                     type="checkbox"
@@ -92,13 +115,35 @@ function PlaybackControls({
               ))}
             </div>
             <div className="recording-filter-summary">
-              Filtered messages: {currentPlayback.messages.length} of{' '}
-              {currentPlayback.originalMessages.length}
+              Filtered messages: {total} of {recording.messageCount}
             </div>
           </div>
         )}
       </div>
 
+      {/* Topic remapping and QoS/retain overrides */}
+      <div className="recording-topic-filter-section">
+        <button
+          onClick={() => setShowPlaybackRules(!showPlaybackRules)}
+          className="btn btn-md btn-secondary"
+        >
+          <i className="fas fa-random"></i> Remap & Overrides ({activeRuleCount}{' '}
+          {activeRuleCount === 1 ? 'rule' : 'rules'}
+          {playbackSettings.qosOverride !== null && `, QoS ${playbackSettings.qosOverride}`}
+          {playbackSettings.retainOverride !== null &&
+            `, retain ${playbackSettings.retainOverride ? 'on' : 'off'}`}
+          )
+        </button>
+        {showPlaybackRules && (
+          <PlaybackRules
+            settings={playbackSettings}
+            updateSettings={updatePlaybackSettings}
+            sampleTopic={currentMessage?.topic ?? null}
+            disabled={isPlaying}
+          />
+        )}
+      </div>
+
       {/* Playback controls */}
       <div className="recording-playback-section">
         {/* Progress bar */}
@@ -107,14 +152,12 @@ function PlaybackControls({
             <div
               className="recording-progress-fill"
               style={{
-                width: `${currentPlayback.messages.length === 0 ? 0 : (currentIndex / currentPlayback.messages.length) * 100}%`,
+                width: `${total === 0 ? 0 : (currentIndex / total) * 100}%`,
               }}
             ></div>
           </div>
           <span>
-            {currentPlayback.messages.length === 0
-              ? 0
-              : Math.round((currentIndex / currentPlayback.messages.length) * 100)}
+            {total === 0 ? 0 : Math.round((currentIndex / total) * 100)}
             %
           </span>
         </div>
@@ -150,7 +193,7 @@ function PlaybackControls({
           <button
             onClick={stepForward}
             className="btn btn-md"
-            disabled={currentIndex >= currentPlayback.messages.length}
+            disabled={currentIndex >= total}
           >
             <i className="fas fa-step-forward"></i>
           </button>
@@ -159,20 +202,77 @@ function PlaybackControls({
         {/* Settings row */}
         <div className="recording-playback-settings">
           <div className="recording-speed-control">
-            <label>Speed: </label>
+            <label>Timing: </label>
             <select
-              value={playbackSpeed}
-              onChange={(e) => setPlaybackSpeed(parseFloat(e.target.value))}
+              value={playbackSettings.timing}
+              onChange={(e) => updatePlaybackSettings({ timing: e.target.value as PlaybackTiming })}
               className="form-input"
+              disabled={isPlaying}
             >
-              <option value={0.25}>0.25x</option>
-              <option value={0.5}>0.5x</option>
-              <option value={1}>1x</option>
-              <option value={2}>2x</option>
-              <option value={4}>4x</option>
+              <option value="realtime">Recorded timing</option>
+              <option value="fastest">As fast as possible</option>
+              <option value="fixedGap">Fixed gap</option>
             </select>
           </div>
 
+          {playbackSettings.timing === 'realtime' && (
+            <div className="recording-speed-control">
+              <label>Speed: </label>
+              <select
+                value={playbackSettings.speed}
+                onChange={(e) => updatePlaybackSettings({ speed: parseFloat(e.target.value) })}
+                className="form-input"
+                disabled={isPlaying}
+              >
+                {PLAYBACK_SPEEDS.map((speed) => (
+                  <option key={speed} value={speed}>
+                    {speed}x
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {playbackSettings.timing === 'fixedGap' && (
+            <div className="recording-speed-control">
+              <label>Gap (ms): </label>
+              <input
+                type="number"
+                min={0}
+                value={playbackSettings.gapMs}
+                onChange={(e) =>
+                  updatePlaybackSettings({ gapMs: Math.max(0, parseInt(e.target.value) || 0) })
+                }
+                className="form-input recording-number-input"
+                disabled={isPlaying}
+              />
+            </div>
+          )}
+
+          <div className="recording-speed-control">
+            <label>Loop: </label>
+            <input
+              type="number"
+              min={1}
+              value={playbackSettings.loopCount || ''}
+              onChange={(e) =>
+                updatePlaybackSettings({ loopCount: Math.max(1, parseInt(e.target.value) || 1) })
+              }
+              className="form-input recording-number-input"
+              disabled={isPlaying || playbackSettings.loopCount === 0}
+              title="Number of passes over the recording"
+            />
+            <label className="recording-topic-checkbox">
+              <input
+                type="checkbox"
+                checked={playbackSettings.loopCount === 0}
+                onChange={(e) => updatePlaybackSettings({ loopCount: e.target.checked ? 0 : 1 })}
+                disabled={isPlaying}
+              />
+              Forever
+            </label>
+          </div>
+
           <div className="recording-step-size-control">
             <label>Step Size: </label>
             <select
@@ -195,13 +295,23 @@ function PlaybackControls({
             <div className="recording-message-position">
               <strong>Position:</strong>
               <span>
-                Message {currentIndex + 1} of {currentPlayback.messages.length}
+                Message {currentIndex + 1} of {total}
+                {playbackSettings.loopCount !== 1 && ` (pass ${passLabel})`}
               </span>
+              <span className="recording-editor-hint">{describeTiming(playbackSettings)}</span>
             </div>
             <div className="recording-message-details">
               <div>
                 <strong>Topic:</strong>
-                <span>{currentMessage.topic}</span>
+                <span>
+                  {currentMessage.topic}
+                  {remappedTopic !== currentMessage.topic && (
+                    <>
+                      {' '}
+                      <i className="fas fa-arrow-right"></i> {remappedTopic}
+                    </>
+                  )}
+                </span>
               </div>
               <div>
                 <strong>Time:</strong>
@@ -209,19 +319,40 @@ function PlaybackControls({
               </div>
               <div>
                 <strong>QoS:</strong>
-                <span>{currentMessage.qos || 0}</span>
+                <span>
+                  {playbackSettings.qosOverride ?? (currentMessage.qos || 0)}
+                  {playbackSettings.qosOverride !== null && ' (forced)'}
+                </span>
               </div>
               <div>
                 <strong>Retain:</strong>
-                <span>{currentMessage.retain ? 'Yes' : 'No'}</span>
+                <span>
+                  {(playbackSettings.retainOverride ?? currentMessage.retain) ? 'Yes' : 'No'}
+                  {playbackSettings.retainOverride !== null && ' (forced)'}
+                </span>
               </div>
             </div>
             <div className="recording-message-payload">
-              <strong>Payload:</strong>
+              <strong>
+                Payload:
+                {currentMessage.payloadEncoding === 'base64' && (
+                  <span className="recording-binary-note"> (binary, shown as hex)</span>
+                )}
+              </strong>
               <pre className="recording-payload-content">
-                {formatPayload(currentMessage.message || '')}
+                {formatRecordedPayload(currentMessage)}
               </pre>
             </div>
+            {currentMessage.properties && (
+              <div className="recording-message-payload">
+                <strong>MQTT 5 Properties:</strong>
+                <pre className="recording-payload-content">
+                  {describeMessageProperties(deserializeMessageProperties(currentMessage.properties)!)
+                    .map(([label, value]) => `${label}: ${value}`)
+                    .join('\n')}
+                </pre>
+              </div>
+            )}
           </div>
         )}
       </div>
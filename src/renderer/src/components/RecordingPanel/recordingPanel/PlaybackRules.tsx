@@ -0,0 +1,163 @@
+import React from 'react';
+import type { PlaybackSettings, TopicRemapKind, TopicRemapRule } from './types';
+import { compileTopicRemap, validateRemapRule } from './playbackHelpers';
+
+interface Props {
+  settings: PlaybackSettings;
+  updateSettings: (changes: Partial<PlaybackSettings>) => void;
+  sampleTopic: string | null; // topic at the playback position, for the preview
+  disabled: boolean;
+}
+
+const REMAP_PLACEHOLDERS: Record<TopicRemapKind, { from: string; to: string }> = {
+  prefix: { from: 'plant1/', to: 'test/plant1/' },
+  regex: { from: '^plant(\\d+)/', to: 'staging/plant$1/' },
+  wildcard: { from: 'plant1/#', to: 'test/plant1/#' },
+};
+
+function PlaybackRules({ settings, updateSettings, sampleTopic, disabled }: Props) {
+  const rules = settings.remapRules;
+  const remap = compileTopicRemap(rules);
+
+  const updateRule = (index: number, changes: Partial<TopicRemapRule>) =>
+    updateSettings({
+      remapRules: rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)),
+    });
+
+  const moveRule = (index: number, direction: -1 | 1) => {
+    const next = [...rules];
+    [next[index], next[index + direction]] = [next[index + direction], next[index]];
+    updateSettings({ remapRules: next });
+  };
+
+  return (
+    <div className="recording-rules-panel">
+      <div className="recording-editor-section">
+        <label className="recording-editor-label">Topic remapping (first matching rule wins)</label>
+        {rules.map((rule, index) => {
+          const error = validateRemapRule(rule);
+          return (
+            <div key={index} className="recording-editor-row">
+              <input
+                type="checkbox"
+                checked={rule.enabled}
+                disabled={disabled}
+                onChange={(e) => updateRule(index, { enabled: e.target.checked })}
+                title="Enable rule"
+              />
+              <select
+                className="form-input recording-rule-kind"
+                value={rule.kind}
+                disabled={disabled}
+                onChange={(e) => updateRule(index, { kind: e.target.value as TopicRemapKind })}
+              >
+                <option value="prefix">Prefix</option>
+                <option value="wildcard">Wildcard</option>
+                <option value="regex">Regex</option>
+              </select>
+              <input
+                type="text"
+                className="form-input"
+                value={rule.from}
+                disabled={disabled}
+                onChange={(e) => updateRule(index, { from: e.target.value })}
+                placeholder={REMAP_PLACEHOLDERS[rule.kind].from}
+              />
+              <i className="fas fa-arrow-right"></i>
+              <input
+                type="text"
+                className="form-input"
+                value={rule.to}
+                disabled={disabled}
+                onChange={(e) => updateRule(index, { to: e.target.value })}
+                placeholder={REMAP_PLACEHOLDERS[rule.kind].to}
+              />
+              <button
+                type="button"
+                className="btn btn-sm"
+                disabled={disabled || index === 0}
+                onClick={() => moveRule(index, -1)}
+                title="Move up"
+              >
+                <i className="fas fa-arrow-up"></i>
+              </button>
+              <button
+                type="button"
+                className="btn btn-sm"
+                disabled={disabled || index === rules.length - 1}
+                onClick={() => moveRule(index, 1)}
+                title="Move down"
+              >
+                <i className="fas fa-arrow-down"></i>
+              </button>
+              <button
+                type="button"
+                className="btn btn-sm btn-danger"
+                disabled={disabled}
+                onClick={() => updateSettings({ remapRules: rules.filter((_, i) => i !== index) })}
+                title="Remove rule"
+              >
+                <i className="fas fa-times"></i>
+              </button>
+              {error && rule.from && <div className="recording-editor-error">{error}</div>}
+            </div>
+          );
+        })}
+        <button
+          type="button"
+          className="btn btn-sm btn-secondary"
+          disabled={disabled}
+          onClick={() =>
+            updateSettings({
+              remapRules: [...rules, { kind: 'prefix', from: '', to: '', enabled: true }],
+            })
+          }
+        >
+          <i className="fas fa-plus"></i> Add rule
+        </button>
+        {sampleTopic && (
+          <div className="recording-editor-hint">
+            Current message: {sampleTopic} <i className="fas fa-arrow-right"></i>{' '}
+            <strong>{remap(sampleTopic)}</strong>
+          </div>
+        )}
+      </div>
+
+      <div className="recording-editor-section recording-editor-row">
+        <label className="recording-editor-label">QoS</label>
+        <select
+          className="form-input recording-rule-kind"
+          value={settings.qosOverride ?? ''}
+          disabled={disabled}
+          onChange={(e) =>
+            updateSettings({
+              qosOverride: e.target.value === '' ? null : (Number(e.target.value) as 0 | 1 | 2),
+            })
+          }
+        >
+          <option value="">As recorded</option>
+          <option value="0">Force 0</option>
+          <option value="1">Force 1</option>
+          <option value="2">Force 2</option>
+        </select>
+        <label className="recording-editor-label">Retain</label>
+        <select
+          className="form-input recording-rule-kind"
+          value={settings.retainOverride === null ? '' : String(settings.retainOverride)}
+          disabled={disabled}
+          onChange={(e) =>
+            updateSettings({
+              retainOverride: e.target.value === '' ? null : e.target.value === 'true',
+            })
+          }
+        >
+          <option value="">As recorded</option>
+          <option value="true">Always set</option>
+          <option value="false">Always clear</option>
+        </select>
+      </div>
+    </div>
+  );
+}
+
+export default React.memo(PlaybackRules);
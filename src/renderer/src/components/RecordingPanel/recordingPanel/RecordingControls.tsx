@@ -1,26 +1,40 @@
 import React from 'react';
-import type { RecordedMessage } from './types';
+import type { RecordingProgressData } from '../../../../../shared/ipc';
+import type { Recording } from './types';
+import { formatBytes } from './recordingHelpers';
 
 interface Props {
-  isRecording: boolean;
+  activeRecording: Recording | null;
+  progress?: RecordingProgressData;
   isRecordingDisabled: boolean;
-  recordingStart: Date | null;
-  recordedMessages: RecordedMessage[];
+  isReconnecting: boolean;
+  isStarting: boolean;
+  compress: boolean;
+  setCompress: React.Dispatch<React.SetStateAction<boolean>>;
   startRecording: () => void;
   stopRecording: () => void;
 }
 
 function RecordingControls({
-  isRecording,
+  activeRecording,
+  progress,
   isRecordingDisabled,
-  recordingStart,
-  recordedMessages,
+  isReconnecting,
+  isStarting,
+  compress,
+  setCompress,
   startRecording,
   stopRecording,
 }: Props) {
+  // A recording survives reconnects, so it stays visible and stoppable while the broker is away.
+  const isRecording = !!activeRecording;
+  const messageCount = progress?.messageCount ?? activeRecording?.messageCount ?? 0;
+  const topicCount = progress?.topicCount ?? Object.keys(activeRecording?.topics || {}).length;
+  const bytes = progress?.bytes ?? activeRecording?.bytes ?? 0;
+
   return (
     <div className="recording-fixed-controls">
-      {isRecordingDisabled && (
+      {isRecordingDisabled && !isRecording && (
         <div className="recording-connection-warning">
           <div className="recording-warning-content">
             <i className="fas fa-plug"></i>
@@ -32,25 +46,40 @@ function RecordingControls({
       )}
 
       <div
-        className={`recording-controls-section ${isRecordingDisabled ? 'recording-controls-disabled' : ''}`}
+        className={`recording-controls-section ${isRecordingDisabled && !isRecording ? 'recording-controls-disabled' : ''}`}
       >
         <div className="recording-status-area">
           <div
-            className={`recording-status-indicator ${isRecording ? 'recording-active' : 'recording-stopped'} ${isRecordingDisabled ? 'recording-indicator-disabled' : ''}`}
+            className={`recording-status-indicator ${isRecording ? 'recording-active' : 'recording-stopped'} ${isRecordingDisabled && !isRecording ? 'recording-indicator-disabled' : ''}`}
           >
             <i className={`fas fa-${isRecording ? 'circle' : 'stop-circle'}`}></i>
             {isRecording
-              ? 'Recording...'
+              ? isReconnecting
+                ? 'Recording (reconnecting...)'
+                : 'Recording...'
               : isRecordingDisabled
                 ? 'Connection Required'
                 : 'Ready to Record'}
           </div>
-          {isRecording && (
+          {isRecording ? (
             <div className="recording-live-info">
-              <span>Started: {recordingStart?.toLocaleTimeString()}</span>
-              <span>Messages: {recordedMessages.length}</span>
-              <span>Topics: {[...new Set(recordedMessages.map((msg) => msg.topic))].length}</span>
+              <span>Started: {new Date(activeRecording.startTime).toLocaleTimeString()}</span>
+              <span>Messages: {messageCount}</span>
+              <span>Topics: {topicCount}</span>
+              <span>Payload: {formatBytes(bytes)}</span>
             </div>
+          ) : (
+            <label
+              className="recording-compress-toggle"
+              title="Store the recording gzip-compressed"
+            >
+              <input
+                type="checkbox"
+                checked={compress}
+                onChange={(e) => setCompress(e.target.checked)}
+              />
+              Compress (gzip)
+            </label>
           )}
         </div>
         <div className="recording-action-buttons">
@@ -58,7 +87,7 @@ function RecordingControls({
             <button
               onClick={startRecording}
               className="btn btn-lg btn-success"
-              disabled={isRecordingDisabled}
+              disabled={isRecordingDisabled || isStarting}
               title={
                 isRecordingDisabled
                   ? 'Connect to an MQTT broker to start recording'
@@ -0,0 +1,289 @@
+import React, { useState } from 'react';
+import type { RecordingEditOptions } from '../../../../../shared/ipc';
+import type { Recording, RecordingEditDraft } from './types';
+import {
+  countTopicFiltered,
+  createEditDraft,
+  formatDuration,
+  getEditDuration,
+  getEditOrigin,
+  getEditSources,
+  toEditOptions,
+} from './recordingHelpers';
+
+interface Props {
+  recording: Recording;
+  recordings: Recording[];
+  cursorTimestamp: number | null; // timestamp of the playback position, if any
+  onSave: (options: RecordingEditOptions) => Promise<boolean>;
+  onClose: () => void;
+}
+
+function RecordingEditor({ recording, recordings, cursorTimestamp, onSave, onClose }: Props) {
+  const [draft, setDraft] = useState<RecordingEditDraft>(() => createEditDraft(recording));
+  const [error, setError] = useState<string | null>(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const mergeCandidates = recordings.filter(
+    (r) => r.id !== recording.id && r.status === 'complete',
+  );
+  const sources = getEditSources(recording, recordings, draft);
+  const origin = getEditOrigin(sources);
+  const cursorOffset =
+    cursorTimestamp === null ? null : ((cursorTimestamp - origin) / 1000).toFixed(3);
+
+  const update = (changes: Partial<RecordingEditDraft>) =>
+    setDraft((prev) => ({ ...prev, ...changes }));
+
+  const toggleMerge = (id: string) =>
+    update({
+      mergeWith: draft.mergeWith.includes(id)
+        ? draft.mergeWith.filter((m) => m !== id)
+        : [...draft.mergeWith, id],
+    });
+
+  const updateRule = (index: number, changes: Partial<RecordingEditDraft['replace'][number]>) =>
+    update({
+      replace: draft.replace.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)),
+    });
+
+  const handleSave = async () => {
+    let options: RecordingEditOptions;
+    try {
+      options = toEditOptions(draft, sources);
+    } catch (e: any) {
+      setError(e.message);
+      return;
+    }
+    setError(null);
+    setIsSaving(true);
+    const ok = await onSave(options);
+    setIsSaving(false);
+    if (ok) onClose();
+  };
+
+  const cursorButton = (field: 'trimStart' | 'trimEnd' | 'splitAt') => (
+    <button
+      type="button"
+      className="btn btn-sm btn-secondary"
+      disabled={cursorOffset === null}
+      onClick={() =>
+        update({ [field]: cursorOffset!, ...(field === 'splitAt' && { split: true }) })
+      }
+      title="Use the current playback position"
+    >
+      <i className="fas fa-map-marker-alt"></i> Cursor
+    </button>
+  );
+
+  return (
+    <div className="recording-editor">
+      <div className="recording-editor-header">
+        <h4>
+          <i className="fas fa-cut"></i> Edit Recording
+        </h4>
+        <span className="recording-editor-hint">
+          Times are seconds from {new Date(origin).toLocaleTimeString()} (length{' '}
+          {formatDuration(getEditDuration(sources))}). Edits are saved as a new recording.
+        </span>
+      </div>
+
+      {mergeCandidates.length > 0 && (
+        <div className="recording-editor-section">
+          <label className="recording-editor-label">Merge with</label>
+          <div className="recording-topic-list">
+            {mergeCandidates.map((r) => (
+              <label key={r.id} className="recording-topic-checkbox">
+                <input
+                  type="checkbox"
+                  checked={draft.mergeWith.includes(r.id)}
+                  onChange={() => toggleMerge(r.id)}
+                />
+                {r.name} ({r.messageCount} messages)
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="recording-editor-section">
+        <label className="recording-editor-label">Trim</label>
+        <div className="recording-editor-row">
+          <span>From</span>
+          <input
+            type="number"
+            step="0.001"
+            className="form-input"
+            value={draft.trimStart}
+            onChange={(e) => update({ trimStart: e.target.value })}
+            placeholder="start"
+          />
+          {cursorButton('trimStart')}
+          <span>to</span>
+          <input
+            type="number"
+            step="0.001"
+            className="form-input"
+            value={draft.trimEnd}
+            onChange={(e) => update({ trimEnd: e.target.value })}
+            placeholder="end"
+          />
+          {cursorButton('trimEnd')}
+        </div>
+      </div>
+
+      <div className="recording-editor-section">
+        <label className="recording-topic-checkbox">
+          <input
+            type="checkbox"
+            checked={draft.split}
+            onChange={(e) => update({ split: e.target.checked })}
+          />
+          Split into two recordings at
+        </label>
+        <div className="recording-editor-row">
+          <input
+            type="number"
+            step="0.001"
+            className="form-input"
+            value={draft.splitAt}
+            disabled={!draft.split}
+            onChange={(e) => update({ splitAt: e.target.value })}
+          />
+          {cursorButton('splitAt')}
+        </div>
+      </div>
+
+      <div className="recording-editor-section recording-editor-columns">
+        <div>
+          <label className="recording-editor-label">Include topics</label>
+          <textarea
+            className="form-input"
+            rows={3}
+            value={draft.includeTopics}
+            onChange={(e) => update({ includeTopics: e.target.value })}
+            placeholder={'One filter per line, e.g.\nsensors/+/temperature'}
+          />
+        </div>
+        <div>
+          <label className="recording-editor-label">Exclude topics</label>
+          <textarea
+            className="form-input"
+            rows={3}
+            value={draft.excludeTopics}
+            onChange={(e) => update({ excludeTopics: e.target.value })}
+            placeholder={'One filter per line, e.g.\n$SYS/#'}
+          />
+        </div>
+      </div>
+      <div className="recording-editor-hint">
+        Up to {countTopicFiltered(sources, draft)} messages pass the topic filters.
+      </div>
+
+      <div className="recording-editor-section">
+        <label className="recording-editor-label">Shift timestamps by (seconds)</label>
+        <input
+          type="number"
+          step="0.001"
+          className="form-input"
+          value={draft.timeShift}
+          onChange={(e) => update({ timeShift: e.target.value })}
+          placeholder="0"
+        />
+      </div>
+
+      <div className="recording-editor-section">
+        <label className="recording-editor-label">Find / replace in text payloads</label>
+        {draft.replace.map((rule, index) => (
+          <div key={index} className="recording-editor-row">
+            <input
+              type="text"
+              className="form-input"
+              value={rule.find}
+              onChange={(e) => updateRule(index, { find: e.target.value })}
+              placeholder="Find"
+            />
+            <input
+              type="text"
+              className="form-input"
+              value={rule.replace}
+              onChange={(e) => updateRule(index, { replace: e.target.value })}
+              placeholder="Replace with"
+            />
+            <label
+              className="recording-topic-checkbox"
+              title="Regular expression ($1 etc. in the replacement)"
+            >
+              <input
+                type="checkbox"
+                checked={!!rule.regex}
+                onChange={(e) => updateRule(index, { regex: e.target.checked })}
+              />
+              Regex
+            </label>
+            <label className="recording-topic-checkbox">
+              <input
+                type="checkbox"
+                checked={!!rule.ignoreCase}
+                onChange={(e) => updateRule(index, { ignoreCase: e.target.checked })}
+              />
+              Ignore case
+            </label>
+            <button
+              type="button"
+              className="btn btn-sm btn-danger"
+              onClick={() => update({ replace: draft.replace.filter((_, i) => i !== index) })}
+              title="Remove rule"
+            >
+              <i className="fas fa-times"></i>
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          className="btn btn-sm btn-secondary"
+          onClick={() => update({ replace: [...draft.replace, { find: '', replace: '' }] })}
+        >
+          <i className="fas fa-plus"></i> Add rule
+        </button>
+      </div>
+
+      <div className="recording-editor-section recording-editor-row">
+        <input
+          type="text"
+          className="form-input"
+          value={draft.name}
+          onChange={(e) => update({ name: e.target.value })}
+          placeholder="Name of the new recording (optional)"
+        />
+        <label className="recording-topic-checkbox">
+          <input
+            type="checkbox"
+            checked={draft.compress}
+            onChange={(e) => update({ compress: e.target.checked })}
+          />
+          Compress (gzip)
+        </label>
+      </div>
+
+      {error && <div className="recording-editor-error">{error}</div>}
+
+      <div className="recording-editor-actions">
+        <button type="button" className="btn btn-md btn-secondary" onClick={onClose}>
+          Cancel
+        </button>
+        <button
+          type="button"
+          className="btn btn-md btn-primary"
+          onClick={handleSave}
+          disabled={isSaving}
+        >
+          <i className={`fas fa-${isSaving ? 'spinner fa-spin' : 'save'}`}></i> Save as New
+          Recording
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default React.memo(RecordingEditor);
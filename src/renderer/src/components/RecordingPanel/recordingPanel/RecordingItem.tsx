@@ -1,24 +1,29 @@
 import React from 'react';
+import type { RecordingProgressData } from '../../../../../shared/ipc';
 import type { Recording } from './types';
-import { getUniqueTopics } from './recordingHelpers';
+import { formatBytes, formatDuration } from './recordingHelpers';
 
 interface Props {
   recording: Recording;
+  progress?: RecordingProgressData;
   isExpanded: boolean;
-  editingRecording: number | null;
+  editingRecording: string | null;
   editingName: string;
   setEditingName: React.Dispatch<React.SetStateAction<string>>;
   onSelect: (recording: Recording) => void;
   startEditingRecording: (recording: Recording, e: React.MouseEvent) => void;
-  saveRecordingName: (recordingId: number) => void;
-  handleNameKeyPress: (e: React.KeyboardEvent, recordingId: number) => void;
+  saveRecordingName: (recordingId: string) => void;
+  handleNameKeyPress: (e: React.KeyboardEvent, recordingId: string) => void;
   saveRecordingToFile: (recording: Recording) => void;
-  deleteRecording: (recordingId: number) => void;
+  openEditor: (recording: Recording) => void;
+  onOpenOffline?: (recording: Recording) => void;
+  deleteRecording: (recordingId: string) => void;
   expandedContent: React.ReactNode;
 }
 
 function RecordingItem({
   recording,
+  progress,
   isExpanded,
   editingRecording,
   editingName,
@@ -28,17 +33,26 @@ function RecordingItem({
   saveRecordingName,
   handleNameKeyPress,
   saveRecordingToFile,
+  openEditor,
+  onOpenOffline,
   deleteRecording,
   expandedContent,
 }: Props) {
-  const topicCount = getUniqueTopics(recording.messages).length;
+  const isRecording = recording.status === 'recording';
+  const messageCount = progress?.messageCount ?? recording.messageCount;
+  const topicCount = progress?.topicCount ?? Object.keys(recording.topics).length;
+  const dropped = progress?.dropped ?? recording.dropped ?? 0;
 
   return (
-    <div className={`recording-saved-item ${isExpanded ? 'recording-item-expanded' : ''}`}>
+    <div
+      className={`recording-saved-item ${isExpanded ? 'recording-item-expanded' : ''} ${isRecording ? 'recording-item-live' : ''}`}
+    >
       {/* Header */}
       <div className="recording-item-header" onClick={() => onSelect(recording)}>
         <div className="recording-item-title">
-          <i className={`fas fa-${isExpanded ? 'chevron-down' : 'chevron-right'}`}></i>
+          <i
+            className={`fas fa-${isRecording ? 'circle recording-live-dot' : isExpanded ? 'chevron-down' : 'chevron-right'}`}
+          ></i>
           <i className="fas fa-video"></i>
           {editingRecording === recording.id ? (
             <input
@@ -60,6 +74,8 @@ function RecordingItem({
               {recording.name}
             </span>
           )}
+          {isRecording && <span className="recording-badge recording-badge-live">Recording</span>}
+          {recording.compressed && <span className="recording-badge">gzip</span>}
         </div>
         <div className="recording-item-actions" onClick={(e) => e.stopPropagation()}>
           <button
@@ -69,9 +85,28 @@ function RecordingItem({
           >
             <i className="fas fa-edit"></i>
           </button>
+          <button
+            onClick={() => openEditor(recording)}
+            className="btn btn-sm"
+            disabled={isRecording}
+            title="Trim, split, filter or merge into a new recording"
+          >
+            <i className="fas fa-cut"></i>
+          </button>
+          {onOpenOffline && (
+            <button
+              onClick={() => onOpenOffline(recording)}
+              className="btn btn-sm"
+              disabled={isRecording}
+              title="Analyze offline: load into a topic tree and step through time"
+            >
+              <i className="fas fa-search"></i>
+            </button>
+          )}
           <button
             onClick={() => saveRecordingToFile(recording)}
             className="btn btn-sm btn-primary"
+            disabled={isRecording}
             title="Save recording to file"
           >
             <i className="fas fa-save"></i>
@@ -79,6 +114,7 @@ function RecordingItem({
           <button
             onClick={() => deleteRecording(recording.id)}
             className="btn btn-sm btn-danger"
+            disabled={isRecording}
             title="Delete recording"
           >
             <i className="fas fa-trash"></i>
@@ -90,18 +126,35 @@ function RecordingItem({
       <div className="recording-item-summary">
         <div className="recording-item-stats">
           <span>
-            <i className="fas fa-envelope"></i> {recording.messageCount} messages
+            <i className="fas fa-envelope"></i> {messageCount} messages
           </span>
           <span>
             <i className="fas fa-clock"></i>{' '}
-            {Math.round((recording.endTime.getTime() - recording.startTime.getTime()) / 1000)}s
+            {isRecording
+              ? 'in progress'
+              : formatDuration((recording.endTime ?? recording.startTime) - recording.startTime)}
           </span>
           <span>
             <i className="fas fa-tag"></i> {topicCount} {topicCount === 1 ? 'topic' : 'topics'}
+            {recording.topicsTruncated && '+'}
           </span>
+          {dropped > 0 && (
+            <span
+              className="recording-item-dropped"
+              title="Messages arrived faster than they could be written to disk"
+            >
+              <i className="fas fa-exclamation-triangle"></i> {dropped} dropped
+            </span>
+          )}
+          {recording.fileSize !== undefined && (
+            <span>
+              <i className="fas fa-hdd"></i> {formatBytes(recording.fileSize)}
+            </span>
+          )}
         </div>
         <div className="recording-item-time">
-          {recording.startTime.toLocaleString()} - {recording.endTime.toLocaleString()}
+          {new Date(recording.startTime).toLocaleString()} -{' '}
+          {recording.endTime ? new Date(recording.endTime).toLocaleString() : 'now'}
         </div>
       </div>
 
@@ -0,0 +1,78 @@
+import RecordingService from '../../../services/RecordingService';
+import type { RecordedMessage } from './types';
+
+const PAGE_SIZE = 500;
+
+/**
+ * Sliding window over a recording's (topic-filtered) messages. Pages are read
+ * from the main process on demand and the next page is prefetched as playback
+ * nears the end of the window, so at most two pages are held in memory no
+ * matter how long the recording is.
+ */
+export class PlaybackCursor {
+  readonly recordingId: string;
+  readonly topics: string[];
+  total: number;
+
+  private start = 0;
+  private messages: RecordedMessage[] = [];
+  private loading: Promise<void> = Promise.resolve();
+  private prefetching = false;
+
+  constructor(recordingId: string, topics: string[], total: number) {
+    this.recordingId = recordingId;
+    this.topics = topics;
+    this.total = total;
+  }
+
+  /** The message at `index` if it is already loaded. */
+  peek(index: number): RecordedMessage | null {
+    return this.has(index) ? this.messages[index - this.start] : null;
+  }
+
+  async get(index: number): Promise<RecordedMessage | null> {
+    if (index < 0 || index >= this.total) return null;
+    await this.loading;
+    if (!this.has(index)) await this.enqueue(() => this.loadAt(index));
+
+    const windowEnd = this.start + this.messages.length;
+    if (!this.prefetching && windowEnd < this.total && index >= windowEnd - PAGE_SIZE / 2) {
+      this.prefetching = true;
+      this.enqueue(() => this.loadNext()).finally(() => (this.prefetching = false));
+    }
+    return this.peek(index);
+  }
+
+  private has(index: number): boolean {
+    return index >= this.start && index < this.start + this.messages.length;
+  }
+
+  private enqueue(task: () => Promise<void>): Promise<void> {
+    this.loading = this.loading.then(task).catch((error) => {
+      console.error('Failed to load recording messages:', error);
+    });
+    return this.loading;
+  }
+
+  private async read(offset: number) {
+    const page = await RecordingService.read(this.recordingId, offset, PAGE_SIZE, this.topics);
+    if (page.done) this.total = offset + page.messages.length;
+    return page.messages as RecordedMessage[];
+  }
+
+  private async loadAt(index: number): Promise<void> {
+    const messages = await this.read(index);
+    this.start = index;
+    this.messages = messages;
+  }
+
+  // Append the page after the window and drop all but the last page before it;
+  // main keeps its reader open, so this continues the same file stream.
+  private async loadNext(): Promise<void> {
+    const end = this.start + this.messages.length;
+    const messages = await this.read(end);
+    const kept = this.messages.slice(-PAGE_SIZE);
+    this.start = end - kept.length;
+    this.messages = kept.concat(messages);
+  }
+}
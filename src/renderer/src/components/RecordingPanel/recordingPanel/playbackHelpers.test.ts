@@ -0,0 +1,142 @@
+import { describe, expect, it } from 'vitest';
+import {
+  compileTopicRemap,
+  createDefaultPlaybackSettings,
+  describeTiming,
+  normalizePlaybackSettings,
+  schedulePlayback,
+  toReplayPublish,
+  validateRemapRule,
+} from './playbackHelpers';
+import type { PlaybackSettings, TopicRemapKind, TopicRemapRule } from './types';
+
+const settings = (overrides: Partial<PlaybackSettings> = {}): PlaybackSettings => ({
+  ...createDefaultPlaybackSettings(),
+  ...overrides,
+});
+
+const rule = (kind: TopicRemapKind, from: string, to: string, enabled = true): TopicRemapRule => ({
+  kind,
+  from,
+  to,
+  enabled,
+});
+
+describe('schedulePlayback', () => {
+  it('keeps recorded gaps in realtime, scaled by speed and measured from the pass start', () => {
+    const realtime = settings({ timing: 'realtime', speed: 2 });
+    const first = schedulePlayback(realtime, null, 5000, 100);
+    expect(first).toEqual({ delay: 0, clock: { wall: 100, recorded: 5000 } });
+
+    // Recorded 1 s later at 2x: due 500 ms after the start of the pass.
+    expect(schedulePlayback(realtime, first.clock, 6000, 100).delay).toBe(500);
+    // Time already spent (e.g. publishing) comes off the wait instead of adding up.
+    expect(schedulePlayback(realtime, first.clock, 6000, 450).delay).toBe(150);
+    expect(schedulePlayback(realtime, first.clock, 6000, 900).delay).toBe(0);
+    expect(schedulePlayback(realtime, first.clock, 6000, 900).clock).toBe(first.clock);
+  });
+
+  it('spaces messages by the fixed gap, whatever was recorded', () => {
+    const fixed = settings({ timing: 'fixedGap', gapMs: 250 });
+    const first = schedulePlayback(fixed, null, 5000, 100);
+    expect(first.delay).toBe(0);
+    expect(schedulePlayback(fixed, first.clock, 99999, 100).delay).toBe(250);
+    expect(schedulePlayback(fixed, first.clock, 5000, 100).delay).toBe(250);
+  });
+
+  it('never waits when playing as fast as possible', () => {
+    const fastest = settings({ timing: 'fastest' });
+    expect(schedulePlayback(fastest, null, 5000, 100)).toEqual({ delay: 0, clock: null });
+    expect(schedulePlayback(fastest, { wall: 0, recorded: 0 }, 9000, 0).delay).toBe(0);
+  });
+});
+
+describe('validateRemapRule', () => {
+  it('accepts well-formed rules', () => {
+    expect(validateRemapRule(rule('prefix', 'plant/', 'lab/'))).toBeNull();
+    expect(validateRemapRule(rule('regex', '^a/(\\w+)$', 'b/$1'))).toBeNull();
+    expect(validateRemapRule(rule('wildcard', 'a/+/#', 'b/+/x/#'))).toBeNull();
+  });
+
+  it('explains what is wrong', () => {
+    expect(validateRemapRule(rule('prefix', '', 'x'))).toBe('Enter what to match');
+    expect(validateRemapRule(rule('regex', '(', 'x'))).toMatch(/^Invalid regular expression/);
+    expect(validateRemapRule(rule('wildcard', 'a/#/b', 'x'))).toBe(
+      "'#' must be the last level of the filter",
+    );
+    expect(validateRemapRule(rule('wildcard', 'a/b+', 'x'))).toBe("'+' must be a whole level");
+    expect(validateRemapRule(rule('wildcard', 'a/+', 'b/+/+'))).toBe(
+      'The target uses more wildcards than the filter captures',
+    );
+  });
+});
+
+describe('compileTopicRemap', () => {
+  it('rewrites by prefix, regular expression or wildcard levels', () => {
+    expect(compileTopicRemap([rule('prefix', 'plant/', 'lab/')])('plant/a/temp')).toBe(
+      'lab/a/temp',
+    );
+    expect(compileTopicRemap([rule('regex', '^(\\w+)/temp$', 'temp/$1')])('room/temp')).toBe(
+      'temp/room',
+    );
+    const wildcard = compileTopicRemap([rule('wildcard', 'site/+/+/#', 'new/+/+/data/#')]);
+    expect(wildcard('site/a/b/c/d')).toBe('new/a/b/data/c/d');
+    expect(wildcard('site/a/b')).toBe('new/a/b/data');
+  });
+
+  it('uses the first matching rule and leaves other topics alone', () => {
+    const remap = compileTopicRemap([
+      rule('prefix', 'a/', 'skipped/', false),
+      rule('regex', '(', 'invalid/'),
+      rule('prefix', 'a/', 'first/'),
+      rule('prefix', 'a/b', 'second/'),
+    ]);
+    expect(remap('a/b')).toBe('first/b');
+    expect(remap('c/d')).toBe('c/d');
+  });
+});
+
+describe('toReplayPublish', () => {
+  const message = { timestamp: 1, topic: 'a/b', payload: 'AAE=', qos: 1 as const, retain: true };
+
+  it('keeps the recorded QoS and retain flag unless overridden', () => {
+    expect(toReplayPublish(message, settings(), (t) => t)).toEqual({
+      topic: 'a/b',
+      payload: 'AAE=',
+      qos: 1,
+      retain: true,
+    });
+    const overridden = settings({ qosOverride: 0, retainOverride: false });
+    expect(toReplayPublish(message, overridden, (t) => `x/${t}`)).toMatchObject({
+      topic: 'x/a/b',
+      qos: 0,
+      retain: false,
+    });
+  });
+
+  it('replays base64 payloads as bytes', () => {
+    const binary = { ...message, payloadEncoding: 'base64' as const };
+    expect(toReplayPublish(binary, settings(), (t) => t).payload).toEqual(Uint8Array.from([0, 1]));
+  });
+});
+
+describe('playback settings', () => {
+  it('fills in defaults for stored settings', () => {
+    expect(normalizePlaybackSettings(null)).toEqual(createDefaultPlaybackSettings());
+    expect(normalizePlaybackSettings({ timing: 'fastest' })).toMatchObject({
+      timing: 'fastest',
+      speed: 1,
+      loopCount: 1,
+    });
+  });
+
+  it('describes the pace and loops', () => {
+    expect(describeTiming(settings({ speed: 2 }))).toBe('2x');
+    expect(describeTiming(settings({ timing: 'fixedGap', gapMs: 50, loopCount: 3 }))).toBe(
+      '50 ms apart, 3 times',
+    );
+    expect(describeTiming(settings({ timing: 'fastest', loopCount: 0 }))).toBe(
+      'as fast as possible, looping',
+    );
+  });
+});
@@ -0,0 +1,174 @@
+import type { PlaybackSettings, RecordedMessage, TopicRemapRule } from './types';
+import { getReplayPayload } from './recordingHelpers';
+
+export const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4, 8, 16, 32, 64, 100];
+
+export function createDefaultPlaybackSettings(): PlaybackSettings {
+  return {
+    timing: 'realtime',
+    speed: 1,
+    gapMs: 100,
+    loopCount: 1,
+    remapRules: [],
+    qosOverride: null,
+    retainOverride: null,
+  };
+}
+
+export function normalizePlaybackSettings(
+  stored: Partial<PlaybackSettings> | undefined | null,
+): PlaybackSettings {
+  return { ...createDefaultPlaybackSettings(), ...(stored || {}) };
+}
+
+export function playbackSettingsKey(recordingId: string): string {
+  return `playback-settings-${recordingId}`;
+}
+
+/** Checks a rule before it is used; returns an error message or null. */
+export function validateRemapRule(rule: TopicRemapRule): string | null {
+  if (!rule.from) return 'Enter what to match';
+  if (rule.kind === 'regex') {
+    try {
+      new RegExp(rule.from);
+    } catch (error: any) {
+      return `Invalid regular expression: ${error.message}`;
+    }
+  }
+  if (rule.kind === 'wildcard') {
+    const levels = rule.from.split('/');
+    if (
+      levels.some((level, i) => level.includes('#') && (level !== '#' || i !== levels.length - 1))
+    ) {
+      return "'#' must be the last level of the filter";
+    }
+    if (levels.some((level) => level.includes('+') && level !== '+')) {
+      return "'+' must be a whole level";
+    }
+    const count = (pattern: string, wildcard: string) =>
+      pattern.split('/').filter((level) => level === wildcard).length;
+    if (
+      count(rule.to, '+') > count(rule.from, '+') ||
+      count(rule.to, '#') > count(rule.from, '#')
+    ) {
+      return 'The target uses more wildcards than the filter captures';
+    }
+  }
+  return null;
+}
+
+/** Match `topic` against a wildcard filter, returning the levels each wildcard captured. */
+function captureWildcards(
+  topic: string,
+  filter: string,
+): { plus: string[]; hash: string[] } | null {
+  const topicLevels = topic.split('/');
+  const filterLevels = filter.split('/');
+  const plus: string[] = [];
+  for (let i = 0; i < filterLevels.length; i++) {
+    const level = filterLevels[i];
+    if (level === '#') return { plus, hash: topicLevels.slice(i) };
+    if (i >= topicLevels.length) return null;
+    if (level === '+') plus.push(topicLevels[i]);
+    else if (level !== topicLevels[i]) return null;
+  }
+  return topicLevels.length === filterLevels.length ? { plus, hash: [] } : null;
+}
+
+function applyRemapRule(topic: string, rule: TopicRemapRule): string | null {
+  switch (rule.kind) {
+    case 'prefix':
+      return topic.startsWith(rule.from) ? rule.to + topic.slice(rule.from.length) : null;
+    case 'regex': {
+      const pattern = new RegExp(rule.from);
+      return pattern.test(topic) ? topic.replace(pattern, rule.to) : null;
+    }
+    case 'wildcard': {
+      const captured = captureWildcards(topic, rule.from);
+      if (!captured) return null;
+      let plusIndex = 0;
+      return rule.to
+        .split('/')
+        .flatMap((level) => {
+          if (level === '+') return [captured.plus[plusIndex++]];
+          if (level === '#') return captured.hash; // may be empty: `a/#` also matches `a`
+          return [level];
+        })
+        .join('/');
+    }
+  }
+}
+
+/** Build the topic mapper for a set of rules; invalid and disabled rules are skipped. */
+export function compileTopicRemap(rules: TopicRemapRule[]): (topic: string) => string {
+  const active = rules.filter((rule) => rule.enabled && !validateRemapRule(rule));
+  if (active.length === 0) return (topic) => topic;
+  return (topic) => {
+    for (const rule of active) {
+      const mapped = applyRemapRule(topic, rule);
+      if (mapped !== null) return mapped;
+    }
+    return topic;
+  };
+}
+
+/** The publish call for a recorded message under the playback rules. */
+export function toReplayPublish(
+  message: RecordedMessage,
+  settings: PlaybackSettings,
+  remap: (topic: string) => string,
+) {
+  return {
+    topic: remap(message.topic),
+    payload: getReplayPayload(message),
+    qos: settings.qosOverride ?? message.qos,
+    retain: settings.retainOverride ?? message.retain,
+  };
+}
+
+/** Wall-clock time and recorded timestamp of the first message of a playback pass. */
+export interface PlaybackClock {
+  wall: number;
+  recorded: number;
+}
+
+/**
+ * How long to wait before publishing a message recorded at `timestamp`, and the
+ * clock to keep for the next one (pass null for the first message of a pass).
+ * Recorded timing schedules against the start of the pass so delays don't
+ * accumulate drift; the other modes ignore the recorded timestamps.
+ */
+export function schedulePlayback(
+  settings: PlaybackSettings,
+  clock: PlaybackClock | null,
+  timestamp: number,
+  now: number,
+): { delay: number; clock: PlaybackClock | null } {
+  switch (settings.timing) {
+    case 'fastest':
+      return { delay: 0, clock };
+    case 'fixedGap':
+      return { delay: clock ? settings.gapMs : 0, clock: { wall: now, recorded: timestamp } };
+    case 'realtime': {
+      if (!clock) return { delay: 0, clock: { wall: now, recorded: timestamp } };
+      const due = clock.wall + (timestamp - clock.recorded) / settings.speed;
+      return { delay: Math.max(0, due - now), clock };
+    }
+  }
+}
+
+export function describeTiming(settings: PlaybackSettings): string {
+  const pace =
+    settings.timing === 'fastest'
+      ? 'as fast as possible'
+      : settings.timing === 'fixedGap'
+        ? `${settings.gapMs} ms apart`
+        : `${settings.speed}x`;
+  const loops =
+    settings.loopCount === 0
+      ? ', looping'
+      : settings.loopCount > 1
+        ? `, ${settings.loopCount} times`
+        : '';
+  return pace + loops;
+}
@@ -1,24 +1,137 @@
-import type { RecordedMessage } from './types';
+import type { RecordingEditOptions } from '../../../../../shared/ipc';
+import { matchesAnyFilter } from '../../../../../shared/topic-filter';
+import type { RecordedMessage, Recording, RecordingEditDraft } from './types';
+import { fromBase64, hexDump } from '../../../utils/payload';
 
-/** Sorted, de-duplicated list of topics across a message set. */
-export function getUniqueTopics(messages: RecordedMessage[]): string[] {
-  return Array.from(new Set(messages.map((msg) => msg.topic))).sort();
+/** Sorted list of the topics seen in a recording. */
+export function getRecordingTopics(recording: Recording): string[] {
+  return Object.keys(recording.topics).sort();
 }
 
-/** Filter messages to the selected topics (empty filter = all messages). */
-export function getFilteredMessagesFor(
-  messages: RecordedMessage[],
-  selectedTopicsFilter: string[],
-): RecordedMessage[] {
-  if (selectedTopicsFilter.length === 0) return messages;
-  return messages.filter((msg) => selectedTopicsFilter.includes(msg.topic));
+/** Number of messages on the selected topics (empty filter = all messages). */
+export function countMessagesFor(recording: Recording, selectedTopicsFilter: string[]): number {
+  if (selectedTopicsFilter.length === 0) return recording.messageCount;
+  return selectedTopicsFilter.reduce((sum, topic) => sum + (recording.topics[topic] || 0), 0);
 }
 
-/** Pretty-print a payload if it's JSON, otherwise return it unchanged. */
-export function formatPayload(payload: string): string {
+/** The payload to publish on replay: bytes for binary messages, text otherwise. */
+export function getReplayPayload(message: RecordedMessage): string | Uint8Array {
+  return message.payloadEncoding === 'base64' ? fromBase64(message.payload) : message.payload;
+}
+
+/** Display form: pretty-printed JSON, plain text, or a hex dump for binary payloads. */
+export function formatRecordedPayload(message: RecordedMessage): string {
+  if (message.payloadEncoding === 'base64') return hexDump(fromBase64(message.payload));
   try {
-    return JSON.stringify(JSON.parse(payload), null, 2);
+    return JSON.stringify(JSON.parse(message.payload), null, 2);
   } catch {
-    return payload;
+    return message.payload;
+  }
+}
+
+export function formatBytes(bytes: number): string {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+}
+
+export function formatDuration(ms: number): string {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+export function createEditDraft(recording: Recording): RecordingEditDraft {
+  return {
+    name: '',
+    mergeWith: [],
+    trimStart: '',
+    trimEnd: '',
+    split: false,
+    splitAt: '',
+    includeTopics: '',
+    excludeTopics: '',
+    timeShift: '',
+    replace: [],
+    compress: recording.compressed,
+  };
+}
+
+/** The recordings an edit reads: the open one first, then those merged in. */
+export function getEditSources(
+  recording: Recording,
+  recordings: Recording[],
+  draft: RecordingEditDraft,
+): Recording[] {
+  return [recording, ...recordings.filter((r) => draft.mergeWith.includes(r.id))];
+}
+
+/** Editor times are entered relative to the earliest source start. */
+export function getEditOrigin(sources: Recording[]): number {
+  return Math.min(...sources.map((r) => r.startTime));
+}
+
+export function getEditDuration(sources: Recording[]): number {
+  return Math.max(...sources.map((r) => r.endTime ?? r.startTime)) - getEditOrigin(sources);
+}
+
+function parseSeconds(value: string): number | null {
+  if (!value.trim()) return null;
+  const seconds = parseFloat(value);
+  if (isNaN(seconds)) throw new Error(`"${value}" is not a number of seconds`);
+  return seconds;
+}
+
+function parseFilterList(value: string): string[] {
+  return value
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean);
+}
+
+export function toEditOptions(
+  draft: RecordingEditDraft,
+  sources: Recording[],
+): RecordingEditOptions {
+  const origin = getEditOrigin(sources);
+  const at = (value: string) => {
+    const seconds = parseSeconds(value);
+    return seconds === null ? null : origin + Math.round(seconds * 1000);
+  };
+  const splitAt = draft.split ? at(draft.splitAt) : null;
+  if (draft.split && splitAt === null) throw new Error('Enter a split point');
+
+  return {
+    sourceIds: sources.map((r) => r.id),
+    name: draft.name.trim() || undefined,
+    trimStart: at(draft.trimStart),
+    trimEnd: at(draft.trimEnd),
+    includeTopics: parseFilterList(draft.includeTopics),
+    excludeTopics: parseFilterList(draft.excludeTopics),
+    timeShift: Math.round((parseSeconds(draft.timeShift) || 0) * 1000),
+    replace: draft.replace.filter((rule) => rule.find),
+    splitAt,
+    compress: draft.compress,
+  };
+}
+
+/**
+ * Messages left after the topic filters, from the per-topic counts. Trim and
+ * split are not reflected, so this is an upper bound.
+ */
+export function countTopicFiltered(sources: Recording[], draft: RecordingEditDraft): number {
+  const include = parseFilterList(draft.includeTopics);
+  const exclude = parseFilterList(draft.excludeTopics);
+  let count = 0;
+  for (const recording of sources) {
+    for (const [topic, n] of Object.entries(recording.topics)) {
+      if (include.length > 0 && !matchesAnyFilter(topic, include)) continue;
+      if (exclude.length > 0 && matchesAnyFilter(topic, exclude)) continue;
+      count += n;
+    }
   }
+  return count;
 }
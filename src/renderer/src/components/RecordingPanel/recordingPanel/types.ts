@@ -1,27 +1,59 @@
 // Shared types for the RecordingPanel and its section components.
+import type {
+  PayloadReplaceRule,
+  RecordedMessageLine,
+  RecordingMeta,
+} from '../../../../../shared/ipc';
+import type { SerializedMessageProperties } from '../../../utils/messageProperties';
 
-export interface RecordedMessage {
-  topic: string;
-  message: string; // payload
-  qos?: number;
-  retain?: boolean;
-  timestamp: Date | string | number;
-  connectionId?: string;
-  [key: string]: unknown;
+/** A recorded message as paged in from the main-process store. */
+export type RecordedMessage = Omit<RecordedMessageLine, 'properties'> & {
+  properties?: SerializedMessageProperties; // MQTT 5 publish properties
+};
+
+/** Index entry of a recording; the messages themselves stay on disk. */
+export type Recording = RecordingMeta;
+
+/** The recording open for playback. `total` counts messages passing the topic filter. */
+export interface CurrentPlayback {
+  recording: Recording;
+  total: number;
 }
 
-export interface Recording {
-  id: number;
+/** Form state of the recording editor. Times are seconds from the edit's origin. */
+export interface RecordingEditDraft {
   name: string;
-  startTime: Date;
-  endTime: Date;
-  messageCount: number;
-  messages: RecordedMessage[];
-  topic: string;
-  connectionName: string;
+  mergeWith: string[]; // ids of further recordings to interleave
+  trimStart: string;
+  trimEnd: string;
+  split: boolean;
+  splitAt: string;
+  includeTopics: string; // one topic filter per line
+  excludeTopics: string;
+  timeShift: string;
+  replace: PayloadReplaceRule[];
+  compress: boolean;
+}
+
+export type TopicRemapKind = 'prefix' | 'regex' | 'wildcard';
+
+/** Rewrites the topic of replayed messages; the first matching rule wins. */
+export interface TopicRemapRule {
+  kind: TopicRemapKind;
+  from: string; // prefix, regular expression or topic filter
+  to: string; // new prefix, replacement ($1...) or target pattern using the same wildcards
+  enabled: boolean;
 }
 
-/** A recording prepared for playback (carries the unfiltered message list). */
-export interface CurrentPlayback extends Recording {
-  originalMessages: RecordedMessage[];
+export type PlaybackTiming = 'realtime' | 'fastest' | 'fixedGap';
+
+/** How a recording is replayed. Saved per recording. */
+export interface PlaybackSettings {
+  timing: PlaybackTiming;
+  speed: number; // multiplier for 'realtime'
+  gapMs: number; // pause between messages for 'fixedGap'
+  loopCount: number; // passes over the recording; 0 repeats until stopped
+  remapRules: TopicRemapRule[];
+  qosOverride: 0 | 1 | 2 | null;
+  retainOverride: boolean | null;
 }
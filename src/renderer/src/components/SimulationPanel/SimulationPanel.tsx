@@ -1,23 +1,26 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect } from 'react';
 import './SimulationPanel.css';
-import { generateValue } from '../../utils/valueGenerators';
-import type { SimulatedDevice, DeviceOutput } from './simulationPanel/types';
+import SimulationService from '../../services/SimulationService';
+import SparkplugService from '../../services/SparkplugService';
+import type { SimulationDeviceStatus, SparkplugNodeStatus } from '../../../../shared/ipc';
+import { isFleet, simulationRunId } from '../../../../shared/simulation';
+import type { SimulatedDevice, DeviceOutput, SparkplugDeviceConfig } from './simulationPanel/types';
 import DeviceConfigPanel from './simulationPanel/DeviceConfigPanel';
 import AddDeviceModal from './simulationPanel/AddDeviceModal';
 import EditOutputModal from './simulationPanel/EditOutputModal';
 
 interface SimulationPanelProps {
   connectionId?: string | null;
-  onPublishMessage: (data: any) => void;
   isConnected: boolean;
   selectedTopic?: any;
+  showFeedback: (message: string, type?: string) => void;
 }
 
 function SimulationPanel({
   connectionId,
-  onPublishMessage,
   isConnected,
   selectedTopic,
+  showFeedback,
 }: SimulationPanelProps) {
   const [simulatedDevices, setSimulatedDevices] = useState<SimulatedDevice[]>([]);
   const [selectedDevice, setSelectedDevice] = useState<number | null>(null);
@@ -25,79 +28,70 @@ function SimulationPanel({
   const [showEditOutput, setShowEditOutput] = useState(false);
   const [editingOutput, setEditingOutput] = useState<DeviceOutput | null>(null);
 
-  const publishIntervalsRef = useRef<Record<string, ReturnType<typeof setInterval>>>({});
+  const [statuses, setStatuses] = useState<Record<number, SimulationDeviceStatus>>({});
+  const [sparkplugStatuses, setSparkplugStatuses] = useState<Record<string, SparkplugNodeStatus>>(
+    {},
+  );
+
+  // Sparkplug nodes run in main; follow their session state.
+  useEffect(() => {
+    const handleStatus = (status: SparkplugNodeStatus) =>
+      setSparkplugStatuses((prev) => ({ ...prev, [status.id]: status }));
+    SparkplugService.on('status', handleStatus);
+    SparkplugService.list()
+      .then((statuses) => statuses.forEach(handleStatus))
+      .catch((error) => console.error('Failed to list Sparkplug nodes:', error));
+    return () => SparkplugService.off('status', handleStatus);
+  }, []);
 
   // Clear the selected device when the connection changes.
   useEffect(() => {
     setSelectedDevice(null);
   }, [connectionId]);
 
-  // Load devices from localStorage and restore active publishing.
+  // Devices run in main; load the connection's definitions and follow their status.
   useEffect(() => {
+    setStatuses({});
     if (!connectionId) return;
+    let cancelled = false;
 
-    const savedDevices = localStorage.getItem(`mqtt-simulation-devices-${connectionId}`);
-    if (savedDevices) {
-      try {
-        const devices: SimulatedDevice[] = JSON.parse(savedDevices);
+    SimulationService.list(connectionId)
+      .then((devices) => {
+        if (cancelled) return;
         setSimulatedDevices(devices);
-        if (devices.length > 0 && !selectedDevice) {
-          setSelectedDevice(devices[0].id);
-        }
-        if (isConnected) {
-          devices.forEach((device) => {
-            if (device.isPublishing) startPublishing(device.id, device.publishInterval);
-          });
-        }
-      } catch (error) {
-        console.error('Failed to load simulation devices:', error);
-      }
-    } else {
-      setSimulatedDevices([]);
-    }
-  }, [connectionId]);
-
-  // Persist devices.
-  useEffect(() => {
-    if (connectionId && simulatedDevices.length >= 0) {
-      localStorage.setItem(
-        `mqtt-simulation-devices-${connectionId}`,
-        JSON.stringify(simulatedDevices),
-      );
-    }
-  }, [simulatedDevices, connectionId]);
-
-  // Start/stop publishing intervals as the connection state changes.
-  useEffect(() => {
-    if (isConnected) {
-      simulatedDevices.forEach((device) => {
-        if (device.isPublishing && !publishIntervalsRef.current[device.id]) {
-          startPublishing(device.id, device.publishInterval);
-        }
-      });
-    } else {
-      Object.keys(publishIntervalsRef.current).forEach((deviceId) => {
-        if (publishIntervalsRef.current[deviceId]) {
-          clearInterval(publishIntervalsRef.current[deviceId]);
-          delete publishIntervalsRef.current[deviceId];
-        }
-      });
-    }
-  }, [isConnected]);
-
-  // Clear intervals on unmount.
-  useEffect(() => {
+        if (devices.length > 0) setSelectedDevice(devices[0].id);
+      })
+      .catch((error) => console.error('Failed to load simulation devices:', error));
+    SimulationService.getStatus(connectionId)
+      .then((list) => {
+        if (!cancelled) setStatuses(Object.fromEntries(list.map((s) => [s.deviceId, s])));
+      })
+      .catch((error) => console.error('Failed to load simulation status:', error));
+
+    const handleStatus = (status: SimulationDeviceStatus) => {
+      if (status.connectionId !== connectionId) return;
+      setStatuses((prev) => ({ ...prev, [status.deviceId]: status }));
+    };
+    SimulationService.on('status', handleStatus);
     return () => {
-      Object.values(publishIntervalsRef.current).forEach((interval) => {
-        if (interval) clearInterval(interval);
-      });
+      cancelled = true;
+      SimulationService.off('status', handleStatus);
     };
-  }, []);
+  }, [connectionId]);
+
+  const saveDevice = (device: SimulatedDevice) => {
+    if (!connectionId) return;
+    SimulationService.save(connectionId, device).catch((error) =>
+      console.error('Failed to save simulated device:', error),
+    );
+  };
 
   const createNewDevice = (deviceData: {
     name: string;
     topic: string;
     publishInterval?: number;
+    protocol?: SimulatedDevice['protocol'];
+    sparkplug?: SparkplugDeviceConfig;
   }) => {
     const newDevice: SimulatedDevice = {
       id: Date.now(),
@@ -105,6 +99,8 @@ function SimulationPanel({
       topic: deviceData.topic,
       publishInterval: deviceData.publishInterval || 5000,
       isPublishing: false,
+      protocol: deviceData.protocol || 'json',
+      sparkplug: deviceData.sparkplug,
       outputs: [
         {
           id: Date.now(),
@@ -121,14 +117,16 @@ function SimulationPanel({
     };
 
     setSimulatedDevices((prev) => [...prev, newDevice]);
+    saveDevice(newDevice);
     setSelectedDevice(newDevice.id);
     setShowAddDevice(false);
   };
 
   const deleteDevice = (deviceId: number) => {
-    if (publishIntervalsRef.current[deviceId]) {
-      clearInterval(publishIntervalsRef.current[deviceId]);
-      delete publishIntervalsRef.current[deviceId];
+    if (connectionId) {
+      SimulationService.delete(connectionId, deviceId).catch((error) =>
+        console.error('Failed to delete simulated device:', error),
+      );
     }
 
     setSimulatedDevices((prev) => prev.filter((d) => d.id !== deviceId));
@@ -142,72 +140,42 @@ function SimulationPanel({
   const getSelectedDeviceData = () => simulatedDevices.find((d) => d.id === selectedDevice);
 
   const updateDevice = (deviceId: number, updates: any) => {
-    setSimulatedDevices((prev) =>
-      prev.map((device) => (device.id === deviceId ? { ...device, ...updates } : device)),
-    );
-  };
-
-  const generatePayload = (device: SimulatedDevice): string => {
-    const payload: Record<string, any> = {};
-
-    device.outputs.forEach((output) => {
-      const value = generateValue(output);
-
-      // Reflect the latest value in the UI.
-      updateDevice(device.id, {
-        outputs: device.outputs.map((o) => (o.id === output.id ? { ...o, currentValue: value } : o)),
-      });
-
-      const outputPayload: any = { value };
-      if (output.dataType === 'number' && output.unit && output.unit.trim()) {
-        outputPayload.unit = output.unit.trim();
-      }
-      if (output.includeTimestamp !== false) {
-        outputPayload.timestamp = new Date().toISOString();
-      }
-      payload[output.name] = outputPayload;
-    });
-
-    // Flatten when there's a single output.
-    const outputNames = Object.keys(payload);
-    if (outputNames.length === 1) return JSON.stringify(payload[outputNames[0]]);
-    return JSON.stringify(payload);
-  };
-
-  const startPublishing = (deviceId: number, interval: number) => {
-    if (publishIntervalsRef.current[deviceId]) {
-      clearInterval(publishIntervalsRef.current[deviceId]);
-    }
-    publishIntervalsRef.current[deviceId] = setInterval(() => publishOnce(deviceId), interval);
+    const device = simulatedDevices.find((d) => d.id === deviceId);
+    if (!device) return;
+    const updated = { ...device, ...updates };
+    setSimulatedDevices((prev) => prev.map((d) => (d.id === deviceId ? updated : d)));
+    saveDevice(updated);
   };
 
   const publishOnce = (deviceId: number) => {
-    const device = simulatedDevices.find((d) => d.id === deviceId);
-    if (!device || !isConnected) return;
-
-    onPublishMessage({
-      topic: device.topic,
-      payload: generatePayload(device),
-      qos: 0,
-      retain: false,
-    });
+    if (!connectionId || !isConnected) return;
+    SimulationService.publishOnce(connectionId, deviceId).catch((error) =>
+      showFeedback(`Failed to publish: ${error.message}`, 'error'),
+    );
   };
 
+  // Main persists the flag and resumes the device whenever the connection comes back.
   const togglePublishing = (deviceId: number) => {
     const device = simulatedDevices.find((d) => d.id === deviceId);
-    if (!device) return;
+    if (!device || !connectionId) return;
+    const isPublishing = !device.isPublishing;
+    if (isPublishing && !isConnected) return;
 
-    if (device.isPublishing) {
-      if (publishIntervalsRef.current[deviceId]) {
-        clearInterval(publishIntervalsRef.current[deviceId]);
-        delete publishIntervalsRef.current[deviceId];
-      }
-      updateDevice(deviceId, { isPublishing: false });
-    } else {
-      if (!isConnected) return;
-      updateDevice(deviceId, { isPublishing: true });
-      startPublishing(deviceId, device.publishInterval);
-    }
+    const setPublishing = (value: boolean) =>
+      setSimulatedDevices((prev) =>
+        prev.map((d) => (d.id === deviceId ? { ...d, isPublishing: value } : d)),
+      );
+    setPublishing(isPublishing);
+    const request = isPublishing
+      ? SimulationService.start(connectionId, deviceId)
+      : SimulationService.stop(connectionId, deviceId);
+    request.catch((error) => {
+      setPublishing(!isPublishing);
+      showFeedback(
+        `Failed to ${isPublishing ? 'start' : 'stop'} ${device.name}: ${error.message}`,
+        'error',
+      );
+    });
   };
 
   const addOutput = (deviceId: number) => {
@@ -274,6 +242,13 @@ function SimulationPanel({
                       className={`fas fa-${device.isPublishing ? 'broadcast-tower' : 'microchip'} device-icon ${device.isPublishing ? 'publishing' : ''}`}
                     ></i>
                     <span className="device-name">{device.name}</span>
+                    {isFleet(device) && (
+                      <span className="fleet-badge" title="Fleet instances publishing / total">
+                        {device.isPublishing
+                          ? `${statuses[device.id]?.activeInstances || 0}/${device.fleet!.size}`
+                          : `×${device.fleet!.size}`}
+                      </span>
+                    )}
                   </div>
                   <div className="device-actions">
                     <button
@@ -305,6 +280,12 @@ function SimulationPanel({
               onAddOutput={addOutput}
               onRemoveOutput={removeOutput}
               isConnected={isConnected}
+              status={statuses[selectedDeviceData.id]}
+              sparkplugStatus={
+                connectionId && selectedDeviceData.protocol === 'sparkplugB'
+                  ? sparkplugStatuses[simulationRunId(connectionId, selectedDeviceData.id)]
+                  : undefined
+              }
               onEditOutput={(output) => {
                 setEditingOutput(output);
                 setShowEditOutput(true);
@@ -334,6 +315,8 @@ function SimulationPanel({
       {showEditOutput && editingOutput && selectedDeviceData && (
         <EditOutputModal
           output={editingOutput}
+          deviceOutputs={selectedDeviceData.outputs}
+          splitOutputs={!!selectedDeviceData.publish?.splitOutputs}
           onClose={() => {
             setShowEditOutput(false);
             setEditingOutput(null);
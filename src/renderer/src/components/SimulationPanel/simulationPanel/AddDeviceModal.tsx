@@ -1,25 +1,64 @@
 import React, { useState } from 'react';
+import { sparkplugTopic } from '../../../../../shared/sparkplug';
+import type { SimulatedDevice, SparkplugDeviceConfig } from './types';
 
 interface Props {
   onClose: () => void;
-  onCreateDevice: (data: { name: string; topic: string; publishInterval: number }) => void;
+  onCreateDevice: (data: {
+    name: string;
+    topic: string;
+    publishInterval: number;
+    protocol: SimulatedDevice['protocol'];
+    sparkplug?: SparkplugDeviceConfig;
+  }) => void;
   selectedTopic?: any;
 }
 
 function AddDeviceModal({ onClose, onCreateDevice, selectedTopic }: Props) {
   const [deviceName, setDeviceName] = useState('');
   const [deviceTopic, setDeviceTopic] = useState(selectedTopic?.topicPath || '');
+  const [protocol, setProtocol] = useState<SimulatedDevice['protocol']>('json');
+  const [sparkplug, setSparkplug] = useState<SparkplugDeviceConfig>({
+    groupId: 'MQTTLooter',
+    edgeNodeId: 'EdgeNode1',
+    deviceId: '',
+  });
+
+  const isSparkplug = protocol === 'sparkplugB';
+  const sparkplugIds = {
+    groupId: sparkplug.groupId.trim(),
+    edgeNodeId: sparkplug.edgeNodeId.trim(),
+    deviceId: (sparkplug.deviceId || deviceName).trim().replace(/[/+#]/g, '_'),
+  };
 
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault();
-    if (!deviceName.trim() || !deviceTopic.trim()) return;
+    if (!deviceName.trim()) return;
+    if (isSparkplug) {
+      if (!sparkplugIds.groupId || !sparkplugIds.edgeNodeId || !sparkplugIds.deviceId) return;
+      const { groupId, edgeNodeId, deviceId } = sparkplugIds;
+      onCreateDevice({
+        name: deviceName.trim(),
+        topic: sparkplugTopic(groupId, 'DDATA', edgeNodeId, deviceId),
+        publishInterval: 5000,
+        protocol,
+        sparkplug: sparkplugIds,
+      });
+      return;
+    }
+    if (!deviceTopic.trim()) return;
     onCreateDevice({
       name: deviceName.trim(),
       topic: deviceTopic.trim(),
       publishInterval: 5000,
+      protocol,
     });
   };
 
+  // Topic levels can't hold separators or wildcards.
+  const updateSparkplug = (field: keyof SparkplugDeviceConfig, value: string) =>
+    setSparkplug((prev) => ({ ...prev, [field]: value.replace(/[/+#]/g, '') }));
+
   return (
     <div className="modal-overlay">
       <div className="modal-content">
@@ -45,17 +84,78 @@ function AddDeviceModal({ onClose, onCreateDevice, selectedTopic }: Props) {
           </div>
 
           <div className="form-group">
-            <label>MQTT Topic:</label>
-            <input
-              type="text"
-              value={deviceTopic}
-              onChange={(e) => setDeviceTopic(e.target.value)}
-              placeholder="sensors/room/temperature"
+            <label>Payload Format:</label>
+            <select
+              value={protocol}
+              onChange={(e) => setProtocol(e.target.value as SimulatedDevice['protocol'])}
               className="form-input"
-              required
-            />
+            >
+              <option value="json">JSON</option>
+              <option value="sparkplugB">Sparkplug B device</option>
+            </select>
           </div>
 
+          {isSparkplug ? (
+            <>
+              <div className="sparkplug-id-fields">
+                <div className="form-group">
+                  <label>Group ID:</label>
+                  <input
+                    type="text"
+                    value={sparkplug.groupId}
+                    onChange={(e) => updateSparkplug('groupId', e.target.value)}
+                    className="form-input"
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Edge Node ID:</label>
+                  <input
+                    type="text"
+                    value={sparkplug.edgeNodeId}
+                    onChange={(e) => updateSparkplug('edgeNodeId', e.target.value)}
+                    className="form-input"
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Device ID:</label>
+                  <input
+                    type="text"
+                    value={sparkplug.deviceId}
+                    onChange={(e) => updateSparkplug('deviceId', e.target.value)}
+                    placeholder={sparkplugIds.deviceId || 'Defaults to the device name'}
+                    className="form-input"
+                  />
+                </div>
+              </div>
+              <div className="sparkplug-hint">
+                Publishes to{' '}
+                <code>
+                  {sparkplugTopic(
+                    sparkplugIds.groupId || '…',
+                    'DDATA',
+                    sparkplugIds.edgeNodeId || '…',
+                    sparkplugIds.deviceId || '…',
+                  )}
+                </code>{' '}
+                on its own edge node session, with NDEATH as the session's will.
+              </div>
+            </>
+          ) : (
+            <div className="form-group">
+              <label>MQTT Topic:</label>
+              <input
+                type="text"
+                value={deviceTopic}
+                onChange={(e) => setDeviceTopic(e.target.value)}
+                placeholder="sensors/room/temperature"
+                className="form-input"
+                required
+              />
+            </div>
+          )}
+
           <div className="form-actions">
             <button
               type="button"
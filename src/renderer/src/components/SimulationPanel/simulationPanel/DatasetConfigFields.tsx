@@ -0,0 +1,172 @@
+import type { DatasetMeta } from '../../../../../shared/ipc';
+
+interface Props {
+  config: any;
+  onConfigChange: (field: string, value: any) => void;
+  datasets: DatasetMeta[];
+  importing: boolean;
+  importError: string | null;
+  onImport: () => void;
+  onDelete: (id: string) => void;
+  outputName: string;
+}
+
+/** The column named like the output, else the first one. */
+export function defaultColumn(dataset: DatasetMeta, outputName: string): string {
+  const name = outputName.trim().toLowerCase();
+  return dataset.columns.find((column) => column.toLowerCase() === name) ?? dataset.columns[0];
+}
+
+function formatDuration(ms: number): string {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 120) return `${seconds}s`;
+  if (seconds < 7200) return `${Math.round(seconds / 60)} min`;
+  return `${(seconds / 3600).toFixed(1)} h`;
+}
+
+function DatasetConfigFields({
+  config,
+  onConfigChange,
+  datasets,
+  importing,
+  importError,
+  onImport,
+  onDelete,
+  outputName,
+}: Props) {
+  const dataset = datasets.find((d) => d.id === config.datasetId);
+
+  return (
+    <>
+      <div className="form-group">
+        <label>Dataset:</label>
+        <div className="dataset-picker">
+          <select
+            value={dataset ? dataset.id : ''}
+            onChange={(e) => {
+              const next = datasets.find((d) => d.id === e.target.value);
+              onConfigChange('datasetId', e.target.value);
+              if (next) onConfigChange('column', defaultColumn(next, outputName));
+            }}
+            className="form-input"
+          >
+            <option value="">
+              {datasets.length ? 'Select a dataset…' : 'No datasets imported'}
+            </option>
+            {datasets.map((d) => (
+              <option key={d.id} value={d.id}>
+                {d.name}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={onImport}
+            disabled={importing}
+            className="btn btn-sm btn-secondary"
+            style={{ borderRadius: 'var(--radius-pill)' }}
+          >
+            <i className={`fas ${importing ? 'fa-spinner fa-spin' : 'fa-file-import'}`}></i>
+            Import CSV
+          </button>
+          {dataset && (
+            <button
+              type="button"
+              onClick={() => onDelete(dataset.id)}
+              className="btn btn-sm btn-danger"
+              style={{ borderRadius: 'var(--radius-pill)' }}
+              title="Delete this dataset; devices replaying it stop with an error"
+            >
+              <i className="fas fa-trash"></i>
+            </button>
+          )}
+        </div>
+        {importError && <div className="dataset-info dataset-error">{importError}</div>}
+        {config.datasetId && !dataset && (
+          <div className="dataset-info dataset-error">This dataset was deleted.</div>
+        )}
+        {dataset && (
+          <div className="dataset-info">
+            {dataset.rowCount.toLocaleString()} rows over{' '}
+            {formatDuration(dataset.endTime - dataset.startTime)}, from{' '}
+            {new Date(dataset.startTime).toLocaleString()}
+            {dataset.skippedRows > 0 &&
+              ` (${dataset.skippedRows} rows without a timestamp skipped)`}
+          </div>
+        )}
+      </div>
+
+      {dataset && (
+        <>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Column:</label>
+              <select
+                value={config.column}
+                onChange={(e) => onConfigChange('column', e.target.value)}
+                className="form-input"
+              >
+                {dataset.columns.map((column) => (
+                  <option key={column} value={column}>
+                    {column}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Playback:</label>
+              <select
+                value={config.playback}
+                onChange={(e) => onConfigChange('playback', e.target.value)}
+                className="form-input"
+              >
+                <option value="time">Original cadence</option>
+                <option value="rows">One row per publish</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Start Offset (s):</label>
+              <input
+                type="number"
+                min="0"
+                step="1"
+                value={config.startOffset || 0}
+                onChange={(e) =>
+                  onConfigChange('startOffset', Math.max(0, parseFloat(e.target.value) || 0))
+                }
+                className="form-input"
+              />
+            </div>
+          </div>
+          <div className="dataset-options">
+            <label className="timestamp-checkbox">
+              <input
+                type="checkbox"
+                checked={config.loop !== false}
+                onChange={(e) => onConfigChange('loop', e.target.checked)}
+              />
+              <i className="fas fa-redo"></i>
+              Loop at the end
+            </label>
+            <label className="timestamp-checkbox">
+              <input
+                type="checkbox"
+                checked={!!config.interpolate && config.playback !== 'rows'}
+                disabled={config.playback === 'rows'}
+                onChange={(e) => onConfigChange('interpolate', e.target.checked)}
+              />
+              <i className="fas fa-chart-line"></i>
+              Interpolate between rows
+            </label>
+          </div>
+          <div className="dataset-info">
+            Original cadence follows the file&apos;s timestamps and samples them at the publish
+            interval; the preview uses the first {dataset.sample.timestamps.length} rows.
+          </div>
+        </>
+      )}
+    </>
+  );
+}
+
+export default DatasetConfigFields;
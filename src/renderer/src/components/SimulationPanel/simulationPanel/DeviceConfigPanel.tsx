@@ -1,6 +1,17 @@
 import React, { useState } from 'react';
-import type { SimulatedDevice, DeviceOutput } from './types';
+import type { SimulatedDevice, DeviceOutput, FleetConfig } from './types';
 import { formatOutputValue } from './formatters';
+import PublishOptionsSection from './PublishOptionsSection';
+import {
+  DEFAULT_FLEET,
+  MAX_FLEET_SIZE,
+  applyInstanceTemplate,
+  createFleetInstances,
+  isFleet,
+  sparkplugDatatype,
+} from '../../../../../shared/simulation';
+import type { SimulationDeviceStatus, SparkplugNodeStatus } from '../../../../../shared/ipc';
+import { sparkplugTopic } from '../../../../../shared/sparkplug';
 
 interface Props {
   device: SimulatedDevice;
@@ -11,6 +22,8 @@ interface Props {
   onRemoveOutput: (deviceId: number, outputId: number) => void;
   isConnected: boolean;
   onEditOutput: (output: DeviceOutput) => void;
+  sparkplugStatus?: SparkplugNodeStatus; // Sparkplug devices only, while their node runs
+  status?: SimulationDeviceStatus; // from the engine in main, once the device has run
 }
 
 function DeviceConfigPanel({
@@ -22,8 +35,28 @@ function DeviceConfigPanel({
   onRemoveOutput,
   isConnected,
   onEditOutput,
+  sparkplugStatus,
+  status,
 }: Props) {
   const [intervalDropdownOpen, setIntervalDropdownOpen] = useState(false);
+  const sparkplug = device.protocol === 'sparkplugB' ? device.sparkplug : undefined;
+
+  const running = !!status?.running;
+  const fleet = isFleet(device) ? device.fleet! : undefined;
+  const firstInstance =
+    fleet && createFleetInstances({ ...device, fleet: { ...fleet, size: 1 } })[0];
+
+  const updateFleet = (changes: Partial<FleetConfig>) =>
+    onUpdateDevice(device.id, { fleet: { ...(device.fleet || DEFAULT_FLEET), ...changes } });
+
+  const updateSparkplugId = (field: 'groupId' | 'edgeNodeId' | 'deviceId', value: string) => {
+    if (!sparkplug) return;
+    const ids = { ...sparkplug, [field]: value.replace(/[/+#]/g, '') };
+    onUpdateDevice(device.id, {
+      sparkplug: ids,
+      topic: sparkplugTopic(ids.groupId, 'DDATA', ids.edgeNodeId, ids.deviceId),
+    });
+  };
 
   const handleEditOutput = (output: DeviceOutput) => {
     if (device.isPublishing) {
@@ -39,8 +72,14 @@ function DeviceConfigPanel({
         <div className="device-status">
           <span className={`status-indicator ${device.isPublishing ? 'publishing' : 'stopped'}`}>
             <i className={`fas fa-${device.isPublishing ? 'broadcast-tower' : 'stop-circle'}`}></i>
-            {device.isPublishing ? 'Publishing' : 'Stopped'}
+            {!device.isPublishing ? 'Stopped' : running ? 'Publishing' : 'Waiting for connection'}
+            {fleet && running && ` ${status!.activeInstances}/${fleet.size} instances`}
           </span>
+          {status && status.published > 0 && (
+            <span className="device-published-count" title="Messages since the device started">
+              {status.published} sent
+            </span>
+          )}
         </div>
       </div>
 
@@ -65,9 +104,17 @@ function DeviceConfigPanel({
             <div key={output.id} className="output-item">
               <div className="output-info">
                 <span className="output-name">{output.name}:</span>
-                <span className="output-value">{formatOutputValue(output)}</span>
-                <span className="output-type">{output.dataType}</span>
-                {output.includeTimestamp !== false && (
+                <span className="output-value">
+                  {formatOutputValue(
+                    status && output.id in status.values
+                      ? { ...output, currentValue: status.values[output.id] }
+                      : output,
+                  )}
+                </span>
+                <span className="output-type">
+                  {sparkplug ? sparkplugDatatype(output.dataType) : output.dataType}
+                </span>
+                {!sparkplug && output.includeTimestamp !== false && (
                   <span className="timestamp-indicator" title="Includes timestamp">
                     <i className="fas fa-clock"></i>
                   </span>
@@ -156,7 +203,7 @@ function DeviceConfigPanel({
           <button
             onClick={() => onTogglePublishing(device.id)}
             className={`btn btn-md ${device.isPublishing ? 'btn-danger stop' : 'btn-success start'}`}
-            disabled={!isConnected}
+            disabled={!isConnected && !device.isPublishing}
             style={{ borderRadius: 'var(--radius-pill)' }}
           >
             <i className={`fas fa-${device.isPublishing ? 'stop' : 'play'}`}></i>
@@ -166,7 +213,8 @@ function DeviceConfigPanel({
           <button
             onClick={() => onPublishOnce(device.id)}
             className="btn btn-md btn-primary"
-            disabled={!isConnected}
+            disabled={!isConnected || (!!sparkplug && sparkplugStatus?.state !== 'online')}
+            title={sparkplug ? 'Sparkplug devices publish while their node is online' : undefined}
             style={{ borderRadius: 'var(--radius-pill)' }}
           >
             <i className="fas fa-paper-plane"></i>
@@ -175,24 +223,167 @@ function DeviceConfigPanel({
         </div>
       </div>
 
-      {/* Topic */}
-      <div className="form-group topic-section">
-        <label>
-          <i className="fas fa-tag"></i> MQTT Topic:
-        </label>
-        <input
-          type="text"
-          value={device.topic}
-          onChange={(e) => onUpdateDevice(device.id, { topic: e.target.value })}
-          placeholder="sensors/room/temperature"
-          className="form-input topic-input"
-        />
-      </div>
+      {sparkplug ? (
+        <div className="form-group topic-section sparkplug-section">
+          <label>
+            <i className="fas fa-sitemap"></i> Sparkplug B Identity:
+          </label>
+          <div className="sparkplug-id-fields">
+            {(
+              [
+                ['groupId', 'Group ID'],
+                ['edgeNodeId', 'Edge Node ID'],
+                ['deviceId', 'Device ID'],
+              ] as const
+            ).map(([field, label]) => (
+              <input
+                key={field}
+                type="text"
+                value={sparkplug[field]}
+                onChange={(e) => updateSparkplugId(field, e.target.value)}
+                placeholder={label}
+                title={device.isPublishing ? 'Stop the loop to change the identity' : label}
+                disabled={device.isPublishing}
+                className="form-input topic-input"
+              />
+            ))}
+          </div>
+          <div className="sparkplug-hint">
+            Metrics are published to <code>{device.topic}</code>; only changed values are sent.
+          </div>
+          {sparkplugStatus && (
+            <div className={`sparkplug-status sparkplug-${sparkplugStatus.state}`}>
+              <span className="sparkplug-state">{sparkplugStatus.state}</span>
+              <span>bdSeq {sparkplugStatus.bdSeq}</span>
+              <span>seq {sparkplugStatus.seq}</span>
+              <span>births {sparkplugStatus.births}</span>
+              {sparkplugStatus.error && (
+                <span className="sparkplug-error" title={sparkplugStatus.error}>
+                  <i className="fas fa-exclamation-circle"></i> {sparkplugStatus.error}
+                </span>
+              )}
+            </div>
+          )}
+        </div>
+      ) : (
+        <div className="form-group topic-section">
+          <label>
+            <i className="fas fa-tag"></i> MQTT Topic:
+          </label>
+          <input
+            type="text"
+            value={device.topic}
+            onChange={(e) => onUpdateDevice(device.id, { topic: e.target.value })}
+            placeholder={fleet ? 'site/{{index}}/meter' : 'sensors/room/temperature'}
+            className="form-input topic-input"
+          />
+        </div>
+      )}
+
+      {!sparkplug && <PublishOptionsSection device={device} onUpdateDevice={onUpdateDevice} />}
+
+      {!sparkplug && (
+        <div className="fleet-section">
+          <label className="timestamp-checkbox">
+            <input
+              type="checkbox"
+              checked={!!fleet}
+              disabled={device.isPublishing}
+              onChange={(e) =>
+                onUpdateDevice(device.id, {
+                  fleet: e.target.checked ? { ...DEFAULT_FLEET, ...device.fleet } : undefined,
+                })
+              }
+            />
+            <i className="fas fa-layer-group"></i>
+            Run as a fleet of instances
+          </label>
+          {fleet && (
+            <>
+              <div className="fleet-fields">
+                <label>
+                  Instances
+                  <input
+                    type="number"
+                    min={2}
+                    max={MAX_FLEET_SIZE}
+                    value={fleet.size}
+                    disabled={device.isPublishing}
+                    onChange={(e) =>
+                      updateFleet({
+                        size: Math.min(Math.max(2, Number(e.target.value) || 2), MAX_FLEET_SIZE),
+                      })
+                    }
+                    className="form-input"
+                  />
+                </label>
+                <label>
+                  First index
+                  <input
+                    type="number"
+                    min={0}
+                    value={fleet.startIndex}
+                    disabled={device.isPublishing}
+                    onChange={(e) =>
+                      updateFleet({ startIndex: Math.max(0, Number(e.target.value)) })
+                    }
+                    className="form-input"
+                  />
+                </label>
+                <label>
+                  Stagger (ms)
+                  <input
+                    type="number"
+                    min={0}
+                    step={50}
+                    value={fleet.staggerMs}
+                    disabled={device.isPublishing}
+                    onChange={(e) =>
+                      updateFleet({ staggerMs: Math.max(0, Number(e.target.value)) })
+                    }
+                    className="form-input"
+                  />
+                </label>
+                <label>
+                  Jitter (%)
+                  <input
+                    type="number"
+                    min={0}
+                    max={100}
+                    value={fleet.jitterPercent}
+                    disabled={device.isPublishing}
+                    onChange={(e) =>
+                      updateFleet({
+                        jitterPercent: Math.min(Math.max(0, Number(e.target.value)), 100),
+                      })
+                    }
+                    className="form-input"
+                  />
+                </label>
+              </div>
+              <div className="fleet-hint">
+                <code>{'{{index}}'}</code> and <code>{'{{id}}'}</code> are replaced per instance in
+                the topic, output names and string values. First instance:{' '}
+                <code>{firstInstance && applyInstanceTemplate(device.topic, firstInstance)}</code>
+              </div>
+            </>
+          )}
+        </div>
+      )}
 
       {!isConnected && (
         <div className="badge badge-warning connection-warning">
           <i className="fas fa-exclamation-triangle"></i>
-          Connection not active. Publishing is disabled.
+          {device.isPublishing
+            ? 'Connection not active. The device resumes when it reconnects.'
+            : 'Connection not active. Publishing is disabled.'}
+        </div>
+      )}
+
+      {status?.error && (
+        <div className="badge simulation-error">
+          <i className="fas fa-exclamation-circle"></i>
+          {status.error}
         </div>
       )}
     </div>
@@ -1,13 +1,15 @@
 import { useState } from 'react';
+import { EXPRESSION_FUNCTIONS } from '../../../../../shared/expression';
 
 interface Props {
   dataType: string;
   generator: string;
   config: any;
   onConfigChange: (field: string, value: any) => void;
+  variables?: string[]; // names of the device's other outputs, usable in expressions
 }
 
-function DynamicConfigFields({ dataType, generator, config, onConfigChange }: Props) {
+function DynamicConfigFields({ dataType, generator, config, onConfigChange, variables = [] }: Props) {
   const [booleanValueDropdownOpen, setBooleanValueDropdownOpen] = useState(false);
   const [patternValueDropdowns, setPatternValueDropdowns] = useState<Record<number, boolean>>({});
 
@@ -177,11 +179,356 @@ function DynamicConfigFields({ dataType, generator, config, onConfigChange }: Pr
           </div>
         );
       
+      case 'randomWalk':
+        return (
+          <>
+            <div className="form-row">
+              <div className="form-group">
+                <label>Start:</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  value={config.start ?? 50}
+                  onChange={(e) => onConfigChange('start', parseFloat(e.target.value) || 0)}
+                  className="form-input"
+                />
+              </div>
+              <div className="form-group">
+                <label>Max Step:</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={config.stepSize ?? 1}
+                  onChange={(e) => onConfigChange('stepSize', Math.abs(parseFloat(e.target.value) || 0))}
+                  className="form-input"
+                />
+              </div>
+              <div className="form-group">
+                <label>Drift per Tick:</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  value={config.drift || 0}
+                  onChange={(e) => onConfigChange('drift', parseFloat(e.target.value) || 0)}
+                  className="form-input"
+                />
+              </div>
+            </div>
+            <div className="form-row">
+              <div className="form-group">
+                <label>Min:</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  value={config.min ?? 0}
+                  onChange={(e) => onConfigChange('min', parseFloat(e.target.value) || 0)}
+                  className="form-input"
+                />
+              </div>
+              <div className="form-group">
+                <label>Max:</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  value={config.max ?? 100}
+                  onChange={(e) => onConfigChange('max', parseFloat(e.target.value) || 0)}
+                  className="form-input"
+                />
+              </div>
+            </div>
+          </>
+        );
+
+      case 'counter':
+        return (
+          <div className="form-row">
+            <div className="form-group">
+              <label>Start:</label>
+              <input
+                type="number"
+                step="1"
+                value={config.start || 0}
+                onChange={(e) => onConfigChange('start', parseFloat(e.target.value) || 0)}
+                className="form-input"
+              />
+            </div>
+            <div className="form-group">
+              <label>Increment:</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={config.increment ?? 1}
+                onChange={(e) => onConfigChange('increment', Math.abs(parseFloat(e.target.value) || 0))}
+                className="form-input"
+              />
+            </div>
+            <div className="form-group">
+              <label>Increment Jitter (0-1):</label>
+              <input
+                type="number"
+                min="0"
+                max="1"
+                step="0.05"
+                value={config.incrementJitter || 0}
+                onChange={(e) => onConfigChange('incrementJitter', parseFloat(e.target.value) || 0)}
+                className="form-input"
+              />
+            </div>
+            <div className="form-group">
+              <label>Rollover At (0 = never):</label>
+              <input
+                type="number"
+                min="0"
+                step="1"
+                value={config.rollover || 0}
+                onChange={(e) => onConfigChange('rollover', Math.max(0, parseFloat(e.target.value) || 0))}
+                className="form-input"
+              />
+            </div>
+          </div>
+        );
+
+      case 'profile':
+        return (
+          <div className="form-group">
+            <label>Segments:</label>
+            <div className="segment-list-editor">
+              {(config.segments || []).map((segment: any, index: number) => (
+                <div key={index} className="segment-list-item">
+                  <input
+                    type="number"
+                    placeholder="Value"
+                    step="0.01"
+                    value={segment.value}
+                    onChange={(e) => {
+                      const newSegments = [...(config.segments || [])];
+                      newSegments[index] = { ...segment, value: parseFloat(e.target.value) || 0 };
+                      onConfigChange('segments', newSegments);
+                    }}
+                    className="form-input"
+                  />
+                  <input
+                    type="number"
+                    placeholder="Seconds"
+                    min="0"
+                    step="1"
+                    value={segment.seconds}
+                    onChange={(e) => {
+                      const newSegments = [...(config.segments || [])];
+                      newSegments[index] = { ...segment, seconds: Math.max(0, parseFloat(e.target.value) || 0) };
+                      onConfigChange('segments', newSegments);
+                    }}
+                    className="form-input"
+                  />
+                  <label className="segment-ramp">
+                    <input
+                      type="checkbox"
+                      checked={!!segment.ramp}
+                      onChange={(e) => {
+                        const newSegments = [...(config.segments || [])];
+                        newSegments[index] = { ...segment, ramp: e.target.checked };
+                        onConfigChange('segments', newSegments);
+                      }}
+                    />
+                    Ramp
+                  </label>
+                  <button
+                    type="button"
+                    onClick={() => {
+                      const newSegments = [...(config.segments || [])];
+                      newSegments.splice(index, 1);
+                      onConfigChange('segments', newSegments);
+                    }}
+                    className="btn btn-sm btn-danger"
+                    style={{ borderRadius: 'var(--radius-pill)' }}
+                  >
+                    ×
+                  </button>
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={() => {
+                  const newSegments = [...(config.segments || []), { value: 0, seconds: 10, ramp: false }];
+                  onConfigChange('segments', newSegments);
+                }}
+                className="btn btn-sm btn-success"
+                style={{ borderRadius: 'var(--radius-pill)' }}
+              >
+                Add Segment
+              </button>
+            </div>
+            <label className="timestamp-checkbox">
+              <input
+                type="checkbox"
+                checked={config.loop !== false}
+                onChange={(e) => onConfigChange('loop', e.target.checked)}
+              />
+              <i className="fas fa-redo"></i>
+              Loop the profile
+            </label>
+          </div>
+        );
+
+      case 'expression':
+        return (
+          <div className="form-group">
+            <label>Expression:</label>
+            <input
+              type="text"
+              value={config.expression || ''}
+              onChange={(e) => onConfigChange('expression', e.target.value)}
+              placeholder="voltage * current"
+              className="form-input expression-input"
+              spellCheck={false}
+            />
+            <div className="expression-hint">
+              Variables: {[...variables, 'prev'].map((name) => <code key={name}>{name}</code>)}
+              <br />
+              Functions: {EXPRESSION_FUNCTIONS.join(', ')}; operators + - * / % ^
+            </div>
+          </div>
+        );
+
       default:
         return null;
     }
   };
 
+  const renderStateMachineFields = () => {
+    const states: string[] = config.states || [];
+    const transitions: any[] = config.transitions || [];
+    const updateTransition = (index: number, changes: any) => {
+      const newTransitions = [...transitions];
+      newTransitions[index] = { ...newTransitions[index], ...changes };
+      onConfigChange('transitions', newTransitions);
+    };
+
+    return (
+      <>
+        <div className="form-group">
+          <label>States:</label>
+          <div className="string-list-editor">
+            {states.map((state, index) => (
+              <div key={index} className="string-list-item">
+                <input
+                  type="text"
+                  value={state}
+                  onChange={(e) => {
+                    const newStates = [...states];
+                    newStates[index] = e.target.value;
+                    onConfigChange('states', newStates);
+                  }}
+                  className="form-input"
+                />
+                <button
+                  type="button"
+                  onClick={() => {
+                    const newStates = [...states];
+                    newStates.splice(index, 1);
+                    onConfigChange('states', newStates);
+                  }}
+                  className="btn btn-sm btn-danger"
+                  style={{ borderRadius: 'var(--radius-pill)' }}
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() => onConfigChange('states', [...states, ''])}
+              className="btn btn-sm btn-success"
+              style={{ borderRadius: 'var(--radius-pill)' }}
+            >
+              Add State
+            </button>
+          </div>
+        </div>
+
+        <div className="form-group">
+          <label>Initial State:</label>
+          <select
+            value={config.initial || states[0] || ''}
+            onChange={(e) => onConfigChange('initial', e.target.value)}
+            className="form-input"
+          >
+            {states.map((state, index) => (
+              <option key={index} value={state}>{state}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="form-group">
+          <label>Transitions (probability per tick):</label>
+          <div className="transition-list-editor">
+            {transitions.map((transition, index) => (
+              <div key={index} className="transition-list-item">
+                <select
+                  value={transition.from}
+                  onChange={(e) => updateTransition(index, { from: e.target.value })}
+                  className="form-input"
+                >
+                  {states.map((state, i) => (
+                    <option key={i} value={state}>{state}</option>
+                  ))}
+                </select>
+                <i className="fas fa-arrow-right"></i>
+                <select
+                  value={transition.to}
+                  onChange={(e) => updateTransition(index, { to: e.target.value })}
+                  className="form-input"
+                >
+                  {states.map((state, i) => (
+                    <option key={i} value={state}>{state}</option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  min="0"
+                  max="1"
+                  step="0.01"
+                  value={transition.probability}
+                  onChange={(e) => updateTransition(index, { probability: parseFloat(e.target.value) || 0 })}
+                  className="form-input"
+                />
+                <button
+                  type="button"
+                  onClick={() => {
+                    const newTransitions = [...transitions];
+                    newTransitions.splice(index, 1);
+                    onConfigChange('transitions', newTransitions);
+                  }}
+                  className="btn btn-sm btn-danger"
+                  style={{ borderRadius: 'var(--radius-pill)' }}
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() => {
+                const newTransitions = [
+                  ...transitions,
+                  { from: states[0] || '', to: states[1] || states[0] || '', probability: 0.1 },
+                ];
+                onConfigChange('transitions', newTransitions);
+              }}
+              className="btn btn-sm btn-success"
+              style={{ borderRadius: 'var(--radius-pill)' }}
+              disabled={states.length === 0}
+            >
+              Add Transition
+            </button>
+          </div>
+        </div>
+      </>
+    );
+  };
+
   const renderBooleanFields = () => {
     switch (generator) {
       case 'static':
@@ -457,8 +804,9 @@ function DynamicConfigFields({ dataType, generator, config, onConfigChange }: Pr
     case 'boolean':
       return renderBooleanFields();
     case 'string':
-    case 'enum':
       return renderStringFields();
+    case 'enum':
+      return generator === 'stateMachine' ? renderStateMachineFields() : renderStringFields();
     default:
       return null;
   }
@@ -1,15 +1,30 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { DATA_TYPE_CONFIGS, GENERATOR_CONFIGS } from './constants';
 import { formatPreviewValue } from './formatters';
 import DynamicConfigFields from './DynamicConfigFields';
+import DatasetConfigFields, { defaultColumn } from './DatasetConfigFields';
+import SimulationService from '../../../services/SimulationService';
+import type { DatasetMeta } from '../../../../../shared/ipc';
+import { DEFAULT_DATASET_CONFIG } from '../../../../../shared/datasets';
+import type { DeviceOutput } from './types';
+import { generateOutputs } from '../../../../../shared/simulation';
+import type { FaultConfig, GeneratorState } from '../../../../../shared/value-generators';
 
 interface Props {
   output: any;
+  deviceOutputs?: DeviceOutput[]; // every output of the device, for expressions
+  splitOutputs?: boolean; // the device publishes each output to its own subtopic
   onClose: () => void;
   onSave: (formData: any) => void;
 }
 
-function EditOutputModal({ output, onClose, onSave }: Props) {
+const NO_OUTPUTS: DeviceOutput[] = [];
+
+function hasFaults(faults: FaultConfig): boolean {
+  return !!(faults.spikeProbability || faults.stuckProbability || faults.dropoutProbability);
+}
+
+function EditOutputModal({ output, deviceOutputs = NO_OUTPUTS, splitOutputs = false, onClose, onSave }: Props) {
   const [formData, setFormData] = useState({
     name: output.name,
     dataType: output.dataType,
@@ -17,33 +32,45 @@ function EditOutputModal({ output, onClose, onSave }: Props) {
     unit: output.unit || '',
     decimalPrecision: output.decimalPrecision || 2,
     includeTimestamp: output.includeTimestamp !== false,
-    config: { ...output.config }
+    subtopic: output.subtopic || '',
+    config: { ...output.config },
+    faults: { ...output.faults } as FaultConfig
   });
+  const [showFaults, setShowFaults] = useState(hasFaults(formData.faults));
+  const otherOutputs = useMemo(
+    () => deviceOutputs.filter((o) => o.id !== output.id),
+    [deviceOutputs, output.id]
+  );
 
   const [previewValue, setPreviewValue] = useState<any>(null);
   const [dataTypeDropdownOpen, setDataTypeDropdownOpen] = useState(false);
   const [generatorDropdownOpen, setGeneratorDropdownOpen] = useState(false);
   const [decimalDropdownOpen, setDecimalDropdownOpen] = useState(false);
+  const [datasets, setDatasets] = useState<DatasetMeta[]>([]);
+  const [importingDataset, setImportingDataset] = useState(false);
+  const [datasetError, setDatasetError] = useState<string | null>(null);
 
-  // Update preview when form data changes
   useEffect(() => {
+    SimulationService.listDatasets()
+      .then(setDatasets)
+      .catch((error) => console.error('Failed to load datasets:', error));
+  }, []);
+
+  // Update preview when form data changes. The preview runs the engine's own
+  // generators, with fresh state, so stateful ones evolve between refreshes.
+  useEffect(() => {
+    const generatorState: Record<number, GeneratorState> = {};
+    const edited = { ...output, ...formData, faults: hasFaults(formData.faults) ? formData.faults : undefined };
+    const outputs = [...otherOutputs, edited];
+
     const generatePreview = () => {
       try {
-        let value;
-        
-        switch (formData.dataType) {
-          case 'number':
-            value = generateNumberPreview(formData.generator, formData.config, formData.decimalPrecision);
-            break;
-          case 'boolean':
-            value = generateBooleanPreview(formData.generator, formData.config);
-            break;
-          case 'string':
-          case 'enum':
-            value = generateStringPreview(formData.generator, formData.config);
-            break;
-          default:
-            value = 'N/A';
+        // Datasets are previewed from the first rows kept with their metadata.
+        const sample = (id: string) => datasets.find((d) => d.id === id)?.sample;
+        const value = generateOutputs(outputs, generatorState, sample).find((o) => o.id === output.id)?.currentValue;
+        if (value === undefined) {
+          setPreviewValue({ dropped: 'nothing sent this time: a dropout fault, or the dataset ended' });
+          return;
         }
 
         const outputPayload: any = {
@@ -60,64 +87,22 @@ function EditOutputModal({ output, onClose, onSave }: Props) {
 
         setPreviewValue(outputPayload);
       } catch (error) {
-        setPreviewValue({ error: 'Preview generation failed' });
+        setPreviewValue({ error: (error as Error).message || 'Preview generation failed' });
       }
     };
 
     generatePreview();
     const interval = setInterval(generatePreview, 2000);
     return () => clearInterval(interval);
-  }, [formData]);
-
-  const generateNumberPreview = (generator: string, config: any, precision: number) => {
-    switch (generator) {
-      case 'static':
-        return Number((config.value || 0).toFixed(precision));
-      case 'uniform': {
-        const mid = ((config.max || 100) + (config.min || 0)) / 2;
-        return Number(mid.toFixed(precision));
-      }
-      case 'normal':
-        return Number((config.mean || 0).toFixed(precision));
-      case 'sine':
-        return Number(((config.max || 100) + (config.min || 0)) / 2).toFixed(precision);
-      case 'exponential':
-        return Number(((config.min || 0) + 5).toFixed(precision));
-      default:
-        return 0;
-    }
-  };
-
-  const generateBooleanPreview = (generator: string, config: any) => {
-    switch (generator) {
-      case 'static':
-        return Boolean(config.value);
-      case 'probability':
-        return (config.trueProbability || 0.5) > 0.5;
-      case 'pattern':
-        return config.sequence && config.sequence.length > 0 ? config.sequence[0] : true;
-      default:
-        return true;
-    }
-  };
-
-  const generateStringPreview = (generator: string, config: any) => {
-    switch (generator) {
-      case 'static':
-        return config.value || 'default';
-      case 'list':
-      case 'random':
-        return config.values && config.values.length > 0 ? config.values[0] : 'default';
-      case 'weighted':
-        return config.weightedValues && config.weightedValues.length > 0 ? config.weightedValues[0].value : 'default';
-      default:
-        return 'default';
-    }
-  };
+  }, [formData, output, otherOutputs, datasets]);
 
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault();
-    onSave(formData);
+    onSave({
+      ...formData,
+      subtopic: formData.subtopic.trim() || undefined,
+      faults: hasFaults(formData.faults) ? formData.faults : undefined
+    });
   };
 
   const updateFormData = (field: string, value: any) => {
@@ -131,6 +116,13 @@ function EditOutputModal({ output, onClose, onSave }: Props) {
     }));
   };
 
+  const updateFaults = (field: keyof FaultConfig, value: number | undefined) => {
+    setFormData(prev => ({
+      ...prev,
+      faults: { ...prev.faults, [field]: value }
+    }));
+  };
+
   const handleDataTypeChange = (newDataType: string) => {
     const availableGenerators = DATA_TYPE_CONFIGS[newDataType].generators;
     const defaultGenerator = availableGenerators[0];
@@ -174,7 +166,47 @@ function EditOutputModal({ output, onClose, onSave }: Props) {
     }));
   };
 
+  const handleImportDataset = async () => {
+    setImportingDataset(true);
+    setDatasetError(null);
+    try {
+      const dataset = await SimulationService.importDataset();
+      if (dataset) {
+        setDatasets(prev => [dataset, ...prev]);
+        updateConfig('datasetId', dataset.id);
+        updateConfig('column', defaultColumn(dataset, formData.name));
+      }
+    } catch (error) {
+      setDatasetError((error as Error).message);
+    } finally {
+      setImportingDataset(false);
+    }
+  };
+
+  const handleDeleteDataset = async (id: string) => {
+    setDatasetError(null);
+    try {
+      await SimulationService.deleteDataset(id);
+      setDatasets(prev => prev.filter((d) => d.id !== id));
+    } catch (error) {
+      setDatasetError((error as Error).message);
+    }
+  };
+
   const handleGeneratorChange = (newGenerator: string) => {
+    if (newGenerator === 'dataset') {
+      const dataset = datasets[0];
+      setFormData(prev => ({
+        ...prev,
+        generator: newGenerator,
+        config: {
+          ...DEFAULT_DATASET_CONFIG,
+          ...(dataset && { datasetId: dataset.id, column: defaultColumn(dataset, prev.name) })
+        }
+      }));
+      return;
+    }
+
     let defaultConfig = {};
     
     switch (formData.dataType) {
@@ -195,6 +227,25 @@ function EditOutputModal({ output, onClose, onSave }: Props) {
           case 'exponential':
             defaultConfig = { lambda: 1, min: 0, max: 100 };
             break;
+          case 'randomWalk':
+            defaultConfig = { start: 50, stepSize: 1, drift: 0, min: 0, max: 100 };
+            break;
+          case 'counter':
+            defaultConfig = { start: 0, increment: 1, incrementJitter: 0, rollover: 0 };
+            break;
+          case 'profile':
+            defaultConfig = {
+              segments: [
+                { value: 20, seconds: 60, ramp: false },
+                { value: 80, seconds: 30, ramp: true },
+                { value: 80, seconds: 60, ramp: false }
+              ],
+              loop: true
+            };
+            break;
+          case 'expression':
+            defaultConfig = { expression: otherOutputs.length >= 2 ? `${otherOutputs[0].name} * ${otherOutputs[1].name}` : 'prev + 1' };
+            break;
         }
         break;
       case 'boolean':
@@ -223,6 +274,18 @@ function EditOutputModal({ output, onClose, onSave }: Props) {
           case 'weighted':
             defaultConfig = { weightedValues: [{ value: 'option1', weight: 1 }, { value: 'option2', weight: 1 }] };
             break;
+          case 'stateMachine':
+            defaultConfig = {
+              states: ['idle', 'running', 'fault'],
+              initial: 'idle',
+              transitions: [
+                { from: 'idle', to: 'running', probability: 0.2 },
+                { from: 'running', to: 'idle', probability: 0.05 },
+                { from: 'running', to: 'fault', probability: 0.01 },
+                { from: 'fault', to: 'idle', probability: 0.1 }
+              ]
+            };
+            break;
         }
         break;
     }
@@ -359,6 +422,19 @@ function EditOutputModal({ output, onClose, onSave }: Props) {
             </label>
           </div>
 
+          {splitOutputs && (
+            <div className="form-group">
+              <label>Subtopic:</label>
+              <input
+                type="text"
+                value={formData.subtopic}
+                onChange={(e) => updateFormData('subtopic', e.target.value.replace(/[+#]/g, ''))}
+                placeholder={formData.name || 'Defaults to the output name'}
+                className="form-input"
+              />
+            </div>
+          )}
+
           {/* Generator Selection */}
           <div className="form-group">
             <label>Value Generator:</label>
@@ -394,12 +470,109 @@ function EditOutputModal({ output, onClose, onSave }: Props) {
           </div>
 
           {/* Dynamic Configuration Fields */}
-          <DynamicConfigFields 
-            dataType={formData.dataType}
-            generator={formData.generator}
-            config={formData.config}
-            onConfigChange={updateConfig}
-          />
+          {formData.generator === 'dataset' ? (
+            <DatasetConfigFields
+              config={formData.config}
+              onConfigChange={updateConfig}
+              datasets={datasets}
+              importing={importingDataset}
+              importError={datasetError}
+              onImport={handleImportDataset}
+              onDelete={handleDeleteDataset}
+              outputName={formData.name}
+            />
+          ) : (
+            <DynamicConfigFields
+              dataType={formData.dataType}
+              generator={formData.generator}
+              config={formData.config}
+              onConfigChange={updateConfig}
+              variables={otherOutputs.map((o) => o.name)}
+            />
+          )}
+
+          {/* Fault Injection */}
+          <div className="fault-section">
+            <label className="timestamp-checkbox">
+              <input
+                type="checkbox"
+                checked={showFaults}
+                onChange={(e) => {
+                  setShowFaults(e.target.checked);
+                  if (!e.target.checked) updateFormData('faults', {});
+                }}
+              />
+              <i className="fas fa-bolt"></i>
+              Inject faults
+            </label>
+            {showFaults && (
+              <div className="fault-fields">
+                {formData.dataType === 'number' && (
+                  <>
+                    <label>
+                      Spike chance (0-1)
+                      <input
+                        type="number"
+                        min="0"
+                        max="1"
+                        step="0.01"
+                        value={formData.faults.spikeProbability || 0}
+                        onChange={(e) => updateFaults('spikeProbability', parseFloat(e.target.value) || 0)}
+                        className="form-input"
+                      />
+                    </label>
+                    <label>
+                      Spike size
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={formData.faults.spikeMagnitude ?? ''}
+                        placeholder="10× value"
+                        onChange={(e) => updateFaults('spikeMagnitude', e.target.value === '' ? undefined : Math.abs(parseFloat(e.target.value) || 0))}
+                        className="form-input"
+                      />
+                    </label>
+                  </>
+                )}
+                <label>
+                  Stuck chance (0-1)
+                  <input
+                    type="number"
+                    min="0"
+                    max="1"
+                    step="0.01"
+                    value={formData.faults.stuckProbability || 0}
+                    onChange={(e) => updateFaults('stuckProbability', parseFloat(e.target.value) || 0)}
+                    className="form-input"
+                  />
+                </label>
+                <label>
+                  Stuck for (ticks)
+                  <input
+                    type="number"
+                    min="1"
+                    step="1"
+                    value={formData.faults.stuckTicks || 5}
+                    onChange={(e) => updateFaults('stuckTicks', Math.max(1, parseInt(e.target.value) || 1))}
+                    className="form-input"
+                  />
+                </label>
+                <label>
+                  Dropout chance (0-1)
+                  <input
+                    type="number"
+                    min="0"
+                    max="1"
+                    step="0.01"
+                    value={formData.faults.dropoutProbability || 0}
+                    onChange={(e) => updateFaults('dropoutProbability', parseFloat(e.target.value) || 0)}
+                    className="form-input"
+                  />
+                </label>
+              </div>
+            )}
+          </div>
 
           {/* Live Preview */}
           <div className="preview-section">
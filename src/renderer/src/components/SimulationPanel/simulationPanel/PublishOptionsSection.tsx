@@ -0,0 +1,314 @@
+import { useState } from 'react';
+import type { SimulatedDevice } from './types';
+import type {
+  DevicePayloadEncoding,
+  DevicePublishOptions,
+  DevicePublishProperties,
+  PayloadFormat,
+} from '../../../../../shared/simulation';
+import { outputSubtopic, publishOptionsOf } from '../../../../../shared/simulation-payload';
+
+interface Props {
+  device: SimulatedDevice;
+  onUpdateDevice: (deviceId: number, updates: any) => void;
+}
+
+const FORMATS: { value: PayloadFormat; label: string }[] = [
+  { value: 'json', label: 'JSON (built-in shape)' },
+  { value: 'template', label: 'Template' },
+  { value: 'value', label: 'Plain value' },
+  { value: 'csv', label: 'CSV line' },
+];
+
+const ENCODINGS: { value: DevicePayloadEncoding; label: string }[] = [
+  { value: 'text', label: 'Text' },
+  { value: 'cbor', label: 'CBOR' },
+  { value: 'msgpack', label: 'MessagePack' },
+];
+
+/** A starting template with every output, quoting the ones that aren't numbers or booleans. */
+function defaultTemplate(device: SimulatedDevice, split: boolean): string {
+  if (split) return '{"{{name}}": {{value}}, "ts": {{timestamp}}}';
+  const fields = device.outputs.map((output) => {
+    const quoted = output.dataType !== 'number' && output.dataType !== 'boolean';
+    return `  "${output.name}": ${quoted ? `"{{${output.name}}}"` : `{{${output.name}}}`}`;
+  });
+  return `{\n  "device": "{{deviceName}}",\n${fields.join(',\n')},\n  "ts": {{timestamp}}\n}`;
+}
+
+function PublishOptionsSection({ device, onUpdateDevice }: Props) {
+  const options = publishOptionsOf(device);
+  const { properties } = options;
+  const userProperties = properties.userProperties ?? [];
+  const [showProperties, setShowProperties] = useState(
+    () =>
+      !!(
+        properties.contentType ||
+        properties.responseTopic ||
+        properties.messageExpiryInterval ||
+        userProperties.length
+      ),
+  );
+
+  const update = (changes: Partial<DevicePublishOptions>) =>
+    onUpdateDevice(device.id, { publish: { ...options, ...changes } });
+  const updateProperties = (changes: Partial<DevicePublishProperties>) =>
+    update({ properties: { ...properties, ...changes } });
+
+  const singleValue = options.splitOutputs || device.outputs.length === 1;
+
+  const setFormat = (format: PayloadFormat) =>
+    update({
+      format,
+      template:
+        format === 'template' && !options.template.trim()
+          ? defaultTemplate(device, options.splitOutputs)
+          : options.template,
+      encoding: format === 'csv' ? 'text' : options.encoding,
+    });
+
+  const setSplit = (splitOutputs: boolean) =>
+    update({
+      splitOutputs,
+      // Plain values can't carry several outputs in one message.
+      format:
+        !splitOutputs && options.format === 'value' && device.outputs.length > 1
+          ? 'json'
+          : options.format,
+    });
+
+  return (
+    <div className="publish-options-section">
+      <label>
+        <i className="fas fa-sliders-h"></i> Payload &amp; Delivery:
+      </label>
+      <div className="publish-options-fields">
+        <label>
+          Format
+          <select
+            value={options.format}
+            onChange={(e) => setFormat(e.target.value as PayloadFormat)}
+            className="form-input"
+          >
+            {FORMATS.map(({ value, label }) => (
+              <option
+                key={value}
+                value={value}
+                disabled={value === 'value' && !singleValue}
+                title={
+                  value === 'value' && !singleValue
+                    ? 'Publish each output to its own subtopic to send plain values'
+                    : undefined
+                }
+              >
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Encoding
+          <select
+            value={options.encoding}
+            disabled={options.format === 'csv'}
+            onChange={(e) => update({ encoding: e.target.value as DevicePayloadEncoding })}
+            className="form-input"
+          >
+            {ENCODINGS.map(({ value, label }) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          QoS
+          <select
+            value={options.qos}
+            onChange={(e) => update({ qos: Number(e.target.value) as 0 | 1 | 2 })}
+            className="form-input"
+          >
+            <option value={0}>0 - At most once</option>
+            <option value={1}>1 - At least once</option>
+            <option value={2}>2 - Exactly once</option>
+          </select>
+        </label>
+      </div>
+
+      <div className="publish-options-checks">
+        <label className="timestamp-checkbox">
+          <input
+            type="checkbox"
+            checked={options.retain}
+            onChange={(e) => update({ retain: e.target.checked })}
+          />
+          <i className="fas fa-thumbtack"></i>
+          Retain
+        </label>
+        <label className="timestamp-checkbox">
+          <input
+            type="checkbox"
+            checked={options.splitOutputs}
+            onChange={(e) => setSplit(e.target.checked)}
+          />
+          <i className="fas fa-code-branch"></i>
+          Publish each output to its own subtopic
+        </label>
+      </div>
+      {options.splitOutputs && (
+        <div className="publish-options-hint">
+          Topics:{' '}
+          {device.outputs.map((output, i) => (
+            <span key={output.id}>
+              {i > 0 && ', '}
+              <code>
+                {device.topic}/{outputSubtopic(output)}
+              </code>
+            </span>
+          ))}
+        </div>
+      )}
+
+      {options.format === 'template' && (
+        <div className="form-group publish-template">
+          <textarea
+            value={options.template}
+            onChange={(e) => update({ template: e.target.value })}
+            rows={6}
+            spellCheck={false}
+            className="form-input"
+          />
+          <div className="publish-options-hint">
+            {options.splitOutputs ? (
+              <>
+                <code>{'{{name}}'}</code>, <code>{'{{value}}'}</code> and <code>{'{{unit}}'}</code>{' '}
+                are the output being sent; every output is also available by name.
+              </>
+            ) : (
+              <>
+                Outputs by name:{' '}
+                {device.outputs.map((output, i) => (
+                  <span key={output.id}>
+                    {i > 0 && ', '}
+                    <code>{`{{${output.name}}}`}</code>
+                  </span>
+                ))}
+                .
+              </>
+            )}{' '}
+            Also <code>{'{{deviceName}}'}</code>, <code>{'{{isoTimestamp}}'}</code> and the
+            publishing panel&apos;s expressions, e.g. <code>{"{{date('HH:mm:ss')}}"}</code> or{' '}
+            <code>{"{{counter('seq')}}"}</code>. Dropped values print as <code>null</code>.
+            {options.encoding !== 'text' && ' The result must be JSON to encode it.'}
+          </div>
+        </div>
+      )}
+
+      <button
+        type="button"
+        className="device-properties-toggle"
+        onClick={() => setShowProperties(!showProperties)}
+      >
+        <i className={`fas fa-chevron-${showProperties ? 'down' : 'right'}`}></i>
+        MQTT 5 properties
+      </button>
+      {showProperties && (
+        <div className="device-properties">
+          <div className="publish-options-fields">
+            <label>
+              Content type
+              <input
+                type="text"
+                value={properties.contentType ?? ''}
+                onChange={(e) => updateProperties({ contentType: e.target.value })}
+                placeholder="application/json"
+                className="form-input"
+              />
+            </label>
+            <label>
+              Response topic
+              <input
+                type="text"
+                value={properties.responseTopic ?? ''}
+                onChange={(e) => updateProperties({ responseTopic: e.target.value })}
+                placeholder="replies/device"
+                className="form-input"
+              />
+            </label>
+            <label>
+              Expiry (s)
+              <input
+                type="number"
+                min={0}
+                value={properties.messageExpiryInterval ?? ''}
+                onChange={(e) =>
+                  updateProperties({
+                    messageExpiryInterval: Math.max(0, parseInt(e.target.value, 10)) || undefined,
+                  })
+                }
+                className="form-input"
+              />
+            </label>
+          </div>
+          <div className="user-property-list">
+            {userProperties.map((property, index) => (
+              <div key={index} className="user-property-item">
+                <input
+                  type="text"
+                  placeholder="Key"
+                  value={property.key}
+                  onChange={(e) =>
+                    updateProperties({
+                      userProperties: userProperties.map((p, i) =>
+                        i === index ? { ...p, key: e.target.value } : p,
+                      ),
+                    })
+                  }
+                  className="form-input"
+                />
+                <input
+                  type="text"
+                  placeholder="Value"
+                  value={property.value}
+                  onChange={(e) =>
+                    updateProperties({
+                      userProperties: userProperties.map((p, i) =>
+                        i === index ? { ...p, value: e.target.value } : p,
+                      ),
+                    })
+                  }
+                  className="form-input"
+                />
+                <button
+                  type="button"
+                  onClick={() =>
+                    updateProperties({
+                      userProperties: userProperties.filter((_, i) => i !== index),
+                    })
+                  }
+                  className="btn btn-sm btn-danger"
+                  style={{ borderRadius: 'var(--radius-pill)' }}
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() =>
+                updateProperties({ userProperties: [...userProperties, { key: '', value: '' }] })
+              }
+              className="btn btn-sm btn-success"
+              style={{ borderRadius: 'var(--radius-pill)' }}
+            >
+              Add User Property
+            </button>
+          </div>
+          <div className="publish-options-hint">Sent on MQTT 5 connections only.</div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PublishOptionsSection;
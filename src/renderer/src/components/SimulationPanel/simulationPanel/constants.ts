@@ -10,25 +10,36 @@ interface DataTypeConfig {
 export const DATA_TYPE_CONFIGS: Record<string, DataTypeConfig> = {
   number: {
     label: 'Number',
-    generators: ['static', 'uniform', 'normal', 'sine', 'exponential'],
+    generators: [
+      'static',
+      'uniform',
+      'normal',
+      'sine',
+      'exponential',
+      'randomWalk',
+      'counter',
+      'profile',
+      'expression',
+      'dataset',
+    ],
     hasUnit: true,
     hasDecimalPrecision: true,
   },
   boolean: {
     label: 'Boolean',
-    generators: ['static', 'probability', 'pattern'],
+    generators: ['static', 'probability', 'pattern', 'dataset'],
     hasUnit: false,
     hasDecimalPrecision: false,
   },
   string: {
     label: 'String',
-    generators: ['static', 'list', 'weighted'],
+    generators: ['static', 'list', 'weighted', 'dataset'],
     hasUnit: false,
     hasDecimalPrecision: false,
   },
   enum: {
     label: 'Enum',
-    generators: ['static', 'random', 'weighted', 'pattern'],
+    generators: ['static', 'random', 'weighted', 'pattern', 'stateMachine', 'dataset'],
     hasUnit: false,
     hasDecimalPrecision: false,
   },
@@ -45,9 +56,18 @@ export const GENERATOR_CONFIGS: Record<string, GeneratorConfig> = {
   normal: { label: 'Normal Distribution', fields: ['mean', 'stdDev', 'min', 'max'] },
   sine: { label: 'Sine Wave', fields: ['min', 'max', 'frequency'] },
   exponential: { label: 'Exponential', fields: ['lambda', 'min', 'max'] },
+  randomWalk: { label: 'Random Walk', fields: ['start', 'stepSize', 'drift', 'min', 'max'] },
+  counter: { label: 'Counter', fields: ['start', 'increment', 'incrementJitter', 'rollover'] },
+  profile: { label: 'Step / Ramp Profile', fields: ['segments', 'loop'] },
+  expression: { label: 'Expression', fields: ['expression'] },
+  dataset: {
+    label: 'Dataset Replay',
+    fields: ['datasetId', 'column', 'playback', 'loop', 'interpolate', 'startOffset'],
+  },
   probability: { label: 'Probability', fields: ['trueProbability'] },
   pattern: { label: 'Pattern Sequence', fields: ['sequence'] },
   list: { label: 'Random from List', fields: ['values'] },
   weighted: { label: 'Weighted Random', fields: ['weightedValues'] },
   random: { label: 'Random Selection', fields: ['values'] },
+  stateMachine: { label: 'State Machine', fields: ['states', 'initial', 'transitions'] },
 };
@@ -0,0 +1,265 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import './SubscriptionPanel.css';
+import MQTTService from '../../services/MQTTService';
+import type { SubscribedEventData, SubscriptionConfig } from '../../../../shared/ipc';
+import AddSubscriptionForm from './subscriptionPanel/AddSubscriptionForm';
+import {
+  describeSubackReason,
+  toSubscriptionConfig,
+} from './subscriptionPanel/subscriptionHelpers';
+
+interface SubscriptionPanelProps {
+  connectionId: string;
+  isConnected: boolean;
+  protocolVersion: number;
+  savedSubscriptions?: SubscriptionConfig[];
+  onSaveSubscriptions: (connectionId: string, subscriptions: SubscriptionConfig[]) => void;
+  showFeedback: (message: string, type?: string) => void;
+}
+
+const RETAIN_HANDLING_LABELS = ['send retained', 'retained if new', 'no retained'];
+
+function SubscriptionPanel({
+  connectionId,
+  isConnected,
+  protocolVersion,
+  savedSubscriptions = [],
+  onSaveSubscriptions,
+  showFeedback,
+}: SubscriptionPanelProps) {
+  const [subscriptions, setSubscriptions] = useState<SubscribedEventData[]>(() =>
+    MQTTService.getSubscriptions(connectionId),
+  );
+  const [persistChanges, setPersistChanges] = useState(false);
+  const [pendingTopics, setPendingTopics] = useState<Set<string>>(new Set());
+
+  const isMqtt5 = protocolVersion === 5;
+
+  const refresh = useCallback(() => {
+    setSubscriptions(MQTTService.getSubscriptions(connectionId));
+  }, [connectionId]);
+
+  // The service keeps the SUBACK state; we just re-read it when it changes.
+  useEffect(() => {
+    refresh();
+    const handler = (data: { id: string }) => {
+      if (data.id === connectionId) refresh();
+    };
+    const events = ['subscribed', 'unsubscribed', 'connected', 'disconnected'];
+    events.forEach((event) => MQTTService.onAny(event, handler));
+    return () => events.forEach((event) => MQTTService.off('*', event, handler));
+  }, [connectionId, refresh]);
+
+  const setPending = (topic: string, pending: boolean) => {
+    setPendingTopics((prev) => {
+      const next = new Set(prev);
+      if (pending) next.add(topic);
+      else next.delete(topic);
+      return next;
+    });
+  };
+
+  const saveWith = (topic: string, entry?: SubscriptionConfig) => {
+    const rest = savedSubscriptions.filter((s) => s.topic !== topic);
+    onSaveSubscriptions(connectionId, entry ? [...rest, entry] : rest);
+  };
+
+  const handleSubscribe = async (sub: SubscriptionConfig): Promise<boolean> => {
+    const { topic, qos, subscriptionIdentifier, ...options } = sub;
+    try {
+      const result = await MQTTService.subscribe(
+        connectionId,
+        topic,
+        qos,
+        subscriptionIdentifier ? { subscriptionIdentifier } : {},
+        options,
+      );
+      if (!result.success) {
+        showFeedback(`Subscribe to ${topic} failed: ${result.error}`, 'error');
+        return false;
+      }
+      if (persistChanges) saveWith(topic, sub);
+      return true;
+    } catch (err: any) {
+      showFeedback(`Subscribe to ${topic} failed: ${err.message}`, 'error');
+      return false;
+    }
+  };
+
+  const handleUnsubscribe = async (sub: SubscribedEventData) => {
+    setPending(sub.topic, true);
+    try {
+      const result = await MQTTService.unsubscribe(connectionId, sub.topic);
+      if (!result.success) {
+        showFeedback(`Unsubscribe from ${sub.topic} failed: ${result.error}`, 'error');
+        return;
+      }
+      if (persistChanges) saveWith(sub.topic);
+    } catch (err: any) {
+      showFeedback(`Unsubscribe from ${sub.topic} failed: ${err.message}`, 'error');
+    } finally {
+      setPending(sub.topic, false);
+    }
+  };
+
+  const handleDismiss = (sub: SubscribedEventData) => {
+    MQTTService.dismissSubscription(connectionId, sub.topic);
+    refresh();
+  };
+
+  const handleSaveOne = (sub: SubscribedEventData) => {
+    saveWith(sub.topic, toSubscriptionConfig(sub));
+    showFeedback(`Saved ${sub.topic} to the connection`, 'success');
+  };
+
+  const savedTopics = new Set(savedSubscriptions.map((s) => s.topic));
+
+  const renderOptionChips = (sub: SubscribedEventData) => {
+    const chips: string[] = [];
+    if (sub.options?.noLocal) chips.push('NL');
+    if (sub.options?.retainAsPublished) chips.push('RAP');
+    if (sub.options?.retainHandling) {
+      chips.push(
+        `RH ${sub.options.retainHandling}: ${RETAIN_HANDLING_LABELS[sub.options.retainHandling]}`,
+      );
+    }
+    const identifier = sub.properties?.subscriptionIdentifier;
+    if (typeof identifier === 'number') chips.push(`ID ${identifier}`);
+    return chips.map((chip) => (
+      <span key={chip} className="subscription-chip">
+        {chip}
+      </span>
+    ));
+  };
+
+  const renderStatus = (sub: SubscribedEventData) => {
+    if (sub.rejected) {
+      return (
+        <span className="subscription-status rejected" title={sub.error}>
+          <i className="fas fa-times-circle"></i> {describeSubackReason(sub.reasonCode)}
+        </span>
+      );
+    }
+    if (sub.downgraded) {
+      return (
+        <span
+          className="subscription-status downgraded"
+          title={`Requested QoS ${sub.qos}, broker granted QoS ${sub.grantedQos}`}
+        >
+          <i className="fas fa-exclamation-triangle"></i> Downgraded
+        </span>
+      );
+    }
+    return (
+      <span className="subscription-status granted">
+        <i className="fas fa-check-circle"></i> Granted
+      </span>
+    );
+  };
+
+  const sorted = [...subscriptions].sort((a, b) => a.topic.localeCompare(b.topic));
+
+  return (
+    <div className="subscription-panel">
+      <div className="subscription-header">
+        <h3>
+          <i className="fas fa-rss"></i> Subscriptions
+          <span className="subscription-count">{subscriptions.length}</span>
+        </h3>
+        <label
+          className="subscription-persist-toggle"
+          title="Also add/remove subscriptions in the saved connection settings"
+        >
+          <input
+            type="checkbox"
+            checked={persistChanges}
+            onChange={(e) => setPersistChanges(e.target.checked)}
+          />
+          Save changes to connection
+        </label>
+      </div>
+
+      <AddSubscriptionForm
+        isMqtt5={isMqtt5}
+        disabled={!isConnected}
+        onSubscribe={handleSubscribe}
+      />
+
+      {!isConnected && (
+        <div className="subscription-hint">Connect to manage live subscriptions.</div>
+      )}
+
+      <div className="subscription-list">
+        {sorted.length === 0 ? (
+          <div className="subscription-empty">
+            <i className="fas fa-inbox"></i>
+            <p>No active subscriptions</p>
+          </div>
+        ) : (
+          sorted.map((sub) => (
+            <div
+              key={sub.topic}
+              className={`subscription-row ${sub.rejected ? 'rejected' : ''} ${sub.downgraded ? 'downgraded' : ''}`}
+            >
+              <div className="subscription-row-main">
+                <span className="subscription-topic" title={sub.topic}>
+                  {sub.topic}
+                </span>
+                {savedTopics.has(sub.topic) && (
+                  <span className="subscription-saved" title="Stored in the connection settings">
+                    <i className="fas fa-save"></i>
+                  </span>
+                )}
+                {renderStatus(sub)}
+              </div>
+              <div className="subscription-row-details">
+                <span className="subscription-qos">
+                  Requested QoS {sub.qos}
+                  {!sub.rejected && sub.grantedQos !== undefined && (
+                    <> · Granted QoS {sub.grantedQos}</>
+                  )}
+                </span>
+                {renderOptionChips(sub)}
+                <div className="subscription-actions">
+                  {!sub.rejected && !savedTopics.has(sub.topic) && (
+                    <button
+                      className="subscription-icon-btn"
+                      onClick={() => handleSaveOne(sub)}
+                      title="Save to connection"
+                    >
+                      <i className="fas fa-save"></i>
+                    </button>
+                  )}
+                  {sub.rejected ? (
+                    <button
+                      className="subscription-icon-btn danger"
+                      onClick={() => handleDismiss(sub)}
+                      title="Dismiss"
+                    >
+                      <i className="fas fa-times"></i>
+                    </button>
+                  ) : (
+                    <button
+                      className="btn btn-sm btn-danger"
+                      onClick={() => handleUnsubscribe(sub)}
+                      disabled={!isConnected || pendingTopics.has(sub.topic)}
+                    >
+                      {pendingTopics.has(sub.topic) ? (
+                        <i className="fas fa-spinner fa-spin"></i>
+                      ) : (
+                        <i className="fas fa-minus-circle"></i>
+                      )}{' '}
+                      Unsubscribe
+                    </button>
+                  )}
+                </div>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SubscriptionPanel;
@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import type { SubscriptionConfig } from '../../../../../shared/ipc';
+import { MAX_SUBSCRIPTION_IDENTIFIER, validateTopicFilter } from './subscriptionHelpers';
+
+interface Props {
+  isMqtt5: boolean;
+  disabled: boolean;
+  onSubscribe: (subscription: SubscriptionConfig) => Promise<boolean>;
+}
+
+function AddSubscriptionForm({ isMqtt5, disabled, onSubscribe }: Props) {
+  const [topic, setTopic] = useState('');
+  const [qos, setQos] = useState(0);
+  const [noLocal, setNoLocal] = useState(false);
+  const [retainAsPublished, setRetainAsPublished] = useState(false);
+  const [retainHandling, setRetainHandling] = useState<0 | 1 | 2>(0);
+  const [subscriptionIdentifier, setSubscriptionIdentifier] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const filter = topic.trim();
+    const filterError = validateTopicFilter(filter);
+    if (filterError) {
+      setError(filterError);
+      return;
+    }
+
+    const identifier = parseInt(subscriptionIdentifier, 10);
+    if (
+      isMqtt5 &&
+      subscriptionIdentifier.trim() &&
+      (isNaN(identifier) || identifier < 1 || identifier > MAX_SUBSCRIPTION_IDENTIFIER)
+    ) {
+      setError(`Subscription identifier must be between 1 and ${MAX_SUBSCRIPTION_IDENTIFIER}`);
+      return;
+    }
+
+    setError(null);
+    setIsSubmitting(true);
+    const ok = await onSubscribe({
+      topic: filter,
+      qos,
+      ...(isMqtt5 && {
+        ...(noLocal && { noLocal }),
+        ...(retainAsPublished && { retainAsPublished }),
+        ...(retainHandling > 0 && { retainHandling }),
+        ...(!isNaN(identifier) && { subscriptionIdentifier: identifier }),
+      }),
+    });
+    setIsSubmitting(false);
+    if (ok) setTopic('');
+  };
+
+  return (
+    <form className="subscription-add-form" onSubmit={handleSubmit}>
+      <div className="subscription-add-row">
+        <input
+          type="text"
+          className="subscription-topic-input"
+          value={topic}
+          onChange={(e) => {
+            setTopic(e.target.value);
+            setError(null);
+          }}
+          placeholder="Topic filter (e.g., sensors/+/temperature)"
+          disabled={disabled || isSubmitting}
+          autoComplete="off"
+        />
+        <select
+          value={qos}
+          onChange={(e) => setQos(parseInt(e.target.value, 10))}
+          disabled={disabled || isSubmitting}
+          title="Requested QoS"
+        >
+          <option value={0}>QoS 0</option>
+          <option value={1}>QoS 1</option>
+          <option value={2}>QoS 2</option>
+        </select>
+        <button
+          type="submit"
+          className="btn btn-md btn-primary"
+          disabled={disabled || isSubmitting || !topic.trim()}
+        >
+          {isSubmitting ? (
+            <i className="fas fa-spinner fa-spin"></i>
+          ) : (
+            <i className="fas fa-plus"></i>
+          )}{' '}
+          Subscribe
+        </button>
+      </div>
+
+      {isMqtt5 && (
+        <div className="subscription-options-row">
+          <label title="Don't deliver messages published by this client">
+            <input
+              type="checkbox"
+              checked={noLocal}
+              onChange={(e) => setNoLocal(e.target.checked)}
+              disabled={disabled || isSubmitting}
+            />
+            No Local
+          </label>
+          <label title="Keep the retain flag as set by the publisher">
+            <input
+              type="checkbox"
+              checked={retainAsPublished}
+              onChange={(e) => setRetainAsPublished(e.target.checked)}
+              disabled={disabled || isSubmitting}
+            />
+            Retain As Published
+          </label>
+          <label>
+            Retain Handling
+            <select
+              value={retainHandling}
+              onChange={(e) => setRetainHandling(parseInt(e.target.value, 10) as 0 | 1 | 2)}
+              disabled={disabled || isSubmitting}
+            >
+              <option value={0}>0 – Send on subscribe</option>
+              <option value={1}>1 – Only if new subscription</option>
+              <option value={2}>2 – Never send</option>
+            </select>
+          </label>
+          <label>
+            Subscription ID
+            <input
+              type="number"
+              min="1"
+              max={MAX_SUBSCRIPTION_IDENTIFIER}
+              value={subscriptionIdentifier}
+              onChange={(e) => setSubscriptionIdentifier(e.target.value)}
+              placeholder="none"
+              disabled={disabled || isSubmitting}
+            />
+          </label>
+        </div>
+      )}
+
+      {error && <div className="subscription-form-error">{error}</div>}
+    </form>
+  );
+}
+
+export default React.memo(AddSubscriptionForm);
@@ -0,0 +1,52 @@
+import type { SubscribedEventData, SubscriptionConfig } from '../../../../../shared/ipc';
+
+// SUBACK failure reason codes (MQTT 5 §3.9.3; 3.1.1 only ever sends 0x80).
+const SUBACK_REASONS: Record<number, string> = {
+  0x80: 'Unspecified error',
+  0x83: 'Implementation specific error',
+  0x87: 'Not authorized',
+  0x8f: 'Topic filter invalid',
+  0x91: 'Packet identifier in use',
+  0x97: 'Quota exceeded',
+  0x9e: 'Shared subscriptions not supported',
+  0xa1: 'Subscription identifiers not supported',
+  0xa2: 'Wildcard subscriptions not supported',
+};
+
+export const MAX_SUBSCRIPTION_IDENTIFIER = 268435455;
+
+export function describeSubackReason(code: number | undefined): string {
+  if (code === undefined) return 'Rejected';
+  const hex = `0x${code.toString(16).padStart(2, '0')}`;
+  return `${SUBACK_REASONS[code] || 'Rejected'} (${hex})`;
+}
+
+/** Returns an error message, or null when the filter is valid. */
+export function validateTopicFilter(filter: string): string | null {
+  if (!filter) return 'Topic filter is required';
+  if (filter.includes('\u0000')) return 'Topic filter must not contain null characters';
+  const levels = filter.split('/');
+  for (let i = 0; i < levels.length; i++) {
+    const level = levels[i];
+    if (level.includes('#') && (level !== '#' || i !== levels.length - 1)) {
+      return "'#' must be a whole level at the end of the filter";
+    }
+    if (level.includes('+') && level !== '+') {
+      return "'+' must occupy a whole level";
+    }
+  }
+  return null;
+}
+
+/** Convert a live subscription back into the shape stored in the connection config. */
+export function toSubscriptionConfig(sub: SubscribedEventData): SubscriptionConfig {
+  const identifier = sub.properties?.subscriptionIdentifier;
+  return {
+    topic: sub.topic,
+    qos: sub.qos,
+    ...(sub.options?.noLocal && { noLocal: true }),
+    ...(sub.options?.retainAsPublished && { retainAsPublished: true }),
+    ...(!!sub.options?.retainHandling && { retainHandling: sub.options.retainHandling }),
+    ...(typeof identifier === 'number' && { subscriptionIdentifier: identifier }),
+  };
+}
@@ -1,27 +1,46 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useVirtualizer } from '@tanstack/react-virtual';
 import TopicTreeNode from './TopicTreeNode';
+import MessageSearchModal, { EMPTY_SEARCH_FORM } from './topicTree/MessageSearchModal';
+import TopicViewFilterBar from './topicTree/TopicViewFilterBar';
+import TopicViewFilterService, { isViewFilterActive, viewFilterPredicate } from '../../services/TopicViewFilterService';
 import './TopicTree.css';
 
-function TopicTreeComponent({ connectionId, onTopicSelect, topicTreeService }) {
+function TopicTreeComponent({ connectionId, onTopicSelect, onMessageFocus, topicTreeService }) {
   const [nodes, setNodes] = useState([]);
   const [statistics, setStatistics] = useState(null);
   const [selectedNode, setSelectedNode] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [showSearch, setShowSearch] = useState(false);
+  const [searchForm, setSearchForm] = useState(EMPTY_SEARCH_FORM);
+  const [viewFilter, setViewFilter] = useState(() => TopicViewFilterService.getFilter(connectionId));
+  const [showFilterBar, setShowFilterBar] = useState(false);
 
   const scrollRef = useRef(null);
   const pendingRaf = useRef(null);
+  const pendingReveal = useRef(null); // topic to scroll to once its row is loaded
+
+  const filterActive = isViewFilterActive(viewFilter);
+
+  // View filters are saved per connection.
+  useEffect(() => {
+    setViewFilter(TopicViewFilterService.getFilter(connectionId));
+    const handleFilterChanged = (data) => { if (data.connectionId === connectionId) setViewFilter(data.filter); };
+    TopicViewFilterService.on('changed', handleFilterChanged);
+    return () => TopicViewFilterService.off('changed', handleFilterChanged);
+  }, [connectionId]);
 
   const loadNodes = useCallback(() => {
     try {
-      setNodes(topicTreeService.getTopicTreeNodes(connectionId, false));
-      setStatistics(topicTreeService.getTopicTreeStatistics(connectionId));
+      const showTopic = viewFilterPredicate(viewFilter);
+      setNodes(topicTreeService.getTopicTreeNodes(connectionId, false, showTopic));
+      setStatistics(topicTreeService.getTopicTreeStatistics(connectionId, showTopic));
       setIsLoading(false);
     } catch (err) {
       console.error('Error loading topic tree nodes:', err);
       setIsLoading(false);
     }
-  }, [connectionId, topicTreeService]);
+  }, [connectionId, topicTreeService, viewFilter]);
 
   const scheduleLoad = useCallback(() => {
     if (pendingRaf.current) return;
@@ -57,7 +76,9 @@ function TopicTreeComponent({ connectionId, onTopicSelect, topicTreeService }) {
 
     const handleRatesUpdated = (data) => {
       if (data.trees && data.trees[connectionId]) {
-        setStatistics(data.trees[connectionId]);
+        // The emitted statistics cover the whole tree; a filtered view counts its own topics.
+        const showTopic = viewFilterPredicate(viewFilter);
+        setStatistics(showTopic ? topicTreeService.getTopicTreeStatistics(connectionId, showTopic) : data.trees[connectionId]);
       }
     };
 
@@ -80,7 +101,19 @@ function TopicTreeComponent({ connectionId, onTopicSelect, topicTreeService }) {
       topicTreeService.off('treeRemoved',  handleTreeRemoved);
       topicTreeService.off('ratesUpdated', handleRatesUpdated);
     };
-  }, [connectionId, topicTreeService, loadNodes, scheduleLoad]);
+  }, [connectionId, topicTreeService, loadNodes, scheduleLoad, viewFilter]);
+
+  // Topics fall quiet without any event, so re-apply an "active in the last N minutes" filter now and then.
+  useEffect(() => {
+    if (viewFilter.activeWithinMinutes === null) return;
+    const timer = setInterval(scheduleLoad, 10000);
+    return () => clearInterval(timer);
+  }, [viewFilter, scheduleLoad]);
+
+  const handleViewFilterChange = useCallback(
+    (filter) => TopicViewFilterService.setFilter(connectionId, filter),
+    [connectionId]
+  );
 
   const handleNodeClick = useCallback((node) => {
     const hasDirectMessages = node.hasDirectMessages || node.isLeaf;
@@ -100,6 +133,17 @@ function TopicTreeComponent({ connectionId, onTopicSelect, topicTreeService }) {
   const handleCollapseAll = useCallback(() => topicTreeService.expandTopicTreeToDepth(connectionId, 0),  [connectionId, topicTreeService]);
   const handleClearTree  = useCallback(() => topicTreeService.clearTopicTree(connectionId), [connectionId, topicTreeService]);
 
+  // A search result: select its topic, reveal it in the tree and have the message panel show the message.
+  const handleSearchNavigate = useCallback((hit) => {
+    setShowSearch(false);
+    const node = topicTreeService.revealTopic(connectionId, hit.topic);
+    if (!node) return;
+    pendingReveal.current = hit.topic;
+    setSelectedNode(hit.topic);
+    if (onTopicSelect) onTopicSelect(hit.topic, node);
+    if (onMessageFocus) onMessageFocus(hit);
+  }, [connectionId, topicTreeService, onTopicSelect, onMessageFocus]);
+
   // Virtualize: only render visible topic rows (massive DOM savings)
   const rowVirtualizer = useVirtualizer({
     count: nodes.length,
@@ -108,6 +152,14 @@ function TopicTreeComponent({ connectionId, onTopicSelect, topicTreeService }) {
     overscan: 15,
   });
 
+  useEffect(() => {
+    if (!pendingReveal.current) return;
+    const index = nodes.findIndex(n => n.fullPath === pendingReveal.current);
+    if (index < 0) return;
+    pendingReveal.current = null;
+    rowVirtualizer.scrollToIndex(index, { align: 'center' });
+  }, [nodes, rowVirtualizer]);
+
 
   if (isLoading) {
     return (
@@ -120,7 +172,7 @@ function TopicTreeComponent({ connectionId, onTopicSelect, topicTreeService }) {
     );
   }
 
-  if (nodes.length === 0) {
+  if (nodes.length === 0 && !filterActive) {
     return (
       <div className="topic-tree-container">
         <div className="topic-tree-header">
@@ -144,18 +196,36 @@ function TopicTreeComponent({ connectionId, onTopicSelect, topicTreeService }) {
             <button onClick={handleExpandAll}  className="tree-control-btn expand-btn"   title="Expand all topics"><i className="fas fa-expand-arrows-alt"></i></button>
             <button onClick={handleCollapseAll} className="tree-control-btn collapse-btn" title="Collapse all topics"><i className="fas fa-compress-arrows-alt"></i></button>
             <button onClick={handleClearTree}  className="tree-control-btn clear-btn"    title="Clear topic tree"><i className="fas fa-trash"></i></button>
+            <button onClick={() => setShowSearch(true)} className="tree-control-btn search-btn" title="Search message history"><i className="fas fa-search"></i></button>
+            <button onClick={() => setShowFilterBar(v => !v)} className={`tree-control-btn filter-btn ${filterActive ? 'active' : ''}`} title="Filter the topics shown"><i className="fas fa-filter"></i></button>
           </div>
         </div>
+        {showFilterBar && <TopicViewFilterBar filter={viewFilter} onChange={handleViewFilterChange} />}
         {statistics && (
           <div className="topic-tree-stats">
             <span className="stat-item"><i className="fas fa-sitemap"></i> {statistics.totalNodes} topics</span>
             <span className="stat-item"><i className="fas fa-envelope"></i> {statistics.totalMessages} messages</span>
             <span className="stat-item"><i className="fas fa-tachometer-alt"></i> {statistics.totalRate?.toFixed(1)} msg/s</span>
+            {filterActive && (
+              <span className="stat-item stat-item-filtered" title="Counts cover only the topics the view filter shows">
+                <i className="fas fa-filter"></i> filtered
+              </span>
+            )}
+            {statistics.driftingTopics > 0 && (
+              <span className="stat-item stat-item-drift" title="Topics whose payloads drifted from their schema">
+                <i className="fas fa-random"></i> {statistics.driftingTopics} drifting
+              </span>
+            )}
           </div>
         )}
       </div>
 
       <div className="topic-tree-content" ref={scrollRef}>
+        {nodes.length === 0 && (
+          <div className="topic-tree-empty">
+            <p>No topics match the view filter.</p>
+          </div>
+        )}
         <div style={{ height: `${rowVirtualizer.getTotalSize()}px`, position: 'relative' }}>
           {rowVirtualizer.getVirtualItems().map((virtualRow) => {
             const node = nodes[virtualRow.index];
@@ -181,6 +251,16 @@ function TopicTreeComponent({ connectionId, onTopicSelect, topicTreeService }) {
           })}
         </div>
       </div>
+
+      {showSearch && (
+        <MessageSearchModal
+          connectionId={connectionId}
+          form={searchForm}
+          onFormChange={setSearchForm}
+          onNavigate={handleSearchNavigate}
+          onClose={() => setShowSearch(false)}
+        />
+      )}
     </div>
   );
 }
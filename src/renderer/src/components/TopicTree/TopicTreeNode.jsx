@@ -11,7 +11,8 @@ function TopicTreeNode({ node, onClick, isSelected }) {
 
   const formatMessage = (message) => {
     if (!message || !message.payload) return '';
-    let payload = message.payload.toString();
+    if (message.isBinary) return `<binary, ${message.size} bytes>`;
+    let payload = message.payload;
     try {
       payload = JSON.stringify(JSON.parse(payload));
     } catch (_) {}
@@ -27,6 +28,8 @@ function TopicTreeNode({ node, onClick, isSelected }) {
   const hasPayload        = !!node.lastMessage;
   const hasDirectMessages = node.hasDirectMessages || node.isLeaf;
   const hasRetainedMessage = node.lastMessage?.retain;
+  const lastMessageInvalid = node.lastMessage?.schemaErrors > 0;
+  const lastMessageDrifted = node.lastMessage?.driftIssues > 0;
   const subtopicCount     = node.hasChildren ? (node.childCount || 0) : 0;
 
   return (
@@ -45,6 +48,22 @@ function TopicTreeNode({ node, onClick, isSelected }) {
                 <i className="fas fa-save"></i> Retained
               </span>
             )}
+            {node.invalidCount > 0 && (
+              <span
+                className={`schema-invalid-bubble ${lastMessageInvalid ? 'latest-invalid' : ''}`}
+                title={`${node.invalidCount} message${node.invalidCount > 1 ? 's' : ''} failed schema validation${lastMessageInvalid ? ', including the latest' : '; the latest is valid'}`}
+              >
+                <i className="fas fa-exclamation-triangle"></i> {node.invalidCount} Invalid
+              </span>
+            )}
+            {node.driftCount > 0 && (
+              <span
+                className={`schema-drift-bubble ${lastMessageDrifted ? 'latest-drift' : ''}`}
+                title={`${node.driftCount} message${node.driftCount > 1 ? 's' : ''} drifted from the topic's schema. Latest change: ${node.lastDrift}`}
+              >
+                <i className="fas fa-random"></i> {node.driftCount} Drift
+              </span>
+            )}
             {subtopicCount > 0 && (
               <span className="subtopic-bubble" title={`${subtopicCount} subtopic${subtopicCount > 1 ? 's' : ''}`}>
                 <i className="fas fa-sitemap"></i> {subtopicCount} Subtopic{subtopicCount > 1 ? 's' : ''}
@@ -0,0 +1,277 @@
+import React, { useEffect, useState } from 'react';
+import SearchService, {
+  type SearchHit,
+  type SearchMode,
+  type SearchQuery,
+  type SearchResult,
+} from '../../../services/SearchService';
+import { SEARCH } from '../../../config';
+
+/** The search inputs as typed; kept by the caller so reopening shows the last search. */
+export interface SearchForm {
+  text: string;
+  mode: SearchMode;
+  caseSensitive: boolean;
+  topicFilter: string;
+  from: string; // datetime-local values
+  to: string;
+  qos: number[];
+  retain: 'any' | 'retained' | 'live';
+  properties: string;
+}
+
+export const EMPTY_SEARCH_FORM: SearchForm = {
+  text: '',
+  mode: 'text',
+  caseSensitive: false,
+  topicFilter: '',
+  from: '',
+  to: '',
+  qos: [],
+  retain: 'any',
+  properties: '',
+};
+
+const PLACEHOLDERS: Record<SearchMode, string> = {
+  text: 'Text in payloads',
+  regex: 'Regular expression, e.g. error|fault',
+  jsonpath: 'e.g. $.battery < 20 && $.status == "online"',
+};
+
+const SEARCH_DELAY_MS = 250;
+
+interface Props {
+  connectionId: string;
+  form: SearchForm;
+  onFormChange: (form: SearchForm) => void;
+  onNavigate: (hit: SearchHit) => void;
+  onClose: () => void;
+}
+
+function toQuery(form: SearchForm): SearchQuery {
+  const time = (value: string) => (value ? new Date(value).getTime() : NaN);
+  const from = time(form.from);
+  const to = time(form.to);
+  return {
+    text: form.text,
+    mode: form.mode,
+    caseSensitive: form.caseSensitive,
+    topicFilter: form.topicFilter,
+    from: Number.isNaN(from) ? undefined : from,
+    to: Number.isNaN(to) ? undefined : to,
+    qos: form.qos,
+    retain: form.retain === 'any' ? undefined : form.retain === 'retained',
+    properties: form.properties,
+  };
+}
+
+function Excerpt({ hit }: { hit: SearchHit }) {
+  if (!hit.match) return <span className="message-search-excerpt">{hit.excerpt}</span>;
+  const [start, end] = hit.match;
+  return (
+    <span className="message-search-excerpt">
+      {hit.excerpt.slice(0, start)}
+      <mark>{hit.excerpt.slice(start, end)}</mark>
+      {hit.excerpt.slice(end)}
+    </span>
+  );
+}
+
+function MessageSearchModal({ connectionId, form, onFormChange, onNavigate, onClose }: Props) {
+  const [result, setResult] = useState<SearchResult | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [searchCount, setSearchCount] = useState(0); // bumped to search again
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      try {
+        setResult(SearchService.search(connectionId, toQuery(form)));
+        setError(null);
+      } catch (err) {
+        setResult(null);
+        setError((err as Error).message);
+      }
+    }, SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [connectionId, form, searchCount]);
+
+  const update = (changes: Partial<SearchForm>) => onFormChange({ ...form, ...changes });
+
+  const toggleQos = (qos: number) =>
+    update({
+      qos: form.qos.includes(qos) ? form.qos.filter((q) => q !== qos) : [...form.qos, qos],
+    });
+
+  return (
+    <div className="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+      <div className="modal-container decoder-modal message-search-modal">
+        <div className="modal-header">
+          <h2>
+            <i className="fas fa-search"></i> Search Messages
+          </h2>
+          <button onClick={onClose} className="modal-close-btn">
+            <i className="fas fa-times"></i>
+          </button>
+        </div>
+
+        <div className="decoder-modal-body">
+          <section>
+            <div className="message-search-row">
+              <input
+                type="text"
+                className="form-input message-search-text"
+                value={form.text}
+                onChange={(e) => update({ text: e.target.value })}
+                placeholder={PLACEHOLDERS[form.mode]}
+                autoFocus
+              />
+              <select
+                className="form-input"
+                value={form.mode}
+                onChange={(e) => update({ mode: e.target.value as SearchMode })}
+              >
+                <option value="text">Text</option>
+                <option value="regex">Regex</option>
+                <option value="jsonpath">JSONPath</option>
+              </select>
+              {form.mode !== 'jsonpath' && (
+                <label className="message-search-check">
+                  <input
+                    type="checkbox"
+                    checked={form.caseSensitive}
+                    onChange={(e) => update({ caseSensitive: e.target.checked })}
+                  />
+                  Aa
+                </label>
+              )}
+              <button
+                type="button"
+                className="btn btn-sm btn-secondary"
+                onClick={() => setSearchCount((n) => n + 1)}
+                title="Search again, including messages received since"
+              >
+                <i className="fas fa-sync-alt"></i>
+              </button>
+            </div>
+
+            <div className="message-search-row">
+              <input
+                type="text"
+                className="form-input"
+                value={form.topicFilter}
+                onChange={(e) => update({ topicFilter: e.target.value })}
+                placeholder="Topic filter, e.g. sensors/+/battery"
+              />
+              <input
+                type="text"
+                className="form-input"
+                value={form.properties}
+                onChange={(e) => update({ properties: e.target.value })}
+                placeholder="MQTT 5 property, e.g. contentType=application/json"
+              />
+            </div>
+
+            <div className="message-search-row">
+              <label className="message-search-check">
+                From
+                <input
+                  type="datetime-local"
+                  step="1"
+                  className="form-input"
+                  value={form.from}
+                  onChange={(e) => update({ from: e.target.value })}
+                />
+              </label>
+              <label className="message-search-check">
+                To
+                <input
+                  type="datetime-local"
+                  step="1"
+                  className="form-input"
+                  value={form.to}
+                  onChange={(e) => update({ to: e.target.value })}
+                />
+              </label>
+            </div>
+
+            <div className="message-search-row">
+              <span className="message-search-label">QoS</span>
+              {[0, 1, 2].map((qos) => (
+                <label key={qos} className="message-search-check">
+                  <input
+                    type="checkbox"
+                    checked={form.qos.includes(qos)}
+                    onChange={() => toggleQos(qos)}
+                  />
+                  {qos}
+                </label>
+              ))}
+              <select
+                className="form-input"
+                value={form.retain}
+                onChange={(e) => update({ retain: e.target.value as SearchForm['retain'] })}
+              >
+                <option value="any">Retained and live</option>
+                <option value="retained">Retained only</option>
+                <option value="live">Live only</option>
+              </select>
+              <button
+                type="button"
+                className="btn btn-sm btn-secondary"
+                onClick={() => onFormChange(EMPTY_SEARCH_FORM)}
+              >
+                <i className="fas fa-eraser"></i> Reset
+              </button>
+            </div>
+
+            {error && <div className="decoder-modal-error">{error}</div>}
+            {result && (
+              <div className="decoder-modal-hint">
+                {result.total === 0
+                  ? 'No matching messages'
+                  : result.total > result.hits.length
+                    ? `Showing the newest ${SEARCH.MAX_RESULTS} of ${result.total} matches`
+                    : `${result.total} ${result.total === 1 ? 'match' : 'matches'}`}
+                {` in ${result.scanned} messages`}
+              </div>
+            )}
+          </section>
+
+          {result && result.hits.length > 0 && (
+            <ul className="message-search-results">
+              {result.hits.map((hit, i) => (
+                <li key={`${hit.topic}-${hit.messageId}-${i}`}>
+                  <button
+                    type="button"
+                    className="message-search-hit"
+                    onClick={() => onNavigate(hit)}
+                  >
+                    <span className="message-search-hit-meta">
+                      <span className="message-search-hit-time">
+                        {new Date(hit.timestamp).toLocaleString()}
+                      </span>
+                      <span className="message-search-hit-topic" title={hit.topic}>
+                        {hit.topic}
+                      </span>
+                      <span className={`badge badge-qos-${hit.qos}`}>QoS {hit.qos}</span>
+                      {hit.retain && <span className="badge badge-retain">RETAIN</span>}
+                    </span>
+                    <Excerpt hit={hit} />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <button className="btn btn-md btn-secondary" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default React.memo(MessageSearchModal);
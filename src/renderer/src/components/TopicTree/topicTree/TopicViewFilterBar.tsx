@@ -0,0 +1,135 @@
+import React, { useEffect, useState } from 'react';
+import {
+  EMPTY_VIEW_FILTER,
+  isViewFilterActive,
+  type TopicViewFilter,
+} from '../../../services/TopicViewFilterService';
+import { validateTopicPattern } from '../../../../../shared/topic-filter';
+
+const DEFAULT_ACTIVE_MINUTES = 10;
+
+interface Props {
+  filter: TopicViewFilter;
+  onChange: (filter: TopicViewFilter) => void;
+}
+
+function splitPatterns(text: string): string[] {
+  return text
+    .split(',')
+    .map((pattern) => pattern.trim())
+    .filter(Boolean);
+}
+
+function TopicViewFilterBar({ filter, onChange }: Props) {
+  const [include, setInclude] = useState(filter.include.join(', '));
+  const [exclude, setExclude] = useState(filter.exclude.join(', '));
+  const [error, setError] = useState<string | null>(null);
+
+  // Follow the saved filter, e.g. after switching connections.
+  useEffect(() => {
+    setInclude(filter.include.join(', '));
+    setExclude(filter.exclude.join(', '));
+    setError(null);
+  }, [filter]);
+
+  const applyPatterns = () => {
+    const patterns = { include: splitPatterns(include), exclude: splitPatterns(exclude) };
+    const invalid = [...patterns.include, ...patterns.exclude]
+      .map(validateTopicPattern)
+      .find(Boolean);
+    if (invalid) {
+      setError(invalid);
+      return;
+    }
+    setError(null);
+    const unchanged =
+      patterns.include.join() === filter.include.join() &&
+      patterns.exclude.join() === filter.exclude.join();
+    if (!unchanged) onChange({ ...filter, ...patterns });
+  };
+
+  const handleKeyDown = (e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (e.key === 'Enter') applyPatterns();
+  };
+
+  return (
+    <div className="topic-view-filter">
+      <div className="topic-view-filter-row">
+        <label htmlFor="topic-view-include">Show</label>
+        <input
+          id="topic-view-include"
+          type="text"
+          className="form-input"
+          value={include}
+          onChange={(e) => setInclude(e.target.value)}
+          onBlur={applyPatterns}
+          onKeyDown={handleKeyDown}
+          placeholder="All topics, or e.g. factory/+/line/#"
+        />
+      </div>
+      <div className="topic-view-filter-row">
+        <label htmlFor="topic-view-exclude">Hide</label>
+        <input
+          id="topic-view-exclude"
+          type="text"
+          className="form-input"
+          value={exclude}
+          onChange={(e) => setExclude(e.target.value)}
+          onBlur={applyPatterns}
+          onKeyDown={handleKeyDown}
+          placeholder="e.g. #/debug, $SYS/#"
+        />
+      </div>
+      <div className="topic-view-filter-row">
+        <label className="topic-view-filter-check">
+          <input
+            type="checkbox"
+            checked={filter.activeWithinMinutes !== null}
+            onChange={(e) =>
+              onChange({
+                ...filter,
+                activeWithinMinutes: e.target.checked ? DEFAULT_ACTIVE_MINUTES : null,
+              })
+            }
+          />
+          Active in the last
+        </label>
+        <input
+          type="number"
+          min="1"
+          className="form-input topic-view-filter-minutes"
+          value={filter.activeWithinMinutes ?? DEFAULT_ACTIVE_MINUTES}
+          disabled={filter.activeWithinMinutes === null}
+          onChange={(e) => {
+            const minutes = Number(e.target.value);
+            if (minutes > 0) onChange({ ...filter, activeWithinMinutes: minutes });
+          }}
+        />
+        <span className="topic-view-filter-check">min</span>
+        <label className="topic-view-filter-check">
+          <input
+            type="checkbox"
+            checked={filter.retainedOnly}
+            onChange={(e) => onChange({ ...filter, retainedOnly: e.target.checked })}
+          />
+          Retained only
+        </label>
+        <button
+          type="button"
+          className="btn btn-sm btn-secondary"
+          onClick={() => onChange(EMPTY_VIEW_FILTER)}
+          disabled={!isViewFilterActive(filter)}
+        >
+          Clear
+        </button>
+      </div>
+      {error && <div className="topic-view-filter-error">{error}</div>}
+      <div className="topic-view-filter-hint">
+        Separate patterns with commas. <code>+</code> matches one level, <code>#</code> any number
+        of levels, anywhere in a pattern.
+      </div>
+    </div>
+  );
+}
+
+export default React.memo(TopicViewFilterBar);
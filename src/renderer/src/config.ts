@@ -22,6 +22,19 @@ export const MESSAGE_HISTORY = {
   COMPACTION_FACTOR: 10,
 };
 
+export const SCHEMA_DRIFT = {
+  WARMUP_MESSAGES: 20, // JSON payloads a topic's baseline schema is inferred from
+};
+
+export const CHART = {
+  PINNED_MAX_POINTS: 50000, // per pinned series, well past the message history
+};
+
+export const SEARCH = {
+  MAX_RESULTS: 500,
+  MAX_INDEXED_CHARS: 64 * 1024, // of each payload's text; the rest is not searched
+};
+
 export const UI = {
   RATE_UPDATE_INTERVAL_MS: 100,
   RATE_EMIT_INTERVAL_MS: 250,
@@ -1,7 +1,8 @@
 import { useState, useEffect, useMemo } from 'react';
 import MQTTService from '../services/MQTTService';
 import TopicTreeService from '../services/TopicTreeService';
-import type { ConnectionConfig } from '../../../shared/ipc';
+import OfflineAnalysisService from '../services/OfflineAnalysisService';
+import type { ConnectionConfig, RecordingMeta, SubscriptionConfig } from '../../../shared/ipc';
 
 type ShowFeedback = (message: string, type?: string) => void;
 type ConnectionFormData = ConnectionConfig & { id?: string };
@@ -12,6 +13,7 @@ export interface ConnectionView {
   isConnected: boolean;
   status: string;
   subscriptions?: string[];
+  offline?: { recordingId: string }; // a recording opened for analysis; never touches a broker
 }
 
 export function useConnections(
@@ -49,7 +51,9 @@ export function useConnections(
     if (connections.length > 0) {
       localStorage.setItem(
         'mqtt-connections',
-        JSON.stringify(connections.map((c) => ({ id: c.id, config: c.config }))),
+        JSON.stringify(
+          connections.filter((c) => !c.offline).map((c) => ({ id: c.id, config: c.config })),
+        ),
       );
     } else {
       localStorage.removeItem('mqtt-connections');
@@ -61,8 +65,8 @@ export function useConnections(
       const mainConns = await MQTTService.refreshConnectionsFromMain();
       const local = MQTTService.getAllConnections();
       if (local.length === 0) return;
-      setConnections(
-        local.map((lc) => {
+      setConnections((prev) => [
+        ...local.map((lc) => {
           const mc = mainConns[lc.id];
           return mc
             ? {
@@ -73,7 +77,8 @@ export function useConnections(
               }
             : { ...lc, isConnected: false, status: 'disconnected' };
         }),
-      );
+        ...prev.filter((c) => c.offline),
+      ]);
     } catch (err) {
       console.error('Failed to update connections list:', err);
     }
@@ -174,7 +179,40 @@ export function useConnections(
     }
   };
 
+  // Write live subscription changes back into the saved config; no reconnect needed
+  // since the broker already has them.
+  const handleSubscriptionsSave = (connectionId: string, subscriptions: SubscriptionConfig[]) => {
+    const existing = connections.find((c) => c.id === connectionId);
+    if (!existing) return;
+    const config = { ...existing.config, subscriptions };
+    setConnections((prev) => prev.map((c) => (c.id === connectionId ? { ...c, config } : c)));
+    MQTTService.updateConnectionConfig(connectionId, config).catch(() => {
+      /* config cache update is best-effort */
+    });
+  };
+
+  // Open a recording as a virtual connection whose topic tree is fed from the file.
+  const openOfflineConnection = (recording: RecordingMeta) => {
+    const connectionId = OfflineAnalysisService.open(recording);
+    setConnections((prev) =>
+      prev.some((c) => c.id === connectionId)
+        ? prev
+        : [
+            ...prev,
+            {
+              id: connectionId,
+              config: { name: recording.name },
+              isConnected: false,
+              status: 'offline',
+              offline: { recordingId: recording.id },
+            },
+          ],
+    );
+    handleConnectionSelect(connectionId);
+  };
+
   const handleConnectionToggle = async (connectionId: string) => {
+    if (OfflineAnalysisService.isOffline(connectionId)) return;
     try {
       const mainConns = await MQTTService.refreshConnectionsFromMain();
       const local = connections.find((c) => c.id === connectionId);
@@ -183,7 +221,9 @@ export function useConnections(
         return;
       }
 
-      const isConnected = mainConns[connectionId]?.isConnected || false;
+      // A connection waiting on a reconnect attempt is still live in main; stopping cancels it.
+      const isConnected =
+        mainConns[connectionId]?.isConnected || mainConns[connectionId]?.isReconnecting || false;
       if (isConnected) {
         TopicTreeService.removeTopicTree(connectionId);
         await MQTTService.disconnect(connectionId);
@@ -215,7 +255,11 @@ export function useConnections(
 
   const handleConnectionDelete = async (connectionId: string) => {
     try {
-      await MQTTService.deleteConnection(connectionId);
+      if (OfflineAnalysisService.isOffline(connectionId)) {
+        OfflineAnalysisService.close(connectionId);
+      } else {
+        await MQTTService.deleteConnection(connectionId);
+      }
       TopicTreeService.removeTopicTree(connectionId);
 
       setLastSelectedTopics((prev) => {
@@ -257,5 +301,7 @@ export function useConnections(
     handleConnectionSelect,
     handleConnectionToggle,
     handleConnectionDelete,
+    handleSubscriptionsSave,
+    openOfflineConnection,
   };
 }
@@ -65,18 +65,13 @@ export function useMessages(
   const connectionMessages = useMemo(() => {
     if (!selectedConnection || !selectedTopic) return [];
     const conn = connections.find((c) => c.id === selectedConnection);
-    if (!conn?.isConnected && conn?.status !== 'connected') return [];
+    if (!conn?.isConnected && conn?.status !== 'connected' && conn?.status !== 'offline') return [];
     void updateTick; // re-compute when the tree updates
     return TopicTreeService.getTopicMessages(selectedConnection, selectedTopic.topicPath);
   }, [selectedConnection, selectedTopic, connections, updateTick]);
 
-  // RecordingPanel still reads this; it stays empty until that panel is migrated
-  // to the ring-buffer source (tracked in Phase 3/4).
-  const allConnectionMessages = useMemo(() => [], []);
-
   return {
     connectionMessages,
-    allConnectionMessages,
     handleClearMessages,
   };
 }
@@ -29,7 +29,7 @@ export function useUIState(selectedConnection: string | null) {
     );
   }, [sidebarCollapsed, topicTreeWidth]);
 
-  // Tab shortcuts (F1–F4).
+  // Tab shortcuts (F1–F5).
   useEffect(() => {
     if (!selectedConnection) return;
     const onKey = (e: KeyboardEvent) => {
@@ -50,6 +50,10 @@ export function useUIState(selectedConnection: string | null) {
           e.preventDefault();
           setActiveTab('simulation');
           break;
+        case 'F5':
+          e.preventDefault();
+          setActiveTab('subscriptions');
+          break;
         default:
           break;
       }
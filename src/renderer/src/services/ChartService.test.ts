@@ -0,0 +1,110 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import ChartService, { SERIES_COLORS } from './ChartService';
+import SchemaService from './SchemaService';
+import TopicTreeService from './TopicTreeService';
+import type { StoredMessage } from './models/TopicNode';
+
+vi.hoisted(() => {
+  const items = new Map<string, string>();
+  vi.stubGlobal('localStorage', {
+    getItem: (key: string) => items.get(key) ?? null,
+    setItem: (key: string, value: string) => void items.set(key, String(value)),
+    removeItem: (key: string) => void items.delete(key),
+  });
+});
+
+vi.mock('./TopicTreeService', () => ({ default: { on: vi.fn(), getTopicTree: vi.fn() } }));
+vi.mock('./DecoderService', () => ({ default: { on: vi.fn() } }));
+vi.mock('./SchemaService', () => ({
+  default: {
+    payloadValue: vi.fn((_topic: string, bytes: Uint8Array) => {
+      try {
+        return JSON.parse(new TextDecoder().decode(bytes));
+      } catch {
+        return undefined;
+      }
+    }),
+  },
+}));
+
+// The topic's message history, oldest first, as the tree would hold it.
+let history: StoredMessage[] = [];
+vi.mocked(TopicTreeService.getTopicTree).mockImplementation(
+  () => ({ getNode: () => ({ messageHistory: { toArray: () => history } }) }) as any,
+);
+const treeUpdated = vi.mocked(TopicTreeService.on).mock.calls[0][1];
+
+const stored = (timestamp: number, payload: string) =>
+  ({ timestamp, topic: 'plant', payload: new TextEncoder().encode(payload) }) as StoredMessage;
+
+beforeEach(() => {
+  history = [];
+  ChartService.getSeries().forEach((series) => ChartService.removeSeries(series.id));
+  vi.mocked(SchemaService.payloadValue).mockClear();
+});
+
+describe('ChartService', () => {
+  it('plots the finite numbers at the path and skips the rest', () => {
+    history = [
+      stored(1, '{"temp": 20, "sensors": [{"v": 1}]}'),
+      stored(2, '{"temp": "21"}'),
+      stored(3, 'not json'),
+      stored(4, '{"temp": 22.5, "sensors": [{"v": 2}]}'),
+    ];
+    const temp = ChartService.addSeries('c1', 'plant', '$.temp');
+    expect(ChartService.getPoints(temp)).toEqual([
+      { t: 1, v: 20 },
+      { t: 4, v: 22.5 },
+    ]);
+    const nested = ChartService.addSeries('c1', 'plant', 'sensors.0.v');
+    expect(ChartService.getPoints(nested)).toEqual([
+      { t: 1, v: 1 },
+      { t: 4, v: 2 },
+    ]);
+    expect(ChartService.getPoints({ ...temp, path: '$.temp[' })).toEqual([]);
+  });
+
+  it('decodes each message once', () => {
+    history = [stored(1, '{"a": 1}')];
+    ChartService.getPoints(ChartService.addSeries('c1', 'plant', '$.a'));
+    ChartService.getPoints(ChartService.addSeries('c1', 'plant', '$.b'));
+    expect(SchemaService.payloadValue).toHaveBeenCalledTimes(1);
+  });
+
+  it('offers the numeric fields of the latest payloads', () => {
+    history = [stored(1, '{"old": 1}'), stored(2, '{"a": 1}'), stored(3, '{"b": [2], "a": 3}')];
+    expect(ChartService.numericFields('c1', 'plant', 2)).toEqual(['$.a', '$.b[0]']);
+  });
+
+  it('keeps one series per field, each in its own colour', () => {
+    const first = ChartService.addSeries('c1', 'plant', '$.a');
+    expect(ChartService.addSeries('c1', 'plant', '$.a')).toBe(first);
+    const second = ChartService.addSeries('c1', 'plant', '$.b');
+    expect([first.color, second.color]).toEqual(SERIES_COLORS.slice(0, 2));
+  });
+
+  it('keeps the points of pinned series after the history moves on', () => {
+    history = [stored(1, '{"a": 1}'), stored(2, '{"a": 2}')];
+    const series = ChartService.addSeries('c1', 'plant', '$.a');
+    ChartService.setPinned(series.id, true);
+    const pinned = ChartService.getSeries()[0];
+    expect(ChartService.getPoints(pinned)).toHaveLength(2);
+
+    // The ring buffer drops the oldest message as new ones arrive.
+    history = [history[1], stored(3, '{"a": 3}'), stored(4, '{"a": 4}')];
+    treeUpdated({ connectionId: 'c1', topics: ['plant'] });
+    history = [history[2], stored(5, '{"a": 5}')];
+
+    expect(ChartService.getPoints(pinned).map((p) => p.v)).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('exports points as CSV within a time range', () => {
+    history = [stored(1000, '{"a": 1}'), stored(2000, '{"a": 2}'), stored(3000, '{"a": 3}')];
+    const series = ChartService.addSeries('c1', 'plant', "$['a']");
+    expect(ChartService.exportCSV([series], 1500, 3000).split('\n')).toEqual([
+      'Timestamp,Time,Topic,Field,Value',
+      `2000,1970-01-01T00:00:02.000Z,"plant","$['a']",2`,
+      `3000,1970-01-01T00:00:03.000Z,"plant","$['a']",3`,
+    ]);
+  });
+});
@@ -0,0 +1,224 @@
+import TopicTreeService from './TopicTreeService';
+import SchemaService from './SchemaService';
+import DecoderService from './DecoderService';
+import type { StoredMessage } from './models/TopicNode';
+import { CHART } from '../config';
+import { getAtPath, numericPaths, parsePath, type PathSegment } from '../../../shared/json-path';
+
+type EventHandler = (data: any) => void;
+
+/** One plotted line: a numeric field in the payloads of one topic. */
+export interface ChartSeries {
+  id: string;
+  connectionId: string;
+  topic: string;
+  path: string; // JSONPath or dot-path into the decoded payload
+  color: string;
+  pinned: boolean; // points are kept beyond the topic's message history
+}
+
+export interface ChartPoint {
+  t: number; // message timestamp
+  v: number;
+}
+
+const SERIES_KEY = 'chart-series';
+
+export const SERIES_COLORS = [
+  '#007bff',
+  '#dc3545',
+  '#28a745',
+  '#fd7e14',
+  '#6f42c1',
+  '#17a2b8',
+  '#e83e8c',
+  '#6c757d',
+];
+
+/**
+ * Numeric series plotted from message payloads. Unpinned series read the
+ * topic's message history when drawn; pinned series also collect every new
+ * message as it arrives, up to CHART.PINNED_MAX_POINTS.
+ */
+class ChartService {
+  private series: ChartSeries[];
+  private pinnedPoints = new Map<string, ChartPoint[]>();
+  private lastCollected = new Map<string, StoredMessage>(); // newest message a pinned series has
+  private values = new WeakMap<StoredMessage, unknown>(); // decoded payloads
+  private eventHandlers = new Map<string, Set<EventHandler>>();
+
+  constructor() {
+    this.series = this.load();
+    TopicTreeService.on('treeUpdated', (data) => this.collect(data));
+    DecoderService.on('changed', () => {
+      this.values = new WeakMap();
+    });
+  }
+
+  private load(): ChartSeries[] {
+    try {
+      const saved = localStorage.getItem(SERIES_KEY);
+      return saved ? JSON.parse(saved) : [];
+    } catch (error) {
+      console.error(`Failed to load ${SERIES_KEY}:`, error);
+      return [];
+    }
+  }
+
+  private save(): void {
+    localStorage.setItem(SERIES_KEY, JSON.stringify(this.series));
+    this.emitEvent('changed', { series: this.series });
+  }
+
+  getSeries(): ChartSeries[] {
+    return this.series;
+  }
+
+  /** Add a series in the first unused colour; an existing one for the same field is kept. */
+  addSeries(connectionId: string, topic: string, path: string): ChartSeries {
+    const existing = this.series.find(
+      (s) => s.connectionId === connectionId && s.topic === topic && s.path === path,
+    );
+    if (existing) return existing;
+
+    const used = new Set(this.series.map((s) => s.color));
+    const series: ChartSeries = {
+      id: `series_${Date.now()}_${this.series.length}`,
+      connectionId,
+      topic,
+      path,
+      color:
+        SERIES_COLORS.find((color) => !used.has(color)) ??
+        SERIES_COLORS[this.series.length % SERIES_COLORS.length],
+      pinned: false,
+    };
+    this.series = [...this.series, series];
+    this.save();
+    return series;
+  }
+
+  removeSeries(id: string): void {
+    this.series = this.series.filter((s) => s.id !== id);
+    this.forget(id);
+    this.save();
+  }
+
+  setPinned(id: string, pinned: boolean): void {
+    this.series = this.series.map((s) => (s.id === id ? { ...s, pinned } : s));
+    if (!pinned) this.forget(id);
+    this.save();
+  }
+
+  private forget(id: string): void {
+    this.pinnedPoints.delete(id);
+    this.lastCollected.delete(id);
+  }
+
+  /** The series' points, oldest first. */
+  getPoints(series: ChartSeries): ChartPoint[] {
+    if (!series.pinned) return this.extract(series, this.history(series));
+    this.collectSeries(series);
+    return this.pinnedPoints.get(series.id) ?? [];
+  }
+
+  /** Numeric fields in the latest `sample` payloads of a topic, as JSONPaths. */
+  numericFields(connectionId: string, topic: string, sample = 20): string[] {
+    const node = TopicTreeService.getTopicTree(connectionId)?.getNode(topic);
+    const fields = new Set<string>();
+    for (const message of node ? node.messageHistory.toArray().slice(-sample) : []) {
+      numericPaths(this.decoded(message, topic)).forEach((path) => fields.add(path));
+    }
+    return Array.from(fields);
+  }
+
+  /** Points of `series` as long-format CSV, optionally limited to [from, to]. */
+  exportCSV(series: ChartSeries[], from = -Infinity, to = Infinity): string {
+    const quote = (text: string) => `"${text.replace(/"/g, '""')}"`;
+    const rows = ['Timestamp,Time,Topic,Field,Value'];
+    for (const s of series) {
+      for (const { t, v } of this.getPoints(s)) {
+        if (t < from || t > to) continue;
+        rows.push([t, new Date(t).toISOString(), quote(s.topic), quote(s.path), v].join(','));
+      }
+    }
+    return rows.join('\n');
+  }
+
+  private history(series: ChartSeries): StoredMessage[] {
+    const node = TopicTreeService.getTopicTree(series.connectionId)?.getNode(series.topic);
+    return node ? node.messageHistory.toArray() : [];
+  }
+
+  private extract(series: ChartSeries, messages: StoredMessage[]): ChartPoint[] {
+    let path: PathSegment[];
+    try {
+      path = parsePath(series.path);
+    } catch {
+      return [];
+    }
+    const points: ChartPoint[] = [];
+    for (const message of messages) {
+      const v = getAtPath(this.decoded(message, series.topic), path);
+      if (typeof v === 'number' && Number.isFinite(v)) points.push({ t: message.timestamp, v });
+    }
+    return points;
+  }
+
+  private decoded(message: StoredMessage, topic: string): unknown {
+    if (!message.payload) return undefined;
+    if (!this.values.has(message)) {
+      this.values.set(message, SchemaService.payloadValue(message.topic ?? topic, message.payload));
+    }
+    return this.values.get(message);
+  }
+
+  /** Append the messages a pinned series has not seen yet. */
+  private collectSeries(series: ChartSeries): void {
+    const history = this.history(series);
+    const last = this.lastCollected.get(series.id);
+    // Without `last` in it, the history was cleared or overran since: take it all.
+    let start = history.length;
+    while (start > 0 && history[start - 1] !== last) start--;
+    if (start >= history.length) return;
+
+    const points = this.pinnedPoints.get(series.id) ?? [];
+    points.push(...this.extract(series, history.slice(start)));
+    if (points.length > CHART.PINNED_MAX_POINTS) {
+      points.splice(0, points.length - CHART.PINNED_MAX_POINTS);
+    }
+    this.pinnedPoints.set(series.id, points);
+    this.lastCollected.set(series.id, history[history.length - 1]);
+  }
+
+  private collect(data: { connectionId: string; topics?: string[]; topic?: string }): void {
+    const topics = data.topics ?? (data.topic ? [data.topic] : []);
+    for (const series of this.series) {
+      if (series.pinned && series.connectionId === data.connectionId) {
+        if (topics.includes(series.topic)) this.collectSeries(series);
+      }
+    }
+  }
+
+  on(eventType: string, handler: EventHandler): void {
+    if (!this.eventHandlers.has(eventType)) {
+      this.eventHandlers.set(eventType, new Set());
+    }
+    this.eventHandlers.get(eventType)!.add(handler);
+  }
+
+  off(eventType: string, handler: EventHandler): void {
+    this.eventHandlers.get(eventType)?.delete(handler);
+  }
+
+  private emitEvent(eventType: string, data: any): void {
+    this.eventHandlers.get(eventType)?.forEach((handler) => {
+      try {
+        handler(data);
+      } catch (error) {
+        console.error('ChartService event handler error:', error);
+      }
+    });
+  }
+}
+
+export default new ChartService();
@@ -0,0 +1,223 @@
+import protobuf from 'protobufjs';
+import { topicMatchesFilter } from '../../../shared/topic-filter';
+import { getDecoder, listDecoders, toJsonSafe, type PayloadDecoder } from '../utils/decoders';
+
+type EventHandler = (data: any) => void;
+
+/** Maps a topic filter to a decoder; the first enabled matching rule wins. */
+export interface DecoderRule {
+  id: string;
+  filter: string;
+  decoderId: string;
+  messageType?: string; // Protobuf rules only
+  enabled: boolean;
+}
+
+export interface ProtoFile {
+  name: string;
+  source: string;
+}
+
+export interface DecodeResult {
+  decoderId: string;
+  label: string;
+  value?: unknown;
+  error?: string;
+}
+
+interface CachedResult {
+  version: number;
+  topic: string;
+  result: DecodeResult | null;
+}
+
+const RULES_KEY = 'decoder-rules';
+const PROTO_FILES_KEY = 'decoder-proto-files';
+
+function defaultRules(): DecoderRule[] {
+  return [
+    // Sparkplug 3.0 STATE messages are JSON; everything else in the namespace is protobuf.
+    { id: 'sparkplug-state', filter: 'spBv1.0/STATE/#', decoderId: 'json', enabled: true },
+    { id: 'sparkplug-b', filter: 'spBv1.0/#', decoderId: 'sparkplugB', enabled: true },
+  ];
+}
+
+/**
+ * Per-topic payload decoding. Rules and the user's .proto files are kept in
+ * localStorage; results are cached per payload so re-renders and searches
+ * don't decode the same bytes twice.
+ */
+class DecoderService {
+  private rules: DecoderRule[];
+  private protoFiles: ProtoFile[];
+  private protoRoot: protobuf.Root | null = null;
+  private version = 0; // bumped on any change that can alter a result
+  private cache = new WeakMap<Uint8Array, CachedResult>();
+  private eventHandlers = new Map<string, Set<EventHandler>>();
+
+  constructor() {
+    this.rules = this.load(RULES_KEY, defaultRules());
+    this.protoFiles = this.load(PROTO_FILES_KEY, []);
+    try {
+      this.protoRoot = this.buildRoot(this.protoFiles);
+    } catch (error) {
+      console.error('Failed to load saved .proto files:', error);
+    }
+  }
+
+  private load<T>(key: string, fallback: T): T {
+    try {
+      const saved = localStorage.getItem(key);
+      return saved ? JSON.parse(saved) : fallback;
+    } catch (error) {
+      console.error(`Failed to load ${key}:`, error);
+      return fallback;
+    }
+  }
+
+  // All files share one root so types can reference each other across files.
+  private buildRoot(files: ProtoFile[]): protobuf.Root | null {
+    if (files.length === 0) return null;
+    const root = new protobuf.Root();
+    for (const file of files) {
+      try {
+        protobuf.parse(file.source, root, { keepCase: true });
+      } catch (error: any) {
+        throw new Error(`${file.name}: ${error.message}`);
+      }
+    }
+    root.resolveAll();
+    return root;
+  }
+
+  private changed(): void {
+    this.version++;
+    this.emitEvent('changed', { rules: this.rules, protoFiles: this.protoFiles });
+  }
+
+  listDecoders(): PayloadDecoder[] {
+    return listDecoders();
+  }
+
+  getRules(): DecoderRule[] {
+    return this.rules;
+  }
+
+  setRules(rules: DecoderRule[]): void {
+    this.rules = rules;
+    localStorage.setItem(RULES_KEY, JSON.stringify(rules));
+    this.changed();
+  }
+
+  getProtoFiles(): ProtoFile[] {
+    return this.protoFiles;
+  }
+
+  /** Add or replace a .proto file; throws (leaving the current set) if it does not parse. */
+  addProtoFile(name: string, source: string): void {
+    const files = [...this.protoFiles.filter((f) => f.name !== name), { name, source }];
+    this.protoRoot = this.buildRoot(files);
+    this.protoFiles = files;
+    localStorage.setItem(PROTO_FILES_KEY, JSON.stringify(files));
+    this.changed();
+  }
+
+  removeProtoFile(name: string): void {
+    const files = this.protoFiles.filter((f) => f.name !== name);
+    try {
+      this.protoRoot = this.buildRoot(files);
+    } catch (error) {
+      // A remaining file imported types from the removed one; decoding reports it per rule.
+      console.error('Failed to rebuild .proto types:', error);
+      this.protoRoot = null;
+    }
+    this.protoFiles = files;
+    localStorage.setItem(PROTO_FILES_KEY, JSON.stringify(files));
+    this.changed();
+  }
+
+  /** Types from the loaded .proto files, shared with the publish encoders. */
+  getProtoRoot(): protobuf.Root | null {
+    return this.protoRoot;
+  }
+
+  /** Fully qualified names of every message type in the loaded .proto files. */
+  getMessageTypes(): string[] {
+    const types: string[] = [];
+    const visit = (namespace: protobuf.NamespaceBase) => {
+      for (const nested of namespace.nestedArray) {
+        if (nested instanceof protobuf.Type) types.push(nested.fullName.replace(/^\./, ''));
+        if (nested instanceof protobuf.Namespace) visit(nested);
+      }
+    };
+    if (this.protoRoot) visit(this.protoRoot);
+    return types.sort();
+  }
+
+  ruleMatches(rule: DecoderRule, topic: string): boolean {
+    return rule.enabled && !!rule.filter && topicMatchesFilter(topic, rule.filter);
+  }
+
+  findRule(topic: string): DecoderRule | undefined {
+    return this.rules.find((rule) => this.ruleMatches(rule, topic));
+  }
+
+  /** Decode a payload with the rule for its topic, or null when no rule applies. */
+  decode(topic: string, bytes: Uint8Array): DecodeResult | null {
+    const cached = this.cache.get(bytes);
+    if (cached && cached.version === this.version && cached.topic === topic) return cached.result;
+
+    const rule = this.findRule(topic);
+    const decoder = rule && getDecoder(rule.decoderId);
+    let result: DecodeResult | null = null;
+    if (rule && decoder) {
+      try {
+        const value = decoder.decode(bytes, {
+          messageType: rule.messageType,
+          protoRoot: this.protoRoot,
+        });
+        result = { decoderId: decoder.id, label: decoder.label, value };
+      } catch (error: any) {
+        result = { decoderId: decoder.id, label: decoder.label, error: error.message };
+      }
+    }
+    this.cache.set(bytes, { version: this.version, topic, result });
+    return result;
+  }
+
+  /** JSON form of the decoded value for exports; undefined when nothing was decoded. */
+  exportValue(topic: string, bytes: Uint8Array): unknown {
+    const result = this.decode(topic, bytes);
+    return result && !result.error ? toJsonSafe(result.value) : undefined;
+  }
+
+  /** Decoded value flattened to text for searching; empty when nothing was decoded. */
+  searchText(topic: string, bytes: Uint8Array): string {
+    const value = this.exportValue(topic, bytes);
+    if (value === undefined) return '';
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+
+  on(eventType: string, handler: EventHandler): void {
+    if (!this.eventHandlers.has(eventType)) {
+      this.eventHandlers.set(eventType, new Set());
+    }
+    this.eventHandlers.get(eventType)!.add(handler);
+  }
+
+  off(eventType: string, handler: EventHandler): void {
+    this.eventHandlers.get(eventType)?.delete(handler);
+  }
+
+  private emitEvent(eventType: string, data: any): void {
+    this.eventHandlers.get(eventType)?.forEach((handler) => {
+      try {
+        handler(data);
+      } catch (error) {
+        console.error('DecoderService event handler error:', error);
+      }
+    });
+  }
+}
+
+export default new DecoderService();
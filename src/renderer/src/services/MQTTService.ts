@@ -3,6 +3,10 @@ import type {
   IpcResult,
   MainConnectionInfo,
   MqttEventType,
+  RequestOptions,
+  RequestResultData,
+  SubscribedEventData,
+  SubscriptionOptions,
 } from '../../../shared/ipc';
 
 type EventHandler = (data: any) => void;
@@ -18,6 +22,9 @@ export interface RendererConnection {
   mqtt5Properties?: Record<string, unknown>;
   subscriptions?: string[];
   reconnectAttempt?: number;
+  maxReconnectAttempts?: number;
+  nextReconnectAt?: number;
+  subscriptionStates: Map<string, SubscribedEventData>; // latest SUBACK per filter
 }
 
 export interface PublishData {
@@ -67,18 +74,31 @@ class MQTTService {
           connection.isConnected = true;
           connection.status = 'connected';
           connection.protocolVersion = data.protocolVersion;
+          connection.reconnectAttempt = undefined;
+          connection.nextReconnectAt = undefined;
           if (data.properties) connection.mqtt5Properties = data.properties;
           break;
         case 'disconnected':
           connection.isConnected = false;
           connection.status = 'disconnected';
+          connection.subscriptionStates.clear();
+          break;
+        case 'subscribed':
+          connection.subscriptionStates.set(data.topic, data);
+          break;
+        case 'unsubscribed':
+          connection.subscriptionStates.delete(data.topic);
           break;
         case 'error':
-          connection.status = 'error';
+          // Errors that precede a scheduled reconnect don't end the connection.
+          if (!data.reconnecting) connection.status = 'error';
           break;
         case 'reconnecting':
+          connection.isConnected = false;
           connection.status = 'reconnecting';
           connection.reconnectAttempt = data.attempt;
+          connection.maxReconnectAttempts = data.maxAttempts;
+          connection.nextReconnectAt = data.nextAttemptAt;
           break;
       }
       this.connections.set(connectionId, connection);
@@ -124,6 +144,7 @@ class MQTTService {
       isConnected: false,
       createdAt: Date.now(),
       protocolVersion: config.protocolVersion || 4,
+      subscriptionStates: new Map(),
       ...(config.protocolVersion === 5 && { mqtt5Properties: config.properties || {} }),
     };
     this.connections.set(connectionId, connectionData);
@@ -188,8 +209,14 @@ class MQTTService {
     }
   }
 
-  async subscribe(connectionId: string, topic: string, qos = 0, properties = {}): Promise<IpcResult> {
-    return window.electronAPI.mqtt.subscribe(connectionId, topic, qos, properties);
+  async subscribe(
+    connectionId: string,
+    topic: string,
+    qos = 0,
+    properties = {},
+    options: SubscriptionOptions = {},
+  ): Promise<IpcResult> {
+    return window.electronAPI.mqtt.subscribe(connectionId, topic, qos, properties, options);
   }
 
   async unsubscribe(connectionId: string, topic: string, properties = {}): Promise<IpcResult> {
@@ -228,16 +255,43 @@ class MQTTService {
     return { success: true };
   }
 
+  /** Publish a request and wait for its reply; a timeout resolves with status 'timeout'. */
+  async request(
+    connectionId: string,
+    topic: string,
+    message: string,
+    options: RequestOptions = {},
+  ): Promise<RequestResultData> {
+    const result = await window.electronAPI.mqtt.request(connectionId, topic, message, options);
+    if (!result.success || !result.data) throw new Error(result.error);
+    return result.data;
+  }
+
   async refreshConnectionsFromMain(): Promise<Record<string, MainConnectionInfo>> {
     const result = await window.electronAPI.mqtt.getConnections();
     if (result.success) return result.data ?? {};
     throw new Error(result.error);
   }
 
+  /** Live subscriptions with their SUBACK outcome (rejected ones included). */
+  getSubscriptions(connectionId: string): SubscribedEventData[] {
+    const states = this.connections.get(connectionId)?.subscriptionStates;
+    return states ? Array.from(states.values()) : [];
+  }
+
+  /** Drop a rejected subscription from the list; there is nothing to unsubscribe. */
+  dismissSubscription(connectionId: string, topic: string): void {
+    this.connections.get(connectionId)?.subscriptionStates.delete(topic);
+  }
+
   isConnected(connectionId: string): boolean {
     return this.connections.get(connectionId)?.isConnected || false;
   }
 
+  isReconnecting(connectionId: string): boolean {
+    return this.connections.get(connectionId)?.status === 'reconnecting';
+  }
+
   getProtocolVersion(connectionId: string): number {
     return this.connections.get(connectionId)?.protocolVersion || 4;
   }
@@ -1,6 +1,13 @@
+import { createTemplateState, renderTemplate, templateVariableNames } from '../../../shared/payload-template';
+import { formatSchemaError, validateSchema } from '../../../shared/json-schema';
+
+const VARIABLE_TYPES = ['text', 'number', 'boolean', 'select'];
+export const TEMPLATES_CHANGED_EVENT = 'mqtt-message-templates-changed';
+
 class MessageTemplateService {
   constructor() {
     this.templates = this.loadTemplates();
+    this.templateState = this.loadTemplateState();
   }
 
   loadTemplates() {
@@ -13,8 +20,30 @@ class MessageTemplateService {
     }
   }
 
+  // Other instances (each panel keeps its own) reload when this event fires
   saveTemplates() {
     localStorage.setItem('mqtt-message-templates', JSON.stringify(this.templates));
+    window.dispatchEvent(new Event(TEMPLATES_CHANGED_EVENT));
+  }
+
+  reloadTemplates() {
+    this.templates = this.loadTemplates();
+  }
+
+  // Counters and sequences continue across publishes and restarts
+  loadTemplateState() {
+    try {
+      const saved = JSON.parse(localStorage.getItem('mqtt-template-state') || 'null');
+      return saved && saved.counters ? saved : createTemplateState();
+    } catch (error) {
+      console.error('Failed to load template counters:', error);
+      return createTemplateState();
+    }
+  }
+
+  resetCounters() {
+    this.templateState = createTemplateState();
+    localStorage.removeItem('mqtt-template-state');
   }
 
   getDefaultTemplates() {
@@ -117,6 +146,33 @@ class MessageTemplateService {
     return this.templates[template.id];
   }
 
+  // An id derived from the name that no saved template uses yet
+  uniqueId(name) {
+    const baseId = this.generateIdFromTitle(name);
+    let id = baseId;
+    let counter = 1;
+    while (this.templates[id]) {
+      id = `${baseId}_${counter}`;
+      counter++;
+    }
+    return id;
+  }
+
+  // Save the current publish form (including MQTT 5 properties) as a template
+  createTemplateFromMessage({ name, topic, payload, qos, retain, properties, variables }) {
+    return this.saveTemplate({
+      id: this.uniqueId(name),
+      name,
+      topic,
+      payload,
+      qos,
+      retain,
+      category: 'Saved Messages',
+      ...(properties && { properties }),
+      ...(variables && Object.keys(variables).length > 0 && { variables })
+    });
+  }
+
   deleteTemplate(id) {
     if (this.templates[id]) {
       delete this.templates[id];
@@ -126,64 +182,69 @@ class MessageTemplateService {
     return false;
   }
 
-  // Template variable replacement
-  processTemplate(template, variables = {}) {
-    let processedTopic = template.topic;
-    let processedPayload = template.payload;
-
-    // Replace variables in topic and payload
-    Object.entries(variables).forEach(([key, value]) => {
-      const regex = new RegExp(`{{${key}}}`, 'g');
-      processedTopic = processedTopic.replace(regex, value);
-      processedPayload = processedPayload.replace(regex, value);
+  /**
+   * Variables the form should ask for: the template's declared ones, then any
+   * other names the topic or payload reads, as plain text fields.
+   */
+  getVariableDefinitions(template, topic = '', payload = '') {
+    const declared = (template && template.variables) || {};
+    const definitions = Object.entries(declared).map(([name, definition]) => ({
+      name,
+      ...definition,
+      type: VARIABLE_TYPES.includes(definition.type) ? definition.type : 'text'
+    }));
+    templateVariableNames(`${topic}\n${payload}`).forEach(name => {
+      if (!(name in declared)) definitions.push({ name, type: 'text', default: '' });
+    });
+    return definitions;
+  }
+
+  // Form values typed by their definitions, so numbers reach the payload as numbers
+  toVariableValues(definitions, values = {}) {
+    const result = {};
+    definitions.forEach(definition => {
+      const value = definition.name in values ? values[definition.name] : definition.default;
+      if (definition.type === 'number') {
+        result[definition.name] = value === '' || value === undefined ? null : Number(value);
+      } else if (definition.type === 'boolean') {
+        result[definition.name] = value === true || value === 'true';
+      } else {
+        result[definition.name] = value ?? '';
+      }
     });
+    return result;
+  }
 
-    // Process built-in functions
-    processedTopic = this.processFunctions(processedTopic);
-    processedPayload = this.processFunctions(processedPayload);
+  /**
+   * Expand the placeholders of a topic and payload. A preview leaves counters
+   * where they are; a real render moves them on and saves them.
+   */
+  renderMessage({ topic, payload }, variables = {}, { preview = false } = {}) {
+    const errors = [];
+    const state = preview ? JSON.parse(JSON.stringify(this.templateState)) : this.templateState;
+    const rendered = {
+      topic: renderTemplate(topic, variables, { state, errors }),
+      payload: renderTemplate(payload, variables, { state, errors }),
+      errors
+    };
+    if (!preview) {
+      localStorage.setItem('mqtt-template-state', JSON.stringify(this.templateState));
+    }
+    return rendered;
+  }
 
+  // Template variable replacement
+  processTemplate(template, variables = {}) {
+    const { topic, payload } = this.renderMessage(template, variables);
     return {
-      topic: processedTopic,
-      payload: processedPayload,
+      topic,
+      payload,
       qos: template.qos,
       retain: template.retain,
       properties: template.properties
     };
   }
 
-  processFunctions(text) {
-    // {{timestamp}} - Current timestamp
-    text = text.replace(/{{timestamp}}/g, () => Date.now());
-    
-    // {{randomInt(min, max)}} - Random integer
-    text = text.replace(/{{randomInt\((\d+),\s*(\d+)\)}}/g, (match, min, max) => {
-      return Math.floor(Math.random() * (parseInt(max) - parseInt(min) + 1)) + parseInt(min);
-    });
-    
-    // {{randomFloat(min, max, decimals)}} - Random float
-    text = text.replace(/{{randomFloat\(([\d.-]+),\s*([\d.-]+),\s*(\d+)\)}}/g, (match, min, max, decimals) => {
-      const value = Math.random() * (parseFloat(max) - parseFloat(min)) + parseFloat(min);
-      return value.toFixed(parseInt(decimals));
-    });
-    
-    // {{randomChoice("option1", "option2", ...)}} - Random choice
-    text = text.replace(/{{randomChoice\((.*?)\)}}/g, (match, options) => {
-      const choices = options.split(',').map(s => s.trim().replace(/['"]/g, ''));
-      return choices[Math.floor(Math.random() * choices.length)];
-    });
-    
-    // {{uuid}} - Generate UUID
-    text = text.replace(/{{uuid}}/g, () => {
-      return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-        const r = Math.random() * 16 | 0;
-        const v = c == 'x' ? r : (r & 0x3 | 0x8);
-        return v.toString(16);
-      });
-    });
-
-    return text;
-  }
-
   getCategories() {
     const categories = new Set();
     Object.values(this.templates).forEach(template => {
@@ -219,6 +280,31 @@ class MessageTemplateService {
     };
   }
 
+  // Save a schema inferred from traffic; the filter's wildcard levels become topic variables
+  createTemplateFromInferredSchema(schema, topicFilter) {
+    const name = schema.title || topicFilter;
+    let level = 0;
+    const topic = topicFilter
+      .split('/')
+      .map(part => (part === '+' ? `{{level${++level}}}` : part === '#' ? '{{rest}}' : part))
+      .join('/');
+    const payload = Array.isArray(schema.examples) && schema.examples.length > 0
+      ? JSON.stringify(schema.examples[0], null, 2)
+      : this.generateSampleFromSchema(schema);
+
+    return this.saveTemplate({
+      id: this.uniqueId(name),
+      name,
+      topic,
+      payload,
+      qos: 0,
+      retain: false,
+      category: 'Inferred Schemas',
+      schema,
+      description: schema.description || `Inferred from messages on ${topicFilter}`
+    });
+  }
+
   // Generate a valid ID from a title
   generateIdFromTitle(title) {
     return title
@@ -395,89 +481,15 @@ class MessageTemplateService {
     }
   }
 
-  // Simple JSON Schema validation
+  // Full JSON Schema (draft-07 / 2020-12); errors are prefixed with a JSON pointer
   validateAgainstSchema(data, schema) {
-    const errors = [];
-
-    // Handle schema references and metadata - extract the actual validation schema
-    let validationSchema = schema;
-    if (schema.$schema || schema.$id || schema.title) {
-      // This is a full JSON Schema document, use it as-is but focus on validation rules
-      validationSchema = schema;
-    }
-
-    if (validationSchema.type === 'object' && typeof data !== 'object') {
-      errors.push('Expected object type');
-      return { valid: false, errors };
-    }
-
-    if (validationSchema.properties) {
-      for (const [key, propSchema] of Object.entries(validationSchema.properties)) {
-        if (validationSchema.required && validationSchema.required.includes(key) && !(key in data)) {
-          errors.push(`Missing required property: ${key}`);
-          continue;
-        }
-
-        if (key in data) {
-          const value = data[key];
-          const propErrors = this.validateProperty(key, value, propSchema);
-          errors.push(...propErrors);
-        }
-      }
-    }
-
+    const errors = validateSchema(schema, data).map(formatSchemaError);
     return {
       valid: errors.length === 0,
       errors
     };
   }
 
-  validateProperty(key, value, schema) {
-    const errors = [];
-
-    // Type validation
-    if (schema.type) {
-      const expectedType = schema.type;
-      const actualType = schema.type === 'integer' ? 'number' : typeof value;
-      
-      if (expectedType === 'integer' && (!Number.isInteger(value))) {
-        errors.push(`${key}: Expected integer, got ${typeof value}`);
-      } else if (expectedType !== 'integer' && actualType !== expectedType) {
-        errors.push(`${key}: Expected ${expectedType}, got ${actualType}`);
-      }
-    }
-
-    // Enum validation
-    if (schema.enum && !schema.enum.includes(value)) {
-      errors.push(`${key}: Value must be one of: ${schema.enum.join(', ')}`);
-    }
-
-    // Number/integer constraints
-    if (typeof value === 'number') {
-      if (schema.minimum !== undefined && value < schema.minimum) {
-        errors.push(`${key}: Value ${value} is below minimum ${schema.minimum}`);
-      }
-      if (schema.maximum !== undefined && value > schema.maximum) {
-        errors.push(`${key}: Value ${value} is above maximum ${schema.maximum}`);
-      }
-    }
-
-    // String constraints
-    if (typeof value === 'string') {
-      if (schema.minLength !== undefined && value.length < schema.minLength) {
-        errors.push(`${key}: String length ${value.length} is below minimum ${schema.minLength}`);
-      }
-      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
-        errors.push(`${key}: String length ${value.length} is above maximum ${schema.maxLength}`);
-      }
-      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
-        errors.push(`${key}: String does not match required pattern`);
-      }
-    }
-
-    return errors;
-  }
-
   // Generate sample payload from schema
   generateSampleFromSchema(schema) {
     // Handle schema references and metadata
@@ -0,0 +1,149 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import type { RecordedMessageLine, RecordingMeta } from '../../../shared/ipc';
+import OfflineAnalysisService from './OfflineAnalysisService';
+import RecordingService from './RecordingService';
+import TopicTreeService from './TopicTreeService';
+
+vi.mock('./RecordingService', () => ({ default: { read: vi.fn() } }));
+vi.mock('./TopicTreeService', () => ({
+  default: { loadMessages: vi.fn(), resetTopicTree: vi.fn() },
+}));
+
+const read = vi.mocked(RecordingService.read);
+const loadMessages = vi.mocked(TopicTreeService.loadMessages);
+const resetTopicTree = vi.mocked(TopicTreeService.resetTopicTree);
+
+// Five thousand messages one second apart, so loading takes several pages.
+const lines: RecordedMessageLine[] = Array.from({ length: 5000 }, (_, i) => ({
+  timestamp: (i + 1) * 1000,
+  topic: `t/${i % 3}`,
+  payload: String(i),
+  qos: 0,
+  retain: false,
+}));
+
+let recordingCount = 0;
+function recording(): RecordingMeta {
+  return {
+    id: `rec-${++recordingCount}`,
+    name: 'Recording',
+    connectionId: 'c1',
+    connectionName: 'Broker',
+    startTime: 1000,
+    endTime: 5000 * 1000,
+    messageCount: lines.length,
+    bytes: 0,
+    topics: {},
+    compressed: false,
+    status: 'complete',
+  };
+}
+
+/** Timestamps fed into the tree since the last reset. */
+function loadedTimestamps(): number[] {
+  const resets = resetTopicTree.mock.invocationCallOrder.at(-1) ?? 0;
+  return loadMessages.mock.calls
+    .filter((_, i) => loadMessages.mock.invocationCallOrder[i] > resets)
+    .flatMap(([, messages]) => messages.map((m) => m.timestamp));
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  read.mockImplementation(async (_id, offset, limit) => ({
+    messages: lines.slice(offset, offset + limit),
+    offset,
+    done: offset + limit >= lines.length,
+  }));
+});
+
+describe('OfflineAnalysisService', () => {
+  it('loads the whole recording when opened', async () => {
+    const connectionId = OfflineAnalysisService.open(recording());
+    await OfflineAnalysisService.seek(connectionId, Infinity);
+
+    expect(loadedTimestamps()).toEqual(lines.map((m) => m.timestamp));
+    expect(loadMessages.mock.calls[0][1][0]).toMatchObject({
+      topic: 't/0',
+      payload: new TextEncoder().encode('0'),
+    });
+    expect(OfflineAnalysisService.getSession(connectionId)).toMatchObject({
+      loading: false,
+      error: null,
+      loaded: lines.length,
+    });
+    OfflineAnalysisService.close(connectionId);
+  });
+
+  it('feeds only the new messages when seeking forward', async () => {
+    const meta = recording();
+    const connectionId = OfflineAnalysisService.connectionIdFor(meta.id);
+    OfflineAnalysisService.open({ ...meta, endTime: 10_000 });
+    await OfflineAnalysisService.seek(connectionId, 10_000);
+    expect(loadedTimestamps().at(-1)).toBe(10_000);
+    loadMessages.mockClear();
+
+    await OfflineAnalysisService.seek(connectionId, 12_500);
+
+    expect(resetTopicTree).not.toHaveBeenCalled();
+    expect(loadedTimestamps()).toEqual([11_000, 12_000]);
+    OfflineAnalysisService.close(connectionId);
+  });
+
+  it('rebuilds the tree from the start when seeking back', async () => {
+    const connectionId = OfflineAnalysisService.open(recording());
+    await OfflineAnalysisService.seek(connectionId, Infinity);
+
+    await OfflineAnalysisService.seek(connectionId, 3_000);
+
+    expect(resetTopicTree).toHaveBeenCalledWith(connectionId);
+    expect(loadedTimestamps()).toEqual([1_000, 2_000, 3_000]);
+    OfflineAnalysisService.close(connectionId);
+  });
+
+  it('lets a newer seek take over from one still loading', async () => {
+    const connectionId = OfflineAnalysisService.open(recording());
+    const positions: number[] = [];
+    const onPosition = ({ position }: { position: number }) => positions.push(position);
+    OfflineAnalysisService.on('position', onPosition);
+
+    // Hold every page after the first until the second seek is in.
+    let release!: () => void;
+    const held = new Promise<void>((resolve) => (release = resolve));
+    const readPage = read.getMockImplementation()!;
+    read.mockImplementation(async (id, offset, limit) => {
+      if (offset > 0) await held;
+      return readPage(id, offset, limit);
+    });
+
+    const first = OfflineAnalysisService.seek(connectionId, 4_000_000);
+    await vi.waitFor(() => expect(read).toHaveBeenCalledTimes(2));
+    const second = OfflineAnalysisService.seek(connectionId, 2_500);
+    release();
+    await Promise.all([first, second]);
+    OfflineAnalysisService.off('position', onPosition);
+
+    expect(positions).toEqual([4_000_000, 2_500]);
+    // The first load stops after the page in flight; the second starts over.
+    expect(read.mock.calls.map(([, offset]) => offset)).toEqual([0, 2000, 0]);
+    expect(loadedTimestamps()).toEqual([1_000, 2_000]);
+    expect(OfflineAnalysisService.getSession(connectionId)).toMatchObject({
+      position: 2_500,
+      loading: false,
+    });
+    OfflineAnalysisService.close(connectionId);
+  });
+
+  it('reports a failed read', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => undefined);
+    read.mockRejectedValue(new Error('Recording rec-x not found'));
+    const connectionId = OfflineAnalysisService.open(recording());
+    await OfflineAnalysisService.seek(connectionId, Infinity);
+
+    expect(OfflineAnalysisService.getSession(connectionId)).toMatchObject({
+      loading: false,
+      error: 'Recording rec-x not found',
+    });
+    OfflineAnalysisService.close(connectionId);
+    vi.mocked(console.error).mockRestore();
+  });
+});
@@ -0,0 +1,188 @@
+import type { RecordedMessageLine, RecordingMeta } from '../../../shared/ipc';
+import RecordingService from './RecordingService';
+import TopicTreeService, { type OfflineMessage } from './TopicTreeService';
+import { fromBase64 } from '../utils/payload';
+import {
+  deserializeMessageProperties,
+  type SerializedMessageProperties,
+} from '../utils/messageProperties';
+
+type EventHandler = (data: any) => void;
+export type OfflineEventType = 'position' | 'loading';
+
+const PAGE_SIZE = 2000;
+
+interface OfflineSession {
+  recording: RecordingMeta;
+  position: number; // timestamp the tree is (being) rebuilt to
+  applied: number; // timestamp of the newest message fed into the tree
+  nextOffset: number; // index of the next message to read from the store
+  buffer: RecordedMessageLine[]; // read but later than `position`
+  done: boolean; // the store has no messages after the buffer
+  generation: number;
+  queue: Promise<void>;
+  loading: boolean;
+  error: string | null;
+}
+
+const encoder = new TextEncoder();
+
+function toOfflineMessage(line: RecordedMessageLine): OfflineMessage {
+  return {
+    topic: line.topic,
+    payload:
+      line.payloadEncoding === 'base64' ? fromBase64(line.payload) : encoder.encode(line.payload),
+    qos: line.qos,
+    retain: line.retain,
+    timestamp: line.timestamp,
+    properties: deserializeMessageProperties(line.properties as SerializedMessageProperties),
+  };
+}
+
+/**
+ * Offline analysis: a recording is loaded into a virtual connection's topic
+ * tree with no broker involved. Seeking forward feeds the messages up to the
+ * new position; seeking back empties the tree and replays from the start, so
+ * the tree always shows the state as of the chosen time.
+ */
+class OfflineAnalysisService {
+  private sessions = new Map<string, OfflineSession>();
+  private eventHandlers = new Map<string, Set<EventHandler>>();
+
+  connectionIdFor(recordingId: string): string {
+    return `offline_${recordingId}`;
+  }
+
+  /** Start a session for `recording` and load it to the end. */
+  open(recording: RecordingMeta): string {
+    const connectionId = this.connectionIdFor(recording.id);
+    if (!this.sessions.has(connectionId)) {
+      this.sessions.set(connectionId, {
+        recording,
+        position: recording.startTime,
+        applied: -Infinity,
+        nextOffset: 0,
+        buffer: [],
+        done: false,
+        generation: 0,
+        queue: Promise.resolve(),
+        loading: false,
+        error: null,
+      });
+      this.seek(connectionId, recording.endTime ?? Infinity);
+    }
+    return connectionId;
+  }
+
+  getSession(connectionId: string) {
+    const session = this.sessions.get(connectionId);
+    return (
+      session && {
+        recording: session.recording,
+        position: session.position,
+        loading: session.loading,
+        error: session.error,
+        loaded: this.loadedCount(session),
+      }
+    );
+  }
+
+  private loadedCount(session: OfflineSession): number {
+    return session.nextOffset - session.buffer.length;
+  }
+
+  isOffline(connectionId: string): boolean {
+    return this.sessions.has(connectionId);
+  }
+
+  /** Rebuild the tree as of `timestamp`; a newer seek cancels one still loading. */
+  seek(connectionId: string, timestamp: number): Promise<void> {
+    const session = this.sessions.get(connectionId);
+    if (!session) return Promise.resolve();
+    const generation = ++session.generation;
+    session.position = timestamp;
+    this.emitEvent('position', { connectionId, position: timestamp });
+
+    session.queue = session.queue
+      .then(() => this.load(connectionId, session, generation))
+      .catch((error) => {
+        console.error('Failed to load recording for offline analysis:', error);
+        this.setLoading(connectionId, session, false, error.message);
+      });
+    return session.queue;
+  }
+
+  private async load(connectionId: string, session: OfflineSession, generation: number) {
+    const current = () => session.generation === generation && this.sessions.has(connectionId);
+    if (!current()) return;
+    const target = session.position;
+
+    if (target < session.applied) {
+      TopicTreeService.resetTopicTree(connectionId);
+      session.applied = -Infinity;
+      session.nextOffset = 0;
+      session.buffer = [];
+      session.done = false;
+    }
+
+    this.setLoading(connectionId, session, true);
+    for (;;) {
+      const due = session.buffer.findIndex((message) => message.timestamp > target);
+      const batch = due < 0 ? session.buffer : session.buffer.slice(0, due);
+      session.buffer = due < 0 ? [] : session.buffer.slice(due);
+      if (batch.length > 0) {
+        TopicTreeService.loadMessages(connectionId, batch.map(toOfflineMessage));
+        session.applied = batch[batch.length - 1].timestamp;
+      }
+      if (session.buffer.length > 0 || session.done || !current()) break;
+
+      const page = await RecordingService.read(session.recording.id, session.nextOffset, PAGE_SIZE);
+      if (!this.sessions.has(connectionId)) return;
+      session.nextOffset += page.messages.length;
+      session.buffer = page.messages;
+      session.done = page.done;
+    }
+    if (!current()) return; // the newer seek reports its own progress
+    session.applied = Math.max(session.applied, target);
+    this.setLoading(connectionId, session, false);
+  }
+
+  private setLoading(
+    connectionId: string,
+    session: OfflineSession,
+    loading: boolean,
+    error: string | null = null,
+  ): void {
+    session.loading = loading;
+    session.error = error;
+    this.emitEvent('loading', { connectionId, loading, error, loaded: this.loadedCount(session) });
+  }
+
+  /** End a session; the caller removes the connection's topic tree. */
+  close(connectionId: string): void {
+    this.sessions.delete(connectionId);
+  }
+
+  on(eventType: OfflineEventType, handler: EventHandler): void {
+    if (!this.eventHandlers.has(eventType)) {
+      this.eventHandlers.set(eventType, new Set());
+    }
+    this.eventHandlers.get(eventType)!.add(handler);
+  }
+
+  off(eventType: OfflineEventType, handler: EventHandler): void {
+    this.eventHandlers.get(eventType)?.delete(handler);
+  }
+
+  private emitEvent(eventType: OfflineEventType, data: any): void {
+    this.eventHandlers.get(eventType)?.forEach((handler) => {
+      try {
+        handler(data);
+      } catch (error) {
+        console.error('OfflineAnalysisService event handler error:', error);
+      }
+    });
+  }
+}
+
+export default new OfflineAnalysisService();
@@ -0,0 +1,127 @@
+import type {
+  IpcResult,
+  RecordedMessageLine,
+  RecordingEditOptions,
+  RecordingEventType,
+  RecordingMeta,
+  RecordingPage,
+  StartRecordingOptions,
+} from '../../../shared/ipc';
+
+type EventHandler = (data: any) => void;
+
+/**
+ * Renderer-side access to the main-process recording store. Recordings are
+ * captured and kept on disk by main; this only lists them, controls capture and
+ * pages messages in for playback.
+ */
+class RecordingService {
+  private unwrap<T>(result: IpcResult<T>): T {
+    if (!result.success) throw new Error(result.error);
+    return result.data as T;
+  }
+
+  async list(): Promise<RecordingMeta[]> {
+    return this.unwrap(await window.electronAPI.recordings.list());
+  }
+
+  async start(options: StartRecordingOptions): Promise<RecordingMeta> {
+    return this.unwrap(await window.electronAPI.recordings.start(options));
+  }
+
+  async stop(id: string): Promise<RecordingMeta> {
+    return this.unwrap(await window.electronAPI.recordings.stop(id));
+  }
+
+  async rename(id: string, name: string): Promise<RecordingMeta> {
+    return this.unwrap(await window.electronAPI.recordings.rename(id, name));
+  }
+
+  async delete(id: string): Promise<void> {
+    this.unwrap(await window.electronAPI.recordings.delete(id));
+  }
+
+  async read(id: string, offset: number, limit: number, topics?: string[]): Promise<RecordingPage> {
+    return this.unwrap(await window.electronAPI.recordings.read(id, offset, limit, topics));
+  }
+
+  /** Opens a save dialog in main; resolves with the chosen path, or undefined if cancelled. */
+  async exportToFile(id: string): Promise<string | undefined> {
+    return this.unwrap(await window.electronAPI.recordings.export(id)).filePath;
+  }
+
+  /** Opens a file dialog in main; resolves with the new recording, or null if cancelled. */
+  async importFromFile(): Promise<RecordingMeta | null> {
+    return this.unwrap(await window.electronAPI.recordings.import());
+  }
+
+  async importData(
+    info: Partial<RecordingMeta>,
+    messages: RecordedMessageLine[],
+  ): Promise<RecordingMeta> {
+    return this.unwrap(await window.electronAPI.recordings.importData(info, messages));
+  }
+
+  /** Save an edit of one or more recordings as new recording(s); sources are left untouched. */
+  async edit(options: RecordingEditOptions): Promise<RecordingMeta[]> {
+    return this.unwrap(await window.electronAPI.recordings.edit(options));
+  }
+
+  on(eventType: RecordingEventType, handler: EventHandler): void {
+    window.electronAPI.recordings.on(eventType, handler);
+  }
+
+  off(eventType: RecordingEventType, handler: EventHandler): void {
+    window.electronAPI.recordings.off(eventType, handler);
+  }
+
+  /**
+   * One-off move of recordings kept in localStorage by earlier versions into
+   * the store. Returns how many were migrated.
+   */
+  async migrateLegacyRecordings(): Promise<number> {
+    const saved = localStorage.getItem('mqtt-recordings');
+    if (!saved) return 0;
+
+    let legacy: any[];
+    try {
+      legacy = JSON.parse(saved);
+    } catch (error) {
+      console.error('Failed to parse legacy recordings:', error);
+      return 0;
+    }
+
+    const recordings = Array.isArray(legacy) ? legacy : [];
+    let migrated = 0;
+    for (const recording of recordings) {
+      try {
+        await this.importData(
+          {
+            name: recording.name,
+            connectionName: recording.connectionName,
+            startTime: new Date(recording.startTime).getTime(),
+            endTime: new Date(recording.endTime).getTime(),
+          },
+          (recording.messages || []).map((msg: any) => ({
+            timestamp: new Date(msg.timestamp).getTime(),
+            topic: msg.topic,
+            payload: msg.message ?? '',
+            qos: msg.qos || 0,
+            retain: !!msg.retain,
+            ...(msg.properties && { properties: msg.properties }),
+          })),
+        );
+        migrated++;
+      } catch (error) {
+        console.error(`Failed to migrate recording "${recording.name}":`, error);
+        // Keep what's left so nothing is lost and nothing is migrated twice.
+        localStorage.setItem('mqtt-recordings', JSON.stringify(recordings.slice(migrated)));
+        return migrated;
+      }
+    }
+    localStorage.removeItem('mqtt-recordings');
+    return migrated;
+  }
+}
+
+export default new RecordingService();
@@ -0,0 +1,115 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import DecoderService from './DecoderService';
+import SchemaService, { type SchemaRule } from './SchemaService';
+
+const storage = vi.hoisted(() => {
+  const items = new Map<string, string>();
+  const storage = {
+    getItem: (key: string) => items.get(key) ?? null,
+    setItem: (key: string, value: string) => void items.set(key, String(value)),
+    removeItem: (key: string) => void items.delete(key),
+    clear: () => items.clear(),
+  };
+  vi.stubGlobal('localStorage', storage);
+  return storage;
+});
+
+vi.mock('./DecoderService', () => ({ default: { exportValue: vi.fn() } }));
+
+const exportValue = vi.mocked(DecoderService.exportValue);
+const text = (value: string) => new TextEncoder().encode(value);
+
+const rule = (id: string, filter: string, enabled = true): SchemaRule => ({
+  id,
+  filter,
+  name: `Rule ${id}`,
+  schema: { type: 'object', required: ['value'] },
+  enabled,
+});
+
+beforeEach(() => {
+  storage.clear();
+  exportValue.mockReset();
+  SchemaService.setRules([]);
+  SchemaService.getPins().forEach((pin) => SchemaService.unpin(pin.filter));
+  SchemaService.getDriftWatches().forEach((filter) => SchemaService.unwatchDrift(filter));
+});
+
+describe('SchemaService rules', () => {
+  it('uses the first enabled rule whose filter matches', () => {
+    SchemaService.setRules([
+      rule('off', 'sensors/#', false),
+      rule('blank', ''),
+      rule('temp', 'sensors/+/temp'),
+      rule('all', 'sensors/#'),
+    ]);
+    expect(SchemaService.findRule('sensors/a/temp')?.id).toBe('temp');
+    expect(SchemaService.findRule('sensors/a/humidity')?.id).toBe('all');
+    expect(SchemaService.findRule('other')).toBeUndefined();
+  });
+
+  it('saves rules and tells listeners', () => {
+    const onChanged = vi.fn();
+    SchemaService.on('changed', onChanged);
+    const rules = [rule('temp', 'sensors/#')];
+    SchemaService.setRules(rules);
+    SchemaService.off('changed', onChanged);
+
+    expect(JSON.parse(storage.getItem('schema-rules')!)).toEqual(rules);
+    expect(onChanged).toHaveBeenCalledWith({ rules });
+  });
+
+  it('validates against the rule for the topic, if any', () => {
+    SchemaService.setRules([rule('temp', 'sensors/#')]);
+    expect(SchemaService.validate('other', {})).toBeUndefined();
+    expect(SchemaService.validate('sensors/a', { value: 1 })).toEqual({
+      schemaName: 'Rule temp',
+      errors: [],
+    });
+    expect(SchemaService.validate('sensors/a', {})?.errors).toEqual([
+      { path: '', keyword: 'required', message: 'Missing required property "value"' },
+    ]);
+    expect(SchemaService.validate('sensors/a', undefined)?.errors).toEqual([
+      { path: '', keyword: 'json', message: 'The payload is not JSON' },
+    ]);
+  });
+});
+
+describe('SchemaService.payloadValue', () => {
+  it('prefers the decoded value, then JSON text', () => {
+    exportValue.mockReturnValueOnce({ decoded: true });
+    expect(SchemaService.payloadValue('t', text('{"json":true}'))).toEqual({ decoded: true });
+    expect(SchemaService.payloadValue('t', text('{"json":true}'))).toEqual({ json: true });
+    expect(SchemaService.payloadValue('t', text('not json'))).toBeUndefined();
+  });
+});
+
+describe('SchemaService pins', () => {
+  it('keeps one pin per filter', () => {
+    SchemaService.pin('sensors/#', 'First', { type: 'object' });
+    SchemaService.pin('sensors/#', 'Second', { type: 'array' });
+    SchemaService.pin('other/+', 'Other', true);
+
+    expect(SchemaService.getPins().map((pin) => pin.name)).toEqual(['Second', 'Other']);
+    expect(SchemaService.findPin('sensors/a/b')?.schema).toEqual({ type: 'array' });
+    expect(JSON.parse(storage.getItem('schema-pins')!)).toHaveLength(2);
+
+    SchemaService.unpin('sensors/#');
+    expect(SchemaService.findPin('sensors/a/b')).toBeUndefined();
+  });
+});
+
+describe('SchemaService drift watches', () => {
+  it('are opted into per filter', () => {
+    expect(SchemaService.watchesDrift('sensors/a')).toBe(false);
+    SchemaService.watchDrift('sensors/#');
+    SchemaService.watchDrift('sensors/#');
+
+    expect(SchemaService.getDriftWatches()).toEqual(['sensors/#']);
+    expect(SchemaService.watchesDrift('sensors/a')).toBe(true);
+    expect(JSON.parse(storage.getItem('schema-drift-watches')!)).toEqual(['sensors/#']);
+
+    SchemaService.unwatchDrift('sensors/#');
+    expect(SchemaService.watchesDrift('sensors/a')).toBe(false);
+  });
+});
@@ -0,0 +1,184 @@
+import { topicMatchesFilter } from '../../../shared/topic-filter';
+import { validateSchema, type JsonSchema, type SchemaError } from '../../../shared/json-schema';
+import type { DriftIssue } from '../../../shared/schema-inference';
+import DecoderService from './DecoderService';
+import { decodeText, tryParseJson } from '../utils/payload';
+
+type EventHandler = (data: any) => void;
+
+/** Validates messages on a topic filter against a JSON Schema; the first enabled match wins. */
+export interface SchemaRule {
+  id: string;
+  filter: string;
+  name: string; // shown on flagged messages
+  schema: JsonSchema;
+  templateId?: string; // message template the schema was copied from
+  enabled: boolean;
+}
+
+/** The outcome for one message; `errors` is empty when it is valid. */
+export interface MessageValidation {
+  schemaName: string;
+  errors: SchemaError[];
+}
+
+/** A schema that messages on a filter are compared with for drift, in place of an inferred one. */
+export interface SchemaPin {
+  id: string;
+  filter: string;
+  name: string;
+  schema: JsonSchema;
+}
+
+/** Everything checked on arrival; `drift` is only set when the payload drifted. */
+export interface MessageChecks {
+  validation?: MessageValidation;
+  drift?: DriftIssue[];
+}
+
+const RULES_KEY = 'schema-rules';
+const PINS_KEY = 'schema-pins';
+const DRIFT_WATCHES_KEY = 'schema-drift-watches';
+
+/**
+ * Live schema validation of incoming messages. Payloads are checked in their
+ * decoded form when a decoder rule applies (CBOR, Protobuf, ...), otherwise
+ * as JSON text. Drift is only tracked where asked for: on watched filters,
+ * against a baseline inferred from their traffic, or on pinned ones.
+ */
+class SchemaService {
+  private rules: SchemaRule[];
+  private pins: SchemaPin[];
+  private driftWatches: string[]; // topic filters whose drift baseline is learned from traffic
+  private eventHandlers = new Map<string, Set<EventHandler>>();
+
+  constructor() {
+    this.rules = this.load(RULES_KEY);
+    this.pins = this.load(PINS_KEY);
+    this.driftWatches = this.load(DRIFT_WATCHES_KEY);
+  }
+
+  private load<T>(key: string): T[] {
+    try {
+      const saved = localStorage.getItem(key);
+      return saved ? JSON.parse(saved) : [];
+    } catch (error) {
+      console.error(`Failed to load ${key}:`, error);
+      return [];
+    }
+  }
+
+  getRules(): SchemaRule[] {
+    return this.rules;
+  }
+
+  setRules(rules: SchemaRule[]): void {
+    this.rules = rules;
+    localStorage.setItem(RULES_KEY, JSON.stringify(rules));
+    this.emitEvent('changed', { rules });
+  }
+
+  ruleMatches(rule: SchemaRule, topic: string): boolean {
+    return rule.enabled && !!rule.filter && topicMatchesFilter(topic, rule.filter);
+  }
+
+  findRule(topic: string): SchemaRule | undefined {
+    return this.rules.find((rule) => this.ruleMatches(rule, topic));
+  }
+
+  getPins(): SchemaPin[] {
+    return this.pins;
+  }
+
+  /** Pin `schema` as the drift reference for `filter`, replacing any pin on the same filter. */
+  pin(filter: string, name: string, schema: JsonSchema): void {
+    const pin = { id: `pin_${Date.now()}`, filter, name, schema };
+    this.setPins([...this.pins.filter((p) => p.filter !== filter), pin]);
+  }
+
+  unpin(filter: string): void {
+    this.setPins(this.pins.filter((p) => p.filter !== filter));
+  }
+
+  private setPins(pins: SchemaPin[]): void {
+    this.pins = pins;
+    localStorage.setItem(PINS_KEY, JSON.stringify(pins));
+    this.emitEvent('changed', { pins });
+  }
+
+  findPin(topic: string): SchemaPin | undefined {
+    return this.pins.find((pin) => topicMatchesFilter(topic, pin.filter));
+  }
+
+  getDriftWatches(): string[] {
+    return this.driftWatches;
+  }
+
+  /** Learn a drift baseline for the topics on `filter` and flag what departs from it. */
+  watchDrift(filter: string): void {
+    if (this.driftWatches.includes(filter)) return;
+    this.setDriftWatches([...this.driftWatches, filter]);
+  }
+
+  unwatchDrift(filter: string): void {
+    this.setDriftWatches(this.driftWatches.filter((f) => f !== filter));
+  }
+
+  private setDriftWatches(driftWatches: string[]): void {
+    this.driftWatches = driftWatches;
+    localStorage.setItem(DRIFT_WATCHES_KEY, JSON.stringify(driftWatches));
+    this.emitEvent('changed', { driftWatches });
+  }
+
+  watchesDrift(topic: string): boolean {
+    return this.driftWatches.some((filter) => topicMatchesFilter(topic, filter));
+  }
+
+  /** A payload as checked: decoded when a decoder rule applies, otherwise parsed as JSON. */
+  payloadValue(topic: string, bytes: Uint8Array): unknown {
+    return DecoderService.exportValue(topic, bytes) ?? tryParseJson(decodeText(bytes));
+  }
+
+  /**
+   * Validate a payload value (see payloadValue) with the rule for its topic;
+   * undefined when no rule applies.
+   */
+  validate(
+    topic: string,
+    value: unknown,
+    rule: SchemaRule | undefined = this.findRule(topic),
+  ): MessageValidation | undefined {
+    if (!rule) return undefined;
+
+    if (value === undefined) {
+      return {
+        schemaName: rule.name,
+        errors: [{ path: '', keyword: 'json', message: 'The payload is not JSON' }],
+      };
+    }
+    return { schemaName: rule.name, errors: validateSchema(rule.schema, value) };
+  }
+
+  on(eventType: string, handler: EventHandler): void {
+    if (!this.eventHandlers.has(eventType)) {
+      this.eventHandlers.set(eventType, new Set());
+    }
+    this.eventHandlers.get(eventType)!.add(handler);
+  }
+
+  off(eventType: string, handler: EventHandler): void {
+    this.eventHandlers.get(eventType)?.delete(handler);
+  }
+
+  private emitEvent(eventType: string, data: any): void {
+    this.eventHandlers.get(eventType)?.forEach((handler) => {
+      try {
+        handler(data);
+      } catch (error) {
+        console.error('SchemaService event handler error:', error);
+      }
+    });
+  }
+}
+
+export default new SchemaService();
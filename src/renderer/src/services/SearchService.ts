@@ -0,0 +1,212 @@
+import TopicTreeService, { messageId } from './TopicTreeService';
+import SchemaService from './SchemaService';
+import DecoderService from './DecoderService';
+import type TopicNode from './models/TopicNode';
+import type { StoredMessage } from './models/TopicNode';
+import { SEARCH } from '../config';
+import { decodeText } from '../utils/payload';
+import { matchesPropertyFilter } from '../utils/messageProperties';
+import { topicMatchesFilter } from '../../../shared/topic-filter';
+import { matchesPredicate, parsePredicate } from '../../../shared/json-path';
+
+export type SearchMode = 'text' | 'regex' | 'jsonpath';
+
+export interface SearchQuery {
+  text: string; // empty matches every message the other criteria let through
+  mode: SearchMode;
+  caseSensitive?: boolean; // text and regex modes
+  topicFilter?: string; // MQTT filter, e.g. `sensors/+/battery`
+  from?: number; // timestamps, inclusive
+  to?: number;
+  qos?: number[]; // accepted levels; empty for any
+  retain?: boolean; // only retained (true) or only live (false) messages
+  properties?: string; // MQTT 5 property filter, `key=value` or `key`
+}
+
+export interface SearchHit {
+  topic: string;
+  messageId: string; // as in TopicTreeService's DisplayMessage
+  timestamp: number;
+  qos: number;
+  retain: boolean;
+  excerpt: string;
+  match?: [number, number]; // the matched span within `excerpt`
+}
+
+export interface SearchResult {
+  hits: SearchHit[]; // newest first, at most SEARCH.MAX_RESULTS
+  total: number; // matches before the limit
+  scanned: number; // messages that passed the topic, time, QoS, retain and property criteria
+}
+
+/** The searchable forms of one stored message, computed once. */
+interface IndexEntry {
+  text: string; // payload text plus its decoded form, when a decoder applies
+  lower?: string; // for case-insensitive searches
+  value?: unknown; // decoded or parsed payload, for JSONPath predicates
+  parsed?: boolean; // `value` is set
+}
+
+type Matcher = (
+  entry: IndexEntry,
+  message: StoredMessage,
+  topic: string,
+) => [number, number] | null;
+
+const EXCERPT_BEFORE = 40;
+const EXCERPT_LENGTH = 160;
+
+/**
+ * Searches the message history of every topic of a connection. The payload
+ * text of each message is indexed once: for the whole tree on the first
+ * search of a connection, then as messages arrive. Decoder changes drop the
+ * index, since decoded text is part of it.
+ */
+class SearchService {
+  private entries = new WeakMap<StoredMessage, IndexEntry>();
+  private indexedConnections = new Set<string>();
+
+  constructor() {
+    TopicTreeService.on('treeUpdated', (data) => this.indexUpdate(data));
+    TopicTreeService.on('treeRemoved', ({ connectionId }) =>
+      this.indexedConnections.delete(connectionId),
+    );
+    DecoderService.on('changed', () => {
+      this.entries = new WeakMap();
+    });
+  }
+
+  /** Throws when a regex or JSONPath query does not parse. */
+  search(connectionId: string, query: SearchQuery): SearchResult {
+    const tree = TopicTreeService.getTopicTree(connectionId);
+    if (!tree) return { hits: [], total: 0, scanned: 0 };
+    const matcher = this.compile(query);
+    this.indexedConnections.add(connectionId);
+
+    const filter = query.topicFilter?.trim();
+    const from = query.from ?? -Infinity;
+    const to = query.to ?? Infinity;
+    const matches: { message: StoredMessage; topic: string; span: [number, number] | null }[] = [];
+    let scanned = 0;
+
+    for (const [topic, node] of tree.topicLookup) {
+      if (!node.hasDirectMessages || (filter && !topicMatchesFilter(topic, filter))) continue;
+      this.indexNode(node, topic);
+      for (const message of node.messageHistory.toArray()) {
+        if (message.timestamp < from || message.timestamp > to) continue;
+        if (query.qos?.length && !query.qos.includes(message.qos)) continue;
+        if (query.retain !== undefined && message.retain !== query.retain) continue;
+        if (query.properties?.trim()) {
+          if (!matchesPropertyFilter(message.properties, query.properties)) continue;
+        }
+        scanned++;
+        const span = matcher(this.entry(message, topic), message, topic);
+        if (span) matches.push({ message, topic, span: query.mode === 'jsonpath' ? null : span });
+      }
+    }
+
+    matches.sort((a, b) => b.message.timestamp - a.message.timestamp);
+    const hits = matches.slice(0, SEARCH.MAX_RESULTS).map(({ message, topic, span }) => ({
+      topic: message.topic ?? topic,
+      messageId: messageId(message),
+      timestamp: message.timestamp,
+      qos: message.qos,
+      retain: message.retain,
+      ...this.excerpt(this.entry(message, topic).text, span),
+    }));
+    return { hits, total: matches.length, scanned };
+  }
+
+  /** A matcher returning the matched span of the entry's text, or null. */
+  private compile(query: SearchQuery): Matcher {
+    const text = query.text.trim();
+    if (!text) return () => [0, 0];
+
+    if (query.mode === 'jsonpath') {
+      const predicates = parsePredicate(text);
+      return (entry, message, topic) => {
+        const value = this.value(entry, message, topic);
+        return value !== undefined && matchesPredicate(predicates, value) ? [0, 0] : null;
+      };
+    }
+
+    if (query.mode === 'regex') {
+      const regex = new RegExp(query.text, query.caseSensitive ? '' : 'i');
+      return (entry) => {
+        const match = regex.exec(entry.text);
+        return match ? [match.index, match.index + match[0].length] : null;
+      };
+    }
+
+    const needle = query.caseSensitive ? query.text : query.text.toLowerCase();
+    return (entry) => {
+      const haystack = query.caseSensitive
+        ? entry.text
+        : (entry.lower ??= entry.text.toLowerCase());
+      const index = haystack.indexOf(needle);
+      return index < 0 ? null : [index, index + needle.length];
+    };
+  }
+
+  private entry(message: StoredMessage, topic: string): IndexEntry {
+    let entry = this.entries.get(message);
+    if (!entry) {
+      entry = this.index(message, topic);
+      this.entries.set(message, entry);
+    }
+    return entry;
+  }
+
+  /** Parsed on the first JSONPath search that reaches the message. */
+  private value(entry: IndexEntry, message: StoredMessage, topic: string): unknown {
+    if (!entry.parsed && message.payload) {
+      entry.value = SchemaService.payloadValue(message.topic ?? topic, message.payload);
+    }
+    entry.parsed = true;
+    return entry.value;
+  }
+
+  private index(message: StoredMessage, topic: string): IndexEntry {
+    const payload = message.payload;
+    if (!payload) return { text: '' };
+    const raw = message.isBinary ? '' : decodeText(payload);
+    const decoded = DecoderService.searchText(message.topic ?? topic, payload);
+    const text = decoded && decoded !== raw ? (raw ? `${raw}\n${decoded}` : decoded) : raw;
+    return { text: text.slice(0, SEARCH.MAX_INDEXED_CHARS) };
+  }
+
+  /** Index a topic's messages newest first, stopping at the first one already indexed. */
+  private indexNode(node: TopicNode, topic: string): void {
+    const history = node.messageHistory.toArray();
+    for (let i = history.length - 1; i >= 0 && !this.entries.has(history[i]); i--) {
+      this.entries.set(history[i], this.index(history[i], topic));
+    }
+  }
+
+  private indexUpdate(data: { connectionId: string; topics?: string[] }): void {
+    if (!this.indexedConnections.has(data.connectionId)) return;
+    const tree = TopicTreeService.getTopicTree(data.connectionId);
+    for (const topic of data.topics ?? []) {
+      const node = tree?.getNode(topic);
+      if (node) this.indexNode(node, topic);
+    }
+  }
+
+  /** Up to EXCERPT_LENGTH characters of `text` on one line, from a little before `span`. */
+  private excerpt(
+    text: string,
+    span: [number, number] | null,
+  ): Pick<SearchHit, 'excerpt' | 'match'> {
+    const start = span ? Math.max(0, span[0] - EXCERPT_BEFORE) : 0;
+    const end = start + EXCERPT_LENGTH;
+    const prefix = start > 0 ? '…' : '';
+    // One character per character, so the span still lines up.
+    const line = text.slice(start, end).replace(/\s/g, ' ');
+    const excerpt = prefix + line + (end < text.length ? '…' : '');
+    if (!span || span[0] === span[1]) return { excerpt };
+    const offset = prefix.length - start;
+    return { excerpt, match: [span[0] + offset, Math.min(span[1], end) + offset] };
+  }
+}
+
+export default new SearchService();
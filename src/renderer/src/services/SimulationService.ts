@@ -0,0 +1,89 @@
+import type {
+  DatasetMeta,
+  IpcResult,
+  SimulationDeviceStatus,
+  SimulationEventType,
+} from '../../../shared/ipc';
+import type { SimulatedDevice } from '../../../shared/simulation';
+
+type EventHandler = (data: any) => void;
+
+const LEGACY_KEY_PREFIX = 'mqtt-simulation-devices-';
+
+/**
+ * Renderer-side access to the main-process simulation engine. Main owns the
+ * device definitions, their timers and generator state; the renderer edits
+ * definitions and shows the status events.
+ */
+class SimulationService {
+  private unwrap<T>(result: IpcResult<T>): T {
+    if (!result.success) throw new Error(result.error);
+    return result.data as T;
+  }
+
+  /** Devices of a connection, adopting any the renderer saved in localStorage earlier. */
+  async list(connectionId: string): Promise<SimulatedDevice[]> {
+    const devices = this.unwrap(await window.electronAPI.simulation.list(connectionId));
+    const legacyKey = `${LEGACY_KEY_PREFIX}${connectionId}`;
+    const saved = localStorage.getItem(legacyKey);
+    if (!saved) return devices;
+
+    try {
+      const imported = this.unwrap(
+        await window.electronAPI.simulation.import(connectionId, JSON.parse(saved)),
+      );
+      localStorage.removeItem(legacyKey);
+      return imported;
+    } catch (error) {
+      console.error('Failed to migrate simulation devices:', error);
+      return devices;
+    }
+  }
+
+  async getStatus(connectionId: string): Promise<SimulationDeviceStatus[]> {
+    return this.unwrap(await window.electronAPI.simulation.getStatus(connectionId));
+  }
+
+  async save(connectionId: string, device: SimulatedDevice): Promise<void> {
+    this.unwrap(await window.electronAPI.simulation.save(connectionId, device));
+  }
+
+  async delete(connectionId: string, deviceId: number): Promise<void> {
+    this.unwrap(await window.electronAPI.simulation.delete(connectionId, deviceId));
+  }
+
+  async start(connectionId: string, deviceId: number): Promise<void> {
+    this.unwrap(await window.electronAPI.simulation.start(connectionId, deviceId));
+  }
+
+  async stop(connectionId: string, deviceId: number): Promise<void> {
+    this.unwrap(await window.electronAPI.simulation.stop(connectionId, deviceId));
+  }
+
+  async publishOnce(connectionId: string, deviceId: number): Promise<void> {
+    this.unwrap(await window.electronAPI.simulation.publishOnce(connectionId, deviceId));
+  }
+
+  async listDatasets(): Promise<DatasetMeta[]> {
+    return this.unwrap(await window.electronAPI.simulation.listDatasets());
+  }
+
+  /** Asks main to pick and parse a CSV file; null when the user cancels. */
+  async importDataset(): Promise<DatasetMeta | null> {
+    return this.unwrap(await window.electronAPI.simulation.importDataset());
+  }
+
+  async deleteDataset(id: string): Promise<void> {
+    this.unwrap(await window.electronAPI.simulation.deleteDataset(id));
+  }
+
+  on(eventType: SimulationEventType, handler: EventHandler): void {
+    window.electronAPI.simulation.on(eventType, handler);
+  }
+
+  off(eventType: SimulationEventType, handler: EventHandler): void {
+    window.electronAPI.simulation.off(eventType, handler);
+  }
+}
+
+export default new SimulationService();
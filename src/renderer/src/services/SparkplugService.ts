@@ -0,0 +1,48 @@
+import type {
+  IpcResult,
+  SparkplugEventType,
+  SparkplugNodeOptions,
+  SparkplugNodeStatus,
+} from '../../../shared/ipc';
+import type { SparkplugMetricInput } from '../../../shared/sparkplug';
+
+type EventHandler = (data: any) => void;
+
+/**
+ * Renderer-side control of the simulated Sparkplug B edge nodes. Main owns
+ * their MQTT sessions and the birth/death sequence; the renderer only feeds
+ * metric values and follows the status events.
+ */
+class SparkplugService {
+  private unwrap<T>(result: IpcResult<T>): T {
+    if (!result.success) throw new Error(result.error);
+    return result.data as T;
+  }
+
+  async start(id: string, options: SparkplugNodeOptions): Promise<SparkplugNodeStatus> {
+    return this.unwrap(await window.electronAPI.sparkplug.start(id, options));
+  }
+
+  /** Resolves with the number of metrics published; 0 when nothing changed. */
+  async update(id: string, metrics: SparkplugMetricInput[]): Promise<number> {
+    return this.unwrap(await window.electronAPI.sparkplug.update(id, metrics));
+  }
+
+  async stop(id: string): Promise<void> {
+    this.unwrap(await window.electronAPI.sparkplug.stop(id));
+  }
+
+  async list(): Promise<SparkplugNodeStatus[]> {
+    return this.unwrap(await window.electronAPI.sparkplug.list());
+  }
+
+  on(eventType: SparkplugEventType, handler: EventHandler): void {
+    window.electronAPI.sparkplug.on(eventType, handler);
+  }
+
+  off(eventType: SparkplugEventType, handler: EventHandler): void {
+    window.electronAPI.sparkplug.off(eventType, handler);
+  }
+}
+
+export default new SparkplugService();
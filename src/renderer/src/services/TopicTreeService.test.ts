@@ -0,0 +1,120 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import SchemaService from './SchemaService';
+import TopicTreeService, { messageId, type OfflineMessage } from './TopicTreeService';
+import { SCHEMA_DRIFT } from '../config';
+
+vi.hoisted(() => {
+  const items = new Map<string, string>();
+  vi.stubGlobal('localStorage', {
+    getItem: (key: string) => items.get(key) ?? null,
+    setItem: (key: string, value: string) => void items.set(key, String(value)),
+    removeItem: (key: string) => void items.delete(key),
+  });
+});
+
+vi.mock('./MQTTService', () => ({ default: { onAny: vi.fn() } }));
+vi.mock('./DecoderService', () => ({
+  default: { on: vi.fn(), exportValue: vi.fn(() => undefined) },
+}));
+
+let timestamp = 0;
+const message = (topic: string, payload: unknown): OfflineMessage => ({
+  topic,
+  payload: new TextEncoder().encode(
+    typeof payload === 'string' ? payload : JSON.stringify(payload),
+  ),
+  qos: 0,
+  retain: false,
+  timestamp: ++timestamp,
+});
+
+const warmup = (topic: string) =>
+  Array.from({ length: SCHEMA_DRIFT.WARMUP_MESSAGES }, (_, i) => message(topic, { value: i }));
+
+/** Drift issue kinds of a topic's messages, oldest first. */
+function driftOf(connectionId: string, topic: string) {
+  return TopicTreeService.getTopicMessages(connectionId, topic)
+    .reverse()
+    .map((m) => m.drift?.map((issue) => issue.kind) ?? null);
+}
+
+let connectionCount = 0;
+let connectionId: string;
+
+beforeEach(() => {
+  connectionId = `c${++connectionCount}`;
+  SchemaService.setRules([]);
+  SchemaService.getPins().forEach((pin) => SchemaService.unpin(pin.filter));
+  SchemaService.getDriftWatches().forEach((filter) => SchemaService.unwatchDrift(filter));
+  vi.restoreAllMocks();
+});
+
+describe('TopicTreeService message checks', () => {
+  it('leaves topics without a rule, pin or drift watch alone', () => {
+    const payloadValue = vi.spyOn(SchemaService, 'payloadValue');
+    TopicTreeService.loadMessages(connectionId, [...warmup('a'), message('a', { other: 1 })]);
+
+    expect(payloadValue).not.toHaveBeenCalled();
+    expect(driftOf(connectionId, 'a').every((drift) => drift === null)).toBe(true);
+    expect(TopicTreeService.getTopicTree(connectionId)!.getNode('a')!.driftBaseline).toBeNull();
+  });
+
+  it('learns a baseline on watched topics and flags what departs from it', () => {
+    SchemaService.watchDrift('sensors/#');
+    TopicTreeService.loadMessages(connectionId, [
+      ...warmup('sensors/a'),
+      message('sensors/a', { value: 1, extra: true }),
+      message('sensors/a', 'not json'),
+      message('sensors/a', { value: 'high' }),
+    ]);
+
+    expect(driftOf(connectionId, 'sensors/a').slice(-4)).toEqual([
+      null,
+      ['new-field'],
+      null,
+      ['type-change'],
+    ]);
+  });
+
+  it('compares pinned topics with the pin from the first message', () => {
+    SchemaService.pin('pinned', 'Pinned', {
+      type: 'object',
+      properties: { value: { type: 'number' } },
+      required: ['value'],
+    });
+    TopicTreeService.loadMessages(connectionId, [
+      message('pinned', {}),
+      message('pinned', 'not json'),
+      message('pinned', { value: 1 }),
+    ]);
+
+    expect(driftOf(connectionId, 'pinned')).toEqual([['missing-field'], null, null]);
+  });
+
+  it('validates rule topics without learning a baseline', () => {
+    SchemaService.setRules([
+      { id: 'r', filter: 'ruled', name: 'Ruled', schema: { type: 'object' }, enabled: true },
+    ]);
+    TopicTreeService.loadMessages(connectionId, [...warmup('ruled'), message('ruled', '[]')]);
+
+    const [latest] = TopicTreeService.getTopicMessages(connectionId, 'ruled');
+    expect(latest.validation?.errors).toHaveLength(1);
+    expect(latest.drift).toBeUndefined();
+    expect(TopicTreeService.getTopicTree(connectionId)!.getNode('ruled')!.driftBaseline).toBeNull();
+  });
+});
+
+describe('TopicTreeService messages', () => {
+  it('gives messages with the same timestamp distinct ids', () => {
+    const burst = [message('burst', 1), message('burst', 2), message('burst', 3)].map((m) => ({
+      ...m,
+      timestamp: 1000,
+    }));
+    TopicTreeService.loadMessages(connectionId, burst);
+
+    const ids = TopicTreeService.getTopicMessages(connectionId, 'burst').map((m) => m.id);
+    expect(new Set(ids).size).toBe(3);
+    const stored = TopicTreeService.getTopicTree(connectionId)!.getNode('burst')!.messageHistory;
+    expect(stored.toArray().map(messageId)).toEqual([...ids].reverse());
+  });
+});
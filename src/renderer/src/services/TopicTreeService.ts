@@ -1,5 +1,14 @@
-import TopicTree from './models/TopicTree';
+import TopicTree, { type TopicPredicate } from './models/TopicTree';
+import type TopicNode from './models/TopicNode';
+import type { StoredMessage } from './models/TopicNode';
+import DecoderService from './DecoderService';
+import SchemaService, { type MessageChecks, type MessageValidation } from './SchemaService';
+import { topicMatchesFilter } from '../../../shared/topic-filter';
+import type { JsonSchema } from '../../../shared/json-schema';
+import { findDrift, inferSchema, type DriftIssue } from '../../../shared/schema-inference';
 import { UI } from '../config';
+import { decodeText, toBytes } from '../utils/payload';
+import { normalizeMessageProperties, type MessageProperties } from '../utils/messageProperties';
 
 type MQTTServiceInstance = typeof import('./MQTTService').default;
 type EventHandler = (data: any) => void;
@@ -9,15 +18,47 @@ interface PendingUpdate {
   timer: ReturnType<typeof setTimeout>;
 }
 
+/** A message fed into a tree from a recording rather than a broker. */
+export interface OfflineMessage {
+  topic: string;
+  payload: Uint8Array;
+  qos: number;
+  retain: boolean;
+  timestamp: number;
+  properties?: MessageProperties;
+}
+
 /** Display-ready message shape consumed by MessagePanel. */
 export interface DisplayMessage {
   id: string;
   connectionId: string;
   topic: string;
-  message: string;
+  message: string; // UTF-8 decoding of `payload`, for text consumers
+  payload: Uint8Array;
+  isBinary: boolean;
+  size: number; // bytes
   qos: number;
   retain: boolean;
   timestamp: number;
+  properties?: MessageProperties; // MQTT 5 publish properties, when any were set
+  validation?: MessageValidation; // schema check, when a schema rule covers the topic
+  drift?: DriftIssue[]; // departures from the topic's baseline or pinned schema
+}
+
+/** A schema inferred from the stored messages of every topic matching a filter. */
+export interface InferredTopicSchema {
+  schema: JsonSchema;
+  samples: number; // JSON payloads it was inferred from
+  topics: string[];
+}
+
+/**
+ * The DisplayMessage id of a stored message; search results refer to messages
+ * by it. Timestamps repeat within a millisecond or a recording, so it is the
+ * arrival sequence number.
+ */
+export function messageId(message: StoredMessage): string {
+  return `${message.seq}`;
 }
 
 class TopicTreeService {
@@ -51,19 +92,71 @@ class TopicTreeService {
     if (!this.MQTTService) return;
     // Only message events here; App owns connection lifecycle.
     this.MQTTService.onAny('message', (data) => this.handleMessage(data));
+    // Decoders change what a payload validates as, so either kind of rule change re-checks.
+    SchemaService.on('changed', () => this.recheckAll());
+    DecoderService.on('changed', () => this.recheckAll());
   }
 
-  private handleMessage(messageData: any): void {
-    const { id: connectionId, topic, message, qos, retain, timestamp } = messageData;
+  /**
+   * Schema validation and drift for one payload. Drift is measured against a
+   * pinned schema, else, on watched topics, the topic's inferred baseline;
+   * `learn` feeds the payload towards that baseline while it is still being
+   * inferred. Topics without a rule, pin or watch are not decoded at all, and
+   * payloads that are not JSON have no structure to drift.
+   */
+  private checkMessage(
+    node: TopicNode,
+    topic: string,
+    bytes: Uint8Array,
+    learn: boolean,
+  ): MessageChecks {
+    const rule = SchemaService.findRule(topic);
+    const pin = SchemaService.findPin(topic);
+    const watched = !pin && SchemaService.watchesDrift(topic);
+    if (!rule && !pin && !watched) return {};
+
+    const value = SchemaService.payloadValue(topic, bytes);
+    let reference: JsonSchema | null = null;
+    if (pin) reference = pin.schema;
+    else if (watched) reference = learn ? node.learnDriftBaseline(value) : node.driftBaseline;
+    const drift = reference && value !== undefined ? findDrift(reference, value) : undefined;
+    return { validation: SchemaService.validate(topic, value, rule), drift };
+  }
+
+  /** Re-check every stored message against the current schema rules and pins. */
+  private recheckAll(): void {
+    this.topicTrees.forEach((tree, connectionId) => {
+      const topics = tree.recheck((node, topic, payload) =>
+        this.checkMessage(node, topic, payload, false),
+      );
+      this.emitEvent('treeUpdated', { connectionId, topics, statistics: tree.getStatistics() });
+    });
+  }
 
+  private getOrCreateTree(connectionId: string): TopicTree {
     let topicTree = this.topicTrees.get(connectionId);
     if (!topicTree) {
       topicTree = new TopicTree(connectionId);
       this.topicTrees.set(connectionId, topicTree);
       this.emitEvent('treeCreated', { connectionId, tree: topicTree });
     }
+    return topicTree;
+  }
 
-    topicTree.addMessage(topic, message, qos, retain, timestamp);
+  private handleMessage(messageData: any): void {
+    const { id: connectionId, topic, payload, qos, retain, timestamp, packet } = messageData;
+
+    const topicTree = this.getOrCreateTree(connectionId);
+    const bytes = toBytes(payload);
+    topicTree.addMessage(
+      topic,
+      bytes,
+      qos,
+      retain,
+      timestamp,
+      normalizeMessageProperties(packet?.properties),
+      this.checkMessage(topicTree.getOrCreateNode(topic), topic, bytes, true),
+    );
 
     // Throttle treeUpdated; track which topics changed so listeners can filter.
     if (!this._pendingUpdates.has(connectionId)) {
@@ -84,6 +177,41 @@ class TopicTreeService {
     this._pendingUpdates.get(connectionId)!.topics.add(topic);
   }
 
+  /**
+   * Feed a batch of messages that did not come from a broker (offline analysis)
+   * into a tree, then emit one unthrottled treeUpdated for the batch.
+   */
+  loadMessages(connectionId: string, messages: OfflineMessage[]): void {
+    const topicTree = this.getOrCreateTree(connectionId);
+    const topics = new Set<string>();
+    for (const m of messages) {
+      topicTree.addMessage(
+        m.topic,
+        m.payload,
+        m.qos,
+        m.retain,
+        m.timestamp,
+        m.properties,
+        this.checkMessage(topicTree.getOrCreateNode(m.topic), m.topic, m.payload, true),
+      );
+      topics.add(m.topic);
+    }
+    this.emitEvent('treeUpdated', {
+      connectionId,
+      topics: Array.from(topics),
+      statistics: topicTree.getStatistics(),
+    });
+  }
+
+  /** Empty a tree for a rebuild without announcing it as a user clear; expansion is kept. */
+  resetTopicTree(connectionId: string): void {
+    const tree = this.getOrCreateTree(connectionId);
+    tree.reset();
+    const statistics = tree.getStatistics();
+    this.emitEvent('treeUpdated', { connectionId, topics: [], statistics });
+    this.emitEvent('topicMessagesCleared', { connectionId, statistics });
+  }
+
   /** Emit pre-calculated statistics at a moderate interval (no per-node iteration). */
   private startRateCalculationTimer(): void {
     setInterval(() => {
@@ -122,9 +250,9 @@ class TopicTreeService {
     return this.topicTrees.get(connectionId);
   }
 
-  getTopicTreeNodes(connectionId: string, includeCollapsed = false) {
+  getTopicTreeNodes(connectionId: string, includeCollapsed = false, showTopic?: TopicPredicate) {
     const tree = this.topicTrees.get(connectionId);
-    return tree ? tree.getFlattenedNodes(includeCollapsed) : [];
+    return tree ? tree.getFlattenedNodes(includeCollapsed, showTopic) : [];
   }
 
   toggleTopicNode(connectionId: string, topicPath: string): boolean {
@@ -143,14 +271,24 @@ class TopicTreeService {
     return true;
   }
 
+  /** Expand the tree down to a topic and return its node, e.g. to select it from a search. */
+  revealTopic(connectionId: string, topicPath: string) {
+    const node = this.topicTrees.get(connectionId)?.expandTo(topicPath);
+    if (!node) return null;
+    this.emitEvent('treeExpanded', { connectionId, topicPath });
+    return node.toJSON();
+  }
+
   searchTopics(connectionId: string, searchTerm: string) {
     const tree = this.topicTrees.get(connectionId);
-    return tree ? tree.searchTopics(searchTerm) : [];
+    return tree
+      ? tree.searchTopics(searchTerm, (topic, payload) => DecoderService.searchText(topic, payload))
+      : [];
   }
 
-  getTopicTreeStatistics(connectionId: string) {
+  getTopicTreeStatistics(connectionId: string, showTopic?: TopicPredicate) {
     const tree = this.topicTrees.get(connectionId);
-    return tree ? tree.getStatistics() : null;
+    return tree ? tree.getStatistics(showTopic) : null;
   }
 
   getAllTreeStatistics(): Record<string, ReturnType<TopicTree['getStatistics']>> {
@@ -192,15 +330,63 @@ class TopicTreeService {
     return node.messageHistory
       .toArray()
       .reverse()
-      .map((m) => ({
-        id: `${m.timestamp}`,
-        connectionId,
-        topic: m.topic || topicPath,
-        message: m.payload || '',
-        qos: m.qos || 0,
-        retain: m.retain || false,
-        timestamp: m.timestamp,
-      }));
+      .map((m) => {
+        const payload = m.payload || new Uint8Array(0);
+        return {
+          id: messageId(m),
+          connectionId,
+          topic: m.topic || topicPath,
+          message: decodeText(payload),
+          payload,
+          isBinary: m.isBinary,
+          size: m.length,
+          qos: m.qos || 0,
+          retain: m.retain || false,
+          timestamp: m.timestamp,
+          ...(m.properties && { properties: m.properties }),
+          ...(m.validation && { validation: m.validation }),
+          ...(m.drift && { drift: m.drift }),
+        };
+      });
+  }
+
+  /** Topics of a tree that have received messages, for collapsing into patterns. */
+  getTopicPaths(connectionId: string): string[] {
+    const tree = this.topicTrees.get(connectionId);
+    if (!tree) return [];
+    return Array.from(tree.topicLookup.entries())
+      .filter(([, node]) => node.hasDirectMessages)
+      .map(([topic]) => topic);
+  }
+
+  /** Infer one schema from the stored JSON payloads of every topic matching `filter`. */
+  inferTopicSchema(connectionId: string, filter: string): InferredTopicSchema {
+    const values: unknown[] = [];
+    const topics = this.getTopicPaths(connectionId).filter((topic) =>
+      topicMatchesFilter(topic, filter),
+    );
+    const tree = this.topicTrees.get(connectionId);
+    for (const topic of topics) {
+      for (const message of tree!.getNode(topic)!.messageHistory.toArray()) {
+        const value = message.payload
+          ? SchemaService.payloadValue(topic, message.payload)
+          : undefined;
+        if (value !== undefined) values.push(value);
+      }
+    }
+    return { schema: inferSchema(values, { title: filter }), samples: values.length, topics };
+  }
+
+  /** Drop the inferred baselines of topics matching `filter`; they are learned again. */
+  resetDrift(connectionId: string, filter: string): void {
+    const tree = this.topicTrees.get(connectionId);
+    if (!tree) return;
+    const topics = this.getTopicPaths(connectionId).filter((topic) =>
+      topicMatchesFilter(topic, filter),
+    );
+    topics.forEach((topic) => tree.getNode(topic)!.resetDriftBaseline());
+    tree.recheck((node, topic, payload) => this.checkMessage(node, topic, payload, false), topics);
+    this.emitEvent('treeUpdated', { connectionId, topics, statistics: tree.getStatistics() });
   }
 
   exportAll() {
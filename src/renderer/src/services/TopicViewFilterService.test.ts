@@ -0,0 +1,78 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import TopicViewFilterService, {
+  EMPTY_VIEW_FILTER,
+  isViewFilterActive,
+  viewFilterPredicate,
+  type TopicViewFilter,
+} from './TopicViewFilterService';
+import type TopicNode from './models/TopicNode';
+
+const storage = vi.hoisted(() => {
+  const items = new Map<string, string>();
+  const storage = {
+    getItem: (key: string) => items.get(key) ?? null,
+    setItem: (key: string, value: string) => void items.set(key, String(value)),
+    removeItem: (key: string) => void items.delete(key),
+    clear: () => items.clear(),
+  };
+  vi.stubGlobal('localStorage', storage);
+  return storage;
+});
+
+const filter = (overrides: Partial<TopicViewFilter>): TopicViewFilter => ({
+  ...EMPTY_VIEW_FILTER,
+  ...overrides,
+});
+
+const node = (lastMessageTime: number, retain = false, hasDirectMessages = true) =>
+  ({ hasDirectMessages, lastMessageTime, lastMessage: { retain } }) as unknown as TopicNode;
+
+beforeEach(() => {
+  TopicViewFilterService.setFilter('c1', EMPTY_VIEW_FILTER);
+  storage.clear();
+});
+
+describe('viewFilterPredicate', () => {
+  it('shows everything when nothing is set', () => {
+    expect(isViewFilterActive(EMPTY_VIEW_FILTER)).toBe(false);
+    expect(viewFilterPredicate(EMPTY_VIEW_FILTER)).toBeUndefined();
+  });
+
+  it('includes and excludes by pattern', () => {
+    const show = viewFilterPredicate(filter({ include: ['plant/#'], exclude: ['#/debug'] }))!;
+    expect(show('plant/line1/temp', node(0))).toBe(true);
+    expect(show('plant/line1/debug', node(0))).toBe(false);
+    expect(show('office/temp', node(0))).toBe(false);
+    // Intermediate levels are shown through the topics under them.
+    expect(show('plant/line1', node(0, false, false))).toBe(false);
+  });
+
+  it('hides quiet topics and, if asked, those whose latest message was not retained', () => {
+    const now = 10 * 60000;
+    const recent = viewFilterPredicate(filter({ activeWithinMinutes: 5 }), now)!;
+    expect(recent('a', node(now - 5 * 60000))).toBe(true);
+    expect(recent('a', node(now - 5 * 60000 - 1))).toBe(false);
+
+    const retained = viewFilterPredicate(filter({ retainedOnly: true }), now)!;
+    expect(retained('a', node(0, true))).toBe(true);
+    expect(retained('a', node(0, false))).toBe(false);
+  });
+});
+
+describe('TopicViewFilterService', () => {
+  it('saves active filters per connection and drops empty ones', () => {
+    const onChanged = vi.fn();
+    TopicViewFilterService.on('changed', onChanged);
+    const active = filter({ exclude: ['$SYS/#'] });
+    TopicViewFilterService.setFilter('c1', active);
+
+    expect(TopicViewFilterService.getFilter('c1')).toEqual(active);
+    expect(TopicViewFilterService.getFilter('c2')).toEqual(EMPTY_VIEW_FILTER);
+    expect(JSON.parse(storage.getItem('topic-view-filters')!)).toEqual({ c1: active });
+    expect(onChanged).toHaveBeenCalledWith({ connectionId: 'c1', filter: active });
+
+    TopicViewFilterService.setFilter('c1', filter({}));
+    TopicViewFilterService.off('changed', onChanged);
+    expect(JSON.parse(storage.getItem('topic-view-filters')!)).toEqual({});
+  });
+});
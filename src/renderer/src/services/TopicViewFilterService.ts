@@ -0,0 +1,108 @@
+import type { TopicPredicate } from './models/TopicTree';
+import { topicMatchesPattern } from '../../../shared/topic-filter';
+
+type EventHandler = (data: any) => void;
+
+/**
+ * Which topics a connection's topic tree shows. Patterns use MQTT filter
+ * syntax, with `#` allowed at any level (see topicMatchesPattern).
+ */
+export interface TopicViewFilter {
+  include: string[]; // empty shows every topic
+  exclude: string[];
+  activeWithinMinutes: number | null; // hide topics quiet for longer
+  retainedOnly: boolean; // only topics whose latest message was retained
+}
+
+export const EMPTY_VIEW_FILTER: TopicViewFilter = {
+  include: [],
+  exclude: [],
+  activeWithinMinutes: null,
+  retainedOnly: false,
+};
+
+const FILTERS_KEY = 'topic-view-filters';
+
+/** Whether `filter` hides anything at all. */
+export function isViewFilterActive(filter: TopicViewFilter): boolean {
+  return (
+    filter.include.length > 0 ||
+    filter.exclude.length > 0 ||
+    filter.activeWithinMinutes !== null ||
+    filter.retainedOnly
+  );
+}
+
+/** The topics `filter` shows, judged at `now`; undefined when it shows them all. */
+export function viewFilterPredicate(
+  filter: TopicViewFilter,
+  now = Date.now(),
+): TopicPredicate | undefined {
+  if (!isViewFilterActive(filter)) return undefined;
+  const since =
+    filter.activeWithinMinutes === null ? null : now - filter.activeWithinMinutes * 60000;
+  return (topic, node) =>
+    node.hasDirectMessages &&
+    (filter.include.length === 0 ||
+      filter.include.some((pattern) => topicMatchesPattern(topic, pattern))) &&
+    !filter.exclude.some((pattern) => topicMatchesPattern(topic, pattern)) &&
+    (since === null || (node.lastMessageTime ?? 0) >= since) &&
+    (!filter.retainedOnly || !!node.lastMessage?.retain);
+}
+
+/** Topic tree view filters, saved per connection. */
+class TopicViewFilterService {
+  private filters: Record<string, TopicViewFilter>;
+  private eventHandlers = new Map<string, Set<EventHandler>>();
+
+  constructor() {
+    this.filters = this.load();
+  }
+
+  private load(): Record<string, TopicViewFilter> {
+    try {
+      const saved = localStorage.getItem(FILTERS_KEY);
+      return saved ? JSON.parse(saved) : {};
+    } catch (error) {
+      console.error(`Failed to load ${FILTERS_KEY}:`, error);
+      return {};
+    }
+  }
+
+  getFilter(connectionId: string): TopicViewFilter {
+    return { ...EMPTY_VIEW_FILTER, ...this.filters[connectionId] };
+  }
+
+  setFilter(connectionId: string, filter: TopicViewFilter): void {
+    // Filters that show everything are not kept.
+    const filters = { ...this.filters };
+    if (isViewFilterActive(filter)) filters[connectionId] = filter;
+    else delete filters[connectionId];
+    this.filters = filters;
+    localStorage.setItem(FILTERS_KEY, JSON.stringify(this.filters));
+    this.emitEvent('changed', { connectionId, filter: this.getFilter(connectionId) });
+  }
+
+  on(eventType: string, handler: EventHandler): void {
+    if (!this.eventHandlers.has(eventType)) {
+      this.eventHandlers.set(eventType, new Set());
+    }
+    this.eventHandlers.get(eventType)!.add(handler);
+  }
+
+  off(eventType: string, handler: EventHandler): void {
+    this.eventHandlers.get(eventType)?.delete(handler);
+  }
+
+  private emitEvent(eventType: string, data: any): void {
+    this.eventHandlers.get(eventType)?.forEach((handler) => {
+      try {
+        handler(data);
+      } catch (error) {
+        console.error('TopicViewFilterService event handler error:', error);
+      }
+    });
+  }
+}
+
+export default new TopicViewFilterService();
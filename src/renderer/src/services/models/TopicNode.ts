@@ -1,23 +1,45 @@
 import RingBuffer from '../../utils/RingBuffer';
-import { MESSAGE_HISTORY } from '../../config';
+import { MESSAGE_HISTORY, SCHEMA_DRIFT } from '../../config';
+import { decodeText, isTextPayload } from '../../utils/payload';
+import type { MessageProperties } from '../../utils/messageProperties';
+import type { MessageChecks, MessageValidation } from '../SchemaService';
+import type { JsonSchema } from '../../../../shared/json-schema';
+import { inferSchema, type DriftIssue } from '../../../../shared/schema-inference';
 
 /** Message handed to a node when a publish arrives. */
 export interface IncomingMessage {
-  payload: string;
+  payload: Uint8Array;
   qos: number;
   retain: boolean;
   topic: string;
   timestamp?: number;
+  properties?: MessageProperties; // MQTT 5 only
+  validation?: MessageValidation; // when a schema rule covers the topic
+  drift?: DriftIssue[]; // how it departs from the topic's baseline or pinned schema
 }
 
 /** Message as stored in a node's ring buffer (`length` drives the byte budget). */
 export interface StoredMessage {
-  payload: string | null;
+  seq: number; // arrival order across every tree, so unique where timestamps collide
+  payload: Uint8Array | null;
+  isBinary: boolean; // not valid printable UTF-8; decided once on arrival
   qos: number;
   retain: boolean;
   timestamp: number;
   topic: string | null;
-  length: number;
+  length: number; // payload size in bytes
+  properties?: MessageProperties;
+  validation?: MessageValidation;
+  drift?: DriftIssue[];
+}
+
+let nextSeq = 0;
+
+/** The first drift issue of a message, for tooltips. */
+function describeDrift(drift: DriftIssue[] | undefined): string | null {
+  if (!drift?.length) return null;
+  const [issue] = drift;
+  return `${issue.path || '/'}: ${issue.message}${drift.length > 1 ? ` (+${drift.length - 1})` : ''}`;
 }
 
 class TopicNode {
@@ -27,8 +49,11 @@ class TopicNode {
   parent: TopicNode | null = null;
 
   messageCount = 0;
+  directMessageCount = 0; // messageCount without the subtopics' messages
   lastMessage: IncomingMessage | null = null;
   lastMessageTime: number | null = null;
+  private _lastMessageText: string | null = null; // decoded lazily for toJSON
+  private _lastMessageIsBinary = false;
 
   messageHistory: RingBuffer<StoredMessage>;
 
@@ -43,6 +68,11 @@ class TopicNode {
   averageInterval = 0;
   intervalSamples: number[] = [];
 
+  invalidCount = 0; // messages that failed their schema since the last clear
+  driftCount = 0; // messages that drifted from the baseline since the last clear
+  lastDrift: string | null = null;
+  driftBaseline: JsonSchema | null = null; // inferred from the first JSON payloads
+  private driftSamples: unknown[] = [];
   hasDirectMessages = false; // node received messages directly (vs. only via children)
   isExpanded = false; // UI state
   level = 0;
@@ -76,19 +106,34 @@ class TopicNode {
     }
 
     this.messageCount++;
+    this.directMessageCount++;
     this.lastMessage = message;
     this.lastMessageTime = timestamp;
     this.hasDirectMessages = true;
 
-    const payloadLen = message?.payload ? message.payload.length : 0;
+    const payload = message?.payload ?? null;
+    const isBinary = payload ? !isTextPayload(payload) : false;
+    this._lastMessageText = null;
+    this._lastMessageIsBinary = isBinary;
+
     this.messageHistory.add({
-      payload: message ? message.payload : null,
+      seq: ++nextSeq,
+      payload,
+      isBinary,
       qos: message ? message.qos : 0,
       retain: message ? message.retain : false,
       timestamp,
       topic: message ? message.topic : null,
-      length: payloadLen,
+      length: payload ? payload.byteLength : 0,
+      ...(message?.properties && { properties: message.properties }),
+      ...(message?.validation && { validation: message.validation }),
+      ...(message?.drift?.length && { drift: message.drift }),
     });
+    if (message?.validation?.errors.length) this.invalidCount++;
+    if (message?.drift?.length) {
+      this.driftCount++;
+      this.lastDrift = describeDrift(message.drift);
+    }
 
     this.calculateMessageRate(timestamp);
     this.propagateMessageCount();
@@ -183,6 +228,55 @@ class TopicNode {
     }
   }
 
+  /**
+   * Feed a payload value towards the drift baseline and return the baseline,
+   * which stays null until SCHEMA_DRIFT.WARMUP_MESSAGES JSON payloads are in.
+   */
+  learnDriftBaseline(value: unknown): JsonSchema | null {
+    if (this.driftBaseline || value === undefined) return this.driftBaseline;
+    this.driftSamples.push(value);
+    if (this.driftSamples.length >= SCHEMA_DRIFT.WARMUP_MESSAGES) {
+      this.driftBaseline = inferSchema(this.driftSamples, { title: this.fullPath });
+      this.driftSamples = [];
+    }
+    return null;
+  }
+
+  /** Forget the baseline; the next payloads infer a new one. */
+  resetDriftBaseline(): void {
+    this.driftBaseline = null;
+    this.driftSamples = [];
+  }
+
+  /**
+   * Re-check the stored messages after schema rules, pins or the baseline
+   * change. Messages already dropped from the history no longer count.
+   */
+  recheck(check: (topic: string, payload: Uint8Array) => MessageChecks) {
+    this.invalidCount = 0;
+    this.driftCount = 0;
+    this.lastDrift = null;
+    for (const message of this.messageHistory.toArray()) {
+      const { validation, drift } = message.payload
+        ? check(message.topic ?? this.fullPath, message.payload)
+        : ({} as MessageChecks);
+      if (validation) message.validation = validation;
+      else delete message.validation;
+      if (drift?.length) message.drift = drift;
+      else delete message.drift;
+      if (validation?.errors.length) this.invalidCount++;
+      if (drift?.length) {
+        this.driftCount++;
+        this.lastDrift = describeDrift(drift);
+      }
+    }
+    if (this.lastMessage) {
+      const last = this.messageHistory.last();
+      this.lastMessage.validation = last?.validation;
+      this.lastMessage.drift = last?.drift;
+    }
+  }
+
   getTotalChildMessages(): number {
     let total = this.hasDirectMessages ? this.messageCount : 0;
     for (const child of this.children.values()) {
@@ -199,6 +293,15 @@ class TopicNode {
     return totalRate;
   }
 
+  /** Last payload decoded as UTF-8 (cached until the next message). */
+  getLastMessageText(): string {
+    if (!this.lastMessage?.payload) return '';
+    if (this._lastMessageText === null) {
+      this._lastMessageText = decodeText(this.lastMessage.payload);
+    }
+    return this._lastMessageText;
+  }
+
   getPath(): string {
     return this.fullPath;
   }
@@ -229,7 +332,22 @@ class TopicNode {
           ? Math.round(this.messageRate * 1000) / 1000
           : 0,
       formattedRate: this.hasDirectMessages ? this.getFormattedRate() : '',
-      lastMessage: this.lastMessage,
+      lastMessage: this.lastMessage
+        ? {
+            topic: this.lastMessage.topic,
+            qos: this.lastMessage.qos,
+            retain: this.lastMessage.retain,
+            timestamp: this.lastMessage.timestamp,
+            payload: this.getLastMessageText(),
+            isBinary: this._lastMessageIsBinary,
+            size: this.lastMessage.payload ? this.lastMessage.payload.byteLength : 0,
+            schemaErrors: this.lastMessage.validation?.errors.length ?? 0,
+            driftIssues: this.lastMessage.drift?.length ?? 0,
+          }
+        : null,
+      invalidCount: this.invalidCount,
+      driftCount: this.driftCount,
+      lastDrift: this.lastDrift,
       lastMessageTime: this.lastMessageTime,
       isLeaf: this.hasDirectMessages && this.children.size === 0,
       isExpanded: this.isExpanded,
@@ -248,9 +366,15 @@ class TopicNode {
     const previousCount = this.messageCount;
 
     this.messageCount = 0;
+    this.directMessageCount = 0;
     this.lastMessage = null;
     this.lastMessageTime = null;
+    this._lastMessageText = null;
+    this._lastMessageIsBinary = false;
     this.messageHistory.clear();
+    this.invalidCount = 0;
+    this.driftCount = 0;
+    this.lastDrift = null;
     this.messageRate = 0;
     this.lastRateCalculation = Date.now();
     this.hasDirectMessages = false;
@@ -1,4 +1,6 @@
 import TopicNode from './TopicNode';
+import type { MessageProperties } from '../../utils/messageProperties';
+import type { MessageChecks } from '../SchemaService';
 
 export type TopicNodeJSON = ReturnType<TopicNode['toJSON']>;
 
@@ -7,22 +9,37 @@ export interface FlattenedNode extends TopicNodeJSON {
   hasChildren: boolean;
 }
 
+/** Whether a topic belongs in a filtered view of the tree. */
+export type TopicPredicate = (topic: string, node: TopicNode) => boolean;
+
 class TopicTree {
   connectionId: string;
   root: TopicNode;
   topicLookup = new Map<string, TopicNode>(); // O(1) topic → leaf lookups
   messageCount = 0;
   createdAt = Date.now();
+  private keepExpanded = new Set<string>(); // paths to re-expand as they reappear after reset()
 
   constructor(connectionId: string) {
     this.connectionId = connectionId;
     this.root = new TopicNode('', '');
   }
 
-  addMessage(topic: string, message: string, qos = 0, retain = false, timestamp = Date.now()) {
+  addMessage(
+    topic: string,
+    payload: Uint8Array,
+    qos = 0,
+    retain = false,
+    timestamp = Date.now(),
+    properties?: MessageProperties,
+    checks: MessageChecks = {},
+  ) {
     this.messageCount++;
     const leafNode = this.getOrCreateNode(topic);
-    leafNode.addMessage({ payload: message, qos, retain, topic, timestamp }, timestamp);
+    leafNode.addMessage(
+      { payload, qos, retain, topic, timestamp, properties, ...checks },
+      timestamp,
+    );
     return leafNode;
   }
 
@@ -36,7 +53,7 @@ class TopicTree {
     for (const part of parts) {
       currentPath += (currentPath ? '/' : '') + part;
       if (!currentNode.children.has(part)) {
-        currentNode.addChild(part);
+        currentNode.addChild(part).isExpanded = this.keepExpanded.has(currentPath);
       }
       currentNode = currentNode.children.get(part)!;
     }
@@ -49,19 +66,23 @@ class TopicTree {
     return this.topicLookup.get(topicPath);
   }
 
-  getFlattenedNodes(includeCollapsed = false): FlattenedNode[] {
+  /** With `showTopic`, only the topics it accepts and the nodes leading to them. */
+  getFlattenedNodes(includeCollapsed = false, showTopic?: TopicPredicate): FlattenedNode[] {
     const nodes: FlattenedNode[] = [];
+    const visible = showTopic && this.visibleNodes(showTopic);
+    const childrenOf = (node: TopicNode) => {
+      const children = Array.from(node.children.values());
+      return visible ? children.filter((child) => visible.has(child)) : children;
+    };
 
     const traverse = (node: TopicNode, depth = 0) => {
       if (node !== this.root) {
-        nodes.push({ ...node.toJSON(), depth, hasChildren: node.children.size > 0 });
+        nodes.push({ ...node.toJSON(), depth, hasChildren: childrenOf(node).length > 0 });
       }
 
       // Recurse when expanded, when collapsed nodes are requested, or at the root.
       if (node.isExpanded || includeCollapsed || node === this.root) {
-        const sortedChildren = Array.from(node.children.values()).sort((a, b) =>
-          a.name.localeCompare(b.name),
-        );
+        const sortedChildren = childrenOf(node).sort((a, b) => a.name.localeCompare(b.name));
         for (const child of sortedChildren) {
           traverse(child, node === this.root ? 0 : depth + 1);
         }
@@ -105,13 +126,34 @@ class TopicTree {
     traverse(this.root);
   }
 
-  searchTopics(searchTerm: string): TopicNodeJSON[] {
+  /** Expand every ancestor of a topic so its row is shown; returns the topic's node. */
+  expandTo(topicPath: string): TopicNode | null {
+    const node = this.getNode(topicPath) ?? this.findNodeByPath(topicPath);
+    if (!node) return null;
+    for (let parent = node.parent; parent && parent !== this.root; parent = parent.parent) {
+      parent.isExpanded = true;
+    }
+    return node;
+  }
+
+  /**
+   * Topics whose path or last payload contains `searchTerm`. `describePayload`
+   * adds searchable text for a payload, e.g. its decoded form.
+   */
+  searchTopics(
+    searchTerm: string,
+    describePayload?: (topic: string, payload: Uint8Array) => string,
+  ): TopicNodeJSON[] {
     const results: TopicNodeJSON[] = [];
     const lowerSearch = searchTerm.toLowerCase();
     for (const [topicPath, node] of this.topicLookup) {
+      const payload = node.lastMessage?.payload;
       if (
         topicPath.toLowerCase().includes(lowerSearch) ||
-        node.lastMessage?.payload.toLowerCase().includes(lowerSearch)
+        node.getLastMessageText().toLowerCase().includes(lowerSearch) ||
+        (describePayload &&
+          payload &&
+          describePayload(topicPath, payload).toLowerCase().includes(lowerSearch))
       ) {
         results.push(node.toJSON());
       }
@@ -119,17 +161,57 @@ class TopicTree {
     return results;
   }
 
-  getStatistics() {
-    const totalNodes = this.topicLookup.size;
-    const leafNodes = Array.from(this.topicLookup.values()).filter(
-      (node) => node.hasDirectMessages && node.children.size === 0,
+  /** Run the stored messages of `topics` (default all) through `check` again; returns them. */
+  recheck(
+    check: (node: TopicNode, topic: string, payload: Uint8Array) => MessageChecks,
+    topics: string[] = Array.from(this.topicLookup.keys()),
+  ): string[] {
+    for (const topic of topics) {
+      const node = this.topicLookup.get(topic);
+      node?.recheck((messageTopic, payload) => check(node, messageTopic, payload));
+    }
+    return topics;
+  }
+
+  /** Topics accepted by `showTopic` and all their ancestors. */
+  private visibleNodes(showTopic: TopicPredicate): Set<TopicNode> {
+    const visible = new Set<TopicNode>();
+    for (const [topic, node] of this.topicLookup) {
+      if (!showTopic(topic, node)) continue;
+      for (let current: TopicNode | null = node; current && !visible.has(current); ) {
+        visible.add(current);
+        current = current.parent;
+      }
+    }
+    return visible;
+  }
+
+  /** With `showTopic`, counts and rates cover only the topics it accepts. */
+  getStatistics(showTopic?: TopicPredicate) {
+    const topics = showTopic
+      ? Array.from(this.topicLookup).filter(([topic, node]) => showTopic(topic, node))
+      : Array.from(this.topicLookup);
+    const totalNodes = topics.length;
+    const leafNodes = topics.filter(
+      ([, node]) => node.hasDirectMessages && node.children.size === 0,
     ).length;
+    let driftingTopics = 0;
+    let totalMessages = 0;
+    let totalRate = 0;
+    for (const [, node] of topics) {
+      if (node.driftCount > 0) driftingTopics++;
+      if (showTopic) {
+        totalMessages += node.directMessageCount;
+        totalRate += node.hasDirectMessages ? node.messageRate : 0;
+      }
+    }
     return {
       connectionId: this.connectionId,
       totalNodes,
       leafNodes,
-      totalMessages: this.messageCount,
-      totalRate: this.root.getTotalMessageRate(),
+      driftingTopics,
+      totalMessages: showTopic ? totalMessages : this.messageCount,
+      totalRate: showTopic ? totalRate : this.root.getTotalMessageRate(),
       createdAt: this.createdAt,
       uptime: Date.now() - this.createdAt,
     };
@@ -141,6 +223,24 @@ class TopicTree {
     this.messageCount = 0;
   }
 
+  /** Clear the messages but keep expanded nodes expanded when they are rebuilt. */
+  reset(): void {
+    const expanded = new Set<string>();
+    const visit = (node: TopicNode) => {
+      for (const child of node.children.values()) {
+        if (child.isExpanded) expanded.add(child.fullPath);
+        visit(child);
+      }
+    };
+    visit(this.root);
+    // Nodes not rebuilt since the last reset keep their remembered state.
+    for (const path of this.keepExpanded) {
+      if (!this.findNodeByPath(path)) expanded.add(path);
+    }
+    this.keepExpanded = expanded;
+    this.clear();
+  }
+
   export() {
     return {
       connectionId: this.connectionId,
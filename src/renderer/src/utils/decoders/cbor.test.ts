@@ -0,0 +1,83 @@
+import { describe, expect, it } from 'vitest';
+import { decodeCbor } from './cbor';
+
+const hex = (text: string) => Uint8Array.from(text.match(/../g) ?? [], (b) => parseInt(b, 16));
+const decode = (text: string) => decodeCbor(hex(text));
+
+// Vectors from RFC 8949, Appendix A.
+describe('decodeCbor', () => {
+  it('reads integers of every width', () => {
+    expect(decode('00')).toBe(0);
+    expect(decode('17')).toBe(23);
+    expect(decode('1818')).toBe(24);
+    expect(decode('1903e8')).toBe(1000);
+    expect(decode('1a000f4240')).toBe(1000000);
+    expect(decode('1b000000e8d4a51000')).toBe(1000000000000);
+    expect(decode('1bffffffffffffffff')).toBe(18446744073709551615n);
+    expect(decode('20')).toBe(-1);
+    expect(decode('3903e7')).toBe(-1000);
+    expect(decode('3bffffffffffffffff')).toBe(-18446744073709551616n);
+  });
+
+  it('reads bignums, floats and simple values', () => {
+    expect(decode('c249010000000000000000')).toBe(18446744073709551616n);
+    expect(decode('c349010000000000000000')).toBe(-18446744073709551617n);
+    expect(decode('f93c00')).toBe(1);
+    expect(decode('f93e00')).toBe(1.5);
+    expect(decode('f9c400')).toBe(-4);
+    expect(decode('f90001')).toBe(5.960464477539063e-8);
+    expect(decode('f97c00')).toBe(Infinity);
+    expect(decode('f97e00')).toBeNaN();
+    expect(decode('fa47c35000')).toBe(100000);
+    expect(decode('fb3ff199999999999a')).toBe(1.1);
+    expect(decode('f4')).toBe(false);
+    expect(decode('f5')).toBe(true);
+    expect(decode('f6')).toBeNull();
+    expect(decode('f7')).toBeUndefined();
+    expect(decode('f0')).toEqual({ simple: 16 });
+    expect(decode('f8ff')).toEqual({ simple: 255 });
+  });
+
+  it('reads strings, including indefinite-length ones', () => {
+    expect(decode('4401020304')).toEqual(Uint8Array.from([1, 2, 3, 4]));
+    expect(decode('6449455446')).toBe('IETF');
+    expect(decode('62c3bc')).toBe('ü');
+    expect(decode('5f42010243030405ff')).toEqual(Uint8Array.from([1, 2, 3, 4, 5]));
+    expect(decode('7f657374726561646d696e67ff')).toBe('streaming');
+  });
+
+  it('reads arrays and maps, keeping non-string keys in a Map', () => {
+    expect(decode('83010203')).toEqual([1, 2, 3]);
+    expect(decode('8301820203820405')).toEqual([1, [2, 3], [4, 5]]);
+    expect(decode('9f018202039f0405ffff')).toEqual([1, [2, 3], [4, 5]]);
+    expect(decode('a26161016162820203')).toEqual({ a: 1, b: [2, 3] });
+    expect(decode('bf61610161629f0203ffff')).toEqual({ a: 1, b: [2, 3] });
+    expect(decode('a201020304')).toEqual(
+      new Map([
+        [1, 2],
+        [3, 4],
+      ]),
+    );
+  });
+
+  it('turns date tags into dates and keeps other tags', () => {
+    expect(decode('c074323031332d30332d32315432303a30343a30305a')).toEqual(
+      new Date('2013-03-21T20:04:00Z'),
+    );
+    expect(decode('c11a514b67b0')).toEqual(new Date('2013-03-21T20:04:00Z'));
+    expect(decode('d82076687474703a2f2f7777772e6578616d706c652e636f6d')).toEqual({
+      tag: 32,
+      value: 'http://www.example.com',
+    });
+  });
+
+  it('rejects malformed input', () => {
+    expect(() => decode('')).toThrow('Unexpected end of CBOR data');
+    expect(() => decode('1903')).toThrow('Unexpected end of CBOR data');
+    expect(() => decode('0000')).toThrow('1 trailing bytes after CBOR item');
+    expect(() => decode('ff')).toThrow('Unexpected break code');
+    expect(() => decode('82ff')).toThrow('Unexpected break code');
+    expect(() => decode('1c')).toThrow('Invalid CBOR additional info 28');
+    expect(() => decode('5f6161ff')).toThrow('Invalid chunk in indefinite-length string');
+  });
+});
@@ -0,0 +1,202 @@
+// Minimal CBOR (RFC 8949) reader for display: maps with non-string keys become
+// Map objects, byte strings stay Uint8Array and unknown tags are kept as
+// `{ tag, value }` so nothing in the payload is silently dropped.
+
+export interface CborTagged {
+  tag: number;
+  value: unknown;
+}
+
+const BREAK = Symbol('break');
+
+class CborReader {
+  private offset = 0;
+  private view: DataView;
+
+  constructor(private bytes: Uint8Array) {
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  }
+
+  readAll(): unknown {
+    const value = this.readItem();
+    if (value === BREAK) throw new Error('Unexpected break code');
+    if (this.offset !== this.bytes.length) {
+      throw new Error(`${this.bytes.length - this.offset} trailing bytes after CBOR item`);
+    }
+    return value;
+  }
+
+  private need(count: number): void {
+    if (this.offset + count > this.bytes.length) throw new Error('Unexpected end of CBOR data');
+  }
+
+  private readUint(info: number): number | bigint {
+    if (info < 24) return info;
+    const size = info === 24 ? 1 : info === 25 ? 2 : info === 26 ? 4 : info === 27 ? 8 : 0;
+    if (!size) throw new Error(`Invalid CBOR additional info ${info}`);
+    this.need(size);
+    const at = this.offset;
+    this.offset += size;
+    switch (size) {
+      case 1:
+        return this.view.getUint8(at);
+      case 2:
+        return this.view.getUint16(at);
+      case 4:
+        return this.view.getUint32(at);
+      default: {
+        const big = this.view.getBigUint64(at);
+        return big <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(big) : big;
+      }
+    }
+  }
+
+  private readLength(info: number): number {
+    const length = this.readUint(info);
+    if (typeof length === 'bigint') throw new Error('CBOR item too large');
+    return length;
+  }
+
+  private readBytes(length: number): Uint8Array {
+    this.need(length);
+    const slice = this.bytes.slice(this.offset, this.offset + length);
+    this.offset += length;
+    return slice;
+  }
+
+  // Indefinite-length strings are a sequence of definite chunks ended by a break.
+  private readChunks(major: number): Uint8Array[] {
+    const chunks: Uint8Array[] = [];
+    for (;;) {
+      this.need(1);
+      const initial = this.bytes[this.offset++];
+      if (initial === 0xff) return chunks;
+      if (initial >> 5 !== major) throw new Error('Invalid chunk in indefinite-length string');
+      chunks.push(this.readBytes(this.readLength(initial & 0x1f)));
+    }
+  }
+
+  private readItem(): unknown {
+    this.need(1);
+    const initial = this.bytes[this.offset++];
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    switch (major) {
+      case 0:
+        return this.readUint(info);
+      case 1: {
+        const n = this.readUint(info);
+        return typeof n === 'bigint' ? -1n - n : -1 - n;
+      }
+      case 2:
+      case 3: {
+        let bytes: Uint8Array;
+        if (info === 31) {
+          const chunks = this.readChunks(major);
+          bytes = new Uint8Array(chunks.reduce((sum, c) => sum + c.length, 0));
+          let at = 0;
+          for (const chunk of chunks) {
+            bytes.set(chunk, at);
+            at += chunk.length;
+          }
+        } else {
+          bytes = this.readBytes(this.readLength(info));
+        }
+        return major === 2 ? bytes : new TextDecoder().decode(bytes);
+      }
+      case 4: {
+        const items: unknown[] = [];
+        const length = info === 31 ? Infinity : this.readLength(info);
+        while (items.length < length) {
+          const item = this.readItem();
+          if (item === BREAK) {
+            if (length !== Infinity) throw new Error('Unexpected break code');
+            break;
+          }
+          items.push(item);
+        }
+        return items;
+      }
+      case 5: {
+        const entries: [unknown, unknown][] = [];
+        const length = info === 31 ? Infinity : this.readLength(info);
+        while (entries.length < length) {
+          const key = this.readItem();
+          if (key === BREAK) {
+            if (length !== Infinity) throw new Error('Unexpected break code');
+            break;
+          }
+          entries.push([key, this.readItem()]);
+        }
+        return entries.every(([key]) => typeof key === 'string')
+          ? Object.fromEntries(entries)
+          : new Map(entries);
+      }
+      case 6:
+        return this.readTag(this.readUint(info));
+      default:
+        return this.readSimple(info);
+    }
+  }
+
+  private readTag(tag: number | bigint): unknown {
+    const value = this.readItem();
+    if (tag === 0 && typeof value === 'string') return new Date(value);
+    if (tag === 1 && typeof value === 'number') return new Date(value * 1000);
+    if ((tag === 2 || tag === 3) && value instanceof Uint8Array) {
+      let n = 0n;
+      for (const b of value) n = (n << 8n) | BigInt(b);
+      return tag === 2 ? n : -1n - n;
+    }
+    return { tag: Number(tag), value } satisfies CborTagged;
+  }
+
+  private readSimple(info: number): unknown {
+    switch (info) {
+      case 20:
+        return false;
+      case 21:
+        return true;
+      case 22:
+        return null;
+      case 23:
+        return undefined;
+      case 24:
+        this.need(1);
+        return { simple: this.bytes[this.offset++] };
+      case 25: {
+        this.need(2);
+        const half = this.view.getUint16(this.offset);
+        this.offset += 2;
+        return decodeHalf(half);
+      }
+      case 26:
+        this.need(4);
+        this.offset += 4;
+        return this.view.getFloat32(this.offset - 4);
+      case 27:
+        this.need(8);
+        this.offset += 8;
+        return this.view.getFloat64(this.offset - 8);
+      case 31:
+        return BREAK;
+      default:
+        if (info < 20) return { simple: info };
+        throw new Error(`Invalid CBOR simple value ${info}`);
+    }
+  }
+}
+
+function decodeHalf(half: number): number {
+  const exponent = (half >> 10) & 0x1f;
+  const fraction = half & 0x3ff;
+  const sign = half & 0x8000 ? -1 : 1;
+  if (exponent === 0) return sign * 2 ** -14 * (fraction / 1024);
+  if (exponent === 31) return fraction ? NaN : sign * Infinity;
+  return sign * 2 ** (exponent - 15) * (1 + fraction / 1024);
+}
+
+export function decodeCbor(bytes: Uint8Array): unknown {
+  return new CborReader(bytes).readAll();
+}
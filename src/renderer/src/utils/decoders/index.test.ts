@@ -0,0 +1,56 @@
+import { deflateSync, gzipSync, zlibSync } from 'fflate';
+import { describe, expect, it } from 'vitest';
+import { getDecoder, listDecoders, toJsonSafe } from './index';
+
+const text = (value: string) => new TextEncoder().encode(value);
+const decode = (id: string, bytes: Uint8Array) =>
+  getDecoder(id)!.decode(bytes, { protoRoot: null });
+
+describe('decoder registry', () => {
+  it('registers the built-in decoders', () => {
+    expect(listDecoders().map((decoder) => decoder.id)).toEqual([
+      'json',
+      'cbor',
+      'msgpack',
+      'gzip',
+      'deflate',
+      'base64',
+      'protobuf',
+      'sparkplugB',
+    ]);
+  });
+
+  it('unwraps compressed and base64 payloads into JSON, text or bytes', () => {
+    expect(decode('gzip', gzipSync(text('{"a":1}')))).toEqual({ a: 1 });
+    expect(decode('deflate', zlibSync(text('plain')))).toBe('plain');
+    expect(decode('deflate', deflateSync(text('[1]')))).toEqual([1]);
+    expect(decode('base64', text('AAEC'))).toEqual(Uint8Array.from([0, 1, 2]));
+    expect(() => decode('base64', text('not base64!'))).toThrow('Payload is not base64 text');
+  });
+
+  it('explains what a Protobuf rule is missing', () => {
+    expect(() => decode('protobuf', Uint8Array.of())).toThrow('No .proto files loaded');
+  });
+});
+
+describe('toJsonSafe', () => {
+  it('turns decoded values into plain JSON', () => {
+    expect(
+      toJsonSafe({
+        big: 12345678901234567890n,
+        when: new Date(0),
+        invalid: new Date(NaN),
+        bytes: Uint8Array.from([0, 255]),
+        map: new Map<unknown, unknown>([[1, undefined]]),
+        list: [undefined, 1],
+      }),
+    ).toEqual({
+      big: '12345678901234567890',
+      when: '1970-01-01T00:00:00.000Z',
+      invalid: null,
+      bytes: 'AP8=',
+      map: { 1: null },
+      list: [null, 1],
+    });
+  });
+});
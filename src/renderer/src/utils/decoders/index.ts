@@ -0,0 +1,112 @@
+// Payload decoder registry. Each decoder turns raw payload bytes into a plain
+// value for the structured view, search and exports; rules in DecoderService
+// decide which decoder applies to which topics.
+import { gunzipSync, inflateSync, unzlibSync } from 'fflate';
+import type protobuf from 'protobufjs';
+import { decodeSparkplugPayload } from '../../../../shared/sparkplug';
+import { decodeText, fromBase64, isTextPayload, toBase64 } from '../payload';
+import { decodeCbor } from './cbor';
+import { decodeMsgpack } from './msgpack';
+
+export interface DecoderContext {
+  messageType?: string; // fully qualified Protobuf message type
+  protoRoot: protobuf.Root | null; // types from the user's loaded .proto files
+}
+
+export interface PayloadDecoder {
+  id: string;
+  label: string;
+  needsMessageType?: boolean;
+  /** Decode or throw; the error message is shown in place of the value. */
+  decode(bytes: Uint8Array, context: DecoderContext): unknown;
+}
+
+/** Decompressed or base64-decoded bytes: JSON if it parses, text if printable, else bytes. */
+function bytesToValue(bytes: Uint8Array): unknown {
+  if (!isTextPayload(bytes)) return bytes;
+  const text = decodeText(bytes);
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+const decoders = new Map<string, PayloadDecoder>();
+
+export function registerDecoder(decoder: PayloadDecoder): void {
+  decoders.set(decoder.id, decoder);
+}
+
+export function getDecoder(id: string): PayloadDecoder | undefined {
+  return decoders.get(id);
+}
+
+export function listDecoders(): PayloadDecoder[] {
+  return Array.from(decoders.values());
+}
+
+registerDecoder({
+  id: 'json',
+  label: 'JSON',
+  decode: (bytes) => JSON.parse(decodeText(bytes)),
+});
+
+registerDecoder({ id: 'cbor', label: 'CBOR', decode: decodeCbor });
+
+registerDecoder({ id: 'msgpack', label: 'MessagePack', decode: decodeMsgpack });
+
+registerDecoder({
+  id: 'gzip',
+  label: 'gzip',
+  decode: (bytes) => bytesToValue(gunzipSync(bytes)),
+});
+
+registerDecoder({
+  id: 'deflate',
+  label: 'Deflate (zlib or raw)',
+  decode: (bytes) => {
+    // zlib-wrapped deflate starts with CMF 0x78; anything else is tried as raw.
+    return bytesToValue(bytes[0] === 0x78 ? unzlibSync(bytes) : inflateSync(bytes));
+  },
+});
+
+registerDecoder({
+  id: 'base64',
+  label: 'Base64',
+  decode: (bytes) => {
+    const text = decodeText(bytes).trim();
+    if (!/^[A-Za-z0-9+/\s]*={0,2}$/.test(text)) throw new Error('Payload is not base64 text');
+    return bytesToValue(fromBase64(text));
+  },
+});
+
+registerDecoder({
+  id: 'protobuf',
+  label: 'Protobuf',
+  needsMessageType: true,
+  decode: (bytes, { messageType, protoRoot }) => {
+    if (!protoRoot) throw new Error('No .proto files loaded');
+    if (!messageType) throw new Error('No message type chosen for this rule');
+    const type = protoRoot.lookupType(messageType);
+    return type.toObject(type.decode(bytes), { longs: String, enums: String, bytes: String });
+  },
+});
+
+registerDecoder({ id: 'sparkplugB', label: 'Sparkplug B', decode: decodeSparkplugPayload });
+
+/** JSON-safe copy of a decoded value: bytes as base64, bigints and dates as strings. */
+export function toJsonSafe(value: unknown): unknown {
+  if (value === undefined) return null;
+  if (typeof value === 'bigint') return value.toString();
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value.toISOString();
+  if (value instanceof Uint8Array) return toBase64(value);
+  if (value instanceof Map) {
+    return Object.fromEntries(Array.from(value, ([k, v]) => [String(k), toJsonSafe(v)]));
+  }
+  if (Array.isArray(value)) return value.map(toJsonSafe);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toJsonSafe(v)]));
+  }
+  return value;
+}
@@ -0,0 +1,72 @@
+import { describe, expect, it } from 'vitest';
+import { decodeMsgpack } from './msgpack';
+
+const hex = (text: string) => Uint8Array.from(text.match(/../g) ?? [], (b) => parseInt(b, 16));
+const decode = (text: string) => decodeMsgpack(hex(text));
+
+describe('decodeMsgpack', () => {
+  it('reads fixints and sized integers', () => {
+    expect(decode('00')).toBe(0);
+    expect(decode('7f')).toBe(127);
+    expect(decode('ff')).toBe(-1);
+    expect(decode('e0')).toBe(-32);
+    expect(decode('ccff')).toBe(255);
+    expect(decode('cd0100')).toBe(256);
+    expect(decode('ce00010000')).toBe(65536);
+    expect(decode('d080')).toBe(-128);
+    expect(decode('d18000')).toBe(-32768);
+    expect(decode('d280000000')).toBe(-2147483648);
+    expect(decode('cf0000000100000000')).toBe(4294967296);
+    expect(decode('d3ffffffffffffffff')).toBe(-1);
+  });
+
+  it('keeps 64-bit integers outside the safe range exact', () => {
+    expect(decode('cfffffffffffffffff')).toBe(18446744073709551615n);
+    expect(decode('d38000000000000000')).toBe(-9223372036854775808n);
+  });
+
+  it('reads nil, booleans and floats', () => {
+    expect(decode('c0')).toBeNull();
+    expect(decode('c2')).toBe(false);
+    expect(decode('c3')).toBe(true);
+    expect(decode('ca3fc00000')).toBe(1.5);
+    expect(decode('cb3ff199999999999a')).toBe(1.1);
+  });
+
+  it('reads strings and binary of every length format', () => {
+    expect(decode('a3616263')).toBe('abc');
+    expect(decode('d903616263')).toBe('abc');
+    expect(decode('da0002c3bc')).toBe('ü');
+    expect(decode('db00000000')).toBe('');
+    expect(decode('c4020102')).toEqual(Uint8Array.from([1, 2]));
+    expect(decode('c5000103')).toEqual(Uint8Array.from([3]));
+    expect(decode('c60000000104')).toEqual(Uint8Array.from([4]));
+  });
+
+  it('reads arrays and maps, keeping non-string keys in a Map', () => {
+    expect(decode('93010203')).toEqual([1, 2, 3]);
+    expect(decode('dc0002c0c3')).toEqual([null, true]);
+    expect(decode('dd0000000101')).toEqual([1]);
+    expect(decode('82a16101a16292c2c3')).toEqual({ a: 1, b: [false, true] });
+    expect(decode('de0001a16100')).toEqual({ a: 0 });
+    expect(decode('df00000001a16100')).toEqual({ a: 0 });
+    expect(decode('810102')).toEqual(new Map([[1, 2]]));
+  });
+
+  it('turns the timestamp extension into a date and keeps other extensions', () => {
+    expect(decode('d6ff514b67b0')).toEqual(new Date('2013-03-21T20:04:00Z'));
+    // 500 ms in nanoseconds, shifted into the top 30 bits.
+    expect(decode('d7ff7735940000000000')).toEqual(new Date(500));
+    expect(decode('c70cff1dcd65000000000000000001')).toEqual(new Date(1500));
+    expect(decode('d40501')).toEqual({ ext: 5, data: Uint8Array.from([1]) });
+    expect(decode('c70205aabb')).toEqual({ ext: 5, data: Uint8Array.from([0xaa, 0xbb]) });
+  });
+
+  it('rejects malformed input', () => {
+    expect(() => decode('')).toThrow('Unexpected end of MessagePack data');
+    expect(() => decode('a3616')).toThrow('Unexpected end of MessagePack data');
+    expect(() => decode('0000')).toThrow('1 trailing bytes after MessagePack value');
+    expect(() => decode('c1')).toThrow('Invalid MessagePack type byte 0xc1');
+    expect(() => decode('c703ff010203')).toThrow('Invalid MessagePack timestamp length 3');
+  });
+});
@@ -0,0 +1,191 @@
+// Minimal MessagePack reader for display. 64-bit integers outside the safe
+// range come back as bigint, bin as Uint8Array and the timestamp extension
+// (-1) as a Date; other extensions are kept as `{ ext, data }`.
+
+export interface MsgpackExtension {
+  ext: number;
+  data: Uint8Array;
+}
+
+class MsgpackReader {
+  private offset = 0;
+  private view: DataView;
+
+  constructor(private bytes: Uint8Array) {
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  }
+
+  readAll(): unknown {
+    const value = this.readItem();
+    if (this.offset !== this.bytes.length) {
+      throw new Error(`${this.bytes.length - this.offset} trailing bytes after MessagePack value`);
+    }
+    return value;
+  }
+
+  private need(count: number): void {
+    if (this.offset + count > this.bytes.length) {
+      throw new Error('Unexpected end of MessagePack data');
+    }
+  }
+
+  private uint(size: 1 | 2 | 4): number {
+    this.need(size);
+    const at = this.offset;
+    this.offset += size;
+    return size === 1
+      ? this.view.getUint8(at)
+      : size === 2
+        ? this.view.getUint16(at)
+        : this.view.getUint32(at);
+  }
+
+  private int(size: 1 | 2 | 4): number {
+    this.need(size);
+    const at = this.offset;
+    this.offset += size;
+    return size === 1
+      ? this.view.getInt8(at)
+      : size === 2
+        ? this.view.getInt16(at)
+        : this.view.getInt32(at);
+  }
+
+  private int64(signed: boolean): number | bigint {
+    this.need(8);
+    const value = signed ? this.view.getBigInt64(this.offset) : this.view.getBigUint64(this.offset);
+    this.offset += 8;
+    return value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER)
+      ? Number(value)
+      : value;
+  }
+
+  private raw(length: number): Uint8Array {
+    this.need(length);
+    const slice = this.bytes.slice(this.offset, this.offset + length);
+    this.offset += length;
+    return slice;
+  }
+
+  private str(length: number): string {
+    return new TextDecoder().decode(this.raw(length));
+  }
+
+  private array(length: number): unknown[] {
+    const items: unknown[] = [];
+    for (let i = 0; i < length; i++) items.push(this.readItem());
+    return items;
+  }
+
+  private map(length: number): unknown {
+    const entries: [unknown, unknown][] = [];
+    for (let i = 0; i < length; i++) entries.push([this.readItem(), this.readItem()]);
+    return entries.every(([key]) => typeof key === 'string')
+      ? Object.fromEntries(entries)
+      : new Map(entries);
+  }
+
+  private ext(length: number): unknown {
+    const type = this.int(1);
+    const data = this.raw(length);
+    if (type !== -1) return { ext: type, data } satisfies MsgpackExtension;
+
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    if (length === 4) return new Date(view.getUint32(0) * 1000);
+    if (length === 8) {
+      const nanos = view.getUint32(0) >>> 2;
+      const seconds = (view.getUint32(0) & 0x3) * 2 ** 32 + view.getUint32(4);
+      return new Date(seconds * 1000 + nanos / 1e6);
+    }
+    if (length === 12) {
+      return new Date(Number(view.getBigInt64(4)) * 1000 + view.getUint32(0) / 1e6);
+    }
+    throw new Error(`Invalid MessagePack timestamp length ${length}`);
+  }
+
+  private readItem(): unknown {
+    this.need(1);
+    const type = this.bytes[this.offset++];
+
+    if (type <= 0x7f) return type;
+    if (type >= 0xe0) return type - 0x100;
+    if (type >= 0x80 && type <= 0x8f) return this.map(type & 0x0f);
+    if (type >= 0x90 && type <= 0x9f) return this.array(type & 0x0f);
+    if (type >= 0xa0 && type <= 0xbf) return this.str(type & 0x1f);
+
+    switch (type) {
+      case 0xc0:
+        return null;
+      case 0xc2:
+        return false;
+      case 0xc3:
+        return true;
+      case 0xc4:
+        return this.raw(this.uint(1));
+      case 0xc5:
+        return this.raw(this.uint(2));
+      case 0xc6:
+        return this.raw(this.uint(4));
+      case 0xc7:
+        return this.ext(this.uint(1));
+      case 0xc8:
+        return this.ext(this.uint(2));
+      case 0xc9:
+        return this.ext(this.uint(4));
+      case 0xca:
+        this.need(4);
+        this.offset += 4;
+        return this.view.getFloat32(this.offset - 4);
+      case 0xcb:
+        this.need(8);
+        this.offset += 8;
+        return this.view.getFloat64(this.offset - 8);
+      case 0xcc:
+        return this.uint(1);
+      case 0xcd:
+        return this.uint(2);
+      case 0xce:
+        return this.uint(4);
+      case 0xcf:
+        return this.int64(false);
+      case 0xd0:
+        return this.int(1);
+      case 0xd1:
+        return this.int(2);
+      case 0xd2:
+        return this.int(4);
+      case 0xd3:
+        return this.int64(true);
+      case 0xd4:
+        return this.ext(1);
+      case 0xd5:
+        return this.ext(2);
+      case 0xd6:
+        return this.ext(4);
+      case 0xd7:
+        return this.ext(8);
+      case 0xd8:
+        return this.ext(16);
+      case 0xd9:
+        return this.str(this.uint(1));
+      case 0xda:
+        return this.str(this.uint(2));
+      case 0xdb:
+        return this.str(this.uint(4));
+      case 0xdc:
+        return this.array(this.uint(2));
+      case 0xdd:
+        return this.array(this.uint(4));
+      case 0xde:
+        return this.map(this.uint(2));
+      case 0xdf:
+        return this.map(this.uint(4));
+      default:
+        throw new Error(`Invalid MessagePack type byte 0x${type.toString(16)}`);
+    }
+  }
+}
+
+export function decodeMsgpack(bytes: Uint8Array): unknown {
+  return new MsgpackReader(bytes).readAll();
+}
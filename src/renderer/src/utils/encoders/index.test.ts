@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest';
+import { encodePayload, isJsonEncoding } from './index';
+
+const context = { protoRoot: null };
+const bytes = (...values: number[]) => Uint8Array.from(values);
+
+describe('encodePayload', () => {
+  it('sends text as UTF-8', () => {
+    expect(encodePayload('hé', 'text', context)).toEqual(bytes(0x68, 0xc3, 0xa9));
+  });
+
+  it('accepts hex with common separators and prefixes', () => {
+    expect(encodePayload('01 0a ff', 'hex', context)).toEqual(bytes(1, 10, 255));
+    expect(encodePayload('0x010AFF', 'hex', context)).toEqual(bytes(1, 10, 255));
+    expect(encodePayload('01:0a-ff,00', 'hex', context)).toEqual(bytes(1, 10, 255, 0));
+    expect(() => encodePayload('0g', 'hex', context)).toThrow('may only contain 0-9 and a-f');
+    expect(() => encodePayload('abc', 'hex', context)).toThrow('odd number of digits');
+  });
+
+  it('decodes base64', () => {
+    expect(encodePayload('AAEC\n', 'base64', context)).toEqual(bytes(0, 1, 2));
+    expect(() => encodePayload('A*', 'base64', context)).toThrow('Invalid base64 text');
+  });
+
+  it('encodes JSON as CBOR or MessagePack', () => {
+    expect(encodePayload('{"a":1}', 'cbor', context)).toEqual(bytes(0xa1, 0x61, 0x61, 0x01));
+    expect(encodePayload('{"a":1}', 'msgpack', context)).toEqual(bytes(0x81, 0xa1, 0x61, 0x01));
+    expect(() => encodePayload('{a:1}', 'cbor', context)).toThrow(/^Invalid JSON: /);
+  });
+
+  it('needs loaded .proto files and a message type for Protobuf', () => {
+    expect(() => encodePayload('{}', 'protobuf', context)).toThrow('No .proto files loaded');
+  });
+});
+
+describe('isJsonEncoding', () => {
+  it('is true where the editor holds JSON', () => {
+    expect(['text', 'cbor', 'msgpack', 'protobuf'].every((e) => isJsonEncoding(e as any))).toBe(
+      true,
+    );
+    expect(isJsonEncoding('hex')).toBe(false);
+    expect(isJsonEncoding('file')).toBe(false);
+  });
+});
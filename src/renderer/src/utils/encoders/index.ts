@@ -0,0 +1,93 @@
+// Payload encoders for publishing. Each turns the editor text into the bytes
+// that are sent; loading a payload from a file bypasses them entirely.
+import type protobuf from 'protobufjs';
+import { fromBase64 } from '../payload';
+import { encodeCbor } from '../../../../shared/encoders/cbor';
+import { encodeMsgpack } from '../../../../shared/encoders/msgpack';
+import { utf8 } from '../../../../shared/encoders/writer';
+
+export type PayloadEncoding = 'text' | 'hex' | 'base64' | 'cbor' | 'msgpack' | 'protobuf' | 'file';
+
+export interface EncoderContext {
+  messageType?: string; // fully qualified Protobuf message type
+  protoRoot: protobuf.Root | null;
+}
+
+export const PAYLOAD_ENCODINGS: {
+  value: PayloadEncoding;
+  label: string;
+  placeholder: string;
+  needsMessageType?: boolean;
+}[] = [
+  { value: 'text', label: 'Text', placeholder: 'Enter message payload (JSON, text, etc.)' },
+  { value: 'hex', label: 'Hex', placeholder: 'Hex bytes, e.g. 01 0a ff or 0x010aff' },
+  { value: 'base64', label: 'Base64', placeholder: 'Base64-encoded bytes' },
+  { value: 'cbor', label: 'JSON → CBOR', placeholder: 'JSON value to encode as CBOR' },
+  {
+    value: 'msgpack',
+    label: 'JSON → MessagePack',
+    placeholder: 'JSON value to encode as MessagePack',
+  },
+  {
+    value: 'protobuf',
+    label: 'JSON → Protobuf',
+    placeholder: 'JSON object matching the chosen message type',
+    needsMessageType: true,
+  },
+  { value: 'file', label: 'File', placeholder: '' },
+];
+
+/** True for encodings whose editor text is JSON (Format JSON and validation apply). */
+export function isJsonEncoding(encoding: PayloadEncoding): boolean {
+  return (
+    encoding === 'text' || encoding === 'cbor' || encoding === 'msgpack' || encoding === 'protobuf'
+  );
+}
+
+function parseJson(text: string): unknown {
+  try {
+    return JSON.parse(text);
+  } catch (error: any) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+}
+
+function parseHex(text: string): Uint8Array {
+  const hex = text.replace(/0x/gi, '').replace(/[\s:,-]/g, '');
+  if (!/^[0-9a-f]*$/i.test(hex)) throw new Error('Hex payload may only contain 0-9 and a-f');
+  if (hex.length % 2) throw new Error('Hex payload has an odd number of digits');
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  return bytes;
+}
+
+/** Encode the editor text; throws with a message suitable for showing inline. */
+export function encodePayload(
+  text: string,
+  encoding: Exclude<PayloadEncoding, 'file'>,
+  context: EncoderContext,
+): Uint8Array {
+  switch (encoding) {
+    case 'text':
+      return utf8(text);
+    case 'hex':
+      return parseHex(text);
+    case 'base64':
+      if (!/^[A-Za-z0-9+/\s]*={0,2}\s*$/.test(text)) throw new Error('Invalid base64 text');
+      return fromBase64(text);
+    case 'cbor':
+      return encodeCbor(parseJson(text));
+    case 'msgpack':
+      return encodeMsgpack(parseJson(text));
+    case 'protobuf': {
+      if (!context.protoRoot) throw new Error('No .proto files loaded (see Decoders)');
+      if (!context.messageType) throw new Error('Choose a message type');
+      const type = context.protoRoot.lookupType(context.messageType);
+      const value = parseJson(text);
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('Protobuf payload must be a JSON object');
+      }
+      return type.encode(type.fromObject(value)).finish();
+    }
+  }
+}
@@ -0,0 +1,127 @@
+// MQTT 5 PUBLISH properties as received. mqtt.js hands us the raw packet
+// properties; these helpers normalise them for storage, display and export.
+import { decodeText, fromBase64, isTextPayload, toBase64, toBytes, toHex } from './payload';
+
+export type UserProperties = Record<string, string | string[]>;
+
+/** Normalised properties of a received PUBLISH (MQTT 5 only). */
+export interface MessageProperties {
+  userProperties?: UserProperties;
+  contentType?: string;
+  payloadFormatIndicator?: boolean; // true = payload declared as UTF-8
+  responseTopic?: string;
+  correlationData?: Uint8Array;
+  messageExpiryInterval?: number; // seconds
+  subscriptionIdentifiers?: number[];
+  topicAlias?: number;
+}
+
+/** JSON-safe form used in exports and recordings (correlation data as base64). */
+export type SerializedMessageProperties = Omit<MessageProperties, 'correlationData'> & {
+  correlationData?: string;
+};
+
+/** Build MessageProperties from a packet's `properties`, or undefined if none are set. */
+export function normalizeMessageProperties(raw: unknown): MessageProperties | undefined {
+  if (!raw || typeof raw !== 'object') return undefined;
+  const p = raw as Record<string, any>;
+  const props: MessageProperties = {};
+
+  if (p.userProperties && Object.keys(p.userProperties).length > 0) {
+    props.userProperties = { ...p.userProperties };
+  }
+  if (typeof p.contentType === 'string') props.contentType = p.contentType;
+  if (p.payloadFormatIndicator !== undefined) {
+    props.payloadFormatIndicator = Boolean(p.payloadFormatIndicator);
+  }
+  if (typeof p.responseTopic === 'string') props.responseTopic = p.responseTopic;
+  if (p.correlationData != null) props.correlationData = toBytes(p.correlationData);
+  if (typeof p.messageExpiryInterval === 'number') {
+    props.messageExpiryInterval = p.messageExpiryInterval;
+  }
+  if (p.subscriptionIdentifier != null) {
+    props.subscriptionIdentifiers = ([] as number[]).concat(p.subscriptionIdentifier);
+  }
+  if (typeof p.topicAlias === 'number') props.topicAlias = p.topicAlias;
+
+  return Object.keys(props).length > 0 ? props : undefined;
+}
+
+export function serializeMessageProperties(
+  props: MessageProperties | undefined,
+): SerializedMessageProperties | undefined {
+  if (!props) return undefined;
+  const { correlationData, ...rest } = props;
+  return correlationData ? { ...rest, correlationData: toBase64(correlationData) } : rest;
+}
+
+export function deserializeMessageProperties(
+  props: SerializedMessageProperties | undefined,
+): MessageProperties | undefined {
+  if (!props) return undefined;
+  const { correlationData, ...rest } = props;
+  return correlationData ? { ...rest, correlationData: fromBase64(correlationData) } : rest;
+}
+
+/** Human-readable correlation data: text when printable, hex otherwise. */
+export function formatCorrelationData(data: Uint8Array): string {
+  return isTextPayload(data) ? decodeText(data) : `0x${toHex(data, '')}`;
+}
+
+/** Flatten properties into label/value rows for display. */
+export function describeMessageProperties(props: MessageProperties): [string, string][] {
+  const rows: [string, string][] = [];
+  if (props.contentType !== undefined) rows.push(['Content Type', props.contentType]);
+  if (props.payloadFormatIndicator !== undefined) {
+    rows.push(['Payload Format', props.payloadFormatIndicator ? 'UTF-8' : 'Unspecified bytes']);
+  }
+  if (props.responseTopic !== undefined) rows.push(['Response Topic', props.responseTopic]);
+  if (props.correlationData) {
+    rows.push(['Correlation Data', formatCorrelationData(props.correlationData)]);
+  }
+  if (props.messageExpiryInterval !== undefined) {
+    rows.push(['Message Expiry', `${props.messageExpiryInterval}s`]);
+  }
+  if (props.subscriptionIdentifiers?.length) {
+    rows.push(['Subscription IDs', props.subscriptionIdentifiers.join(', ')]);
+  }
+  if (props.topicAlias !== undefined) rows.push(['Topic Alias', String(props.topicAlias)]);
+  for (const [key, value] of Object.entries(props.userProperties ?? {})) {
+    for (const v of ([] as string[]).concat(value)) rows.push([key, v]);
+  }
+  return rows;
+}
+
+/**
+ * Match a property filter against a message's properties.
+ *
+ * `key=value` matches a user property (any of its values) or a standard property
+ * by name (e.g. `contentType=application/json`); a bare `key` matches when that
+ * property is present at all. Matching is case-sensitive, as in MQTT.
+ */
+export function matchesPropertyFilter(
+  props: MessageProperties | undefined,
+  filter: string,
+): boolean {
+  const trimmed = filter.trim();
+  if (!trimmed) return true;
+  if (!props) return false;
+
+  const eq = trimmed.indexOf('=');
+  const key = (eq === -1 ? trimmed : trimmed.slice(0, eq)).trim();
+  const expected = eq === -1 ? undefined : trimmed.slice(eq + 1).trim();
+
+  const candidates: string[] = [];
+  const user = props.userProperties?.[key];
+  if (user !== undefined) candidates.push(...([] as string[]).concat(user));
+
+  if (key in props && key !== 'userProperties') {
+    const value = props[key as keyof MessageProperties];
+    if (value instanceof Uint8Array) candidates.push(formatCorrelationData(value));
+    else if (Array.isArray(value)) candidates.push(...value.map(String));
+    else if (value !== undefined) candidates.push(String(value));
+  }
+
+  if (candidates.length === 0) return false;
+  return expected === undefined || candidates.includes(expected);
+}
@@ -0,0 +1,113 @@
+import { describe, expect, it } from 'vitest';
+import {
+  encodeForExport,
+  formatPayload,
+  fromBase64,
+  hexDump,
+  isTextPayload,
+  previewPayload,
+  toBase64,
+  toBytes,
+  toHex,
+  tryParseJson,
+} from './payload';
+
+const bytes = (...values: number[]) => Uint8Array.from(values);
+const text = (value: string) => new TextEncoder().encode(value);
+
+describe('toBytes', () => {
+  it('normalises everything the IPC bridge can hand over', () => {
+    const original = bytes(1, 2, 3);
+    expect(toBytes(original)).toBe(original);
+    expect(toBytes(original.buffer)).toEqual(original);
+    expect(toBytes(new DataView(original.buffer, 1, 2))).toEqual(bytes(2, 3));
+    expect(toBytes([1, 2, 3])).toEqual(original);
+    expect(toBytes('hé')).toEqual(bytes(0x68, 0xc3, 0xa9));
+    expect(toBytes(null)).toEqual(bytes());
+    expect(toBytes(undefined)).toEqual(bytes());
+  });
+});
+
+describe('isTextPayload', () => {
+  it('accepts UTF-8 with tabs and line breaks', () => {
+    expect(isTextPayload(text('héllo\tworld\r\n'))).toBe(true);
+    expect(isTextPayload(bytes())).toBe(true);
+  });
+
+  it('rejects invalid UTF-8 and control characters', () => {
+    expect(isTextPayload(bytes(0xff, 0xfe))).toBe(false);
+    expect(isTextPayload(bytes(0x61, 0x00, 0x62))).toBe(false);
+    expect(isTextPayload(bytes(0x1b))).toBe(false);
+    expect(isTextPayload(bytes(0x7f))).toBe(false);
+  });
+});
+
+describe('hex and base64', () => {
+  it('renders hex with a separator', () => {
+    expect(toHex(bytes(0, 15, 255))).toBe('00 0f ff');
+    expect(toHex(bytes(0, 15, 255), '')).toBe('000fff');
+  });
+
+  it('dumps sixteen bytes per row with printable ASCII', () => {
+    const dump = hexDump(text('ABCDEFGHIJKLMNOPQ\n')).split('\n');
+    expect(dump).toHaveLength(2);
+    expect(dump[0]).toBe(
+      '00000000  41 42 43 44 45 46 47 48 49 4a 4b 4c 4d 4e 4f 50  |ABCDEFGHIJKLMNOP|',
+    );
+    expect(dump[1]).toBe(`00000010  51 0a${' '.repeat(42)}  |Q.|`);
+  });
+
+  it('round-trips base64, ignoring whitespace', () => {
+    const original = Uint8Array.from({ length: 300 }, (_, i) => i % 256);
+    expect(fromBase64(toBase64(original))).toEqual(original);
+    expect(fromBase64('aGVs\nbG8=')).toEqual(text('hello'));
+  });
+});
+
+describe('tryParseJson', () => {
+  it('parses documents and rejects everything else', () => {
+    expect(tryParseJson(' {"a":1} ')).toEqual({ a: 1 });
+    expect(tryParseJson('42')).toBe(42);
+    expect(tryParseJson('')).toBeUndefined();
+    expect(tryParseJson('{oops')).toBeUndefined();
+  });
+});
+
+describe('formatPayload', () => {
+  it('pretty-prints JSON in the auto and JSON views', () => {
+    expect(formatPayload(text('{"a":1}'), 'auto', false)).toBe('{\n  "a": 1\n}');
+    expect(formatPayload(text('{"a":1}'), 'json', false)).toBe('{\n  "a": 1\n}');
+    expect(formatPayload(text('{"a":1}'), 'utf8', false)).toBe('{"a":1}');
+  });
+
+  it('falls back to a hex dump for binary payloads in the auto view', () => {
+    expect(formatPayload(bytes(0, 1), 'auto', true)).toBe(hexDump(bytes(0, 1)));
+    expect(formatPayload(bytes(0, 1), 'base64', true)).toBe('AAE=');
+  });
+});
+
+describe('previewPayload', () => {
+  it('collapses JSON to one line and truncates long text', () => {
+    expect(previewPayload(text('{\n  "a": 1\n}'), 'auto', false)).toBe('{"a":1}');
+    expect(previewPayload(text('x'.repeat(20)), 'utf8', false, 10)).toBe('x'.repeat(10) + '...');
+  });
+
+  it('shows as many hex bytes as fit', () => {
+    expect(previewPayload(bytes(1, 2, 3, 4, 5), 'hex', true, 9)).toBe('01 02 03 ...');
+    expect(previewPayload(bytes(1, 2, 3), 'auto', true, 9)).toBe('01 02 03');
+  });
+
+  it('truncates base64 on a three-byte boundary', () => {
+    expect(previewPayload(text('abcdefg'), 'base64', false, 8)).toBe('YWJjZGVm...');
+  });
+});
+
+describe('encodeForExport', () => {
+  it('keeps text as-is and base64-encodes binary', () => {
+    expect(encodeForExport(text('hé'), false)).toEqual({ payload: 'hé', payloadEncoding: 'utf8' });
+    expect(encodeForExport(bytes(0, 255), true)).toEqual({
+      payload: 'AP8=',
+      payloadEncoding: 'base64',
+    });
+  });
+});
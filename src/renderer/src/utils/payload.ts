@@ -0,0 +1,141 @@
+// Byte-level payload helpers. MQTT payloads are opaque bytes: everything from the
+// IPC bridge onward keeps them as Uint8Array and only decodes for display/export.
+
+import { decodeTextPayload } from '../../../shared/payload-text';
+
+export type PayloadView = 'auto' | 'utf8' | 'hex' | 'base64' | 'json';
+
+export const PAYLOAD_VIEWS: { value: PayloadView; label: string }[] = [
+  { value: 'auto', label: 'Auto' },
+  { value: 'utf8', label: 'UTF-8' },
+  { value: 'hex', label: 'Hex' },
+  { value: 'base64', label: 'Base64' },
+  { value: 'json', label: 'JSON' },
+];
+
+const textEncoder = new TextEncoder();
+const lenientDecoder = new TextDecoder('utf-8');
+
+/** Normalise whatever came over IPC (Uint8Array, ArrayBuffer, string, number[]) to bytes. */
+export function toBytes(payload: unknown): Uint8Array {
+  if (payload instanceof Uint8Array) return payload;
+  if (payload instanceof ArrayBuffer) return new Uint8Array(payload);
+  if (ArrayBuffer.isView(payload)) {
+    return new Uint8Array(payload.buffer, payload.byteOffset, payload.byteLength);
+  }
+  if (Array.isArray(payload)) return Uint8Array.from(payload);
+  if (payload === null || payload === undefined) return new Uint8Array(0);
+  return textEncoder.encode(String(payload));
+}
+
+/** UTF-8 decode; invalid sequences become U+FFFD rather than throwing. */
+export function decodeText(bytes: Uint8Array): string {
+  return lenientDecoder.decode(bytes);
+}
+
+/**
+ * True when the bytes are valid UTF-8 with no control characters other than
+ * tab/CR/LF — i.e. safe to show and export as plain text without loss.
+ */
+export function isTextPayload(bytes: Uint8Array): boolean {
+  return decodeTextPayload(bytes) !== null;
+}
+
+export function toHex(bytes: Uint8Array, separator = ' '): string {
+  const parts = new Array<string>(bytes.length);
+  for (let i = 0; i < bytes.length; i++) {
+    parts[i] = bytes[i].toString(16).padStart(2, '0');
+  }
+  return parts.join(separator);
+}
+
+/** Classic 16-bytes-per-row dump: offset, hex columns, printable ASCII. */
+export function hexDump(bytes: Uint8Array): string {
+  const rows: string[] = [];
+  for (let offset = 0; offset < bytes.length; offset += 16) {
+    const row = bytes.subarray(offset, offset + 16);
+    const hex = toHex(row).padEnd(16 * 3 - 1, ' ');
+    let ascii = '';
+    for (const b of row) ascii += b >= 0x20 && b < 0x7f ? String.fromCharCode(b) : '.';
+    rows.push(`${offset.toString(16).padStart(8, '0')}  ${hex}  |${ascii}|`);
+  }
+  return rows.join('\n');
+}
+
+export function toBase64(bytes: Uint8Array): string {
+  // btoa needs a binary string; chunk to stay under the argument-count limit.
+  let binary = '';
+  const chunk = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunk) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunk));
+  }
+  return btoa(binary);
+}
+
+export function fromBase64(base64: string): Uint8Array {
+  const binary = atob(base64.replace(/\s+/g, ''));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/** Parse text as JSON, or undefined if it isn't a valid JSON document. */
+export function tryParseJson(text: string): unknown {
+  const trimmed = text.trim();
+  if (!trimmed) return undefined;
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    return undefined;
+  }
+}
+
+/** Full rendering of a payload for the chosen view. */
+export function formatPayload(bytes: Uint8Array, view: PayloadView, isBinary: boolean): string {
+  switch (view) {
+    case 'hex':
+      return hexDump(bytes);
+    case 'base64':
+      return toBase64(bytes);
+    case 'utf8':
+      return decodeText(bytes);
+    case 'json':
+    case 'auto': {
+      if (isBinary) return view === 'auto' ? hexDump(bytes) : decodeText(bytes);
+      const text = decodeText(bytes);
+      const parsed = tryParseJson(text);
+      return parsed === undefined ? text : JSON.stringify(parsed, null, 2);
+    }
+  }
+}
+
+/** Single-line rendering used for list previews. */
+export function previewPayload(
+  bytes: Uint8Array,
+  view: PayloadView,
+  isBinary: boolean,
+  max = 100,
+): string {
+  if (view === 'hex' || (view === 'auto' && isBinary)) {
+    const shown = Math.ceil(max / 3);
+    return toHex(bytes.subarray(0, shown)) + (bytes.length > shown ? ' ...' : '');
+  }
+  if (view === 'base64') {
+    const shown = Math.floor(max / 4) * 3;
+    return toBase64(bytes.subarray(0, shown)) + (bytes.length > shown ? '...' : '');
+  }
+  const text = decodeText(bytes);
+  const parsed = view === 'utf8' || isBinary ? undefined : tryParseJson(text);
+  const preview = parsed === undefined ? text : JSON.stringify(parsed);
+  return preview.length <= max ? preview : preview.substring(0, max) + '...';
+}
+
+/** Export form that round-trips exactly: text as-is, anything else as base64. */
+export function encodeForExport(
+  bytes: Uint8Array,
+  isBinary: boolean,
+): { payload: string; payloadEncoding: 'utf8' | 'base64' } {
+  return isBinary
+    ? { payload: toBase64(bytes), payloadEncoding: 'base64' }
+    : { payload: decodeText(bytes), payloadEncoding: 'utf8' };
+}
@@ -0,0 +1,127 @@
+// Replay of imported time series (CSV files) as simulated output values. The
+// parsing happens in main; this is the sampling, shared with the editor preview.
+import type { GeneratorState } from './value-generators';
+
+export type DatasetValue = number | string | null; // null for an empty cell
+
+/** Column-oriented rows, sorted by timestamp (epoch ms). */
+export interface DatasetSeries {
+  timestamps: number[];
+  columns: Record<string, DatasetValue[]>;
+}
+
+export interface DatasetConfig {
+  datasetId: string;
+  column: string;
+  playback: 'time' | 'rows'; // original cadence, or one row per publish
+  loop: boolean;
+  interpolate: boolean; // time playback only: linear between numeric rows
+  startOffset: number; // seconds from the first row
+}
+
+export const DEFAULT_DATASET_CONFIG: DatasetConfig = {
+  datasetId: '',
+  column: '',
+  playback: 'time',
+  loop: true,
+  interpolate: false,
+  startOffset: 0,
+};
+
+/** Index of the last row at or before `time`, or -1 before the first. */
+function rowAt(timestamps: number[], time: number): number {
+  let low = 0;
+  let high = timestamps.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (timestamps[mid] <= time) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return found;
+}
+
+/** Nearest row with a value in the given direction, so sparse columns still replay. */
+function filledRow(values: DatasetValue[], from: number, step: 1 | -1): number {
+  for (let i = from; i >= 0 && i < values.length; i += step) {
+    if (values[i] !== null && values[i] !== undefined) return i;
+  }
+  return -1;
+}
+
+function sampleTime(
+  series: DatasetSeries,
+  values: DatasetValue[],
+  config: DatasetConfig,
+  state: GeneratorState,
+) {
+  const { timestamps } = series;
+  const first = timestamps[0];
+  const duration = timestamps[timestamps.length - 1] - first;
+
+  state.startedAt ??= Date.now();
+  // A fleet instance's phase only applies when looping, or it would end early.
+  const phase = config.loop ? (state.timeOffset || 0) * 1000 : 0;
+  let position = (config.startOffset || 0) * 1000 + Date.now() - state.startedAt + phase;
+  if (position > duration) {
+    if (!config.loop) return undefined; // the recording is over
+    // One average row spacing separates the last row from the first when looping.
+    const period = duration + (timestamps.length > 1 ? duration / (timestamps.length - 1) : 1000);
+    position %= period;
+  }
+
+  const time = first + position;
+  const before = filledRow(values, rowAt(timestamps, time), -1);
+  if (before === -1) return values[filledRow(values, 0, 1)] ?? undefined;
+  if (!config.interpolate || typeof values[before] !== 'number') return values[before];
+
+  const after = filledRow(values, before + 1, 1);
+  if (after === -1 || typeof values[after] !== 'number') return values[before];
+  const span = timestamps[after] - timestamps[before];
+  const ratio = span > 0 ? (time - timestamps[before]) / span : 0;
+  return (
+    (values[before] as number) + ((values[after] as number) - (values[before] as number)) * ratio
+  );
+}
+
+function sampleRows(
+  series: DatasetSeries,
+  values: DatasetValue[],
+  config: DatasetConfig,
+  state: GeneratorState,
+) {
+  let row = state.row;
+  if (row === undefined) {
+    const start = series.timestamps[0] + (config.startOffset || 0) * 1000;
+    row = Math.max(0, rowAt(series.timestamps, start - 1) + 1);
+  }
+  if (row >= values.length) {
+    if (!config.loop) return undefined;
+    row = 0;
+  }
+  state.row = row + 1;
+  // An empty cell repeats the column's last value.
+  return values[filledRow(values, row, -1)] ?? undefined;
+}
+
+/**
+ * The column's value for this tick, or undefined once a non-looping replay has
+ * run out of rows. Time playback maps the time since the first tick onto the
+ * recording's own timeline; row playback steps one row per call.
+ */
+export function sampleDataset(
+  series: DatasetSeries,
+  config: DatasetConfig,
+  state: GeneratorState,
+): DatasetValue | undefined {
+  const values = series.columns[config.column];
+  if (!values) throw new Error(`The dataset has no column "${config.column}"`);
+  if (values.length === 0) return undefined;
+  return config.playback === 'rows'
+    ? sampleRows(series, values, config, state)
+    : sampleTime(series, values, config, state);
+}
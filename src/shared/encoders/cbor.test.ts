@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import { encodeCbor } from './cbor';
+import { decodeCbor } from '../../renderer/src/utils/decoders/cbor';
+
+const hex = (bytes: Uint8Array) =>
+  Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+
+describe('encodeCbor', () => {
+  it('writes integers with the shortest head', () => {
+    expect(hex(encodeCbor(23))).toBe('17');
+    expect(hex(encodeCbor(24))).toBe('1818');
+    expect(hex(encodeCbor(1000))).toBe('1903e8');
+    expect(hex(encodeCbor(1000000))).toBe('1a000f4240');
+    expect(hex(encodeCbor(1000000000000))).toBe('1b000000e8d4a51000');
+    expect(hex(encodeCbor(-1))).toBe('20');
+    expect(hex(encodeCbor(-1000))).toBe('3903e7');
+  });
+
+  it('writes every other number as a float64', () => {
+    expect(hex(encodeCbor(1.1))).toBe('fb3ff199999999999a');
+    expect(hex(encodeCbor(2 ** 53))).toBe('fb4340000000000000');
+  });
+
+  it('writes strings, arrays and maps', () => {
+    expect(hex(encodeCbor('ü'))).toBe('62c3bc');
+    expect(hex(encodeCbor([1, [2, 3]]))).toBe('8201820203');
+    expect(hex(encodeCbor({ a: 1, b: [2, 3] }))).toBe('a26161016162820203');
+    expect(hex(encodeCbor([null, false, true]))).toBe('83f6f4f5');
+  });
+
+  it('round-trips JSON values through the decoder', () => {
+    const value = {
+      text: 'x'.repeat(300),
+      list: Array.from({ length: 70000 }, (_, i) => i % 3),
+      nested: { deep: [{ n: -123456789 }, 0.5, null, true] },
+    };
+    expect(decodeCbor(encodeCbor(value))).toEqual(value);
+  });
+
+  it('rejects values JSON cannot hold', () => {
+    expect(() => encodeCbor(() => 1)).toThrow('Cannot encode function as CBOR');
+  });
+});
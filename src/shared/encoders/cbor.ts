@@ -0,0 +1,57 @@
+// CBOR (RFC 8949) writer for JSON input. Integers use the shortest head,
+// every other number is written as a float64.
+import { ByteWriter, utf8 } from './writer';
+
+function writeHead(out: ByteWriter, major: number, length: number): void {
+  const type = major << 5;
+  if (length < 24) out.u8(type | length);
+  else if (length <= 0xff) {
+    out.u8(type | 24);
+    out.u8(length);
+  } else if (length <= 0xffff) {
+    out.u8(type | 25);
+    out.u16(length);
+  } else if (length <= 0xffffffff) {
+    out.u8(type | 26);
+    out.u32(length);
+  } else {
+    out.u8(type | 27);
+    out.u64(BigInt(length));
+  }
+}
+
+function writeItem(out: ByteWriter, value: unknown): void {
+  if (value === null || value === undefined) out.u8(0xf6);
+  else if (value === false) out.u8(0xf4);
+  else if (value === true) out.u8(0xf5);
+  else if (typeof value === 'number') {
+    if (Number.isSafeInteger(value)) {
+      writeHead(out, value < 0 ? 1 : 0, value < 0 ? -1 - value : value);
+    } else {
+      out.u8(0xfb);
+      out.f64(value);
+    }
+  } else if (typeof value === 'string') {
+    const bytes = utf8(value);
+    writeHead(out, 3, bytes.length);
+    out.bytes(bytes);
+  } else if (Array.isArray(value)) {
+    writeHead(out, 4, value.length);
+    value.forEach((item) => writeItem(out, item));
+  } else if (typeof value === 'object') {
+    const entries = Object.entries(value);
+    writeHead(out, 5, entries.length);
+    for (const [key, item] of entries) {
+      writeItem(out, key);
+      writeItem(out, item);
+    }
+  } else {
+    throw new Error(`Cannot encode ${typeof value} as CBOR`);
+  }
+}
+
+export function encodeCbor(value: unknown): Uint8Array {
+  const out = new ByteWriter();
+  writeItem(out, value);
+  return out.finish();
+}
@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest';
+import { encodeMsgpack } from './msgpack';
+import { decodeMsgpack } from '../../renderer/src/utils/decoders/msgpack';
+
+const hex = (bytes: Uint8Array) =>
+  Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+
+describe('encodeMsgpack', () => {
+  it('writes integers in the smallest format that holds them', () => {
+    expect(hex(encodeMsgpack(127))).toBe('7f');
+    expect(hex(encodeMsgpack(128))).toBe('cc80');
+    expect(hex(encodeMsgpack(256))).toBe('cd0100');
+    expect(hex(encodeMsgpack(65536))).toBe('ce00010000');
+    expect(hex(encodeMsgpack(2 ** 32))).toBe('cf0000000100000000');
+    expect(hex(encodeMsgpack(-32))).toBe('e0');
+    expect(hex(encodeMsgpack(-33))).toBe('d0df');
+    expect(hex(encodeMsgpack(-129))).toBe('d1ff7f');
+    expect(hex(encodeMsgpack(-32769))).toBe('d2ffff7fff');
+    expect(hex(encodeMsgpack(-(2 ** 31) - 1))).toBe('d3ffffffff7fffffff');
+  });
+
+  it('writes every other number as a float64', () => {
+    expect(hex(encodeMsgpack(1.5))).toBe('cb3ff8000000000000');
+  });
+
+  it('picks fixed or sized formats for strings, arrays and maps', () => {
+    expect(hex(encodeMsgpack('abc'))).toBe('a3616263');
+    expect(hex(encodeMsgpack('x'.repeat(32))).slice(0, 4)).toBe('d920');
+    expect(hex(encodeMsgpack('x'.repeat(256))).slice(0, 6)).toBe('da0100');
+    expect(hex(encodeMsgpack([null, false, true]))).toBe('93c0c2c3');
+    expect(hex(encodeMsgpack(new Array(16).fill(0))).slice(0, 6)).toBe('dc0010');
+    expect(hex(encodeMsgpack({ a: 1 }))).toBe('81a16101');
+    const wide = Object.fromEntries(Array.from({ length: 16 }, (_, i) => [`k${i}`, i]));
+    expect(hex(encodeMsgpack(wide)).slice(0, 6)).toBe('de0010');
+  });
+
+  it('round-trips JSON values through the decoder', () => {
+    const value = {
+      text: 'ü'.repeat(40000),
+      list: Array.from({ length: 70000 }, (_, i) => i - 35000),
+      nested: { deep: [{ n: -123456789012 }, 0.25, null, true] },
+    };
+    expect(decodeMsgpack(encodeMsgpack(value))).toEqual(value);
+  });
+
+  it('rejects values JSON cannot hold', () => {
+    expect(() => encodeMsgpack(Symbol('x'))).toThrow('Cannot encode symbol as MessagePack');
+  });
+});
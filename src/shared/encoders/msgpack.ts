@@ -0,0 +1,94 @@
+// MessagePack writer for JSON input. Integers use the smallest int/uint
+// format that holds them, every other number is written as a float64.
+import { ByteWriter, utf8 } from './writer';
+
+// Arrays and maps have no 8-bit length format; strings do.
+function writeLength(
+  out: ByteWriter,
+  length: number,
+  format16: number,
+  format32: number,
+  format8?: number,
+): void {
+  if (format8 !== undefined && length <= 0xff) {
+    out.u8(format8);
+    out.u8(length);
+  } else if (length <= 0xffff) {
+    out.u8(format16);
+    out.u16(length);
+  } else {
+    out.u8(format32);
+    out.u32(length);
+  }
+}
+
+function writeInteger(out: ByteWriter, value: number): void {
+  if (value >= 0) {
+    if (value < 0x80) out.u8(value);
+    else if (value <= 0xff) {
+      out.u8(0xcc);
+      out.u8(value);
+    } else if (value <= 0xffff) {
+      out.u8(0xcd);
+      out.u16(value);
+    } else if (value <= 0xffffffff) {
+      out.u8(0xce);
+      out.u32(value);
+    } else {
+      out.u8(0xcf);
+      out.u64(BigInt(value));
+    }
+  } else if (value >= -32) {
+    out.u8(value & 0xff);
+  } else if (value >= -0x80) {
+    out.u8(0xd0);
+    out.u8(value & 0xff);
+  } else if (value >= -0x8000) {
+    out.u8(0xd1);
+    out.u16(value & 0xffff);
+  } else if (value >= -0x80000000) {
+    out.u8(0xd2);
+    out.u32(value >>> 0);
+  } else {
+    out.u8(0xd3);
+    out.u64(BigInt.asUintN(64, BigInt(value)));
+  }
+}
+
+function writeItem(out: ByteWriter, value: unknown): void {
+  if (value === null || value === undefined) out.u8(0xc0);
+  else if (value === false) out.u8(0xc2);
+  else if (value === true) out.u8(0xc3);
+  else if (typeof value === 'number') {
+    if (Number.isSafeInteger(value)) writeInteger(out, value);
+    else {
+      out.u8(0xcb);
+      out.f64(value);
+    }
+  } else if (typeof value === 'string') {
+    const bytes = utf8(value);
+    if (bytes.length < 32) out.u8(0xa0 | bytes.length);
+    else writeLength(out, bytes.length, 0xda, 0xdb, 0xd9);
+    out.bytes(bytes);
+  } else if (Array.isArray(value)) {
+    if (value.length < 16) out.u8(0x90 | value.length);
+    else writeLength(out, value.length, 0xdc, 0xdd);
+    value.forEach((item) => writeItem(out, item));
+  } else if (typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (entries.length < 16) out.u8(0x80 | entries.length);
+    else writeLength(out, entries.length, 0xde, 0xdf);
+    for (const [key, item] of entries) {
+      writeItem(out, key);
+      writeItem(out, item);
+    }
+  } else {
+    throw new Error(`Cannot encode ${typeof value} as MessagePack`);
+  }
+}
+
+export function encodeMsgpack(value: unknown): Uint8Array {
+  const out = new ByteWriter();
+  writeItem(out, value);
+  return out.finish();
+}
@@ -0,0 +1,61 @@
+// Growable big-endian byte buffer shared by the CBOR and MessagePack writers.
+
+const textEncoder = new TextEncoder();
+
+export class ByteWriter {
+  private buffer = new Uint8Array(256);
+  private view = new DataView(this.buffer.buffer);
+  private length = 0;
+
+  // Returns the offset to write at. Call it before reading `buffer` or `view`:
+  // growing replaces both.
+  private reserve(count: number): number {
+    const at = this.length;
+    if (at + count > this.buffer.length) {
+      const next = new Uint8Array(Math.max(this.buffer.length * 2, at + count));
+      next.set(this.buffer.subarray(0, at));
+      this.buffer = next;
+      this.view = new DataView(next.buffer);
+    }
+    this.length += count;
+    return at;
+  }
+
+  u8(value: number): void {
+    const at = this.reserve(1);
+    this.view.setUint8(at, value);
+  }
+
+  u16(value: number): void {
+    const at = this.reserve(2);
+    this.view.setUint16(at, value);
+  }
+
+  u32(value: number): void {
+    const at = this.reserve(4);
+    this.view.setUint32(at, value);
+  }
+
+  u64(value: bigint): void {
+    const at = this.reserve(8);
+    this.view.setBigUint64(at, value);
+  }
+
+  f64(value: number): void {
+    const at = this.reserve(8);
+    this.view.setFloat64(at, value);
+  }
+
+  bytes(bytes: Uint8Array): void {
+    const at = this.reserve(bytes.length);
+    this.buffer.set(bytes, at);
+  }
+
+  finish(): Uint8Array {
+    return this.buffer.slice(0, this.length);
+  }
+}
+
+export function utf8(text: string): Uint8Array {
+  return textEncoder.encode(text);
+}
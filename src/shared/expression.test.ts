@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest';
+import { evaluateExpression } from './expression';
+import { renderTemplate, templateVariableNames } from './payload-template';
+
+describe('evaluateExpression', () => {
+  it('follows operator precedence', () => {
+    expect(evaluateExpression('2 + 3 * 4 ^ 2 ^ 0.5 - -1', {})).toBe(2 + 3 * 4 ** Math.SQRT2 + 1);
+    expect(evaluateExpression('clamp(prev + 0.5, 0, 1)', { prev: 0.75 })).toBe(1);
+    expect(evaluateExpression('pi * r', { r: '2' })).toBe(2 * Math.PI);
+  });
+
+  it('reports malformed expressions', () => {
+    expect(() => evaluateExpression('1 +', {})).toThrow('Unexpected end of expression');
+    expect(() => evaluateExpression("'text'", {})).toThrow('Unexpected "\'" at position 1');
+    expect(() => evaluateExpression('nope(1)', {})).toThrow('Unknown function "nope"');
+    expect(() => evaluateExpression('x', {})).toThrow('Unknown variable "x"');
+  });
+});
+
+describe('renderTemplate', () => {
+  it('evaluates placeholders with the shared grammar', () => {
+    expect(renderTemplate("{{'T' + (n * 2 - 1)}}", { n: 3 })).toBe('T5');
+    expect(renderTemplate('{"v": "{{round(x / 3, 2)}}"}', { x: 1 })).toBe('{"v": 0.33}');
+    expect(renderTemplate('{{2 ^ 3}}', {})).toBe('8');
+  });
+
+  it('leaves failing placeholders in place', () => {
+    const errors: string[] = [];
+    expect(renderTemplate('{{2 ^ x}} {{"open}}', { x: 'a' }, { errors })).toBe(
+      '{{2 ^ x}} {{"open}}',
+    );
+    expect(errors).toEqual([
+      '{{2 ^ x}}: "^" needs numbers, got "a"',
+      '{{"open}}: Unterminated string',
+    ]);
+  });
+
+  it('lists the variables a template reads', () => {
+    expect(templateVariableNames('{{a + b}} {{timestamp}} {{a}}')).toEqual(['a', 'b']);
+  });
+});
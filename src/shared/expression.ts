@@ -0,0 +1,268 @@
+// A small arithmetic expression language for derived simulation outputs, e.g.
+// `voltage * current` or `clamp(prev + 0.5, 0, 100)`. Expressions are parsed
+// once into closures; nothing is ever passed to eval. Payload templates use
+// the same parser with a language of their own (see payload-template.ts).
+
+export type ExpressionScope = Record<string, unknown>;
+type Evaluate = (scope: ExpressionScope) => number;
+
+const FUNCTIONS: Record<string, (...args: number[]) => number> = {
+  abs: Math.abs,
+  min: Math.min,
+  max: Math.max,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sqrt: Math.sqrt,
+  pow: Math.pow,
+  exp: Math.exp,
+  log: Math.log,
+  sin: Math.sin,
+  cos: Math.cos,
+  clamp: (value, low, high) => Math.min(Math.max(value, low), high),
+};
+
+const CONSTANTS: Record<string, number> = { pi: Math.PI, e: Math.E };
+
+interface Token {
+  type: 'number' | 'string' | 'name' | 'op';
+  text: string;
+  pos: number;
+}
+
+/**
+ * What a language built on this grammar makes of it. The grammar is shared:
+ * sum → product → power → unary → primary, with calls, parentheses and
+ * literals; a language picks its operators and supplies their meaning along
+ * with that of names and function calls.
+ */
+export interface ExpressionSyntax<S> {
+  operators: string; // e.g. '+-*/%^'; others are rejected when tokenizing
+  strings?: boolean; // 'quoted' and "quoted" literals
+  binary(op: string): (left: unknown, right: unknown) => unknown;
+  negate(value: unknown): unknown;
+  name(name: string): Evaluator<S>;
+  call(name: string, args: Evaluator<S>[]): Evaluator<S>;
+}
+
+export type Evaluator<S> = (scope: S) => unknown;
+
+function tokenize(
+  source: string,
+  { operators, strings }: Pick<ExpressionSyntax<unknown>, 'operators' | 'strings'>,
+): Token[] {
+  const tokens: Token[] = [];
+  const pattern =
+    /\s*(?:(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|([A-Za-z_][\w.]*)|(\S))/giy;
+  let match: RegExpExecArray | null;
+  while (pattern.lastIndex < source.length && (match = pattern.exec(source))) {
+    const text = match[1] ?? match[2] ?? match[3] ?? match[4];
+    const pos = match.index + match[0].length - text.length;
+    if (match[1]) {
+      tokens.push({ type: 'number', text, pos });
+    } else if (match[2] && strings) {
+      tokens.push({ type: 'string', text: text.slice(1, -1), pos });
+    } else if (match[3]) {
+      tokens.push({ type: 'name', text, pos });
+    } else if (match[4] && `${operators}(),`.includes(match[4])) {
+      tokens.push({ type: 'op', text, pos });
+    } else if (strings && (text === '"' || text === "'")) {
+      throw new Error('Unterminated string');
+    } else {
+      throw new Error(`Unexpected "${text[0]}" at position ${pos + 1}`);
+    }
+  }
+  return tokens;
+}
+
+function unescape(text: string): string {
+  return text.replace(/\\(.)/g, (_, char: string) =>
+    char === 'n' ? '\n' : char === 't' ? '\t' : char,
+  );
+}
+
+/** The numeric meaning of each operator, for languages that convert operands first. */
+export function arithmetic(op: string): (a: number, b: number) => number {
+  switch (op) {
+    case '+':
+      return (a, b) => a + b;
+    case '-':
+      return (a, b) => a - b;
+    case '*':
+      return (a, b) => a * b;
+    case '/':
+      return (a, b) => a / b;
+    case '%':
+      return (a, b) => a % b;
+    case '^':
+      return Math.pow;
+    default:
+      throw new Error(`Unknown operator "${op}"`);
+  }
+}
+
+class Parser<S> {
+  private index = 0;
+
+  constructor(
+    private tokens: Token[],
+    private syntax: ExpressionSyntax<S>,
+  ) {}
+
+  parse(): Evaluator<S> {
+    const expression = this.sum();
+    const extra = this.tokens[this.index];
+    if (extra) throw new Error(`Unexpected "${extra.text}" at position ${extra.pos + 1}`);
+    return expression;
+  }
+
+  private peek(text: string): boolean {
+    const token = this.tokens[this.index];
+    return !!token && token.type === 'op' && token.text === text;
+  }
+
+  private expect(text: string): void {
+    if (!this.peek(text)) {
+      const token = this.tokens[this.index];
+      throw new Error(token ? `Expected "${text}" before "${token.text}"` : `Expected "${text}"`);
+    }
+    this.index++;
+  }
+
+  private binary(left: Evaluator<S>, right: () => Evaluator<S>): Evaluator<S> {
+    const apply = this.syntax.binary(this.tokens[this.index++].text);
+    const r = right();
+    return (s) => apply(left(s), r(s));
+  }
+
+  private sum(): Evaluator<S> {
+    let left = this.product();
+    while (this.peek('+') || this.peek('-')) left = this.binary(left, () => this.product());
+    return left;
+  }
+
+  private product(): Evaluator<S> {
+    let left = this.power();
+    while (this.peek('*') || this.peek('/') || this.peek('%')) {
+      left = this.binary(left, () => this.power());
+    }
+    return left;
+  }
+
+  private power(): Evaluator<S> {
+    const base = this.unary();
+    if (!this.peek('^')) return base;
+    return this.binary(base, () => this.power()); // right-associative
+  }
+
+  private unary(): Evaluator<S> {
+    if (this.peek('-')) {
+      this.index++;
+      const operand = this.unary();
+      const { negate } = this.syntax;
+      return (s) => negate(operand(s));
+    }
+    if (this.peek('+')) {
+      this.index++;
+      return this.unary();
+    }
+    return this.primary();
+  }
+
+  private primary(): Evaluator<S> {
+    const token = this.tokens[this.index++];
+    if (!token) throw new Error('Unexpected end of expression');
+
+    if (token.type === 'number') {
+      const value = Number(token.text);
+      return () => value;
+    }
+    if (token.type === 'string') {
+      const value = unescape(token.text);
+      return () => value;
+    }
+    if (token.type === 'op' && token.text === '(') {
+      const inner = this.sum();
+      this.expect(')');
+      return inner;
+    }
+    if (token.type === 'name') {
+      return this.peek('(') ? this.call(token) : this.syntax.name(token.text);
+    }
+    throw new Error(`Unexpected "${token.text}" at position ${token.pos + 1}`);
+  }
+
+  private call(token: Token): Evaluator<S> {
+    this.expect('(');
+    const args: Evaluator<S>[] = [];
+    if (!this.peek(')')) {
+      args.push(this.sum());
+      while (this.peek(',')) {
+        this.index++;
+        args.push(this.sum());
+      }
+    }
+    this.expect(')');
+    return this.syntax.call(token.text, args);
+  }
+}
+
+/** Parse `source` in the given language; throws with a readable message when it is malformed. */
+export function parseExpression<S>(source: string, syntax: ExpressionSyntax<S>): Evaluator<S> {
+  return new Parser(tokenize(source, syntax), syntax).parse();
+}
+
+function toNumber(value: unknown, name: string): number {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  const n = Number(value);
+  if (value === null || value === undefined || value === '' || Number.isNaN(n)) {
+    throw new Error(`"${name}" has no numeric value`);
+  }
+  return n;
+}
+
+// Operands are numbers already: variables are converted where they are read.
+const NUMERIC_SYNTAX: ExpressionSyntax<ExpressionScope> = {
+  operators: '+-*/%^',
+  binary(op) {
+    const apply = arithmetic(op);
+    return (a, b) => apply(a as number, b as number);
+  },
+  negate: (value) => -(value as number),
+  name(name) {
+    if (name in CONSTANTS) {
+      const value = CONSTANTS[name];
+      return (s) => (name in s ? toNumber(s[name], name) : value);
+    }
+    return (s) => {
+      if (!(name in s)) throw new Error(`Unknown variable "${name}"`);
+      return toNumber(s[name], name);
+    };
+  },
+  call(name, args) {
+    const fn = FUNCTIONS[name];
+    if (!fn) throw new Error(`Unknown function "${name}"`);
+    return (s) => fn(...args.map((arg) => arg(s) as number));
+  },
+};
+
+const compiled = new Map<string, Evaluate>();
+const MAX_COMPILED = 200;
+
+/** Parse an expression; throws with a readable message when it is malformed. */
+export function compileExpression(source: string): Evaluate {
+  let evaluate = compiled.get(source);
+  if (!evaluate) {
+    if (!source.trim()) throw new Error('Expression is empty');
+    evaluate = parseExpression(source, NUMERIC_SYNTAX) as Evaluate;
+    if (compiled.size >= MAX_COMPILED) compiled.clear();
+    compiled.set(source, evaluate);
+  }
+  return evaluate;
+}
+
+export function evaluateExpression(source: string, scope: ExpressionScope): number {
+  return compileExpression(source)(scope);
+}
+
+export const EXPRESSION_FUNCTIONS = Object.keys(FUNCTIONS);
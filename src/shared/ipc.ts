@@ -1,5 +1,8 @@
 // Shared contract for the renderer ↔ main IPC bridge (window.electronAPI).
 // Typing this in one place keeps both sides of every invoke/send honest.
+import type { SimulatedDevice } from './simulation';
+import type { DatasetSeries } from './datasets';
+import type { SparkplugMetricInput } from './sparkplug';
 
 /** Result envelope returned by every MQTT IPC handler in the main process. */
 export interface IpcResult<T = unknown> {
@@ -8,18 +11,46 @@ export interface IpcResult<T = unknown> {
   error?: string;
 }
 
+/** Automatic reconnect policy (exponential backoff with jitter). */
+export interface ReconnectOptions {
+  enabled?: boolean;
+  initialDelay?: number; // ms before the first attempt
+  maxDelay?: number; // ms cap on any single delay
+  multiplier?: number; // backoff factor between attempts
+  jitter?: number; // 0–1, fraction of the delay randomised either way
+  maxAttempts?: number; // 0 = unlimited
+  resubscribe?: boolean; // restore subscriptions when the broker dropped the session
+}
+
+/** MQTT 5 subscription options (ignored on 3.1.1 connections). */
+export interface SubscriptionOptions {
+  noLocal?: boolean; // don't receive our own publishes
+  retainAsPublished?: boolean; // keep the retain flag as the publisher set it
+  retainHandling?: 0 | 1 | 2; // 0 = send retained, 1 = only on new subscription, 2 = never
+}
+
+/** A subscription as stored in the connection config. */
+export interface SubscriptionConfig extends SubscriptionOptions {
+  topic: string;
+  qos: number;
+  subscriptionIdentifier?: number; // MQTT 5, 1–268435455
+}
+
 /** Loose connection config — spans MQTT 3/5, TLS and WebSocket options. */
 export interface ConnectionConfig {
   name?: string;
   brokerUrl?: string;
   protocolVersion?: 4 | 5;
   properties?: Record<string, unknown>;
+  reconnect?: ReconnectOptions;
+  subscriptions?: SubscriptionConfig[];
   [key: string]: unknown;
 }
 
 /** Connection state as reported back from the main process. */
 export interface MainConnectionInfo {
   isConnected: boolean;
+  isReconnecting?: boolean;
   subscriptions?: string[];
   protocolVersion?: number;
   [key: string]: unknown;
@@ -42,6 +73,220 @@ export type MqttEventType =
   | 'unsubscribed'
   | 'published';
 
+/** Payload of `mqtt-message`. `payload` is the raw bytes exactly as received. */
+export interface MessageEventData {
+  id: string;
+  topic: string;
+  payload: Uint8Array;
+  packet: {
+    cmd: string;
+    messageId?: number;
+    dup?: boolean;
+    properties?: Record<string, unknown>;
+  };
+  timestamp: number;
+  qos: number;
+  retain: boolean;
+  protocolVersion: number;
+}
+
+/**
+ * Payload of `mqtt-subscribed`, emitted for every SUBACK — including rejections,
+ * so the UI can show what the broker actually granted.
+ */
+export interface SubscribedEventData {
+  id: string;
+  topic: string;
+  qos: number; // requested
+  grantedQos?: number; // SUBACK return code (>= 0x80 on rejection)
+  rejected: boolean;
+  downgraded: boolean; // granted a lower QoS than requested
+  reasonCode?: number;
+  error?: string;
+  properties?: Record<string, unknown>;
+  options?: SubscriptionOptions;
+  protocolVersion: number;
+}
+
+/**
+ * How a request carries its reply address and correlation id: MQTT 5 Response
+ * Topic / Correlation Data properties, or fields inside a JSON payload (3.1.1).
+ */
+export type RequestMode = 'mqtt5' | 'convention';
+
+/** Options for `mqtt-request`. Unset fields fall back to the main-process defaults. */
+export interface RequestOptions {
+  mode?: RequestMode;
+  qos?: number;
+  timeout?: number; // ms to wait for the reply
+  responseTopic?: string; // may use {clientId}, {requestId} and {topic}
+  properties?: Record<string, unknown>; // extra MQTT 5 publish properties
+  responseTopicField?: string; // convention: payload field carrying the reply topic ('' = omit)
+  correlationField?: string; // convention: payload field carrying the correlation id ('' = omit)
+}
+
+/** Result of `mqtt-request`. A timeout is a result, not an error. */
+export interface RequestResultData {
+  requestId: string;
+  topic: string;
+  responseTopic: string;
+  correlationId: string;
+  sentAt: number; // epoch ms
+  status: 'ok' | 'timeout';
+  latency?: number; // ms, publish to reply
+  response?: {
+    topic: string;
+    payload: Uint8Array;
+    qos: number;
+    retain: boolean;
+    properties?: Record<string, unknown>;
+  };
+}
+
+/** Payload of `mqtt-reconnecting`, emitted before each scheduled attempt. */
+export interface ReconnectingEventData {
+  id: string;
+  attempt: number;
+  maxAttempts: number; // 0 = unlimited
+  delay: number; // ms until this attempt
+  nextAttemptAt: number; // epoch ms
+  error?: string; // last error seen before the drop, if any
+  protocolVersion: number;
+}
+
+/**
+ * One recorded message — a line of a recording's NDJSON file. Text payloads are
+ * stored as-is, anything else as base64 so the bytes survive exactly.
+ */
+export interface RecordedMessageLine {
+  timestamp: number; // epoch ms
+  topic: string;
+  payload: string;
+  payloadEncoding?: 'base64'; // absent = UTF-8 text
+  qos: number;
+  retain: boolean;
+  properties?: Record<string, unknown>; // MQTT 5, correlationData as base64
+}
+
+/** Index entry for a recording kept on disk by the main process. */
+export interface RecordingMeta {
+  id: string;
+  name: string;
+  connectionId: string;
+  connectionName: string;
+  startTime: number; // epoch ms
+  endTime: number | null; // null while recording
+  messageCount: number;
+  bytes: number; // payload bytes captured
+  topics: Record<string, number>; // messages per topic
+  topicsTruncated?: boolean; // too many distinct topics to track them all
+  dropped?: number; // messages not written because the disk could not keep up
+  compressed: boolean;
+  fileSize?: number;
+  status: 'recording' | 'complete';
+}
+
+export interface StartRecordingOptions {
+  connectionId: string;
+  connectionName?: string;
+  name?: string;
+  compress?: boolean;
+}
+
+/** A page of messages from `recordings-read`. Offsets count filtered messages. */
+export interface RecordingPage {
+  messages: RecordedMessageLine[];
+  offset: number;
+  done: boolean; // no messages after this page
+}
+
+/** Pushed as `recording-progress` while a recording is capturing. */
+export interface RecordingProgressData {
+  id: string;
+  messageCount: number;
+  bytes: number;
+  topicCount: number;
+  dropped: number;
+}
+
+export type RecordingEventType = 'progress' | 'changed';
+
+export interface PayloadReplaceRule {
+  find: string;
+  replace: string;
+  regex?: boolean;
+  ignoreCase?: boolean;
+}
+
+/**
+ * An edit that writes one new recording (two when split) from one or more
+ * sources. Times are epoch ms against the source timestamps, before any shift.
+ */
+export interface RecordingEditOptions {
+  sourceIds: string[]; // more than one merges by timestamp
+  name?: string;
+  trimStart?: number | null;
+  trimEnd?: number | null; // inclusive
+  includeTopics?: string[]; // topic filters; empty keeps every topic
+  excludeTopics?: string[];
+  timeShift?: number; // ms added to every timestamp
+  replace?: PayloadReplaceRule[]; // text payloads only
+  splitAt?: number | null; // messages from here on go to a second recording
+  compress?: boolean;
+}
+
+/**
+ * A simulated Sparkplug B edge node with one device. It runs its own MQTT
+ * session, using the broker settings of `connectionId`, so NDEATH can be its will.
+ */
+export interface SparkplugNodeOptions {
+  connectionId: string;
+  groupId: string;
+  edgeNodeId: string;
+  deviceId: string;
+  metrics: SparkplugMetricInput[]; // device metrics and their values for DBIRTH
+}
+
+export interface SparkplugNodeStatus {
+  id: string;
+  connectionId: string;
+  state: 'connecting' | 'online' | 'offline' | 'stopped';
+  bdSeq: number;
+  seq: number;
+  births: number; // NBIRTH count this run, rebirths included
+  error?: string;
+}
+
+export type SparkplugEventType = 'status';
+
+/** Live state of one simulated device, as run by the engine in main. */
+export interface SimulationDeviceStatus {
+  connectionId: string;
+  deviceId: number;
+  running: boolean; // false while the device waits for its connection
+  activeInstances: number; // fleet instances past their stagger delay; 1 for a plain device
+  published: number; // messages since the device was started
+  lastPublishedAt?: number;
+  values: Record<number, unknown>; // latest value per output id (last instance for fleets)
+  error?: string;
+}
+
+export type SimulationEventType = 'status';
+
+/** A CSV imported for dataset outputs to replay; the rows stay in main. */
+export interface DatasetMeta {
+  id: string;
+  name: string;
+  timestampColumn: string;
+  columns: string[]; // every column but the timestamp
+  rowCount: number;
+  skippedRows: number; // rows whose timestamp couldn't be read
+  startTime: number;
+  endTime: number;
+  importedAt: number;
+  sample: DatasetSeries; // the first rows, for previews
+}
+
 // Event payloads are loosely shaped across event types; callers narrow as needed.
 export type MqttEventCallback = (data: any) => void;
 
@@ -55,6 +300,7 @@ export interface ElectronAPI {
       topic: string,
       qos?: number,
       properties?: unknown,
+      options?: SubscriptionOptions,
     ): Promise<IpcResult>;
     unsubscribe(connectionId: string, topic: string, properties?: unknown): Promise<IpcResult>;
     publish(
@@ -63,11 +309,66 @@ export interface ElectronAPI {
       message: unknown,
       options: unknown,
     ): Promise<IpcResult>;
+    request(
+      connectionId: string,
+      topic: string,
+      message: string,
+      options?: RequestOptions,
+    ): Promise<IpcResult<RequestResultData>>;
     getConnections(): Promise<IpcResult<Record<string, MainConnectionInfo>>>;
     on(eventType: MqttEventType, callback: MqttEventCallback): void;
     off(eventType: MqttEventType, callback: MqttEventCallback): void;
     removeAllListeners(): void;
   };
+  recordings: {
+    list(): Promise<IpcResult<RecordingMeta[]>>;
+    start(options: StartRecordingOptions): Promise<IpcResult<RecordingMeta>>;
+    stop(id: string): Promise<IpcResult<RecordingMeta>>;
+    rename(id: string, name: string): Promise<IpcResult<RecordingMeta>>;
+    delete(id: string): Promise<IpcResult>;
+    read(
+      id: string,
+      offset: number,
+      limit: number,
+      topics?: string[],
+    ): Promise<IpcResult<RecordingPage>>;
+    export(id: string): Promise<IpcResult<{ filePath?: string }>>;
+    import(): Promise<IpcResult<RecordingMeta | null>>;
+    importData(
+      info: Partial<RecordingMeta>,
+      messages: RecordedMessageLine[],
+    ): Promise<IpcResult<RecordingMeta>>;
+    edit(options: RecordingEditOptions): Promise<IpcResult<RecordingMeta[]>>;
+    on(eventType: RecordingEventType, callback: MqttEventCallback): void;
+    off(eventType: RecordingEventType, callback: MqttEventCallback): void;
+  };
+  sparkplug: {
+    start(id: string, options: SparkplugNodeOptions): Promise<IpcResult<SparkplugNodeStatus>>;
+    /** Publish DDATA with the metrics whose value changed; resolves with how many did. */
+    update(id: string, metrics: SparkplugMetricInput[]): Promise<IpcResult<number>>;
+    stop(id: string): Promise<IpcResult>;
+    list(): Promise<IpcResult<SparkplugNodeStatus[]>>;
+    on(eventType: SparkplugEventType, callback: MqttEventCallback): void;
+    off(eventType: SparkplugEventType, callback: MqttEventCallback): void;
+  };
+  simulation: {
+    list(connectionId: string): Promise<IpcResult<SimulatedDevice[]>>;
+    getStatus(connectionId: string): Promise<IpcResult<SimulationDeviceStatus[]>>;
+    /** Add or replace a device definition; a running device restarts with it. */
+    save(connectionId: string, device: SimulatedDevice): Promise<IpcResult>;
+    delete(connectionId: string, deviceId: number): Promise<IpcResult>;
+    start(connectionId: string, deviceId: number): Promise<IpcResult>;
+    stop(connectionId: string, deviceId: number): Promise<IpcResult>;
+    publishOnce(connectionId: string, deviceId: number): Promise<IpcResult>;
+    /** Adopt devices saved by the renderer before the engine existed; no-op if any exist. */
+    import(connectionId: string, devices: SimulatedDevice[]): Promise<IpcResult<SimulatedDevice[]>>;
+    listDatasets(): Promise<IpcResult<DatasetMeta[]>>;
+    /** Pick a CSV file and import it; null when the dialog is cancelled. */
+    importDataset(): Promise<IpcResult<DatasetMeta | null>>;
+    deleteDataset(id: string): Promise<IpcResult>;
+    on(eventType: SimulationEventType, callback: MqttEventCallback): void;
+    off(eventType: SimulationEventType, callback: MqttEventCallback): void;
+  };
 }
 
 declare global {
@@ -0,0 +1,102 @@
+import { describe, expect, it } from 'vitest';
+import {
+  formatPath,
+  getAtPath,
+  matchesPredicate,
+  numericPaths,
+  parsePath,
+  parsePredicate,
+} from './json-path';
+
+describe('parsePath', () => {
+  it('reads JSONPath and dot-paths alike', () => {
+    expect(parsePath('$.sensors[0].value')).toEqual(['sensors', 0, 'value']);
+    expect(parsePath('sensors.0.value')).toEqual(['sensors', 0, 'value']);
+    expect(parsePath(' $[\'odd key\']["a.b"] ')).toEqual(['odd key', 'a.b']);
+    expect(parsePath("$['it\\'s']")).toEqual(["it's"]);
+    expect(parsePath('$')).toEqual([]);
+  });
+
+  it('explains malformed paths', () => {
+    expect(() => parsePath('$.a[0')).toThrow('Unclosed "[" at 4 in "$.a[0"');
+    expect(() => parsePath('$.a[b]')).toThrow('Expected an index or a quoted name at 4');
+    expect(() => parsePath('$a')).toThrow('Unexpected "a" at 2');
+    expect(() => parsePath('a..b')).toThrow('Expected a name at 3');
+  });
+});
+
+describe('formatPath', () => {
+  it('writes the canonical JSONPath, quoting names that need it', () => {
+    expect(formatPath(['sensors', 0, 'value'])).toBe('$.sensors[0].value');
+    expect(formatPath(['odd key', "it's", '$ok'])).toBe("$['odd key']['it\\'s'].$ok");
+    expect(parsePath(formatPath(['a.b', "it's", 2]))).toEqual(['a.b', "it's", 2]);
+  });
+});
+
+describe('getAtPath', () => {
+  const value = { sensors: [{ value: 21 }], '0': 'zero', nothing: null };
+
+  it('follows member and index steps', () => {
+    expect(getAtPath(value, ['sensors', 0, 'value'])).toBe(21);
+    expect(getAtPath(value, [0])).toBe('zero');
+    expect(getAtPath(value, ['nothing'])).toBeNull();
+  });
+
+  it('is undefined when a step does not exist', () => {
+    expect(getAtPath(value, ['sensors', 1, 'value'])).toBeUndefined();
+    expect(getAtPath(value, ['nothing', 'deeper'])).toBeUndefined();
+    expect(getAtPath(value, ['toString'])).toBeUndefined();
+  });
+});
+
+describe('numericPaths', () => {
+  it('lists the finite numbers in document order', () => {
+    const value = {
+      t: 21.5,
+      on: true,
+      name: '5',
+      list: [1, { v: 2 }],
+      bad: null,
+      odd: { 'a b': 3 },
+    };
+    expect(numericPaths(value)).toEqual(['$.t', '$.list[0]', '$.list[1].v', "$.odd['a b']"]);
+    expect(numericPaths(42)).toEqual(['$']);
+  });
+
+  it('stops at the limit', () => {
+    const ten = Array.from({ length: 10 }, (_, i) => i);
+    expect(numericPaths(ten, 3)).toEqual(['$[0]', '$[1]', '$[2]']);
+  });
+});
+
+describe('predicates', () => {
+  const reading = { battery: 15, status: 'online', name: 'Pump 3', tags: ['a'], 'a<b': 1 };
+  const matches = (expression: string) => matchesPredicate(parsePredicate(expression), reading);
+
+  it('parses operators, operands and clauses', () => {
+    expect(parsePredicate('$.battery <= 20 && status == online')).toEqual([
+      { path: ['battery'], operator: '<=', operand: 20 },
+      { path: ['status'], operator: '==', operand: 'online' },
+    ]);
+    expect(parsePredicate("$['a<b']")).toEqual([{ path: ['a<b'] }]);
+    expect(() => parsePredicate('$.battery <')).toThrow('Expected a value after "<"');
+    expect(() => parsePredicate('$.name =~ /(/')).toThrow(/Invalid regular expression/);
+    expect(() => parsePredicate(' ')).toThrow('Expected a path');
+  });
+
+  it('compares like with like', () => {
+    expect(matches('$.battery < 20')).toBe(true);
+    expect(matches('$.battery < "20"')).toBe(false);
+    expect(matches("status != 'offline'")).toBe(true);
+    expect(matches('$.tags == ["a"]')).toBe(true);
+    expect(matches('$.name =~ /^pump/i')).toBe(true);
+    expect(matches('$.name =~ pump')).toBe(false);
+  });
+
+  it('fails on missing paths and needs every clause', () => {
+    expect(matches("$['a<b']")).toBe(true);
+    expect(matches('$.alarm')).toBe(false);
+    expect(matches('$.alarm != 1')).toBe(false);
+    expect(matches('$.battery > 10 && status == offline')).toBe(false);
+  });
+});
@@ -0,0 +1,223 @@
+// Paths into decoded payloads, written as JSONPath (`$.sensors[0].value`) or
+// as a dot-path (`sensors.0.value`). Only plain member and index steps; no
+// wildcards. Predicates (`$.battery < 20`) compare the value at one path.
+
+export type PathSegment = string | number;
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+/** Split a path into its steps; throws on malformed brackets or quotes. */
+export function parsePath(path: string): PathSegment[] {
+  const source = path.trim();
+  const segments: PathSegment[] = [];
+  let i = source.startsWith('$') ? 1 : 0;
+  let first = i === 0;
+
+  const fail = (message: string): never => {
+    throw new Error(`${message} at ${i + 1} in "${source}"`);
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+    if (char === '[') {
+      const close = source.indexOf(']', i);
+      if (close < 0) fail('Unclosed "["');
+      const inner = source.slice(i + 1, close).trim();
+      if (/^\d+$/.test(inner)) {
+        segments.push(Number(inner));
+      } else if (/^(['"]).*\1$/s.test(inner)) {
+        segments.push(inner.slice(1, -1).replace(/\\(.)/g, '$1'));
+      } else {
+        fail('Expected an index or a quoted name');
+      }
+      i = close + 1;
+    } else {
+      if (char === '.') i++;
+      else if (!first) fail(`Unexpected "${char}"`);
+      const match = /^[^.[\]]+/.exec(source.slice(i));
+      if (!match) fail('Expected a name');
+      // `sensors.0` indexes like `sensors[0]`; objects with a "0" key match either way.
+      segments.push(/^\d+$/.test(match![0]) ? Number(match![0]) : match![0]);
+      i += match![0].length;
+    }
+    first = false;
+  }
+  return segments;
+}
+
+/** The canonical JSONPath form of a path, e.g. `$.sensors[0]['odd key']`. */
+export function formatPath(segments: PathSegment[]): string {
+  return (
+    '$' +
+    segments
+      .map((segment) =>
+        typeof segment === 'number'
+          ? `[${segment}]`
+          : IDENTIFIER.test(segment)
+            ? `.${segment}`
+            : `['${segment.replace(/(['\\])/g, '\\$1')}']`,
+      )
+      .join('')
+  );
+}
+
+/** The value at `path`, or undefined when some step does not exist. */
+export function getAtPath(value: unknown, path: PathSegment[]): unknown {
+  let current = value;
+  for (const segment of path) {
+    if (typeof current !== 'object' || current === null) return undefined;
+    if (!Object.prototype.hasOwnProperty.call(current, segment)) return undefined;
+    current = (current as Record<string, unknown>)[segment];
+  }
+  return current;
+}
+
+/** JSONPaths of the finite numbers in `value`, in document order, at most `limit`. */
+export function numericPaths(value: unknown, limit = 100): string[] {
+  const paths: string[] = [];
+  const visit = (current: unknown, path: PathSegment[]) => {
+    if (paths.length >= limit) return;
+    if (typeof current === 'number' && Number.isFinite(current)) {
+      paths.push(formatPath(path));
+    } else if (Array.isArray(current)) {
+      current.forEach((item, index) => visit(item, [...path, index]));
+    } else if (typeof current === 'object' && current !== null) {
+      for (const [key, child] of Object.entries(current)) visit(child, [...path, key]);
+    }
+  };
+  visit(value, []);
+  return paths;
+}
+
+export type PredicateOperator = '==' | '!=' | '<' | '<=' | '>' | '>=' | '=~';
+
+export interface PathPredicate {
+  path: PathSegment[];
+  operator?: PredicateOperator; // none: the path only has to exist
+  operand?: unknown; // a JSON value, or a RegExp for `=~`
+}
+
+// Two-character operators first so `<=` is not read as `<`.
+const OPERATORS: PredicateOperator[] = ['==', '!=', '<=', '>=', '=~', '<', '>'];
+
+/**
+ * Indexes in `source` that are outside quotes and brackets, where a separator
+ * or operator may stand.
+ */
+function* topLevelIndexes(source: string): Generator<number> {
+  let quote: string | null = null;
+  let depth = 0;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '[') {
+      depth++;
+    } else if (char === ']') {
+      depth--;
+    } else if (depth === 0) {
+      yield i;
+    }
+  }
+}
+
+function splitClauses(source: string): string[] {
+  const clauses: string[] = [];
+  let start = 0;
+  for (const i of topLevelIndexes(source)) {
+    if (i >= start && source.startsWith('&&', i)) {
+      clauses.push(source.slice(start, i));
+      start = i + 2;
+    }
+  }
+  clauses.push(source.slice(start));
+  return clauses;
+}
+
+function parseOperand(text: string, operator: PredicateOperator, source: string): unknown {
+  if (!text) throw new Error(`Expected a value after "${operator}" in "${source}"`);
+  if (operator === '=~') {
+    const regex = /^\/(.*)\/([a-z]*)$/s.exec(text);
+    const [pattern, flags] = regex
+      ? [regex[1], regex[2]]
+      : [String(parseOperand(text, '==', source)), ''];
+    try {
+      // Stateful flags would make repeated tests alternate.
+      return new RegExp(pattern, flags.replace(/[gy]/g, ''));
+    } catch (error) {
+      throw new Error(`${(error as Error).message} in "${source}"`);
+    }
+  }
+  if (/^'.*'$/s.test(text)) return text.slice(1, -1).replace(/\\(.)/g, '$1');
+  try {
+    return JSON.parse(text);
+  } catch {
+    if (text.startsWith('"')) throw new Error(`Unterminated string in "${source}"`);
+    return text; // a bare word, e.g. `status == online`
+  }
+}
+
+/**
+ * Parse a filter such as `$.battery < 20`, `status == "online"`,
+ * `$.name =~ /^pump/i` or `$.alarm` (the path exists). Clauses joined with
+ * `&&` must all hold. Operands are JSON values; an unquoted word is a string.
+ * Throws on malformed paths or operands.
+ */
+export function parsePredicate(expression: string): PathPredicate[] {
+  const source = expression.trim();
+  if (!source) throw new Error('Expected a path');
+  return splitClauses(source).map((clause) => {
+    // Operators inside a quoted or bracketed step belong to the path.
+    for (const i of topLevelIndexes(clause)) {
+      const operator = OPERATORS.find((op) => clause.startsWith(op, i));
+      if (!operator) continue;
+      return {
+        path: parsePath(clause.slice(0, i)),
+        operator,
+        operand: parseOperand(clause.slice(i + operator.length).trim(), operator, source),
+      };
+    }
+    return { path: parsePath(clause) };
+  });
+}
+
+function sameValue(a: unknown, b: unknown): boolean {
+  if (typeof a !== 'object' || a === null || typeof b !== 'object' || b === null) return a === b;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Whether `value` satisfies every predicate. A missing path fails any
+ * predicate; `<`, `>` and friends only compare numbers with numbers and
+ * strings with strings.
+ */
+export function matchesPredicate(predicates: PathPredicate[], value: unknown): boolean {
+  return predicates.every(({ path, operator, operand }) => {
+    const actual = getAtPath(value, path);
+    if (actual === undefined) return false;
+    switch (operator) {
+      case undefined:
+        return true;
+      case '==':
+        return sameValue(actual, operand);
+      case '!=':
+        return !sameValue(actual, operand);
+      case '=~':
+        return typeof actual !== 'object' && (operand as RegExp).test(String(actual));
+      default: {
+        const comparable =
+          (typeof actual === 'number' && typeof operand === 'number') ||
+          (typeof actual === 'string' && typeof operand === 'string');
+        if (!comparable) return false;
+        const [a, b] = [actual as number | string, operand as number | string];
+        if (operator === '<') return a < b;
+        if (operator === '<=') return a <= b;
+        if (operator === '>') return a > b;
+        return a >= b;
+      }
+    }
+  });
+}
@@ -0,0 +1,186 @@
+import { describe, expect, it } from 'vitest';
+import { checkFormat, formatSchemaError, validateSchema, type JsonSchema } from './json-schema';
+
+const errors = (schema: JsonSchema, data: unknown) =>
+  validateSchema(schema, data).map(formatSchemaError);
+
+describe('numbers', () => {
+  it('tells integers from other numbers by value', () => {
+    const integer = { type: 'integer' };
+    expect(errors(integer, 3)).toEqual([]);
+    expect(errors(integer, 3.0)).toEqual([]);
+    expect(errors(integer, 3.5)).toEqual(['/: Expected integer, got number']);
+    expect(errors(integer, '3')).toEqual(['/: Expected integer, got string']);
+    expect(errors({ type: 'number' }, 3)).toEqual([]);
+    expect(errors({ type: ['string', 'null'] }, 3)).toEqual([
+      '/: Expected string or null, got integer',
+    ]);
+  });
+
+  it('checks multipleOf without tripping over floating point', () => {
+    expect(errors({ multipleOf: 3 }, 9)).toEqual([]);
+    expect(errors({ multipleOf: 3 }, 10)).toEqual(['/: 10 is not a multiple of 3']);
+    // 0.3 / 0.1 is 2.9999999999999996 in binary floating point.
+    expect(errors({ multipleOf: 0.1 }, 0.3)).toEqual([]);
+    expect(errors({ multipleOf: 0.01 }, 19.99)).toEqual([]);
+    expect(errors({ multipleOf: 0.1 }, 0.35)).toEqual(['/: 0.35 is not a multiple of 0.1']);
+  });
+
+  it('reads exclusive bounds in both the current and the draft-04 spelling', () => {
+    expect(errors({ exclusiveMinimum: 0, maximum: 10 }, 0)).toEqual(['/: 0 must be above 0']);
+    expect(errors({ minimum: 0, exclusiveMinimum: true }, 0)).toEqual([
+      '/: 0 is below the exclusive minimum 0',
+    ]);
+    expect(errors({ maximum: 10, exclusiveMaximum: false }, 10)).toEqual([]);
+  });
+});
+
+describe('$ref', () => {
+  const point = {
+    $defs: { coordinate: { type: 'number' } },
+    properties: { x: { $ref: '#/$defs/coordinate' }, y: { $ref: '#/$defs/coordinate' } },
+  };
+
+  it('resolves pointers, anchors and embedded $ids', () => {
+    expect(errors(point, { x: 1, y: 'two' })).toEqual(['/y: Expected number, got string']);
+    const anchored = {
+      $defs: { id: { $anchor: 'id', type: 'string' }, part: { $id: 'part.json', type: 'object' } },
+      properties: { id: { $ref: '#id' }, part: { $ref: 'part.json' } },
+    };
+    expect(errors(anchored, { id: 1, part: [] })).toEqual([
+      '/id: Expected string, got integer',
+      '/part: Expected object, got array',
+    ]);
+    expect(errors({ $ref: 'https://example.com/remote.json' }, 1)).toEqual([
+      '/: Cannot resolve $ref "https://example.com/remote.json"',
+    ]);
+  });
+
+  it('ignores the siblings of $ref in draft-07 and applies them in 2020-12', () => {
+    const schema = { $defs: { n: { type: 'number' } }, $ref: '#/$defs/n', minimum: 5 };
+    expect(errors(schema, 1)).toEqual(['/: 1 is below the minimum 5']);
+    const legacy = {
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      definitions: { n: { type: 'number' } },
+      $ref: '#/definitions/n',
+      minimum: 5,
+    };
+    expect(errors(legacy, 1)).toEqual([]);
+    expect(errors(legacy, 'one')).toEqual(['/: Expected number, got string']);
+  });
+
+  it('follows $dynamicRef to its anchor', () => {
+    const tree = {
+      $dynamicAnchor: 'node',
+      type: 'object',
+      properties: { children: { type: 'array', items: { $dynamicRef: '#node' } } },
+      required: ['value'],
+    };
+    expect(errors(tree, { value: 1, children: [{ value: 2, children: [{}] }] })).toEqual([
+      '/children/0/children/0: Missing required property "value"',
+    ]);
+  });
+
+  it('stops a $ref loop that never consumes input', () => {
+    expect(errors({ $defs: { a: { $ref: '#/$defs/a' } }, $ref: '#/$defs/a' }, 1)).toEqual([
+      '/: The schema refers to itself without end',
+    ]);
+    // A recursive schema that walks into the data is fine, however deep the data.
+    const list = { properties: { next: { $ref: '#' } }, required: ['value'] };
+    let data: Record<string, unknown> = { value: 0 };
+    for (let i = 1; i < 50; i++) data = { value: i, next: data };
+    expect(errors(list, data)).toEqual([]);
+  });
+});
+
+describe('combinators', () => {
+  it('counts the oneOf branches that match', () => {
+    const schema = { oneOf: [{ type: 'integer' }, { minimum: 0 }] };
+    expect(errors(schema, -1)).toEqual([]);
+    expect(errors(schema, 0.5)).toEqual([]);
+    expect(errors(schema, 1)).toEqual(['/: Matches 2 oneOf schemas, expected exactly one']);
+  });
+
+  it('reports the closest branch when none match', () => {
+    const schema = { anyOf: [{ required: ['a', 'b', 'd'] }, { required: ['c'] }] };
+    expect(errors(schema, { c: 1 })).toEqual([]);
+    expect(errors(schema, { a: 1 })).toEqual([
+      '/: Matches none of the anyOf schemas',
+      '/: Missing required property "c"',
+    ]);
+  });
+
+  it('applies then or else by the if schema', () => {
+    const schema = {
+      if: { properties: { unit: { const: 'C' } } },
+      then: { properties: { value: { maximum: 100 } } },
+      else: { properties: { value: { maximum: 212 } } },
+    };
+    expect(errors(schema, { unit: 'C', value: 150 })).toEqual([
+      '/value: 150 is above the maximum 100',
+    ]);
+    expect(errors(schema, { unit: 'F', value: 150 })).toEqual([]);
+  });
+});
+
+describe('formats', () => {
+  it.each([
+    ['date-time', '2024-03-01T12:00:00.5+01:00', '2024-03-01 12:00'],
+    ['date', '2024-02-29', '2024-13-01'],
+    ['time', '23:59:59Z', '23:59'],
+    ['email', 'a@b.io', 'a@b'],
+    ['hostname', 'broker.example.com', '-broker'],
+    ['ipv4', '192.168.0.255', '192.168.0.256'],
+    ['ipv6', '::ffff:10.0.0.1', '1::2::3'],
+    ['uuid', '123e4567-e89b-12d3-a456-426614174000', '123e4567-e89b'],
+    ['json-pointer', '/a~1b/0', 'a/b'],
+    ['regex', '^a+$', '('],
+  ])('%s', (format, valid, invalid) => {
+    expect(checkFormat(format, valid)).toBe(true);
+    expect(checkFormat(format, invalid)).toBe(false);
+  });
+
+  it('lets unknown formats pass', () => {
+    expect(errors({ format: 'color' }, 'blue')).toEqual([]);
+    expect(errors({ format: 'ipv4' }, 'localhost')).toEqual(['/: Not a valid ipv4']);
+  });
+});
+
+describe('error paths', () => {
+  it('are JSON pointers, escaping ~ and /', () => {
+    const schema = {
+      properties: {
+        'a/b': { type: 'array', items: { properties: { 'c~d': { type: 'string' } } } },
+      },
+      additionalProperties: false,
+    };
+    expect(validateSchema(schema, { 'a/b': [{}, { 'c~d': 1 }], extra: 1 })).toEqual([
+      { path: '/a~1b/1/c~0d', keyword: 'type', message: 'Expected string, got integer' },
+      {
+        path: '/extra',
+        keyword: 'additionalProperties',
+        message: 'Property "extra" is not allowed',
+      },
+    ]);
+  });
+
+  it('stop at a hundred', () => {
+    const many = Array.from({ length: 150 }, (_, i) => i);
+    expect(validateSchema({ items: { type: 'string' } }, many)).toHaveLength(100);
+  });
+});
+
+describe('unevaluatedProperties', () => {
+  it('sees the properties that passing subschemas looked at', () => {
+    const schema = {
+      allOf: [{ properties: { a: true } }],
+      anyOf: [{ properties: { b: { type: 'string' } } }, { required: ['c'] }],
+      unevaluatedProperties: false,
+    };
+    expect(errors(schema, { a: 1, b: 'x' })).toEqual([]);
+    expect(errors(schema, { a: 1, b: 2, c: 3 })).toEqual([
+      '/b: Property "b" is not allowed',
+      '/c: Property "c" is not allowed',
+    ]);
+  });
+});
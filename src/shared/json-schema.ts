@@ -0,0 +1,626 @@
+// JSON Schema validation (draft-07 and 2020-12, with the draft-04/06 spellings
+// still in use), for message templates and incoming messages. Errors point at
+// the offending value with a JSON pointer, e.g. `/readings/2/value`.
+
+export type JsonSchema = boolean | { [keyword: string]: unknown };
+
+export interface SchemaError {
+  path: string; // JSON pointer into the validated value; '' is the value itself
+  keyword: string;
+  message: string;
+}
+
+type SchemaObject = { [keyword: string]: unknown };
+
+/** What a schema looked at, for unevaluatedProperties and unevaluatedItems. */
+interface Evaluated {
+  properties: Set<string>;
+  items: Set<number>;
+}
+
+interface Result {
+  errors: SchemaError[];
+  evaluated: Evaluated;
+}
+
+const DEFAULT_BASE = 'https://schema.local/root.json';
+const MAX_DEPTH = 256; // guards against $ref loops that never consume input
+const MAX_ERRORS = 100;
+
+// Values under these keywords are data, not subschemas.
+const DATA_KEYWORDS = new Set(['enum', 'const', 'default', 'examples']);
+
+const FORMATS: Record<string, (value: string) => boolean> = {
+  'date-time': (v) =>
+    /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:[Zz]|[+-]\d{2}:\d{2})$/.test(v) &&
+    !Number.isNaN(Date.parse(v.replace(' ', 'T'))),
+  date: (v) => /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(Date.parse(v)),
+  time: (v) => /^\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:[Zz]|[+-]\d{2}:\d{2})?$/.test(v),
+  email: (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v),
+  hostname: (v) =>
+    v.length <= 253 &&
+    /^(?=.{1,253}$)[a-z\d](?:[a-z\d-]{0,61}[a-z\d])?(?:\.[a-z\d](?:[a-z\d-]{0,61}[a-z\d])?)*$/i.test(
+      v,
+    ),
+  ipv4: (v) =>
+    /^(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/.test(v),
+  ipv6: (v) => {
+    if (!/^[\da-f:.]+$/i.test(v) || (v.match(/::/g) ?? []).length > 1) return false;
+    const groups = v.split(':');
+    const tail = groups[groups.length - 1];
+    const ipv4Tail = tail.includes('.');
+    if (ipv4Tail && !FORMATS.ipv4(tail)) return false;
+    const expected = ipv4Tail ? 7 : 8;
+    const filled = groups.filter((group) => group !== '').length;
+    if (
+      !groups.every(
+        (g, i) => g === '' || (ipv4Tail && i === groups.length - 1) || /^[\da-f]{1,4}$/i.test(g),
+      )
+    ) {
+      return false;
+    }
+    return v.includes('::') ? filled < expected : groups.length === expected;
+  },
+  uri: (v) => /^[a-z][a-z\d+.-]*:[^\s]*$/i.test(v),
+  'uri-reference': (v) => !/\s/.test(v),
+  uuid: (v) => /^[\da-f]{8}-[\da-f]{4}-[\da-f]{4}-[\da-f]{4}-[\da-f]{12}$/i.test(v),
+  'json-pointer': (v) => /^(?:\/(?:[^~/]|~[01])*)*$/.test(v),
+  regex: (v) => {
+    try {
+      new RegExp(v, 'u');
+      return true;
+    } catch {
+      return false;
+    }
+  },
+};
+
+/** Whether `value` has a known `format`; unknown formats always pass. */
+export function checkFormat(format: string, value: string): boolean {
+  const check = Object.prototype.hasOwnProperty.call(FORMATS, format) ? FORMATS[format] : null;
+  return !check || check(value);
+}
+
+const regexCache = new Map<string, RegExp | null>();
+
+function regex(pattern: string): RegExp | null {
+  if (!regexCache.has(pattern)) {
+    let compiled: RegExp | null;
+    try {
+      compiled = new RegExp(pattern, 'u');
+    } catch {
+      compiled = null;
+    }
+    if (regexCache.size >= 500) regexCache.clear();
+    regexCache.set(pattern, compiled);
+  }
+  return regexCache.get(pattern)!;
+}
+
+function isObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function typeOf(value: unknown): string {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function hasType(value: unknown, type: string): boolean {
+  switch (type) {
+    case 'integer':
+      return typeof value === 'number' && Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'object':
+      return isObject(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+function deepEqual(a: unknown, b: unknown): boolean {
+  if (a === b) return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every((key) => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]))
+    );
+  }
+  return false;
+}
+
+const show = (value: unknown) => JSON.stringify(value) ?? String(value);
+const escapePointer = (key: string | number) =>
+  String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+const unescapePointer = (token: string) =>
+  decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+
+function resolveUri(ref: string, base: string): string {
+  try {
+    return new URL(ref, base).href;
+  } catch {
+    return ref;
+  }
+}
+
+const withoutFragment = (uri: string) => uri.split('#')[0];
+
+function emptyEvaluated(): Evaluated {
+  return { properties: new Set(), items: new Set() };
+}
+
+function merge(into: Evaluated, from: Evaluated): void {
+  from.properties.forEach((key) => into.properties.add(key));
+  from.items.forEach((index) => into.items.add(index));
+}
+
+/** One schema document: its embedded resources, anchors and the base URI of every subschema. */
+class SchemaValidator {
+  private resources = new Map<string, JsonSchema>(); // absolute URI (with #anchor) → schema
+  private baseOf = new WeakMap<object, string>();
+  private legacy: boolean; // draft-07 and earlier: $ref replaces its siblings
+  private depth = 0;
+
+  constructor(root: JsonSchema) {
+    const dialect = isObject(root) && typeof root.$schema === 'string' ? root.$schema : '';
+    this.legacy = /draft-0[3-7]/.test(dialect);
+    this.resources.set(DEFAULT_BASE, root);
+    this.index(root, DEFAULT_BASE);
+  }
+
+  private index(node: unknown, base: string): void {
+    if (Array.isArray(node)) {
+      node.forEach((item) => this.index(item, base));
+      return;
+    }
+    if (!isObject(node)) return;
+
+    if (typeof node.$id === 'string') {
+      if (node.$id.startsWith('#')) {
+        // draft-07 and earlier name anchors with a fragment-only $id.
+        this.resources.set(`${withoutFragment(base)}${node.$id}`, node);
+      } else {
+        base = resolveUri(node.$id, base);
+        this.resources.set(withoutFragment(base), node);
+      }
+    } else if (typeof node.id === 'string' && this.legacy && !node.id.startsWith('#')) {
+      base = resolveUri(node.id, base); // draft-04
+      this.resources.set(withoutFragment(base), node);
+    }
+    for (const keyword of ['$anchor', '$dynamicAnchor']) {
+      if (typeof node[keyword] === 'string') {
+        this.resources.set(`${withoutFragment(base)}#${node[keyword]}`, node);
+      }
+    }
+    this.baseOf.set(node, base);
+
+    for (const [keyword, value] of Object.entries(node)) {
+      if (DATA_KEYWORDS.has(keyword)) continue;
+      if (keyword === 'properties' || keyword === 'patternProperties') {
+        // Property names are not keywords; each value is a schema.
+        if (isObject(value)) Object.values(value).forEach((schema) => this.index(schema, base));
+      } else if (typeof value === 'object') {
+        this.index(value, base);
+      }
+    }
+  }
+
+  private resolve(ref: string, from: SchemaObject): JsonSchema | undefined {
+    const uri = resolveUri(ref, this.baseOf.get(from) ?? DEFAULT_BASE);
+    const [document, fragment = ''] = uri.split('#');
+    if (fragment && !fragment.startsWith('/')) {
+      return this.resources.get(`${document}#${decodeURIComponent(fragment)}`);
+    }
+    let target: unknown = this.resources.get(document);
+    if (target === undefined) return undefined;
+    for (const token of fragment.split('/').slice(1)) {
+      const key = unescapePointer(token);
+      if (Array.isArray(target)) target = target[Number(key)];
+      else if (isObject(target)) target = target[key];
+      else return undefined;
+    }
+    return typeof target === 'boolean' || isObject(target) ? (target as JsonSchema) : undefined;
+  }
+
+  validate(schema: JsonSchema, data: unknown, path = ''): Result {
+    const result: Result = { errors: [], evaluated: emptyEvaluated() };
+    if (schema === true || (isObject(schema) && Object.keys(schema).length === 0)) {
+      return result;
+    }
+    if (schema === false) {
+      result.errors.push({ path, keyword: 'false', message: 'No value is allowed here' });
+      return result;
+    }
+    if (!isObject(schema)) return result;
+
+    if (++this.depth > MAX_DEPTH) {
+      this.depth--;
+      throw new Error('The schema refers to itself without end');
+    }
+    try {
+      this.check(schema, data, path, result);
+    } finally {
+      this.depth--;
+    }
+    return result;
+  }
+
+  private fail(result: Result, path: string, keyword: string, message: string): void {
+    result.errors.push({ path, keyword, message });
+  }
+
+  /** Validate against a subschema; its annotations count only when it passes. */
+  private apply(schema: unknown, data: unknown, path: string, into: Result): boolean {
+    const sub = this.validate(schema as JsonSchema, data, path);
+    into.errors.push(...sub.errors);
+    if (sub.errors.length === 0) merge(into.evaluated, sub.evaluated);
+    return sub.errors.length === 0;
+  }
+
+  private check(schema: SchemaObject, data: unknown, path: string, result: Result): void {
+    for (const keyword of ['$ref', '$dynamicRef', '$recursiveRef']) {
+      const ref = schema[keyword];
+      if (typeof ref !== 'string') continue;
+      const target = this.resolve(ref, schema);
+      if (target === undefined) {
+        this.fail(result, path, keyword, `Cannot resolve ${keyword} "${ref}"`);
+      } else {
+        this.apply(target, data, path, result);
+      }
+      if (this.legacy) return;
+    }
+
+    this.checkGeneric(schema, data, path, result);
+    this.checkCombinators(schema, data, path, result);
+    if (typeof data === 'number') this.checkNumber(schema, data, path, result);
+    else if (typeof data === 'string') this.checkString(schema, data, path, result);
+    else if (Array.isArray(data)) this.checkArray(schema, data, path, result);
+    else if (isObject(data)) this.checkObject(schema, data, path, result);
+  }
+
+  private checkGeneric(schema: SchemaObject, data: unknown, path: string, result: Result): void {
+    if (schema.type !== undefined) {
+      const types = ([] as unknown[]).concat(schema.type).map(String);
+      if (!types.some((type) => hasType(data, type))) {
+        this.fail(result, path, 'type', `Expected ${types.join(' or ')}, got ${typeOf(data)}`);
+      }
+    }
+    if (Array.isArray(schema.enum) && !schema.enum.some((value) => deepEqual(value, data))) {
+      this.fail(
+        result,
+        path,
+        'enum',
+        `Must be one of: ${schema.enum.map((value) => show(value)).join(', ')}`,
+      );
+    }
+    if ('const' in schema && !deepEqual(schema.const, data)) {
+      this.fail(result, path, 'const', `Must be ${show(schema.const)}`);
+    }
+  }
+
+  private checkCombinators(
+    schema: SchemaObject,
+    data: unknown,
+    path: string,
+    result: Result,
+  ): void {
+    if (Array.isArray(schema.allOf)) {
+      schema.allOf.forEach((sub) => this.apply(sub, data, path, result));
+    }
+
+    for (const keyword of ['anyOf', 'oneOf'] as const) {
+      const branches = schema[keyword];
+      if (!Array.isArray(branches)) continue;
+      const outcomes = branches.map((sub) => this.validate(sub as JsonSchema, data, path));
+      const passed = outcomes.filter((outcome) => outcome.errors.length === 0);
+      passed.forEach((outcome) => merge(result.evaluated, outcome.evaluated));
+      if (passed.length === 0) {
+        this.fail(result, path, keyword, `Matches none of the ${keyword} schemas`);
+        // The branch that came closest says most about what to fix.
+        const closest = outcomes.reduce((best, outcome) =>
+          outcome.errors.length < best.errors.length ? outcome : best,
+        );
+        result.errors.push(...closest.errors);
+      } else if (keyword === 'oneOf' && passed.length > 1) {
+        this.fail(
+          result,
+          path,
+          keyword,
+          `Matches ${passed.length} oneOf schemas, expected exactly one`,
+        );
+      }
+    }
+
+    if (
+      schema.not !== undefined &&
+      this.validate(schema.not as JsonSchema, data, path).errors.length === 0
+    ) {
+      this.fail(result, path, 'not', 'Must not match the "not" schema');
+    }
+
+    if (schema.if !== undefined) {
+      const condition = this.validate(schema.if as JsonSchema, data, path);
+      if (condition.errors.length === 0) {
+        merge(result.evaluated, condition.evaluated);
+        if (schema.then !== undefined) this.apply(schema.then, data, path, result);
+      } else if (schema.else !== undefined) {
+        this.apply(schema.else, data, path, result);
+      }
+    }
+  }
+
+  private checkNumber(schema: SchemaObject, value: number, path: string, result: Result): void {
+    const { minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf } = schema;
+    if (typeof minimum === 'number') {
+      // draft-04 makes the bound exclusive with a boolean beside it.
+      if (exclusiveMinimum === true ? value <= minimum : value < minimum) {
+        this.fail(
+          result,
+          path,
+          'minimum',
+          `${value} is below the ${exclusiveMinimum === true ? 'exclusive ' : ''}minimum ${minimum}`,
+        );
+      }
+    }
+    if (typeof maximum === 'number') {
+      if (exclusiveMaximum === true ? value >= maximum : value > maximum) {
+        this.fail(
+          result,
+          path,
+          'maximum',
+          `${value} is above the ${exclusiveMaximum === true ? 'exclusive ' : ''}maximum ${maximum}`,
+        );
+      }
+    }
+    if (typeof exclusiveMinimum === 'number' && value <= exclusiveMinimum) {
+      this.fail(result, path, 'exclusiveMinimum', `${value} must be above ${exclusiveMinimum}`);
+    }
+    if (typeof exclusiveMaximum === 'number' && value >= exclusiveMaximum) {
+      this.fail(result, path, 'exclusiveMaximum', `${value} must be below ${exclusiveMaximum}`);
+    }
+    if (typeof multipleOf === 'number' && multipleOf > 0) {
+      const quotient = value / multipleOf;
+      if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+        this.fail(result, path, 'multipleOf', `${value} is not a multiple of ${multipleOf}`);
+      }
+    }
+  }
+
+  private checkString(schema: SchemaObject, value: string, path: string, result: Result): void {
+    const length = Array.from(value).length; // code points, not UTF-16 units
+    if (typeof schema.minLength === 'number' && length < schema.minLength) {
+      this.fail(result, path, 'minLength', `Must be at least ${schema.minLength} characters`);
+    }
+    if (typeof schema.maxLength === 'number' && length > schema.maxLength) {
+      this.fail(result, path, 'maxLength', `Must be at most ${schema.maxLength} characters`);
+    }
+    if (typeof schema.pattern === 'string') {
+      const pattern = regex(schema.pattern);
+      if (!pattern) {
+        this.fail(result, path, 'pattern', `The schema's pattern "${schema.pattern}" is invalid`);
+      } else if (!pattern.test(value)) {
+        this.fail(result, path, 'pattern', `Does not match the pattern "${schema.pattern}"`);
+      }
+    }
+    if (typeof schema.format === 'string' && !checkFormat(schema.format, value)) {
+      this.fail(result, path, 'format', `Not a valid ${schema.format}`);
+    }
+  }
+
+  private checkArray(schema: SchemaObject, items: unknown[], path: string, result: Result): void {
+    const { minItems, maxItems } = schema;
+    if (typeof minItems === 'number' && items.length < minItems) {
+      this.fail(result, path, 'minItems', `Must have at least ${minItems} items`);
+    }
+    if (typeof maxItems === 'number' && items.length > maxItems) {
+      this.fail(result, path, 'maxItems', `Must have at most ${maxItems} items`);
+    }
+    if (schema.uniqueItems === true) {
+      for (let i = 1; i < items.length; i++) {
+        const j = items.slice(0, i).findIndex((item) => deepEqual(item, items[i]));
+        if (j !== -1) {
+          this.fail(result, path, 'uniqueItems', `Items ${j} and ${i} are equal`);
+          break;
+        }
+      }
+    }
+
+    const itemPath = (i: number) => `${path}/${i}`;
+    // Positional schemas: prefixItems (2020-12) or an items array (draft-07).
+    const tuple = Array.isArray(schema.prefixItems)
+      ? schema.prefixItems
+      : Array.isArray(schema.items)
+        ? schema.items
+        : null;
+    const rest = Array.isArray(schema.prefixItems)
+      ? schema.items
+      : Array.isArray(schema.items)
+        ? schema.additionalItems
+        : schema.items;
+    const prefix = tuple ? Math.min(tuple.length, items.length) : 0;
+    for (let i = 0; i < prefix; i++) {
+      this.apply(tuple![i], items[i], itemPath(i), result);
+      result.evaluated.items.add(i);
+    }
+    if (rest !== undefined) {
+      for (let i = prefix; i < items.length; i++) {
+        this.apply(rest, items[i], itemPath(i), result);
+        result.evaluated.items.add(i);
+      }
+    }
+
+    if (schema.contains !== undefined) {
+      let matches = 0;
+      items.forEach((item, i) => {
+        if (this.validate(schema.contains as JsonSchema, item, itemPath(i)).errors.length === 0) {
+          matches++;
+          result.evaluated.items.add(i);
+        }
+      });
+      const min = typeof schema.minContains === 'number' ? schema.minContains : 1;
+      if (matches < min) {
+        this.fail(
+          result,
+          path,
+          'contains',
+          min === 1
+            ? 'No item matches the "contains" schema'
+            : `Only ${matches} items match the "contains" schema, expected at least ${min}`,
+        );
+      }
+      if (typeof schema.maxContains === 'number' && matches > schema.maxContains) {
+        this.fail(
+          result,
+          path,
+          'maxContains',
+          `${matches} items match the "contains" schema, expected at most ${schema.maxContains}`,
+        );
+      }
+    }
+
+    if (schema.unevaluatedItems !== undefined) {
+      items.forEach((item, i) => {
+        if (!result.evaluated.items.has(i)) {
+          this.apply(schema.unevaluatedItems, item, itemPath(i), result);
+          result.evaluated.items.add(i);
+        }
+      });
+    }
+  }
+
+  private checkObject(
+    schema: SchemaObject,
+    object: Record<string, unknown>,
+    path: string,
+    result: Result,
+  ): void {
+    const keys = Object.keys(object);
+    const { minProperties, maxProperties } = schema;
+    if (typeof minProperties === 'number' && keys.length < minProperties) {
+      this.fail(result, path, 'minProperties', `Must have at least ${minProperties} properties`);
+    }
+    if (typeof maxProperties === 'number' && keys.length > maxProperties) {
+      this.fail(result, path, 'maxProperties', `Must have at most ${maxProperties} properties`);
+    }
+    if (Array.isArray(schema.required)) {
+      for (const key of schema.required) {
+        if (typeof key === 'string' && !Object.prototype.hasOwnProperty.call(object, key)) {
+          this.fail(result, path, 'required', `Missing required property "${key}"`);
+        }
+      }
+    }
+
+    // dependentRequired and dependentSchemas; draft-07 spells both `dependencies`.
+    const dependencies: Record<string, unknown> = {
+      ...(isObject(schema.dependencies) && schema.dependencies),
+      ...(isObject(schema.dependentRequired) && schema.dependentRequired),
+      ...(isObject(schema.dependentSchemas) && schema.dependentSchemas),
+    };
+    for (const [key, dependency] of Object.entries(dependencies)) {
+      if (!Object.prototype.hasOwnProperty.call(object, key)) continue;
+      if (Array.isArray(dependency)) {
+        dependency
+          .filter((name) => !Object.prototype.hasOwnProperty.call(object, name))
+          .forEach((name) =>
+            this.fail(result, path, 'dependentRequired', `"${key}" requires property "${name}"`),
+          );
+      } else {
+        this.apply(dependency, object, path, result);
+      }
+    }
+
+    if (schema.propertyNames !== undefined) {
+      for (const key of keys) {
+        const sub = this.validate(schema.propertyNames as JsonSchema, key, path);
+        if (sub.errors.length > 0) {
+          this.fail(
+            result,
+            `${path}/${escapePointer(key)}`,
+            'propertyNames',
+            `Property name "${key}" is not allowed: ${sub.errors[0].message}`,
+          );
+        }
+      }
+    }
+
+    const properties = isObject(schema.properties) ? schema.properties : {};
+    const patterns = isObject(schema.patternProperties)
+      ? Object.entries(schema.patternProperties)
+      : [];
+    for (const key of keys) {
+      const keyPath = `${path}/${escapePointer(key)}`;
+      let matched = false;
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        this.apply(properties[key], object[key], keyPath, result);
+        matched = true;
+      }
+      for (const [pattern, sub] of patterns) {
+        if (regex(pattern)?.test(key)) {
+          this.apply(sub, object[key], keyPath, result);
+          matched = true;
+        }
+      }
+      if (matched) {
+        result.evaluated.properties.add(key);
+      } else if (schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          this.fail(result, keyPath, 'additionalProperties', `Property "${key}" is not allowed`);
+        } else {
+          this.apply(schema.additionalProperties, object[key], keyPath, result);
+        }
+        result.evaluated.properties.add(key);
+      }
+    }
+
+    if (schema.unevaluatedProperties !== undefined) {
+      for (const key of keys) {
+        if (result.evaluated.properties.has(key)) continue;
+        const keyPath = `${path}/${escapePointer(key)}`;
+        if (schema.unevaluatedProperties === false) {
+          this.fail(result, keyPath, 'unevaluatedProperties', `Property "${key}" is not allowed`);
+        } else {
+          this.apply(schema.unevaluatedProperties, object[key], keyPath, result);
+        }
+        result.evaluated.properties.add(key);
+      }
+    }
+  }
+}
+
+const validators = new WeakMap<object, SchemaValidator>();
+
+/**
+ * Every way `data` breaks `schema`, up to a hundred. Schemas are indexed once
+ * and reused while the same object is passed in. `$ref`s resolve within the
+ * schema (`#/$defs/...`, anchors, embedded `$id`s); remote ones are reported
+ * as unresolvable rather than fetched.
+ */
+export function validateSchema(schema: JsonSchema, data: unknown): SchemaError[] {
+  if (typeof schema === 'boolean') return new SchemaValidator(schema).validate(schema, data).errors;
+  let validator = validators.get(schema);
+  if (!validator) {
+    validator = new SchemaValidator(schema);
+    validators.set(schema, validator);
+  }
+  try {
+    return validator.validate(schema, data).errors.slice(0, MAX_ERRORS);
+  } catch (error) {
+    return [{ path: '', keyword: '$ref', message: (error as Error).message }];
+  }
+}
+
+/** `/path: message`, as shown in lists of errors. */
+export function formatSchemaError(error: SchemaError): string {
+  return `${error.path || '/'}: ${error.message}`;
+}
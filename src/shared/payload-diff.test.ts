@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest';
+import { diffJson, diffLines } from './payload-diff';
+
+describe('diffJson', () => {
+  it('reports members added, removed and changed, by JSONPath', () => {
+    const before = { temp: 20, status: 'ok', tags: ['a', 'b'], old: true };
+    const after = { temp: 21, status: 'ok', tags: ['a'], 'new key': null };
+    expect(diffJson(before, after)).toEqual([
+      { kind: 'changed', path: '$.temp', before: 20, after: 21 },
+      { kind: 'removed', path: '$.tags[1]', before: 'b' },
+      { kind: 'removed', path: '$.old', before: true },
+      { kind: 'added', path: "$['new key']", after: null },
+    ]);
+  });
+
+  it('reports a member that changes type once', () => {
+    expect(diffJson({ reading: { v: 1, unit: 'C' } }, { reading: [1, 'C'] })).toEqual([
+      { kind: 'changed', path: '$.reading', before: { v: 1, unit: 'C' }, after: [1, 'C'] },
+    ]);
+    expect(diffJson(1, '1')).toEqual([{ kind: 'changed', path: '$', before: 1, after: '1' }]);
+  });
+
+  it('finds nothing between equal values and stops at the limit', () => {
+    const value = { a: [1, { b: 2 }] };
+    expect(diffJson(value, structuredClone(value))).toEqual([]);
+    const many = Object.fromEntries(Array.from({ length: 10 }, (_, i) => [`k${i}`, i]));
+    expect(diffJson({}, many, 3).map((change) => change.path)).toEqual(['$.k0', '$.k1', '$.k2']);
+  });
+});
+
+describe('diffLines', () => {
+  const marked = (changes: ReturnType<typeof diffLines>) =>
+    changes.map(({ kind, text }) => `${{ same: ' ', added: '+', removed: '-' }[kind]}${text}`);
+
+  it('keeps the common lines and marks the rest', () => {
+    expect(marked(diffLines('a\nb\nc\nd', 'a\nc\nx\nd'))).toEqual([' a', '-b', ' c', '+x', ' d']);
+  });
+
+  it('handles texts with nothing in common or nothing different', () => {
+    expect(marked(diffLines('same', 'same'))).toEqual([' same']);
+    expect(marked(diffLines('old', 'new'))).toEqual(['+new', '-old']);
+    expect(marked(diffLines('a', 'a\nb'))).toEqual([' a', '+b']);
+  });
+
+  it('replaces a middle too large to compare line by line', () => {
+    const before = ['head', ...Array.from({ length: 1001 }, (_, i) => `old ${i}`), 'tail'];
+    const after = ['head', ...Array.from({ length: 1000 }, (_, i) => `new ${i}`), 'tail'];
+    const changes = diffLines(before.join('\n'), after.join('\n'));
+    expect(changes).toHaveLength(2003);
+    expect(changes[0]).toEqual({ kind: 'same', text: 'head' });
+    expect(changes[1]).toEqual({ kind: 'removed', text: 'old 0' });
+    expect(changes[1002]).toEqual({ kind: 'added', text: 'new 0' });
+    expect(changes.at(-1)).toEqual({ kind: 'same', text: 'tail' });
+  });
+});
@@ -0,0 +1,115 @@
+// Differences between two payloads: structurally for JSON values, by line
+// for anything else.
+import { formatPath, type PathSegment } from './json-path';
+
+export interface JsonChange {
+  kind: 'added' | 'removed' | 'changed';
+  path: string; // JSONPath of the member, `$` for the whole value
+  before?: unknown;
+  after?: unknown;
+}
+
+export interface LineChange {
+  kind: 'same' | 'added' | 'removed';
+  text: string;
+}
+
+// Beyond this many LCS cells the differing middle is shown as replaced wholesale.
+const MAX_LCS_CELLS = 1_000_000;
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Members added, removed or changed from `before` to `after`. Objects and
+ * arrays are compared member by member (arrays by index); a member whose type
+ * changes is reported once, not per nested field. Stops after `limit` changes.
+ */
+export function diffJson(before: unknown, after: unknown, limit = 500): JsonChange[] {
+  const changes: JsonChange[] = [];
+  const has = (object: object, key: PropertyKey) =>
+    Object.prototype.hasOwnProperty.call(object, key);
+  const visit = (a: unknown, b: unknown, path: PathSegment[]) => {
+    if (changes.length >= limit) return;
+    const sameShape =
+      (isPlainObject(a) && isPlainObject(b)) || (Array.isArray(a) && Array.isArray(b));
+    if (!sameShape) {
+      if (a !== b) changes.push({ kind: 'changed', path: formatPath(path), before: a, after: b });
+      return;
+    }
+    const older = a as Record<PathSegment, unknown>;
+    const newer = b as Record<PathSegment, unknown>;
+    const keys = new Set<PathSegment>(
+      Array.isArray(a)
+        ? [...a.keys(), ...(b as unknown[]).keys()]
+        : [...Object.keys(older), ...Object.keys(newer)],
+    );
+    for (const key of keys) {
+      const child = [...path, key];
+      if (!has(newer, key)) {
+        changes.push({ kind: 'removed', path: formatPath(child), before: older[key] });
+      } else if (!has(older, key)) {
+        changes.push({ kind: 'added', path: formatPath(child), after: newer[key] });
+      } else {
+        visit(older[key], newer[key], child);
+      }
+    }
+  };
+  visit(before, after, []);
+  return changes.slice(0, limit);
+}
+
+/** A line diff (longest common subsequence) of two texts. */
+export function diffLines(before: string, after: string): LineChange[] {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  // Common head and tail lines need no table.
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  let tail = 0;
+  while (
+    tail < a.length - head &&
+    tail < b.length - head &&
+    a[a.length - 1 - tail] === b[b.length - 1 - tail]
+  ) {
+    tail++;
+  }
+  const oldMiddle = a.slice(head, a.length - tail);
+  const newMiddle = b.slice(head, b.length - tail);
+
+  const result: LineChange[] = a.slice(0, head).map((text) => ({ kind: 'same', text }));
+  const n = oldMiddle.length;
+  const m = newMiddle.length;
+  if (n * m > MAX_LCS_CELLS) {
+    oldMiddle.forEach((text) => result.push({ kind: 'removed', text }));
+    newMiddle.forEach((text) => result.push({ kind: 'added', text }));
+  } else {
+    // lengths[i][j]: LCS length of oldMiddle[i..] and newMiddle[j..]
+    const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i][j] =
+          oldMiddle[i] === newMiddle[j]
+            ? lengths[i + 1][j + 1] + 1
+            : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && oldMiddle[i] === newMiddle[j]) {
+        result.push({ kind: 'same', text: oldMiddle[i] });
+        i++;
+        j++;
+      } else if (j < m && (i >= n || lengths[i][j + 1] >= lengths[i + 1][j])) {
+        result.push({ kind: 'added', text: newMiddle[j++] });
+      } else {
+        result.push({ kind: 'removed', text: oldMiddle[i++] });
+      }
+    }
+  }
+  a.slice(a.length - tail).forEach((text) => result.push({ kind: 'same', text }));
+  return result;
+}
@@ -0,0 +1,188 @@
+// `{{...}}` placeholders, for the publishing panel's message templates and
+// simulated device payloads. A placeholder holds an expression: variables,
+// literals ('text', 42, true), arithmetic (+ joins text) and nested function
+// calls, e.g. `{{round(randomFloat(15, 35) * 1.8 + 32, 1)}}`. The grammar is
+// that of expression.ts; only the meaning of names, calls and operators differs.
+import { arithmetic, parseExpression, type ExpressionSyntax, type Evaluator } from './expression';
+import {
+  TEMPLATE_FUNCTIONS,
+  createTemplateState,
+  type TemplateContext,
+  type TemplateState,
+} from './template-functions';
+
+export { TEMPLATE_FUNCTION_HELP, createTemplateState } from './template-functions';
+export type { TemplateState } from './template-functions';
+
+export type TemplateVariables = Record<string, unknown>;
+
+export interface RenderOptions {
+  state?: TemplateState; // counters carry on from here; without one they start over
+  typed?: boolean; // `"{{x}}"` becomes a JSON literal of x's type; on for JSON-looking text
+  errors?: string[]; // collects why placeholders were left as they are
+}
+
+interface Scope {
+  variables: TemplateVariables;
+  context: TemplateContext;
+}
+
+interface Compiled {
+  evaluate: Evaluator<Scope>;
+  names: string[]; // variables the expression reads
+}
+
+const PLACEHOLDER = /\{\{\s*((?:(?!\}\}).)+?)\s*\}\}/g; // the first `}}` ends it
+const LITERALS: Record<string, unknown> = { true: true, false: false, null: null };
+
+const has = (object: object, key: string) => Object.prototype.hasOwnProperty.call(object, key);
+
+function toNumber(value: unknown, op: string): number {
+  const n = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+  if (value === null || value === undefined || Number.isNaN(n)) {
+    throw new Error(`"${op}" needs numbers, got ${JSON.stringify(value) ?? 'nothing'}`);
+  }
+  return n;
+}
+
+/** Operands may be text, which `+` joins; the other operators want numbers. */
+function templateSyntax(names: Set<string>): ExpressionSyntax<Scope> {
+  return {
+    operators: '+-*/%^',
+    strings: true,
+    binary(op) {
+      const apply = arithmetic(op);
+      if (op === '+') {
+        return (a, b) =>
+          typeof a === 'string' || typeof b === 'string'
+            ? `${formatTemplateValue(a)}${formatTemplateValue(b)}`
+            : apply(toNumber(a, op), toNumber(b, op));
+      }
+      return (a, b) => apply(toNumber(a, op), toNumber(b, op));
+    },
+    negate: (value) => -toNumber(value, '-'),
+    name(name) {
+      if (has(LITERALS, name)) {
+        const value = LITERALS[name];
+        return () => value;
+      }
+      // A variable, else a function that takes no arguments ({{timestamp}}, {{uuid}}).
+      const fn = has(TEMPLATE_FUNCTIONS, name) ? TEMPLATE_FUNCTIONS[name] : undefined;
+      if (!fn) names.add(name);
+      return (s) => {
+        if (has(s.variables, name)) return s.variables[name];
+        if (fn) return fn(s.context);
+        throw new Error(`Unknown variable "${name}"`);
+      };
+    },
+    call(name, args) {
+      const fn = has(TEMPLATE_FUNCTIONS, name) ? TEMPLATE_FUNCTIONS[name] : undefined;
+      if (!fn) throw new Error(`Unknown function "${name}"`);
+      return (s) => fn(s.context, ...args.map((arg) => arg(s)));
+    },
+  };
+}
+
+const compiled = new Map<string, Compiled>();
+const MAX_COMPILED = 500;
+
+function compile(source: string): Compiled {
+  let result = compiled.get(source);
+  if (!result) {
+    const names = new Set<string>();
+    result = { evaluate: parseExpression(source, templateSyntax(names)), names: [...names] };
+    if (compiled.size >= MAX_COMPILED) compiled.clear();
+    compiled.set(source, result);
+  }
+  return result;
+}
+
+/** Text for a value; absent values print as `null` so JSON templates stay valid. */
+export function formatTemplateValue(value: unknown): string {
+  if (value === undefined || value === null) return 'null';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Whether a run of template text ends inside a JSON string, and whether its
+ * last character is the quote that opened it.
+ */
+function scanQuotes(literal: string, inside: boolean): { inside: boolean; justOpened: boolean } {
+  let openedAt = -1;
+  for (let i = 0; i < literal.length; i++) {
+    if (literal[i] === '\\' && inside) {
+      i++;
+    } else if (literal[i] === '"') {
+      inside = !inside;
+      openedAt = inside ? i : -1;
+    }
+  }
+  return { inside, justOpened: inside && openedAt === literal.length - 1 };
+}
+
+/**
+ * Expand every placeholder. A placeholder that fails (an unknown variable, a
+ * malformed expression) is left in place, with the reason added to `errors`.
+ * Typed rendering also escapes text spliced into the middle of a JSON string.
+ */
+export function renderTemplate(
+  text: string,
+  variables: TemplateVariables = {},
+  options: RenderOptions = {},
+): string {
+  const { typed = /^\s*[[{]/.test(text), errors } = options;
+  const scope: Scope = {
+    variables,
+    context: { state: options.state ?? createTemplateState(), now: Date.now() },
+  };
+
+  let output = '';
+  let last = 0;
+  let inString = false;
+  for (const match of text.matchAll(PLACEHOLDER)) {
+    const [placeholder, source] = match;
+    const literal = text.slice(last, match.index);
+    const quotes = scanQuotes(literal, inString);
+    const end = match.index! + placeholder.length;
+
+    let value: unknown;
+    try {
+      // Exact names first, so variables named like `Room 1 temp` still work.
+      value = has(variables, source) ? variables[source] : compile(source).evaluate(scope);
+    } catch (error) {
+      errors?.push(`{{${source}}}: ${(error as Error).message}`);
+      output += literal + placeholder;
+      inString = quotes.inside;
+      last = end;
+      continue;
+    }
+
+    if (typed && quotes.justOpened && text[end] === '"') {
+      // The whole string: replaced, quotes and all, by a JSON literal.
+      output += literal.slice(0, -1) + JSON.stringify(value ?? null);
+      inString = false;
+      last = end + 1;
+    } else {
+      const formatted = formatTemplateValue(value);
+      output +=
+        literal + (typed && quotes.inside ? JSON.stringify(formatted).slice(1, -1) : formatted);
+      inString = quotes.inside;
+      last = end;
+    }
+  }
+  return output + text.slice(last);
+}
+
+/** Variables a template reads, in order of first use; malformed placeholders are skipped. */
+export function templateVariableNames(text: string): string[] {
+  const names = new Set<string>();
+  for (const match of text.matchAll(PLACEHOLDER)) {
+    try {
+      compile(match[1]).names.forEach((name) => names.add(name));
+    } catch {
+      // reported when rendering
+    }
+  }
+  return Array.from(names);
+}
@@ -0,0 +1,19 @@
+// Whether a payload is text, shared by main (recordings) and renderer (display/export).
+
+const strictDecoder = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * The payload as text when it is valid UTF-8 with no control characters other
+ * than tab/CR/LF, i.e. safe to show and store as plain text without loss;
+ * null otherwise.
+ */
+export function decodeTextPayload(bytes: Uint8Array): string | null {
+  let text: string;
+  try {
+    text = strictDecoder.decode(bytes);
+  } catch {
+    return null;
+  }
+  // eslint-disable-next-line no-control-regex
+  return /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/.test(text) ? null : text;
+}
@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import { findDrift, inferSchema } from './schema-inference';
+
+const readings = [
+  { id: 'a', value: 20, status: 'ok', at: '2024-03-01T12:00:00Z' },
+  { id: 'b', value: 21.5, status: 'ok', at: '2024-03-01T12:01:00Z', battery: 90 },
+  { id: 'c', value: 19, status: 'low', at: '2024-03-01T12:02:00Z' },
+];
+
+describe('inferSchema', () => {
+  it('describes every sample', () => {
+    expect(inferSchema(readings, { title: 'sensors/+/temp' })).toEqual({
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      title: 'sensors/+/temp',
+      description: 'Inferred from 3 messages',
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        value: { type: 'number', minimum: 19, maximum: 21.5 },
+        status: { type: 'string', enum: ['low', 'ok'] },
+        at: { type: 'string', format: 'date-time' },
+        battery: { type: 'integer', minimum: 90, maximum: 90 },
+      },
+      required: ['id', 'value', 'status', 'at'],
+      examples: [readings[2]],
+    });
+  });
+
+  it('lists every type seen and infers array items', () => {
+    const schema = inferSchema([{ tags: ['a'] }, { tags: null }, { tags: [1, 'b'] }]) as Record<
+      string,
+      any
+    >;
+    expect(schema.properties.tags).toEqual({
+      type: ['array', 'null'],
+      items: { type: ['integer', 'string'], minimum: 1, maximum: 1 },
+    });
+  });
+
+  it('keeps free text out of enums', () => {
+    const names = Array.from({ length: 20 }, (_, i) => ({ name: `device ${i % 12}` }));
+    const schema = inferSchema(names, { maxEnum: 10 }) as Record<string, any>;
+    expect(schema.properties.name).toEqual({ type: 'string' });
+  });
+});
+
+describe('findDrift', () => {
+  const baseline = inferSchema(readings);
+
+  it('flags new fields, type changes and missing fields', () => {
+    expect(findDrift(baseline, { id: 'd', value: '20', status: 'ok', firmware: '1.2' })).toEqual([
+      { kind: 'missing-field', path: '', message: 'Missing required property "at"' },
+      { kind: 'type-change', path: '/value', message: 'Expected number, got string' },
+      { kind: 'new-field', path: '/firmware', message: 'New field' },
+    ]);
+  });
+
+  it('ignores ranges, enums, formats and integers turning fractional', () => {
+    const reading = { id: 'e', value: 1e6, status: 'broken', at: 'yesterday', battery: 0.5 };
+    expect(findDrift(baseline, reading)).toEqual([]);
+  });
+});
@@ -0,0 +1,195 @@
+// JSON Schemas inferred from observed payloads, for undocumented brokers, and
+// the structural drift of a new payload from such a schema.
+import { checkFormat, validateSchema, type JsonSchema } from './json-schema';
+
+export interface InferOptions {
+  title?: string;
+  maxEnum?: number; // most distinct strings still offered as an enum
+}
+
+export type DriftKind = 'new-field' | 'type-change' | 'missing-field';
+
+export interface DriftIssue {
+  kind: DriftKind;
+  path: string; // JSON pointer, as in schema errors
+  message: string;
+}
+
+/** What was seen at one position across every sample. */
+interface Shape {
+  count: number;
+  types: Set<string>;
+  minimum?: number;
+  maximum?: number;
+  strings: Map<string, number> | null; // distinct values, dropped once there are too many
+  stringCount: number;
+  formats: string[] | null; // formats every string so far has matched
+  objects: number;
+  properties: Map<string, Shape>;
+  items: Shape | null;
+}
+
+const FORMAT_CANDIDATES = ['date-time', 'date', 'uuid', 'ipv4', 'ipv6', 'email'];
+const MAX_TRACKED_STRINGS = 50;
+
+function emptyShape(): Shape {
+  return {
+    count: 0,
+    types: new Set(),
+    strings: new Map(),
+    stringCount: 0,
+    formats: null,
+    objects: 0,
+    properties: new Map(),
+    items: null,
+  };
+}
+
+function jsonType(value: unknown): string {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function observe(shape: Shape, value: unknown): void {
+  shape.count++;
+  const type = jsonType(value);
+  shape.types.add(type);
+
+  if (typeof value === 'number') {
+    shape.minimum = shape.minimum === undefined ? value : Math.min(shape.minimum, value);
+    shape.maximum = shape.maximum === undefined ? value : Math.max(shape.maximum, value);
+  } else if (typeof value === 'string') {
+    shape.stringCount++;
+    if (shape.strings) {
+      shape.strings.set(value, (shape.strings.get(value) ?? 0) + 1);
+      if (shape.strings.size > MAX_TRACKED_STRINGS) shape.strings = null;
+    }
+    shape.formats = (shape.formats ?? FORMAT_CANDIDATES).filter((format) =>
+      checkFormat(format, value),
+    );
+  } else if (Array.isArray(value)) {
+    shape.items ??= emptyShape();
+    for (const item of value) observe(shape.items, item);
+  } else if (type === 'object') {
+    shape.objects++;
+    for (const [key, child] of Object.entries(value as Record<string, unknown>)) {
+      let property = shape.properties.get(key);
+      if (!property) shape.properties.set(key, (property = emptyShape()));
+      observe(property, child);
+    }
+  }
+}
+
+function toSchema(shape: Shape, maxEnum: number): Record<string, unknown> {
+  const types = new Set(shape.types);
+  if (types.has('integer') && types.has('number')) types.delete('integer');
+  const typeList = Array.from(types).sort();
+  const schema: Record<string, unknown> = {
+    type: typeList.length === 1 ? typeList[0] : typeList,
+  };
+
+  if (shape.minimum !== undefined) {
+    schema.minimum = shape.minimum;
+    schema.maximum = shape.maximum;
+  }
+  if (shape.stringCount > 0) {
+    const distinct = shape.strings ? shape.strings.size : Infinity;
+    // Repeats among a few values suggest a fixed set rather than free text.
+    if (distinct <= maxEnum && shape.stringCount >= 3 && distinct < shape.stringCount) {
+      schema.enum = Array.from(shape.strings!.keys()).sort();
+    } else if (shape.formats?.length) {
+      schema.format = shape.formats[0];
+    }
+  }
+  if (shape.objects > 0) {
+    const properties: Record<string, unknown> = {};
+    const required: string[] = [];
+    for (const [key, property] of shape.properties) {
+      properties[key] = toSchema(property, maxEnum);
+      if (property.count === shape.objects) required.push(key);
+    }
+    schema.properties = properties;
+    if (required.length > 0) schema.required = required;
+  }
+  if (shape.items && shape.items.count > 0) {
+    schema.items = toSchema(shape.items, maxEnum);
+  }
+  return schema;
+}
+
+/**
+ * A schema every sample fits: types, numeric ranges, fields present in every
+ * sample as `required`, string formats, and enums for strings that repeat
+ * among a few values. The latest sample is kept as an example.
+ */
+export function inferSchema(values: unknown[], options: InferOptions = {}): JsonSchema {
+  const shape = emptyShape();
+  values.forEach((value) => observe(shape, value));
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    ...(options.title && { title: options.title }),
+    description: `Inferred from ${values.length} message${values.length === 1 ? '' : 's'}`,
+    ...toSchema(shape, options.maxEnum ?? 10),
+    ...(values.length > 0 && { examples: [values[values.length - 1]] }),
+  };
+}
+
+const STRUCTURAL_KEYWORDS = ['type', 'properties', 'required', 'items', 'prefixItems'];
+const structuralSchemas = new WeakMap<object, JsonSchema>();
+
+/** The schema's shape alone: ranges, enums and formats drop out; unlisted fields are drift. */
+function structural(schema: unknown): unknown {
+  if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) return schema;
+  const source = schema as Record<string, unknown>;
+  const result: Record<string, unknown> = {};
+  for (const keyword of STRUCTURAL_KEYWORDS) {
+    if (source[keyword] === undefined) continue;
+    const value = source[keyword];
+    if (keyword === 'properties' && typeof value === 'object' && value !== null) {
+      result.properties = Object.fromEntries(
+        Object.entries(value).map(([key, sub]) => [key, structural(sub)]),
+      );
+      result.additionalProperties = false;
+    } else if (keyword === 'items' || keyword === 'prefixItems') {
+      result[keyword] = Array.isArray(value) ? value.map(structural) : structural(value);
+    } else if (keyword === 'type') {
+      // 21 then 21.5 is the same field, not a type change.
+      result.type = Array.isArray(value)
+        ? value.map((type) => (type === 'integer' ? 'number' : type))
+        : value === 'integer'
+          ? 'number'
+          : value;
+    } else {
+      result[keyword] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * How a payload differs in structure from a schema: fields the schema does
+ * not list, values of another type, and required fields that are missing.
+ * Values outside the observed ranges or enums are not drift.
+ */
+export function findDrift(schema: JsonSchema, value: unknown): DriftIssue[] {
+  if (typeof schema === 'boolean') return [];
+  let shape = structuralSchemas.get(schema);
+  if (!shape) {
+    shape = structural(schema) as JsonSchema;
+    structuralSchemas.set(schema, shape);
+  }
+
+  const issues: DriftIssue[] = [];
+  for (const error of validateSchema(shape, value)) {
+    if (error.keyword === 'additionalProperties') {
+      issues.push({ kind: 'new-field', path: error.path, message: 'New field' });
+    } else if (error.keyword === 'type') {
+      issues.push({ kind: 'type-change', path: error.path, message: error.message });
+    } else if (error.keyword === 'required') {
+      issues.push({ kind: 'missing-field', path: error.path, message: error.message });
+    }
+  }
+  return issues;
+}
@@ -0,0 +1,211 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { decodeCbor } from '../renderer/src/utils/decoders/cbor';
+import { decodeMsgpack } from '../renderer/src/utils/decoders/msgpack';
+import {
+  buildDeviceMessages,
+  devicePublishFlags,
+  outputSubtopic,
+  publishOptionsOf,
+} from './simulation-payload';
+import {
+  DEFAULT_PUBLISH_OPTIONS,
+  createFleetInstances,
+  type DeviceOutput,
+  type DevicePublishOptions,
+  type SimulatedDevice,
+} from './simulation';
+
+const NOW = '1970-01-01T00:00:00.000Z';
+
+const temperature: DeviceOutput = {
+  id: 1,
+  name: 'temperature',
+  dataType: 'number',
+  generator: 'static',
+  unit: '°C',
+  config: {},
+  currentValue: 21.5,
+};
+const status: DeviceOutput = {
+  id: 2,
+  name: 'status',
+  dataType: 'string',
+  generator: 'static',
+  includeTimestamp: false,
+  config: {},
+  currentValue: 'ok, "fine"',
+};
+
+function device(publish: Partial<DevicePublishOptions> = {}, extra: object = {}): SimulatedDevice {
+  return {
+    id: 1,
+    name: 'Boiler',
+    topic: 'plant/boiler',
+    publishInterval: 1000,
+    isPublishing: true,
+    outputs: [temperature, status],
+    publish: { ...DEFAULT_PUBLISH_OPTIONS, ...publish },
+    ...extra,
+  };
+}
+
+beforeEach(() => {
+  vi.useFakeTimers({ now: 0 });
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('buildDeviceMessages', () => {
+  it('sends the built-in JSON shape, leaving dropped outputs out', () => {
+    const [message] = buildDeviceMessages(device(), [
+      temperature,
+      { ...status, currentValue: undefined },
+    ]);
+    expect(message.topic).toBe('plant/boiler');
+    expect(JSON.parse(message.payload as string)).toEqual({
+      temperature: { value: 21.5, unit: '°C', timestamp: NOW },
+    });
+  });
+
+  it('flattens the shape for a single output', () => {
+    const [message] = buildDeviceMessages(device(), [status]);
+    expect(JSON.parse(message.payload as string)).toEqual({ value: 'ok, "fine"' });
+  });
+
+  it('renders a payload template with the outputs as variables', () => {
+    const options = {
+      format: 'template' as const,
+      template: '{"t":{{temperature}},"by":"{{deviceName}}"}',
+    };
+    const [message] = buildDeviceMessages(device(options), [temperature, status]);
+    expect(message.payload).toBe('{"t":21.5,"by":"Boiler"}');
+  });
+
+  it('sends a bare value, and needs a single output for it', () => {
+    expect(buildDeviceMessages(device({ format: 'value' }), [status])[0].payload).toBe(
+      'ok, "fine"',
+    );
+    expect(() => buildDeviceMessages(device({ format: 'value' }), [temperature, status])).toThrow(
+      'Plain values need a single output or one topic per output',
+    );
+  });
+
+  it('writes one CSV line, quoting where needed', () => {
+    const [message] = buildDeviceMessages(device({ format: 'csv' }), [temperature, status]);
+    expect(message.payload).toBe(`${NOW},21.5,"ok, ""fine"""`);
+    expect(() =>
+      buildDeviceMessages(device({ format: 'csv', encoding: 'cbor' }), [temperature]),
+    ).toThrow('CSV payloads are sent as text only');
+  });
+
+  it('sends one message per output on its subtopic when split', () => {
+    const messages = buildDeviceMessages(device({ format: 'value', splitOutputs: true }), [
+      { ...temperature, subtopic: 'temp/+' },
+      status,
+      { ...status, id: 3, name: 'gone', currentValue: undefined },
+    ]);
+    expect(messages).toEqual([
+      { topic: 'plant/boiler/temp/_', payload: '21.5' },
+      { topic: 'plant/boiler/status', payload: 'ok, "fine"' },
+    ]);
+  });
+
+  it('gives split templates the output name, value and unit', () => {
+    const options = {
+      format: 'template' as const,
+      template: '{{name}}={{value}}{{unit}}',
+      splitOutputs: true,
+    };
+    const messages = buildDeviceMessages(device(options), [temperature, status]);
+    expect(messages.map((m) => m.payload)).toEqual(['temperature=21.5°C', 'status=ok, "fine"']);
+  });
+
+  it('re-encodes the JSON as CBOR or MessagePack', () => {
+    const [cbor] = buildDeviceMessages(device({ format: 'value', encoding: 'cbor' }), [status]);
+    expect(decodeCbor(cbor.payload as Uint8Array)).toBe('ok, "fine"');
+    const [msgpack] = buildDeviceMessages(device({ encoding: 'msgpack' }), [temperature]);
+    expect(decodeMsgpack(msgpack.payload as Uint8Array)).toEqual({
+      value: 21.5,
+      unit: '°C',
+      timestamp: NOW,
+    });
+    expect(() =>
+      buildDeviceMessages(device({ format: 'template', template: 'x', encoding: 'cbor' }), [
+        status,
+      ]),
+    ).toThrow('The payload template must produce JSON to be sent as cbor');
+  });
+
+  it('fills in fleet placeholders in topics and payloads', () => {
+    const fleet = device(
+      { format: 'template', template: '{"id":"{{id}}","n":{{index}}}' },
+      { topic: 'meters/{{id}}', fleet: { size: 3, startIndex: 1, staggerMs: 0, jitterPercent: 0 } },
+    );
+    const [, second] = createFleetInstances(fleet);
+    expect(buildDeviceMessages(fleet, [temperature], second)).toEqual([
+      { topic: 'meters/boiler-2', payload: '{"id":"boiler-2","n":2}' },
+    ]);
+  });
+
+  it('keeps template counters per fleet instance', () => {
+    const fleet = device(
+      { format: 'template', template: '{{counter()}}' },
+      { fleet: { size: 2, startIndex: 1, staggerMs: 0, jitterPercent: 0 } },
+    );
+    const [first, second] = createFleetInstances(fleet);
+    const payload = (instance = first) =>
+      buildDeviceMessages(fleet, [temperature], instance)[0].payload;
+    expect([payload(), payload(), payload(second)]).toEqual(['1', '2', '1']);
+  });
+});
+
+describe('outputSubtopic', () => {
+  it('falls back to the name, then the id', () => {
+    expect(outputSubtopic({ ...temperature, subtopic: ' ' })).toBe('temperature');
+    expect(outputSubtopic({ ...temperature, name: '#' })).toBe('_');
+    expect(outputSubtopic({ ...temperature, name: ' ' })).toBe('1');
+  });
+});
+
+describe('devicePublishFlags', () => {
+  it('fills in defaults for devices saved without publish options', () => {
+    expect(publishOptionsOf(device({}, { publish: undefined }))).toEqual(DEFAULT_PUBLISH_OPTIONS);
+    expect(devicePublishFlags(device({}, { publish: undefined }))).toEqual({
+      qos: 0,
+      retain: false,
+    });
+  });
+
+  it('builds MQTT 5 properties, repeating user property keys as arrays', () => {
+    const fleet = device(
+      {
+        qos: 1,
+        retain: true,
+        properties: {
+          contentType: ' application/json ',
+          responseTopic: 'replies/{{id}}',
+          messageExpiryInterval: 60,
+          userProperties: [
+            { key: 'site', value: 'north' },
+            { key: 'site', value: '{{index}}' },
+            { key: ' ', value: 'ignored' },
+          ],
+        },
+      },
+      { fleet: { size: 2, startIndex: 1, staggerMs: 0, jitterPercent: 0 } },
+    );
+    const [instance] = createFleetInstances(fleet);
+    expect(devicePublishFlags(fleet, instance)).toEqual({
+      qos: 1,
+      retain: true,
+      properties: {
+        contentType: 'application/json',
+        responseTopic: 'replies/boiler-1',
+        messageExpiryInterval: 60,
+        userProperties: { site: ['north', '1'] },
+      },
+    });
+  });
+});
@@ -0,0 +1,224 @@
+// The MQTT messages a JSON simulated device publishes on one tick, shaped by its
+// publish options. Sparkplug devices encode their own metrics instead.
+import { encodeCbor } from './encoders/cbor';
+import { encodeMsgpack } from './encoders/msgpack';
+import {
+  createTemplateState,
+  renderTemplate,
+  type RenderOptions,
+  type TemplateVariables,
+} from './payload-template';
+import {
+  DEFAULT_PUBLISH_OPTIONS,
+  applyInstanceTemplate,
+  isFleet,
+  type DeviceOutput,
+  type DevicePublishOptions,
+  type FleetInstance,
+  type SimulatedDevice,
+} from './simulation';
+
+export interface DeviceMessage {
+  topic: string;
+  payload: string | Uint8Array;
+}
+
+export interface DevicePublishFlags {
+  qos: 0 | 1 | 2;
+  retain: boolean;
+  properties?: Record<string, unknown>; // as mqtt.js expects them
+}
+
+/** A device's publish options with the defaults filled in, for devices saved without them. */
+export function publishOptionsOf(device: SimulatedDevice): DevicePublishOptions {
+  return { ...DEFAULT_PUBLISH_OPTIONS, ...device.publish };
+}
+
+/** Below the device topic. Slashes add levels; wildcards can't appear in a published topic. */
+export function outputSubtopic(output: DeviceOutput): string {
+  return (output.subtopic?.trim() || output.name.trim()).replace(/[+#]/g, '_') || String(output.id);
+}
+
+function outputObject(output: DeviceOutput): Record<string, unknown> {
+  const outputPayload: Record<string, unknown> = { value: output.currentValue };
+  if (output.dataType === 'number' && output.unit && output.unit.trim()) {
+    outputPayload.unit = output.unit.trim();
+  }
+  if (output.includeTimestamp !== false) {
+    outputPayload.timestamp = new Date().toISOString();
+  }
+  return outputPayload;
+}
+
+/** The built-in shape, flattened for a single output; dropped outputs are left out. */
+function jsonShape(outputs: DeviceOutput[]): Record<string, unknown> {
+  if (outputs.length === 1) {
+    return outputs[0].currentValue === undefined ? {} : outputObject(outputs[0]);
+  }
+  const payload: Record<string, unknown> = {};
+  outputs.forEach((output) => {
+    if (output.currentValue !== undefined) payload[output.name] = outputObject(output);
+  });
+  return payload;
+}
+
+function csvField(value: unknown): string {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** Values in output order, led by the time when any output includes timestamps. */
+function csvLine(outputs: DeviceOutput[]): string {
+  const fields = outputs.map((output) => csvField(output.currentValue));
+  if (outputs.some((output) => output.includeTimestamp !== false)) {
+    fields.unshift(new Date().toISOString());
+  }
+  return fields.join(',');
+}
+
+function deviceVariables(
+  device: SimulatedDevice,
+  outputs: DeviceOutput[],
+  instance?: FleetInstance,
+): TemplateVariables {
+  const variables: TemplateVariables = {
+    deviceName: device.name,
+    isoTimestamp: new Date().toISOString(),
+  };
+  if (instance && isFleet(device)) {
+    variables.index = instance.index;
+    variables.id = instance.id;
+  }
+  outputs.forEach((output) => (variables[output.name] = output.currentValue));
+  return variables;
+}
+
+/** Text first, so fleet placeholders apply, then the binary encoding if one is chosen. */
+function encode(
+  text: string,
+  options: DevicePublishOptions,
+  device: SimulatedDevice,
+  instance?: FleetInstance,
+): string | Uint8Array {
+  const templated = instance && isFleet(device) ? applyInstanceTemplate(text, instance) : text;
+  if (options.encoding === 'text') return templated;
+  if (options.format === 'csv') throw new Error('CSV payloads are sent as text only');
+
+  let value: unknown;
+  try {
+    value = JSON.parse(templated);
+  } catch {
+    throw new Error(`The payload template must produce JSON to be sent as ${options.encoding}`);
+  }
+  return options.encoding === 'cbor' ? encodeCbor(value) : encodeMsgpack(value);
+}
+
+function valueText(value: unknown, options: DevicePublishOptions): string {
+  // Bare strings go out as they are; binary encodings need them as JSON first.
+  return typeof value === 'string' && options.encoding === 'text' ? value : JSON.stringify(value);
+}
+
+/**
+ * Topic and payload of each message for one tick of one producer (a fleet
+ * instance, or the device itself). Split devices send one message per output
+ * that produced a value.
+ */
+export function buildDeviceMessages(
+  device: SimulatedDevice,
+  outputs: DeviceOutput[],
+  instance?: FleetInstance,
+): DeviceMessage[] {
+  const options = publishOptionsOf(device);
+  const variables = deviceVariables(device, outputs, instance);
+  const render: RenderOptions = {
+    state: instance && (instance.templateState ??= createTemplateState()),
+  };
+  const topicOf = (topic: string) =>
+    instance && isFleet(device) ? applyInstanceTemplate(topic, instance) : topic;
+
+  if (options.splitOutputs) {
+    return outputs
+      .filter((output) => output.currentValue !== undefined)
+      .map((output) => {
+        let text: string;
+        switch (options.format) {
+          case 'template':
+            text = renderTemplate(
+              options.template,
+              {
+                ...variables,
+                name: output.name,
+                value: output.currentValue,
+                unit: output.unit ?? '',
+              },
+              render,
+            );
+            break;
+          case 'value':
+            text = valueText(output.currentValue, options);
+            break;
+          case 'csv':
+            text = csvLine([output]);
+            break;
+          default:
+            text = JSON.stringify(outputObject(output));
+        }
+        return {
+          topic: topicOf(`${device.topic}/${outputSubtopic(output)}`),
+          payload: encode(text, options, device, instance),
+        };
+      });
+  }
+
+  let text: string;
+  switch (options.format) {
+    case 'template':
+      text = renderTemplate(options.template, variables, render);
+      break;
+    case 'value':
+      if (outputs.length !== 1) {
+        throw new Error('Plain values need a single output or one topic per output');
+      }
+      text = valueText(outputs[0].currentValue, options);
+      break;
+    case 'csv':
+      text = csvLine(outputs);
+      break;
+    default:
+      text = JSON.stringify(jsonShape(outputs));
+  }
+  return [{ topic: topicOf(device.topic), payload: encode(text, options, device, instance) }];
+}
+
+/** QoS, retain and MQTT 5 properties; fleet placeholders apply to property text too. */
+export function devicePublishFlags(
+  device: SimulatedDevice,
+  instance?: FleetInstance,
+): DevicePublishFlags {
+  const { qos, retain, properties: form } = publishOptionsOf(device);
+  const text = (value: string) =>
+    instance && isFleet(device) ? applyInstanceTemplate(value, instance) : value;
+  const properties: Record<string, unknown> = {};
+
+  if (form.contentType?.trim()) properties.contentType = form.contentType.trim();
+  if (form.responseTopic?.trim()) properties.responseTopic = text(form.responseTopic.trim());
+  if (form.messageExpiryInterval && form.messageExpiryInterval > 0) {
+    properties.messageExpiryInterval = form.messageExpiryInterval;
+  }
+  const userProperties: Record<string, string | string[]> = {};
+  for (const { key, value } of form.userProperties ?? []) {
+    const k = key.trim();
+    if (!k) continue;
+    const existing = userProperties[k];
+    userProperties[k] =
+      existing === undefined ? text(value) : ([] as string[]).concat(existing, text(value));
+  }
+  if (Object.keys(userProperties).length > 0) properties.userProperties = userProperties;
+
+  return {
+    qos,
+    retain,
+    ...(Object.keys(properties).length > 0 && { properties }),
+  };
+}
@@ -0,0 +1,124 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+  applyInstanceTemplate,
+  createFleetInstances,
+  generateOutputs,
+  isFleet,
+  jitterOffset,
+  MAX_FLEET_SIZE,
+  type SimulatedDevice,
+} from './simulation';
+
+function device(overrides: Partial<SimulatedDevice> = {}): SimulatedDevice {
+  return {
+    id: 1,
+    name: 'Power Meter',
+    topic: 'meters/{{id}}',
+    publishInterval: 1000,
+    isPublishing: false,
+    outputs: [
+      { id: 1, name: 'power', dataType: 'number', generator: 'sine', config: {} },
+      { id: 2, name: 'on', dataType: 'boolean', generator: 'toggle', config: {} },
+    ],
+    fleet: { size: 12, startIndex: 1, staggerMs: 0, jitterPercent: 0 },
+    ...overrides,
+  };
+}
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('fleets', () => {
+  it('are JSON devices with more than one instance', () => {
+    expect(isFleet(device())).toBe(true);
+    expect(isFleet(device({ fleet: undefined }))).toBe(false);
+    expect(isFleet(device({ fleet: { ...device().fleet!, size: 1 } }))).toBe(false);
+    expect(isFleet(device({ protocol: 'sparkplugB' }))).toBe(false);
+  });
+
+  it('number their instances from the start index with zero-padded ids', () => {
+    const instances = createFleetInstances(
+      device({ fleet: { ...device().fleet!, startIndex: 5 } }),
+    );
+    expect(instances).toHaveLength(12);
+    expect(instances.map((i) => i.index)).toEqual([5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16]);
+    expect(instances[0].id).toBe('power-meter-05');
+    expect(instances[11].id).toBe('power-meter-16');
+  });
+
+  it('fall back to a generic slug and stay within the size limit', () => {
+    const instances = createFleetInstances(
+      device({ name: ' ** ', fleet: { ...device().fleet!, size: MAX_FLEET_SIZE + 50 } }),
+    );
+    expect(instances).toHaveLength(MAX_FLEET_SIZE);
+    expect(instances[0].id).toBe('device-0001');
+  });
+
+  it('give every instance its own phase for each output', () => {
+    const [first, second] = createFleetInstances(device());
+    expect(Object.keys(first.generatorState)).toEqual(['1', '2']);
+    expect(first.generatorState[1]).not.toBe(second.generatorState[1]);
+    expect(first.generatorState[1].timeOffset).toBeGreaterThanOrEqual(0);
+    expect(first.generatorState[1].timeOffset).toBeLessThan(3600);
+  });
+
+  it('fill in {{index}} and {{id}}, leaving other placeholders alone', () => {
+    const [instance] = createFleetInstances(device());
+    expect(applyInstanceTemplate('meters/{{ id }}/{{index}}/{{name}}', instance)).toBe(
+      'meters/power-meter-01/1/{{name}}',
+    );
+  });
+});
+
+describe('jitterOffset', () => {
+  it('shifts by up to the given share of the interval either way', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    expect(jitterOffset(1000, 10)).toBe(-100);
+    vi.spyOn(Math, 'random').mockReturnValue(0.999999);
+    expect(jitterOffset(1000, 10)).toBe(100);
+    expect(jitterOffset(1000, 250)).toBe(1000);
+  });
+
+  it('is zero without jitter', () => {
+    expect(jitterOffset(1000, 0)).toBeCloseTo(0);
+    expect(jitterOffset(1000, -5)).toBeCloseTo(0);
+  });
+});
+
+describe('generateOutputs', () => {
+  const outputs = [
+    {
+      id: 1,
+      name: 'total',
+      dataType: 'number',
+      generator: 'expression',
+      config: { expression: 'a + b' },
+    },
+    { id: 2, name: 'a', dataType: 'number', generator: 'static', config: { value: 2 } },
+    {
+      id: 3,
+      name: 'double',
+      dataType: 'number',
+      generator: 'expression',
+      config: { expression: 'total * 2' },
+    },
+    { id: 4, name: 'b', dataType: 'number', generator: 'static', config: { value: 3 } },
+  ];
+
+  it('evaluates expressions after the other outputs, in their listed order', () => {
+    const state = {};
+    expect(generateOutputs(outputs, state).map((o) => [o.name, o.currentValue])).toEqual([
+      ['total', 5],
+      ['a', 2],
+      ['double', 10],
+      ['b', 3],
+    ]);
+    expect(Object.keys(state)).toEqual(['1', '2', '3', '4']);
+  });
+
+  it('names the output whose generator failed', () => {
+    const broken = [{ ...outputs[0], config: { expression: 'missing + 1' } }];
+    expect(() => generateOutputs(broken, {})).toThrow(/^total: /);
+  });
+});
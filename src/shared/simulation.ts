@@ -0,0 +1,225 @@
+import type { SparkplugDataType, SparkplugMetricInput } from './sparkplug';
+import type { TemplateState } from './template-functions';
+import {
+  generateValue,
+  type FaultConfig,
+  type GeneratorContext,
+  type GeneratorState,
+} from './value-generators';
+
+// Simulated device definitions, shared by the editor in the renderer and the
+// engine in main that runs them. Generator config shapes vary widely, so
+// `config`/`currentValue` stay loosely typed.
+
+export interface DeviceOutput {
+  id: number;
+  name: string;
+  dataType: string;
+  generator: string;
+  unit?: string;
+  decimalPrecision?: number;
+  includeTimestamp?: boolean;
+  config: any;
+  faults?: FaultConfig;
+  subtopic?: string; // below the device topic when outputs publish separately; defaults to the name
+  currentValue?: any; // undefined after a dropout fault
+}
+
+/** Datasets the outputs of a device replay, so they can be loaded before it runs. */
+export function datasetIds(outputs: DeviceOutput[]): string[] {
+  const ids = outputs
+    .filter((output) => output.generator === 'dataset' && output.config?.datasetId)
+    .map((output) => output.config.datasetId as string);
+  return Array.from(new Set(ids));
+}
+
+/** Identity of a Sparkplug B device; its outputs become the device's metrics. */
+export interface SparkplugDeviceConfig {
+  groupId: string;
+  edgeNodeId: string;
+  deviceId: string;
+}
+
+/** One definition published by many instances; `{{index}}`/`{{id}}` vary per instance. */
+export interface FleetConfig {
+  size: number;
+  startIndex: number;
+  staggerMs: number; // delay between consecutive instances starting
+  jitterPercent: number; // each interval varies by up to ± this share of publishInterval
+}
+
+/**
+ * How a JSON device's messages look: `json` is the built-in `{ name: { value,
+ * unit, timestamp } }` shape, `template` a `{{...}}` text with the outputs as
+ * variables, `value` the bare value and `csv` one line of values.
+ */
+export type PayloadFormat = 'json' | 'template' | 'value' | 'csv';
+
+/** Binary encodings re-encode the JSON a format produces; CSV is text only. */
+export type DevicePayloadEncoding = 'text' | 'cbor' | 'msgpack';
+
+/** MQTT 5 properties sent with every message; ignored on 3.1.1 connections. */
+export interface DevicePublishProperties {
+  contentType?: string;
+  responseTopic?: string;
+  messageExpiryInterval?: number; // seconds
+  userProperties?: { key: string; value: string }[];
+}
+
+export interface DevicePublishOptions {
+  format: PayloadFormat;
+  template: string;
+  encoding: DevicePayloadEncoding;
+  qos: 0 | 1 | 2;
+  retain: boolean;
+  splitOutputs: boolean; // one message per output, on `<topic>/<subtopic>`
+  properties: DevicePublishProperties;
+}
+
+export interface SimulatedDevice {
+  id: number;
+  name: string;
+  topic: string;
+  publishInterval: number;
+  isPublishing: boolean;
+  outputs: DeviceOutput[];
+  protocol?: 'json' | 'sparkplugB'; // absent on devices saved before Sparkplug support
+  sparkplug?: SparkplugDeviceConfig;
+  fleet?: FleetConfig; // JSON devices only
+  publish?: DevicePublishOptions; // JSON devices only; absent means DEFAULT_PUBLISH_OPTIONS
+}
+
+export const DEFAULT_PUBLISH_OPTIONS: DevicePublishOptions = {
+  format: 'json',
+  template: '',
+  encoding: 'text',
+  qos: 0,
+  retain: false,
+  splitOutputs: false,
+  properties: {},
+};
+
+export const MAX_FLEET_SIZE = 1000;
+
+export const DEFAULT_FLEET: FleetConfig = {
+  size: 10,
+  startIndex: 1,
+  staggerMs: 200,
+  jitterPercent: 10,
+};
+
+export interface FleetInstance {
+  index: number;
+  id: string;
+  generatorState: Record<number, GeneratorState>; // keyed by output id
+  templateState?: TemplateState; // counters in the payload template, for the run
+}
+
+/** Id of a running device in main; device ids are unique within a connection. */
+export function simulationRunId(connectionId: string, deviceId: number): string {
+  return `${connectionId}/${deviceId}`;
+}
+
+export function isSparkplugDevice(device: SimulatedDevice): boolean {
+  return device.protocol === 'sparkplugB' && !!device.sparkplug;
+}
+
+export function isFleet(device: SimulatedDevice): boolean {
+  return device.protocol !== 'sparkplugB' && !!device.fleet && device.fleet.size > 1;
+}
+
+/** `{{id}}` is the device name slug plus the zero-padded index, e.g. `meter-007`. */
+function instanceId(device: SimulatedDevice, index: number, width: number): string {
+  const slug = device.name
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${slug || 'device'}-${String(index).padStart(width, '0')}`;
+}
+
+export function createFleetInstances(device: SimulatedDevice): FleetInstance[] {
+  const { size, startIndex } = device.fleet!;
+  const count = Math.min(Math.max(1, size), MAX_FLEET_SIZE);
+  const width = String(startIndex + count - 1).length;
+  return Array.from({ length: count }, (_, i) => {
+    const index = startIndex + i;
+    // A random phase per output keeps time-based generators from moving in lockstep.
+    const generatorState = Object.fromEntries(
+      device.outputs.map((output) => [output.id, { timeOffset: Math.random() * 3600 }]),
+    );
+    return { index, id: instanceId(device, index, width), generatorState };
+  });
+}
+
+export function applyInstanceTemplate(text: string, instance: FleetInstance): string {
+  return text.replace(/\{\{\s*(index|id)\s*\}\}/g, (_, token) =>
+    token === 'index' ? String(instance.index) : instance.id,
+  );
+}
+
+/** Random shift of up to ± jitterPercent of the interval, for one tick of one instance. */
+export function jitterOffset(interval: number, jitterPercent: number): number {
+  const spread = (interval * Math.min(Math.max(jitterPercent, 0), 100)) / 100;
+  return Math.round((Math.random() * 2 - 1) * spread);
+}
+
+/**
+ * Fresh values for a device's outputs, from the state of one producer.
+ * Expression outputs go last, in their listed order, so they can use the
+ * values of every other output as well as the expressions above them.
+ * `dataset` looks up the series that dataset outputs replay.
+ */
+export function generateOutputs(
+  outputs: DeviceOutput[],
+  generatorState: Record<number, GeneratorState>,
+  dataset?: GeneratorContext['dataset'],
+): DeviceOutput[] {
+  const isDerived = (output: DeviceOutput) =>
+    output.dataType === 'number' && output.generator === 'expression';
+  const scope: Record<string, unknown> = {};
+  const values = new Map<number, unknown>();
+
+  [...outputs.filter((o) => !isDerived(o)), ...outputs.filter(isDerived)].forEach((output) => {
+    const state = (generatorState[output.id] ??= {});
+    try {
+      const value = generateValue(output, state, { scope, dataset });
+      values.set(output.id, value);
+      // Derived outputs see the real value even when a fault dropped it from the message.
+      scope[output.name] = value ?? state.previous;
+    } catch (error) {
+      throw new Error(`${output.name}: ${(error as Error).message}`);
+    }
+  });
+
+  return outputs.map((output) => ({ ...output, currentValue: values.get(output.id) }));
+}
+
+/** Sparkplug datatype declared in DBIRTH for an output of the given data type. */
+export function sparkplugDatatype(dataType: string): SparkplugDataType {
+  switch (dataType) {
+    case 'number':
+      return 'Double';
+    case 'boolean':
+      return 'Boolean';
+    default:
+      return 'String';
+  }
+}
+
+/**
+ * One metric per output, named after it and carrying its latest generated value.
+ * Outputs a fault dropped are skipped, unless `includeDropped` asks for them as nulls.
+ */
+export function toSparkplugMetrics(
+  outputs: DeviceOutput[],
+  includeDropped = false,
+): SparkplugMetricInput[] {
+  return outputs
+    .filter((output) => includeDropped || output.currentValue !== undefined)
+    .map((output) => ({
+      name: output.name,
+      datatype: sparkplugDatatype(output.dataType),
+      value: output.currentValue ?? null,
+    }));
+}
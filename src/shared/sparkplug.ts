@@ -0,0 +1,398 @@
+// Sparkplug B payload schema (Eclipse Tahu sparkplug_b.proto), shared by main
+// and renderer. The schema is parsed once, on first use.
+import protobuf from 'protobufjs';
+
+const SPARKPLUG_B_PROTO = `
+syntax = "proto2";
+package org.eclipse.tahu.protobuf;
+
+message Payload {
+  message Template {
+    message Parameter {
+      optional string name = 1;
+      optional uint32 type = 2;
+      oneof value {
+        uint32 int_value = 3;
+        uint64 long_value = 4;
+        float float_value = 5;
+        double double_value = 6;
+        bool boolean_value = 7;
+        string string_value = 8;
+        ParameterValueExtension extension_value = 9;
+      }
+      message ParameterValueExtension { extensions 1 to max; }
+    }
+    optional string version = 1;
+    repeated Metric metrics = 2;
+    repeated Parameter parameters = 3;
+    optional string template_ref = 4;
+    optional bool is_definition = 5;
+    extensions 6 to max;
+  }
+
+  message DataSet {
+    message DataSetValue {
+      oneof value {
+        uint32 int_value = 1;
+        uint64 long_value = 2;
+        float float_value = 3;
+        double double_value = 4;
+        bool boolean_value = 5;
+        string string_value = 6;
+        DataSetValueExtension extension_value = 7;
+      }
+      message DataSetValueExtension { extensions 1 to max; }
+    }
+    message Row {
+      repeated DataSetValue elements = 1;
+      extensions 2 to max;
+    }
+    optional uint64 num_of_columns = 1;
+    repeated string columns = 2;
+    repeated uint32 types = 3;
+    repeated Row rows = 4;
+    extensions 5 to max;
+  }
+
+  message PropertyValue {
+    optional uint32 type = 1;
+    optional bool is_null = 2;
+    oneof value {
+      uint32 int_value = 3;
+      uint64 long_value = 4;
+      float float_value = 5;
+      double double_value = 6;
+      bool boolean_value = 7;
+      string string_value = 8;
+      PropertySet propertyset_value = 9;
+      PropertySetList propertysets_value = 10;
+      PropertyValueExtension extension_value = 11;
+    }
+    message PropertyValueExtension { extensions 1 to max; }
+  }
+
+  message PropertySet {
+    repeated string keys = 1;
+    repeated PropertyValue values = 2;
+    extensions 3 to max;
+  }
+
+  message PropertySetList {
+    repeated PropertySet propertyset = 1;
+    extensions 2 to max;
+  }
+
+  message MetaData {
+    optional bool is_multi_part = 1;
+    optional string content_type = 2;
+    optional uint64 size = 3;
+    optional uint64 seq = 4;
+    optional string file_name = 5;
+    optional string file_type = 6;
+    optional string md5 = 7;
+    optional string description = 8;
+    extensions 9 to max;
+  }
+
+  message Metric {
+    optional string name = 1;
+    optional uint64 alias = 2;
+    optional uint64 timestamp = 3;
+    optional uint32 datatype = 4;
+    optional bool is_historical = 5;
+    optional bool is_transient = 6;
+    optional bool is_null = 7;
+    optional MetaData metadata = 8;
+    optional PropertySet properties = 9;
+    oneof value {
+      uint32 int_value = 10;
+      uint64 long_value = 11;
+      float float_value = 12;
+      double double_value = 13;
+      bool boolean_value = 14;
+      string string_value = 15;
+      bytes bytes_value = 16;
+      DataSet dataset_value = 17;
+      Template template_value = 18;
+      MetricValueExtension extension_value = 19;
+    }
+    message MetricValueExtension { extensions 1 to max; }
+  }
+
+  optional uint64 timestamp = 1;
+  repeated Metric metrics = 2;
+  optional uint64 seq = 3;
+  optional string uuid = 4;
+  optional bytes body = 5;
+  extensions 6 to max;
+}
+`;
+
+/** Sparkplug B data type ids, indexed by their wire value. */
+export const SPARKPLUG_DATATYPES = [
+  'Unknown',
+  'Int8',
+  'Int16',
+  'Int32',
+  'Int64',
+  'UInt8',
+  'UInt16',
+  'UInt32',
+  'UInt64',
+  'Float',
+  'Double',
+  'Boolean',
+  'String',
+  'DateTime',
+  'Text',
+  'UUID',
+  'DataSet',
+  'Bytes',
+  'File',
+  'Template',
+  'PropertySet',
+  'PropertySetList',
+  'Int8Array',
+  'Int16Array',
+  'Int32Array',
+  'Int64Array',
+  'UInt8Array',
+  'UInt16Array',
+  'UInt32Array',
+  'UInt64Array',
+  'FloatArray',
+  'DoubleArray',
+  'BooleanArray',
+  'StringArray',
+  'DateTimeArray',
+] as const;
+
+export type SparkplugDataType = (typeof SPARKPLUG_DATATYPES)[number];
+
+export interface SparkplugMetric {
+  name?: string;
+  alias?: number;
+  timestamp?: number;
+  datatype: SparkplugDataType;
+  value: unknown;
+  isNull?: boolean;
+  isHistorical?: boolean;
+  isTransient?: boolean;
+  properties?: Record<string, unknown>;
+}
+
+export interface SparkplugPayload {
+  timestamp?: number;
+  seq?: number;
+  uuid?: string;
+  metrics: SparkplugMetric[];
+  body?: Uint8Array;
+}
+
+let payloadType: protobuf.Type | null = null;
+
+export function getSparkplugPayloadType(): protobuf.Type {
+  if (!payloadType) {
+    const { root } = protobuf.parse(SPARKPLUG_B_PROTO, { keepCase: true });
+    payloadType = root.lookupType('org.eclipse.tahu.protobuf.Payload');
+  }
+  return payloadType;
+}
+
+const VALUE_FIELDS = [
+  'int_value',
+  'long_value',
+  'float_value',
+  'double_value',
+  'boolean_value',
+  'string_value',
+  'bytes_value',
+  'dataset_value',
+  'template_value',
+  'propertyset_value',
+  'propertysets_value',
+];
+
+// uint64 fields arrive as decimal strings; Int types are two's complement on the wire.
+function toNumber(value: unknown, datatype?: string): unknown {
+  if (typeof value !== 'string' && typeof value !== 'number') return value;
+  if (datatype === 'Int64') {
+    const signed = BigInt.asIntN(64, BigInt(value));
+    return Number.isSafeInteger(Number(signed)) ? Number(signed) : signed;
+  }
+  if (typeof value === 'string') {
+    const n = Number(value);
+    return Number.isSafeInteger(n) ? n : BigInt(value);
+  }
+  if (datatype === 'Int8') return (value << 24) >> 24;
+  if (datatype === 'Int16') return (value << 16) >> 16;
+  if (datatype === 'Int32') return value | 0;
+  return value;
+}
+
+function readValue(entry: Record<string, any>, datatype?: string): unknown {
+  const field = VALUE_FIELDS.find((name) => entry[name] !== undefined);
+  if (!field) return null;
+  const value = entry[field];
+  if (field === 'propertyset_value') return readPropertySet(value);
+  if (field === 'propertysets_value') return (value.propertyset ?? []).map(readPropertySet);
+  if (field === 'dataset_value') return readDataSet(value);
+  if (field === 'template_value') return readTemplate(value);
+  if (field === 'int_value' || field === 'long_value') return toNumber(value, datatype);
+  return value;
+}
+
+function readPropertySet(set: Record<string, any>): Record<string, unknown> {
+  const keys: string[] = set.keys ?? [];
+  return Object.fromEntries(
+    keys.map((key, i) => {
+      const entry = set.values?.[i] ?? {};
+      return [key, entry.is_null ? null : readValue(entry, SPARKPLUG_DATATYPES[entry.type ?? 0])];
+    }),
+  );
+}
+
+function readDataSet(set: Record<string, any>) {
+  const columns: string[] = set.columns ?? [];
+  const types: number[] = set.types ?? [];
+  return {
+    columns,
+    types: types.map((t) => SPARKPLUG_DATATYPES[t] ?? t),
+    rows: (set.rows ?? []).map((row: any) =>
+      (row.elements ?? []).map((el: any, i: number) =>
+        readValue(el, SPARKPLUG_DATATYPES[types[i] ?? 0]),
+      ),
+    ),
+  };
+}
+
+function readTemplate(template: Record<string, any>) {
+  return {
+    ...(template.template_ref !== undefined && { templateRef: template.template_ref }),
+    ...(template.version !== undefined && { version: template.version }),
+    ...(template.is_definition !== undefined && { isDefinition: template.is_definition }),
+    ...(template.parameters?.length && {
+      parameters: Object.fromEntries(
+        template.parameters.map((p: any) => [
+          p.name,
+          readValue(p, SPARKPLUG_DATATYPES[p.type ?? 0]),
+        ]),
+      ),
+    }),
+    metrics: (template.metrics ?? []).map(readMetric),
+  };
+}
+
+function readMetric(metric: Record<string, any>): SparkplugMetric {
+  const datatype = SPARKPLUG_DATATYPES[metric.datatype ?? 0] ?? 'Unknown';
+  return {
+    ...(metric.name !== undefined && { name: metric.name }),
+    ...(metric.alias !== undefined && { alias: toNumber(metric.alias) as number }),
+    ...(metric.timestamp !== undefined && { timestamp: toNumber(metric.timestamp) as number }),
+    datatype,
+    value: metric.is_null ? null : readValue(metric, datatype),
+    ...(metric.is_null && { isNull: true }),
+    ...(metric.is_historical && { isHistorical: true }),
+    ...(metric.is_transient && { isTransient: true }),
+    ...(metric.properties && { properties: readPropertySet(metric.properties) }),
+  };
+}
+
+/** Decode a Sparkplug B payload into plain values with data type names resolved. */
+export function decodeSparkplugPayload(bytes: Uint8Array): SparkplugPayload {
+  const type = getSparkplugPayloadType();
+  const raw = type.toObject(type.decode(bytes), { longs: String }) as any;
+  return {
+    ...(raw.timestamp !== undefined && { timestamp: toNumber(raw.timestamp) as number }),
+    ...(raw.seq !== undefined && { seq: toNumber(raw.seq) as number }),
+    ...(raw.uuid !== undefined && { uuid: raw.uuid }),
+    metrics: (raw.metrics ?? []).map(readMetric),
+    ...(raw.body !== undefined && { body: raw.body }),
+  };
+}
+
+export const SPARKPLUG_NAMESPACE = 'spBv1.0';
+
+export type SparkplugMessageType =
+  | 'NBIRTH'
+  | 'NDEATH'
+  | 'DBIRTH'
+  | 'DDEATH'
+  | 'NDATA'
+  | 'DDATA'
+  | 'NCMD'
+  | 'DCMD';
+
+export function sparkplugTopic(
+  groupId: string,
+  messageType: SparkplugMessageType,
+  edgeNodeId: string,
+  deviceId?: string,
+): string {
+  const topic = `${SPARKPLUG_NAMESPACE}/${groupId}/${messageType}/${edgeNodeId}`;
+  return deviceId ? `${topic}/${deviceId}` : topic;
+}
+
+/** Scalar metric values; arrays, datasets and templates are not written. */
+export type SparkplugValue = number | bigint | boolean | string | null;
+
+export interface SparkplugMetricInput {
+  name: string;
+  datatype: SparkplugDataType;
+  value: SparkplugValue;
+  timestamp?: number;
+}
+
+// The inverse of toNumber: signed ints travel as their unsigned two's complement.
+function writeValue(datatype: SparkplugDataType, value: Exclude<SparkplugValue, null>) {
+  switch (datatype) {
+    case 'Int8':
+    case 'Int16':
+    case 'Int32':
+    case 'UInt8':
+    case 'UInt16':
+    case 'UInt32':
+      return { int_value: Number(value) >>> 0 };
+    case 'Int64':
+    case 'UInt64':
+    case 'DateTime':
+      return {
+        long_value: BigInt.asUintN(
+          64,
+          typeof value === 'bigint' ? value : BigInt(Math.trunc(Number(value))),
+        ).toString(),
+      };
+    case 'Float':
+      return { float_value: Number(value) };
+    case 'Double':
+      return { double_value: Number(value) };
+    case 'Boolean':
+      return { boolean_value: Boolean(value) };
+    case 'String':
+    case 'Text':
+    case 'UUID':
+      return { string_value: String(value) };
+    default:
+      throw new Error(`Writing ${datatype} metrics is not supported`);
+  }
+}
+
+/** Encode a Sparkplug B payload with scalar metrics. */
+export function encodeSparkplugPayload(payload: {
+  timestamp: number;
+  seq?: number;
+  metrics: SparkplugMetricInput[];
+}): Uint8Array {
+  const type = getSparkplugPayloadType();
+  const message = type.fromObject({
+    timestamp: payload.timestamp,
+    ...(payload.seq !== undefined && { seq: payload.seq }),
+    metrics: payload.metrics.map((metric) => ({
+      name: metric.name,
+      datatype: SPARKPLUG_DATATYPES.indexOf(metric.datatype),
+      timestamp: metric.timestamp ?? payload.timestamp,
+      ...(metric.value === null ? { is_null: true } : writeValue(metric.datatype, metric.value)),
+    })),
+  });
+  return type.encode(message).finish();
+}
@@ -0,0 +1,331 @@
+// Functions available inside `{{...}}` placeholders: random values, maths,
+// text, dates, counters and fake-but-plausible identities for test data.
+
+/** What outlives a single render: counters and sequence positions, by name. */
+export interface TemplateState {
+  counters: Record<string, number>;
+}
+
+export interface TemplateContext {
+  state: TemplateState;
+  now: number; // one clock reading per render, so every date in a message agrees
+}
+
+export type TemplateFunction = (context: TemplateContext, ...args: unknown[]) => unknown;
+
+export function createTemplateState(): TemplateState {
+  return { counters: {} };
+}
+
+function num(value: unknown, name: string, fallback?: number): number {
+  if ((value === undefined || value === null) && fallback !== undefined) return fallback;
+  const n = Number(value);
+  if (value === '' || value === null || value === undefined || Number.isNaN(n)) {
+    throw new Error(`${name} needs a number, got ${JSON.stringify(value) ?? 'nothing'}`);
+  }
+  return n;
+}
+
+function text(value: unknown): string {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function pick<T>(items: readonly T[]): T {
+  return items[Math.floor(Math.random() * items.length)];
+}
+
+function randomInt(min: number, max: number): number {
+  return Math.floor(Math.random() * (max - min + 1)) + min;
+}
+
+function hexDigits(count: number): string {
+  let digits = '';
+  for (let i = 0; i < count; i++) digits += Math.floor(Math.random() * 16).toString(16);
+  return digits;
+}
+
+function uuid(): string {
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+    const r = (Math.random() * 16) | 0;
+    return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16);
+  });
+}
+
+const pad = (value: number, width = 2) => String(value).padStart(width, '0');
+
+function utcOffset(date: Date): string {
+  const minutes = -date.getTimezoneOffset();
+  const sign = minutes < 0 ? '-' : '+';
+  return `${sign}${pad(Math.floor(Math.abs(minutes) / 60))}:${pad(Math.abs(minutes) % 60)}`;
+}
+
+const DATE_TOKENS = /YYYY|YY|MM|DD|HH|mm|ss|SSS|Z/g;
+
+/**
+ * `iso`, `epoch` (seconds), `epochMs`, or a pattern in local time built from
+ * YYYY, YY, MM, DD, HH, mm, ss, SSS and Z (the UTC offset).
+ */
+export function formatDate(time: number, format = 'iso'): string | number {
+  if (format === 'iso') return new Date(time).toISOString();
+  if (format === 'epoch') return Math.floor(time / 1000);
+  if (format === 'epochMs') return time;
+  const date = new Date(time);
+  return format.replace(DATE_TOKENS, (token) => {
+    switch (token) {
+      case 'YYYY':
+        return String(date.getFullYear());
+      case 'YY':
+        return pad(date.getFullYear() % 100);
+      case 'MM':
+        return pad(date.getMonth() + 1);
+      case 'DD':
+        return pad(date.getDate());
+      case 'HH':
+        return pad(date.getHours());
+      case 'mm':
+        return pad(date.getMinutes());
+      case 'ss':
+        return pad(date.getSeconds());
+      case 'SSS':
+        return pad(date.getMilliseconds(), 3);
+      default:
+        return utcOffset(date);
+    }
+  });
+}
+
+const FIRST_NAMES = [
+  'Alex',
+  'Maria',
+  'Noah',
+  'Emma',
+  'Liam',
+  'Sofia',
+  'Lucas',
+  'Freja',
+  'Omar',
+  'Yuki',
+  'Priya',
+  'Mateo',
+  'Ingrid',
+  'Kwame',
+  'Chen',
+  'Amara',
+  'Jonas',
+  'Leila',
+  'Ivan',
+  'Aisha',
+];
+const LAST_NAMES = [
+  'Jensen',
+  'Smith',
+  'Garcia',
+  'Nielsen',
+  'Kim',
+  'Okafor',
+  'Rossi',
+  'Novak',
+  'Tanaka',
+  'Müller',
+  'Silva',
+  'Hansen',
+  'Patel',
+  'Cohen',
+  'Larsen',
+  'Dubois',
+  'Kowalski',
+  'Ali',
+];
+const COMPANIES = [
+  'Acme Industries',
+  'Northwind Energy',
+  'Globex',
+  'Initech',
+  'Umbrella Labs',
+  'Stark Manufacturing',
+  'Wayne Logistics',
+  'Tyrell Systems',
+  'Cyberdyne',
+  'Hooli',
+];
+const CITIES = [
+  'Copenhagen',
+  'Aarhus',
+  'Berlin',
+  'Amsterdam',
+  'Oslo',
+  'Stockholm',
+  'London',
+  'Madrid',
+  'Chicago',
+  'Toronto',
+  'Tokyo',
+  'Singapore',
+  'Sydney',
+  'São Paulo',
+  'Nairobi',
+];
+const WORDS = [
+  'alpha',
+  'bravo',
+  'delta',
+  'echo',
+  'gamma',
+  'sigma',
+  'omega',
+  'north',
+  'south',
+  'line',
+  'pump',
+  'valve',
+  'motor',
+  'sensor',
+  'tank',
+  'zone',
+  'cell',
+  'gate',
+  'bay',
+  'unit',
+];
+
+const slug = (value: string) =>
+  value
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[^a-z0-9]+/g, '');
+
+function nextInSequence(context: TemplateContext, key: string, start: number, step: number) {
+  const { counters } = context.state;
+  const value = key in counters ? counters[key] + step : start;
+  counters[key] = value;
+  return value;
+}
+
+export const TEMPLATE_FUNCTIONS: Record<string, TemplateFunction> = {
+  // Random values
+  randomInt: (_, min, max) => randomInt(num(min, 'randomInt'), num(max, 'randomInt')),
+  randomFloat: (_, min, max, decimals) => {
+    const low = num(min, 'randomFloat');
+    const value = Math.random() * (num(max, 'randomFloat') - low) + low;
+    return Number(value.toFixed(num(decimals, 'randomFloat', 2)));
+  },
+  randomBool: (_, probability) => Math.random() < num(probability, 'randomBool', 0.5),
+  randomChoice: (_, ...choices) => (choices.length ? pick(choices) : null),
+  uuid: () => uuid(),
+
+  // Maths
+  round: (_, value, decimals) => {
+    const factor = 10 ** num(decimals, 'round', 0);
+    return Math.round(num(value, 'round') * factor) / factor;
+  },
+  floor: (_, value) => Math.floor(num(value, 'floor')),
+  ceil: (_, value) => Math.ceil(num(value, 'ceil')),
+  abs: (_, value) => Math.abs(num(value, 'abs')),
+  min: (_, ...values) => Math.min(...values.map((v) => num(v, 'min'))),
+  max: (_, ...values) => Math.max(...values.map((v) => num(v, 'max'))),
+
+  // Text and types
+  upper: (_, value) => text(value).toUpperCase(),
+  lower: (_, value) => text(value).toLowerCase(),
+  pad: (_, value, width, fill) =>
+    text(value).padStart(num(width, 'pad', 2), fill === undefined ? '0' : text(fill)),
+  str: (_, value) => text(value),
+  number: (_, value) => num(value, 'number'),
+  json: (_, value) => JSON.stringify(value ?? null),
+
+  // Dates
+  now: (context) => context.now,
+  timestamp: (context) => context.now,
+  epoch: (context) => Math.floor(context.now / 1000),
+  date: (context, format, time) =>
+    formatDate(num(time, 'date', context.now), format === undefined ? 'iso' : text(format)),
+
+  // Counters and sequences, kept in the template state between renders
+  counter: (context, name, start, step) =>
+    nextInSequence(
+      context,
+      `counter:${text(name ?? 'counter')}`,
+      num(start, 'counter', 1),
+      num(step, 'counter', 1),
+    ),
+  sequence: (context, name, ...values) => {
+    if (values.length === 0) throw new Error('sequence needs a name and at least one value');
+    const position = nextInSequence(context, `sequence:${text(name)}`, 0, 1);
+    return values[position % values.length];
+  },
+
+  // Test data
+  firstName: () => pick(FIRST_NAMES),
+  lastName: () => pick(LAST_NAMES),
+  fullName: () => `${pick(FIRST_NAMES)} ${pick(LAST_NAMES)}`,
+  email: (_, domain) =>
+    `${slug(pick(FIRST_NAMES))}.${slug(pick(LAST_NAMES))}@${domain === undefined ? 'example.com' : text(domain)}`,
+  company: () => pick(COMPANIES),
+  city: () => pick(CITIES),
+  word: () => pick(WORDS),
+  mac: (_, separator) =>
+    Array.from({ length: 6 }, () => hexDigits(2))
+      .join(separator === undefined ? ':' : text(separator))
+      .toUpperCase(),
+  ipv4: () =>
+    `${randomInt(10, 223)}.${randomInt(0, 255)}.${randomInt(0, 255)}.${randomInt(1, 254)}`,
+  ipv6: () => Array.from({ length: 8 }, () => hexDigits(4)).join(':'),
+  serial: (_, prefix, digits) =>
+    `${prefix === undefined ? 'SN' : text(prefix)}${Array.from(
+      { length: num(digits, 'serial', 8) },
+      () => randomInt(0, 9),
+    ).join('')}`,
+  hex: (_, length) => hexDigits(num(length, 'hex', 8)),
+};
+
+/** Signatures for the editor hints. */
+export const TEMPLATE_FUNCTION_HELP: { group: string; functions: string[] }[] = [
+  {
+    group: 'Random',
+    functions: [
+      'randomInt(min, max)',
+      'randomFloat(min, max, decimals)',
+      'randomBool(probability)',
+      'randomChoice(a, b, ...)',
+      'uuid()',
+    ],
+  },
+  {
+    group: 'Maths',
+    functions: ['round(x, decimals)', 'floor(x)', 'ceil(x)', 'abs(x)', 'min(...)', 'max(...)'],
+  },
+  {
+    group: 'Text',
+    functions: ['upper(s)', 'lower(s)', 'pad(s, width, fill)', 'str(x)', 'number(s)', 'json(x)'],
+  },
+  {
+    group: 'Dates',
+    functions: [
+      'now()',
+      'epoch()',
+      "date('iso' | 'epoch' | 'epochMs' | 'YYYY-MM-DD HH:mm:ss', time)",
+    ],
+  },
+  {
+    group: 'Counters',
+    functions: ["counter('name', start, step)", "sequence('name', a, b, ...)"],
+  },
+  {
+    group: 'Test data',
+    functions: [
+      'firstName()',
+      'lastName()',
+      'fullName()',
+      'email(domain)',
+      'company()',
+      'city()',
+      'word()',
+      'mac(separator)',
+      'ipv4()',
+      'ipv6()',
+      "serial('SN', digits)",
+      'hex(length)',
+    ],
+  },
+];
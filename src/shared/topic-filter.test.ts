@@ -0,0 +1,86 @@
+import { describe, expect, it } from 'vitest';
+import {
+  collapseTopic,
+  matchesAnyFilter,
+  topicMatchesFilter,
+  topicMatchesPattern,
+  validateTopicPattern,
+} from './topic-filter';
+
+describe('topicMatchesFilter', () => {
+  it.each([
+    ['a/b/c', 'a/b/c', true],
+    ['a/b/c', 'a/+/c', true],
+    ['a/b/c', 'a/#', true],
+    ['a', 'a/#', true],
+    ['a/b', 'a/+/c', false],
+    ['a/b/c', 'a/+', false],
+    ['$SYS/load', '#', false],
+    ['$SYS/load', '+/load', false],
+    ['$SYS/load', '$SYS/#', true],
+  ])('%s against %s', (topic, filter, expected) => {
+    expect(topicMatchesFilter(topic, filter)).toBe(expected);
+  });
+
+  it('matches any of several filters', () => {
+    expect(matchesAnyFilter('a/b', ['x/#', 'a/+'])).toBe(true);
+    expect(matchesAnyFilter('a/b', [])).toBe(false);
+  });
+});
+
+describe('topicMatchesPattern', () => {
+  it.each([
+    ['plant/line1/debug', '#/debug', true],
+    ['debug', '#/debug', true],
+    ['plant/debug/x', '#/debug', false],
+    ['plant/debug/x', '#/debug/#', true],
+    ['plant/a/b/temp', 'plant/#/temp', true],
+    ['plant/temp', 'plant/#/temp', true],
+    ['plant/a/temp/b', 'plant/#/temp', false],
+    ['a/b/c', '+/#/c', true],
+    ['c', '+/#/c', false],
+    ['a/b/c', 'a/+/c', true],
+    ['$SYS/debug', '#/debug', false],
+  ])('%s against %s', (topic, pattern, expected) => {
+    expect(topicMatchesPattern(topic, pattern)).toBe(expected);
+  });
+
+  it('agrees with topicMatchesFilter where # is last', () => {
+    const topics = ['a', 'a/b', 'a/b/c', 'x/b/c', '$SYS/a'];
+    for (const filter of ['a/#', '+/b/#', '#', 'a/+', '+/+/c']) {
+      for (const topic of topics) {
+        expect(topicMatchesPattern(topic, filter)).toBe(topicMatchesFilter(topic, filter));
+      }
+    }
+  });
+});
+
+describe('validateTopicPattern', () => {
+  it('wants wildcards as whole levels', () => {
+    expect(validateTopicPattern('#/debug/+/#')).toBeNull();
+    expect(validateTopicPattern('')).toBe('Pattern is empty');
+    expect(validateTopicPattern('a/b#')).toBe(`'#' must be a whole level in "a/b#"`);
+    expect(validateTopicPattern('a/+b')).toBe(`'+' must be a whole level in "a/+b"`);
+  });
+});
+
+describe('collapseTopic', () => {
+  const topics = [
+    'devices/dev-01/telemetry',
+    'devices/dev-02/telemetry',
+    'devices/dev-01/status',
+    'devices/gateway/telemetry',
+    'site1/temp',
+    'site2/temp',
+  ];
+
+  it('replaces id-like levels that vary between otherwise equal topics', () => {
+    expect(collapseTopic('devices/dev-01/telemetry', topics)).toBe('devices/+/telemetry');
+    expect(collapseTopic('devices/dev-01/status', topics)).toBe('devices/dev-01/status');
+  });
+
+  it('keeps the first level and levels without digits', () => {
+    expect(collapseTopic('site1/temp', topics)).toBe('site1/temp');
+    expect(collapseTopic('devices/gateway/telemetry', topics)).toBe('devices/gateway/telemetry');
+  });
+});
@@ -0,0 +1,87 @@
+// MQTT topic-filter matching, shared by main and renderer.
+
+/**
+ * Whether `topic` matches the subscription-style `filter` (`+` one level,
+ * `#` the rest). As on a broker, a leading wildcard does not match `$` topics.
+ */
+export function topicMatchesFilter(topic: string, filter: string): boolean {
+  if (filter === topic) return true;
+  if (topic.startsWith('$') && /^[+#]/.test(filter)) return false;
+
+  const topicLevels = topic.split('/');
+  const filterLevels = filter.split('/');
+  for (let i = 0; i < filterLevels.length; i++) {
+    const level = filterLevels[i];
+    if (level === '#') return true;
+    if (i >= topicLevels.length) return false;
+    if (level !== '+' && level !== topicLevels[i]) return false;
+  }
+  return topicLevels.length === filterLevels.length;
+}
+
+export function matchesAnyFilter(topic: string, filters: string[]): boolean {
+  return filters.some((filter) => topicMatchesFilter(topic, filter));
+}
+
+/**
+ * Like topicMatchesFilter, but `#` may stand at any level and matches zero or
+ * more levels there: `#/debug` matches every topic whose last level is
+ * `debug`, `#/debug/#` every topic with a `debug` level.
+ */
+export function topicMatchesPattern(topic: string, pattern: string): boolean {
+  if (pattern === topic) return true;
+  if (topic.startsWith('$') && /^[+#]/.test(pattern)) return false;
+
+  const topicLevels = topic.split('/');
+  const patternLevels = pattern.split('/');
+  // matches[j]: patternLevels[i..] matches topicLevels[j..], filled from the end.
+  let matches = topicLevels.map(() => false).concat(true);
+  for (let i = patternLevels.length - 1; i >= 0; i--) {
+    const level = patternLevels[i];
+    const next = new Array<boolean>(topicLevels.length + 1).fill(false);
+    for (let j = topicLevels.length; j >= 0; j--) {
+      if (level === '#') {
+        next[j] = matches[j] || (j < topicLevels.length && next[j + 1]);
+      } else if (j < topicLevels.length) {
+        next[j] = (level === '+' || level === topicLevels[j]) && matches[j + 1];
+      }
+    }
+    matches = next;
+  }
+  return matches[0];
+}
+
+/** An error message for a malformed pattern, or null; see topicMatchesPattern. */
+export function validateTopicPattern(pattern: string): string | null {
+  if (!pattern) return 'Pattern is empty';
+  for (const level of pattern.split('/')) {
+    if (level.includes('#') && level !== '#') return `'#' must be a whole level in "${pattern}"`;
+    if (level.includes('+') && level !== '+') return `'+' must be a whole level in "${pattern}"`;
+  }
+  return null;
+}
+
+/**
+ * `topic` with `+` at each level that looks like an id (it has a digit) and
+ * where another topic differs from it at that level alone, e.g.
+ * `devices/+/telemetry` from `devices/dev-01/telemetry` and
+ * `devices/dev-02/telemetry`. The first level is kept.
+ */
+export function collapseTopic(topic: string, topics: Iterable<string>): string {
+  const levels = topic.split('/');
+  const peers = Array.from(topics, (other) => other.split('/')).filter(
+    (other) => other.length === levels.length,
+  );
+  const collapsed = [...levels];
+  for (let i = 1; i < levels.length; i++) {
+    const varies =
+      /\d/.test(levels[i]) &&
+      peers.some(
+        (other) =>
+          other[i] !== levels[i] &&
+          other.every((level, j) => j === i || collapsed[j] === '+' || level === levels[j]),
+      );
+    if (varies) collapsed[i] = '+';
+  }
+  return collapsed.join('/');
+}
@@ -0,0 +1,185 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { generateValue, type GeneratorState } from './value-generators';
+
+const output = (dataType: string, generator: string, config: object, extra: object = {}) => ({
+  dataType,
+  generator,
+  config,
+  ...extra,
+});
+
+/** Math.random returns these in turn, then keeps returning the last one. */
+function randoms(...values: number[]) {
+  const spy = vi.spyOn(Math, 'random');
+  values.forEach((value) => spy.mockReturnValueOnce(value));
+  spy.mockReturnValue(values[values.length - 1]);
+}
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.useRealTimers();
+});
+
+describe('randomWalk', () => {
+  it('steps from the start value and reflects off the bounds', () => {
+    const walk = output('number', 'randomWalk', { min: 0, max: 10, start: 9, stepSize: 4 });
+    const state: GeneratorState = {};
+    randoms(1, 1, 0, 0, 0.5);
+    expect(generateValue(walk, state)).toBe(7); // 9 + 4 = 13 bounces back to 7
+    expect(generateValue(walk, state)).toBe(9);
+    expect(generateValue(walk, state)).toBe(5);
+    expect(generateValue(walk, state)).toBe(1);
+    expect(generateValue(walk, state)).toBe(1);
+  });
+
+  it('drifts and keeps each producer separate', () => {
+    const walk = output('number', 'randomWalk', { min: 0, max: 100, start: 50, drift: 2 });
+    randoms(0.5);
+    const a: GeneratorState = {};
+    const b: GeneratorState = {};
+    generateValue(walk, a);
+    generateValue(walk, a);
+    expect(generateValue(walk, a)).toBe(56);
+    expect(generateValue(walk, b)).toBe(52);
+  });
+});
+
+describe('counter', () => {
+  it('only counts up, with jitter, and wraps at the rollover', () => {
+    const counter = output('number', 'counter', {
+      start: 7,
+      increment: 2,
+      incrementJitter: 0.5,
+      rollover: 10,
+    });
+    const state: GeneratorState = {};
+    randoms(1, 0);
+    expect(generateValue(counter, state)).toBe(7);
+    expect(generateValue(counter, state)).toBe(0); // 7 + 3 wraps at 10
+    expect(generateValue(counter, state)).toBe(1); // + 1
+  });
+});
+
+describe('profile', () => {
+  const segments = [
+    { value: 10, seconds: 10, ramp: false },
+    { value: 20, seconds: 10, ramp: true },
+  ];
+
+  it('steps and ramps through the segments, looping by default', () => {
+    vi.useFakeTimers({ now: 0 });
+    const profile = output('number', 'profile', { segments });
+    const state: GeneratorState = {};
+    expect(generateValue(profile, state)).toBe(10);
+    vi.setSystemTime(15_000);
+    expect(generateValue(profile, state)).toBe(15);
+    vi.setSystemTime(19_000);
+    expect(generateValue(profile, state)).toBe(19);
+    vi.setSystemTime(25_000);
+    expect(generateValue(profile, state)).toBe(10);
+  });
+
+  it('holds the last value when not looping', () => {
+    vi.useFakeTimers({ now: 0 });
+    const profile = output('number', 'profile', { segments, loop: false });
+    const state: GeneratorState = {};
+    generateValue(profile, state);
+    vi.setSystemTime(95_000);
+    expect(generateValue(profile, state)).toBe(20);
+  });
+
+  it('ramps the first segment from the last one when looping', () => {
+    vi.useFakeTimers({ now: 0 });
+    const ramp = [
+      { value: 0, seconds: 10, ramp: true },
+      { value: 100, seconds: 10, ramp: false },
+    ];
+    const state: GeneratorState = { timeOffset: 5 };
+    expect(generateValue(output('number', 'profile', { segments: ramp }), state)).toBe(50);
+    expect(generateValue(output('number', 'profile', { segments: [] }), {})).toBe(0);
+  });
+});
+
+describe('expression', () => {
+  it('sees the scope and its own previous value', () => {
+    const expression = output('number', 'expression', { expression: 'prev + power * 2' });
+    const state: GeneratorState = {};
+    expect(generateValue(expression, state, { scope: { power: 1.5 } })).toBe(3);
+    expect(generateValue(expression, state, { scope: { power: 1.5 } })).toBe(6);
+  });
+
+  it('rounds to the output precision and rejects non-finite results', () => {
+    expect(
+      generateValue(
+        output('number', 'expression', { expression: '2 / 3' }, { decimalPrecision: 3 }),
+      ),
+    ).toBe(0.667);
+    expect(() => generateValue(output('number', 'expression', { expression: '1 / 0' }))).toThrow(
+      '"1 / 0" is not a finite number',
+    );
+  });
+});
+
+describe('stateMachine', () => {
+  const machine = output('enum', 'stateMachine', {
+    states: ['idle', 'running', 'fault'],
+    initial: 'idle',
+    transitions: [
+      { from: 'idle', to: 'running', probability: 0.5 },
+      { from: 'running', to: 'fault', probability: 0.1 },
+      { from: 'running', to: 'idle', probability: 0.2 },
+    ],
+  });
+
+  it('starts in the initial state and follows the transition probabilities in order', () => {
+    const state: GeneratorState = {};
+    randoms(0.6, 0.4, 0.35, 0.15);
+    expect(generateValue(machine, state)).toBe('idle');
+    expect(generateValue(machine, state)).toBe('idle'); // 0.6 misses idle → running
+    expect(generateValue(machine, state)).toBe('running');
+    expect(generateValue(machine, state)).toBe('running'); // 0.35 misses both ways out
+    expect(generateValue(machine, state)).toBe('idle'); // 0.15 is past → fault, within → idle
+  });
+
+  it('restarts when its state is no longer one of the states', () => {
+    expect(generateValue(machine, { current: 'gone' })).toBe('idle');
+  });
+});
+
+describe('faults', () => {
+  it('drop the output', () => {
+    randoms(0);
+    const state: GeneratorState = {};
+    const faulty = output('number', 'static', { value: 5 }, { faults: { dropoutProbability: 1 } });
+    expect(generateValue(faulty, state)).toBeUndefined();
+    expect(state.previous).toBe(5);
+  });
+
+  it('hold a stuck value for the given number of ticks', () => {
+    const counter = output(
+      'number',
+      'counter',
+      { start: 1 },
+      { faults: { stuckProbability: 0.5, stuckTicks: 3 } },
+    );
+    const state: GeneratorState = {};
+    randoms(0.9, 0.1, 0.9);
+    expect(generateValue(counter, state)).toBe(1); // dropout check, then stuck
+    expect(generateValue(counter, state)).toBe(1);
+    expect(generateValue(counter, state)).toBe(1);
+    expect(generateValue(counter, state)).toBe(4);
+  });
+
+  it('spike numbers either way', () => {
+    const spiky = output(
+      'number',
+      'static',
+      { value: 5 },
+      { faults: { spikeProbability: 1, spikeMagnitude: 100 } },
+    );
+    randoms(0.9, 0.9, 0, 0.1);
+    expect(generateValue(spiky, {})).toBe(-95);
+    randoms(0.9, 0.9, 0, 0.9);
+    expect(generateValue(spiky, {})).toBe(105);
+  });
+});
@@ -0,0 +1,353 @@
+// Value generators for simulated device outputs. Given a generator name, its config
+// and the producer's own state they return a single value, so they're easy to test.
+import { evaluateExpression, type ExpressionScope } from './expression';
+import { sampleDataset, type DatasetSeries } from './datasets';
+
+/**
+ * Per-producer generator state, kept between calls. `timeOffset` (seconds)
+ * shifts the time-based generators; the rest is owned by the stateful ones.
+ */
+export interface GeneratorState {
+  timeOffset?: number;
+  value?: number; // random walk, counter
+  previous?: unknown; // last value returned, for expressions' `prev`
+  startedAt?: number; // step/ramp profile, dataset time playback
+  row?: number; // dataset row playback
+  current?: string; // state machine
+  stuckTicks?: number; // fault injection: ticks left holding stuckValue
+  stuckValue?: unknown;
+}
+
+/** Faults layered over any generator. Probabilities are per tick, 0–1. */
+export interface FaultConfig {
+  spikeProbability?: number;
+  spikeMagnitude?: number; // numbers only; added or subtracted
+  stuckProbability?: number;
+  stuckTicks?: number; // how long a stuck value holds
+  dropoutProbability?: number; // the output is left out of the message
+}
+
+export interface ProfileSegment {
+  value: number;
+  seconds: number;
+  ramp: boolean; // ramp from the previous segment's value instead of stepping
+}
+
+export interface StateTransition {
+  from: string;
+  to: string;
+  probability: number;
+}
+
+/** What a generator may need besides its own config and state. */
+export interface GeneratorContext {
+  scope?: ExpressionScope; // values other outputs produced this tick, for expressions
+  dataset?: (id: string) => DatasetSeries | undefined;
+}
+
+interface GeneratedOutput {
+  name?: string;
+  dataType: string;
+  generator: string;
+  config: any;
+  decimalPrecision?: number;
+  faults?: FaultConfig;
+}
+
+/** The value when the walk would leave [min, max]: bounce back in by the overshoot. */
+function reflect(value: number, min: number, max: number): number {
+  if (max <= min) return min;
+  if (value > max) value = max - (value - max);
+  if (value < min) value = min + (min - value);
+  return Math.min(Math.max(value, min), max);
+}
+
+function profileValue(config: any, state: GeneratorState): number {
+  const segments: ProfileSegment[] = Array.isArray(config.segments) ? config.segments : [];
+  const total = segments.reduce((sum, segment) => sum + Math.max(0, segment.seconds || 0), 0);
+  if (segments.length === 0) return 0;
+  if (total === 0) return segments[segments.length - 1].value;
+
+  state.startedAt ??= Date.now();
+  let t = (Date.now() - state.startedAt) / 1000 + (state.timeOffset || 0);
+  t = config.loop === false ? Math.min(t, total) : t % total;
+
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+    const seconds = Math.max(0, segment.seconds || 0);
+    if (t <= seconds || i === segments.length - 1) {
+      if (!segment.ramp || seconds === 0) return segment.value;
+      // The first segment ramps from the last one when looping, so the profile is continuous.
+      const from =
+        i > 0
+          ? segments[i - 1].value
+          : config.loop === false
+            ? segment.value
+            : segments[segments.length - 1].value;
+      return from + (segment.value - from) * Math.min(t / seconds, 1);
+    }
+    t -= seconds;
+  }
+  return segments[segments.length - 1].value;
+}
+
+function generateNumberValue(
+  generator: string,
+  config: any,
+  decimalPrecision = 2,
+  state: GeneratorState = {},
+  scope: ExpressionScope = {},
+): number {
+  let value: number;
+
+  switch (generator) {
+    case 'static':
+      value = config.value || 0;
+      break;
+
+    case 'uniform': {
+      const range = (config.max || 100) - (config.min || 0);
+      value = (config.min || 0) + Math.random() * range;
+      break;
+    }
+
+    case 'normal': {
+      // Box–Muller transform for a normal distribution.
+      const u1 = Math.random();
+      const u2 = Math.random();
+      const z0 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+      value = (config.mean || 0) + z0 * (config.stdDev || 1);
+      if (config.min !== undefined) value = Math.max(value, config.min);
+      if (config.max !== undefined) value = Math.min(value, config.max);
+      break;
+    }
+
+    case 'sine': {
+      const time = Date.now() / 1000 + (state.timeOffset || 0);
+      const amplitude = ((config.max || 100) - (config.min || 0)) / 2;
+      const offset = (config.min || 0) + amplitude;
+      const frequency = config.frequency || 0.1;
+      value = offset + amplitude * Math.sin(2 * Math.PI * frequency * time);
+      break;
+    }
+
+    case 'exponential': {
+      const lambda = config.lambda || 1;
+      value = -Math.log(1 - Math.random()) / lambda;
+      if (config.min !== undefined) value = Math.max(value, config.min);
+      if (config.max !== undefined) value = Math.min(value, config.max);
+      break;
+    }
+
+    case 'randomWalk': {
+      const min = config.min ?? 0;
+      const max = config.max ?? 100;
+      const previous = state.value ?? config.start ?? (min + max) / 2;
+      const step = (config.stepSize ?? 1) * (Math.random() * 2 - 1);
+      value = reflect(previous + (config.drift || 0) + step, min, max);
+      state.value = value;
+      break;
+    }
+
+    case 'counter': {
+      // Never decreases except when it wraps at `rollover`, like an energy meter.
+      if (state.value === undefined) {
+        value = config.start || 0;
+      } else {
+        const jitter = Math.min(Math.max(config.incrementJitter || 0, 0), 1);
+        const increment = (config.increment ?? 1) * (1 + jitter * (Math.random() * 2 - 1));
+        value = state.value + Math.max(0, increment);
+      }
+      if (config.rollover > 0 && value >= config.rollover) value %= config.rollover;
+      state.value = value;
+      break;
+    }
+
+    case 'profile':
+      value = profileValue(config, state);
+      break;
+
+    case 'expression':
+      value = evaluateExpression(config.expression || '', scope);
+      if (!Number.isFinite(value)) throw new Error(`"${config.expression}" is not a finite number`);
+      break;
+
+    default:
+      value = config.min || 0;
+  }
+
+  return Number(value.toFixed(decimalPrecision || 2));
+}
+
+function generateBooleanValue(generator: string, config: any, state: GeneratorState = {}): boolean {
+  switch (generator) {
+    case 'static':
+      return Boolean(config.value);
+
+    case 'probability':
+      return Math.random() < (config.trueProbability || 0.5);
+
+    case 'pattern': {
+      if (!Array.isArray(config.sequence) || config.sequence.length === 0) {
+        return Math.random() > 0.5;
+      }
+      const time = Date.now() + (state.timeOffset || 0) * 1000;
+      const index = Math.floor(time / (config.intervalMs || 5000)) % config.sequence.length;
+      return Boolean(config.sequence[index]);
+    }
+
+    default:
+      return Math.random() > 0.5;
+  }
+}
+
+function generateStringValue(generator: string, config: any): string {
+  switch (generator) {
+    case 'static':
+      return String(config.value || 'default');
+
+    case 'list':
+    case 'random': {
+      if (!Array.isArray(config.values) || config.values.length === 0) {
+        return 'default';
+      }
+      return config.values[Math.floor(Math.random() * config.values.length)];
+    }
+
+    case 'weighted': {
+      if (!Array.isArray(config.weightedValues) || config.weightedValues.length === 0) {
+        return 'default';
+      }
+      const totalWeight = config.weightedValues.reduce(
+        (sum: number, item: { weight?: number }) => sum + (item.weight || 1),
+        0,
+      );
+      let random = Math.random() * totalWeight;
+      for (const item of config.weightedValues) {
+        random -= item.weight || 1;
+        if (random <= 0) return item.value;
+      }
+      return config.weightedValues[0].value;
+    }
+
+    default:
+      return 'default';
+  }
+}
+
+function generateEnumValue(generator: string, config: any, state: GeneratorState): string {
+  if (generator !== 'stateMachine') return generateStringValue(generator, config);
+
+  const states: string[] = Array.isArray(config.states) ? config.states : [];
+  if (states.length === 0) return 'default';
+  const current = state.current;
+  if (current === undefined || !states.includes(current)) {
+    const initial: string = states.includes(config.initial) ? config.initial : states[0];
+    state.current = initial;
+    return initial;
+  }
+  // Outgoing probabilities are checked in order; whatever is left over stays put.
+  const transitions: StateTransition[] = Array.isArray(config.transitions)
+    ? config.transitions
+    : [];
+  let roll = Math.random();
+  for (const transition of transitions) {
+    if (transition.from !== current || !states.includes(transition.to)) continue;
+    roll -= transition.probability || 0;
+    if (roll < 0) {
+      state.current = transition.to;
+      return transition.to;
+    }
+  }
+  return current;
+}
+
+function applyFaults(
+  value: number | boolean | string,
+  dataType: string,
+  faults: FaultConfig,
+  state: GeneratorState,
+): number | boolean | string | undefined {
+  if (state.stuckTicks && state.stuckTicks > 0) {
+    state.stuckTicks--;
+    return state.stuckValue as number | boolean | string;
+  }
+  if (Math.random() < (faults.dropoutProbability || 0)) return undefined;
+  if (Math.random() < (faults.stuckProbability || 0)) {
+    state.stuckTicks = Math.max(0, (faults.stuckTicks || 5) - 1);
+    state.stuckValue = value;
+    return value;
+  }
+  if (dataType === 'number' && Math.random() < (faults.spikeProbability || 0)) {
+    const magnitude = faults.spikeMagnitude ?? 10 * Math.max(1, Math.abs(value as number));
+    return (value as number) + (Math.random() < 0.5 ? -magnitude : magnitude);
+  }
+  return value;
+}
+
+/** A dataset cell as the output's data type; undefined when it can't be one. */
+function datasetValue(
+  output: GeneratedOutput,
+  state: GeneratorState,
+  context: GeneratorContext,
+): number | boolean | string | undefined {
+  const { datasetId } = output.config;
+  const series = datasetId ? context.dataset?.(datasetId) : undefined;
+  if (!series) throw new Error('Dataset not found; import it again or pick another');
+
+  const value = sampleDataset(series, output.config, state);
+  if (value === undefined || value === null) return undefined;
+  switch (output.dataType) {
+    case 'number': {
+      const n = Number(value);
+      if (value === '' || Number.isNaN(n)) return undefined;
+      return Number(n.toFixed(output.decimalPrecision ?? 2));
+    }
+    case 'boolean':
+      return typeof value === 'number' ? value !== 0 : /^(true|1|yes|on)$/i.test(value.trim());
+    default:
+      return String(value);
+  }
+}
+
+function generateBaseValue(
+  output: GeneratedOutput,
+  state: GeneratorState,
+  context: GeneratorContext,
+): number | boolean | string | undefined {
+  const { dataType, generator, config, decimalPrecision } = output;
+  if (generator === 'dataset') return datasetValue(output, state, context);
+
+  switch (dataType) {
+    case 'number':
+      return generateNumberValue(generator, config, decimalPrecision, state, {
+        prev: state.previous ?? 0,
+        ...context.scope,
+      });
+    case 'boolean':
+      return generateBooleanValue(generator, config, state);
+    case 'string':
+      return generateStringValue(generator, config);
+    case 'enum':
+      return generateEnumValue(generator, config, state);
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Generate one value for a device output based on its dataType/generator/config.
+ * `state` belongs to one producer of the output (a fleet instance, say) and keeps
+ * producers apart. Undefined means there is nothing to send: a fault dropped the
+ * output, or a dataset ran out of rows.
+ */
+export function generateValue(
+  output: GeneratedOutput,
+  state: GeneratorState = {},
+  context: GeneratorContext = {},
+): number | boolean | string | undefined {
+  const value = generateBaseValue(output, state, context);
+  if (value === undefined) return undefined;
+  state.previous = value;
+  return output.faults ? applyFaults(value, output.dataType, output.faults, state) : value;
+}